@@ -2,7 +2,7 @@
 // @name         Openguessr Location Hack - Enhanced Edition 2026
 // @namespace    https://openguessr.com/
 // @version      18.0.0
-// @description  Professional edition with API interception, smart caching, enhanced UI, and zero detection. Press INSERT to toggle.
+// @description  Professional edition with API interception, smart caching, enhanced UI, and zero detection. Toggle the window with Insert or any shortcut you bind in settings.
 // @author       Uygar (Enhanced Edition 2026)
 // @license      MIT
 // @match        https://openguessr.com/*
@@ -13,6 +13,13 @@
 // @grant        GM_listValues
 // @grant        GM_log
 // @grant        GM_xmlhttpRequest
+// @grant        GM_getResourceText
+// @require      https://unpkg.com/leaflet@1.9.4/dist/leaflet.js#sha256=db49d009c841f5ca34a888c96511ae936fd9f5533e90d8b2c4d57596f4e5641a
+// @require      https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js#sha256=eb952aae5806a1102729f291bab887dde783ace859819a354827a776e73e486a
+// @require      https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js#sha256=1e4e1d22972a3926f48598e0caf14e3fe7049835d428a344fed4f9e3665b3508
+// @resource     leafletCSS https://unpkg.com/leaflet@1.9.4/dist/leaflet.css#sha256=a7837102824184820dfa198d1ebcd109ff6d0ff9a2672a074b9a1b4d147d04c6
+// @resource     markerClusterCSS https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css#sha256=614dea0a98ff3f4ead74f04918f6b1d1b9ba435c25b5fc23b21a394d1e3e4d87
+// @resource     markerClusterDefaultCSS https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css#sha256=61258232d98d64dc2a7b1e02130d67421bc5b9bda5994eef70228ff97570c170
 // @connect      maps.googleapis.com
 // @run-at       document-start
 // ==/UserScript==
@@ -30,12 +37,20 @@
         ANIMATION_DURATION: 300,
         DEFAULT_ZOOM: 4, // Changed from 8 to 4 - wider view
         MAP_TYPE: 'satellite', // satellite, roadmap, hybrid, terrain
+        THEME: 'dark', // dark, light, high-contrast, system
+        ACCENT_COLOR: '#a100c2',
+        MAP_PROVIDER: 'osm', // esri, osm, custom (uses TILE_URL / settings.tileUrl)
+        TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', // Any {z}/{x}/{y} template, e.g. a local tile server
+        TILE_ATTRIBUTION: '&copy; OpenStreetMap contributors',
+        TILE_MAX_NATIVE_ZOOM: 19, // Deeper zoom levels upscale the last tile level
+        MAX_ZOOM: 20,
         STORAGE_KEYS: {
-            DARK_MODE: 'og_dark_mode',
+            DARK_MODE: 'og_dark_mode', // Legacy, replaced by settings.theme
             POSITION: 'og_window_position',
             SIZE: 'og_window_size',
             SETTINGS: 'og_settings',
-            LOCATION_HISTORY: 'og_location_history'
+            LOCATION_HISTORY: 'og_location_history',
+            SESSION: 'og_session'
         },
         DEFAULT_SIZE: {
             width: 700,
@@ -45,7 +60,13 @@
             width: 300,
             height: 250
         },
-        MAX_HISTORY: 50
+        SNAP_DISTANCE: 16, // px from a screen edge at which the window sticks to it
+        MAX_HISTORY: 50000,
+        SESSION_GAP: 15 * 60 * 1000, // Pause between rounds that starts a new game
+        COPY_CYCLE_WINDOW: 1500, // Repeated copy shortcut presses within this window cycle formats
+        UNDO_TIMEOUT: 6000, // How long the undo button stays after deleting history
+        SCORE_MAP_SIZE: 14916.862, // km, diagonal of the world map's bounds
+        SCORE_DECAY: 10 // score = 5000 * exp(-SCORE_DECAY * distance / SCORE_MAP_SIZE)
     };
 
     /* ==========================================
@@ -95,6 +116,25 @@
             return null;
         },
 
+        isValidCoordinate: (lat, lng) => {
+            return typeof lat === 'number' && typeof lng === 'number' &&
+                lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+        },
+
+        // Google Maps URL that reopens the Street View panorama of a saved location
+        buildStreetViewUrl: (location) => {
+            const params = new URLSearchParams({
+                api: '1',
+                map_action: 'pano',
+                viewpoint: `${location.lat},${location.lng}`
+            });
+            if (location.pano) params.set('pano', location.pano);
+            if (typeof location.heading === 'number') params.set('heading', location.heading.toFixed(1));
+            if (typeof location.pitch === 'number') params.set('pitch', location.pitch.toFixed(1));
+            if (typeof location.fov === 'number') params.set('fov', Math.round(location.fov));
+            return `https://www.google.com/maps/@?${params.toString()}`;
+        },
+
         formatCoordinates: (lat, lng, precision = 6) => {
             return `${lat.toFixed(precision)}, ${lng.toFixed(precision)}`;
         },
@@ -117,10 +157,739 @@
             }
         },
 
+        isPlainObject: (value) => {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        },
+
+        // Recursively merge plain objects; arrays and other values from source win
+        deepMerge: (target, source) => {
+            const result = { ...target };
+            Object.entries(source || {}).forEach(([key, value]) => {
+                if (value === undefined) return;
+                if (Utils.isPlainObject(value) && Utils.isPlainObject(result[key])) {
+                    result[key] = Utils.deepMerge(result[key], value);
+                } else if (Utils.isPlainObject(value)) {
+                    result[key] = Utils.deepMerge({}, value);
+                } else if (Array.isArray(value)) {
+                    result[key] = value.slice();
+                } else {
+                    result[key] = value;
+                }
+            });
+            return result;
+        },
+
         sanitizeHTML: (str) => {
             const div = document.createElement('div');
             div.textContent = str;
             return div.innerHTML;
+        },
+
+        // sanitizeHTML leaves quotes alone, use this inside attribute values
+        escapeAttribute: (str) => {
+            return String(str).replace(/[&<>"']/g, char => ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;'
+            })[char]);
+        },
+
+        downloadFile: (content, filename, mimeType) => {
+            const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+
+    /* ==========================================
+       INTERNATIONALIZATION
+       ========================================== */
+
+    // Message catalogs keyed by language. Messages interpolate {name}
+    // placeholders; plural messages are objects keyed by Intl.PluralRules
+    // category and pick one with the `count` parameter. Missing messages
+    // fall back to English.
+    const I18n = {
+        FALLBACK: 'en',
+        language: 'en',
+
+        // Native names, shown untranslated in the language selector
+        LANGUAGES: {
+            en: 'English',
+            tr: 'Türkçe'
+        },
+
+        // Every catalog lists every key, even where the text is the same as
+        // in English, so a missing translation is easy to spot
+        CATALOGS: {
+            en: {
+                'header.practice': 'Practice: guess and score',
+                'header.measure': 'Measure distance',
+                'header.world': 'World view',
+                'header.mapStyle': 'Next map style',
+                'header.history': 'Location History',
+                'header.stats': 'Statistics',
+                'header.settings': 'Settings',
+                'header.close': 'Close',
+                'header.closeShortcut': 'Close ({combo})',
+
+                'main.waiting': 'Waiting for location...',
+                'main.waitingCurrent': 'Waiting for the current location...',
+                'main.copy': 'Copy',
+                'main.copyMenu': 'Copy in another format',
+                'main.loadingMap': 'Loading map...',
+                'main.mapUnavailable': 'Map unavailable',
+
+                'world.display': 'Display',
+                'world.both': 'Heatmap + clusters',
+                'world.heatmap': 'Heatmap',
+                'world.clusters': 'Clusters',
+                'world.game': 'Game',
+                'world.allGames': 'All games',
+
+                'practice.placeholder': 'Click the map or paste lat, lng',
+                'practice.guess': 'Guess',
+                'practice.prompt': 'Where is this? Click the map or paste coordinates.',
+                'practice.away': '{distance} away',
+
+                'measure.copy': 'Copy measurement',
+                'measure.prompt': 'Click the map or a history entry to measure from the current location',
+                'measure.result': 'Distance {distance} · Bearing {bearing} · Midpoint {midpoint}',
+                'measure.midpoint': 'Midpoint {midpoint}',
+
+                'settings.title': 'Settings',
+                'settings.language': 'Language',
+                'settings.languageAuto': 'Browser default',
+                'settings.theme': 'Theme',
+                'settings.accent': 'Accent color',
+                'settings.accentReset': 'Default accent color',
+                'settings.zoom': 'Zoom Level',
+                'settings.provider': 'Map Provider',
+                'settings.style': 'Map Style',
+                'settings.styleUnavailable': 'Not offered by {provider}',
+                'settings.tileUrl': 'Tile URL',
+                'settings.distanceUnit': 'Distance Units',
+                'settings.km': 'Kilometres',
+                'settings.mi': 'Miles',
+                'settings.scoreCurve': 'Practice Score Curve',
+                'settings.mapSize': 'Map size (km)',
+                'settings.decay': 'Decay',
+                'settings.coordFormat': 'Coordinate Format',
+                'settings.coordPrecision': 'Coordinate Precision',
+                'settings.autoOpen': 'Auto-open on game start',
+                'settings.showCoords': 'Show Coordinates',
+                'settings.sources': 'Extraction Sources',
+                'settings.currentFix': 'Current fix: {label} ({confidence}% confidence)',
+                'settings.currentFixNone': 'Current fix: none',
+                'settings.clearHistory': 'Clear Location History',
+                'settings.shortcuts': 'Keyboard Shortcuts',
+                'settings.shortcutsHint': 'Click a shortcut and press the new keys. Backspace clears it, Escape cancels.',
+                'settings.shortcutsReset': 'Reset shortcuts',
+
+                'shortcut.toggle': 'Show or hide the window',
+                'shortcut.copy': 'Copy coordinates',
+                'shortcut.history': 'Open history',
+                'shortcut.settings': 'Open settings',
+                'shortcut.zoomIn': 'Zoom in',
+                'shortcut.zoomOut': 'Zoom out',
+                'shortcut.mapStyle': 'Next map style',
+                'shortcut.none': 'Not set',
+                'shortcut.recording': 'Press keys…',
+                'shortcut.conflict': 'Also bound to: {actions}',
+
+                'theme.dark': 'Dark',
+                'theme.light': 'Light',
+                'theme.high-contrast': 'High contrast',
+                'theme.system': 'Follow system',
+
+                'mapStyle.satellite': 'Satellite',
+                'mapStyle.roadmap': 'Roadmap',
+                'mapStyle.hybrid': 'Hybrid',
+                'mapStyle.terrain': 'Terrain',
+
+                'provider.esri': 'Esri',
+                'provider.osm': 'OpenStreetMap',
+                'provider.custom': 'Custom tile URL',
+
+                'coordFormat.dd': 'Decimal degrees',
+                'coordFormat.dms': 'Degrees, minutes, seconds',
+                'coordFormat.ddm': 'Degrees, decimal minutes',
+                'coordFormat.utm': 'UTM',
+                'coordFormat.mgrs': 'MGRS',
+                'coordFormat.olc': 'Plus Code',
+                'coordFormat.geohash': 'Geohash',
+
+                'strategy.iframe-pb': 'Iframe pb parameter',
+                'strategy.iframe-location': 'Iframe location parameter',
+                'strategy.fetch': 'Fetch interception',
+                'strategy.xhr': 'XHR interception',
+                'strategy.unknown': 'Unknown',
+
+                'place.openWater': 'Open water',
+                'place.in': '{area} · in {city}',
+                'place.near': '{area} · {distance} km from {city}',
+
+                'history.title': 'Location History',
+                'history.export': 'Export history',
+                'history.import': 'Import history (GeoJSON, CSV, KML)',
+                'history.select': 'Select entries',
+                'history.close': 'Close',
+                'history.search': 'Search coordinates, place, notes or #tags',
+                'history.favorites': 'Starred only',
+                'history.from': 'From',
+                'history.to': 'To',
+                'history.source': 'Source',
+                'history.allSources': 'All sources',
+                'history.sort': 'Sort',
+                'history.newest': 'Newest first',
+                'history.oldest': 'Oldest first',
+                'history.byCountry': 'By country',
+                'history.count': { one: '{shown} of {count} location', other: '{shown} of {count} locations' },
+                'history.countPartial': { one: '{shown}+ of {count} location', other: '{shown}+ of {count} locations' },
+                'history.locations': { one: '{count} location', other: '{count} locations' },
+                'history.selected': '{count} selected',
+                'history.selectAll': 'Select all',
+                'history.delete': 'Delete',
+                'history.empty': 'No locations in history',
+                'history.noMatches': 'No matching locations',
+                'history.notes': 'Notes, e.g. road-sign language or bollard type',
+                'history.tags': 'Tags, comma separated',
+                'history.save': 'Save',
+                'history.cancel': 'Cancel',
+                'history.round': 'Round {round}',
+                'history.points': '{score} pts',
+                'history.star': 'Star',
+                'history.unstar': 'Unstar',
+                'history.edit': 'Notes and tags',
+                'history.openView': 'Open this view in Google Maps',
+                'history.unknownCountry': 'Unknown country',
+                'history.earlier': 'Earlier locations',
+                'history.game': 'Game {number}',
+
+                'stats.title': 'Statistics',
+                'stats.locations': { one: 'location', other: 'locations' },
+                'stats.games': { one: 'game', other: 'games' },
+                'stats.countries': { one: 'country', other: 'countries' },
+                'stats.activeDays': { one: 'active day', other: 'active days' },
+                'stats.averageDistance': 'avg. between rounds',
+                'stats.averageScore': 'avg. practice score',
+                'stats.perDay': 'Locations per day (last {days} days)',
+                'stats.topCountries': 'Most seen countries',
+                'stats.topRegions': 'Most seen regions',
+                'stats.hemispheres': 'Hemispheres',
+                'stats.north': 'North',
+                'stats.south': 'South',
+                'stats.west': 'West',
+                'stats.east': 'East',
+                'stats.distances': 'Distance between consecutive rounds (km)',
+                'stats.distanceRange': '{min}–{max} km',
+                'stats.distanceOver': 'over {min} km',
+                'stats.sources': 'Extraction source',
+                'stats.noData': 'No data yet',
+
+                'toast.exported': { one: 'Exported {count} location as {format}', other: 'Exported {count} locations as {format}' },
+                'toast.nothingToExport': 'Nothing to export',
+                'toast.imported': 'Imported {imported}, skipped {skipped}, rejected {rejected}',
+                'toast.importFailed': 'Import failed: {error}',
+                'toast.tileUrlInvalid': 'Tile URL needs http(s) and {z}, {x}, {y}',
+                'toast.historyEmpty': 'History is already empty',
+                'toast.historyCleared': { one: 'History cleared ({count} location)', other: 'History cleared ({count} locations)' },
+                'toast.singleStyle': '{provider} has a single map style',
+                'toast.mapStyle': 'Map style: {style}',
+                'toast.copied': '{format} copied!',
+                'toast.copyFailed': 'Failed to copy',
+                'toast.undo': 'Undo',
+                'toast.restored': { one: 'Location restored', other: '{count} locations restored' },
+                'toast.restoreFailed': 'Failed to restore history',
+                'toast.deleted': { one: 'Location deleted', other: '{count} locations deleted' },
+                'toast.deleteFailed': 'Failed to delete',
+                'toast.updateFailed': 'Failed to update location',
+                'toast.notesSaved': 'Notes saved',
+                'toast.nothingMeasured': 'Nothing measured yet',
+                'toast.measurementCopied': 'Measurement copied!',
+                'toast.enterCoordinates': 'Enter coordinates as "lat, lng"',
+                'toast.noCurrentLocation': 'No current location to guess',
+                'toast.guessSaveFailed': 'Failed to save the guess',
+                'toast.loadedFromHistory': 'Location loaded from history',
+                'a11y.location': 'New location: {location}',
+                'toast.shortcutConflict': '{combo} is already used by "{action}"',
+                'toast.shortcutsReset': 'Shortcuts reset'
+            },
+
+            tr: {
+                'header.practice': 'Alıştırma: tahmin et ve puan al',
+                'header.measure': 'Mesafe ölç',
+                'header.world': 'Dünya görünümü',
+                'header.mapStyle': 'Sonraki harita stili',
+                'header.history': 'Konum Geçmişi',
+                'header.stats': 'İstatistikler',
+                'header.settings': 'Ayarlar',
+                'header.close': 'Kapat',
+                'header.closeShortcut': 'Kapat ({combo})',
+
+                'main.waiting': 'Konum bekleniyor...',
+                'main.waitingCurrent': 'Geçerli konum bekleniyor...',
+                'main.copy': 'Kopyala',
+                'main.copyMenu': 'Başka bir biçimde kopyala',
+                'main.loadingMap': 'Harita yükleniyor...',
+                'main.mapUnavailable': 'Harita kullanılamıyor',
+
+                'world.display': 'Görünüm',
+                'world.both': 'Isı haritası + kümeler',
+                'world.heatmap': 'Isı haritası',
+                'world.clusters': 'Kümeler',
+                'world.game': 'Oyun',
+                'world.allGames': 'Tüm oyunlar',
+
+                'practice.placeholder': 'Haritaya tıklayın veya enlem, boylam yapıştırın',
+                'practice.guess': 'Tahmin et',
+                'practice.prompt': 'Burası neresi? Haritaya tıklayın veya koordinat yapıştırın.',
+                'practice.away': '{distance} uzakta',
+
+                'measure.copy': 'Ölçümü kopyala',
+                'measure.prompt': 'Geçerli konumdan ölçmek için haritaya veya bir geçmiş kaydına tıklayın',
+                'measure.result': 'Mesafe {distance} · Yön {bearing} · Orta nokta {midpoint}',
+                'measure.midpoint': 'Orta nokta {midpoint}',
+
+                'settings.title': 'Ayarlar',
+                'settings.language': 'Dil',
+                'settings.languageAuto': 'Tarayıcı varsayılanı',
+                'settings.theme': 'Tema',
+                'settings.accent': 'Vurgu rengi',
+                'settings.accentReset': 'Varsayılan vurgu rengi',
+                'settings.zoom': 'Yakınlaştırma Düzeyi',
+                'settings.provider': 'Harita Sağlayıcısı',
+                'settings.style': 'Harita Stili',
+                'settings.styleUnavailable': '{provider} bu stili sunmuyor',
+                'settings.tileUrl': 'Karo URL adresi',
+                'settings.distanceUnit': 'Mesafe Birimi',
+                'settings.km': 'Kilometre',
+                'settings.mi': 'Mil',
+                'settings.scoreCurve': 'Alıştırma Puan Eğrisi',
+                'settings.mapSize': 'Harita boyutu (km)',
+                'settings.decay': 'Azalma',
+                'settings.coordFormat': 'Koordinat Biçimi',
+                'settings.coordPrecision': 'Koordinat Hassasiyeti',
+                'settings.autoOpen': 'Oyun başlayınca otomatik aç',
+                'settings.showCoords': 'Koordinatları Göster',
+                'settings.sources': 'Konum Kaynakları',
+                'settings.currentFix': 'Geçerli konum: {label} (%{confidence} güven)',
+                'settings.currentFixNone': 'Geçerli konum: yok',
+                'settings.clearHistory': 'Konum Geçmişini Temizle',
+                'settings.shortcuts': 'Klavye Kısayolları',
+                'settings.shortcutsHint': 'Bir kısayola tıklayıp yeni tuşlara basın. Backspace temizler, Escape iptal eder.',
+                'settings.shortcutsReset': 'Kısayolları sıfırla',
+
+                'shortcut.toggle': 'Pencereyi göster veya gizle',
+                'shortcut.copy': 'Koordinatları kopyala',
+                'shortcut.history': 'Geçmişi aç',
+                'shortcut.settings': 'Ayarları aç',
+                'shortcut.zoomIn': 'Yakınlaştır',
+                'shortcut.zoomOut': 'Uzaklaştır',
+                'shortcut.mapStyle': 'Sonraki harita stili',
+                'shortcut.none': 'Atanmamış',
+                'shortcut.recording': 'Tuşlara basın…',
+                'shortcut.conflict': 'Şununla çakışıyor: {actions}',
+
+                'theme.dark': 'Koyu',
+                'theme.light': 'Açık',
+                'theme.high-contrast': 'Yüksek kontrast',
+                'theme.system': 'Sistemi izle',
+
+                'mapStyle.satellite': 'Uydu',
+                'mapStyle.roadmap': 'Yol haritası',
+                'mapStyle.hybrid': 'Karma',
+                'mapStyle.terrain': 'Arazi',
+
+                'provider.esri': 'Esri',
+                'provider.osm': 'OpenStreetMap',
+                'provider.custom': 'Özel karo URL adresi',
+
+                'coordFormat.dd': 'Ondalık derece',
+                'coordFormat.dms': 'Derece, dakika, saniye',
+                'coordFormat.ddm': 'Derece, ondalık dakika',
+                'coordFormat.utm': 'UTM',
+                'coordFormat.mgrs': 'MGRS',
+                'coordFormat.olc': 'Plus Code',
+                'coordFormat.geohash': 'Geohash',
+
+                'strategy.iframe-pb': 'Iframe pb parametresi',
+                'strategy.iframe-location': 'Iframe konum parametresi',
+                'strategy.fetch': 'Fetch yakalama',
+                'strategy.xhr': 'XHR yakalama',
+                'strategy.unknown': 'Bilinmiyor',
+
+                'place.openWater': 'Açık deniz',
+                'place.in': '{area} · {city}',
+                'place.near': '{area} · {city} şehrine {distance} km',
+
+                'history.title': 'Konum Geçmişi',
+                'history.export': 'Geçmişi dışa aktar',
+                'history.import': 'Geçmişi içe aktar (GeoJSON, CSV, KML)',
+                'history.select': 'Kayıtları seç',
+                'history.close': 'Kapat',
+                'history.search': 'Koordinat, yer, not veya #etiket ara',
+                'history.favorites': 'Yalnızca yıldızlılar',
+                'history.from': 'Başlangıç',
+                'history.to': 'Bitiş',
+                'history.source': 'Kaynak',
+                'history.allSources': 'Tüm kaynaklar',
+                'history.sort': 'Sırala',
+                'history.newest': 'Önce en yeni',
+                'history.oldest': 'Önce en eski',
+                'history.byCountry': 'Ülkeye göre',
+                'history.count': '{count} konumdan {shown} tanesi',
+                'history.countPartial': '{count} konumdan {shown}+ tanesi',
+                'history.locations': '{count} konum',
+                'history.selected': '{count} seçili',
+                'history.selectAll': 'Tümünü seç',
+                'history.delete': 'Sil',
+                'history.empty': 'Geçmişte konum yok',
+                'history.noMatches': 'Eşleşen konum yok',
+                'history.notes': 'Notlar, ör. tabela dili veya bariyer türü',
+                'history.tags': 'Etiketler, virgülle ayrılmış',
+                'history.save': 'Kaydet',
+                'history.cancel': 'İptal',
+                'history.round': 'Tur {round}',
+                'history.points': '{score} puan',
+                'history.star': 'Yıldızla',
+                'history.unstar': 'Yıldızı kaldır',
+                'history.edit': 'Notlar ve etiketler',
+                'history.openView': 'Bu görünümü Google Haritalar\'da aç',
+                'history.unknownCountry': 'Bilinmeyen ülke',
+                'history.earlier': 'Önceki konumlar',
+                'history.game': 'Oyun {number}',
+
+                'stats.title': 'İstatistikler',
+                'stats.locations': 'konum',
+                'stats.games': 'oyun',
+                'stats.countries': 'ülke',
+                'stats.activeDays': 'aktif gün',
+                'stats.averageDistance': 'turlar arası ort.',
+                'stats.averageScore': 'ort. alıştırma puanı',
+                'stats.perDay': 'Günlük konumlar (son {days} gün)',
+                'stats.topCountries': 'En çok görülen ülkeler',
+                'stats.topRegions': 'En çok görülen bölgeler',
+                'stats.hemispheres': 'Yarım küreler',
+                'stats.north': 'Kuzey',
+                'stats.south': 'Güney',
+                'stats.west': 'Batı',
+                'stats.east': 'Doğu',
+                'stats.distances': 'Art arda turlar arası mesafe (km)',
+                'stats.distanceRange': '{min}–{max} km',
+                'stats.distanceOver': '{min} km üzeri',
+                'stats.sources': 'Konum kaynağı',
+                'stats.noData': 'Henüz veri yok',
+
+                'toast.exported': '{count} konum {format} olarak dışa aktarıldı',
+                'toast.nothingToExport': 'Dışa aktarılacak bir şey yok',
+                'toast.imported': '{imported} içe aktarıldı, {skipped} atlandı, {rejected} reddedildi',
+                'toast.importFailed': 'İçe aktarma başarısız: {error}',
+                'toast.tileUrlInvalid': 'Karo URL adresi http(s) ve {z}, {x}, {y} içermeli',
+                'toast.historyEmpty': 'Geçmiş zaten boş',
+                'toast.historyCleared': 'Geçmiş temizlendi ({count} konum)',
+                'toast.singleStyle': '{provider} tek bir harita stili sunuyor',
+                'toast.mapStyle': 'Harita stili: {style}',
+                'toast.copied': '{format} kopyalandı!',
+                'toast.copyFailed': 'Kopyalanamadı',
+                'toast.undo': 'Geri al',
+                'toast.restored': { one: 'Konum geri yüklendi', other: '{count} konum geri yüklendi' },
+                'toast.restoreFailed': 'Geçmiş geri yüklenemedi',
+                'toast.deleted': { one: 'Konum silindi', other: '{count} konum silindi' },
+                'toast.deleteFailed': 'Silinemedi',
+                'toast.updateFailed': 'Konum güncellenemedi',
+                'toast.notesSaved': 'Notlar kaydedildi',
+                'toast.nothingMeasured': 'Henüz bir şey ölçülmedi',
+                'toast.measurementCopied': 'Ölçüm kopyalandı!',
+                'toast.enterCoordinates': 'Koordinatları "enlem, boylam" olarak girin',
+                'toast.noCurrentLocation': 'Tahmin edilecek geçerli konum yok',
+                'toast.guessSaveFailed': 'Tahmin kaydedilemedi',
+                'toast.loadedFromHistory': 'Konum geçmişten yüklendi',
+                'a11y.location': 'Yeni konum: {location}',
+                'toast.shortcutConflict': '{combo} zaten "{action}" için kullanılıyor',
+                'toast.shortcutsReset': 'Kısayollar sıfırlandı'
+            }
+        },
+
+        // 'auto' picks the browser language when there is a catalog for it
+        resolve: (language) => {
+            if (I18n.CATALOGS[language]) return language;
+
+            const preferred = (navigator.languages || [navigator.language])
+                .map(tag => String(tag || '').slice(0, 2).toLowerCase())
+                .find(code => I18n.CATALOGS[code]);
+            return preferred || I18n.FALLBACK;
+        },
+
+        setLanguage: (language) => {
+            I18n.language = I18n.resolve(language);
+            Utils.log(`Language: ${I18n.language}`);
+            return I18n.language;
+        },
+
+        has: (key) => key in I18n.CATALOGS[I18n.language] || key in I18n.CATALOGS[I18n.FALLBACK],
+
+        // Parameter values are HTML-escaped so the result can go into markup
+        // and attribute values; text() is for textContent and the clipboard
+        t: (key, params = {}) => I18n.format(key, params, Utils.escapeAttribute),
+
+        text: (key, params = {}) => I18n.format(key, params, String),
+
+        format: (key, params, escape) => {
+            let message = I18n.CATALOGS[I18n.language][key] ?? I18n.CATALOGS[I18n.FALLBACK][key];
+            if (message === undefined) {
+                Utils.log(`Missing message "${key}"`);
+                return key;
+            }
+
+            if (typeof message === 'object') {
+                const category = new Intl.PluralRules(I18n.language).select(params.count);
+                message = message[category] ?? message.other;
+            }
+
+            return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+                if (!(name in params)) return placeholder;
+                const value = params[name];
+                return escape(typeof value === 'number' ? I18n.formatNumber(value) : value);
+            });
+        },
+
+        formatNumber: (value, options) => value.toLocaleString(I18n.language, options),
+
+        formatDate: (timestamp) => new Date(timestamp).toLocaleDateString(I18n.language),
+
+        formatTime: (timestamp) => new Date(timestamp).toLocaleTimeString(I18n.language),
+
+        // Fill in static markup: data-i18n sets the text, data-i18n-title the
+        // title and accessible name, data-i18n-placeholder the placeholder
+        translate: (root) => {
+            root.lang = I18n.language;
+            root.querySelectorAll('[data-i18n]').forEach(element => {
+                element.textContent = I18n.t(element.dataset.i18n);
+            });
+            root.querySelectorAll('[data-i18n-title]').forEach(element => {
+                element.title = I18n.t(element.dataset.i18nTitle);
+                element.setAttribute('aria-label', element.title);
+            });
+            root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+                element.placeholder = I18n.t(element.dataset.i18nPlaceholder);
+            });
+        }
+    };
+
+    /* ==========================================
+       SETTINGS SCHEMA
+       ========================================== */
+
+    // Every setting with its type, allowed values and default. Stored settings
+    // are upgraded through MIGRATIONS, validated field by field and merged
+    // over the defaults, so keys added in later versions always have a value.
+    const SettingsSchema = {
+        FIELDS: {
+            autoOpen: { type: 'boolean', default: false },
+            showCoordinates: { type: 'boolean', default: true },
+            mapType: { type: 'string', default: CONFIG.MAP_TYPE, enum: ['satellite', 'roadmap', 'hybrid', 'terrain'] },
+            // Keys of MapView.PROVIDERS
+            mapProvider: { type: 'string', default: CONFIG.MAP_PROVIDER, enum: ['esri', 'osm', 'custom'] },
+            // Tile URL template with {z}, {x} and {y} placeholders ({s} subdomains are optional)
+            tileUrl: { type: 'string', default: CONFIG.TILE_URL, pattern: /^https?:\/\/(?=.*\{z\})(?=.*\{x\})(?=.*\{y\})/ },
+            defaultZoom: { type: 'integer', default: CONFIG.DEFAULT_ZOOM, min: 1, max: 20 },
+            showHistory: { type: 'boolean', default: true },
+            playSound: { type: 'boolean', default: false },
+            // 'auto' or a key of I18n.CATALOGS
+            language: { type: 'string', default: 'auto', enum: ['auto', 'en', 'tr'] },
+            // Keys of Theme.THEMES, or 'system' to follow prefers-color-scheme
+            theme: { type: 'string', default: CONFIG.THEME, enum: ['dark', 'light', 'high-contrast', 'system'] },
+            accentColor: { type: 'string', default: CONFIG.ACCENT_COLOR, pattern: /^#[0-9a-f]{6}$/i },
+            coordFormat: { type: 'string', default: 'dd', enum: ['dd', 'dms', 'ddm', 'utm', 'mgrs', 'olc', 'geohash'] },
+            distanceUnit: { type: 'string', default: 'km', enum: ['km', 'mi'] },
+            // Practice scoring curve, see Scoring.score
+            scoreMapSize: { type: 'number', default: CONFIG.SCORE_MAP_SIZE, min: 1, max: 20038 },
+            scoreDecay: { type: 'number', default: CONFIG.SCORE_DECAY, min: 0.1, max: 100 },
+            // Coordinate format -> precision, see CoordFormats.FORMATS for ranges
+            coordPrecision: { type: 'object', default: {}, values: { type: 'integer', min: 0, max: 15 } },
+            // Extraction strategy name -> enabled
+            strategies: { type: 'object', default: {}, values: { type: 'boolean' } },
+            // Shortcut action -> key combo overriding Shortcuts.ACTIONS, '' unbinds
+            shortcuts: { type: 'object', default: {}, values: { type: 'string', pattern: /^$|^(?:(?:Ctrl|Alt|Shift|Meta)\+)*\S+$/ } }
+        },
+
+        // Ordered upgrade steps; each receives settings at the previous version
+        MIGRATIONS: [
+            {
+                version: 1,
+                // Settings saved before the schema existed carry no version;
+                // defaults merging fills in every key added since
+                migrate: (settings) => settings
+            },
+            {
+                version: 2,
+                // Map providers: keep the tiles already in use, i.e. the changed
+                // tile URL or else OpenStreetMap. Only new installs get MAP_PROVIDER.
+                migrate: (settings) => ({
+                    ...settings,
+                    mapProvider: settings.tileUrl && settings.tileUrl !== CONFIG.TILE_URL
+                        ? 'custom'
+                        : 'osm'
+                })
+            },
+            {
+                version: 3,
+                // Themes: carry over the old dark mode flag if it was ever saved
+                migrate: (settings) => ({
+                    ...settings,
+                    theme: Storage.get(CONFIG.STORAGE_KEYS.DARK_MODE, true) === false ? 'light' : CONFIG.THEME
+                })
+            }
+        ],
+
+        get VERSION() {
+            return SettingsSchema.MIGRATIONS[SettingsSchema.MIGRATIONS.length - 1].version;
+        },
+
+        getDefaults: () => {
+            const defaults = { version: SettingsSchema.VERSION };
+            Object.entries(SettingsSchema.FIELDS).forEach(([key, field]) => {
+                defaults[key] = Utils.isPlainObject(field.default)
+                    ? Utils.deepMerge({}, field.default)
+                    : field.default;
+            });
+            return defaults;
+        },
+
+        isValidValue: (field, value) => {
+            switch (field.type) {
+                case 'boolean':
+                    return typeof value === 'boolean';
+                case 'integer':
+                case 'number':
+                    if (typeof value !== 'number' || isNaN(value)) return false;
+                    if (field.type === 'integer' && !Number.isInteger(value)) return false;
+                    if (field.min !== undefined && value < field.min) return false;
+                    if (field.max !== undefined && value > field.max) return false;
+                    return true;
+                case 'string':
+                    if (typeof value !== 'string') return false;
+                    if (field.pattern && !field.pattern.test(value)) return false;
+                    return !field.enum || field.enum.includes(value);
+                case 'object':
+                    if (!Utils.isPlainObject(value)) return false;
+                    return !field.values || Object.values(value).every(v => SettingsSchema.isValidValue(field.values, v));
+                default:
+                    return false;
+            }
+        },
+
+        migrate: (stored) => {
+            let settings = { ...stored };
+            const from = typeof settings.version === 'number' ? settings.version : 0;
+
+            SettingsSchema.MIGRATIONS
+                .filter(migration => migration.version > from)
+                .forEach(migration => {
+                    try {
+                        settings = migration.migrate(settings) || settings;
+                        Utils.log(`Settings migrated to version ${migration.version}`);
+                    } catch (err) {
+                        Utils.error(`Settings migration to version ${migration.version} failed:`, err);
+                    }
+                });
+
+            settings.version = Math.max(from, SettingsSchema.VERSION);
+            return settings;
+        },
+
+        // Validate known keys against the schema. Invalid values are logged and
+        // replaced with the fallback value for that key; unknown keys are dropped.
+        validate: (settings, fallback) => {
+            const result = { version: settings.version };
+
+            Object.entries(SettingsSchema.FIELDS).forEach(([key, field]) => {
+                const value = settings[key];
+                if (value === undefined) return;
+
+                if (SettingsSchema.isValidValue(field, value)) {
+                    result[key] = value;
+                } else {
+                    Utils.error(`Invalid setting "${key}":`, value, '- keeping', fallback[key]);
+                    result[key] = fallback[key];
+                }
+            });
+
+            Object.keys(settings)
+                .filter(key => key !== 'version' && !(key in SettingsSchema.FIELDS))
+                .forEach(key => Utils.log(`Dropping unknown setting "${key}"`));
+
+            return result;
+        },
+
+        // Stored settings -> complete, valid settings at the current version
+        normalize: (stored, fallback = SettingsSchema.getDefaults()) => {
+            const defaults = SettingsSchema.getDefaults();
+            if (!Utils.isPlainObject(stored)) return defaults;
+
+            const validated = SettingsSchema.validate(SettingsSchema.migrate(stored), fallback);
+            return Utils.deepMerge(defaults, validated);
+        }
+    };
+
+    /* ==========================================
+       EVENT BUS
+       ========================================== */
+
+    // Minimal publish/subscribe bus. Events in use:
+    //   location:detected  - an extraction strategy produced a fix
+    //   location:changed   - the fix differs from App.currentLocation
+    //   settings:changed   - Storage.saveSettings stored new settings
+    //   ui:shown           - the main container was opened
+    //   map:loading        - the map view started loading tiles (true) or finished (false)
+    //   map:click          - the map view was clicked, with the wrapped { lat, lng }
+    const Events = {
+        listeners: {},
+
+        on: (event, handler) => {
+            if (!Events.listeners[event]) {
+                Events.listeners[event] = [];
+            }
+            Events.listeners[event].push(handler);
+            return () => Events.off(event, handler);
+        },
+
+        once: (event, handler) => {
+            const unsubscribe = Events.on(event, (payload) => {
+                unsubscribe();
+                handler(payload);
+            });
+            return unsubscribe;
+        },
+
+        off: (event, handler) => {
+            if (!Events.listeners[event]) return;
+            Events.listeners[event] = Events.listeners[event].filter(h => h !== handler);
+        },
+
+        emit: (event, payload) => {
+            // Copy so handlers can unsubscribe while we iterate
+            (Events.listeners[event] || []).slice().forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (err) {
+                    Utils.error(`Event handler for "${event}" failed:`, err);
+                }
+            });
+        },
+
+        clear: () => {
+            Events.listeners = {};
         }
     };
 
@@ -159,1184 +928,6439 @@
             }
         },
 
+        // Normalized settings, filled on first read and replaced on every save
+        settings: null,
+
+        // Callers get their own copy, so editing it before saveSettings
+        // does not change the cached settings
         getSettings: () => {
-            return Storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {
-                autoOpen: false,
-                showCoordinates: true,
-                mapType: CONFIG.MAP_TYPE,
-                defaultZoom: CONFIG.DEFAULT_ZOOM,
-                showHistory: true,
-                playSound: false
-            });
+            if (!Storage.settings) {
+                Storage.settings = SettingsSchema.normalize(Storage.get(CONFIG.STORAGE_KEYS.SETTINGS, null));
+            }
+            return Utils.deepMerge({}, Storage.settings);
         },
 
+        // Invalid values are rejected in favour of the previously saved ones
         saveSettings: (settings) => {
-            Storage.set(CONFIG.STORAGE_KEYS.SETTINGS, settings);
+            const previous = Storage.getSettings();
+            const normalized = SettingsSchema.normalize({ ...settings, version: SettingsSchema.VERSION }, previous);
+            Storage.set(CONFIG.STORAGE_KEYS.SETTINGS, normalized);
+            Storage.settings = normalized;
+            Events.emit('settings:changed', { settings: Storage.getSettings(), previous });
+        },
+
+        // Persist migrated settings once so older stored versions are upgraded
+        upgradeSettings: () => {
+            const stored = Storage.get(CONFIG.STORAGE_KEYS.SETTINGS, null);
+            if (stored && stored.version !== SettingsSchema.VERSION) {
+                Storage.set(CONFIG.STORAGE_KEYS.SETTINGS, Storage.getSettings());
+                Storage.remove(CONFIG.STORAGE_KEYS.DARK_MODE);
+                Utils.log(`Settings upgraded from version ${stored.version || 0} to ${SettingsSchema.VERSION}`);
+            }
+        },
+
+        // Location history lives in IndexedDB (see HistoryDB); all history
+        // methods are async and log and swallow database errors.
+        getLocationHistory: async () => {
+            try {
+                return await HistoryDB.getAll();
+            } catch (err) {
+                Utils.error('History read error:', err);
+                return [];
+            }
+        },
+
+        // Paged read, see HistoryDB.query for options
+        queryLocationHistory: async (options) => {
+            try {
+                return await HistoryDB.query(options);
+            } catch (err) {
+                Utils.error('History query error:', err);
+                return [];
+            }
         },
 
-        getLocationHistory: () => {
-            return Storage.get(CONFIG.STORAGE_KEYS.LOCATION_HISTORY, []);
+        listHistoryGames: async () => {
+            try {
+                return await HistoryDB.listGames();
+            } catch (err) {
+                Utils.error('History games read error:', err);
+                return [];
+            }
+        },
+
+        countLocationHistory: async () => {
+            try {
+                return await HistoryDB.count();
+            } catch (err) {
+                Utils.error('History count error:', err);
+                return 0;
+            }
         },
 
-        addLocationToHistory: (location) => {
-            let history = Storage.getLocationHistory();
+        addLocationToHistory: async (location) => {
             const timestamp = Date.now();
             const entry = { ...location, timestamp };
 
-            // Prevent duplicates
-            history = history.filter(h =>
-                h.lat !== location.lat || h.lng !== location.lng
-            );
-
-            history.unshift(entry);
+            try {
+                // Prevent duplicates
+                const id = await HistoryDB.addUnique(entry);
 
-            // Limit history size
-            if (history.length > CONFIG.MAX_HISTORY) {
-                history = history.slice(0, CONFIG.MAX_HISTORY);
+                // Limit history size
+                await HistoryDB.trim(CONFIG.MAX_HISTORY);
+                return id;
+            } catch (err) {
+                Utils.error('History write error:', err);
+                return null;
             }
+        },
 
-            Storage.set(CONFIG.STORAGE_KEYS.LOCATION_HISTORY, history);
+        // Star, note or tag a stored entry; resolves to the updated entry or null
+        updateLocationInHistory: async (id, changes) => {
+            try {
+                return await HistoryDB.update(id, changes);
+            } catch (err) {
+                Utils.error('History update error:', err);
+                return null;
+            }
         },
 
-        clearLocationHistory: () => {
-            Storage.set(CONFIG.STORAGE_KEYS.LOCATION_HISTORY, []);
-        }
-    };
+        // Merge entries from another source, keeping existing entries on duplicates
+        mergeLocationsIntoHistory: async (entries) => {
+            try {
+                const { ids, skipped } = await HistoryDB.addMissing(
+                    entries.map(location => ({ ...location, timestamp: location.timestamp || Date.now() }))
+                );
 
-    /* ==========================================
-       LOCATION EXTRACTOR
-       ========================================== */
+                // Limit history size; imported entries that fall off count as skipped
+                const trimmed = await HistoryDB.trim(CONFIG.MAX_HISTORY);
+                const imported = ids.filter(id => !trimmed.includes(id)).length;
 
-    const LocationExtractor = {
-        currentLocation: null,
-        observers: [],
+                return { imported, skipped: skipped + ids.length - imported };
+            } catch (err) {
+                Utils.error('History merge error:', err);
+                return { imported: 0, skipped: entries.length };
+            }
+        },
 
-        // Simple extraction like the original script
-        extractFromIframe: () => {
+        // Resolves to the deleted entries, for undo
+        deleteLocationsFromHistory: async (ids) => {
             try {
-                const iframes = document.querySelectorAll('iframe[src*="google.com/maps"]');
+                return await HistoryDB.remove(ids);
+            } catch (err) {
+                Utils.error('History delete error:', err);
+                return [];
+            }
+        },
 
-                for (const iframe of iframes) {
-                    try {
-                        const url = new URL(iframe.src);
-
-                        // Try pb parameter (most common)
-                        if (url.searchParams.has('pb')) {
-                            const pb = url.searchParams.get('pb');
-                            const match = pb.match(/!3d(-?[\d.]+)!4d(-?[\d.]+)/);
-                            if (match) {
-                                return {
-                                    lat: parseFloat(match[1]),
-                                    lng: parseFloat(match[2]),
-                                    source: 'iframe-pb'
-                                };
-                            }
-                        }
+        // Resolves to the number of restored entries, or null on failure
+        restoreLocationsToHistory: async (entries) => {
+            try {
+                const { ids } = await HistoryDB.restore(entries);
+                return ids.length;
+            } catch (err) {
+                Utils.error('History restore error:', err);
+                return null;
+            }
+        },
 
-                        // Try location parameter
-                        if (url.searchParams.has('location')) {
-                            const coords = Utils.parseCoordinates(url.searchParams.get('location'));
-                            if (coords) return { ...coords, source: 'iframe-location' };
-                        }
-                    } catch (err) {
-                        continue;
-                    }
-                }
+        // Moves every entry to the trash; resolves to the number moved
+        clearLocationHistory: async () => {
+            try {
+                return await HistoryDB.clear();
             } catch (err) {
-                Utils.error('extractFromIframe error:', err);
+                Utils.error('History clear error:', err);
+                return 0;
             }
-            return null;
         },
 
-        // Method 2: Intercept XHR/Fetch requests
-        interceptNetworkRequests: () => {
-            // Intercept fetch
-            const originalFetch = window.fetch;
-            window.fetch = async function(...args) {
-                const response = await originalFetch.apply(this, args);
+        // Undo clearLocationHistory; resolves to the number of restored entries, or null on failure
+        restoreClearedHistory: async () => {
+            try {
+                const restored = await HistoryDB.restoreTrash();
+                await HistoryDB.trim(CONFIG.MAX_HISTORY);
+                return restored;
+            } catch (err) {
+                Utils.error('History restore error:', err);
+                return null;
+            }
+        }
+    };
 
-                try {
-                    const url = args[0]?.toString() || '';
-                    if (url.includes('maps') || url.includes('location') || url.includes('coordinates')) {
-                        // Clone response to read it
-                        const clonedResponse = response.clone();
-                        const text = await clonedResponse.text();
-
-                        // Try to find coordinates in response
-                        const coordMatch = text.match(/[-]?\d+\.\d+,\s*[-]?\d+\.\d+/g);
-                        if (coordMatch) {
-                            const coords = Utils.parseCoordinates(coordMatch[0]);
-                            if (coords && coords.lat >= -90 && coords.lat <= 90 &&
-                                coords.lng >= -180 && coords.lng <= 180) {
-                                LocationExtractor.currentLocation = { ...coords, source: 'fetch' };
-                                Utils.log('Location found via fetch:', coords);
-                            }
+    /* ==========================================
+       HISTORY DATABASE
+       ========================================== */
+
+    // IndexedDB backend for the location history. Entries are keyed by an
+    // auto-increment id and indexed by timestamp, session (game id), country
+    // and coordinates so large histories can be paged and de-duplicated
+    // without loading everything.
+    // Unlike GM storage the database belongs to the page's origin, so the
+    // site's own scripts can read and change it (see the README).
+    const HistoryDB = {
+        DB_NAME: 'og_enhanced',
+        DB_VERSION: 2,
+        STORE: 'history',
+        // Entries removed by the last clear, kept until the next clear or page load for undo
+        TRASH: 'trash',
+        opening: null,
+
+        open: () => {
+            if (!HistoryDB.opening) {
+                HistoryDB.opening = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(HistoryDB.DB_NAME, HistoryDB.DB_VERSION);
+
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(HistoryDB.STORE)) {
+                            const store = db.createObjectStore(HistoryDB.STORE, { keyPath: 'id', autoIncrement: true });
+                            store.createIndex('timestamp', 'timestamp');
+                            store.createIndex('session', 'gameId');
+                            store.createIndex('country', 'country');
+                            store.createIndex('coords', ['lat', 'lng']);
                         }
-                    }
-                } catch (err) {
-                    // Silent fail - response might not be text
-                }
+                        if (!db.objectStoreNames.contains(HistoryDB.TRASH)) {
+                            db.createObjectStore(HistoryDB.TRASH, { keyPath: 'id' });
+                        }
+                    };
 
-                return response;
-            };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                    request.onblocked = () => reject(new Error('History database is blocked by another tab'));
+                }).then(db => HistoryDB.migrateLegacyHistory(db).then(() => db))
+                    .then(db => HistoryDB.emptyTrash(db).then(() => db));
 
-            // Intercept XMLHttpRequest
-            const originalOpen = XMLHttpRequest.prototype.open;
-            const originalSend = XMLHttpRequest.prototype.send;
+                // Allow a retry after a failed open
+                HistoryDB.opening.catch(() => {
+                    HistoryDB.opening = null;
+                });
+            }
+            return HistoryDB.opening;
+        },
 
-            XMLHttpRequest.prototype.open = function(method, url, ...args) {
-                this._url = url;
-                return originalOpen.apply(this, [method, url, ...args]);
-            };
+        // Run requests inside one transaction. The callback issues requests
+        // synchronously and stores its result in result.value. Transactions
+        // that also need the trash get its store as a third argument.
+        run: async (mode, callback, { trash = false } = {}) => {
+            const db = await HistoryDB.open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(trash ? [HistoryDB.STORE, HistoryDB.TRASH] : HistoryDB.STORE, mode);
+                const result = { value: undefined };
+                tx.oncomplete = () => resolve(result.value);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+                callback(tx.objectStore(HistoryDB.STORE), result, trash ? tx.objectStore(HistoryDB.TRASH) : null);
+            });
+        },
 
-            XMLHttpRequest.prototype.send = function(...args) {
-                this.addEventListener('load', function() {
-                    try {
-                        if (this._url && (this._url.includes('maps') || this._url.includes('location'))) {
-                            const coordMatch = this.responseText.match(/[-]?\d+\.\d+,\s*[-]?\d+\.\d+/g);
-                            if (coordMatch) {
-                                const coords = Utils.parseCoordinates(coordMatch[0]);
-                                if (coords && coords.lat >= -90 && coords.lat <= 90) {
-                                    LocationExtractor.currentLocation = { ...coords, source: 'xhr' };
-                                    Utils.log('Location found via XHR:', coords);
-                                }
-                            }
-                        }
-                    } catch (err) {
-                        // Silent fail
-                    }
+        // A trash left over from an earlier page can no longer be undone
+        emptyTrash: (db) => new Promise((resolve, reject) => {
+            const tx = db.transaction(HistoryDB.TRASH, 'readwrite');
+            tx.objectStore(HistoryDB.TRASH).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }),
+
+        // Move the old GM_setValue array into the database on first run
+        migrateLegacyHistory: (db) => {
+            const legacy = Storage.get(CONFIG.STORAGE_KEYS.LOCATION_HISTORY, null);
+            if (!Array.isArray(legacy) || legacy.length === 0) {
+                return Promise.resolve();
+            }
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(HistoryDB.STORE, 'readwrite');
+                const store = tx.objectStore(HistoryDB.STORE);
+
+                // Oldest first so ids follow chronological order
+                legacy.slice().reverse().forEach(entry => {
+                    const { id, ...fields } = entry;
+                    store.add({ ...fields, timestamp: fields.timestamp || Date.now() });
                 });
-                return originalSend.apply(this, args);
-            };
+
+                tx.oncomplete = () => {
+                    Storage.remove(CONFIG.STORAGE_KEYS.LOCATION_HISTORY);
+                    Utils.log(`Migrated ${legacy.length} history entries to IndexedDB`);
+                    resolve();
+                };
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
         },
 
-        // Method 3: Monitor DOM for location data
-        monitorDOM: () => {
-            const observer = new MutationObserver((mutations) => {
-                for (const mutation of mutations) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === 1) { // Element node
-                            // Check for iframes
-                            if (node.tagName === 'IFRAME' && node.src.includes('google.com/maps')) {
-                                const location = LocationExtractor.extractFromIframe();
-                                if (location) {
-                                    LocationExtractor.currentLocation = location;
-                                }
-                            }
+        // All entries, newest first
+        getAll: () => HistoryDB.run('readonly', (store, result) => {
+            store.index('timestamp').getAll().onsuccess = (e) => {
+                result.value = e.target.result.reverse();
+            };
+        }),
 
-                            // Check child iframes
-                            const iframes = node.querySelectorAll?.('iframe[src*="google.com/maps"]');
-                            if (iframes?.length > 0) {
-                                const location = LocationExtractor.extractFromIframe();
-                                if (location) {
-                                    LocationExtractor.currentLocation = location;
-                                }
-                            }
-                        }
+        count: () => HistoryDB.run('readonly', (store, result) => {
+            store.count().onsuccess = (e) => {
+                result.value = e.target.result;
+            };
+        }),
+
+        // Page through an index, e.g. query({ index: 'session', range: IDBKeyRange.only(id) }).
+        // filter runs on the cursor, so entries it rejects are never collected.
+        // after ({ key, id }) continues behind the last entry of the previous page.
+        query: ({ index = 'timestamp', range = null, direction = 'prev', offset = 0, limit = 50, filter = null, after = null } = {}) => {
+            return HistoryDB.run('readonly', (store, result) => {
+                result.value = [];
+                let skipped = offset === 0;
+                const backwards = direction.startsWith('prev');
+                const start = after ? HistoryDB.rangeFrom(range, after.key, backwards) : range;
+
+                store.index(index).openCursor(start, direction).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+
+                    if (!skipped) {
+                        skipped = true;
+                        cursor.advance(offset);
+                        return;
                     }
-                }
-            });
 
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
+                    // Entries sharing the resume key are ordered by id; skip the ones already paged
+                    const seen = after && indexedDB.cmp(cursor.key, after.key) === 0 &&
+                        (backwards ? cursor.primaryKey >= after.id : cursor.primaryKey <= after.id);
 
-            LocationExtractor.observers.push(observer);
+                    if (!seen && (!filter || filter(cursor.value))) {
+                        result.value.push(cursor.value);
+                    }
+                    if (result.value.length < limit) {
+                        cursor.continue();
+                    }
+                };
+            });
         },
 
-        // Get current location using all methods
-        getCurrentLocation: () => {
-            // Try iframe extraction first (most reliable)
-            const iframeLocation = LocationExtractor.extractFromIframe();
-            if (iframeLocation) {
-                LocationExtractor.currentLocation = iframeLocation;
-                return iframeLocation;
+        // Narrow a key range so a cursor in the given direction starts at key
+        rangeFrom: (range, key, backwards) => {
+            if (backwards) {
+                return range && range.lower !== undefined
+                    ? IDBKeyRange.bound(range.lower, key, range.lowerOpen, false)
+                    : IDBKeyRange.upperBound(key);
             }
-
-            // Return last known location from network interception
-            return LocationExtractor.currentLocation;
+            return range && range.upper !== undefined
+                ? IDBKeyRange.bound(key, range.upper, false, range.upperOpen)
+                : IDBKeyRange.lowerBound(key);
         },
 
-        initialize: () => {
-            Utils.log('Initializing location extractor...');
-            LocationExtractor.interceptNetworkRequests();
+        // One { gameId, startedAt, endedAt } summary per game, newest first like
+        // Session.groupHistory, read with a cursor instead of loading every entry
+        listGames: () => HistoryDB.run('readonly', (store, result) => {
+            result.value = [];
+            const byId = {};
 
-            // Wait for body to be available
-            if (document.body) {
-                LocationExtractor.monitorDOM();
-            } else {
-                document.addEventListener('DOMContentLoaded', () => {
-                    LocationExtractor.monitorDOM();
-                });
-            }
-        },
+            store.index('timestamp').openCursor(null, 'prev').onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
 
-        cleanup: () => {
-            LocationExtractor.observers.forEach(observer => observer.disconnect());
-            LocationExtractor.observers = [];
-        }
-    };
+                const { gameId = 'legacy', timestamp } = cursor.value;
+                if (!byId[gameId]) {
+                    byId[gameId] = { gameId, startedAt: timestamp, endedAt: timestamp };
+                    result.value.push(byId[gameId]);
+                }
+                byId[gameId].startedAt = Math.min(byId[gameId].startedAt, timestamp);
+                cursor.continue();
+            };
+        }),
+
+        // User annotations and practice results; entries carrying any of them
+        // are never trimmed
+        ANNOTATION_FIELDS: ['favorite', 'notes', 'tags', 'guess'],
+
+        isProtected: (entry) => HistoryDB.ANNOTATION_FIELDS.some(field =>
+            Array.isArray(entry[field]) ? entry[field].length > 0 : !!entry[field]
+        ),
+
+        // Add an entry, replacing older entries at the same coordinates.
+        // Annotations of a replaced entry carry over to the new one. Entries
+        // with a practice guess are kept instead, so every scored round stays
+        // in the history with its own result and a revisit starts unscored.
+        addUnique: (entry) => HistoryDB.run('readwrite', (store, result) => {
+            store.index('coords').getAll([entry.lat, entry.lng]).onsuccess = (e) => {
+                const annotations = {};
+                e.target.result.forEach(existing => {
+                    if (existing.guess) return;
+                    HistoryDB.ANNOTATION_FIELDS.forEach(field => {
+                        if (existing[field] !== undefined) annotations[field] = existing[field];
+                    });
+                    store.delete(existing.id);
+                });
 
-    /* ==========================================
-       UI MANAGER
+                store.add({ ...annotations, ...entry }).onsuccess = (event) => {
+                    result.value = event.target.result;
+                };
+            };
+        }),
+
+        // Merge changes into a stored entry; resolves to the updated entry or null
+        update: (id, changes) => HistoryDB.run('readwrite', (store, result) => {
+            result.value = null;
+            store.get(id).onsuccess = (e) => {
+                if (!e.target.result) return;
+                result.value = { ...e.target.result, ...changes, id };
+                store.put(result.value);
+            };
+        }),
+
+        // Add entries whose coordinates are not stored yet.
+        // Resolves to the ids of the added entries and the number skipped.
+        addMissing: (entries) => HistoryDB.run('readwrite', (store, result) => {
+            result.value = { ids: [], skipped: 0 };
+            const seen = new Set();
+
+            entries.forEach(entry => {
+                const key = `${entry.lat},${entry.lng}`;
+                store.index('coords').count([entry.lat, entry.lng]).onsuccess = (e) => {
+                    if (e.target.result > 0 || seen.has(key)) {
+                        result.value.skipped++;
+                        return;
+                    }
+                    seen.add(key);
+                    store.add(entry).onsuccess = (event) => {
+                        result.value.ids.push(event.target.result);
+                    };
+                };
+            });
+        }),
+
+        // Delete the oldest entries beyond max, skipping starred and annotated
+        // ones; resolves to the deleted ids
+        trim: (max) => HistoryDB.run('readwrite', (store, result) => {
+            result.value = [];
+            store.count().onsuccess = (e) => {
+                let excess = e.target.result - max;
+                if (excess <= 0) return;
+
+                store.index('timestamp').openCursor(null, 'next').onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    if (HistoryDB.isProtected(cursor.value)) {
+                        cursor.continue();
+                        return;
+                    }
+                    result.value.push(cursor.primaryKey);
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+        }),
+
+        // Delete entries by id; resolves to the deleted entries so they can be restored
+        remove: (ids) => HistoryDB.run('readwrite', (store, result) => {
+            result.value = [];
+            ids.forEach(id => {
+                store.get(id).onsuccess = (e) => {
+                    if (!e.target.result) return;
+                    result.value.push(e.target.result);
+                    store.delete(id);
+                };
+            });
+        }),
+
+        // Put deleted entries back under new ids, skipping any whose coordinates
+        // were captured again in the meantime; resolves like addMissing
+        restore: (entries) => HistoryDB.addMissing(entries.map(({ id, ...entry }) => entry)),
+
+        // Move every entry into the trash, replacing what an earlier clear left
+        // there; resolves to the number of moved entries
+        clear: () => HistoryDB.run('readwrite', (store, result, trash) => {
+            result.value = 0;
+            trash.clear();
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                trash.add(cursor.value);
+                cursor.delete();
+                result.value++;
+                cursor.continue();
+            };
+        }, { trash: true }),
+
+        // Move the trash back under new ids, skipping coordinates captured again
+        // since the clear; resolves to the number of restored entries
+        restoreTrash: () => HistoryDB.run('readwrite', (store, result, trash) => {
+            result.value = 0;
+            const seen = new Set();
+
+            trash.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+
+                const { id, ...entry } = cursor.value;
+                const key = `${entry.lat},${entry.lng}`;
+                store.index('coords').count([entry.lat, entry.lng]).onsuccess = (event) => {
+                    if (event.target.result > 0 || seen.has(key)) return;
+                    seen.add(key);
+                    store.add(entry);
+                    result.value++;
+                };
+                cursor.delete();
+                cursor.continue();
+            };
+        }, { trash: true })
+    };
+
+    /* ==========================================
+       GAME SESSIONS
        ========================================== */
 
-    const UI = {
-        elements: {},
-        isDragging: false,
-        isResizing: false,
-        dragOffset: { x: 0, y: 0 },
-        resizeStart: { x: 0, y: 0, width: 0, height: 0 },
+    // Tracks which game and round a location belongs to. A new round starts
+    // whenever the Street View iframe moves to a new location; a new game
+    // starts when the page URL changes or after a long pause between rounds.
+    const Session = {
+        current: null,
 
-        injectStyles: () => {
-            GM_addStyle(`
-                :root {
-                    --og-bg-color: rgba(30, 30, 30, 0.95);
-                    --og-header-bg-color: rgba(44, 47, 51, 0.5);
-                    --og-text-color: #f0f0f0;
-                    --og-border-color: rgba(255, 255, 255, 0.1);
-                    --og-shadow-color: rgba(0, 0, 0, 0.5);
-                    --og-accent-color: #a100c2;
-                    --og-button-close-bg: #e74c3c;
-                    --og-font: 'Segoe UI', 'Roboto', 'Helvetica Neue', sans-serif;
-                }
+        load: () => {
+            if (!Session.current) {
+                Session.current = Storage.get(CONFIG.STORAGE_KEYS.SESSION, null);
+            }
+            return Session.current;
+        },
 
-                #og-enhanced-container {
-                    position: fixed;
-                    bottom: 20px;
-                    right: 20px;
-                    width: 700px;
-                    height: 500px;
-                    display: none;
-                    flex-direction: column;
-                    background-color: var(--og-bg-color);
-                    border: 1px solid var(--og-border-color);
-                    box-shadow: 0 8px 32px 0 var(--og-shadow-color);
-                    z-index: 10000;
-                    border-radius: 12px;
-                    overflow: hidden;
-                    font-family: var(--og-font);
-                    opacity: 0;
-                    transform: scale(0.98) translateY(10px);
-                    transition: opacity 0.3s ease, transform 0.3s ease;
-                    resize: both;
-                    min-width: 300px;
-                    min-height: 250px;
-                }
+        save: () => {
+            Storage.set(CONFIG.STORAGE_KEYS.SESSION, Session.current);
+        },
 
-                #og-enhanced-container.visible {
-                    opacity: 1;
-                    transform: scale(1) translateY(0);
-                }
+        getPageKey: () => window.location.pathname,
 
-                .og-header {
-                    height: 40px;
-                    background-color: var(--og-header-bg-color);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    padding: 0 15px;
-                    cursor: grab;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    border-bottom: 1px solid var(--og-border-color);
-                    flex-shrink: 0;
-                    user-select: none;
-                    -webkit-user-select: none;
-                }
+        isNewGame: (session, now) => {
+            if (!session) return true;
+            if (now - session.lastSeenAt > CONFIG.SESSION_GAP) return true;
+            return session.page !== Session.getPageKey();
+        },
 
-                .og-header:active {
-                    cursor: grabbing;
-                }
+        startGame: (now = Date.now()) => {
+            Session.current = {
+                gameId: `g-${now.toString(36)}`,
+                round: 0,
+                startedAt: now,
+                lastSeenAt: now,
+                page: Session.getPageKey()
+            };
+            Utils.log('New game started:', Session.current.gameId);
+            return Session.current;
+        },
 
-                .og-header-left {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
-                }
+        // Advance to the next round (starting a new game if needed) and
+        // return the fields to store on the history entry
+        registerRound: (now = Date.now()) => {
+            let session = Session.load();
+            if (Session.isNewGame(session, now)) {
+                session = Session.startGame(now);
+            }
 
-                .og-logo {
-                    color: var(--og-text-color);
-                    font-weight: 600;
-                    font-size: 0.9em;
-                }
+            session.round += 1;
+            session.lastSeenAt = now;
+            Session.save();
 
-                .og-status-indicator {
-                    width: 8px;
-                    height: 8px;
-                    border-radius: 50%;
-                    background: #10b981;
-                    animation: pulse 2s infinite;
-                }
+            return { gameId: session.gameId, round: session.round };
+        },
 
-                @keyframes pulse {
-                    0%, 100% { opacity: 1; }
-                    50% { opacity: 0.5; }
+        // Group history entries (newest first) into games, keeping each
+        // entry's index in the original array
+        groupHistory: (history) => {
+            const games = [];
+            const byId = {};
+
+            history.forEach((entry, index) => {
+                const gameId = entry.gameId || 'legacy';
+                if (!byId[gameId]) {
+                    byId[gameId] = { gameId, entries: [], startedAt: entry.timestamp, endedAt: entry.timestamp };
+                    games.push(byId[gameId]);
                 }
 
-                .og-header-right {
-                    display: flex;
-                    align-items: center;
-                    gap: 8px;
-                }
+                const game = byId[gameId];
+                game.entries.push({ entry, index });
+                game.startedAt = Math.min(game.startedAt, entry.timestamp);
+                game.endedAt = Math.max(game.endedAt, entry.timestamp);
+            });
 
-                .og-btn {
-                    padding: 6px 12px;
-                    border: none;
-                    border-radius: 6px;
-                    font-size: 13px;
-                    font-weight: 500;
-                    cursor: pointer;
-                    transition: all 0.2s;
-                    display: flex;
-                    align-items: center;
-                    gap: 6px;
-                    background: var(--og-accent-color);
-                    color: white;
-                }
+            return games;
+        }
+    };
 
-                .og-btn:hover {
-                    transform: translateY(-1px);
-                    opacity: 0.9;
-                }
+    /* ==========================================
+       HISTORY EXPORT
+       ========================================== */
 
-                .og-btn-icon {
-                    width: 28px;
-                    height: 28px;
-                    border-radius: 50%;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    border: none;
-                    cursor: pointer;
-                    transition: all 0.2s;
-                    background-color: transparent;
-                    color: var(--og-text-color);
-                    font-size: 16px;
-                }
+    const Exporter = {
+        FORMATS: {
+            geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+            kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+            gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+        },
 
-                .og-btn-icon:hover {
-                    background-color: rgba(161, 0, 194, 0.2);
-                    transform: scale(1.1);
-                }
+        // Everything on an entry except the coordinates is exported as metadata
+        getMetadata: (entry) => {
+            const { lat, lng, id, ...metadata } = entry;
+            if (typeof metadata.timestamp === 'number') {
+                metadata.time = new Date(metadata.timestamp).toISOString();
+            }
+            return metadata;
+        },
 
-                .og-btn-danger {
-                    background: var(--og-button-close-bg);
-                    color: white;
-                }
+        getName: (entry) => {
+            if (entry.round) return `Round ${entry.round}`;
+            return Utils.formatCoordinates(entry.lat, entry.lng);
+        },
 
-                .og-content {
-                    flex: 1;
-                    display: flex;
-                    flex-direction: column;
-                    overflow: hidden;
-                }
+        stringifyValue: (value) => {
+            if (value === null || value === undefined) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        },
 
-                .og-info-bar {
-                    padding: 10px 16px;
-                    background: rgba(161, 0, 194, 0.1);
-                    border-bottom: 1px solid var(--og-border-color);
-                    display: flex;
-                    align-items: center;
-                    justify-content: space-between;
-                    flex-shrink: 0;
-                    flex-wrap: wrap;
-                    gap: 8px;
-                }
+        escapeXML: (value) => {
+            return String(value).replace(/[&<>"']/g, char => ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&apos;'
+            })[char]);
+        },
 
-                .og-coordinates {
-                    font-family: 'Monaco', 'Courier New', monospace;
-                    font-size: 13px;
-                    color: var(--og-accent-color);
-                    font-weight: 600;
-                    user-select: all;
-                }
+        toGeoJSON: (history) => {
+            return JSON.stringify({
+                type: 'FeatureCollection',
+                features: history.map(entry => ({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [entry.lng, entry.lat]
+                    },
+                    properties: Exporter.getMetadata(entry)
+                }))
+            }, null, 2);
+        },
 
-                .og-map-container {
-                    flex: 1;
-                    position: relative;
-                    overflow: hidden;
-                }
+        toKML: (history) => {
+            const placemarks = history.map(entry => {
+                const metadata = Exporter.getMetadata(entry);
+                const data = Object.entries(metadata).map(([key, value]) =>
+                    `        <Data name="${Exporter.escapeXML(key)}"><value>${Exporter.escapeXML(Exporter.stringifyValue(value))}</value></Data>`
+                ).join('\n');
+
+                return [
+                    '    <Placemark>',
+                    `      <name>${Exporter.escapeXML(Exporter.getName(entry))}</name>`,
+                    entry.notes ? `      <description>${Exporter.escapeXML(entry.notes)}</description>` : '',
+                    metadata.time ? `      <TimeStamp><when>${metadata.time}</when></TimeStamp>` : '',
+                    '      <ExtendedData>',
+                    data,
+                    '      </ExtendedData>',
+                    `      <Point><coordinates>${entry.lng},${entry.lat},0</coordinates></Point>`,
+                    '    </Placemark>'
+                ].filter(Boolean).join('\n');
+            });
 
-                .og-map-iframe {
-                    width: 100%;
-                    height: 100%;
-                    border: none;
-                }
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<kml xmlns="http://www.opengis.net/kml/2.2">',
+                '  <Document>',
+                '    <name>OpenGuessr Location History</name>',
+                ...placemarks,
+                '  </Document>',
+                '</kml>'
+            ].join('\n');
+        },
 
-                .og-loading {
-                    position: absolute;
-                    top: 50%;
-                    left: 50%;
-                    transform: translate(-50%, -50%);
-                    text-align: center;
-                    color: var(--og-text-color);
-                }
+        toGPX: (history) => {
+            const waypoints = history.map(entry => {
+                const metadata = Exporter.getMetadata(entry);
+                const description = Object.entries(metadata)
+                    .map(([key, value]) => `${key}: ${Exporter.stringifyValue(value)}`)
+                    .join('; ');
+
+                return [
+                    `  <wpt lat="${entry.lat}" lon="${entry.lng}">`,
+                    metadata.time ? `    <time>${metadata.time}</time>` : '',
+                    `    <name>${Exporter.escapeXML(Exporter.getName(entry))}</name>`,
+                    entry.notes ? `    <cmt>${Exporter.escapeXML(entry.notes)}</cmt>` : '',
+                    `    <desc>${Exporter.escapeXML(description)}</desc>`,
+                    metadata.source ? `    <src>${Exporter.escapeXML(metadata.source)}</src>` : '',
+                    '  </wpt>'
+                ].filter(Boolean).join('\n');
+            });
 
-                .og-spinner {
-                    border: 3px solid rgba(161, 0, 194, 0.1);
-                    border-top: 3px solid var(--og-accent-color);
-                    border-radius: 50%;
-                    width: 40px;
-                    height: 40px;
-                    animation: spin 1s linear infinite;
-                    margin: 0 auto 10px;
-                }
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<gpx version="1.1" creator="OpenGuessr Pro Enhanced" xmlns="http://www.topografix.com/GPX/1/1">',
+                ...waypoints,
+                '</gpx>'
+            ].join('\n');
+        },
 
-                @keyframes spin {
-                    0% { transform: rotate(0deg); }
-                    100% { transform: rotate(360deg); }
-                }
+        toCSV: (history) => {
+            const rows = history.map(entry => Exporter.getMetadata(entry));
 
-                .og-settings-panel {
-                    position: fixed;
-                    width: 280px;
-                    background-color: var(--og-bg-color);
-                    backdrop-filter: blur(12px);
-                    -webkit-backdrop-filter: blur(12px);
-                    border: 1px solid var(--og-border-color);
-                    border-radius: 10px;
-                    padding: 15px;
-                    box-shadow: 0 4px 20px rgba(0,0,0,0.25);
-                    color: var(--og-text-color);
-                    font-family: var(--og-font);
-                    z-index: 1000000;
-                    display: none;
-                    opacity: 0;
-                    transform: translateX(-20px);
-                    transition: opacity 0.3s ease, transform 0.3s cubic-bezier(0.2, 0.8, 0.2, 1);
-                }
+            // Union of metadata keys so entries with extra fields keep them
+            const keys = [];
+            rows.forEach(row => Object.keys(row).forEach(key => {
+                if (!keys.includes(key)) keys.push(key);
+            }));
 
-                .og-settings-panel.visible {
-                    display: block;
-                    opacity: 1;
-                    transform: translateX(0);
-                }
+            const escapeCell = (value) => {
+                const text = Exporter.stringifyValue(value);
+                return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
 
-                .og-settings-title {
-                    font-size: 16px;
-                    font-weight: 600;
-                    margin-bottom: 15px;
-                }
+            const lines = [['lat', 'lng', ...keys].map(escapeCell).join(',')];
+            history.forEach((entry, index) => {
+                lines.push([entry.lat, entry.lng, ...keys.map(key => rows[index][key])].map(escapeCell).join(','));
+            });
 
-                .og-setting-item {
-                    margin-bottom: 15px;
-                }
+            return lines.join('\r\n');
+        },
 
-                .og-setting-label {
-                    display: block;
-                    font-size: 12px;
-                    font-weight: 500;
-                    margin-bottom: 6px;
-                }
+        build: (format, history) => {
+            switch (format) {
+                case 'geojson': return Exporter.toGeoJSON(history);
+                case 'kml': return Exporter.toKML(history);
+                case 'gpx': return Exporter.toGPX(history);
+                case 'csv': return Exporter.toCSV(history);
+                default: throw new Error(`Unknown export format: ${format}`);
+            }
+        },
 
-                .og-setting-input {
-                    width: 100%;
-                    padding: 8px;
-                    border: 1px solid var(--og-border-color);
-                    border-radius: 6px;
-                    background: rgba(50, 50, 50, 0.5);
-                    color: var(--og-text-color);
-                    font-size: 13px;
+        // Download the stored history; resolves to the number of exported entries
+        exportHistory: async (format) => {
+            const definition = Exporter.FORMATS[format];
+            if (!definition) {
+                Utils.error('Unknown export format:', format);
+                return 0;
+            }
+
+            const history = await Storage.getLocationHistory();
+            if (history.length === 0) return 0;
+
+            const date = new Date().toISOString().slice(0, 10);
+            Utils.downloadFile(
+                Exporter.build(format, history),
+                `openguessr-history-${date}.${definition.extension}`,
+                definition.mimeType
+            );
+            return history.length;
+        }
+    };
+
+    /* ==========================================
+       HISTORY IMPORT
+       ========================================== */
+
+    const Importer = {
+        LAT_COLUMNS: ['lat', 'latitude', 'y'],
+        LNG_COLUMNS: ['lng', 'lon', 'long', 'longitude', 'x'],
+        // Entry fields accepted from a file and the type each must have;
+        // everything else in the file is dropped
+        FIELDS: {
+            timestamp: 'number',
+            confidence: 'number',
+            heading: 'number',
+            pitch: 'number',
+            fov: 'number',
+            zoom: 'number',
+            cityDistance: 'number',
+            round: 'integer',
+            favorite: 'boolean',
+            source: 'string',
+            pano: 'string',
+            gameId: 'string',
+            country: 'string',
+            countryCode: 'string',
+            region: 'string',
+            city: 'string',
+            notes: 'string',
+            tags: 'tags',
+            guess: 'guess'
+        },
+
+        detectFormat: (filename, text) => {
+            const extension = (filename.split('.').pop() || '').toLowerCase();
+            if (['geojson', 'json'].includes(extension)) return 'geojson';
+            if (extension === 'kml') return 'kml';
+            if (extension === 'csv') return 'csv';
+
+            const start = text.trimStart();
+            if (start.startsWith('{') || start.startsWith('[')) return 'geojson';
+            if (start.startsWith('<')) return 'kml';
+            return 'csv';
+        },
+
+        // CSV and KML carry arrays and objects as JSON text
+        parseJSON: (value) => {
+            if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+            try {
+                return JSON.parse(value);
+            } catch (err) {
+                return undefined;
+            }
+        },
+
+        toNumber: (value) => {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && isFinite(number) ? number : undefined;
+        },
+
+        // A metadata value converted to the field's type, or undefined to drop it
+        parseField: (type, value) => {
+            if (value === null || value === undefined || value === '') return undefined;
+
+            switch (type) {
+                case 'number':
+                    return Importer.toNumber(value);
+                case 'integer': {
+                    const number = Importer.toNumber(value);
+                    return Number.isInteger(number) ? number : undefined;
+                }
+                case 'boolean':
+                    if (typeof value === 'boolean') return value;
+                    return /^(true|false)$/i.test(String(value).trim())
+                        ? String(value).trim().toLowerCase() === 'true'
+                        : undefined;
+                case 'string':
+                    return typeof value === 'string' ? value : undefined;
+                case 'tags': {
+                    const tags = Importer.parseJSON(value);
+                    return Array.isArray(tags) && tags.every(tag => typeof tag === 'string') ? tags : undefined;
+                }
+                case 'guess': {
+                    const guess = Importer.parseJSON(value);
+                    if (!Utils.isPlainObject(guess)) return undefined;
+
+                    const parsed = {};
+                    ['lat', 'lng', 'score', 'distanceKm', 'timestamp'].forEach(key => {
+                        const number = Importer.toNumber(guess[key]);
+                        if (number !== undefined) parsed[key] = number;
+                    });
+                    const valid = Utils.isValidCoordinate(parsed.lat, parsed.lng) && parsed.score !== undefined;
+                    return valid ? parsed : undefined;
                 }
+                default:
+                    return undefined;
+            }
+        },
 
-                .og-setting-input[type="range"] {
-                    padding: 0;
-                    height: 6px;
-                    background: rgba(161, 0, 194, 0.2);
-                    outline: none;
-                    -webkit-appearance: none;
+        // Turn exported metadata back into entry fields. Only known fields of
+        // the right type are kept, imported text ends up in the history markup.
+        normalizeMetadata: (metadata) => {
+            const fields = {};
+
+            Object.entries(Importer.FIELDS).forEach(([key, type]) => {
+                const value = Importer.parseField(type, metadata[key]);
+                if (value !== undefined) fields[key] = value;
+            });
+
+            if (fields.timestamp === undefined && typeof metadata.time === 'string') {
+                const parsed = Date.parse(metadata.time);
+                if (!isNaN(parsed)) fields.timestamp = parsed;
+            }
+
+            return fields;
+        },
+
+        parseGeoJSON: (text) => {
+            const data = JSON.parse(text);
+            const features = Array.isArray(data) ? data
+                : data.type === 'FeatureCollection' ? data.features || []
+                    : [data];
+
+            return features.map(feature => {
+                const coordinates = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : null;
+                // The Point geometry wins over any lat/lng in the properties
+                return {
+                    ...Importer.normalizeMetadata(feature?.properties || {}),
+                    lat: coordinates?.[1],
+                    lng: coordinates?.[0]
+                };
+            });
+        },
+
+        // RFC 4180 style parser: quoted cells may contain commas, quotes and newlines
+        parseCSVRows: (text) => {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let inQuotes = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (inQuotes) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        inQuotes = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
                 }
+            }
 
-                .og-setting-input[type="range"]::-webkit-slider-thumb {
-                    -webkit-appearance: none;
-                    appearance: none;
-                    width: 16px;
-                    height: 16px;
-                    background: var(--og-accent-color);
-                    cursor: pointer;
-                    border-radius: 50%;
+            if (cell !== '' || row.length > 0) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            return rows.filter(r => r.some(value => value.trim() !== ''));
+        },
+
+        parseCSV: (text) => {
+            const [header, ...rows] = Importer.parseCSVRows(text);
+            if (!header) return [];
+
+            const columns = header.map(name => name.trim());
+            const lowered = columns.map(name => name.toLowerCase());
+            const latIndex = lowered.findIndex(name => Importer.LAT_COLUMNS.includes(name));
+            const lngIndex = lowered.findIndex(name => Importer.LNG_COLUMNS.includes(name));
+            if (latIndex === -1 || lngIndex === -1) {
+                throw new Error('CSV needs latitude and longitude columns');
+            }
+
+            return rows.map(row => {
+                const metadata = {};
+                columns.forEach((name, index) => {
+                    if (index !== latIndex && index !== lngIndex && row[index] !== undefined) {
+                        metadata[name] = row[index];
+                    }
+                });
+
+                return {
+                    ...Importer.normalizeMetadata(metadata),
+                    lat: parseFloat(row[latIndex]),
+                    lng: parseFloat(row[lngIndex])
+                };
+            });
+        },
+
+        parseKML: (text) => {
+            const doc = new DOMParser().parseFromString(text, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('Invalid KML document');
+            }
+
+            return Array.from(doc.getElementsByTagName('Placemark')).map(placemark => {
+                const point = placemark.getElementsByTagName('Point')[0];
+                const coordinates = point?.getElementsByTagName('coordinates')[0]?.textContent.trim().split(',') || [];
+
+                const metadata = {};
+                Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                    const value = data.getElementsByTagName('value')[0];
+                    metadata[data.getAttribute('name')] = value ? value.textContent : '';
+                });
+
+                const when = placemark.getElementsByTagName('when')[0];
+                if (when && !metadata.time) metadata.time = when.textContent.trim();
+
+                return {
+                    ...Importer.normalizeMetadata(metadata),
+                    lat: parseFloat(coordinates[1]),
+                    lng: parseFloat(coordinates[0])
+                };
+            });
+        },
+
+        parse: (format, text) => {
+            switch (format) {
+                case 'geojson': return Importer.parseGeoJSON(text);
+                case 'kml': return Importer.parseKML(text);
+                case 'csv': return Importer.parseCSV(text);
+                default: throw new Error(`Unknown import format: ${format}`);
+            }
+        },
+
+        // Validate and merge a file into the history.
+        // Resolves to { imported, skipped, rejected }.
+        importFile: async (file) => {
+            const text = await file.text();
+            const format = Importer.detectFormat(file.name, text);
+            const records = Importer.parse(format, text);
+
+            const valid = records.filter(record => Utils.isValidCoordinate(record.lat, record.lng));
+            const rejected = records.length - valid.length;
+
+            const { imported, skipped } = await Storage.mergeLocationsIntoHistory(valid);
+            Utils.log(`Imported ${file.name} as ${format}:`, { imported, skipped, rejected });
+
+            return { imported, skipped, rejected };
+        }
+    };
+
+    /* ==========================================
+       COORDINATE FORMATS
+       ========================================== */
+
+    // Converters from WGS84 decimal degrees to the supported display formats.
+    // Each format has its own precision setting with the range given here.
+    const CoordFormats = {
+        FORMATS: {
+            dd: { label: 'Decimal degrees', precision: { default: 6, min: 0, max: 8 } },
+            dms: { label: 'Degrees, minutes, seconds', precision: { default: 1, min: 0, max: 3 } },
+            ddm: { label: 'Degrees, decimal minutes', precision: { default: 3, min: 0, max: 5 } },
+            utm: { label: 'UTM', precision: { default: 0, min: 0, max: 3 } },
+            mgrs: { label: 'MGRS', precision: { default: 5, min: 1, max: 5 } },
+            olc: { label: 'Plus Code', precision: { default: 10, min: 2, max: 15 } },
+            geohash: { label: 'Geohash', precision: { default: 9, min: 1, max: 12 } }
+        },
+
+        getPrecision: (format, settings) => {
+            const { precision } = CoordFormats.FORMATS[format];
+            const value = settings?.coordPrecision?.[format];
+            if (typeof value !== 'number') return precision.default;
+            return Math.min(precision.max, Math.max(precision.min, value));
+        },
+
+        // Format using the format and precision chosen in settings
+        formatLocation: (location, settings = Storage.getSettings(), format = settings.coordFormat) => {
+            return CoordFormats.format(location.lat, location.lng, format, CoordFormats.getPrecision(format, settings));
+        },
+
+        format: (lat, lng, format, precision) => {
+            switch (format) {
+                case 'dms': return CoordFormats.toDMS(lat, lng, precision);
+                case 'ddm': return CoordFormats.toDDM(lat, lng, precision);
+                case 'utm': return CoordFormats.toUTMString(lat, lng, precision);
+                case 'mgrs': return CoordFormats.toMGRS(lat, lng, precision);
+                case 'olc': return CoordFormats.toPlusCode(lat, lng, precision);
+                case 'geohash': return CoordFormats.toGeohash(lat, lng, precision);
+                default: return Utils.formatCoordinates(lat, lng, precision);
+            }
+        },
+
+        hemisphere: (value, positive, negative) => value < 0 ? negative : positive,
+
+        // 48°51'30.2"N 2°17'40.2"E
+        toDMS: (lat, lng, precision) => {
+            const part = (value, positive, negative) => {
+                const factor = Math.pow(10, precision);
+                const total = Math.round(Math.abs(value) * 3600 * factor) / factor;
+                const degrees = Math.floor(total / 3600);
+                const minutes = Math.floor((total - degrees * 3600) / 60);
+                const seconds = total - degrees * 3600 - minutes * 60;
+                return `${degrees}°${minutes}'${seconds.toFixed(precision)}"${CoordFormats.hemisphere(value, positive, negative)}`;
+            };
+            return `${part(lat, 'N', 'S')} ${part(lng, 'E', 'W')}`;
+        },
+
+        // 48°51.504'N 2°17.670'E
+        toDDM: (lat, lng, precision) => {
+            const part = (value, positive, negative) => {
+                const factor = Math.pow(10, precision);
+                const total = Math.round(Math.abs(value) * 60 * factor) / factor;
+                const degrees = Math.floor(total / 60);
+                const minutes = total - degrees * 60;
+                return `${degrees}°${minutes.toFixed(precision)}'${CoordFormats.hemisphere(value, positive, negative)}`;
+            };
+            return `${part(lat, 'N', 'S')} ${part(lng, 'E', 'W')}`;
+        },
+
+        // WGS84 transverse Mercator projection (Snyder), including the Norway
+        // and Svalbard zone exceptions. Valid between 80°S and 84°N.
+        toUTM: (lat, lng) => {
+            if (lat < -80 || lat > 84) return null;
+
+            let zone = Math.floor((lng + 180) / 6) + 1;
+            if (lng >= 180) zone = 60;
+            if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) zone = 32;
+            if (lat >= 72) {
+                if (lng >= 0 && lng < 9) zone = 31;
+                else if (lng >= 9 && lng < 21) zone = 33;
+                else if (lng >= 21 && lng < 33) zone = 35;
+                else if (lng >= 33 && lng < 42) zone = 37;
+            }
+
+            const a = 6378137;
+            const f = 1 / 298.257223563;
+            const k0 = 0.9996;
+            const e2 = f * (2 - f);
+            const ep2 = e2 / (1 - e2);
+            const rad = Math.PI / 180;
+
+            const phi = lat * rad;
+            const lambda = (lng - ((zone - 1) * 6 - 180 + 3)) * rad;
+            const sinPhi = Math.sin(phi);
+            const cosPhi = Math.cos(phi);
+            const tanPhi = Math.tan(phi);
+
+            const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+            const T = tanPhi * tanPhi;
+            const C = ep2 * cosPhi * cosPhi;
+            const A = cosPhi * lambda;
+            const M = a * (
+                (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * phi -
+                (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * phi) +
+                (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * phi) -
+                (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * phi)
+            );
+
+            const easting = k0 * N * (
+                A +
+                (1 - T + C) * Math.pow(A, 3) / 6 +
+                (5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5) / 120
+            ) + 500000;
+
+            let northing = k0 * (M + N * tanPhi * (
+                A * A / 2 +
+                (5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4) / 24 +
+                (61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6) / 720
+            ));
+            if (lat < 0) northing += 10000000;
+
+            const band = 'CDEFGHJKLMNPQRSTUVWXX'.charAt(Math.floor((lat + 80) / 8));
+            return { zone, band, easting, northing };
+        },
+
+        // 31U 448251 5411932
+        toUTMString: (lat, lng, precision) => {
+            const utm = CoordFormats.toUTM(lat, lng);
+            if (!utm) return 'Outside UTM range';
+            return `${utm.zone}${utm.band} ${utm.easting.toFixed(precision)} ${utm.northing.toFixed(precision)}`;
+        },
+
+        // 31U DQ 48251 11932 - precision is the number of digits per axis
+        toMGRS: (lat, lng, precision) => {
+            const utm = CoordFormats.toUTM(lat, lng);
+            if (!utm) return 'Outside MGRS range';
+
+            const set = (utm.zone - 1) % 6;
+            const columns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'][set % 3];
+            const rows = 'ABCDEFGHJKLMNPQRSTUV';
+
+            const column = columns.charAt(Math.floor(utm.easting / 100000) - 1);
+            const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+            const row = rows.charAt((Math.floor(utm.northing / 100000) + rowOffset) % 20);
+
+            const digits = (value) => String(Math.floor((value % 100000) / Math.pow(10, 5 - precision)))
+                .padStart(precision, '0');
+
+            return `${utm.zone}${utm.band} ${column}${row} ${digits(utm.easting)} ${digits(utm.northing)}`;
+        },
+
+        // Open Location Code, following the reference integer encoder
+        toPlusCode: (lat, lng, codeLength) => {
+            const ALPHABET = '23456789CFGHJMPQRVWX';
+            const LAT_PRECISION = 8000 * 3125;
+            const LNG_PRECISION = 8000 * 1024;
+
+            // Valid lengths are 2, 4, 6, 8 and 10 to 15
+            let length = Math.min(15, Math.max(2, codeLength));
+            if (length < 10 && length % 2 === 1) length += 1;
+
+            let latVal = Math.floor(lat * LAT_PRECISION) + 90 * LAT_PRECISION;
+            latVal = Math.min(Math.max(latVal, 0), 180 * LAT_PRECISION - 1);
+            let lngVal = Math.floor(lng * LNG_PRECISION) + 180 * LNG_PRECISION;
+            lngVal = ((lngVal % (360 * LNG_PRECISION)) + 360 * LNG_PRECISION) % (360 * LNG_PRECISION);
+
+            let code = '';
+            if (length > 10) {
+                for (let i = 0; i < 5; i++) {
+                    code = ALPHABET.charAt((latVal % 5) * 4 + (lngVal % 4)) + code;
+                    latVal = Math.floor(latVal / 5);
+                    lngVal = Math.floor(lngVal / 4);
                 }
+            } else {
+                latVal = Math.floor(latVal / 3125);
+                lngVal = Math.floor(lngVal / 1024);
+            }
 
-                .og-setting-input[type="range"]::-moz-range-thumb {
-                    width: 16px;
-                    height: 16px;
-                    background: var(--og-accent-color);
-                    cursor: pointer;
-                    border-radius: 50%;
-                    border: none;
+            for (let i = 0; i < 5; i++) {
+                code = ALPHABET.charAt(lngVal % 20) + code;
+                code = ALPHABET.charAt(latVal % 20) + code;
+                latVal = Math.floor(latVal / 20);
+                lngVal = Math.floor(lngVal / 20);
+            }
+
+            code = `${code.slice(0, 8)}+${code.slice(8)}`;
+            if (length >= 8) return code.slice(0, length + 1);
+            return `${code.slice(0, length)}${'0'.repeat(8 - length)}+`;
+        },
+
+        toGeohash: (lat, lng, length) => {
+            const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+            const latRange = [-90, 90];
+            const lngRange = [-180, 180];
+            let hash = '';
+            let bits = 0;
+            let bitCount = 0;
+            let even = true;
+
+            while (hash.length < length) {
+                const range = even ? lngRange : latRange;
+                const value = even ? lng : lat;
+                const mid = (range[0] + range[1]) / 2;
+
+                bits <<= 1;
+                if (value >= mid) {
+                    bits |= 1;
+                    range[0] = mid;
+                } else {
+                    range[1] = mid;
                 }
 
-                .og-toggle {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
+                even = !even;
+                if (++bitCount === 5) {
+                    hash += BASE32.charAt(bits);
+                    bits = 0;
+                    bitCount = 0;
                 }
+            }
+            return hash;
+        }
+    };
 
-                .og-toggle-switch {
-                    position: relative;
-                    width: 44px;
-                    height: 24px;
-                    background: #555;
-                    border-radius: 12px;
-                    cursor: pointer;
-                    transition: background 0.2s;
+    /* ==========================================
+       OFFLINE REVERSE GEOCODER
+       ========================================== */
+
+    // Labels coordinates with country, first-level region and nearest city
+    // using the simplified boundaries and places table in GEO_DATA at the end
+    // of this file. Works without any network access.
+    const Geocoder = {
+        ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+        COORD_SCALE: 20, // Region vertices are stored in 0.05° steps
+        MAX_OFFSHORE_KM: 50, // Points this close to a region still count as in it
+        data: null,
+        cache: new Map(),
+
+        // Polyline-style decoding (base64url alphabet) into [lng, lat, lng, lat, ...]
+        decodeRing: (encoded) => {
+            const points = [];
+            let index = 0;
+            let lat = 0;
+            let lng = 0;
+
+            const next = () => {
+                let result = 0;
+                let shift = 0;
+                let value;
+                do {
+                    value = Geocoder.ALPHABET.indexOf(encoded[index++]);
+                    result |= (value & 0x1f) << shift;
+                    shift += 5;
+                } while (value >= 0x20);
+                return (result & 1) ? ~(result >> 1) : (result >> 1);
+            };
+
+            while (index < encoded.length) {
+                lat += next();
+                lng += next();
+                points.push(lng / Geocoder.COORD_SCALE, lat / Geocoder.COORD_SCALE);
+            }
+            return points;
+        },
+
+        // Parse GEO_DATA on first use
+        load: () => {
+            if (Geocoder.data) return Geocoder.data;
+
+            const countries = {};
+            GEO_DATA.countries.trim().split('\n').forEach(line => {
+                const [code, name] = line.split(';');
+                countries[code] = name;
+            });
+
+            const regions = GEO_DATA.regions.trim().split('\n').map(line => {
+                const [code, name, encoded] = line.split(';');
+                const rings = encoded.split(' ').map(Geocoder.decodeRing);
+                const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+                rings.forEach(ring => {
+                    for (let i = 0; i < ring.length; i += 2) {
+                        bbox[0] = Math.min(bbox[0], ring[i]);
+                        bbox[1] = Math.min(bbox[1], ring[i + 1]);
+                        bbox[2] = Math.max(bbox[2], ring[i]);
+                        bbox[3] = Math.max(bbox[3], ring[i + 1]);
+                    }
+                });
+                return { countryCode: code, name, rings, bbox };
+            });
+
+            const places = GEO_DATA.places.trim().split('\n').map(line => {
+                const [name, packed] = line.split(';');
+                return {
+                    name,
+                    countryCode: packed.slice(0, 2),
+                    lat: (parseInt(packed.slice(2, 6), 36) - 9000) / 100,
+                    lng: (parseInt(packed.slice(6, 10), 36) - 18000) / 100
+                };
+            });
+
+            Geocoder.data = { countries, regions, places };
+            Utils.log(`Geocoder loaded ${regions.length} regions and ${places.length} places`);
+            return Geocoder.data;
+        },
+
+        // Great-circle distance in km
+        distance: (lat1, lng1, lat2, lng2) => {
+            const toRad = Math.PI / 180;
+            const dLat = (lat2 - lat1) * toRad;
+            const dLng = (lng2 - lng1) * toRad;
+            const a = Math.sin(dLat / 2) ** 2 +
+                Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+            return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        },
+
+        // Even-odd test over all rings, so holes and multipolygons just work
+        containsPoint: (region, lat, lng) => {
+            let inside = false;
+            region.rings.forEach(ring => {
+                for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                    const xi = ring[i], yi = ring[i + 1];
+                    const xj = ring[j], yj = ring[j + 1];
+                    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                        inside = !inside;
+                    }
                 }
+            });
+            return inside;
+        },
 
-                .og-toggle-switch.active {
-                    background: var(--og-accent-color);
+        findRegion: (lat, lng) => {
+            const { regions } = Geocoder.load();
+
+            const match = regions.find(region =>
+                lng >= region.bbox[0] && lng <= region.bbox[2] &&
+                lat >= region.bbox[1] && lat <= region.bbox[3] &&
+                Geocoder.containsPoint(region, lat, lng)
+            );
+            if (match) return match;
+
+            // Coastlines are simplified, so fall back to the closest nearby boundary
+            const margin = Geocoder.MAX_OFFSHORE_KM / 111 + 1;
+            let best = null;
+            let bestDistance = Geocoder.MAX_OFFSHORE_KM;
+            regions.forEach(region => {
+                if (lng < region.bbox[0] - margin || lng > region.bbox[2] + margin ||
+                    lat < region.bbox[1] - margin || lat > region.bbox[3] + margin) {
+                    return;
                 }
+                const d = Geocoder.distanceToRegion(region, lat, lng);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = region;
+                }
+            });
+            return best;
+        },
 
-                .og-toggle-slider {
-                    position: absolute;
-                    top: 2px;
-                    left: 2px;
-                    width: 20px;
-                    height: 20px;
-                    background: white;
-                    border-radius: 50%;
-                    transition: transform 0.2s;
+        // Approximate distance in km from a point to the nearest ring edge,
+        // using a local equirectangular projection
+        distanceToRegion: (region, lat, lng) => {
+            const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+            const kmPerLat = 110.57;
+            let min = Infinity;
+
+            region.rings.forEach(ring => {
+                for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                    const ax = (ring[j] - lng) * kmPerLng;
+                    const ay = (ring[j + 1] - lat) * kmPerLat;
+                    const bx = (ring[i] - lng) * kmPerLng;
+                    const by = (ring[i + 1] - lat) * kmPerLat;
+                    const dx = bx - ax;
+                    const dy = by - ay;
+                    const lengthSq = dx * dx + dy * dy;
+                    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+                    min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
                 }
+            });
+            return min;
+        },
 
-                .og-toggle-switch.active .og-toggle-slider {
-                    transform: translateX(20px);
+        findNearestPlace: (lat, lng) => {
+            let best = null;
+            let bestDistance = Infinity;
+            Geocoder.load().places.forEach(place => {
+                const d = Geocoder.distance(lat, lng, place.lat, place.lng);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = place;
+                }
+            });
+            return best ? { place: best, distance: bestDistance } : null;
+        },
+
+        // { country, countryCode, region, city, cityDistance } or null
+        reverse: (lat, lng) => {
+            if (!Utils.isValidCoordinate(lat, lng)) return null;
+
+            const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+            if (Geocoder.cache.has(key)) return Geocoder.cache.get(key);
+
+            let result = null;
+            try {
+                const { countries } = Geocoder.load();
+                const region = Geocoder.findRegion(lat, lng);
+                const nearest = Geocoder.findNearestPlace(lat, lng);
+                const nearbyPlace = nearest && nearest.distance <= Geocoder.MAX_OFFSHORE_KM ? nearest.place : null;
+                const countryCode = region?.countryCode || nearbyPlace?.countryCode || null;
+
+                result = {
+                    country: countryCode ? countries[countryCode] || countryCode : null,
+                    countryCode,
+                    region: region?.name || null,
+                    city: nearest?.place.name || null,
+                    cityDistance: nearest ? Math.round(nearest.distance) : null
+                };
+            } catch (err) {
+                Utils.error('Reverse geocoding failed:', err);
+            }
+
+            Geocoder.cache.set(key, result);
+            return result;
+        },
+
+        // "Region, Country · 12 km from City"
+        formatLabel: (place) => {
+            if (!place) return '';
+
+            const area = [place.region, place.country].filter(Boolean).join(', ') || I18n.t('place.openWater');
+            if (!place.city) return area;
+
+            return place.cityDistance < 1
+                ? I18n.text('place.in', { area, city: place.city })
+                : I18n.text('place.near', { area, city: place.city, distance: place.cityDistance });
+        },
+
+        // Stored labels win so older entries keep what they were saved with
+        labelFor: (entry) => {
+            if (entry.country !== undefined) return entry;
+            return Geocoder.reverse(entry.lat, entry.lng);
+        }
+    };
+
+    /* ==========================================
+       DISTANCE & BEARING
+       ========================================== */
+
+    // Great-circle measurements on a spherical earth, same model as Geocoder.distance
+    const Measure = {
+        KM_PER_MILE: 1.609344,
+        COMPASS_POINTS: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+
+        toRad: (degrees) => degrees * Math.PI / 180,
+
+        toDeg: (radians) => radians * 180 / Math.PI,
+
+        normalizeLng: (lng) => ((lng + 540) % 360) - 180,
+
+        // Initial bearing from a to b in degrees, 0-360 clockwise from north
+        bearing: (a, b) => {
+            const lat1 = Measure.toRad(a.lat);
+            const lat2 = Measure.toRad(b.lat);
+            const dLng = Measure.toRad(b.lng - a.lng);
+            const y = Math.sin(dLng) * Math.cos(lat2);
+            const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+            return (Measure.toDeg(Math.atan2(y, x)) + 360) % 360;
+        },
+
+        midpoint: (a, b) => {
+            const lat1 = Measure.toRad(a.lat);
+            const lat2 = Measure.toRad(b.lat);
+            const lng1 = Measure.toRad(a.lng);
+            const dLng = Measure.toRad(b.lng - a.lng);
+            const bx = Math.cos(lat2) * Math.cos(dLng);
+            const by = Math.cos(lat2) * Math.sin(dLng);
+            const lat = Math.atan2(Math.sin(lat1) + Math.sin(lat2), Math.sqrt((Math.cos(lat1) + bx) ** 2 + by ** 2));
+            const lng = lng1 + Math.atan2(by, Math.cos(lat1) + bx);
+            return { lat: Measure.toDeg(lat), lng: Measure.normalizeLng(Measure.toDeg(lng)) };
+        },
+
+        // Points along the great circle for drawing. Longitudes are unwrapped
+        // so lines crossing the antimeridian don't jump across the map.
+        path: (a, b, segments = 64) => {
+            const lat1 = Measure.toRad(a.lat);
+            const lng1 = Measure.toRad(a.lng);
+            const lat2 = Measure.toRad(b.lat);
+            const lng2 = Measure.toRad(b.lng);
+            const delta = Geocoder.distance(a.lat, a.lng, b.lat, b.lng) / 6371;
+
+            if (delta < 1e-9) return [[a.lat, a.lng], [b.lat, b.lng]];
+
+            // Antipodal points have no single great circle and sin(delta) is 0;
+            // any route through the midpoint is a shortest one
+            if (Math.PI - delta < 1e-6) {
+                const middle = Measure.midpoint(a, b);
+                const first = Measure.path(a, middle, Math.ceil(segments / 2));
+                const second = Measure.path(middle, b, Math.ceil(segments / 2));
+                const shift = Math.round((first[first.length - 1][1] - second[0][1]) / 360) * 360;
+                return first.concat(second.slice(1).map(([lat, lng]) => [lat, lng + shift]));
+            }
+
+            const points = [];
+            for (let i = 0; i <= segments; i++) {
+                const f = i / segments;
+                const wa = Math.sin((1 - f) * delta) / Math.sin(delta);
+                const wb = Math.sin(f * delta) / Math.sin(delta);
+                const x = wa * Math.cos(lat1) * Math.cos(lng1) + wb * Math.cos(lat2) * Math.cos(lng2);
+                const y = wa * Math.cos(lat1) * Math.sin(lng1) + wb * Math.cos(lat2) * Math.sin(lng2);
+                const z = wa * Math.sin(lat1) + wb * Math.sin(lat2);
+
+                let lng = Measure.toDeg(Math.atan2(y, x));
+                if (points.length > 0) {
+                    const previous = points[points.length - 1][1];
+                    lng += Math.round((previous - lng) / 360) * 360;
                 }
+                points.push([Measure.toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))), lng]);
+            }
+            return points;
+        },
+
+        measure: (from, to) => ({
+            distanceKm: Geocoder.distance(from.lat, from.lng, to.lat, to.lng),
+            bearing: Measure.bearing(from, to),
+            midpoint: Measure.midpoint(from, to)
+        }),
+
+        formatDistance: (km, unit = 'km') => {
+            const value = unit === 'mi' ? km / Measure.KM_PER_MILE : km;
+            const digits = value < 10 ? 2 : value < 100 ? 1 : 0;
+            return `${I18n.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${unit}`;
+        },
+
+        compassPoint: (bearing) => {
+            return Measure.COMPASS_POINTS[Math.round(bearing / 22.5) % 16];
+        }
+    };
+
+    /* ==========================================
+       ROUND SCORING
+       ========================================== */
+
+    // GeoGuessr-style score curve: full marks for a perfect guess, decaying
+    // exponentially with distance relative to the size of the map
+    const Scoring = {
+        MAX_SCORE: 5000,
+
+        score: (distanceKm, settings = Storage.getSettings()) => {
+            const score = Scoring.MAX_SCORE * Math.exp(-settings.scoreDecay * distanceKm / settings.scoreMapSize);
+            return Math.round(score);
+        },
+
+        // Result stored on the history entry as entry.guess
+        evaluate: (guess, actual, settings = Storage.getSettings()) => {
+            const distanceKm = Geocoder.distance(guess.lat, guess.lng, actual.lat, actual.lng);
+            return {
+                lat: guess.lat,
+                lng: guess.lng,
+                distanceKm,
+                score: Scoring.score(distanceKm, settings),
+                timestamp: Date.now()
+            };
+        }
+    };
+
+    /* ==========================================
+       HISTORY STATISTICS
+       ========================================== */
+
+    const Stats = {
+        DAYS: 30,
+        TOP: 8,
+        // Lower bounds in km of the distance histogram bins
+        DISTANCE_BINS: [0, 50, 200, 500, 1000, 2000, 5000, 10000],
+
+        // Local calendar day, so a late-evening game counts for that evening
+        dayKey: (timestamp) => {
+            const date = new Date(timestamp);
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+
+        // Counts as [{ label, value }], largest first
+        rank: (counts, limit = Stats.TOP) => {
+            return [...counts]
+                .map(([label, value]) => ({ label, value }))
+                .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+                .slice(0, limit);
+        },
+
+        increment: (counts, key) => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        },
+
+        perDay: (history, now = Date.now()) => {
+            const counts = new Map();
+            history.forEach(entry => Stats.increment(counts, Stats.dayKey(entry.timestamp)));
+
+            const today = new Date(now);
+            today.setHours(0, 0, 0, 0);
+
+            const days = [];
+            for (let i = Stats.DAYS - 1; i >= 0; i--) {
+                const day = new Date(today);
+                day.setDate(today.getDate() - i);
+                const key = Stats.dayKey(day.getTime());
+                days.push({ label: key.slice(5), title: I18n.formatDate(day.getTime()), value: counts.get(key) || 0 });
+            }
+            return days;
+        },
+
+        // Distances between consecutive rounds of the same game, oldest first
+        roundDistances: (history) => {
+            const sorted = [...history].sort((a, b) => a.timestamp - b.timestamp);
+            const distances = [];
+
+            for (let i = 1; i < sorted.length; i++) {
+                const prev = sorted[i - 1];
+                const entry = sorted[i];
+                if ((prev.gameId || null) !== (entry.gameId || null)) continue;
+                distances.push(Geocoder.distance(prev.lat, prev.lng, entry.lat, entry.lng));
+            }
+            return distances;
+        },
+
+        distanceHistogram: (distances) => {
+            const bins = Stats.DISTANCE_BINS.map((min, i) => {
+                const max = Stats.DISTANCE_BINS[i + 1];
+                return {
+                    label: max ? `${min}` : `${min}+`,
+                    title: max ? I18n.text('stats.distanceRange', { min, max }) : I18n.text('stats.distanceOver', { min }),
+                    value: 0
+                };
+            });
+
+            distances.forEach(distance => {
+                let index = Stats.DISTANCE_BINS.length - 1;
+                while (index > 0 && distance < Stats.DISTANCE_BINS[index]) index--;
+                bins[index].value++;
+            });
+            return bins;
+        },
+
+        // Only the country and region are counted, so nearby points (0.01°,
+        // about 1 km) share one cached reverse lookup instead of one per entry
+        placeFor: (entry) => {
+            if (entry.country !== undefined) return entry;
+            return Geocoder.reverse(Math.round(entry.lat * 100) / 100, Math.round(entry.lng * 100) / 100);
+        },
+
+        compute: (history, now = Date.now()) => {
+            const countries = new Map();
+            const regions = new Map();
+            const sources = new Map();
+            const days = new Set();
+            const games = new Set();
+            const hemispheres = { north: 0, south: 0, east: 0, west: 0 };
+            const scores = [];
+
+            history.forEach(entry => {
+                const place = Stats.placeFor(entry) || {};
+                Stats.increment(countries, place.country || I18n.t('place.openWater'));
+                if (place.region) {
+                    Stats.increment(regions, place.country ? `${place.region}, ${place.country}` : place.region);
+                }
+                Stats.increment(sources, entry.source || 'unknown');
+
+                hemispheres[entry.lat >= 0 ? 'north' : 'south']++;
+                hemispheres[entry.lng >= 0 ? 'east' : 'west']++;
+
+                days.add(Stats.dayKey(entry.timestamp));
+                if (entry.gameId) games.add(entry.gameId);
+                if (entry.guess) scores.push(entry.guess.score);
+            });
+
+            const distances = Stats.roundDistances(history);
+
+            return {
+                total: history.length,
+                days: days.size,
+                games: games.size,
+                countryCount: countries.size,
+                averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+                averageDistance: distances.length ? distances.reduce((sum, d) => sum + d, 0) / distances.length : null,
+                perDay: Stats.perDay(history, now),
+                countries: Stats.rank(countries),
+                regions: Stats.rank(regions),
+                sources: Stats.rank(sources, Infinity),
+                hemispheres,
+                distances: Stats.distanceHistogram(distances)
+            };
+        }
+    };
+
+    /* ==========================================
+       CHARTS
+       ========================================== */
+
+    // Small SVG charts rendered as markup strings. Everything is drawn
+    // locally; sizes are in viewBox units and scale to the panel width.
+    const Charts = {
+        WIDTH: 280,
+        COLORS: ['var(--og-accent-color)', '#60a5fa', '#f59e0b', '#34d399', '#f472b6', '#a78bfa', '#94a3b8'],
+
+        svg: (height, content) => {
+            return `<svg class="og-chart" viewBox="0 0 ${Charts.WIDTH} ${height}" preserveAspectRatio="xMinYMin meet">${content}</svg>`;
+        },
+
+        empty: () => `<div class="og-chart-empty">${I18n.t('stats.noData')}</div>`,
+
+        truncate: (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text,
+
+        // Ranked horizontal bars with labels and values
+        bars: (items) => {
+            if (!items.length) return Charts.empty();
+
+            const rowHeight = 18;
+            const labelWidth = 120;
+            const barSpace = Charts.WIDTH - labelWidth - 40;
+            const max = Math.max(...items.map(item => item.value));
+
+            return Charts.svg(items.length * rowHeight, items.map((item, i) => {
+                const y = i * rowHeight;
+                const width = Math.max(1, barSpace * item.value / max);
+                const label = Utils.sanitizeHTML(item.label);
+                return `
+                    <text x="${labelWidth - 6}" y="${y + 13}" text-anchor="end" class="og-chart-label">${Utils.sanitizeHTML(Charts.truncate(item.label, 20))}<title>${label}</title></text>
+                    <rect x="${labelWidth}" y="${y + 3}" width="${width.toFixed(1)}" height="12" rx="2" class="og-chart-bar"><title>${label}: ${item.value}</title></rect>
+                    <text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + 13}" class="og-chart-value">${item.value}</text>
+                `;
+            }).join(''));
+        },
+
+        // Vertical columns; labelEvery thins out the axis labels
+        columns: (items, { labelEvery = 1 } = {}) => {
+            if (!items.some(item => item.value > 0)) return Charts.empty();
+
+            const height = 110;
+            const plotHeight = height - 30;
+            const max = Math.max(...items.map(item => item.value));
+            const slot = Charts.WIDTH / items.length;
+            const width = Math.max(1, slot - 2);
+
+            return Charts.svg(height, `
+                <text x="0" y="9" class="og-chart-value">${max}</text>
+                <line x1="0" y1="${plotHeight + 12}" x2="${Charts.WIDTH}" y2="${plotHeight + 12}" class="og-chart-axis"></line>
+                ${items.map((item, i) => {
+                    const barHeight = item.value ? Math.max(1, plotHeight * item.value / max) : 0;
+                    const x = i * slot + 1;
+                    const showLabel = i % labelEvery === 0 || i === items.length - 1;
+                    return `
+                        <rect x="${x.toFixed(1)}" y="${(plotHeight + 12 - barHeight).toFixed(1)}" width="${width.toFixed(1)}" height="${barHeight.toFixed(1)}" class="og-chart-bar">
+                            <title>${Utils.sanitizeHTML(item.title || item.label)}: ${item.value}</title>
+                        </rect>
+                        ${showLabel ? `<text x="${(x + width / 2).toFixed(1)}" y="${height - 4}" text-anchor="middle" class="og-chart-label">${Utils.sanitizeHTML(item.label)}</text>` : ''}
+                    `;
+                }).join('')}
+            `);
+        },
+
+        // Two-part stacked bar, e.g. northern vs southern hemisphere
+        split: (left, right) => {
+            const total = left.value + right.value;
+            if (!total) return Charts.empty();
+
+            const leftWidth = Charts.WIDTH * left.value / total;
+            const percent = (value) => `${Math.round(value / total * 100)}%`;
+
+            return Charts.svg(34, `
+                <rect x="0" y="0" width="${leftWidth.toFixed(1)}" height="14" style="fill: ${Charts.COLORS[0]}"><title>${left.label}: ${left.value}</title></rect>
+                <rect x="${leftWidth.toFixed(1)}" y="0" width="${(Charts.WIDTH - leftWidth).toFixed(1)}" height="14" style="fill: ${Charts.COLORS[1]}"><title>${right.label}: ${right.value}</title></rect>
+                <text x="0" y="30" class="og-chart-label">${left.label} ${percent(left.value)}</text>
+                <text x="${Charts.WIDTH}" y="30" text-anchor="end" class="og-chart-label">${right.label} ${percent(right.value)}</text>
+            `);
+        },
+
+        // Donut with a legend, for shares of a whole
+        donut: (items) => {
+            const total = items.reduce((sum, item) => sum + item.value, 0);
+            if (!total) return Charts.empty();
+
+            // r = 100 / 2π so the circumference is 100 and dash lengths are percentages
+            const radius = 15.9155;
+            let offset = 25;
+            const slices = items.map((item, i) => {
+                const share = item.value / total * 100;
+                const slice = `
+                    <circle cx="21" cy="21" r="${radius}" fill="none" stroke-width="7"
+                        style="stroke: ${Charts.COLORS[i % Charts.COLORS.length]}"
+                        stroke-dasharray="${share.toFixed(3)} ${(100 - share).toFixed(3)}" stroke-dashoffset="${offset.toFixed(3)}">
+                        <title>${Utils.sanitizeHTML(item.label)}: ${item.value}</title>
+                    </circle>
+                `;
+                offset -= share;
+                return slice;
+            }).join('');
+
+            const legend = items.map((item, i) => `
+                <rect x="100" y="${i * 16 + 4}" width="10" height="10" rx="2" style="fill: ${Charts.COLORS[i % Charts.COLORS.length]}"></rect>
+                <text x="116" y="${i * 16 + 13}" class="og-chart-label">${Utils.sanitizeHTML(Charts.truncate(item.label, 18))} · ${Math.round(item.value / total * 100)}%</text>
+            `).join('');
+
+            const height = Math.max(84, items.length * 16 + 8);
+            return Charts.svg(height, `<g transform="scale(2)">${slices}</g>${legend}`);
+        }
+    };
+
+    /* ==========================================
+       PB PARAMETER DECODER
+       ========================================== */
+
+    // Decoder for the protobuf-in-URL format used by Google Maps embeds:
+    // a list of "!<field><type><value>" tokens where an "m" token opens a
+    // nested message spanning the next <value> tokens.
+    const PbDecoder = {
+        // Each decoded message keeps its field type letters under this key
+        TYPES: Symbol('types'),
+
+        tokenize: (pb) => {
+            return pb.split('!').slice(1).map(token => {
+                const match = token.match(/^(\d+)([a-zA-Z])([\s\S]*)$/);
+                if (!match) return null;
+                return {
+                    field: parseInt(match[1], 10),
+                    type: match[2],
+                    raw: match[3]
+                };
+            });
+        },
+
+        parseValue: (type, raw) => {
+            switch (type) {
+                case 'd':
+                case 'f':
+                    return parseFloat(raw);
+                case 'i':
+                case 'j':
+                case 'u':
+                case 'v':
+                case 'e':
+                    return Number(raw);
+                case 'b':
+                    return raw === '1';
+                case 's':
+                    try {
+                        return decodeURIComponent(raw.replace(/\*21/g, '!').replace(/\*2A/gi, '*'));
+                    } catch (err) {
+                        return raw;
+                    }
+                default:
+                    // z (base64) and unknown types are kept verbatim
+                    return raw;
+            }
+        },
+
+        // Decode a pb string into nested objects keyed by field number.
+        // Repeated fields become arrays.
+        decode: (pb) => {
+            if (!pb) return {};
+
+            const tokens = PbDecoder.tokenize(pb);
+            let index = 0;
+
+            const parseMessage = (count) => {
+                const message = { [PbDecoder.TYPES]: {} };
+                const end = Math.min(index + count, tokens.length);
+
+                while (index < end) {
+                    const token = tokens[index++];
+                    if (!token) continue;
+
+                    const value = token.type === 'm'
+                        ? parseMessage(parseInt(token.raw, 10) || 0)
+                        : PbDecoder.parseValue(token.type, token.raw);
+
+                    message[PbDecoder.TYPES][token.field] = token.type;
+                    if (token.field in message) {
+                        message[token.field] = [].concat(message[token.field], [value]);
+                    } else {
+                        message[token.field] = value;
+                    }
+                }
+
+                return message;
+            };
+
+            return parseMessage(tokens.length);
+        },
+
+        // Read a nested field, e.g. get(decoded, [6, 1, 2, 1])
+        get: (message, path) => {
+            return path.reduce((node, field) => {
+                if (node === undefined || node === null) return undefined;
+                const value = node[field];
+                return Array.isArray(value) ? value[0] : value;
+            }, message);
+        },
+
+        // Depth-first search for the first message holding a !3d/!4d lat/lng pair.
+        // Only double fields count, so a Street View !3f heading / !4f pitch is skipped.
+        findCoordinatePair: (message) => {
+            if (!message || typeof message !== 'object') return null;
+
+            const types = message[PbDecoder.TYPES] || {};
+            if (types[3] === 'd' && types[4] === 'd' &&
+                typeof message[3] === 'number' && typeof message[4] === 'number') {
+                return { lat: message[3], lng: message[4] };
+            }
+
+            for (const value of Object.values(message)) {
+                for (const child of [].concat(value)) {
+                    const pair = PbDecoder.findCoordinatePair(child);
+                    if (pair) return pair;
+                }
+            }
+            return null;
+        },
+
+        // Turn a decoded pb message into a location with view details.
+        // Street View embeds use !6m8!1m7!1s<pano>!2m2!1d<lat>!2d<lng>!3f<heading>!4f<pitch>!5f<zoom>.
+        extractView: (decoded) => {
+            const streetView = PbDecoder.get(decoded, [6, 1]);
+            const position = PbDecoder.get(streetView, [2]);
+
+            let view = null;
+            if (typeof position?.[1] === 'number' && typeof position?.[2] === 'number') {
+                view = { lat: position[1], lng: position[2] };
+            } else {
+                view = PbDecoder.findCoordinatePair(decoded);
+            }
+
+            if (!view || !Utils.isValidCoordinate(view.lat, view.lng)) return null;
+
+            if (streetView) {
+                const pano = PbDecoder.get(streetView, [1]);
+                const heading = PbDecoder.get(streetView, [3]);
+                const pitch = PbDecoder.get(streetView, [4]);
+                const zoom = PbDecoder.get(streetView, [5]);
+
+                if (typeof pano === 'string') view.pano = pano;
+                if (typeof heading === 'number') view.heading = heading;
+                if (typeof pitch === 'number') view.pitch = pitch;
+                if (typeof zoom === 'number') {
+                    view.zoom = zoom;
+                    // Street View field of view halves with every zoom level
+                    view.fov = 180 / Math.pow(2, zoom);
+                }
+            }
+
+            return view;
+        }
+    };
+
+    /* ==========================================
+       LOCATION EXTRACTOR
+       ========================================== */
+
+    const LocationExtractor = {
+        currentLocation: null,
+        activeStrategy: null,
+        observers: [],
+        strategies: [],
+
+        // Register a strategy object. Strategies are tried in ascending priority
+        // order by getCurrentLocation; the first one returning a location wins.
+        registerStrategy: (strategy) => {
+            if (!strategy || !strategy.name || typeof strategy.extract !== 'function') {
+                Utils.error('Invalid extraction strategy:', strategy);
+                return null;
+            }
+
+            const entry = {
+                label: strategy.name,
+                priority: 100,
+                confidence: 0.5,
+                enabled: true,
+                setup: null,
+                lastResult: null,
+                ...strategy
+            };
+
+            LocationExtractor.strategies = LocationExtractor.strategies
+                .filter(s => s.name !== entry.name)
+                .concat(entry)
+                .sort((a, b) => a.priority - b.priority);
+
+            Utils.log('Registered extraction strategy:', entry.name);
+            return entry;
+        },
+
+        getStrategy: (name) => {
+            return LocationExtractor.strategies.find(s => s.name === name) || null;
+        },
+
+        setStrategyEnabled: (name, enabled) => {
+            const strategy = LocationExtractor.getStrategy(name);
+            if (!strategy) return;
+
+            strategy.enabled = enabled;
+
+            const settings = Storage.getSettings();
+            settings.strategies = { ...settings.strategies, [name]: enabled };
+            Storage.saveSettings(settings);
+        },
+
+        // Apply the enable flags saved in settings to the registered strategies
+        loadStrategySettings: () => {
+            const saved = Storage.getSettings().strategies || {};
+            LocationExtractor.strategies.forEach(strategy => {
+                if (typeof saved[strategy.name] === 'boolean') {
+                    strategy.enabled = saved[strategy.name];
+                }
+            });
+        },
+
+        // Iterate over the Google Maps iframes currently in the page
+        findMapIframeUrls: () => {
+            const urls = [];
+            document.querySelectorAll('iframe[src*="google.com/maps"]').forEach(iframe => {
+                try {
+                    urls.push(new URL(iframe.src));
+                } catch (err) {
+                    // Ignore iframes with an unparsable src
+                }
+            });
+            return urls;
+        },
+
+        // Find the first coordinate pair in a network response body
+        extractFromText: (text) => {
+            const coordMatch = text.match(/[-]?\d+\.\d+,\s*[-]?\d+\.\d+/g);
+            if (!coordMatch) return null;
+
+            const coords = Utils.parseCoordinates(coordMatch[0]);
+            return coords && Utils.isValidCoordinate(coords.lat, coords.lng) ? coords : null;
+        },
+
+        // Run the strategies and publish the result
+        detect: () => {
+            const location = LocationExtractor.getCurrentLocation();
+            if (location) {
+                Events.emit('location:detected', location);
+            }
+            return location;
+        },
+
+        // Monitor DOM for new map iframes and src changes on existing ones
+        monitorDOM: () => {
+            const isMapIframe = (node) => node.tagName === 'IFRAME' && (node.src || '').includes('google.com/maps');
+
+            const observer = new MutationObserver((mutations) => {
+                for (const mutation of mutations) {
+                    if (mutation.type === 'attributes' && isMapIframe(mutation.target)) {
+                        LocationExtractor.detect();
+                        return;
+                    }
+
+                    for (const node of mutation.addedNodes) {
+                        if (node.nodeType !== 1) continue; // Element node
+
+                        const hasMapIframes = node.querySelectorAll?.('iframe[src*="google.com/maps"]').length > 0;
+                        if (isMapIframe(node) || hasMapIframes) {
+                            LocationExtractor.detect();
+                            return;
+                        }
+                    }
+                }
+            });
+
+            observer.observe(document.body, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['src']
+            });
+
+            LocationExtractor.observers.push(observer);
+        },
+
+        // Get current location from the highest priority enabled strategy
+        getCurrentLocation: () => {
+            for (const strategy of LocationExtractor.strategies) {
+                if (!strategy.enabled) continue;
+
+                let result = null;
+                try {
+                    result = strategy.extract();
+                } catch (err) {
+                    Utils.error(`Strategy "${strategy.name}" failed:`, err);
+                }
+
+                if (result) {
+                    const location = {
+                        ...result,
+                        source: result.source || strategy.name,
+                        confidence: strategy.confidence
+                    };
+                    LocationExtractor.currentLocation = location;
+                    LocationExtractor.activeStrategy = strategy.name;
+                    return location;
+                }
+            }
+
+            // Fall back to the last fix if the strategy that supplied it is still enabled
+            const lastStrategy = LocationExtractor.getStrategy(LocationExtractor.activeStrategy);
+            return lastStrategy?.enabled ? LocationExtractor.currentLocation : null;
+        },
+
+        initialize: () => {
+            Utils.log('Initializing location extractor...');
+            LocationExtractor.loadStrategySettings();
+
+            LocationExtractor.strategies.forEach(strategy => {
+                if (typeof strategy.setup !== 'function') return;
+                try {
+                    strategy.setup();
+                } catch (err) {
+                    Utils.error(`Strategy "${strategy.name}" setup failed:`, err);
+                }
+            });
+
+            // Wait for body to be available
+            if (document.body) {
+                LocationExtractor.monitorDOM();
+            } else {
+                document.addEventListener('DOMContentLoaded', () => {
+                    LocationExtractor.monitorDOM();
+                });
+            }
+        },
+
+        cleanup: () => {
+            LocationExtractor.observers.forEach(observer => observer.disconnect());
+            LocationExtractor.observers = [];
+        }
+    };
+
+    /* ==========================================
+       EXTRACTION STRATEGIES
+       ========================================== */
+
+    // Street View iframe with coordinates and view details in the pb parameter (most common)
+    LocationExtractor.registerStrategy({
+        name: 'iframe-pb',
+        label: 'Iframe pb parameter',
+        priority: 10,
+        confidence: 0.95,
+        extract: () => {
+            for (const url of LocationExtractor.findMapIframeUrls()) {
+                if (!url.searchParams.has('pb')) continue;
+
+                const view = PbDecoder.extractView(PbDecoder.decode(url.searchParams.get('pb')));
+                if (view) return view;
+            }
+            return null;
+        }
+    });
+
+    // Street View iframe with a plain location=lat,lng parameter
+    LocationExtractor.registerStrategy({
+        name: 'iframe-location',
+        label: 'Iframe location parameter',
+        priority: 20,
+        confidence: 0.9,
+        extract: () => {
+            for (const url of LocationExtractor.findMapIframeUrls()) {
+                if (!url.searchParams.has('location')) continue;
+
+                const coords = Utils.parseCoordinates(url.searchParams.get('location'));
+                if (coords) return coords;
+            }
+            return null;
+        }
+    });
+
+    // Coordinates found in fetch() responses
+    LocationExtractor.registerStrategy({
+        name: 'fetch',
+        label: 'Fetch interception',
+        priority: 30,
+        confidence: 0.6,
+        extract: () => LocationExtractor.getStrategy('fetch').lastResult,
+        setup: () => {
+            const strategy = LocationExtractor.getStrategy('fetch');
+            const originalFetch = window.fetch;
+
+            window.fetch = async function(...args) {
+                const response = await originalFetch.apply(this, args);
+
+                try {
+                    const url = args[0]?.toString() || '';
+                    if (url.includes('maps') || url.includes('location') || url.includes('coordinates')) {
+                        // Clone response to read it
+                        const text = await response.clone().text();
+                        const coords = LocationExtractor.extractFromText(text);
+                        if (coords) {
+                            strategy.lastResult = coords;
+                            Utils.log('Location found via fetch:', coords);
+                            LocationExtractor.detect();
+                        }
+                    }
+                } catch (err) {
+                    // Silent fail - response might not be text
+                }
+
+                return response;
+            };
+        }
+    });
+
+    // Coordinates found in XMLHttpRequest responses
+    LocationExtractor.registerStrategy({
+        name: 'xhr',
+        label: 'XHR interception',
+        priority: 40,
+        confidence: 0.5,
+        extract: () => LocationExtractor.getStrategy('xhr').lastResult,
+        setup: () => {
+            const strategy = LocationExtractor.getStrategy('xhr');
+            const originalOpen = XMLHttpRequest.prototype.open;
+            const originalSend = XMLHttpRequest.prototype.send;
+
+            XMLHttpRequest.prototype.open = function(method, url, ...args) {
+                this._url = url;
+                return originalOpen.apply(this, [method, url, ...args]);
+            };
+
+            XMLHttpRequest.prototype.send = function(...args) {
+                this.addEventListener('load', function() {
+                    try {
+                        if (this._url && (this._url.includes('maps') || this._url.includes('location'))) {
+                            const coords = LocationExtractor.extractFromText(this.responseText);
+                            if (coords) {
+                                strategy.lastResult = coords;
+                                Utils.log('Location found via XHR:', coords);
+                                LocationExtractor.detect();
+                            }
+                        }
+                    } catch (err) {
+                        // Silent fail
+                    }
+                });
+                return originalSend.apply(this, args);
+            };
+        }
+    });
+
+    /* ==========================================
+       MAP VIEW
+       ========================================== */
+
+    // In-page Leaflet map that replaces the Google Maps embed. Tiles come from
+    // settings.tileUrl, so an OSM mirror or a local tile server can be used.
+    const MapView = {
+        map: null,
+        tileLayers: [],
+        worldLayers: [],
+        measureLayer: null,
+        guessLayer: null,
+        marker: null,
+        hasView: false,
+
+        // Tile templates for every map style a provider offers. Styles with
+        // several templates are stacked, e.g. imagery under a labels overlay.
+        PROVIDERS: {
+            esri: {
+                label: 'Esri',
+                attribution: 'Tiles &copy; Esri',
+                maxNativeZoom: 19,
+                styles: {
+                    satellite: ['https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}'],
+                    roadmap: ['https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}'],
+                    hybrid: [
+                        'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+                        'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}'
+                    ],
+                    terrain: ['https://server.arcgisonline.com/ArcGIS/rest/services/World_Topo_Map/MapServer/tile/{z}/{y}/{x}']
+                }
+            },
+            osm: {
+                label: 'OpenStreetMap',
+                attribution: CONFIG.TILE_ATTRIBUTION,
+                maxNativeZoom: 19,
+                styles: {
+                    roadmap: [CONFIG.TILE_URL]
+                }
+            },
+            // A single style from settings.tileUrl
+            custom: {
+                label: 'Custom tile URL',
+                attribution: '',
+                maxNativeZoom: CONFIG.TILE_MAX_NATIVE_ZOOM,
+                styles: null
+            }
+        },
+
+        getProvider: (settings) => {
+            return MapView.PROVIDERS[settings.mapProvider] || MapView.PROVIDERS[CONFIG.MAP_PROVIDER];
+        },
+
+        // Map styles the selected provider offers, in cycling order
+        getStyles: (settings) => {
+            return Object.keys(MapView.getProvider(settings).styles || {});
+        },
+
+        // settings.mapType, or the provider's first style when it lacks that one
+        resolveStyle: (settings) => {
+            const styles = MapView.getStyles(settings);
+            if (styles.length === 0) return null;
+            return styles.includes(settings.mapType) ? settings.mapType : styles[0];
+        },
+
+        getTemplates: (settings, style = MapView.resolveStyle(settings)) => {
+            const provider = MapView.getProvider(settings);
+            if (!provider.styles) return [settings.tileUrl];
+            return provider.styles[style] || [];
+        },
+
+        // URL of the single tile covering a location, used for style previews
+        getTileUrl: (template, location, zoom, subdomains = 'abc') => {
+            const scale = Math.pow(2, zoom);
+            const latRad = location.lat * Math.PI / 180;
+            const x = Math.floor((location.lng + 180) / 360 * scale);
+            const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale);
+            const values = {
+                s: subdomains[0],
+                z: zoom,
+                x: Math.min(Math.max(x, 0), scale - 1),
+                y: Math.min(Math.max(y, 0), scale - 1)
+            };
+            return template.replace(/\{([szxy])\}/g, (match, key) => values[key]);
+        },
+
+        create: (element, settings = Storage.getSettings()) => {
+            if (typeof L === 'undefined') {
+                Utils.error('Leaflet failed to load, map view disabled');
+                return false;
+            }
+
+            try {
+                MapView.map = L.map(element, {
+                    center: [20, 0],
+                    zoom: 2,
+                    maxZoom: CONFIG.MAX_ZOOM,
+                    worldCopyJump: true
+                });
+                MapView.map.attributionControl.setPrefix(false);
+                MapView.map.on('click', (e) => {
+                    const { lat, lng } = e.latlng.wrap();
+                    Events.emit('map:click', { lat, lng });
+                });
+                MapView.setTileSource(settings);
+
+                // Leaflet caches the container size, refresh it whenever the window is resized
+                if (typeof ResizeObserver !== 'undefined') {
+                    new ResizeObserver(() => MapView.invalidateSize()).observe(element);
+                }
+
+                Utils.log('Map view created');
+                return true;
+            } catch (err) {
+                Utils.error('Failed to create map view:', err);
+                MapView.map = null;
+                return false;
+            }
+        },
+
+        // Replace the tile layers with the provider and style from settings
+        setTileSource: (settings) => {
+            if (!MapView.map) return;
+
+            MapView.tileLayers.forEach(layer => MapView.map.removeLayer(layer));
+
+            const provider = MapView.getProvider(settings);
+            const templates = MapView.getTemplates(settings);
+
+            MapView.tileLayers = templates.map((template, index) => L.tileLayer(template, {
+                maxZoom: CONFIG.MAX_ZOOM,
+                maxNativeZoom: provider.maxNativeZoom,
+                subdomains: provider.subdomains || 'abc',
+                // Credit the provider once, on the base layer
+                attribution: index === 0 ? provider.attribution : ''
+            }));
+
+            // The base layer drives the loading indicator
+            const [base] = MapView.tileLayers;
+            if (base) {
+                base.on('loading', () => Events.emit('map:loading', true));
+                base.on('load', () => Events.emit('map:loading', false));
+            }
+
+            MapView.tileLayers.forEach(layer => {
+                layer.on('tileerror', ({ coords }) => Utils.log('Tile failed to load:', coords));
+                layer.addTo(MapView.map);
+            });
+
+            Utils.log('Tile source set to:', templates);
+        },
+
+        // Move the marker and view to a location. The first view jumps, later
+        // ones pan and zoom smoothly instead of reloading anything.
+        show: (location, zoom) => {
+            if (!MapView.map) return;
+
+            const latLng = [location.lat, location.lng];
+
+            if (MapView.marker) {
+                MapView.marker.setLatLng(latLng);
+            } else {
+                MapView.marker = L.marker(latLng, {
+                    icon: L.divIcon({ className: 'og-marker', iconSize: [18, 18] }),
+                    keyboard: false
+                }).addTo(MapView.map);
+            }
+
+            if (!MapView.hasView) {
+                MapView.map.setView(latLng, zoom, { animate: false });
+                MapView.hasView = true;
+            } else if (MapView.map.getCenter().distanceTo(latLng) < 1) {
+                MapView.map.setZoom(zoom, { animate: true });
+            } else {
+                MapView.map.flyTo(latLng, zoom, { duration: 0.8 });
+            }
+        },
+
+        // Draw many history entries at once, as a density heatmap and/or
+        // clustered points. onSelect receives the entry of a clicked point;
+        // clicking a cluster zooms into it.
+        showWorld: (entries, { heatmap = true, clusters = true, onSelect } = {}) => {
+            if (!MapView.map) return;
+
+            MapView.clearWorld();
+            if (MapView.marker) {
+                MapView.map.removeLayer(MapView.marker);
+            }
+
+            const latLngs = entries.map(entry => [entry.lat, entry.lng]);
+
+            if (heatmap) {
+                if (typeof L.heatLayer === 'function') {
+                    MapView.worldLayers.push(L.heatLayer(latLngs, { radius: 18, blur: 15, maxZoom: 8, minOpacity: 0.3 }));
+                } else {
+                    Utils.error('Heatmap plugin failed to load');
+                }
+            }
+
+            if (clusters) {
+                if (typeof L.markerClusterGroup === 'function') {
+                    const group = L.markerClusterGroup({ chunkedLoading: true, showCoverageOnHover: false });
+                    group.addLayers(entries.map(entry => L.circleMarker([entry.lat, entry.lng], {
+                        radius: 6,
+                        color: '#fff',
+                        weight: 2,
+                        fillColor: '#e53935',
+                        fillOpacity: 0.9
+                    })
+                        // Labels are computed on hover, not for every point up front
+                        .bindTooltip(() => Utils.sanitizeHTML(Geocoder.formatLabel(Geocoder.labelFor(entry)) || Utils.formatCoordinates(entry.lat, entry.lng)))
+                        .on('click', () => onSelect && onSelect(entry))));
+                    MapView.worldLayers.push(group);
+                } else {
+                    Utils.error('Marker cluster plugin failed to load');
+                }
+            }
+
+            MapView.worldLayers.forEach(layer => layer.addTo(MapView.map));
+
+            if (latLngs.length > 0) {
+                MapView.map.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30], maxZoom: 10 });
+            }
+        },
+
+        clearWorld: () => {
+            MapView.worldLayers.forEach(layer => MapView.map.removeLayer(layer));
+            MapView.worldLayers = [];
+        },
+
+        // Back to the single location marker
+        hideWorld: () => {
+            if (!MapView.map) return;
+
+            MapView.clearWorld();
+            if (MapView.marker) {
+                MapView.marker.addTo(MapView.map);
+            }
+        },
+
+        // Great-circle line from one point to another with the midpoint marked
+        showMeasurement: (from, to, midpoint) => {
+            if (!MapView.map) return;
+
+            MapView.clearMeasurement();
+            MapView.measureLayer = L.layerGroup([
+                L.polyline(Measure.path(from, to), { color: '#fbbf24', weight: 3, dashArray: '6 6' }),
+                L.circleMarker([to.lat, to.lng], { radius: 7, color: '#fff', weight: 2, fillColor: '#fbbf24', fillOpacity: 1 }),
+                L.circleMarker([midpoint.lat, midpoint.lng], { radius: 4, color: '#fbbf24', weight: 2, fillOpacity: 0 })
+            ]).addTo(MapView.map);
+        },
+
+        // Practice guess marker joined to the actual location
+        showGuess: (guess, actual) => {
+            if (!MapView.map) return;
+
+            MapView.clearGuess();
+            MapView.guessLayer = L.layerGroup([
+                L.polyline(Measure.path(guess, actual), { color: '#60a5fa', weight: 3 }),
+                L.circleMarker([guess.lat, guess.lng], { radius: 7, color: '#fff', weight: 2, fillColor: '#3b82f6', fillOpacity: 1 })
+            ]).addTo(MapView.map);
+        },
+
+        clearGuess: () => {
+            if (MapView.guessLayer) {
+                MapView.map.removeLayer(MapView.guessLayer);
+                MapView.guessLayer = null;
+            }
+        },
+
+        clearMeasurement: () => {
+            if (MapView.measureLayer) {
+                MapView.map.removeLayer(MapView.measureLayer);
+                MapView.measureLayer = null;
+            }
+        },
+
+        invalidateSize: () => {
+            if (MapView.map) {
+                MapView.map.invalidateSize({ pan: false });
+            }
+        },
+
+        zoomBy: (delta) => {
+            if (MapView.map) {
+                MapView.map.setZoom(MapView.map.getZoom() + delta);
+            }
+        }
+    };
+
+    /* ==========================================
+       THEMES
+       ========================================== */
+
+    // Each theme is a set of --og-* CSS variables. The active theme is a
+    // data attribute on <html>, so every element of the script (including
+    // toasts) picks it up; the accent color is set inline on top.
+    const Theme = {
+        THEMES: {
+            dark: {
+                'bg-color': 'rgba(30, 30, 30, 0.95)',
+                'header-bg-color': 'rgba(44, 47, 51, 0.5)',
+                'text-color': '#f0f0f0',
+                'muted-color': '#888',
+                'border-color': 'rgba(255, 255, 255, 0.1)',
+                'shadow-color': 'rgba(0, 0, 0, 0.5)',
+                'input-bg': 'rgba(50, 50, 50, 0.5)',
+                'hover-bg': 'rgba(255, 255, 255, 0.1)',
+                'map-bg': '#1a1a1a',
+                'toggle-bg': '#555',
+                'button-close-bg': '#e74c3c',
+                'color-scheme': 'dark'
+            },
+            light: {
+                'bg-color': 'rgba(250, 250, 250, 0.97)',
+                'header-bg-color': 'rgba(229, 231, 235, 0.7)',
+                'text-color': '#1f2937',
+                'muted-color': '#6b7280',
+                'border-color': 'rgba(0, 0, 0, 0.12)',
+                'shadow-color': 'rgba(0, 0, 0, 0.2)',
+                'input-bg': 'rgba(255, 255, 255, 0.9)',
+                'hover-bg': 'rgba(0, 0, 0, 0.06)',
+                'map-bg': '#e5e7eb',
+                'toggle-bg': '#cbd5e1',
+                'button-close-bg': '#dc2626',
+                'color-scheme': 'light'
+            },
+            'high-contrast': {
+                'bg-color': '#000',
+                'header-bg-color': '#000',
+                'text-color': '#fff',
+                'muted-color': '#e0e0e0',
+                'border-color': '#fff',
+                'shadow-color': 'rgba(0, 0, 0, 0.8)',
+                'input-bg': '#000',
+                'hover-bg': 'rgba(255, 255, 255, 0.25)',
+                'map-bg': '#000',
+                'toggle-bg': '#767676',
+                'button-close-bg': '#ff3b30',
+                'color-scheme': 'dark'
+            }
+        },
+
+        variables: (theme) => {
+            return Object.entries(Theme.THEMES[theme])
+                .map(([name, value]) => `--og-${name}: ${value};`)
+                .join('\n');
+        },
+
+        // Stylesheet for all themes; 'system' is dark unless the OS prefers light
+        getCSS: () => {
+            const rules = Object.keys(Theme.THEMES).map(theme =>
+                `:root[data-og-theme="${theme}"] { ${Theme.variables(theme)} }`
+            );
+
+            return `
+                :root {
+                    ${Theme.variables('dark')}
+                    --og-accent-color: ${CONFIG.ACCENT_COLOR};
+                    --og-on-accent-color: #fff;
+                    --og-font: 'Segoe UI', 'Roboto', 'Helvetica Neue', sans-serif;
+                }
+                ${rules.join('\n')}
+                @media (prefers-color-scheme: light) {
+                    :root[data-og-theme="system"] { ${Theme.variables('light')} }
+                }
+            `;
+        },
+
+        // Black or white, whichever reads better on the given #rrggbb color
+        getContrastColor: (hex) => {
+            const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+                .map(c => c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+            const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            return luminance > 0.179 ? '#000' : '#fff';
+        },
+
+        apply: (settings = Storage.getSettings()) => {
+            const root = document.documentElement;
+            root.setAttribute('data-og-theme', settings.theme);
+            root.style.setProperty('--og-accent-color', settings.accentColor);
+            root.style.setProperty('--og-on-accent-color', Theme.getContrastColor(settings.accentColor));
+        }
+    };
+
+    /* ==========================================
+       KEYBOARD SHORTCUTS
+       ========================================== */
+
+    // Named actions bound to key combos such as "Ctrl+Shift+C": modifiers in
+    // Ctrl, Alt, Shift, Meta order, then the key. settings.shortcuts overrides
+    // the default combos per action. Keys typed into inputs, text areas and
+    // editable content (the game's chat) are never treated as shortcuts.
+    const Shortcuts = {
+        ACTIONS: {
+            toggle: { combo: 'Insert', run: () => UI.toggle() },
+            copy: { combo: 'Ctrl+Shift+C', run: () => UI.copyNextFormat() },
+            history: { combo: 'Alt+H', run: () => UI.togglePanel(UI.elements.historyBtn) },
+            settings: { combo: 'Alt+S', run: () => UI.togglePanel(UI.elements.settingsBtn) },
+            zoomIn: { combo: 'Alt+=', run: () => MapView.zoomBy(1), repeat: true },
+            zoomOut: { combo: 'Alt+-', run: () => MapView.zoomBy(-1), repeat: true },
+            mapStyle: { combo: 'Alt+M', run: () => UI.cycleMapStyle() }
+        },
+
+        // Punctuation is read from the physical key, Shift and Option change
+        // what KeyboardEvent.key reports for it
+        CODE_KEYS: {
+            Equal: '=',
+            Minus: '-',
+            Comma: ',',
+            Period: '.',
+            Slash: '/',
+            Semicolon: ';',
+            Quote: "'",
+            BracketLeft: '[',
+            BracketRight: ']',
+            Backslash: '\\',
+            Backquote: '`'
+        },
+
+        IGNORED_KEYS: ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS', 'Dead', 'Unidentified', 'Process'],
+
+        NON_TEXT_INPUTS: ['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'],
+
+        bindings: {},
+
+        // Action being rebound in the settings panel, dispatching pauses meanwhile
+        recording: null,
+
+        getBindings: (settings = Storage.getSettings()) => {
+            const bindings = {};
+            Object.entries(Shortcuts.ACTIONS).forEach(([action, { combo }]) => {
+                const saved = settings.shortcuts[action];
+                bindings[action] = typeof saved === 'string' ? saved : combo;
+            });
+            return bindings;
+        },
+
+        load: (settings) => {
+            Shortcuts.bindings = Shortcuts.getBindings(settings);
+            Object.entries(Shortcuts.getConflicts()).forEach(([combo, actions]) => {
+                Utils.error(`Shortcut ${combo} is bound to ${actions.join(', ')}; only ${actions[0]} runs`);
+            });
+        },
+
+        // combo -> actions, for every combo bound more than once
+        getConflicts: (bindings = Shortcuts.bindings) => {
+            const byCombo = {};
+            Object.entries(bindings)
+                .filter(([, combo]) => combo)
+                .forEach(([action, combo]) => {
+                    (byCombo[combo] = byCombo[combo] || []).push(action);
+                });
+
+            return Object.fromEntries(Object.entries(byCombo).filter(([, actions]) => actions.length > 1));
+        },
+
+        findAction: (combo, bindings = Shortcuts.bindings) => {
+            return Object.keys(Shortcuts.ACTIONS).find(action => bindings[action] === combo) || null;
+        },
+
+        setBinding: (action, combo) => {
+            const settings = Storage.getSettings();
+            settings.shortcuts = { ...settings.shortcuts, [action]: combo };
+            Storage.saveSettings(settings);
+        },
+
+        reset: () => {
+            const settings = Storage.getSettings();
+            settings.shortcuts = {};
+            Storage.saveSettings(settings);
+        },
+
+        // KeyboardEvent -> combo string, or null for a lone modifier
+        fromEvent: (e) => {
+            if (Shortcuts.IGNORED_KEYS.includes(e.key)) return null;
+
+            let key;
+            if (/^Key[A-Z]$/.test(e.code)) {
+                key = e.code.slice(3);
+            } else if (/^Digit\d$/.test(e.code)) {
+                key = e.code.slice(5);
+            } else if (Shortcuts.CODE_KEYS[e.code]) {
+                key = Shortcuts.CODE_KEYS[e.code];
+            } else if (e.key === ' ') {
+                key = 'Space';
+            } else {
+                key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+            }
+
+            const modifiers = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'];
+            return [...modifiers.filter(Boolean), key].join('+');
+        },
+
+        isEditable: (element) => {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+            if (element.isContentEditable) return true;
+
+            switch (element.tagName) {
+                case 'TEXTAREA':
+                case 'SELECT':
+                    return true;
+                case 'INPUT':
+                    return !Shortcuts.NON_TEXT_INPUTS.includes(element.type);
+                default:
+                    return false;
+            }
+        },
+
+        handleKeydown: (e) => {
+            if (Shortcuts.recording) return;
+
+            // composedPath reaches into shadow roots, where e.target is the host
+            const target = e.composedPath ? e.composedPath()[0] : e.target;
+            if (Shortcuts.isEditable(target)) return;
+
+            const combo = Shortcuts.fromEvent(e);
+            const action = combo && Shortcuts.findAction(combo);
+            if (!action) return;
+
+            e.preventDefault();
+            if (e.repeat && !Shortcuts.ACTIONS[action].repeat) return;
+
+            try {
+                Shortcuts.ACTIONS[action].run();
+            } catch (err) {
+                Utils.error(`Shortcut "${action}" failed:`, err);
+            }
+        }
+    };
+
+    /* ==========================================
+       UI MANAGER
+       ========================================== */
+
+    const UI = {
+        elements: {},
+        isDragging: false,
+        isResizing: false,
+        // Pointer position and window bounds when a drag started
+        dragStart: { x: 0, y: 0, left: 0, top: 0, width: 0, height: 0 },
+        displayedLocation: null,
+        lastCopy: null,
+        worldView: { active: false, mode: 'both', from: '', to: '', gameId: '', renders: 0 },
+        measure: { active: false, target: null, result: null },
+        practiceActive: false,
+        practiceResult: null,
+        // Groups the user expanded or collapsed, relative to groupsExpanded
+        toggledGroups: null,
+        groupsExpanded: false,
+        historyFilters: { query: '', from: '', to: '', source: '', favorites: false, sort: 'newest' },
+        editingIndex: null,
+        selectMode: false,
+        selectedIds: new Set(),
+        lastSelectedRow: null,
+        // Entries matching the history filters, loaded a page at a time
+        historyView: {
+            history: [], settings: null, gameTitles: {}, sources: new Map(), total: 0,
+            phase: 0, after: null, done: true, loading: null, loads: 0,
+            matches: [], rows: [], offsets: []
+        },
+        HISTORY_PAGE_SIZE: 200,
+        // Row heights in px, used by both the stylesheet and the virtualizer;
+        // each row is followed by HISTORY_ROW_GAP px of spacing
+        HISTORY_ROW_HEIGHTS: { group: 44, item: 66 },
+        HISTORY_ROW_GAP: 4,
+        HISTORY_OVERSCAN: 6,
+        // Same for a resize, plus the edge or corner being pulled ('n', 'se', ...)
+        resizeStart: { x: 0, y: 0, left: 0, top: 0, width: 0, height: 0, edge: '' },
+        // Touch points on the header and info bar by pointerId, two of them pinch
+        pointers: new Map(),
+        // Finger distance, midpoint and window bounds when a pinch started
+        pinchStart: null,
+        RESIZE_EDGES: ['n', 'e', 's', 'w', 'ne', 'se', 'sw', 'nw'],
+
+        injectStyles: () => {
+            // Leaflet and plugin stylesheets ship as script resources
+            ['leafletCSS', 'markerClusterCSS', 'markerClusterDefaultCSS'].forEach(resource => {
+                try {
+                    GM_addStyle(GM_getResourceText(resource) || '');
+                } catch (err) {
+                    Utils.error(`Failed to load ${resource}:`, err);
+                }
+            });
+
+            GM_addStyle(`
+                ${Theme.getCSS()}
+
+                #og-enhanced-container {
+                    position: fixed;
+                    bottom: 20px;
+                    right: 20px;
+                    width: 700px;
+                    height: 500px;
+                    display: none;
+                    flex-direction: column;
+                    background-color: var(--og-bg-color);
+                    border: 1px solid var(--og-border-color);
+                    box-shadow: 0 8px 32px 0 var(--og-shadow-color);
+                    z-index: 10000;
+                    border-radius: 12px;
+                    overflow: hidden;
+                    font-family: var(--og-font);
+                    opacity: 0;
+                    transform: scale(0.98) translateY(10px);
+                    transition: opacity 0.3s ease, transform 0.3s ease;
+                    min-width: 300px;
+                    min-height: 250px;
+                }
+
+                .og-resize-handle {
+                    position: absolute;
+                    z-index: 1100;
+                    touch-action: none;
+                }
+
+                .og-resize-n,
+                .og-resize-s {
+                    left: 12px;
+                    right: 12px;
+                    height: 6px;
+                    cursor: ns-resize;
+                }
+
+                .og-resize-e,
+                .og-resize-w {
+                    top: 12px;
+                    bottom: 12px;
+                    width: 6px;
+                    cursor: ew-resize;
+                }
+
+                .og-resize-ne,
+                .og-resize-se,
+                .og-resize-sw,
+                .og-resize-nw {
+                    width: 12px;
+                    height: 12px;
+                }
+
+                .og-resize-n, .og-resize-ne, .og-resize-nw { top: 0; }
+                .og-resize-s, .og-resize-se, .og-resize-sw { bottom: 0; }
+                .og-resize-e, .og-resize-ne, .og-resize-se { right: 0; }
+                .og-resize-w, .og-resize-nw, .og-resize-sw { left: 0; }
+                .og-resize-ne, .og-resize-sw { cursor: nesw-resize; }
+                .og-resize-nw, .og-resize-se { cursor: nwse-resize; }
+
+                #og-enhanced-container.og-resizing {
+                    user-select: none;
+                }
+
+                #og-enhanced-container.visible {
+                    opacity: 1;
+                    transform: scale(1) translateY(0);
+                }
+
+                .og-header {
+                    height: 40px;
+                    background-color: var(--og-header-bg-color);
+                    backdrop-filter: blur(10px);
+                    -webkit-backdrop-filter: blur(10px);
+                    padding: 0 15px;
+                    cursor: grab;
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    border-bottom: 1px solid var(--og-border-color);
+                    flex-shrink: 0;
+                    user-select: none;
+                    -webkit-user-select: none;
+                    touch-action: none;
+                }
+
+                .og-header:active {
+                    cursor: grabbing;
+                }
+
+                .og-header-left {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                }
+
+                .og-logo {
+                    color: var(--og-text-color);
+                    font-weight: 600;
+                    font-size: 0.9em;
+                }
+
+                .og-status-indicator {
+                    width: 8px;
+                    height: 8px;
+                    border-radius: 50%;
+                    background: #10b981;
+                    animation: pulse 2s infinite;
+                }
+
+                @keyframes pulse {
+                    0%, 100% { opacity: 1; }
+                    50% { opacity: 0.5; }
+                }
+
+                .og-header-right {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                }
+
+                .og-btn {
+                    padding: 6px 12px;
+                    border: none;
+                    border-radius: 6px;
+                    font-size: 13px;
+                    font-weight: 500;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    background: var(--og-accent-color);
+                    color: var(--og-on-accent-color);
+                }
+
+                .og-btn:hover {
+                    transform: translateY(-1px);
+                    opacity: 0.9;
+                }
+
+                .og-btn-icon {
+                    width: 28px;
+                    height: 28px;
+                    border-radius: 50%;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border: none;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                    background-color: transparent;
+                    color: var(--og-text-color);
+                    font-size: 16px;
+                }
+
+                .og-btn-icon:hover {
+                    background-color: color-mix(in srgb, var(--og-accent-color) 20%, transparent);
+                    transform: scale(1.1);
+                }
+
+                .og-btn-danger {
+                    background: var(--og-button-close-bg);
+                    color: white;
+                }
+
+                .og-content {
+                    flex: 1;
+                    display: flex;
+                    flex-direction: column;
+                    overflow: hidden;
+                }
+
+                .og-info-bar {
+                    touch-action: none;
+                    padding: 10px 16px;
+                    background: color-mix(in srgb, var(--og-accent-color) 10%, transparent);
+                    border-bottom: 1px solid var(--og-border-color);
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    flex-shrink: 0;
+                    flex-wrap: wrap;
+                    gap: 8px;
+                }
+
+                .og-coordinates {
+                    font-family: 'Monaco', 'Courier New', monospace;
+                    font-size: 13px;
+                    color: var(--og-accent-color);
+                    font-weight: 600;
+                    user-select: all;
+                }
+
+                .og-place {
+                    font-size: 11px;
+                    color: var(--og-text-color);
+                    opacity: 0.8;
+                    margin-top: 2px;
+                }
+
+                .og-place:empty {
+                    display: none;
+                }
+
+                .og-map-container {
+                    flex: 1;
+                    position: relative;
+                    overflow: hidden;
+                }
+
+                .og-map {
+                    width: 100%;
+                    height: 100%;
+                    background: var(--og-map-bg);
+                }
+
+                .og-world-bar {
+                    display: none;
+                    position: absolute;
+                    top: 10px;
+                    left: 54px;
+                    right: 10px;
+                    z-index: 1000;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 6px 8px;
+                    border-radius: 6px;
+                    background: var(--og-bg-color);
+                    font-size: 11px;
+                }
+
+                .og-world-mode .og-world-bar {
+                    display: flex;
+                }
+
+                .og-world-bar select,
+                .og-world-bar input {
+                    padding: 3px 4px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 4px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-size: 11px;
+                    color-scheme: var(--og-color-scheme);
+                }
+
+                .og-world-count {
+                    margin-left: auto;
+                    color: var(--og-muted-color);
+                }
+
+                .og-btn-icon.active {
+                    background-color: color-mix(in srgb, var(--og-accent-color) 35%, transparent);
+                }
+
+                .og-practice-bar {
+                    display: none;
+                    position: absolute;
+                    left: 10px;
+                    right: 10px;
+                    bottom: 24px;
+                    z-index: 1000;
+                    flex-direction: column;
+                    gap: 6px;
+                    padding: 8px 10px;
+                    border-radius: 6px;
+                    background: var(--og-bg-color);
+                    font-size: 12px;
+                }
+
+                .og-practice-mode .og-practice-bar {
+                    display: flex;
+                }
+
+                .og-practice-mode .og-map {
+                    cursor: crosshair;
+                }
+
+                .og-practice-input {
+                    display: flex;
+                    gap: 6px;
+                }
+
+                .og-practice-input input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 5px 6px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 4px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-family: 'Monaco', 'Courier New', monospace;
+                    font-size: 12px;
+                }
+
+                .og-score-inputs {
+                    display: flex;
+                    gap: 8px;
+                }
+
+                .og-score-inputs label {
+                    flex: 1;
+                    font-size: 11px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-measure-bar {
+                    display: none;
+                    position: absolute;
+                    left: 10px;
+                    right: 10px;
+                    bottom: 24px;
+                    z-index: 1000;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 8px 10px;
+                    border-radius: 6px;
+                    background: var(--og-bg-color);
+                    font-size: 12px;
+                }
+
+                .og-measure-mode .og-measure-bar {
+                    display: flex;
+                }
+
+                .og-measure-mode .og-map {
+                    cursor: crosshair;
+                }
+
+                .og-measure-result {
+                    flex: 1;
+                    min-width: 0;
+                }
+
+                .og-measure-midpoint {
+                    font-family: 'Monaco', 'Courier New', monospace;
+                    font-size: 11px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-marker {
+                    background: #e53935;
+                    border: 3px solid #fff;
+                    border-radius: 50%;
+                    box-shadow: 0 0 6px rgba(0, 0, 0, 0.6);
+                }
+
+                .og-loading {
+                    z-index: 1000;
+                    pointer-events: none;
+                }
+
+                .og-loading {
+                    position: absolute;
+                    top: 50%;
+                    left: 50%;
+                    transform: translate(-50%, -50%);
+                    text-align: center;
+                    color: var(--og-text-color);
+                }
+
+                .og-spinner {
+                    border: 3px solid color-mix(in srgb, var(--og-accent-color) 10%, transparent);
+                    border-top: 3px solid var(--og-accent-color);
+                    border-radius: 50%;
+                    width: 40px;
+                    height: 40px;
+                    animation: spin 1s linear infinite;
+                    margin: 0 auto 10px;
+                }
+
+                @keyframes spin {
+                    0% { transform: rotate(0deg); }
+                    100% { transform: rotate(360deg); }
+                }
+
+                .og-settings-panel {
+                    position: fixed;
+                    width: 280px;
+                    background-color: var(--og-bg-color);
+                    backdrop-filter: blur(12px);
+                    -webkit-backdrop-filter: blur(12px);
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 10px;
+                    padding: 15px;
+                    box-shadow: 0 4px 20px rgba(0,0,0,0.25);
+                    color: var(--og-text-color);
+                    font-family: var(--og-font);
+                    z-index: 1000000;
+                    display: none;
+                    opacity: 0;
+                    transform: translateX(-20px);
+                    transition: opacity 0.3s ease, transform 0.3s cubic-bezier(0.2, 0.8, 0.2, 1);
+                }
+
+                .og-settings-panel.visible {
+                    display: block;
+                    opacity: 1;
+                    transform: translateX(0);
+                }
+
+                .og-settings-title {
+                    font-size: 16px;
+                    font-weight: 600;
+                    margin-bottom: 15px;
+                }
+
+                .og-setting-item {
+                    margin-bottom: 15px;
+                }
+
+                .og-setting-label {
+                    display: block;
+                    font-size: 12px;
+                    font-weight: 500;
+                    margin-bottom: 6px;
+                }
+
+                .og-setting-input {
+                    width: 100%;
+                    padding: 8px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 6px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-size: 13px;
+                }
+
+                .og-setting-input[type="range"] {
+                    padding: 0;
+                    height: 6px;
+                    background: color-mix(in srgb, var(--og-accent-color) 20%, transparent);
+                    outline: none;
+                    -webkit-appearance: none;
+                }
+
+                .og-setting-input[type="range"]::-webkit-slider-thumb {
+                    -webkit-appearance: none;
+                    appearance: none;
+                    width: 16px;
+                    height: 16px;
+                    background: var(--og-accent-color);
+                    cursor: pointer;
+                    border-radius: 50%;
+                }
+
+                .og-setting-input[type="range"]::-moz-range-thumb {
+                    width: 16px;
+                    height: 16px;
+                    background: var(--og-accent-color);
+                    cursor: pointer;
+                    border-radius: 50%;
+                    border: none;
+                }
+
+                .og-toggle {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                }
+
+                .og-toggle-switch {
+                    position: relative;
+                    flex-shrink: 0;
+                    width: 44px;
+                    height: 24px;
+                    padding: 0;
+                    border: none;
+                    background: var(--og-toggle-bg);
+                    border-radius: 12px;
+                    cursor: pointer;
+                    transition: background 0.2s;
+                }
+
+                .og-toggle-switch.active {
+                    background: var(--og-accent-color);
+                }
+
+                .og-toggle-slider {
+                    position: absolute;
+                    top: 2px;
+                    left: 2px;
+                    width: 20px;
+                    height: 20px;
+                    background: white;
+                    border-radius: 50%;
+                    transition: transform 0.2s;
+                }
+
+                .og-toggle-switch.active .og-toggle-slider {
+                    transform: translateX(20px);
+                }
+
+                .og-strategy-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+
+                .og-style-grid {
+                    display: grid;
+                    grid-template-columns: repeat(2, 1fr);
+                    gap: 8px;
+                }
+
+                .og-style-option {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 4px;
+                    padding: 4px;
+                    border: 2px solid var(--og-border-color);
+                    border-radius: 6px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-size: 11px;
+                    cursor: pointer;
+                }
+
+                .og-style-option.active {
+                    border-color: var(--og-accent-color);
+                }
+
+                .og-style-option:disabled {
+                    opacity: 0.35;
+                    cursor: not-allowed;
+                }
+
+                .og-style-preview {
+                    position: relative;
+                    height: 56px;
+                    border-radius: 4px;
+                    overflow: hidden;
+                    background: var(--og-map-bg);
+                }
+
+                .og-style-preview img {
+                    position: absolute;
+                    inset: 0;
+                    width: 100%;
+                    height: 100%;
+                    object-fit: cover;
+                }
+
+                .og-strategy-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    font-size: 12px;
+                }
+
+                .og-strategy-name {
+                    flex: 1;
+                }
+
+                .og-strategy-confidence {
+                    font-size: 10px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-strategy-item.active .og-strategy-name {
+                    color: var(--og-accent-color);
+                    font-weight: 600;
+                }
+
+                .og-strategy-item.active .og-strategy-name::after {
+                    content: ' ●';
+                }
+
+                .og-active-source {
+                    font-size: 11px;
+                    color: var(--og-muted-color);
+                    margin-top: 8px;
+                }
+
+                .og-shortcut-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    margin-bottom: 8px;
+                }
+
+                .og-shortcut-item {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 4px 10px;
+                    font-size: 12px;
+                }
+
+                .og-shortcut-name {
+                    flex: 1;
+                }
+
+                .og-shortcut-key {
+                    min-width: 90px;
+                    padding: 3px 8px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 4px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font: 11px monospace;
+                    cursor: pointer;
+                }
+
+                .og-shortcut-key.recording {
+                    border-color: var(--og-accent-color);
+                    color: var(--og-accent-color);
+                }
+
+                .og-shortcut-key.unset {
+                    color: var(--og-muted-color);
+                    font-family: var(--og-font);
+                }
+
+                .og-shortcut-item.conflict .og-shortcut-key {
+                    border-color: var(--og-button-close-bg);
+                }
+
+                .og-shortcut-conflict {
+                    width: 100%;
+                    font-size: 10px;
+                    color: var(--og-button-close-bg);
+                }
+
+                .og-shortcut-hint {
+                    font-size: 11px;
+                    color: var(--og-muted-color);
+                    margin-bottom: 8px;
+                }
+
+                .og-history-panel,
+                .og-stats-panel {
+                    position: fixed;
+                    width: 320px;
+                    height: 520px;
+                    max-height: calc(100vh - 20px);
+                    background: var(--og-bg-color);
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 12px;
+                    box-shadow: 0 4px 20px rgba(0,0,0,0.25);
+                    z-index: 1000000;
+                    display: none;
+                    flex-direction: column;
+                }
+
+                .og-history-panel.visible,
+                .og-stats-panel.visible {
+                    display: flex;
+                }
+
+                .og-stats-body {
+                    flex: 1;
+                    min-height: 0;
+                    overflow-y: auto;
+                    padding: 12px;
+                }
+
+                .og-stats-summary {
+                    display: grid;
+                    grid-template-columns: repeat(3, 1fr);
+                    gap: 8px;
+                    margin-bottom: 12px;
+                }
+
+                .og-stats-summary div {
+                    display: flex;
+                    flex-direction: column;
+                    padding: 6px;
+                    border-radius: 6px;
+                    background: var(--og-hover-bg);
+                    text-align: center;
+                }
+
+                .og-stats-summary strong {
+                    font-size: 15px;
+                }
+
+                .og-stats-summary span {
+                    font-size: 10px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-stats-section {
+                    margin-bottom: 14px;
+                }
+
+                .og-stats-title {
+                    font-size: 12px;
+                    font-weight: 600;
+                    margin-bottom: 6px;
+                }
+
+                .og-chart {
+                    display: block;
+                    width: 100%;
+                    height: auto;
+                    margin-bottom: 4px;
+                }
+
+                .og-chart-bar {
+                    fill: var(--og-accent-color);
+                }
+
+                .og-chart-label,
+                .og-chart-value {
+                    font-size: 9px;
+                    fill: var(--og-text-color);
+                }
+
+                .og-chart-value {
+                    fill: var(--og-muted-color);
+                }
+
+                .og-chart-axis {
+                    stroke: var(--og-border-color);
+                }
+
+                .og-chart-empty {
+                    font-size: 11px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-history-header {
+                    padding: 12px;
+                    border-bottom: 1px solid var(--og-border-color);
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                }
+
+                .og-history-title {
+                    font-size: 14px;
+                    font-weight: 600;
+                }
+
+                .og-history-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                }
+
+                .og-menu-wrap {
+                    position: relative;
+                }
+
+                .og-menu {
+                    position: absolute;
+                    top: 32px;
+                    right: 0;
+                    min-width: 120px;
+                    display: none;
+                    flex-direction: column;
+                    padding: 4px;
+                    background: var(--og-bg-color);
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 8px;
+                    box-shadow: 0 4px 20px rgba(0,0,0,0.25);
+                    z-index: 1;
+                }
+
+                .og-menu.visible {
+                    display: flex;
+                }
+
+                .og-menu button {
+                    padding: 6px 10px;
+                    border: none;
+                    border-radius: 4px;
+                    background: transparent;
+                    color: var(--og-text-color);
+                    font-size: 12px;
+                    text-align: left;
+                    cursor: pointer;
+                }
+
+                .og-menu button:hover {
+                    background: color-mix(in srgb, var(--og-accent-color) 20%, transparent);
+                }
+
+                .og-menu-hint {
+                    display: block;
+                    font-size: 10px;
+                    color: var(--og-muted-color);
+                    font-family: 'Monaco', 'Courier New', monospace;
+                }
+
+                .og-copy-group {
+                    display: flex;
+                    gap: 2px;
+                }
+
+                .og-copy-group .og-menu {
+                    top: 36px;
+                    min-width: 220px;
+                    z-index: 10;
+                }
+
+                .og-coord-preview {
+                    font-family: 'Monaco', 'Courier New', monospace;
+                    font-size: 11px;
+                    color: var(--og-accent-color);
+                    text-align: center;
+                    margin-top: 6px;
+                    word-break: break-all;
+                }
+
+                .og-btn-icon:disabled {
+                    opacity: 0.4;
+                    cursor: default;
+                }
+
+                .og-history-filters {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    padding: 8px;
+                    border-bottom: 1px solid var(--og-border-color);
+                }
+
+                .og-history-filter-row {
+                    display: flex;
+                    gap: 6px;
+                }
+
+                .og-history-filters input,
+                .og-history-filters select {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 5px 6px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 4px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-size: 11px;
+                    color-scheme: var(--og-color-scheme);
+                }
+
+                .og-history-count {
+                    font-size: 10px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-history-list {
+                    flex: 1;
+                    min-height: 0;
+                    overflow-y: auto;
+                    padding: 8px;
+                }
+
+                .og-history-spacer {
+                    position: relative;
+                }
+
+                .og-history-item,
+                .og-history-group {
+                    position: absolute;
+                    left: 0;
+                    right: 0;
+                    box-sizing: border-box;
+                    overflow: hidden;
+                    border-radius: 6px;
+                    cursor: pointer;
+                }
+
+                .og-history-item {
+                    height: ${UI.HISTORY_ROW_HEIGHTS.item}px;
+                    padding: 8px 10px 8px 20px;
+                    transition: background 0.2s;
+                }
+
+                .og-history-item:hover {
+                    background: color-mix(in srgb, var(--og-accent-color) 20%, transparent);
+                }
+
+                .og-history-body {
+                    flex: 1;
+                    min-width: 0;
+                }
+
+                .og-history-body > div {
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+
+                .og-history-coords {
+                    font-family: 'Monaco', 'Courier New', monospace;
+                    font-size: 12px;
+                    color: var(--og-accent-color);
+                    margin-bottom: 2px;
+                }
+
+                .og-history-time {
+                    font-size: 10px;
+                    color: var(--og-muted-color);
+                }
+
+                .og-history-place {
+                    font-size: 11px;
+                    color: var(--og-text-color);
+                    opacity: 0.8;
+                    margin-bottom: 2px;
+                }
+
+                .og-history-group {
+                    height: ${UI.HISTORY_ROW_HEIGHTS.group}px;
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 0 10px;
+                    border: 1px solid var(--og-border-color);
+                    background: color-mix(in srgb, var(--og-accent-color) 8%, transparent);
+                    color: var(--og-text-color);
+                    user-select: none;
+                }
+
+                .og-history-group:hover {
+                    background: color-mix(in srgb, var(--og-accent-color) 15%, transparent);
+                }
+
+                .og-history-group-chevron {
+                    font-size: 10px;
+                    transition: transform 0.2s;
+                }
+
+                .og-history-group.expanded .og-history-group-chevron {
+                    transform: rotate(90deg);
+                }
+
+                .og-history-group-title {
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+
+                .og-history-round {
+                    font-weight: 600;
+                    color: var(--og-text-color);
+                    opacity: 0.7;
+                }
+
+                .og-history-row {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                }
+
+                .og-history-item .og-btn-icon {
+                    width: 24px;
+                    height: 24px;
+                    font-size: 13px;
+                    flex-shrink: 0;
+                }
+
+                .og-history-item-actions {
+                    display: flex;
+                    gap: 2px;
+                }
+
+                .og-history-item .og-history-favorite,
+                .og-history-item .og-history-edit {
+                    opacity: 0.4;
+                }
+
+                .og-history-item:hover .og-history-favorite,
+                .og-history-item:hover .og-history-edit,
+                .og-history-item.favorite .og-history-favorite {
+                    opacity: 1;
+                }
+
+                .og-history-item.favorite .og-history-favorite {
+                    color: #fbbf24;
+                }
+
+                .og-history-tag {
+                    margin-left: 4px;
+                    color: var(--og-accent-color);
+                    font-size: 10px;
+                }
+
+                .og-history-bulk {
+                    display: none;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 6px 8px;
+                    border-bottom: 1px solid var(--og-border-color);
+                    font-size: 11px;
+                }
+
+                .og-history-bulk.visible {
+                    display: flex;
+                }
+
+                .og-history-bulk span {
+                    flex: 1;
+                }
+
+                .og-history-bulk .og-btn {
+                    padding: 4px 10px;
+                    font-size: 11px;
+                }
+
+                .og-history-bulk .og-btn:disabled {
+                    opacity: 0.4;
+                    cursor: default;
+                }
+
+                .og-history-item.selected {
+                    background: color-mix(in srgb, var(--og-accent-color) 25%, transparent);
+                }
+
+                .og-history-check {
+                    font-size: 14px;
+                    flex-shrink: 0;
+                }
+
+                .og-history-item .og-history-delete {
+                    opacity: 0;
+                }
+
+                .og-history-item:hover .og-history-delete {
+                    opacity: 1;
+                }
+
+                .og-history-editor {
+                    display: none;
+                    flex-direction: column;
+                    gap: 6px;
+                    padding: 8px;
+                    border-top: 1px solid var(--og-border-color);
+                }
+
+                .og-history-editor.visible {
+                    display: flex;
+                }
+
+                .og-history-editor-title {
+                    font-size: 12px;
+                    font-weight: 600;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+
+                .og-history-editor textarea,
+                .og-history-editor input {
+                    padding: 6px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 4px;
+                    background: var(--og-input-bg);
+                    color: var(--og-text-color);
+                    font-family: inherit;
+                    font-size: 12px;
+                    resize: vertical;
+                }
+
+                .og-btn-secondary {
+                    background: var(--og-hover-bg);
+                }
+
+                .og-toast {
+                    position: fixed;
+                    bottom: 20px;
+                    left: 50%;
+                    transform: translateX(-50%) translateY(100px);
+                    background: var(--og-bg-color);
+                    color: var(--og-text-color);
+                    padding: 12px 20px;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 20px rgba(0,0,0,0.4);
+                    z-index: 10000000;
+                    opacity: 0;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                    font-size: 14px;
+                    font-weight: 500;
+                }
+
+                .og-toast-action {
+                    margin-left: 14px;
+                    padding: 4px 10px;
+                    border: 1px solid currentColor;
+                    border-radius: 4px;
+                    background: transparent;
+                    color: inherit;
+                    font-size: 13px;
+                    font-weight: 600;
+                    cursor: pointer;
+                }
+
+                .og-toast-action:hover {
+                    background: var(--og-hover-bg);
+                }
+
+                .og-toast.visible {
+                    opacity: 1;
+                    transform: translateX(-50%) translateY(0);
+                }
+
+                .og-toast.success {
+                    background: #10b981;
+                    color: white;
+                }
+
+                .og-toast.error {
+                    background: #ef4444;
+                    color: white;
+                }
+
+                .og-theme-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                }
+
+                .og-theme-row select {
+                    flex: 1;
+                }
+
+                .og-theme-row input[type="color"] {
+                    width: 36px;
+                    height: 30px;
+                    padding: 2px;
+                    border: 1px solid var(--og-border-color);
+                    border-radius: 6px;
+                    background: var(--og-input-bg);
+                    cursor: pointer;
+                }
+
+                .og-history-list::-webkit-scrollbar {
+                    width: 6px;
+                }
+
+                .og-history-list::-webkit-scrollbar-track {
+                    background: transparent;
+                }
+
+                .og-history-list::-webkit-scrollbar-thumb {
+                    background: color-mix(in srgb, var(--og-accent-color) 30%, transparent);
+                    border-radius: 3px;
+                }
+
+                .og-history-list::-webkit-scrollbar-thumb:hover {
+                    background: color-mix(in srgb, var(--og-accent-color) 50%, transparent);
+                }
+
+                #og-enhanced-container :focus-visible,
+                .og-settings-panel :focus-visible,
+                .og-history-panel :focus-visible,
+                .og-stats-panel :focus-visible,
+                .og-toast :focus-visible {
+                    outline: 2px solid var(--og-accent-color);
+                    outline-offset: 2px;
+                }
+
+                .og-settings-panel:focus,
+                .og-history-panel:focus,
+                .og-stats-panel:focus {
+                    outline: none;
+                }
+
+                .og-sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
+            `);
+        },
+
+        createElements: () => {
+            // Main container
+            const container = document.createElement('div');
+            container.id = 'og-enhanced-container';
+            container.setAttribute('role', 'dialog');
+            container.setAttribute('aria-labelledby', 'og-logo');
+            container.innerHTML = `
+                <div class="og-header">
+                    <div class="og-header-left">
+                        <div class="og-logo" id="og-logo"><span aria-hidden="true">🎯</span> OpenGuessr Pro</div>
+                        <div class="og-status-indicator"></div>
+                    </div>
+                    <div class="og-header-right">
+                        <button class="og-btn-icon" id="og-practice-btn" data-i18n-title="header.practice" aria-pressed="false">
+                            🏁
+                        </button>
+                        <button class="og-btn-icon" id="og-measure-btn" data-i18n-title="header.measure" aria-pressed="false">
+                            📏
+                        </button>
+                        <button class="og-btn-icon" id="og-world-btn" data-i18n-title="header.world" aria-pressed="false">
+                            🌍
+                        </button>
+                        <button class="og-btn-icon" id="og-map-style-btn" data-i18n-title="header.mapStyle">
+                            🗺️
+                        </button>
+                        <button class="og-btn-icon" id="og-history-btn" data-i18n-title="header.history" aria-controls="og-history-panel" aria-expanded="false">
+                            📜
+                        </button>
+                        <button class="og-btn-icon" id="og-stats-btn" data-i18n-title="header.stats" aria-controls="og-stats-panel" aria-expanded="false">
+                            📊
+                        </button>
+                        <button class="og-btn-icon" id="og-settings-btn" data-i18n-title="header.settings" aria-controls="og-settings-panel" aria-expanded="false">
+                            ⚙️
+                        </button>
+                        <button class="og-btn-icon og-btn-danger" id="og-close-btn">
+                            ✕
+                        </button>
+                    </div>
+                </div>
+                <div class="og-content">
+                    <div class="og-info-bar">
+                        <div>
+                            <div class="og-coordinates" id="og-coordinates">
+                                ${I18n.t('main.waiting')}
+                            </div>
+                            <div class="og-place" id="og-place"></div>
+                        </div>
+                        <div class="og-copy-group og-menu-wrap">
+                            <button class="og-btn og-btn-primary" id="og-copy-btn">
+                                <span aria-hidden="true">📋</span> <span data-i18n="main.copy"></span>
+                            </button>
+                            <button class="og-btn og-btn-primary" id="og-copy-menu-btn" data-i18n-title="main.copyMenu" aria-haspopup="true" aria-expanded="false">▾</button>
+                            <div class="og-menu" id="og-copy-menu"></div>
+                        </div>
+                    </div>
+                    <div class="og-map-container">
+                        <div class="og-loading" id="og-loading">
+                            <div class="og-spinner"></div>
+                            <div data-i18n="main.loadingMap"></div>
+                        </div>
+                        <div class="og-world-bar" id="og-world-bar">
+                            <select id="og-world-mode" data-i18n-title="world.display">
+                                <option value="both" data-i18n="world.both"></option>
+                                <option value="heatmap" data-i18n="world.heatmap"></option>
+                                <option value="clusters" data-i18n="world.clusters"></option>
+                            </select>
+                            <input type="date" id="og-world-from" data-i18n-title="history.from">
+                            <input type="date" id="og-world-to" data-i18n-title="history.to">
+                            <select id="og-world-game" data-i18n-title="world.game"></select>
+                            <span class="og-world-count" id="og-world-count"></span>
+                        </div>
+                        <div class="og-map" id="og-map"></div>
+                        <div class="og-practice-bar" id="og-practice-bar">
+                            <div class="og-practice-input">
+                                <input type="text" id="og-practice-coords" data-i18n-placeholder="practice.placeholder" spellcheck="false">
+                                <button class="og-btn og-btn-primary" id="og-practice-submit" data-i18n="practice.guess"></button>
+                            </div>
+                            <div class="og-practice-result" id="og-practice-result" aria-live="polite"></div>
+                        </div>
+                        <div class="og-measure-bar" id="og-measure-bar">
+                            <div class="og-measure-result" id="og-measure-result"></div>
+                            <button class="og-btn og-btn-primary" id="og-measure-copy" data-i18n-title="measure.copy">📋</button>
+                        </div>
+                    </div>
+                </div>
+                ${UI.RESIZE_EDGES.map(edge =>
+                    `<div class="og-resize-handle og-resize-${edge}" data-edge="${edge}" aria-hidden="true"></div>`
+                ).join('')}
+            `;
+
+            // Settings panel
+            const settingsPanel = document.createElement('div');
+            settingsPanel.className = 'og-settings-panel';
+            settingsPanel.id = 'og-settings-panel';
+            settingsPanel.setAttribute('role', 'dialog');
+            settingsPanel.setAttribute('aria-labelledby', 'og-settings-title');
+            settingsPanel.tabIndex = -1;
+            settingsPanel.innerHTML = `
+                <div class="og-settings-title" id="og-settings-title"><span aria-hidden="true">⚙️</span> <span data-i18n="settings.title"></span></div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" for="og-language-select" data-i18n="settings.language"></label>
+                    <select class="og-setting-input" id="og-language-select">
+                        <option value="auto" data-i18n="settings.languageAuto"></option>
+                        ${Object.entries(I18n.LANGUAGES).map(([language, name]) =>
+                            `<option value="${language}" lang="${language}">${name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" for="og-theme-select" data-i18n="settings.theme"></label>
+                    <div class="og-theme-row">
+                        <select class="og-setting-input" id="og-theme-select">
+                            ${SettingsSchema.FIELDS.theme.enum.map(theme => `<option value="${theme}" data-i18n="theme.${theme}"></option>`).join('')}
+                        </select>
+                        <input type="color" id="og-accent-color" data-i18n-title="settings.accent">
+                        <button class="og-btn-icon" id="og-accent-reset" data-i18n-title="settings.accentReset">↺</button>
+                    </div>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.zoom"></label>
+                    <input type="range" class="og-setting-input" id="og-zoom-level" min="1" max="20" value="4" style="cursor: pointer;">
+                    <div style="text-align: center; margin-top: 4px; font-size: 12px; color: var(--og-muted-color);" id="og-zoom-value">4</div>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" for="og-map-provider" data-i18n="settings.provider"></label>
+                    <select class="og-setting-input" id="og-map-provider">
+                        ${Object.keys(MapView.PROVIDERS).map(provider =>
+                            `<option value="${provider}" data-i18n="provider.${provider}"></option>`
+                        ).join('')}
+                    </select>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.style"></label>
+                    <div class="og-style-grid" id="og-map-styles"></div>
+                </div>
+
+                <div class="og-setting-item" id="og-tile-url-item">
+                    <label class="og-setting-label" for="og-tile-url" data-i18n="settings.tileUrl"></label>
+                    <input type="text" class="og-setting-input" id="og-tile-url" spellcheck="false" placeholder="${CONFIG.TILE_URL}">
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" for="og-distance-unit" data-i18n="settings.distanceUnit"></label>
+                    <select class="og-setting-input" id="og-distance-unit">
+                        <option value="km" data-i18n="settings.km"></option>
+                        <option value="mi" data-i18n="settings.mi"></option>
+                    </select>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.scoreCurve"></label>
+                    <div class="og-score-inputs">
+                        <label><span data-i18n="settings.mapSize"></span>
+                            <input type="number" class="og-setting-input" id="og-score-map-size" min="1" max="20038" step="any">
+                        </label>
+                        <label><span data-i18n="settings.decay"></span>
+                            <input type="number" class="og-setting-input" id="og-score-decay" min="0.1" max="100" step="0.1">
+                        </label>
+                    </div>
+                    <div class="og-coord-preview" id="og-score-preview"></div>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" for="og-coord-format" data-i18n="settings.coordFormat"></label>
+                    <select class="og-setting-input" id="og-coord-format">
+                        ${Object.keys(CoordFormats.FORMATS).map(format =>
+                            `<option value="${format}" data-i18n="coordFormat.${format}"></option>`
+                        ).join('')}
+                    </select>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.coordPrecision"></label>
+                    <input type="range" class="og-setting-input" id="og-coord-precision" min="0" max="8" value="6" style="cursor: pointer;">
+                    <div style="text-align: center; margin-top: 4px; font-size: 12px; color: var(--og-muted-color);" id="og-coord-precision-value">6</div>
+                    <div class="og-coord-preview" id="og-coord-preview"></div>
+                </div>
+
+                <div class="og-setting-item">
+                    <div class="og-toggle">
+                        <button type="button" class="og-toggle-switch" id="og-auto-open-toggle" role="switch" aria-checked="false">
+                            <span class="og-toggle-slider"></span>
+                        </button>
+                        <label class="og-setting-label" for="og-auto-open-toggle" style="margin: 0;" data-i18n="settings.autoOpen"></label>
+                    </div>
+                </div>
+
+                <div class="og-setting-item">
+                    <div class="og-toggle">
+                        <button type="button" class="og-toggle-switch active" id="og-show-coords-toggle" role="switch" aria-checked="true">
+                            <span class="og-toggle-slider"></span>
+                        </button>
+                        <label class="og-setting-label" for="og-show-coords-toggle" style="margin: 0;" data-i18n="settings.showCoords"></label>
+                    </div>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.sources"></label>
+                    <div class="og-strategy-list" id="og-strategy-list"></div>
+                    <div class="og-active-source" id="og-active-source"></div>
+                </div>
+
+                <div class="og-setting-item">
+                    <label class="og-setting-label" data-i18n="settings.shortcuts"></label>
+                    <div class="og-shortcut-list" id="og-shortcut-list"></div>
+                    <div class="og-shortcut-hint" data-i18n="settings.shortcutsHint"></div>
+                    <button class="og-btn og-btn-secondary" id="og-shortcuts-reset" data-i18n="settings.shortcutsReset"></button>
+                </div>
+
+                <div class="og-setting-item" style="margin-top: 24px;">
+                    <button class="og-btn og-btn-danger" id="og-clear-history" style="width: 100%;">
+                        <span aria-hidden="true">🗑️</span> <span data-i18n="settings.clearHistory"></span>
+                    </button>
+                </div>
+            `;
+
+            // History panel
+            const historyPanel = document.createElement('div');
+            historyPanel.className = 'og-history-panel';
+            historyPanel.id = 'og-history-panel';
+            historyPanel.setAttribute('role', 'dialog');
+            historyPanel.setAttribute('aria-labelledby', 'og-history-title');
+            historyPanel.tabIndex = -1;
+            historyPanel.innerHTML = `
+                <div class="og-history-header">
+                    <div class="og-history-title" id="og-history-title"><span aria-hidden="true">📜</span> <span data-i18n="history.title"></span></div>
+                    <div class="og-history-actions">
+                        <div class="og-menu-wrap">
+                            <button class="og-btn-icon" id="og-export-btn" data-i18n-title="history.export" aria-haspopup="true" aria-expanded="false">⬇</button>
+                            <div class="og-menu" id="og-export-menu">
+                                ${Object.entries(Exporter.FORMATS).map(([format, { label }]) =>
+                                    `<button data-format="${format}">${label}</button>`
+                                ).join('')}
+                            </div>
+                        </div>
+                        <button class="og-btn-icon" id="og-import-btn" data-i18n-title="history.import">⬆</button>
+                        <button class="og-btn-icon" id="og-history-select-btn" data-i18n-title="history.select" aria-pressed="false">☑</button>
+                        <input type="file" id="og-import-input" accept=".geojson,.json,.csv,.kml" style="display: none;">
+                        <button class="og-btn-icon" id="og-history-close" data-i18n-title="history.close">✕</button>
+                    </div>
+                </div>
+                <div class="og-history-filters">
+                    <div class="og-history-filter-row">
+                        <input type="search" id="og-history-search" data-i18n-placeholder="history.search" spellcheck="false">
+                        <button class="og-btn-icon" id="og-history-favorites" data-i18n-title="history.favorites" aria-pressed="false">☆</button>
+                    </div>
+                    <div class="og-history-filter-row">
+                        <input type="date" id="og-history-from" data-i18n-title="history.from">
+                        <input type="date" id="og-history-to" data-i18n-title="history.to">
+                    </div>
+                    <div class="og-history-filter-row">
+                        <select id="og-history-source" data-i18n-title="history.source"></select>
+                        <select id="og-history-sort" data-i18n-title="history.sort">
+                            <option value="newest" data-i18n="history.newest"></option>
+                            <option value="oldest" data-i18n="history.oldest"></option>
+                            <option value="country" data-i18n="history.byCountry"></option>
+                        </select>
+                    </div>
+                    <div class="og-history-count" id="og-history-count" aria-live="polite"></div>
+                </div>
+                <div class="og-history-bulk" id="og-history-bulk">
+                    <span id="og-history-selected"></span>
+                    <button class="og-btn og-btn-secondary" id="og-history-select-all" data-i18n="history.selectAll"></button>
+                    <button class="og-btn og-btn-danger" id="og-history-delete-selected" data-i18n="history.delete"></button>
+                </div>
+                <div class="og-history-list" id="og-history-list">
+                    <div style="text-align: center; padding: 20px; color: var(--og-muted-color);" data-i18n="history.empty"></div>
+                </div>
+                <div class="og-history-editor" id="og-history-editor">
+                    <div class="og-history-editor-title" id="og-history-editor-title"></div>
+                    <textarea id="og-history-notes" rows="3" data-i18n-placeholder="history.notes"></textarea>
+                    <input type="text" id="og-history-tags" data-i18n-placeholder="history.tags" spellcheck="false">
+                    <div class="og-history-filter-row">
+                        <button class="og-btn" id="og-history-editor-save" data-i18n="history.save"></button>
+                        <button class="og-btn og-btn-secondary" id="og-history-editor-cancel" data-i18n="history.cancel"></button>
+                    </div>
+                </div>
+            `;
+
+            // Statistics panel
+            const statsPanel = document.createElement('div');
+            statsPanel.className = 'og-stats-panel';
+            statsPanel.id = 'og-stats-panel';
+            statsPanel.setAttribute('role', 'dialog');
+            statsPanel.setAttribute('aria-labelledby', 'og-stats-title');
+            statsPanel.tabIndex = -1;
+            statsPanel.innerHTML = `
+                <div class="og-history-header">
+                    <div class="og-history-title" id="og-stats-title"><span aria-hidden="true">📊</span> <span data-i18n="stats.title"></span></div>
+                    <div class="og-history-actions">
+                        <button class="og-btn-icon" id="og-stats-close" data-i18n-title="history.close">✕</button>
+                    </div>
+                </div>
+                <div class="og-stats-body" id="og-stats-body"></div>
+            `;
+
+            // Screen reader announcements for toasts and location updates
+            const liveRegion = document.createElement('div');
+            liveRegion.className = 'og-sr-only';
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.setAttribute('aria-live', 'polite');
+
+            document.body.appendChild(container);
+            document.body.appendChild(settingsPanel);
+            document.body.appendChild(historyPanel);
+            document.body.appendChild(statsPanel);
+            document.body.appendChild(liveRegion);
+
+            // Store references
+            UI.elements = {
+                container,
+                settingsPanel,
+                historyPanel,
+                statsPanel,
+                liveRegion,
+                closeBtn: container.querySelector('#og-close-btn'),
+                settingsBtn: container.querySelector('#og-settings-btn'),
+                historyBtn: container.querySelector('#og-history-btn'),
+                statsBtn: container.querySelector('#og-stats-btn'),
+                statsClose: statsPanel.querySelector('#og-stats-close'),
+                statsBody: statsPanel.querySelector('#og-stats-body'),
+                copyBtn: container.querySelector('#og-copy-btn'),
+                copyMenuBtn: container.querySelector('#og-copy-menu-btn'),
+                copyMenu: container.querySelector('#og-copy-menu'),
+                coordinates: container.querySelector('#og-coordinates'),
+                place: container.querySelector('#og-place'),
+                map: container.querySelector('#og-map'),
+                loading: container.querySelector('#og-loading'),
+                zoomLevelInput: settingsPanel.querySelector('#og-zoom-level'),
+                zoomValueDisplay: settingsPanel.querySelector('#og-zoom-value'),
+                coordFormatSelect: settingsPanel.querySelector('#og-coord-format'),
+                coordPrecisionInput: settingsPanel.querySelector('#og-coord-precision'),
+                coordPrecisionValue: settingsPanel.querySelector('#og-coord-precision-value'),
+                coordPreview: settingsPanel.querySelector('#og-coord-preview'),
+                autoOpenToggle: settingsPanel.querySelector('#og-auto-open-toggle'),
+                showCoordsToggle: settingsPanel.querySelector('#og-show-coords-toggle'),
+                strategyList: settingsPanel.querySelector('#og-strategy-list'),
+                activeSource: settingsPanel.querySelector('#og-active-source'),
+                shortcutList: settingsPanel.querySelector('#og-shortcut-list'),
+                shortcutsResetBtn: settingsPanel.querySelector('#og-shortcuts-reset'),
+                clearHistoryBtn: settingsPanel.querySelector('#og-clear-history'),
+                historyList: historyPanel.querySelector('#og-history-list'),
+                historySearch: historyPanel.querySelector('#og-history-search'),
+                historyFrom: historyPanel.querySelector('#og-history-from'),
+                historyTo: historyPanel.querySelector('#og-history-to'),
+                historySource: historyPanel.querySelector('#og-history-source'),
+                historySort: historyPanel.querySelector('#og-history-sort'),
+                historyCount: historyPanel.querySelector('#og-history-count'),
+                historyFavorites: historyPanel.querySelector('#og-history-favorites'),
+                historySelectBtn: historyPanel.querySelector('#og-history-select-btn'),
+                historyBulk: historyPanel.querySelector('#og-history-bulk'),
+                historySelected: historyPanel.querySelector('#og-history-selected'),
+                historySelectAll: historyPanel.querySelector('#og-history-select-all'),
+                historyDeleteSelected: historyPanel.querySelector('#og-history-delete-selected'),
+                historyEditor: historyPanel.querySelector('#og-history-editor'),
+                historyEditorTitle: historyPanel.querySelector('#og-history-editor-title'),
+                historyNotes: historyPanel.querySelector('#og-history-notes'),
+                historyTags: historyPanel.querySelector('#og-history-tags'),
+                historyEditorSave: historyPanel.querySelector('#og-history-editor-save'),
+                historyEditorCancel: historyPanel.querySelector('#og-history-editor-cancel'),
+                historyClose: historyPanel.querySelector('#og-history-close'),
+                exportBtn: historyPanel.querySelector('#og-export-btn'),
+                exportMenu: historyPanel.querySelector('#og-export-menu'),
+                importBtn: historyPanel.querySelector('#og-import-btn'),
+                importInput: historyPanel.querySelector('#og-import-input'),
+                tileUrlInput: settingsPanel.querySelector('#og-tile-url'),
+                tileUrlItem: settingsPanel.querySelector('#og-tile-url-item'),
+                mapProviderSelect: settingsPanel.querySelector('#og-map-provider'),
+                mapStyles: settingsPanel.querySelector('#og-map-styles'),
+                mapStyleBtn: container.querySelector('#og-map-style-btn'),
+                worldBtn: container.querySelector('#og-world-btn'),
+                measureBtn: container.querySelector('#og-measure-btn'),
+                practiceBtn: container.querySelector('#og-practice-btn'),
+                practiceCoords: container.querySelector('#og-practice-coords'),
+                practiceSubmit: container.querySelector('#og-practice-submit'),
+                practiceResult: container.querySelector('#og-practice-result'),
+                scoreMapSizeInput: settingsPanel.querySelector('#og-score-map-size'),
+                scoreDecayInput: settingsPanel.querySelector('#og-score-decay'),
+                scorePreview: settingsPanel.querySelector('#og-score-preview'),
+                measureResult: container.querySelector('#og-measure-result'),
+                measureCopy: container.querySelector('#og-measure-copy'),
+                distanceUnitSelect: settingsPanel.querySelector('#og-distance-unit'),
+                languageSelect: settingsPanel.querySelector('#og-language-select'),
+                themeSelect: settingsPanel.querySelector('#og-theme-select'),
+                accentColorInput: settingsPanel.querySelector('#og-accent-color'),
+                accentResetBtn: settingsPanel.querySelector('#og-accent-reset'),
+                worldModeSelect: container.querySelector('#og-world-mode'),
+                worldFromInput: container.querySelector('#og-world-from'),
+                worldToInput: container.querySelector('#og-world-to'),
+                worldGameSelect: container.querySelector('#og-world-game'),
+                worldCount: container.querySelector('#og-world-count')
+            };
+
+            UI.translate();
+
+            if (!MapView.create(UI.elements.map)) {
+                UI.elements.loading.lastElementChild.removeAttribute('data-i18n');
+                UI.elements.loading.lastElementChild.textContent = I18n.t('main.mapUnavailable');
+            }
+
+            UI.attachEventListeners();
+        },
+
+        attachEventListeners: () => {
+            const { elements } = UI;
+
+            // Close button
+            elements.closeBtn.addEventListener('click', () => UI.hide());
+
+            // Settings button
+            elements.settingsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isActive = elements.settingsPanel.classList.toggle('visible');
+                elements.historyPanel.classList.remove('visible');
+                elements.statsPanel.classList.remove('visible');
+
+                if (isActive) {
+                    // Position panel to the RIGHT of the container
+                    const containerRect = elements.container.getBoundingClientRect();
+                    elements.settingsPanel.style.left = `${containerRect.right + 10}px`;
+                    elements.settingsPanel.style.top = `${containerRect.top}px`;
+                }
+            });
+
+            // History button
+            elements.historyBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                UI.updateHistoryPanel();
+                const isActive = elements.historyPanel.classList.toggle('visible');
+                elements.settingsPanel.classList.remove('visible');
+                elements.statsPanel.classList.remove('visible');
+
+                if (isActive) {
+                    // Position panel to the RIGHT of the container
+                    const containerRect = elements.container.getBoundingClientRect();
+                    elements.historyPanel.style.left = `${containerRect.right + 10}px`;
+                    elements.historyPanel.style.top = `${containerRect.top}px`;
+                }
+            });
+
+            // History close button
+            elements.historyClose.addEventListener('click', () => {
+                elements.historyPanel.classList.remove('visible');
+            });
+
+            // Statistics button
+            elements.statsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isActive = elements.statsPanel.classList.toggle('visible');
+                elements.settingsPanel.classList.remove('visible');
+                elements.historyPanel.classList.remove('visible');
+
+                if (isActive) {
+                    UI.updateStatsPanel();
+
+                    // Position panel to the RIGHT of the container
+                    const containerRect = elements.container.getBoundingClientRect();
+                    elements.statsPanel.style.left = `${containerRect.right + 10}px`;
+                    elements.statsPanel.style.top = `${containerRect.top}px`;
+                }
+            });
+
+            elements.statsClose.addEventListener('click', () => {
+                elements.statsPanel.classList.remove('visible');
+            });
+
+            // Panels keep keyboard focus inside while open, Escape closes them
+            [elements.settingsPanel, elements.historyPanel, elements.statsPanel].forEach(panel => {
+                panel.addEventListener('keydown', UI.handlePanelKeydown);
+            });
+            UI.watchPanels();
+
+            // History list: one delegated click handler and windowed rendering on scroll
+            elements.historyList.addEventListener('click', UI.handleHistoryClick);
+            elements.historyList.addEventListener('keydown', UI.handleHistoryKeydown);
+
+            let scrollFrame = null;
+            elements.historyList.addEventListener('scroll', () => {
+                if (scrollFrame) return;
+                scrollFrame = requestAnimationFrame(() => {
+                    scrollFrame = null;
+                    UI.renderVisibleHistory();
+                });
+            });
+
+            // History search, filters and sort
+            const applyHistoryFilters = () => {
+                UI.historyFilters = {
+                    query: elements.historySearch.value.trim(),
+                    from: elements.historyFrom.value,
+                    to: elements.historyTo.value,
+                    source: elements.historySource.value,
+                    favorites: elements.historyFavorites.classList.contains('active'),
+                    sort: elements.historySort.value
+                };
+                UI.toggledGroups = null;
+                elements.historyList.scrollTop = 0;
+                UI.loadHistory();
+            };
+
+            elements.historySearch.addEventListener('input', Utils.debounce(applyHistoryFilters, 150));
+            [elements.historyFrom, elements.historyTo, elements.historySource, elements.historySort].forEach(input => {
+                input.addEventListener('change', applyHistoryFilters);
+            });
+
+            elements.historyFavorites.addEventListener('click', () => {
+                const active = UI.setPressed(elements.historyFavorites, !elements.historyFavorites.classList.contains('active'));
+                elements.historyFavorites.textContent = active ? '★' : '☆';
+                applyHistoryFilters();
+            });
+
+            // Multi-select and bulk delete
+            elements.historySelectBtn.addEventListener('click', () => UI.setSelectMode(!UI.selectMode));
+            elements.historySelectAll.addEventListener('click', () => UI.selectAllHistory());
+            elements.historyDeleteSelected.addEventListener('click', () => {
+                UI.deleteHistoryEntries([...UI.selectedIds]);
+            });
+
+            // Notes and tags editor
+            elements.historyEditorSave.addEventListener('click', () => UI.saveHistoryEditor());
+            elements.historyEditorCancel.addEventListener('click', () => UI.closeHistoryEditor());
+            elements.historyTags.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    UI.saveHistoryEditor();
+                }
+            });
+
+            // Export menu
+            elements.exportBtn.addEventListener('click', () => {
+                UI.toggleMenu(elements.exportBtn, elements.exportMenu);
+            });
+
+            elements.exportMenu.addEventListener('click', async (e) => {
+                const option = e.target.closest('button[data-format]');
+                if (!option) return;
+
+                UI.toggleMenu(elements.exportBtn, elements.exportMenu, false);
+                const count = await Exporter.exportHistory(option.dataset.format);
+                if (count > 0) {
+                    UI.showToast(I18n.text('toast.exported', { count, format: Exporter.FORMATS[option.dataset.format].label }), 'success');
+                } else {
+                    UI.showToast(I18n.t('toast.nothingToExport'), 'error');
+                }
+            });
+
+            // Import
+            elements.importBtn.addEventListener('click', () => elements.importInput.click());
+
+            elements.importInput.addEventListener('change', async () => {
+                const file = elements.importInput.files[0];
+                elements.importInput.value = '';
+                if (!file) return;
+
+                try {
+                    const { imported, skipped, rejected } = await Importer.importFile(file);
+                    await UI.updateHistoryPanel();
+                    UI.showToast(I18n.t('toast.imported', { imported, skipped, rejected }), imported > 0 ? 'success' : 'error');
+                } catch (err) {
+                    Utils.error('Import failed:', err);
+                    UI.showToast(I18n.text('toast.importFailed', { error: err.message }), 'error');
+                }
+            });
+
+            // Copy button
+            elements.copyBtn.addEventListener('click', () => UI.copyCoordinates());
+
+            // Copy format menu
+            elements.copyMenuBtn.addEventListener('click', () => {
+                if (UI.toggleMenu(elements.copyMenuBtn, elements.copyMenu)) UI.renderCopyMenu();
+            });
+
+            elements.copyMenu.addEventListener('click', (e) => {
+                const option = e.target.closest('button[data-format]');
+                if (!option) return;
+                UI.toggleMenu(elements.copyMenuBtn, elements.copyMenu, false);
+                UI.copyCoordinates(option.dataset.format);
+            });
+
+            // Map provider
+            elements.mapProviderSelect.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.mapProvider = e.target.value;
+                Storage.saveSettings(settings);
+            });
+
+            // Map style picker
+            elements.mapStyles.addEventListener('click', (e) => {
+                const option = e.target.closest('button[data-style]');
+                if (!option || option.disabled) return;
+
+                const settings = Storage.getSettings();
+                settings.mapType = option.dataset.style;
+                Storage.saveSettings(settings);
+            });
+
+            elements.mapStyleBtn.addEventListener('click', () => UI.cycleMapStyle());
+
+            // Practice guesses
+            elements.practiceBtn.addEventListener('click', () => UI.setPracticeMode(!UI.practiceActive));
+            elements.practiceSubmit.addEventListener('click', () => UI.submitPastedGuess());
+            elements.practiceCoords.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    UI.submitPastedGuess();
+                }
+            });
+
+            // Score curve; invalid numbers are rejected by the settings schema
+            [
+                [elements.scoreMapSizeInput, 'scoreMapSize'],
+                [elements.scoreDecayInput, 'scoreDecay']
+            ].forEach(([input, key]) => {
+                input.addEventListener('change', (e) => {
+                    const settings = Storage.getSettings();
+                    settings[key] = parseFloat(e.target.value);
+                    Storage.saveSettings(settings);
+                    UI.loadScoreSettings();
+                });
+            });
+
+            // Distance measurement
+            elements.measureBtn.addEventListener('click', () => UI.setMeasureMode(!UI.measure.active));
+            elements.measureCopy.addEventListener('click', () => UI.copyMeasurement());
+
+            elements.distanceUnitSelect.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.distanceUnit = e.target.value;
+                Storage.saveSettings(settings);
+            });
+
+            // Language
+            elements.languageSelect.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.language = e.target.value;
+                Storage.saveSettings(settings);
+            });
+
+            // Theme and accent color
+            elements.themeSelect.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.theme = e.target.value;
+                Storage.saveSettings(settings);
+            });
+
+            // Preview while the picker is open, save once a color is chosen
+            elements.accentColorInput.addEventListener('input', (e) => {
+                Theme.apply({ ...Storage.getSettings(), accentColor: e.target.value });
+            });
+
+            elements.accentColorInput.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.accentColor = e.target.value;
+                Storage.saveSettings(settings);
+            });
+
+            elements.accentResetBtn.addEventListener('click', () => {
+                const settings = Storage.getSettings();
+                settings.accentColor = CONFIG.ACCENT_COLOR;
+                Storage.saveSettings(settings);
+            });
+
+            // World view and its filters
+            elements.worldBtn.addEventListener('click', () => UI.setWorldView(!UI.worldView.active));
+
+            [
+                [elements.worldModeSelect, 'mode'],
+                [elements.worldFromInput, 'from'],
+                [elements.worldToInput, 'to'],
+                [elements.worldGameSelect, 'gameId']
+            ].forEach(([input, key]) => {
+                input.addEventListener('change', (e) => {
+                    UI.worldView[key] = e.target.value;
+                    UI.renderWorldView();
+                });
+            });
+
+            // Tile source, an empty field restores the default
+            elements.tileUrlInput.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                const tileUrl = e.target.value.trim() || CONFIG.TILE_URL;
+
+                if (!SettingsSchema.isValidValue(SettingsSchema.FIELDS.tileUrl, tileUrl)) {
+                    UI.showToast(I18n.t('toast.tileUrlInvalid'), 'error');
+                    e.target.value = settings.tileUrl;
+                    return;
+                }
+
+                settings.tileUrl = tileUrl;
+                Storage.saveSettings(settings);
+                e.target.value = tileUrl;
+            });
+
+            // Coordinate format
+            elements.coordFormatSelect.addEventListener('change', (e) => {
+                const settings = Storage.getSettings();
+                settings.coordFormat = e.target.value;
+                Storage.saveSettings(settings);
+                UI.loadCoordinateSettings();
+            });
+
+            // Coordinate precision for the selected format
+            elements.coordPrecisionInput.addEventListener('input', (e) => {
+                const settings = Storage.getSettings();
+                settings.coordPrecision = {
+                    ...settings.coordPrecision,
+                    [settings.coordFormat]: parseInt(e.target.value)
+                };
+                Storage.saveSettings(settings);
+                UI.loadCoordinateSettings();
+            });
+
+            // Zoom level change
+            elements.zoomLevelInput.addEventListener('input', (e) => {
+                const value = e.target.value;
+                elements.zoomValueDisplay.textContent = value;
+                const settings = Storage.getSettings();
+                settings.defaultZoom = parseInt(value);
+                Storage.saveSettings(settings);
+                Utils.log('Zoom level changed to:', value);
+            });
+
+            // Auto-open toggle
+            elements.autoOpenToggle.addEventListener('click', () => {
+                const settings = Storage.getSettings();
+                settings.autoOpen = UI.setSwitch(elements.autoOpenToggle, !settings.autoOpen);
+                Storage.saveSettings(settings);
+            });
+
+            // Show coordinates toggle
+            elements.showCoordsToggle.addEventListener('click', () => {
+                const settings = Storage.getSettings();
+                settings.showCoordinates = UI.setSwitch(elements.showCoordsToggle, !settings.showCoordinates);
+                Storage.saveSettings(settings);
+            });
+
+            // Strategy toggles
+            elements.strategyList.addEventListener('click', (e) => {
+                const toggle = e.target.closest('.og-toggle-switch');
+                if (!toggle) return;
+                const enabled = UI.setSwitch(toggle, !toggle.classList.contains('active'));
+                LocationExtractor.setStrategyEnabled(toggle.dataset.strategy, enabled);
+                Utils.log(`Strategy ${toggle.dataset.strategy} ${enabled ? 'enabled' : 'disabled'}`);
+            });
+
+            // Shortcut rebinding: click a key button, then press the new combo
+            elements.shortcutList.addEventListener('click', (e) => {
+                const button = e.target.closest('.og-shortcut-key');
+                if (button) UI.recordShortcut(button);
+            });
+            elements.shortcutList.addEventListener('keydown', UI.handleShortcutRecording);
+            elements.shortcutList.addEventListener('focusout', () => {
+                if (Shortcuts.recording) UI.stopRecordingShortcut();
+            });
+
+            elements.shortcutsResetBtn.addEventListener('click', () => {
+                Shortcuts.reset();
+                UI.showToast(I18n.t('toast.shortcutsReset'), 'success');
+            });
+
+            // Clear history button
+            // No confirm() dialog, the toast offers an undo instead
+            elements.clearHistoryBtn.addEventListener('click', async () => {
+                const count = await Storage.clearLocationHistory();
+                if (count === 0) {
+                    UI.showToast(I18n.t('toast.historyEmpty'), 'info');
+                    return;
+                }
+
+                await UI.refreshHistoryViews();
+                UI.showUndoToast(I18n.t('toast.historyCleared', { count }), Storage.restoreClearedHistory);
+            });
+
+            // Dragging the header, resizing from the edge and corner handles and
+            // pinching with two fingers. The container captures the pointer, so
+            // moves keep arriving even when it passes over the game iframe.
+            elements.container.addEventListener('pointerdown', UI.handlePointerDown);
+            elements.container.addEventListener('pointermove', UI.handlePointerMove);
+            elements.container.addEventListener('pointerup', UI.handlePointerUp);
+            elements.container.addEventListener('pointercancel', UI.handlePointerUp);
+
+            // Keep the window on screen when the browser window shrinks
+            window.addEventListener('resize', () => {
+                if (!UI.isVisible()) return;
+                UI.setBounds(UI.computeBounds(UI.getBounds(), 'move', 0, 0));
+                UI.savePosition();
+            });
+
+            // Prevent settings and history panel clicks from propagating
+            elements.settingsPanel.addEventListener('click', (e) => e.stopPropagation());
+            elements.historyPanel.addEventListener('click', (e) => e.stopPropagation());
+
+            // Event bus
+            Events.on('location:changed', (location) => {
+                UI.updateMeasurement();
+                if (UI.practiceActive) {
+                    UI.resetPractice();
+                }
+                if (UI.isVisible()) {
+                    UI.updateMap(location);
+
+                    const place = Geocoder.formatLabel(Geocoder.labelFor(location));
+                    const coordinates = CoordFormats.formatLocation(location, Storage.getSettings());
+                    UI.announce(I18n.text('a11y.location', { location: place ? `${coordinates}, ${place}` : coordinates }));
+                }
+            });
+
+            Events.on('map:click', (point) => {
+                if (UI.measure.active) {
+                    UI.setMeasureTarget(point);
+                } else if (UI.practiceActive) {
+                    UI.submitGuess(point);
+                }
+            });
+
+            Events.on('map:loading', (isLoading) => {
+                elements.loading.style.display = isLoading ? 'block' : 'none';
+            });
+
+            Events.on('ui:shown', () => {
+                if (App.currentLocation) {
+                    UI.updateMap(App.currentLocation);
+                }
+            });
+
+            Events.on('settings:changed', ({ settings, previous }) => {
+                UI.updateCoordinatesDisplay();
+
+                if (settings.language !== previous.language) {
+                    I18n.setLanguage(settings.language);
+                    UI.refreshLanguage();
+                }
+
+                if (JSON.stringify(settings.shortcuts) !== JSON.stringify(previous.shortcuts)) {
+                    Shortcuts.load(settings);
+                    UI.renderShortcutList();
+                }
+
+                if (settings.theme !== previous.theme || settings.accentColor !== previous.accentColor) {
+                    Theme.apply(settings);
+                    elements.themeSelect.value = settings.theme;
+                    elements.accentColorInput.value = settings.accentColor;
+                }
+
+                const formatChanged = settings.coordFormat !== previous.coordFormat ||
+                    JSON.stringify(settings.coordPrecision) !== JSON.stringify(previous.coordPrecision);
+                if (formatChanged) {
+                    UI.refreshCoordinates(settings);
+                    if (elements.historyPanel.classList.contains('visible')) {
+                        UI.updateHistoryPanel();
+                    }
+                }
+
+                const sourceChanged = settings.mapProvider !== previous.mapProvider ||
+                    settings.mapType !== previous.mapType ||
+                    settings.tileUrl !== previous.tileUrl;
+                if (sourceChanged) {
+                    MapView.setTileSource(settings);
+                    UI.loadMapSettings(settings);
+                }
+
+                if (settings.distanceUnit !== previous.distanceUnit) {
+                    UI.updateMeasurement();
+                }
+
+                if (settings.defaultZoom !== previous.defaultZoom) {
+                    UI.renderMapStyles(settings);
+                    if (App.currentLocation && UI.isVisible()) {
+                        UI.updateMap(App.currentLocation, settings);
+                    }
+                }
+            });
+        },
+
+        isVisible: () => {
+            return !!UI.elements.container && UI.elements.container.style.display === 'flex';
+        },
+
+        show: () => {
+            if (!UI.elements.container) return;
+
+            UI.elements.container.style.display = 'flex';
+            setTimeout(() => {
+                UI.elements.container.classList.add('visible');
+            }, 10);
+
+            UI.restorePosition();
+            UI.loadSettings();
+            MapView.invalidateSize();
+
+            Events.emit('ui:shown');
+        },
+
+        hide: () => {
+            if (!UI.elements.container) return;
+
+            UI.elements.container.classList.remove('visible');
+            UI.elements.settingsPanel.classList.remove('visible');
+            UI.elements.historyPanel.classList.remove('visible');
+            UI.elements.statsPanel.classList.remove('visible');
+
+            setTimeout(() => {
+                UI.elements.container.style.display = 'none';
+            }, CONFIG.ANIMATION_DURATION);
+        },
+
+        toggle: () => {
+            if (UI.elements.container.classList.contains('visible')) {
+                UI.hide();
+            } else {
+                UI.show();
+            }
+        },
+
+        updateMap: (location, settings) => {
+            if (!location) {
+                Utils.log('Cannot update map: location missing');
+                return;
+            }
+
+            if (!settings) {
+                settings = Storage.getSettings();
+            }
+
+            Utils.log('Updating map with:', location);
+
+            // World view keeps its overview, the marker catches up when it closes
+            if (!UI.worldView.active) {
+                MapView.show(location, settings.defaultZoom || CONFIG.DEFAULT_ZOOM);
+            }
+
+            // Keep the style previews on the displayed location
+            const previewMoved = UI.displayedLocation !== location;
+
+            // Update coordinates display
+            UI.displayedLocation = location;
+            UI.refreshCoordinates(settings);
+
+            if (previewMoved && UI.elements.settingsPanel.classList.contains('visible')) {
+                UI.renderMapStyles(settings);
+            }
+
+            UI.updateActiveStrategy();
+        },
+
+        loadMapSettings: (settings = Storage.getSettings()) => {
+            UI.elements.mapProviderSelect.value = settings.mapProvider;
+            UI.elements.tileUrlInput.value = settings.tileUrl;
+            UI.elements.tileUrlItem.style.display = settings.mapProvider === 'custom' ? '' : 'none';
+            UI.elements.mapStyleBtn.disabled = MapView.getStyles(settings).length < 2;
+            UI.renderMapStyles(settings);
+        },
+
+        // Style picker with a preview tile of the displayed location for each style
+        renderMapStyles: (settings = Storage.getSettings()) => {
+            const provider = MapView.getProvider(settings);
+            const active = MapView.resolveStyle(settings);
+            const location = UI.displayedLocation || { lat: 48.858370, lng: 2.294481 };
+            const zoom = Math.min(settings.defaultZoom, provider.maxNativeZoom);
+
+            UI.elements.mapStyles.innerHTML = SettingsSchema.FIELDS.mapType.enum.map(style => {
+                const available = !provider.styles || !!provider.styles[style];
+                const selectable = available && !!provider.styles;
+                const previews = available
+                    ? MapView.getTemplates(settings, style).map(template =>
+                        `<img src="${Utils.escapeAttribute(MapView.getTileUrl(template, location, zoom, provider.subdomains))}" alt="" loading="lazy">`
+                    ).join('')
+                    : '';
+
+                return `
+                    <button class="og-style-option ${style === active ? 'active' : ''}" data-style="${style}"
+                        ${selectable ? '' : 'disabled'}
+                        title="${selectable ? '' : I18n.t('settings.styleUnavailable', { provider: UI.getProviderLabel(settings.mapProvider) })}">
+                        <span class="og-style-preview">${previews}</span>
+                        <span>${I18n.t(`mapStyle.${style}`)}</span>
+                    </button>
+                `;
+            }).join('');
+        },
+
+        // Registered strategies and custom providers may have no translation
+        getStrategyLabel: (name) => {
+            if (I18n.has(`strategy.${name}`)) return I18n.t(`strategy.${name}`);
+            return LocationExtractor.getStrategy(name)?.label || name;
+        },
+
+        getProviderLabel: (provider) => {
+            return I18n.has(`provider.${provider}`) ? I18n.t(`provider.${provider}`) : MapView.PROVIDERS[provider].label;
+        },
+
+        translate: () => {
+            const { container, settingsPanel, historyPanel, statsPanel } = UI.elements;
+            [container, settingsPanel, historyPanel, statsPanel].forEach(I18n.translate);
+        },
+
+        // Re-render every visible string after a language change
+        refreshLanguage: () => {
+            UI.translate();
+
+            if (UI.displayedLocation) {
+                UI.refreshCoordinates();
+            } else {
+                UI.elements.coordinates.textContent = I18n.t('main.waiting');
+            }
+
+            UI.loadSettings();
+            UI.renderCopyMenu();
+            UI.updateBulkBar();
+            UI.updateMeasurement();
+            UI.renderPracticeResult();
+
+            if (UI.elements.historyPanel.classList.contains('visible')) {
+                UI.updateHistoryPanel();
+            }
+            if (UI.worldView.active) {
+                UI.renderWorldView();
+            }
+            if (UI.elements.statsPanel.classList.contains('visible')) {
+                UI.updateStatsPanel();
+            }
+        },
+
+        setWorldView: (active) => {
+            UI.worldView.active = active;
+            UI.elements.container.classList.toggle('og-world-mode', active);
+            UI.setPressed(UI.elements.worldBtn, active);
+
+            if (active) {
+                UI.renderWorldView();
+            } else {
+                MapView.hideWorld();
+                if (UI.displayedLocation) {
+                    UI.updateMap(UI.displayedLocation);
+                }
+            }
+        },
+
+        // Every stored location matching the world view filters
+        renderWorldView: async () => {
+            const { mode, from, to, gameId } = UI.worldView;
+            const render = ++UI.worldView.renders;
+
+            // Game filter options, newest first like the history panel
+            const games = await Storage.listHistoryGames();
+            const gameTitles = UI.getGameTitles(games);
+            UI.elements.worldGameSelect.innerHTML = `<option value="">${I18n.t('world.allGames')}</option>` + games.map(game => {
+                const date = I18n.formatDate(game.startedAt);
+                return `<option value="${Utils.escapeAttribute(game.gameId)}">${gameTitles[game.gameId]} · ${date}</option>`;
+            }).join('');
+            UI.elements.worldGameSelect.value = games.some(game => game.gameId === gameId) ? gameId : '';
+
+            // Only the selected game or date range is read, through its index
+            const filters = { from, to, gameId: UI.elements.worldGameSelect.value };
+            const history = await Storage.queryLocationHistory(UI.getWorldQuery(filters));
+            const entries = history.filter(UI.createHistoryFilter(filters));
+
+            // A newer render started while this one was reading
+            if (render !== UI.worldView.renders) return;
+
+            UI.elements.worldCount.textContent = I18n.t('history.locations', { count: entries.length });
+
+            // The panel may have been closed while history loaded
+            if (!UI.worldView.active) return;
+
+            MapView.showWorld(entries, {
+                heatmap: mode !== 'clusters',
+                clusters: mode !== 'heatmap',
+                onSelect: UI.loadHistoryLocation
+            });
+        },
+
+        // Header button: step to the provider's next map style
+        cycleMapStyle: () => {
+            const settings = Storage.getSettings();
+            const styles = MapView.getStyles(settings);
+
+            if (styles.length < 2) {
+                UI.showToast(I18n.text('toast.singleStyle', { provider: UI.getProviderLabel(settings.mapProvider) }), 'error');
+                return;
+            }
+
+            const next = styles[(styles.indexOf(MapView.resolveStyle(settings)) + 1) % styles.length];
+            settings.mapType = next;
+            Storage.saveSettings(settings);
+            UI.showToast(I18n.text('toast.mapStyle', { style: I18n.t(`mapStyle.${next}`) }), 'success');
+        },
+
+        refreshCoordinates: (settings = Storage.getSettings()) => {
+            const location = UI.displayedLocation;
+            if (!location || !UI.elements.coordinates) return;
+
+            UI.elements.coordinates.textContent = CoordFormats.formatLocation(location, settings);
+            UI.elements.place.textContent = Geocoder.formatLabel(Geocoder.labelFor(location));
+        },
+
+        // Copy the displayed location, in the selected format unless one is given
+        copyCoordinates: async (format) => {
+            const location = UI.displayedLocation;
+            if (!location) return;
+
+            const settings = Storage.getSettings();
+            const selected = format || settings.coordFormat;
+            const success = await Utils.copyToClipboard(CoordFormats.formatLocation(location, settings, selected));
+            if (success) {
+                UI.showToast(I18n.text('toast.copied', { format: I18n.t(`coordFormat.${selected}`) }), 'success');
+            } else {
+                UI.showToast(I18n.t('toast.copyFailed'), 'error');
+            }
+        },
+
+        // Copy shortcut: the first press copies the selected format, further
+        // presses in quick succession step through the other formats
+        copyNextFormat: () => {
+            const formats = Object.keys(CoordFormats.FORMATS);
+            const now = Date.now();
+
+            let format = Storage.getSettings().coordFormat;
+            if (UI.lastCopy && now - UI.lastCopy.time < CONFIG.COPY_CYCLE_WINDOW) {
+                format = formats[(formats.indexOf(UI.lastCopy.format) + 1) % formats.length];
+            }
+
+            UI.lastCopy = { format, time: now };
+            UI.copyCoordinates(format);
+        },
+
+        renderCopyMenu: () => {
+            const location = UI.displayedLocation;
+            const settings = Storage.getSettings();
+
+            UI.elements.copyMenu.innerHTML = Object.keys(CoordFormats.FORMATS).map(format => `
+                <button data-format="${format}" ${location ? '' : 'disabled'}>
+                    ${I18n.t(`coordFormat.${format}`)}
+                    ${location ? `<span class="og-menu-hint">${Utils.sanitizeHTML(CoordFormats.formatLocation(location, settings, format))}</span>` : ''}
+                </button>
+            `).join('');
+        },
+
+        loadCoordinateSettings: () => {
+            const settings = Storage.getSettings();
+            const format = settings.coordFormat;
+            const { precision } = CoordFormats.FORMATS[format];
+            const value = CoordFormats.getPrecision(format, settings);
+
+            UI.elements.coordFormatSelect.value = format;
+            UI.elements.coordPrecisionInput.min = precision.min;
+            UI.elements.coordPrecisionInput.max = precision.max;
+            UI.elements.coordPrecisionInput.value = value;
+            UI.elements.coordPrecisionValue.textContent = value;
+
+            // Preview with the current location, or a well-known one
+            const sample = UI.displayedLocation || { lat: 48.858370, lng: 2.294481 };
+            UI.elements.coordPreview.textContent = CoordFormats.formatLocation(sample, settings);
+        },
+
+        updateCoordinatesDisplay: () => {
+            const settings = Storage.getSettings();
+            const infoBar = UI.elements.coordinates.closest('.og-info-bar');
+
+            if (settings.showCoordinates) {
+                infoBar.style.display = 'flex';
+            } else {
+                infoBar.style.display = 'none';
+            }
+        },
+
+        // action adds a button to the toast: { label, onClick }
+        showToast: (message, type = 'info', { action = null, duration = 2000 } = {}) => {
+            const toast = document.createElement('div');
+            toast.className = `og-toast ${type}`;
+            toast.textContent = message;
+            document.body.appendChild(toast);
+            UI.announce(message);
+
+            const dismiss = () => {
+                toast.classList.remove('visible');
+                setTimeout(() => toast.remove(), 300);
+            };
+
+            setTimeout(() => toast.classList.add('visible'), 10);
+            const timer = setTimeout(dismiss, duration);
+
+            if (action) {
+                const button = document.createElement('button');
+                button.className = 'og-toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    clearTimeout(timer);
+                    dismiss();
+                    action.onClick();
+                });
+                toast.appendChild(button);
+            }
+
+            return toast;
+        },
+
+        // Toast with an Undo button that puts deleted history entries back.
+        // restore resolves to the number of restored entries, or null on failure.
+        showUndoToast: (message, restore) => {
+            UI.showToast(message, 'success', {
+                duration: CONFIG.UNDO_TIMEOUT,
+                action: {
+                    label: I18n.t('toast.undo'),
+                    onClick: async () => {
+                        const restored = await restore();
+                        if (restored !== null) {
+                            await UI.refreshHistoryViews();
+                            UI.showToast(I18n.t('toast.restored', { count: restored }), 'success');
+                        } else {
+                            UI.showToast(I18n.t('toast.restoreFailed'), 'error');
+                        }
+                    }
+                }
+            });
+        },
+
+        loadSettings: () => {
+            const settings = Storage.getSettings();
+
+            // Zoom level
+            UI.elements.zoomLevelInput.value = settings.defaultZoom;
+            UI.elements.zoomValueDisplay.textContent = settings.defaultZoom;
+
+            // Map provider, style and tile source
+            UI.loadMapSettings(settings);
+            UI.elements.distanceUnitSelect.value = settings.distanceUnit;
+            UI.loadScoreSettings(settings);
+
+            // Language and theme
+            UI.elements.languageSelect.value = settings.language;
+            UI.elements.themeSelect.value = settings.theme;
+            UI.elements.accentColorInput.value = settings.accentColor;
+
+            // Coordinate format and precision
+            UI.loadCoordinateSettings();
+
+            // Toggles
+            UI.setSwitch(UI.elements.autoOpenToggle, settings.autoOpen);
+            UI.setSwitch(UI.elements.showCoordsToggle, settings.showCoordinates);
+
+            // Extraction strategies
+            UI.renderStrategyList();
+
+            // Keyboard shortcuts
+            UI.renderShortcutList();
+
+            // Apply coordinate display
+            UI.updateCoordinatesDisplay();
+        },
+
+        renderStrategyList: () => {
+            UI.elements.strategyList.innerHTML = LocationExtractor.strategies.map(strategy => `
+                <div class="og-strategy-item" data-strategy="${Utils.escapeAttribute(strategy.name)}">
+                    <button type="button" class="og-toggle-switch ${strategy.enabled ? 'active' : ''}" data-strategy="${Utils.escapeAttribute(strategy.name)}"
+                        role="switch" aria-checked="${strategy.enabled}" aria-label="${Utils.escapeAttribute(UI.getStrategyLabel(strategy.name))}">
+                        <span class="og-toggle-slider"></span>
+                    </button>
+                    <span class="og-strategy-name">${Utils.sanitizeHTML(UI.getStrategyLabel(strategy.name))}</span>
+                    <span class="og-strategy-confidence">${Math.round(strategy.confidence * 100)}%</span>
+                </div>
+            `).join('');
+
+            UI.updateActiveStrategy();
+        },
+
+        renderShortcutList: () => {
+            if (!UI.elements.shortcutList) return;
+
+            const conflicts = Shortcuts.getConflicts();
+            const label = (action) => I18n.t(`shortcut.${action}`);
+
+            UI.elements.shortcutList.innerHTML = Object.keys(Shortcuts.ACTIONS).map(action => {
+                const combo = Shortcuts.bindings[action];
+                const others = (conflicts[combo] || []).filter(other => other !== action);
+
+                return `
+                    <div class="og-shortcut-item ${others.length ? 'conflict' : ''}">
+                        <span class="og-shortcut-name">${label(action)}</span>
+                        <button class="og-shortcut-key ${combo ? '' : 'unset'}" data-action="${action}">
+                            ${combo ? Utils.sanitizeHTML(combo) : I18n.t('shortcut.none')}
+                        </button>
+                        ${others.length ? `<span class="og-shortcut-conflict">${I18n.t('shortcut.conflict', { actions: others.map(label).join(', ') })}</span>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            const toggle = Shortcuts.bindings.toggle;
+            UI.elements.closeBtn.title = toggle ? I18n.text('header.closeShortcut', { combo: toggle }) : I18n.t('header.close');
+            UI.elements.closeBtn.setAttribute('aria-label', I18n.t('header.close'));
+        },
+
+        recordShortcut: (button) => {
+            UI.stopRecordingShortcut();
+            Shortcuts.recording = button.dataset.action;
+            button.classList.add('recording');
+            button.textContent = I18n.t('shortcut.recording');
+            button.focus();
+        },
+
+        stopRecordingShortcut: () => {
+            if (!Shortcuts.recording) return;
+            Shortcuts.recording = null;
+            UI.renderShortcutList();
+        },
+
+        handleShortcutRecording: (e) => {
+            const action = Shortcuts.recording;
+            if (!action) return;
+
+            // Keep the keys away from the page and the global shortcut handler
+            e.preventDefault();
+            e.stopPropagation();
+
+            const plain = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+            if (plain && e.key === 'Escape') {
+                UI.stopRecordingShortcut();
+                return;
+            }
+
+            const combo = plain && (e.key === 'Backspace' || e.key === 'Delete') ? '' : Shortcuts.fromEvent(e);
+            if (combo === null) return;
+
+            const owner = combo && Shortcuts.findAction(combo);
+            if (owner && owner !== action) {
+                UI.showToast(I18n.text('toast.shortcutConflict', { combo, action: I18n.t(`shortcut.${owner}`) }), 'error');
+                UI.stopRecordingShortcut();
+                return;
+            }
+
+            Shortcuts.recording = null;
+            Shortcuts.setBinding(action, combo);
+            UI.renderShortcutList();
+        },
+
+        setSwitch: (toggle, checked) => {
+            toggle.classList.toggle('active', checked);
+            toggle.setAttribute('aria-checked', String(checked));
+            return checked;
+        },
+
+        setPressed: (button, pressed) => {
+            button.classList.toggle('active', pressed);
+            button.setAttribute('aria-pressed', String(pressed));
+            return pressed;
+        },
+
+        toggleMenu: (button, menu, open = !menu.classList.contains('visible')) => {
+            menu.classList.toggle('visible', open);
+            button.setAttribute('aria-expanded', String(open));
+            return open;
+        },
+
+        // Emoji-only button named by its label; the label is already translated
+        iconButton: (className, label, icon) => {
+            return `<button class="og-btn-icon ${className}" title="${Utils.escapeAttribute(label)}" aria-label="${Utils.escapeAttribute(label)}">${icon}</button>`;
+        },
+
+        // Read a message out through the live region, clearing it first so a
+        // repeated message is announced again
+        announce: (message) => {
+            const region = UI.elements.liveRegion;
+            if (!region) return;
+
+            region.textContent = '';
+            setTimeout(() => {
+                region.textContent = message;
+            }, 100);
+        },
+
+        getFocusable: (root) => {
+            const selector = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+            return [...root.querySelectorAll(selector)]
+                .filter(element => !element.disabled && element.getClientRects().length > 0);
+        },
+
+        handlePanelKeydown: (e) => {
+            const panel = e.currentTarget;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                panel.classList.remove('visible');
+                return;
+            }
+
+            if (e.key !== 'Tab') return;
+
+            const focusable = UI.getFocusable(panel);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+
+            if (e.shiftKey && (active === first || active === panel)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        // Panels open and close from several places, so follow their class:
+        // an opened panel takes focus and reports to its header button, a
+        // closed one hands focus back to that button
+        watchPanels: () => {
+            const { settingsPanel, historyPanel, statsPanel, settingsBtn, historyBtn, statsBtn } = UI.elements;
+            const buttons = new Map([
+                [settingsPanel, settingsBtn],
+                [historyPanel, historyBtn],
+                [statsPanel, statsBtn]
+            ]);
+
+            const observer = new MutationObserver((mutations) => {
+                mutations.forEach(({ target: panel }) => {
+                    const button = buttons.get(panel);
+                    const open = panel.classList.contains('visible');
+                    if (button.getAttribute('aria-expanded') === String(open)) return;
+
+                    button.setAttribute('aria-expanded', String(open));
+                    if (open) {
+                        panel.focus();
+                    } else if (panel.contains(document.activeElement) && UI.isVisible()) {
+                        button.focus();
+                    }
+                });
+            });
+
+            buttons.forEach((button, panel) => observer.observe(panel, { attributes: true, attributeFilter: ['class'] }));
+        },
+
+        // Shortcut counterpart of the header panel buttons
+        togglePanel: (button) => {
+            if (!UI.isVisible()) {
+                UI.show();
+            }
+            button.click();
+        },
+
+        updateActiveStrategy: () => {
+            if (!UI.elements.strategyList) return;
+
+            const active = LocationExtractor.getStrategy(LocationExtractor.activeStrategy);
+            UI.elements.strategyList.querySelectorAll('.og-strategy-item').forEach(item => {
+                item.classList.toggle('active', item.dataset.strategy === active?.name);
+            });
+            UI.elements.activeSource.textContent = active
+                ? I18n.text('settings.currentFix', { label: UI.getStrategyLabel(active.name), confidence: Math.round(active.confidence * 100) })
+                : I18n.t('settings.currentFixNone');
+        },
+
+        savePosition: () => {
+            if (!UI.elements.container) return;
+
+            const position = {
+                left: UI.elements.container.offsetLeft,
+                top: UI.elements.container.offsetTop,
+                width: UI.elements.container.offsetWidth,
+                height: UI.elements.container.offsetHeight
+            };
+
+            Storage.set(CONFIG.STORAGE_KEYS.POSITION, position);
+        },
+
+        restorePosition: () => {
+            const position = Storage.get(CONFIG.STORAGE_KEYS.POSITION);
+
+            if (position && UI.elements.container) {
+                // The screen may have shrunk since the position was saved
+                UI.setBounds(UI.computeBounds(position, 'move', 0, 0));
+            }
+        },
+
+        getBounds: () => {
+            const { container } = UI.elements;
+            return {
+                left: container.offsetLeft,
+                top: container.offsetTop,
+                width: container.offsetWidth,
+                height: container.offsetHeight
+            };
+        },
+
+        setBounds: ({ left, top, width, height }) => {
+            const { container } = UI.elements;
+            container.style.left = `${left}px`;
+            container.style.top = `${top}px`;
+            container.style.width = `${width}px`;
+            container.style.height = `${height}px`;
+            container.style.bottom = 'auto';
+            container.style.right = 'auto';
+            UI.positionPanels();
+        },
 
-                .og-history-panel {
-                    position: fixed;
-                    width: 320px;
-                    max-height: 400px;
-                    background: var(--og-bg-color);
-                    border: 1px solid var(--og-border-color);
-                    border-radius: 12px;
-                    box-shadow: 0 4px 20px rgba(0,0,0,0.25);
-                    z-index: 1000000;
-                    display: none;
-                    flex-direction: column;
-                }
+        // Open side panels follow the window's right edge
+        positionPanels: () => {
+            const { container, settingsPanel, historyPanel, statsPanel } = UI.elements;
+            const containerRect = container.getBoundingClientRect();
 
-                .og-history-panel.visible {
-                    display: flex;
-                }
+            [settingsPanel, historyPanel, statsPanel]
+                .filter(panel => panel.classList.contains('visible'))
+                .forEach(panel => {
+                    panel.style.left = `${containerRect.right + 10}px`;
+                    panel.style.top = `${containerRect.top}px`;
+                });
+        },
 
-                .og-history-header {
-                    padding: 12px;
-                    border-bottom: 1px solid var(--og-border-color);
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                }
+        handlePointerDown: (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
 
-                .og-history-title {
-                    font-size: 14px;
-                    font-weight: 600;
-                }
+            const { container } = UI.elements;
+            const handle = e.target.closest('.og-resize-handle');
+            const onHeader = !!e.target.closest('.og-header') && !e.target.closest('button');
 
-                .og-history-list {
-                    flex: 1;
-                    overflow-y: auto;
-                    padding: 8px;
-                }
+            if (e.pointerType === 'touch' && !handle && e.target.closest('.og-header, .og-info-bar') &&
+                !e.target.closest('button, input, select')) {
+                UI.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                container.setPointerCapture(e.pointerId);
 
-                .og-history-item {
-                    padding: 10px;
-                    border-radius: 6px;
-                    cursor: pointer;
-                    transition: background 0.2s;
-                    margin-bottom: 4px;
+                if (UI.pointers.size === 2 && !UI.isResizing) {
+                    // A second finger turns a drag into a pinch
+                    UI.isDragging = false;
+                    UI.startPinch();
+                    return;
                 }
+            }
 
-                .og-history-item:hover {
-                    background: rgba(161, 0, 194, 0.2);
-                }
+            if (UI.isDragging || UI.isResizing || UI.pinchStart) return;
 
-                .og-history-coords {
-                    font-family: 'Monaco', 'Courier New', monospace;
-                    font-size: 12px;
-                    color: var(--og-accent-color);
-                    margin-bottom: 4px;
-                }
+            const start = { x: e.clientX, y: e.clientY, pointerId: e.pointerId, ...UI.getBounds() };
+            if (handle) {
+                e.preventDefault();
+                UI.isResizing = true;
+                UI.resizeStart = { ...start, edge: handle.dataset.edge };
+            } else if (onHeader) {
+                UI.isDragging = true;
+                UI.dragStart = start;
+            } else {
+                return;
+            }
 
-                .og-history-time {
-                    font-size: 10px;
-                    color: #888;
-                }
+            container.setPointerCapture(e.pointerId);
+            UI.startGesture();
+        },
 
-                .og-toast {
-                    position: fixed;
-                    bottom: 20px;
-                    left: 50%;
-                    transform: translateX(-50%) translateY(100px);
-                    background: var(--og-bg-color);
-                    color: white;
-                    padding: 12px 20px;
-                    border-radius: 8px;
-                    box-shadow: 0 4px 20px rgba(0,0,0,0.4);
-                    z-index: 10000000;
-                    opacity: 0;
-                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                    font-size: 14px;
-                    font-weight: 500;
-                }
+        handlePointerMove: (e) => {
+            if (UI.pointers.has(e.pointerId)) {
+                UI.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            }
 
-                .og-toast.visible {
-                    opacity: 1;
-                    transform: translateX(-50%) translateY(0);
-                }
+            if (UI.pinchStart) {
+                if (UI.pointers.size === 2) UI.setBounds(UI.getPinchBounds());
+            } else if (UI.isDragging && e.pointerId === UI.dragStart.pointerId) {
+                const { x, y } = UI.dragStart;
+                UI.setBounds(UI.computeBounds(UI.dragStart, 'move', e.clientX - x, e.clientY - y));
+            } else if (UI.isResizing && e.pointerId === UI.resizeStart.pointerId) {
+                const { x, y, edge } = UI.resizeStart;
+                UI.setBounds(UI.computeBounds(UI.resizeStart, edge, e.clientX - x, e.clientY - y));
+            }
+        },
 
-                .og-toast.success {
-                    background: #10b981;
-                }
+        handlePointerUp: (e) => {
+            UI.pointers.delete(e.pointerId);
 
-                .og-toast.error {
-                    background: #ef4444;
-                }
+            const ended = UI.pinchStart
+                ? UI.pointers.size < 2
+                : (UI.isDragging && e.pointerId === UI.dragStart.pointerId) ||
+                  (UI.isResizing && e.pointerId === UI.resizeStart.pointerId);
+            if (!ended) return;
 
-                .og-history-list::-webkit-scrollbar {
-                    width: 6px;
-                }
+            UI.isDragging = false;
+            UI.isResizing = false;
+            UI.pinchStart = null;
+            UI.pointers.clear();
+            UI.endGesture();
+        },
 
-                .og-history-list::-webkit-scrollbar-track {
-                    background: transparent;
-                }
+        startPinch: () => {
+            const [a, b] = [...UI.pointers.values()];
+            UI.pinchStart = {
+                distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+                bounds: UI.getBounds()
+            };
+            UI.startGesture();
+        },
 
-                .og-history-list::-webkit-scrollbar-thumb {
-                    background: rgba(161, 0, 194, 0.3);
-                    border-radius: 3px;
-                }
+        // Scale the window by the change in finger distance, keeping the point
+        // under the fingers' midpoint in place as they move
+        getPinchBounds: () => {
+            const [a, b] = [...UI.pointers.values()];
+            const { distance, center, bounds } = UI.pinchStart;
+            const scale = Math.hypot(b.x - a.x, b.y - a.y) / distance;
+            const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+            return UI.computeBounds({
+                left: midpoint.x - (center.x - bounds.left) * scale,
+                top: midpoint.y - (center.y - bounds.top) * scale,
+                width: bounds.width * scale,
+                height: bounds.height * scale
+            }, 'move', 0, 0);
+        },
 
-                .og-history-list::-webkit-scrollbar-thumb:hover {
-                    background: rgba(161, 0, 194, 0.5);
-                }
-            `);
+        startGesture: () => {
+            UI.elements.container.classList.add('og-resizing');
+
+            // Disable pointer events on the map while dragging to prevent conflicts
+            if (UI.elements.map) {
+                UI.elements.map.style.pointerEvents = 'none';
+            }
         },
 
-        createElements: () => {
-            // Main container
-            const container = document.createElement('div');
-            container.id = 'og-enhanced-container';
-            container.innerHTML = `
-                <div class="og-header">
-                    <div class="og-header-left">
-                        <div class="og-logo">🎯 OpenGuessr Pro</div>
-                        <div class="og-status-indicator"></div>
-                    </div>
-                    <div class="og-header-right">
-                        <button class="og-btn-icon" id="og-history-btn" title="Location History">
-                            📜
-                        </button>
-                        <button class="og-btn-icon" id="og-settings-btn" title="Settings">
-                            ⚙️
-                        </button>
-                        <button class="og-btn-icon og-btn-danger" id="og-close-btn" title="Close (Insert)">
-                            ✕
-                        </button>
-                    </div>
-                </div>
-                <div class="og-content">
-                    <div class="og-info-bar">
-                        <div class="og-coordinates" id="og-coordinates">
-                            Waiting for location...
-                        </div>
-                        <button class="og-btn og-btn-primary" id="og-copy-btn">
-                            📋 Copy
-                        </button>
-                    </div>
-                    <div class="og-map-container">
-                        <div class="og-loading" id="og-loading">
-                            <div class="og-spinner"></div>
-                            <div>Loading map...</div>
-                        </div>
-                        <iframe class="og-map-iframe" id="og-map-iframe"></iframe>
-                    </div>
-                </div>
-            `;
+        endGesture: () => {
+            UI.savePosition();
+            UI.elements.container.classList.remove('og-resizing');
 
-            // Settings panel
-            const settingsPanel = document.createElement('div');
-            settingsPanel.className = 'og-settings-panel';
-            settingsPanel.id = 'og-settings-panel';
-            settingsPanel.innerHTML = `
-                <div class="og-settings-title">⚙️ Settings</div>
+            // Re-enable pointer events on the map after dragging
+            if (UI.elements.map) {
+                UI.elements.map.style.pointerEvents = 'auto';
+            }
+        },
 
-                <div class="og-setting-item">
-                    <label class="og-setting-label">Window Width</label>
-                    <input type="range" class="og-setting-input" id="og-width-slider" min="300" max="1200" value="700" style="cursor: pointer;">
-                    <div style="text-align: center; margin-top: 4px; font-size: 12px; color: #888;" id="og-width-value">700px</div>
-                </div>
+        getViewport: () => ({
+            width: document.documentElement.clientWidth,
+            height: document.documentElement.clientHeight
+        }),
+
+        // Bounds after moving the whole window (edge 'move') or pulling one edge
+        // or corner by dx/dy from the start bounds. Edges that come within
+        // SNAP_DISTANCE of a screen edge stick to it, and the window never
+        // leaves the viewport or shrinks below MIN_SIZE.
+        computeBounds: (start, edge, dx, dy, viewport = UI.getViewport()) => {
+            const snap = (value, target) => Math.abs(value - target) <= CONFIG.SNAP_DISTANCE ? target : value;
+            const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+            if (edge === 'move') {
+                const width = clamp(start.width, CONFIG.MIN_SIZE.width, viewport.width);
+                const height = clamp(start.height, CONFIG.MIN_SIZE.height, viewport.height);
+                const place = (value, size, limit) => clamp(snap(snap(value, 0) + size, limit) - size, 0, limit - size);
+
+                return {
+                    left: place(start.left + dx, width, viewport.width),
+                    top: place(start.top + dy, height, viewport.height),
+                    width,
+                    height
+                };
+            }
 
-                <div class="og-setting-item">
-                    <label class="og-setting-label">Window Height</label>
-                    <input type="range" class="og-setting-input" id="og-height-slider" min="250" max="900" value="500" style="cursor: pointer;">
-                    <div style="text-align: center; margin-top: 4px; font-size: 12px; color: #888;" id="og-height-value">500px</div>
-                </div>
+            let { left, top } = start;
+            let right = left + start.width;
+            let bottom = top + start.height;
 
-                <div class="og-setting-item">
-                    <label class="og-setting-label">Zoom Level</label>
-                    <input type="range" class="og-setting-input" id="og-zoom-level" min="1" max="20" value="4" style="cursor: pointer;">
-                    <div style="text-align: center; margin-top: 4px; font-size: 12px; color: #888;" id="og-zoom-value">4</div>
-                </div>
+            if (edge.includes('w')) left = clamp(snap(left + dx, 0), 0, right - CONFIG.MIN_SIZE.width);
+            if (edge.includes('e')) right = clamp(snap(right + dx, viewport.width), left + CONFIG.MIN_SIZE.width, viewport.width);
+            if (edge.includes('n')) top = clamp(snap(top + dy, 0), 0, bottom - CONFIG.MIN_SIZE.height);
+            if (edge.includes('s')) bottom = clamp(snap(bottom + dy, viewport.height), top + CONFIG.MIN_SIZE.height, viewport.height);
 
-                <div class="og-setting-item">
-                    <div class="og-toggle">
-                        <div class="og-toggle-switch" id="og-auto-open-toggle">
-                            <div class="og-toggle-slider"></div>
-                        </div>
-                        <label class="og-setting-label" style="margin: 0;">Auto-open on game start</label>
-                    </div>
-                </div>
+            return { left, top, width: right - left, height: bottom - top };
+        },
 
-                <div class="og-setting-item">
-                    <div class="og-toggle">
-                        <div class="og-toggle-switch active" id="og-show-coords-toggle">
-                            <div class="og-toggle-slider"></div>
+        // One fixed-height row of the virtualized history list
+        renderHistoryItem: (entry, index, settings, top) => {
+            const hasView = typeof entry.heading === 'number';
+            const meta = [
+                entry.round ? `<span class="og-history-round">${I18n.t('history.round', { round: entry.round })}</span>` : '',
+                `${I18n.formatDate(entry.timestamp)} ${I18n.formatTime(entry.timestamp)}`,
+                hasView ? `↻ ${Math.round(entry.heading)}° · ↕ ${Math.round(entry.pitch || 0)}° · FOV ${Math.round(entry.fov || 0)}°` : '',
+                entry.guess ? `🏁 ${I18n.t('history.points', { score: entry.guess.score })}` : ''
+            ].filter(Boolean).join(' · ');
+            const place = Geocoder.formatLabel(Geocoder.labelFor(entry));
+            const tags = (entry.tags || []).map(tag => `<span class="og-history-tag">#${Utils.sanitizeHTML(tag)}</span>`).join('');
+            const selected = UI.selectedIds.has(entry.id);
+
+            return `
+                <div class="og-history-item ${entry.favorite ? 'favorite' : ''} ${selected ? 'selected' : ''}" data-index="${index}" style="top: ${top}px;"
+                    tabindex="0" ${UI.selectMode ? `aria-selected="${selected}"` : ''} ${entry.notes ? `title="${Utils.escapeAttribute(entry.notes)}"` : ''}>
+                    <div class="og-history-row">
+                        ${UI.selectMode ? `<span class="og-history-check">${selected ? '☑' : '☐'}</span>` : ''}
+                        <div class="og-history-body">
+                            <div class="og-history-coords">${Utils.sanitizeHTML(CoordFormats.formatLocation(entry, settings))}</div>
+                            <div class="og-history-place">${Utils.sanitizeHTML(place || '—')} ${tags}</div>
+                            <div class="og-history-time">${entry.notes ? '📝 · ' : ''}${meta}</div>
+                        </div>
+                        <div class="og-history-item-actions">
+                            ${UI.iconButton('og-history-favorite', I18n.t(entry.favorite ? 'history.unstar' : 'history.star'), entry.favorite ? '★' : '☆')}
+                            ${UI.iconButton('og-history-edit', I18n.t('history.edit'), '✎')}
+                            ${hasView || entry.pano ? UI.iconButton('og-history-open-view', I18n.t('history.openView'), '👁') : ''}
+                            ${UI.iconButton('og-history-delete', I18n.t('history.delete'), '🗑')}
                         </div>
-                        <label class="og-setting-label" style="margin: 0;">Show Coordinates</label>
                     </div>
                 </div>
-
-                <div class="og-setting-item" style="margin-top: 24px;">
-                    <button class="og-btn og-btn-danger" id="og-clear-history" style="width: 100%;">
-                        🗑️ Clear Location History
-                    </button>
-                </div>
             `;
+        },
 
-            // History panel
-            const historyPanel = document.createElement('div');
-            historyPanel.className = 'og-history-panel';
-            historyPanel.id = 'og-history-panel';
-            historyPanel.innerHTML = `
-                <div class="og-history-header">
-                    <div class="og-history-title">📜 Location History</div>
-                    <button class="og-btn-icon" id="og-history-close">✕</button>
-                </div>
-                <div class="og-history-list" id="og-history-list">
-                    <div style="text-align: center; padding: 20px; color: #6b7280;">
-                        No locations in history
+        isGroupExpanded: (key) => UI.groupsExpanded !== UI.toggledGroups.has(key),
+
+        renderHistoryGroup: (group, top) => {
+            const expanded = UI.isGroupExpanded(group.key);
+            const count = I18n.t('history.locations', { count: group.entries.length });
+
+            return `
+                <div class="og-history-group ${expanded ? 'expanded' : ''}" data-group="${Utils.escapeAttribute(group.key)}" style="top: ${top}px;"
+                    tabindex="0" role="button" aria-expanded="${expanded}">
+                    <span class="og-history-group-chevron" aria-hidden="true">▶</span>
+                    <div class="og-history-body">
+                        <div class="og-history-group-title">${Utils.sanitizeHTML(group.title)} · ${count}</div>
+                        <div class="og-history-time">${Utils.sanitizeHTML(group.subtitle)}</div>
                     </div>
                 </div>
             `;
+        },
 
-            document.body.appendChild(container);
-            document.body.appendChild(settingsPanel);
-            document.body.appendChild(historyPanel);
+        // "Game N" titles, numbered from the oldest game in the full history
+        getGameTitles: (games) => {
+            const titles = {};
+            games.forEach((game, gameIndex) => {
+                titles[game.gameId] = game.gameId === 'legacy'
+                    ? I18n.t('history.earlier')
+                    : I18n.t('history.game', { number: games.length - gameIndex });
+            });
+            return titles;
+        },
 
-            // Store references
-            UI.elements = {
-                container,
-                settingsPanel,
-                historyPanel,
-                closeBtn: container.querySelector('#og-close-btn'),
-                settingsBtn: container.querySelector('#og-settings-btn'),
-                historyBtn: container.querySelector('#og-history-btn'),
-                copyBtn: container.querySelector('#og-copy-btn'),
-                coordinates: container.querySelector('#og-coordinates'),
-                mapIframe: container.querySelector('#og-map-iframe'),
-                loading: container.querySelector('#og-loading'),
-                widthSlider: settingsPanel.querySelector('#og-width-slider'),
-                widthValue: settingsPanel.querySelector('#og-width-value'),
-                heightSlider: settingsPanel.querySelector('#og-height-slider'),
-                heightValue: settingsPanel.querySelector('#og-height-value'),
-                zoomLevelInput: settingsPanel.querySelector('#og-zoom-level'),
-                zoomValueDisplay: settingsPanel.querySelector('#og-zoom-value'),
-                autoOpenToggle: settingsPanel.querySelector('#og-auto-open-toggle'),
-                showCoordsToggle: settingsPanel.querySelector('#og-show-coords-toggle'),
-                clearHistoryBtn: settingsPanel.querySelector('#og-clear-history'),
-                historyList: historyPanel.querySelector('#og-history-list'),
-                historyClose: historyPanel.querySelector('#og-history-close')
+        // Timestamp bounds of the date inputs: local calendar days, inclusive at both ends
+        getDateRange: (from, to) => ({
+            start: from ? new Date(`${from}T00:00:00`).getTime() : -Infinity,
+            end: to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity
+        }),
+
+        // HistoryDB.query options for the world view filters. Legacy entries
+        // have no gameId and so are not in the session index.
+        getWorldQuery: ({ from, to, gameId }) => {
+            if (gameId && gameId !== 'legacy') {
+                return { index: 'session', range: IDBKeyRange.only(gameId), limit: Infinity };
+            }
+
+            // An inverted range would throw; the filter drops what it returns instead
+            const { start, end } = UI.getDateRange(from, to);
+            return { index: 'timestamp', range: IDBKeyRange.bound(start, Math.max(start, end)), limit: Infinity };
+        },
+
+        // Predicate for the history panel and world view filters
+        createHistoryFilter: ({ query = '', from = '', to = '', source = '', gameId = '', favorites = false }, settings = Storage.getSettings()) => {
+            const { start, end } = UI.getDateRange(from, to);
+            const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+            const matchesQuery = (entry) => {
+                if (terms.length === 0) return true;
+                const text = UI.buildSearchText(entry, settings);
+                return terms.every(term => text.includes(term));
             };
 
-            UI.attachEventListeners();
+            return (entry) =>
+                entry.timestamp >= start &&
+                entry.timestamp <= end &&
+                (!source || entry.source === source) &&
+                (!gameId || (entry.gameId || 'legacy') === gameId) &&
+                (!favorites || !!entry.favorite) &&
+                matchesQuery(entry);
         },
 
-        attachEventListeners: () => {
-            const { elements } = UI;
+        // Cursor passes that list the history in the selected order. The
+        // country index skips entries without a country, so a second pass
+        // lists those after every named country.
+        getHistoryQueries: ({ from, to, sort }) => {
+            const { start, end } = UI.getDateRange(from, to);
+            const byTime = {
+                index: 'timestamp',
+                key: 'timestamp',
+                range: IDBKeyRange.bound(start, Math.max(start, end)),
+                direction: sort === 'oldest' ? 'next' : 'prev'
+            };
 
-            // Close button
-            elements.closeBtn.addEventListener('click', () => UI.hide());
+            if (sort !== 'country') return [byTime];
+            return [
+                { index: 'country', key: 'country', range: null, direction: 'next' },
+                { ...byTime, filter: (entry) => typeof entry.country !== 'string' }
+            ];
+        },
 
-            // Settings button
-            elements.settingsBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const isActive = elements.settingsPanel.classList.toggle('visible');
-                elements.historyPanel.classList.remove('visible');
+        // Text the search box matches: coordinates as decimal degrees and in
+        // the selected format, plus place names, notes and tags (with or without #)
+        buildSearchText: (entry, settings) => {
+            const tags = entry.tags || [];
+            return [
+                ...tags,
+                ...tags.map(tag => `#${tag}`),
+                `${entry.lat.toFixed(6)}, ${entry.lng.toFixed(6)}`,
+                CoordFormats.formatLocation(entry, settings),
+                entry.country,
+                entry.countryCode,
+                entry.region,
+                entry.city,
+                entry.notes
+            ].filter(Boolean).join(' ').toLowerCase();
+        },
 
-                if (isActive) {
-                    // Position panel to the RIGHT of the container
-                    const containerRect = elements.container.getBoundingClientRect();
-                    elements.settingsPanel.style.left = `${containerRect.right + 10}px`;
-                    elements.settingsPanel.style.top = `${containerRect.top}px`;
-                }
-            });
+        // Reload the panel, keeping as many entries loaded as before so the
+        // scroll position and the selection survive
+        updateHistoryPanel: async () => {
+            const [total, games] = await Promise.all([Storage.countLocationHistory(), Storage.listHistoryGames()]);
 
-            // History button
-            elements.historyBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                UI.updateHistoryPanel();
-                const isActive = elements.historyPanel.classList.toggle('visible');
-                elements.settingsPanel.classList.remove('visible');
+            UI.elements.exportBtn.disabled = total === 0;
+            UI.toggleMenu(UI.elements.exportBtn, UI.elements.exportMenu, false);
+            UI.closeHistoryEditor();
 
-                if (isActive) {
-                    // Position panel to the RIGHT of the container
-                    const containerRect = elements.container.getBoundingClientRect();
-                    elements.historyPanel.style.left = `${containerRect.right + 10}px`;
-                    elements.historyPanel.style.top = `${containerRect.top}px`;
-                }
+            Object.assign(UI.historyView, {
+                settings: Storage.getSettings(),
+                total,
+                gameTitles: UI.getGameTitles(games)
             });
+            await UI.loadHistory(Math.max(UI.HISTORY_PAGE_SIZE, UI.historyView.history.length));
 
-            // History close button
-            elements.historyClose.addEventListener('click', () => {
-                elements.historyPanel.classList.remove('visible');
+            // Drop selections of entries that are no longer listed
+            const ids = new Set(UI.historyView.history.map(entry => entry.id));
+            UI.selectedIds.forEach(id => {
+                if (!ids.has(id)) UI.selectedIds.delete(id);
             });
+            UI.updateBulkBar();
+        },
 
-            // Copy button
-            elements.copyBtn.addEventListener('click', () => UI.copyCoordinates());
-
-            // Width slider
-            elements.widthSlider.addEventListener('input', (e) => {
-                const value = e.target.value;
-                elements.widthValue.textContent = `${value}px`;
-                elements.container.style.width = `${value}px`;
+        // Start the list over from the first page matching the filters
+        loadHistory: (limit = UI.HISTORY_PAGE_SIZE) => {
+            Object.assign(UI.historyView, {
+                settings: UI.historyView.settings || Storage.getSettings(),
+                history: [],
+                sources: new Map(LocationExtractor.strategies.map(strategy => [strategy.name, UI.getStrategyLabel(strategy.name)])),
+                phase: 0,
+                after: null,
+                done: false,
+                loading: null,
+                loads: UI.historyView.loads + 1
             });
+            return UI.loadMoreHistory(limit);
+        },
 
-            // Update panel positions only when slider is released (mouseup)
-            elements.widthSlider.addEventListener('mouseup', () => {
-                const containerRect = elements.container.getBoundingClientRect();
-                if (elements.settingsPanel.classList.contains('visible')) {
-                    elements.settingsPanel.style.left = `${containerRect.right + 10}px`;
-                }
-                if (elements.historyPanel.classList.contains('visible')) {
-                    elements.historyPanel.style.left = `${containerRect.right + 10}px`;
+        // Append the next page; resolves once it is rendered
+        loadMoreHistory: (limit = UI.HISTORY_PAGE_SIZE) => {
+            const view = UI.historyView;
+            if (view.done) return Promise.resolve();
+            if (view.loading) return view.loading;
+
+            const load = view.loads;
+            const queries = UI.getHistoryQueries(UI.historyFilters);
+            const matches = UI.createHistoryFilter(UI.historyFilters, view.settings);
+
+            view.loading = (async () => {
+                const entries = [];
+                let { phase, after } = view;
+
+                while (entries.length < limit && phase < queries.length) {
+                    const { key, filter, ...query } = queries[phase];
+                    const wanted = limit - entries.length;
+                    const page = await Storage.queryLocationHistory({
+                        ...query,
+                        limit: wanted,
+                        after,
+                        filter: (entry) => (!filter || filter(entry)) && matches(entry)
+                    });
+
+                    entries.push(...page);
+                    if (page.length < wanted) {
+                        phase++;
+                        after = null;
+                    } else {
+                        const last = page[page.length - 1];
+                        after = { key: last[key], id: last.id };
+                    }
                 }
-            });
 
-            // Height slider
-            elements.heightSlider.addEventListener('input', (e) => {
-                const value = e.target.value;
-                elements.heightValue.textContent = `${value}px`;
-                elements.container.style.height = `${value}px`;
-            });
+                // The filters changed while this page loaded
+                if (load !== view.loads) return;
 
-            // Zoom level change
-            elements.zoomLevelInput.addEventListener('input', (e) => {
-                const value = e.target.value;
-                elements.zoomValueDisplay.textContent = value;
-                const settings = Storage.getSettings();
-                settings.defaultZoom = parseInt(value);
-                Storage.saveSettings(settings);
-                Utils.log('Zoom level changed to:', value);
+                Object.assign(view, { phase, after, done: phase >= queries.length, loading: null });
+                view.history.push(...entries);
+                UI.renderHistorySources(entries);
+                UI.renderHistoryRows();
+            })();
+
+            return view.loading;
+        },
 
-                // Force map update with current location and new settings
-                if (App.currentLocation) {
-                    // Hide loading
-                    if (UI.elements.loading) {
-                        UI.elements.loading.style.display = 'none';
-                    }
-                    UI.updateMap(App.currentLocation, settings);
+        // Source filter lists the extraction strategies and any other source seen in the list
+        renderHistorySources: (entries) => {
+            const { sources } = UI.historyView;
+            const known = sources.size;
+            entries.forEach(entry => {
+                if (entry.source && !sources.has(entry.source)) {
+                    sources.set(entry.source, entry.source);
                 }
             });
+            if (known === sources.size && UI.elements.historySource.options.length > 1) return;
 
-            // Auto-open toggle
-            elements.autoOpenToggle.addEventListener('click', () => {
-                elements.autoOpenToggle.classList.toggle('active');
-                const settings = Storage.getSettings();
-                settings.autoOpen = elements.autoOpenToggle.classList.contains('active');
-                Storage.saveSettings(settings);
-            });
+            UI.elements.historySource.innerHTML = `<option value="">${I18n.t('history.allSources')}</option>` + [...sources].map(([name, label]) =>
+                `<option value="${Utils.escapeAttribute(name)}">${Utils.sanitizeHTML(label)}</option>`
+            ).join('');
+            UI.elements.historySource.value = UI.historyFilters.source;
+        },
 
-            // Show coordinates toggle
-            elements.showCoordsToggle.addEventListener('click', () => {
-                elements.showCoordsToggle.classList.toggle('active');
-                const settings = Storage.getSettings();
-                settings.showCoordinates = elements.showCoordsToggle.classList.contains('active');
-                Storage.saveSettings(settings);
-                UI.updateCoordinatesDisplay();
-            });
+        // Group the loaded entries into the flat row list. Entries edited
+        // since they loaded are filtered again.
+        renderHistoryRows: () => {
+            const { history, settings, gameTitles, total, done } = UI.historyView;
+            const { sort, ...filters } = UI.historyFilters;
+            const listElement = UI.elements.historyList;
 
-            // Clear history button
-            elements.clearHistoryBtn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to clear all location history?')) {
-                    Storage.clearLocationHistory();
-                    UI.updateHistoryPanel();
-                    UI.showToast('History cleared', 'success');
-                }
+            const matches = UI.createHistoryFilter(filters, settings);
+            const items = [];
+            history.forEach((entry, index) => {
+                if (matches(entry)) items.push({ entry, index });
             });
 
-            // Dragging
-            elements.container.querySelector('.og-header').addEventListener('mousedown', (e) => {
-                if (e.target.closest('button')) return;
-                UI.isDragging = true;
-                UI.dragOffset = {
-                    x: e.clientX - elements.container.offsetLeft,
-                    y: e.clientY - elements.container.offsetTop
-                };
+            UI.elements.historyCount.textContent = I18n.t(done ? 'history.count' : 'history.countPartial', { shown: items.length, count: total });
+            UI.historyView.matches = items;
+            UI.lastSelectedRow = null;
+
+            if (items.length === 0) {
+                UI.historyView.rows = [];
+                listElement.innerHTML = `
+                    <div style="text-align: center; padding: 20px; color: var(--og-muted-color);">
+                        ${I18n.t(total === 0 ? 'history.empty' : 'history.noMatches')}
+                    </div>
+                `;
+                if (!done) UI.loadMoreHistory();
+                return;
+            }
 
-                // Disable pointer events on iframe while dragging to prevent conflicts
-                if (elements.mapIframe) {
-                    elements.mapIframe.style.pointerEvents = 'none';
+            // Entries load in display order; group by game for the time sorts
+            // and by country otherwise
+            const groups = [];
+            const byKey = {};
+            items.forEach(item => {
+                const { entry } = item;
+                const key = sort === 'country'
+                    ? `country:${entry.country || ''}`
+                    : `game:${entry.gameId || 'legacy'}`;
+
+                if (!byKey[key]) {
+                    byKey[key] = {
+                        key,
+                        title: sort === 'country'
+                            ? entry.country || I18n.t('history.unknownCountry')
+                            : gameTitles[entry.gameId || 'legacy'],
+                        entries: [],
+                        startedAt: entry.timestamp,
+                        endedAt: entry.timestamp
+                    };
+                    groups.push(byKey[key]);
                 }
-            });
 
-            // Mouse move
-            document.addEventListener('mousemove', (e) => {
-                if (UI.isDragging) {
-                    const newLeft = e.clientX - UI.dragOffset.x;
-                    const newTop = e.clientY - UI.dragOffset.y;
-                    elements.container.style.left = `${newLeft}px`;
-                    elements.container.style.top = `${newTop}px`;
-                    elements.container.style.bottom = 'auto';
-                    elements.container.style.right = 'auto';
+                const group = byKey[key];
+                group.entries.push(item);
+                group.startedAt = Math.min(group.startedAt, entry.timestamp);
+                group.endedAt = Math.max(group.endedAt, entry.timestamp);
+            });
 
-                    // Move panels with the container
-                    const containerRect = elements.container.getBoundingClientRect();
-                    if (elements.settingsPanel.classList.contains('visible')) {
-                        elements.settingsPanel.style.left = `${containerRect.right + 10}px`;
-                        elements.settingsPanel.style.top = `${containerRect.top}px`;
-                    }
-                    if (elements.historyPanel.classList.contains('visible')) {
-                        elements.historyPanel.style.left = `${containerRect.right + 10}px`;
-                        elements.historyPanel.style.top = `${containerRect.top}px`;
-                    }
-                }
+            groups.forEach(group => {
+                const { startedAt, endedAt } = group;
+                group.subtitle = new Date(startedAt).toDateString() === new Date(endedAt).toDateString()
+                    ? `${I18n.formatDate(startedAt)} ${I18n.formatTime(startedAt)} – ${I18n.formatTime(endedAt)}`
+                    : `${I18n.formatDate(startedAt)} – ${I18n.formatDate(endedAt)}`;
             });
 
-            // Mouse up
-            document.addEventListener('mouseup', () => {
-                if (UI.isDragging) {
-                    UI.savePosition();
+            // First open expands the most recent group, filtering expands them all
+            if (!UI.toggledGroups) {
+                UI.groupsExpanded = Object.values(filters).some(Boolean);
+                UI.toggledGroups = new Set(UI.groupsExpanded ? [] : [groups[0].key]);
+            }
 
-                    // Re-enable pointer events on iframe after dragging
-                    if (UI.elements.mapIframe) {
-                        UI.elements.mapIframe.style.pointerEvents = 'auto';
-                    }
+            // Flatten into rows with precomputed offsets for virtualization
+            const rows = [];
+            const offsets = [];
+            let top = 0;
+            groups.forEach(group => {
+                rows.push({ type: 'group', group });
+                offsets.push(top);
+                top += UI.HISTORY_ROW_HEIGHTS.group + UI.HISTORY_ROW_GAP;
+
+                if (UI.isGroupExpanded(group.key)) {
+                    group.entries.forEach(item => {
+                        rows.push({ type: 'item', ...item });
+                        offsets.push(top);
+                        top += UI.HISTORY_ROW_HEIGHTS.item + UI.HISTORY_ROW_GAP;
+                    });
                 }
-                UI.isDragging = false;
             });
 
-            // Prevent settings and history panel clicks from propagating
-            elements.settingsPanel.addEventListener('click', (e) => e.stopPropagation());
-            elements.historyPanel.addEventListener('click', (e) => e.stopPropagation());
+            UI.historyView.rows = rows;
+            UI.historyView.offsets = offsets;
+
+            // Replacing the spacer resets the scroll position, keep it
+            const { scrollTop } = listElement;
+            listElement.innerHTML = `<div class="og-history-spacer" style="height: ${top}px;"></div>`;
+            listElement.scrollTop = scrollTop;
+            UI.renderVisibleHistory();
         },
 
-        show: () => {
-            if (!UI.elements.container) return;
+        // Render only the rows in (and just around) the scrolled viewport
+        renderVisibleHistory: () => {
+            const { rows, offsets, settings } = UI.historyView;
+            const listElement = UI.elements.historyList;
+            const spacer = listElement.querySelector('.og-history-spacer');
+            if (!spacer || rows.length === 0) return;
+
+            const viewTop = listElement.scrollTop;
+            const viewBottom = viewTop + (listElement.clientHeight || 400);
+
+            // Binary search for the first row that reaches into the viewport
+            let low = 0;
+            let high = rows.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                const height = UI.HISTORY_ROW_HEIGHTS[rows[mid].type];
+                if (offsets[mid] + height <= viewTop) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
 
-            UI.elements.container.style.display = 'flex';
-            setTimeout(() => {
-                UI.elements.container.classList.add('visible');
-            }, 10);
+            const first = Math.max(0, low - UI.HISTORY_OVERSCAN);
+            let last = low;
+            while (last < rows.length - 1 && offsets[last + 1] < viewBottom) {
+                last++;
+            }
+            last = Math.min(rows.length - 1, last + UI.HISTORY_OVERSCAN);
+
+            const html = [];
+            for (let i = first; i <= last; i++) {
+                const row = rows[i];
+                html.push(row.type === 'group'
+                    ? UI.renderHistoryGroup(row.group, offsets[i])
+                    : UI.renderHistoryItem(row.entry, row.index, settings, offsets[i]));
+            }
+            spacer.innerHTML = html.join('');
 
-            UI.restorePosition();
-            UI.loadSettings();
+            // Scrolled close to the end of what is loaded
+            if (last === rows.length - 1 && !UI.historyView.done) {
+                UI.loadMoreHistory();
+            }
+        },
 
-            // Trigger immediate location check
-            const location = LocationExtractor.getCurrentLocation();
-            if (location) {
-                App.currentLocation = location;
-                const settings = Storage.getSettings();
-                const zoom = settings.defaultZoom || CONFIG.DEFAULT_ZOOM;
-                const mapType = settings.mapType || CONFIG.MAP_TYPE;
-                const url = `https://maps.google.com/maps?q=${location.lat},${location.lng}&ll=${location.lat},${location.lng}&z=${zoom}&t=${mapType}&output=embed`;
+        // Delegated clicks for every row of the history list
+        // Enter or Space on a focused row acts like a click on it
+        handleHistoryKeydown: (e) => {
+            const row = e.target.closest('.og-history-item, .og-history-group');
+            if (e.target !== row || (e.key !== 'Enter' && e.key !== ' ')) return;
 
-                // Hide loading
-                if (UI.elements.loading) {
-                    UI.elements.loading.style.display = 'none';
-                }
+            e.preventDefault();
+            row.click();
 
-                UI.elements.mapIframe.src = url;
-                UI.elements.coordinates.textContent = Utils.formatCoordinates(location.lat, location.lng);
+            // Expanding a group re-renders the rows
+            if (row.dataset.group && !row.isConnected) {
+                const rows = [...UI.elements.historyList.querySelectorAll('.og-history-group')];
+                rows.find(group => group.dataset.group === row.dataset.group)?.focus();
             }
         },
 
-        hide: () => {
-            if (!UI.elements.container) return;
+        handleHistoryClick: (e) => {
+            const group = e.target.closest('.og-history-group');
+            if (group) {
+                const key = group.dataset.group;
+                if (UI.toggledGroups.has(key)) {
+                    UI.toggledGroups.delete(key);
+                } else {
+                    UI.toggledGroups.add(key);
+                }
+                UI.renderHistoryRows();
+                return;
+            }
 
-            UI.elements.container.classList.remove('visible');
-            UI.elements.settingsPanel.classList.remove('visible');
-            UI.elements.historyPanel.classList.remove('visible');
+            const item = e.target.closest('.og-history-item');
+            if (!item) return;
 
-            setTimeout(() => {
-                UI.elements.container.style.display = 'none';
-            }, CONFIG.ANIMATION_DURATION);
-        },
+            const index = parseInt(item.dataset.index);
+            const location = UI.historyView.history[index];
+            if (!location) return;
 
-        toggle: () => {
-            if (UI.elements.container.classList.contains('visible')) {
-                UI.hide();
-            } else {
-                UI.show();
-                App.updateLocation();
+            if (e.target.closest('.og-history-favorite')) {
+                UI.updateHistoryEntry(index, { favorite: !location.favorite });
+                return;
             }
-        },
 
-        updateMap: (location, settings) => {
-            if (!location || !UI.elements.mapIframe) {
-                Utils.log('Cannot update map: location or iframe missing');
+            if (e.target.closest('.og-history-edit')) {
+                UI.openHistoryEditor(index);
                 return;
             }
 
-            if (!settings) {
-                settings = Storage.getSettings();
+            if (e.target.closest('.og-history-delete')) {
+                UI.deleteHistoryEntries([location.id]);
+                return;
             }
 
-            const zoom = settings.defaultZoom || CONFIG.DEFAULT_ZOOM;
-            const mapType = settings.mapType || CONFIG.MAP_TYPE;
+            // In select mode a row click toggles it, shift-click selects a range
+            if (UI.selectMode) {
+                UI.toggleHistorySelection(index, e.shiftKey);
+                return;
+            }
 
-            Utils.log('Updating map with:', { location, zoom, mapType });
+            // Reopen the saved Street View panorama instead of loading it on the map
+            if (e.target.closest('.og-history-open-view')) {
+                window.open(Utils.buildStreetViewUrl(location), '_blank', 'noopener');
+                return;
+            }
 
-            // Build Google Maps embed URL
-            const url = `https://maps.google.com/maps?q=${location.lat},${location.lng}&ll=${location.lat},${location.lng}&z=${zoom}&t=${mapType}&output=embed`;
+            UI.loadHistoryLocation(location);
+        },
 
-            // Show loading
-            if (UI.elements.loading) {
-                UI.elements.loading.style.display = 'block';
+        // History panel and world view both read the stored history
+        refreshHistoryViews: async () => {
+            await UI.updateHistoryPanel();
+            if (UI.worldView.active) {
+                await UI.renderWorldView();
             }
+            if (UI.elements.statsPanel.classList.contains('visible')) {
+                await UI.updateStatsPanel();
+            }
+        },
 
-            // FORCE iframe update
-            UI.elements.mapIframe.src = url;
+        updateStatsPanel: async () => {
+            const history = await Storage.getLocationHistory();
+            const stats = Stats.compute(history);
+            const settings = Storage.getSettings();
 
-            Utils.log('Iframe src set to:', url);
+            const count = (value, key) => [I18n.formatNumber(value), I18n.t(key, { count: value })];
+            const summary = [
+                count(stats.total, 'stats.locations'),
+                count(stats.games, 'stats.games'),
+                count(stats.countryCount, 'stats.countries'),
+                count(stats.days, 'stats.activeDays'),
+                stats.averageDistance !== null ? [Measure.formatDistance(stats.averageDistance, settings.distanceUnit), I18n.t('stats.averageDistance')] : null,
+                stats.averageScore !== null ? [I18n.formatNumber(stats.averageScore), I18n.t('stats.averageScore')] : null
+            ].filter(Boolean);
+
+            const section = (title, chart) => `
+                <div class="og-stats-section">
+                    <div class="og-stats-title">${title}</div>
+                    ${chart}
+                </div>
+            `;
 
-            // Hide loading after iframe loads
-            UI.elements.mapIframe.onload = () => {
-                if (UI.elements.loading) {
-                    UI.elements.loading.style.display = 'none';
-                }
-                Utils.log('Map iframe loaded successfully');
-            };
+            UI.elements.statsBody.innerHTML = `
+                <div class="og-stats-summary">
+                    ${summary.map(([value, label]) => `<div><strong>${value}</strong><span>${label}</span></div>`).join('')}
+                </div>
+                ${section(I18n.t('stats.perDay', { days: Stats.DAYS }), Charts.columns(stats.perDay, { labelEvery: 7 }))}
+                ${section(I18n.t('stats.topCountries'), Charts.bars(stats.countries))}
+                ${section(I18n.t('stats.topRegions'), Charts.bars(stats.regions))}
+                ${section(I18n.t('stats.hemispheres'), Charts.split(
+                    { label: I18n.t('stats.north'), value: stats.hemispheres.north },
+                    { label: I18n.t('stats.south'), value: stats.hemispheres.south }
+                ) + Charts.split(
+                    { label: I18n.t('stats.west'), value: stats.hemispheres.west },
+                    { label: I18n.t('stats.east'), value: stats.hemispheres.east }
+                ))}
+                ${section(I18n.t('stats.distances'), Charts.columns(stats.distances))}
+                ${section(I18n.t('stats.sources'), Charts.donut(stats.sources.map(item => ({
+                    ...item,
+                    label: UI.getStrategyLabel(item.label)
+                }))))}
+            `;
+        },
 
-            // Update coordinates display
-            if (UI.elements.coordinates) {
-                UI.elements.coordinates.textContent = Utils.formatCoordinates(location.lat, location.lng);
+        deleteHistoryEntries: async (ids) => {
+            if (ids.length === 0) return;
+
+            const removed = await Storage.deleteLocationsFromHistory(ids);
+            if (removed.length === 0) {
+                UI.showToast(I18n.t('toast.deleteFailed'), 'error');
+                return;
             }
+
+            ids.forEach(id => UI.selectedIds.delete(id));
+            await UI.refreshHistoryViews();
+            UI.showUndoToast(I18n.t('toast.deleted', { count: removed.length }), () => Storage.restoreLocationsToHistory(removed));
+        },
+
+        setSelectMode: (active) => {
+            UI.selectMode = active;
+            UI.selectedIds.clear();
+            UI.lastSelectedRow = null;
+            UI.setPressed(UI.elements.historySelectBtn, active);
+            UI.elements.historyBulk.classList.toggle('visible', active);
+            UI.updateBulkBar();
+            UI.renderVisibleHistory();
         },
 
-        copyCoordinates: async () => {
-            const coords = UI.elements.coordinates.textContent;
-            if (coords && coords !== 'Waiting for location...') {
-                const success = await Utils.copyToClipboard(coords);
-                if (success) {
-                    UI.showToast('Coordinates copied!', 'success');
+        toggleHistorySelection: (index, range) => {
+            const { rows, history } = UI.historyView;
+            const rowIndex = rows.findIndex(row => row.type === 'item' && row.index === index);
+            const select = !UI.selectedIds.has(history[index].id);
+
+            // Shift-click applies the clicked row's new state to the whole range
+            let targets = [rows[rowIndex]];
+            if (range && UI.lastSelectedRow !== null) {
+                const [start, end] = [UI.lastSelectedRow, rowIndex].sort((a, b) => a - b);
+                targets = rows.slice(start, end + 1).filter(row => row.type === 'item');
+            }
+
+            targets.forEach(row => {
+                const { id } = history[row.index];
+                if (select) {
+                    UI.selectedIds.add(id);
                 } else {
-                    UI.showToast('Failed to copy', 'error');
+                    UI.selectedIds.delete(id);
                 }
-            }
+            });
+
+            UI.lastSelectedRow = rowIndex;
+            UI.updateBulkBar();
+            UI.renderVisibleHistory();
         },
 
-        updateCoordinatesDisplay: () => {
-            const settings = Storage.getSettings();
-            const infoBar = UI.elements.coordinates.parentElement;
+        // Selects every entry matching the filters, collapsed groups and pages
+        // not loaded yet included; when they are all selected already, clears the selection
+        selectAllHistory: async () => {
+            while (!UI.historyView.done) {
+                await UI.loadMoreHistory(Infinity);
+            }
 
-            if (settings.showCoordinates) {
-                infoBar.style.display = 'flex';
+            const ids = UI.historyView.matches.map(({ entry }) => entry.id);
+            const allSelected = ids.every(id => UI.selectedIds.has(id));
+
+            if (allSelected) {
+                UI.selectedIds.clear();
             } else {
-                infoBar.style.display = 'none';
+                ids.forEach(id => UI.selectedIds.add(id));
             }
+
+            UI.updateBulkBar();
+            UI.renderVisibleHistory();
         },
 
-        showToast: (message, type = 'info') => {
-            const toast = document.createElement('div');
-            toast.className = `og-toast ${type}`;
-            toast.textContent = message;
-            document.body.appendChild(toast);
+        updateBulkBar: () => {
+            const count = UI.selectedIds.size;
+            UI.elements.historySelected.textContent = I18n.t('history.selected', { count });
+            UI.elements.historyDeleteSelected.disabled = count === 0;
+        },
 
-            setTimeout(() => toast.classList.add('visible'), 10);
+        // Store changes to an entry and refresh it in the loaded list
+        updateHistoryEntry: async (index, changes) => {
+            const entry = UI.historyView.history[index];
+            const updated = entry && await Storage.updateLocationInHistory(entry.id, changes);
 
-            setTimeout(() => {
-                toast.classList.remove('visible');
-                setTimeout(() => toast.remove(), 300);
-            }, 2000);
+            if (!updated) {
+                UI.showToast(I18n.t('toast.updateFailed'), 'error');
+                return false;
+            }
+
+            UI.historyView.history[index] = updated;
+            UI.renderHistoryRows();
+            return true;
         },
 
-        loadSettings: () => {
-            const settings = Storage.getSettings();
+        // "Cyrillic, #bollards, cyrillic" -> ['cyrillic', 'bollards']
+        parseTags: (text) => {
+            const tags = text.split(',')
+                .map(tag => tag.trim().replace(/^#+/, '').toLowerCase())
+                .filter(Boolean);
+            return [...new Set(tags)];
+        },
 
-            // Set width and height sliders to current container size
-            const currentWidth = UI.elements.container.offsetWidth || 700;
-            const currentHeight = UI.elements.container.offsetHeight || 500;
-            UI.elements.widthSlider.value = currentWidth;
-            UI.elements.widthValue.textContent = `${currentWidth}px`;
-            UI.elements.heightSlider.value = currentHeight;
-            UI.elements.heightValue.textContent = `${currentHeight}px`;
+        openHistoryEditor: (index) => {
+            const entry = UI.historyView.history[index];
+            if (!entry) return;
+
+            UI.editingIndex = index;
+            UI.elements.historyEditorTitle.textContent = Geocoder.formatLabel(Geocoder.labelFor(entry)) ||
+                Utils.formatCoordinates(entry.lat, entry.lng);
+            UI.elements.historyNotes.value = entry.notes || '';
+            UI.elements.historyTags.value = (entry.tags || []).join(', ');
+            UI.elements.historyEditor.classList.add('visible');
+            UI.elements.historyNotes.focus();
+        },
 
-            // Zoom level
-            UI.elements.zoomLevelInput.value = settings.defaultZoom;
-            UI.elements.zoomValueDisplay.textContent = settings.defaultZoom;
+        closeHistoryEditor: () => {
+            UI.editingIndex = null;
+            UI.elements.historyEditor.classList.remove('visible');
+        },
 
-            // Toggles
-            UI.elements.autoOpenToggle.classList.toggle('active', settings.autoOpen);
-            UI.elements.showCoordsToggle.classList.toggle('active', settings.showCoordinates);
+        saveHistoryEditor: async () => {
+            if (UI.editingIndex === null) return;
 
-            // Apply coordinate display
-            UI.updateCoordinatesDisplay();
+            const saved = await UI.updateHistoryEntry(UI.editingIndex, {
+                notes: UI.elements.historyNotes.value.trim(),
+                tags: UI.parseTags(UI.elements.historyTags.value)
+            });
+
+            if (saved) {
+                UI.closeHistoryEditor();
+                UI.showToast(I18n.t('toast.notesSaved'), 'success');
+            }
         },
 
-        savePosition: () => {
-            if (!UI.elements.container) return;
+        setMeasureMode: (active) => {
+            if (active && UI.practiceActive) {
+                UI.setPracticeMode(false);
+            }
 
-            const position = {
-                left: UI.elements.container.offsetLeft,
-                top: UI.elements.container.offsetTop,
-                width: UI.elements.container.offsetWidth,
-                height: UI.elements.container.offsetHeight
-            };
+            UI.measure = { active, target: null, result: null };
+            UI.elements.container.classList.toggle('og-measure-mode', active);
+            UI.setPressed(UI.elements.measureBtn, active);
+            UI.updateMeasurement();
+        },
 
-            Storage.set(CONFIG.STORAGE_KEYS.POSITION, position);
+        // Measure from the current location to a clicked point or history entry
+        setMeasureTarget: (target) => {
+            UI.measure.target = target;
+            UI.updateMeasurement();
         },
 
-        restorePosition: () => {
-            const position = Storage.get(CONFIG.STORAGE_KEYS.POSITION);
+        updateMeasurement: () => {
+            const { active, target } = UI.measure;
+            const from = App.currentLocation;
+            MapView.clearMeasurement();
 
-            if (position && UI.elements.container) {
-                UI.elements.container.style.left = `${position.left}px`;
-                UI.elements.container.style.top = `${position.top}px`;
-                UI.elements.container.style.width = `${position.width}px`;
-                UI.elements.container.style.height = `${position.height}px`;
-                UI.elements.container.style.bottom = 'auto';
-                UI.elements.container.style.right = 'auto';
+            if (!active) return;
+
+            if (!from || !target) {
+                UI.measure.result = null;
+                UI.elements.measureResult.textContent = I18n.t(from ? 'measure.prompt' : 'main.waitingCurrent');
+                return;
             }
+
+            const { distanceUnit } = Storage.getSettings();
+            const { distanceKm, bearing, midpoint } = Measure.measure(from, target);
+            const distance = Measure.formatDistance(distanceKm, distanceUnit);
+            const heading = `${bearing.toFixed(1)}° ${Measure.compassPoint(bearing)}`;
+            const middle = Utils.formatCoordinates(midpoint.lat, midpoint.lng);
+
+            UI.measure.result = I18n.text('measure.result', { distance, bearing: heading, midpoint: middle });
+            UI.elements.measureResult.innerHTML = `
+                <strong>${distance}</strong> · ${heading}
+                <div class="og-measure-midpoint">${I18n.t('measure.midpoint', { midpoint: middle })}</div>
+            `;
+            MapView.showMeasurement(from, target, midpoint);
         },
 
-        updateHistoryPanel: () => {
-            const history = Storage.getLocationHistory();
-            const listElement = UI.elements.historyList;
+        copyMeasurement: async () => {
+            if (!UI.measure.result) {
+                UI.showToast(I18n.t('toast.nothingMeasured'), 'error');
+                return;
+            }
 
-            if (history.length === 0) {
-                listElement.innerHTML = `
-                    <div style="text-align: center; padding: 20px; color: #6b7280;">
-                        No locations in history
-                    </div>
-                `;
+            const success = await Utils.copyToClipboard(UI.measure.result);
+            UI.showToast(I18n.t(success ? 'toast.measurementCopied' : 'toast.copyFailed'), success ? 'success' : 'error');
+        },
+
+        setPracticeMode: (active) => {
+            if (active && UI.measure.active) {
+                UI.setMeasureMode(false);
+            }
+
+            UI.practiceActive = active;
+            UI.elements.container.classList.toggle('og-practice-mode', active);
+            UI.setPressed(UI.elements.practiceBtn, active);
+            UI.resetPractice();
+        },
+
+        resetPractice: () => {
+            MapView.clearGuess();
+            UI.practiceResult = null;
+            UI.elements.practiceCoords.value = '';
+            UI.renderPracticeResult();
+        },
+
+        renderPracticeResult: () => {
+            const result = UI.practiceResult;
+            if (!result) {
+                UI.elements.practiceResult.textContent = I18n.t(App.currentLocation ? 'practice.prompt' : 'main.waitingCurrent');
                 return;
             }
 
-            listElement.innerHTML = history.map((entry, index) => {
-                const date = new Date(entry.timestamp);
-                const timeString = date.toLocaleTimeString();
-                const dateString = date.toLocaleDateString();
+            const { distanceUnit } = Storage.getSettings();
+            UI.elements.practiceResult.innerHTML = `
+                <strong>${I18n.formatNumber(result.score)} / ${I18n.formatNumber(Scoring.MAX_SCORE)}</strong>
+                · ${I18n.t('practice.away', { distance: Measure.formatDistance(result.distanceKm, distanceUnit) })}
+            `;
+        },
 
-                return `
-                    <div class="og-history-item" data-index="${index}">
-                        <div class="og-history-coords">${Utils.formatCoordinates(entry.lat, entry.lng)}</div>
-                        <div class="og-history-time">${dateString} ${timeString}</div>
-                    </div>
-                `;
-            }).join('');
+        submitPastedGuess: () => {
+            const guess = Utils.parseCoordinates(UI.elements.practiceCoords.value);
+            if (!guess || !Utils.isValidCoordinate(guess.lat, guess.lng)) {
+                UI.showToast(I18n.t('toast.enterCoordinates'), 'error');
+                return;
+            }
+            UI.submitGuess(guess);
+        },
 
-            // Add click handlers
-            listElement.querySelectorAll('.og-history-item').forEach(item => {
-                item.addEventListener('click', () => {
-                    const index = parseInt(item.dataset.index);
-                    const location = history[index];
-                    if (location) {
-                        App.updateMap(location);
-                        UI.elements.historyPanel.classList.remove('visible');
-                        UI.showToast('Location loaded from history', 'success');
-                    }
-                });
-            });
+        // Score a guess against the current location and save it on its history entry
+        submitGuess: async (guess) => {
+            const actual = App.currentLocation;
+            if (!actual) {
+                UI.showToast(I18n.t('toast.noCurrentLocation'), 'error');
+                return;
+            }
+
+            const settings = Storage.getSettings();
+            const result = Scoring.evaluate(guess, actual, settings);
+
+            UI.practiceResult = result;
+            UI.elements.practiceCoords.value = Utils.formatCoordinates(guess.lat, guess.lng);
+            UI.renderPracticeResult();
+            MapView.showGuess(guess, actual);
+
+            const id = await App.historyWrite;
+            if (id === null || App.currentLocation !== actual) return;
+
+            if (await Storage.updateLocationInHistory(id, { guess: result })) {
+                if (UI.elements.historyPanel.classList.contains('visible')) {
+                    UI.updateHistoryPanel();
+                }
+            } else {
+                UI.showToast(I18n.t('toast.guessSaveFailed'), 'error');
+            }
+        },
+
+        loadScoreSettings: (settings = Storage.getSettings()) => {
+            UI.elements.scoreMapSizeInput.value = settings.scoreMapSize;
+            UI.elements.scoreDecayInput.value = settings.scoreDecay;
+            UI.elements.scorePreview.textContent = [100, 1000, 5000]
+                .map(km => `${Measure.formatDistance(km, 'km')}: ${Scoring.score(km, settings)}`)
+                .join(' · ');
+        },
+
+        // Show a history entry on the map, from the history panel or world view.
+        // While measuring, the entry becomes the measurement target instead.
+        loadHistoryLocation: (location) => {
+            if (UI.measure.active) {
+                UI.setMeasureTarget(location);
+                return;
+            }
+
+            if (UI.worldView.active) {
+                UI.setWorldView(false);
+            }
+
+            App.updateMap(location);
+            UI.elements.historyPanel.classList.remove('visible');
+            UI.showToast(I18n.t('toast.loadedFromHistory'), 'success');
         }
     };
 
@@ -1346,7 +7370,8 @@
 
     const App = {
         currentLocation: null,
-        updateInterval: null,
+        // Resolves to the history id of the current location once it is stored
+        historyWrite: Promise.resolve(null),
         isInitialized: false,
 
         initialize: () => {
@@ -1354,8 +7379,16 @@
 
             Utils.log('Initializing OpenGuessr Enhanced...');
 
+            // Bring stored settings up to the current schema version
+            Storage.upgradeSettings();
+
             // Inject styles
             UI.injectStyles();
+            Theme.apply();
+            I18n.setLanguage(Storage.getSettings().language);
+
+            // React to extractor results before any strategy can fire
+            App.attachEventListeners();
 
             // Initialize location extractor
             LocationExtractor.initialize();
@@ -1366,97 +7399,37 @@
             // Setup keyboard shortcut
             App.setupKeyboardShortcuts();
 
-            // Start location monitoring IMMEDIATELY
-            App.startLocationMonitoring();
-
-            // Also do immediate location check
-            setTimeout(() => {
-                const loc = LocationExtractor.getCurrentLocation();
-                if (loc) {
-                    Utils.log('Initial location found:', loc);
-                    App.currentLocation = loc;
-                }
-            }, 100);
-
-            // Auto-open if enabled
+            // Auto-open on the first location if enabled
             const settings = Storage.getSettings();
             if (settings.autoOpen) {
-                setTimeout(() => {
-                    const location = LocationExtractor.getCurrentLocation();
-                    if (location) {
-                        UI.show();
-                    }
-                }, 2000);
+                Events.once('location:changed', () => UI.show());
             }
 
+            // Immediate location check
+            LocationExtractor.detect();
+
             App.isInitialized = true;
             Utils.log('OpenGuessr Enhanced initialized successfully!');
         },
 
-        setupKeyboardShortcuts: () => {
-            document.addEventListener('keydown', (e) => {
-                // Insert key to toggle
-                if (e.key === 'Insert') {
-                    e.preventDefault();
-                    UI.toggle();
-                }
+        attachEventListeners: () => {
+            Events.on('location:detected', App.handleDetectedLocation);
 
-                // Ctrl+Shift+C to copy coordinates
-                if (e.ctrlKey && e.shiftKey && e.key === 'C') {
-                    e.preventDefault();
-                    UI.copyCoordinates();
-                }
+            Events.on('location:changed', (location) => {
+                const place = Geocoder.reverse(location.lat, location.lng) || {};
+                App.historyWrite = Storage.addLocationToHistory({ ...location, ...place, ...Session.registerRound() });
             });
-        },
-
-        startLocationMonitoring: () => {
-            // Clear any existing interval
-            if (App.updateInterval) {
-                clearInterval(App.updateInterval);
-            }
-
-            // Simple monitoring like original script - check every 1.5 seconds
-            App.updateInterval = setInterval(() => {
-                // Skip if window not visible
-                if (!UI.elements.container || UI.elements.container.style.display === 'none') {
-                    return;
-                }
 
-                const location = LocationExtractor.getCurrentLocation();
-                if (!location) return;
-
-                // Check if location changed
-                if (location && (location.lat !== App.currentLocation?.lat || location.lng !== App.currentLocation?.lng)) {
-                    Utils.log('Location updated:', location);
-                    App.currentLocation = location;
-
-                    // Update iframe directly
-                    const settings = Storage.getSettings();
-                    const zoom = settings.defaultZoom || CONFIG.DEFAULT_ZOOM;
-                    const mapType = settings.mapType || CONFIG.MAP_TYPE;
-                    const url = `https://maps.google.com/maps?q=${location.lat},${location.lng}&ll=${location.lat},${location.lng}&z=${zoom}&t=${mapType}&output=embed`;
-
-                    // Hide loading before updating iframe
-                    if (UI.elements.loading) {
-                        UI.elements.loading.style.display = 'none';
-                    }
-
-                    UI.elements.mapIframe.src = url;
-                    UI.elements.coordinates.textContent = Utils.formatCoordinates(location.lat, location.lng);
-
-                    Storage.addLocationToHistory(location);
-                }
-            }, 1500); // Original timing
+            // Re-check when the window opens in case a hook missed an update
+            Events.on('ui:shown', () => LocationExtractor.detect());
         },
 
-        updateLocation: () => {
-            const location = LocationExtractor.getCurrentLocation();
-
-            if (!location) {
-                Utils.log('No location found');
-                return;
-            }
+        setupKeyboardShortcuts: () => {
+            Shortcuts.load(Storage.getSettings());
+            document.addEventListener('keydown', Shortcuts.handleKeydown);
+        },
 
+        handleDetectedLocation: (location) => {
             // Check if location has changed
             if (App.currentLocation &&
                 App.currentLocation.lat === location.lat &&
@@ -1466,12 +7439,7 @@
 
             Utils.log('Location updated:', location);
             App.currentLocation = location;
-
-            // Add to history
-            Storage.addLocationToHistory(location);
-
-            // Update map
-            App.updateMap(location);
+            Events.emit('location:changed', location);
         },
 
         updateMap: (location = App.currentLocation) => {
@@ -1485,10 +7453,8 @@
         },
 
         cleanup: () => {
-            if (App.updateInterval) {
-                clearInterval(App.updateInterval);
-            }
             LocationExtractor.cleanup();
+            Events.clear();
         }
     };
 
@@ -1528,8 +7494,25 @@
     window.OpenGuessrEnhanced = {
         App,
         UI,
+        MapView,
         LocationExtractor,
+        PbDecoder,
+        Measure,
+        Scoring,
+        Theme,
+        I18n,
+        Shortcuts,
+        Stats,
+        Charts,
+        Events,
+        Session,
+        Geocoder,
+        CoordFormats,
+        Exporter,
+        Importer,
         Storage,
+        SettingsSchema,
+        HistoryDB,
         Utils,
         CONFIG,
         // Helper function to manually open
@@ -1540,12 +7523,8489 @@
             console.log('Container exists:', !!UI.elements.container);
             console.log('Current location:', App.currentLocation);
             console.log('Settings:', Storage.getSettings());
+            Storage.countLocationHistory().then(count => console.log('History entries:', count));
         }
     };
 
+    /* ==========================================
+       GEOCODER DATA
+       ========================================== */
+
+    // Generated data for Geocoder, one record per line:
+    //   countries: <code>;<name>, one row per ISO code named after the sovereign
+    //              country, not after a lease or territory sharing the code
+    //   regions:   <country code>;<region name>;<ring> <ring> ...
+    //              rings are delta-encoded polylines (base64url, 0.05° steps)
+    //   places:    <name>;<country code><lat><lng>
+    //              lat/lng are base36 hundredths of a degree offset by 9000/18000
+    // Boundaries: Natural Earth admin-1 states and provinces (public domain),
+    // simplified to at most ~25 km. Places: GeoNames (CC BY 4.0), the largest place in
+    // every 2° cell plus all cities over 500,000 inhabitants.
+    const GEO_DATA = {
+        countries: `
+AD;Andorra
+AE;United Arab Emirates
+AF;Afghanistan
+AG;Antigua and Barbuda
+AI;Anguilla
+AL;Albania
+AM;Armenia
+AO;Angola
+AQ;Antarctica
+AR;Argentina
+AS;American Samoa
+AT;Austria
+AU;Australia
+AW;Aruba
+AX;Aland
+AZ;Azerbaijan
+BA;Bosnia and Herzegovina
+BB;Barbados
+BD;Bangladesh
+BE;Belgium
+BF;Burkina Faso
+BG;Bulgaria
+BH;Bahrain
+BI;Burundi
+BJ;Benin
+BL;Saint Barthelemy
+BM;Bermuda
+BN;Brunei
+BO;Bolivia
+BR;Brazil
+BS;The Bahamas
+BT;Bhutan
+BW;Botswana
+BY;Belarus
+BZ;Belize
+CA;Canada
+CD;Democratic Republic of the Congo
+CF;Central African Republic
+CG;Republic of the Congo
+CH;Switzerland
+CI;Ivory Coast
+CK;Cook Islands
+CL;Chile
+CM;Cameroon
+CN;China
+CO;Colombia
+CR;Costa Rica
+CU;Cuba
+CV;Cape Verde
+CW;Curaçao
+CY;Cyprus
+CZ;Czech Republic
+DE;Germany
+DJ;Djibouti
+DK;Denmark
+DM;Dominica
+DO;Dominican Republic
+DZ;Algeria
+EC;Ecuador
+EE;Estonia
+EG;Egypt
+EH;Western Sahara
+ER;Eritrea
+ES;Spain
+ET;Ethiopia
+FI;Finland
+FJ;Fiji
+FK;Falkland Islands
+FM;Federated States of Micronesia
+FO;Faroe Islands
+FR;France
+GA;Gabon
+GB;United Kingdom
+GD;Grenada
+GE;Georgia
+GG;Guernsey
+GH;Ghana
+GI;Gibraltar
+GL;Greenland
+GM;Gambia
+GN;Guinea
+GQ;Equatorial Guinea
+GR;Greece
+GS;South Georgia and the Islands
+GT;Guatemala
+GU;Guam
+GW;Guinea Bissau
+GY;Guyana
+HK;Hong Kong S.A.R.
+HM;Heard Island and McDonald Islands
+HN;Honduras
+HR;Croatia
+HT;Haiti
+HU;Hungary
+ID;Indonesia
+IE;Ireland
+IL;Israel
+IM;Isle of Man
+IN;India
+IO;British Indian Ocean Territory
+IQ;Iraq
+IR;Iran
+IS;Iceland
+IT;Italy
+JE;Jersey
+JM;Jamaica
+JO;Jordan
+JP;Japan
+KE;Kenya
+KG;Kyrgyzstan
+KH;Cambodia
+KI;Kiribati
+KM;Comoros
+KN;Saint Kitts and Nevis
+KP;North Korea
+KR;South Korea
+KW;Kuwait
+KY;Cayman Islands
+KZ;Kazakhstan
+LA;Laos
+LB;Lebanon
+LC;Saint Lucia
+LI;Liechtenstein
+LK;Sri Lanka
+LR;Liberia
+LS;Lesotho
+LT;Lithuania
+LU;Luxembourg
+LV;Latvia
+LY;Libya
+MA;Morocco
+MC;Monaco
+MD;Moldova
+ME;Montenegro
+MF;Saint Martin
+MG;Madagascar
+MH;Marshall Islands
+MK;Macedonia
+ML;Mali
+MM;Myanmar
+MN;Mongolia
+MO;Macau S.A.R
+MP;Northern Mariana Islands
+MR;Mauritania
+MS;Montserrat
+MT;Malta
+MU;Mauritius
+MV;Maldives
+MW;Malawi
+MX;Mexico
+MY;Malaysia
+MZ;Mozambique
+NA;Namibia
+NC;New Caledonia
+NE;Niger
+NF;Norfolk Island
+NG;Nigeria
+NI;Nicaragua
+NL;Netherlands
+NO;Norway
+NP;Nepal
+NR;Nauru
+NU;Niue
+NZ;New Zealand
+OM;Oman
+PA;Panama
+PE;Peru
+PF;French Polynesia
+PG;Papua New Guinea
+PH;Philippines
+PK;Pakistan
+PL;Poland
+PM;Saint Pierre and Miquelon
+PN;Pitcairn Islands
+PR;Puerto Rico
+PS;Palestine
+PT;Portugal
+PW;Palau
+PY;Paraguay
+QA;Qatar
+RO;Romania
+RS;Republic of Serbia
+RU;Russia
+RW;Rwanda
+SA;Saudi Arabia
+SB;Solomon Islands
+SC;Seychelles
+SD;Sudan
+SE;Sweden
+SG;Singapore
+SH;Saint Helena
+SI;Slovenia
+SK;Slovakia
+SL;Sierra Leone
+SM;San Marino
+SN;Senegal
+SO;Somalia
+SR;Suriname
+SS;S. Sudan
+ST;Sao Tome and Principe
+SV;El Salvador
+SX;Sint Maarten
+SY;Syria
+SZ;Swaziland
+TC;Turks and Caicos Islands
+TD;Chad
+TF;French Southern and Antarctic Lands
+TG;Togo
+TH;Thailand
+TJ;Tajikistan
+TK;Tokelau
+TL;East Timor
+TM;Turkmenistan
+TN;Tunisia
+TO;Tonga
+TR;Turkey
+TT;Trinidad and Tobago
+TV;Tuvalu
+TW;Taiwan
+TZ;United Republic of Tanzania
+UA;Ukraine
+UG;Uganda
+UM;United States Minor Outlying Islands
+US;United States of America
+UY;Uruguay
+UZ;Uzbekistan
+VA;Vatican
+VC;Saint Vincent and the Grenadines
+VE;Venezuela
+VG;British Virgin Islands
+VI;United States Virgin Islands
+VN;Vietnam
+VU;Vanuatu
+WF;Wallis and Futuna
+WS;Samoa
+XK;Kosovo
+YE;Yemen
+ZA;South Africa
+ZM;Zambia
+ZW;Zimbabwe
+`,
+        regions: `
+AR;Entre Ríos;xoB3oCkCQYfHpB9BpBvBIlBqC
+UY;Paysandú;xoB3oCFQKeFUYMQjC
+ID;Kalimantan Timur;mF-yEKjCrCZ7B1BRBEyBfBGOrBSPJhBMAcWNgBWJISakBFoBSDsBqBxBMOyBpBEgB
+MY;Sabah;mFywEI0DWPSsBOzBOCHVYMWXPNSBhC1B
+CL;Arica y Parinacota;7V72CHNVDDRfGK0BiBF
+BO;La Paz;7V72CVQY6CmCC2BduCYUnBlBpB1BG5BXbYhBd
+BO;Oruro;1Xn2CXQJiBakCmCrBZtC
+CL;Tarapacá;1Xn2CHxB7CIQ8BmBJaO
+BO;Potosí;tY31ChBFhDiBCcoBoBLqBsCHSYcdcHBOOPAnBtBcZhC
+CL;Antofagasta;la11CV9BlCTvDBQ-BWeYBUqBoBOGjB
+PE;Tacna;7V72CcjBnBfVqB
+AR;Salta;1dh0ChBxBVADuCVJXQIsCYMBgByBqBuCASRAtBhBPaJEXtBGLiBbANPInBoBZhBJ
+AR;Jujuy;1dh0CTeiBOnBWHaQgBcBAZWPiBCMnBnBnB
+CY;Dhekelia;4rBoqBBEABCACBAECABFABDA
+CY;Larnaca;6rBkqBAHDADNFECECK
+IN;Ladakh;ssBohDtBhD3BoCCWZyBIUcAMZeIMb
+CN;Xinjiang;ssBohDjBUJaEiBsBSL2BSyBL0BOoCSUKuCPsDePMY2BtBcwD0BAGaoBoBKyBqBU4BlBapCKrDMHqBQsBbkB9CYHBlBVLHhBzBHJdQlChCbRKKjBRnCFaZFlBSTZXEnB3CBvBZTBZOHZ9BzBHJsBpBMJdT6BhBM
+CN;Xizang;-qB2iDhBFJaTGPZIVxBOGQ5BuCOMAchD8EKGNwBMyBfOiBYIcZkCgCqDJeMcXWNJHmBOKPWqBoBuCTIMoBbGhBfXGVLAsB_BFrBiB1CBpBeZyCCKhBF_CRTNnCMzBRxBM1BrBR
+IL;HaDarom;gnB6qBjCawCWFVWH
+PS;Gaza Strip;wnBkrBLLDCEEEAGI
+IL;HaZafon;woBusBKAMOSDLLBPTB
+PS;West Bank;2oBgsBHHTACIFCFLJBGWKEaA
+IL;Haifa;2oBgsBADCDEGGACBBFRDAI
+IL;HaMerkaz;woB6rBAHHBFEBFHDCQOD
+LB;An Nabatiyah;spBksBAIICBCGKEFFFGABFDDBG
+LB;South Lebanon;spBksBIGCFGIFCCCIAAHFFNF
+ET;Southern Nations, Nationalities and Peoples;wH2rBZOBUfGBeeKCmB2BAFQXBYKLamBVAV0BYAtBtBNMrBWJPVVEBtB
+SS;Eastern Equatoria;4F8sBcDCTaNDtDrBGnBVLOK2B0BsC
+ET;Somali;gKg8BoB_EwBtBgBCBhC7BVMgC1BYJJSPFHpCBJPMVlBFLjBrCjBDSkBwBNsBkBkCC4B
+SO;Nugaal;uJu7BGiCLSmBUQlBgBJ
+SO;Mudug;mIi6BJuBnCDFO6DoCMRFhC
+SO;Galguduud;-G84BRIAWvBGRakBgBGNoCEKtB
+SO;Hiiraan;-G84BZjBhCIAuBaSwBFAV
+SO;Bakool;kG43BCZRnBhBGBUMOVODU
+SO;Gedo;gFs0BvBlB9BAAScKAesBIAU0BJ
+KE;Rift Valley;4F8sBSThB3BjCkBfEXRNYdPHYhBfzCiEmBDmBvBoBLOKPUaSQTFaWUqCrC
+MW;Chitipa;7L0qBHHEJHCFHZYAUYD
+TZ;Mbeya;7L0qBYJEaeWIvBkBNJxBVJbeGRdFV0B
+TZ;Njombe;lNorBwBsBelBPlB
+TZ;Ruvuma;lNorBnBOFkDSaeLOlBYMPXQBJdYG
+MW;Rumphi;nNorBGZRbHIGuB
+MW;Nkhata Bay;1NorBFVNCFLTDDaYKCO
+IN;Arunachal Pradesh;ojB05DInBOMYRLfKd5BxCJnBFSVEC2BcgBOkCZCLfPCYkBFmBUJ
+SY;UNDOF;-oB2sBIGGBCCGDGCDDPG
+SO;Somaliland;-Lm9BkCAELlBhFsBzBhBZhC2BnB4DAoB
+SO;Bari;-Lm9BfKPmBwCgBESAP4BMEZbjC
+FR;Guyane française;wG7jCnBDdQrBXFiC4CyB2BzC
+SR;Sipaliwini;-CnkCsBYePqBCGL3BX-BZZtCjBHXe1BYHecA
+GY;Mahaica-Berbice;uCzmCyC9BiBGOcuBLzClB1BU5BV
+KR;Gangwon;owBugFP3BLcdBD-BRKcB
+KP;Kangwŏn-do;owBugFgBrBfVRKGuB
+KR;Gyeonggi;qvBq-ElBMASYSaVCN
+KP;Hwanghae-bukto;2vB2-ESJSMEPFCBTJBETTGDaPI
+MA;Guelmim - Es-Semara;wgBhPkBaKqD-BEcqBGyBgBHPzCTALlClB3BPK1BpBRG
+EH;Western Sahara;yiB7KVDHnDxCpBtB5B3ChBD5CZBYEA-E6BFauBmDAAkE
+MA;Laâyoune - Boujdour - Sakia El Hamra;wgBhPAPSF2BqBQJLtBtBXVjB_BVDyCQW
+MA;Oued el Dahab;0elQA3ChBhBKIjDvBE6C4CiB
+CR;Alajuela;wNlpDKVFdPabKIO
+NI;Rio San Juan;2NjqDCWLSGKYjBQDHRTJ
+CG;Likouala;sEqXIvBVnB7EgBKUqDM
+CD;Équateur;d-VTbdHiB8BDaUIpBUHwBTMCyBWDESLYMwBmBnBQECTIQkCrBYMEqBuBnBSiBYzDehBHZXVtBEpBX
+CG;Cuvette;d-VCNqBDLdOpBPPhBMNdfBoBqBXwB
+CG;Plateaux;_B6UYvBnBvBnBAMaLOCmBeA
+CD;Bandundu;1DoUnBLPa7BRBU3BQfWEoCoBGASgBJUU4BFGYoCOW7BqBTTHEZhBxBGP
+CG;Pool;1DoUBlBMNLbVNCQRGVTIUXACQ4BSNc
+CG;Brazzaville;3E-TKFDHINjBLFG
+CD;Kinshasa City;xF-SHIEONDFKCSaKKFGT
+CD;Bas-Congo;zF8SPRYJXnBMLtBjBLKIyEiBI
+CG;Bouenza;_FgRiBgBSFBPTPUfJB
+CG;Niari;5FqQFWoBnBgBWuBVTFAjBTAjBM
+BT;Tashi Yangtse;gjBqyDDFLAHEBEEKGHIECDCE
+BT;Lhuntshi;ijBuxDZICMSCEGEFFJ
+BT;Bumthang;ijBkxDXCDQMAKHGA
+UA;Chernihiv;khC2nBBhBpBPTgBAkCqCQ
+BY;Gomel;igCmmBgBOCiBwBdCvBPDXhDjBSI4B
+UA;Volyn;8gC-fAvBLdLCZSNmBcqBOV
+BY;Brest;8gC-fLqCQIaRIdUApBhEHUXB
+UA;Rivne;8gC-fVANWRnBVKWqCoBU
+UA;Zhytomyr;ogC2kBI7BXZXCXQFoCSM
+UA;Kiev;igCmmBKjBJPzCUIuBoByBQ3B 8-BumBLFaNAY
+NA;Karas;1jB0UUYZMHeBmBWkBwDAErENLiBRAjB7CS
+ZA;Northern Cape;_fgZvDAVjBClBIdaLTXnDyBWoBvCcQcdKe-BaORegB-CYCmBrBuCcCNRHOPiBDQdUEhBjCBlB6BBcZ
+LB;Beqaa;6pB6sBEIIBCOGBKMMFBHlBZ
+LB;North Lebanon;krButBGEATDCDHJFBQ
+SY;Homs (Hims);qrBktB7B4CkBqCuBfGZRbC7B
+SY;Tartus;qrB-sBAGKIEFCEGACLND
+SY;Rif Dimashq;4qB4tBTZRBBkBTcSgB
+MF;St. Martin;yW3uCCABF
+SX;Sint Maarten;wW7uCAECAAD
+AE;Fujayrah;0fumCDHJEGCBC 2fqmCCEIACHBHJICFFA
+OM;Musandam;0fumCCDFB igBmmCAGMGEBCCCDAGEDEECFHBAECHFDDE
+AE;Sharjah;mfgmCSADHILFEBLDMTCAGIA
+AE;Ras Al Khaymah;0fqmCDLPGCGID igBmmCQAPPLIAIKH
+MW;Likoma;_OsrBDBACCC
+UZ;Ferghana;qyBg6CMIIXFNGLLXJK myB44CJAAI
+KZ;East Kazakhstan;s9BktDcVH9B4BlCJvCWdVZmBdXvBPYVBCjBhBrBZcLPNSfTC4Bf6DlBkBiCePmCKe0BI
+KZ;Almaty;-4B8mDmBlBgB5DFbRAFNFjDxBlBpB-BVNVYHuEXqBiBGESmBRaGGZSoCJkB
+TJ;Leninabad;qyB24CEXQQMLJpBXDBbBQVTCfPNLgBG4BSsBA1BUAIaLW
+BY;Vitebsk;ylCohBLFDOLVNgENBIoCOReGKRDlBS3B
+LT;Utenos;ylCohBMZHJBnBHBJWHAAWMADqBEN
+LT;Vilniaus;ilCuhBEnBLAAVSXHHPQRNAWLFAkBIHUK
+BY;Grodno;4kC2gBHRZCH5CvBQE4BWQAiBeRUY
+LT;Alytaus;2jCifEDIKEdBXJLNMAeEQ
+BR;Rio Grande do Sul;3lB_nCEenBiBKQvBqCZaRRXG2D2CgBBRejC9ByB8BgCkBAReSIjBsB_BGjCtBpC
+UY;Artigas;3lB_nCNLJELeIaFQKAchBHP
+MN;Dornod;o-B8xEU_ChB1CpCWPmCbSE2BLOOiE2B3BNrBKlC
+CN;Inner Mongol;o-B8xErCrBJmCOsB1B4BDhDrBlCBrBZlBMlCbRZWxBhDFtDbnCmBpEKrF3BSTaPBQoCLGbdT2BZWcsDPGpBfXiBQ-B0BMKaNKbVZsCCQmC2BHWQwBaWIkCYLqBeVcoBmDzBWBkBuBKbYgB0BY4C4BTLfuBDQVKGLkBQQUDKYUvBwBqCPK2D8BUhBLxCmBNO_BSaKlBVfHaREjChCLGX5B
+MN;Bayan-Ölgiy;u9B4tDXIZyCvBmBBkBuCvBKYsBvB
+MN;Hovd;s6B4xD7BFH4C-BUMcoBnBUKajCPrBrCwB
+MN;Sühbaatar;85B4xEMND1BcRYlCVrBnBNtBeNgCamBMgC
+MN;Dornogovi;s4BgsEoBPAdWdRbgBVJjBfajBAblBrCQA6ByBiDcV
+MN;Govi-Altay;o4Bs0Db8C_BmBA8BiCEsBWuBhBwBtEFXfeLb
+CN;Gansu;s1Bu4DhBTJxBnBnBFZzBAC-ChBgCiBEPqBKe9B2DKI9BsB7BzBPQA1BZODeRBOaUNOeTOFkBfGHmBOaUBCc8BBDwBOCEiBmBEiBtCbLbSDRRBGTUXqBDkBnCWCaeQFbtDaTU1BceKFLnC6CpB
+MN;Bayanhongor;s1Bq6DDmC8BDLiBK4B2BZwBQUhCWHCtBTXfJlBiBrBV
+MN;Ömnögovi;o1Bw8DBsClBqEiB8DaA4BNLhCoB7CpBdNnCMjC
+RU;Gorno-Altay;u9B4tDWsCUNKUqBnBCnBkBWI9BVDlBtDLYHTPGFeTII-BVK
+CZ;Ústecký;y_BoSILFCT3BLSKmBGGIF
+DE;Sachsen;g_BmQa2BJUaGErDPDJUTdJQ
+CZ;Liberecký;y_BoSFJHGESDaMDAFIHAHFC
+CZ;Karlovarský;g_BmQARJHGFBBNQEcOA
+DE;Bayern;8-BkPIdLZOVRtBTEEcfaTRbGFXLYU0CJgBYLaqBctB
+CZ;Plzeňský;s-B0PFDPQPcKIcEIT
+CZ;Jihočeský;m9B8QNWAaQMDWICIbMFDnB
+EE;Viljandi;yoCsfDSIUKEMNBVFJHBBM
+LV;Rujienas;woC4fEFDCADCBABDCFEAIGH
+LV;Mazsalacas;yoCqfBHFCBKCABEKF
+EE;Pärnu;yoCqfIICLICIMFjCLUESTJ
+LV;Alojas;woCifBJBBLOCIEAEH
+EE;Valga;uoC-fDSLSODIKCd
+LV;Nauksenu;uoC-fCFBFFKACCDAICC
+LV;Salacgrivas;uoC4eDLRECIEBADEBAGEE
+EE;Võru;-nCihBEQFSMKGRAb
+LV;Apes;-nCihBCDJBCQEAAECABH
+LV;Valkas;goC-gBKNCJBLHWDDBQ
+LV;Aluksne;-nCmiBETJJFWEWEHEC
+RU;Pskov;2nC0iBTBfaL-DWCqBpBWEGhBQMSjDpBMLR
+LV;Vilakas;2nC0iBDFABDDDGAICBCEEC
+LV;Baltinavas;qnC2iBFNBCAI
+LV;Karsavas;inCyiBAHBDBEDABGECBGGECD
+LV;Ciblas;-mC6iBDBCFDDBKBECK
+LV;Ludzas;0mCkjBEVDBFIDBBICKCJEGCAAG
+LV;Zilupes;ymCmjBAFBADFCGBEFBAEEC
+LT;Panevezio;ymCifHbbLFWMMIyB
+LV;Neretas;mmC2fECCDCCABCAAJEBBDJG
+LV;Viesites;mmC2fAMIEEFBLBAACBBBE
+LV;Vecumnieku;ymCifCGCAANGBDLFIFA
+LT;Telšiai;wmCocBbFEHPHDHQEYQICN
+LV;Saldus;wmCwbAiBKNKCAJLFDH
+LT;Klaipedos;imCqafIHoBedYS
+LV;Rucavas;qmC8aELHDEBADHECGEC
+LV;Priekules;smCmbEAADCEEBAFBAABCDBBDEBBDE
+LV;Vainodes;wmCubCCCBADCBADDCBDAEDA
+LT;Šiauliai;umC-cCVHHDMPJHGG4BYG
+LV;Auces;wmCycAEDECEKFBFAFFC
+LV;Bauska;smC2eABCACBAECBEFBNBCBEDFBG
+LV;Tervetes;umCodCCGBBFBCBHBC
+LV;Jelgava;umCodASEACGEDCJEEEBCJFEBFBEBDAEHB
+LV;Rundales;smCgeECAECDCBBFDA
+LV;Aknistes;imCogBCCBECEEFCHDB
+LV;Ilukstes;-lCugBFMAEEBEEGDDJCHBB
+LV;Daugavpils;ylCohBIQIBGZHEDDDCAD 6lCkhBCBCG
+NO;Troms;q2C4ZCsCOFIYWjCDiBBLLMKfd1BaSThBQKAVNJHUKxBXfFOAVDSBtBJoESQIJ m2C8TTJIkBKLNT 62CyWGXTb
+SE;Norrbotten;q2C4ZBTHKRPI7BXVBrBTZNKbjBvB8ED4CMNImBIRCgDUTUOcVSI
+NO;Nordland;21C4WAjCF2BDlCJYBTHMSTHbFWDrBJuBL9BD4BJ3CDSDdDUDfHYDTEsBJ5BHUETLEBRFSHVEcNdE2CqBIEmBgBkBSHYsBFY 41C0UFhBUCbb
+SE;Västerbotten;sxC-RrBiDAiCXqBqB0CQVIWE3CwB7EHlB
+SE;Jämtland;sxC-RTbFSRDAxBbdpBMZ0CWqBSXQ0CapBOiB
+NO;Nord-Trøndelag;sxC-RH1DCgBXlBEZNMVdWwBJJBOJfN4BgBcAyBSEGR
+NO;Sør-Trøndelag;gvCiPG3CMFHjBLCCYRTTaScNwC uvC4MeeGRblB
+NO;Hedmark;-tCsPOvCTZRmBRKJPtBiCWUWNOaOd
+SE;Dalarna;qsC8PnBmCG6C2B7BE_BYzBVFNe
+SE;Värmland;qsC8PBRXOVdXBT8BKoBqBG
+NO;Akershus;8qC6OcbDRFIHHLKDPJGMWFK
+NO;Østfold;4qC8OFPGHDLJPLICQLQOIOF
+SE;Västra Götaland;iqC4ONHETZEAaZFV2B8BmCQVLlB
+FI;Lapland;q2CmkBYISzBPpCbHRjBGjDWdHpBrB6DRHbWVLZ4BKkEYMAiBSTgBmBU1BOHMOCP
+NO;Finnmark;q2CmkBYwCA5BMIKrBGiDU5CffSOATISDZOkBIjBHTFUNVDXYEhB5BQDOiBEzBFNHSJvBPFKzCVkCHXNIBXNSFkDSkBcIOiCP8B k4CgcMsBF9B
+VN;Kon Tum;sSsmEXHHGeuBenB
+KH;Rôtânôkiri;sSsmEPVGNjBBNKEegBJ
+VN;Đắk Nông;8PumENBBJVGGMFMGEIDEGGHGCIF
+KH;Môndól Kiri;8PumEYACLHPKTLAJKLJTSMc
+VN;Đắk Lắk;8PumEAMVKGYSOanBFT
+VN;Gia Lai;yQumEGWPWII6BJdtB
+VN;Bình Phước;sPimENVALZKAMKOKE
+KH;Krâchéh;iPwlEURMKKJMALRGLnBGLU
+VN;Tây Ninh;0OilECRFHLCNOEIKBKG
+KH;Kâmpóng Cham;0OilEKBMZKADXHCCLRB
+KH;Svay Rieng;wOokEDDTDJYMBKL
+KH;Prey Vêng;yOokEIRDHFBFIVDCQWE
+VN;Long An;2N2kEHCELGFBJPQCQHGEMKJGA
+VN;Ðong Tháp;2N8jEDLVaKE
+VN;An Giang;0NwjECFJAHNLWKO
+KH;Kândal;0NwjEWEQJCJRFDMPE qOkjEADKC
+KH;Takêv;0NqjESFAHJBAHHEAGPAIO
+VN;Kiên Giang;kN8iEDJJGHUPJFSWK -MkiEAJNI
+KH;Kâmpôt;kN8iEQAAFIDCNFFPABQFE
+DE;Rheinland-Pfalz;0-B0HLQJFCkBVQDYOKaFEXWQML
+LU;Diekirch;0-B0HCDBFHFHEGUGH
+LU;Grevenmacher;q-B8HFFBGBABBDEEAGGEA
+DE;Saarland;69B-HBGJIAaSDCL
+FR;Nord;8_BkDDRNMAUXKAsBIACTUVAV
+BE;West Flanders;8_BkDJEFKEGDOEGMFMA
+BE;Hainaut;u_B-DRWBULBAMMFCMKA
+FR;Ardennes;o-BmGOFHXTFHmBMECM
+BE;Namur;u-ByFIONCAEGGEFCMEBGIMPBNLBBL
+FR;Aisne;u-BmFCnBVAJHNWMKGDCQQI
+BE;Luxembourg;o-BmGLUCOODKMGABLILNFBLDG
+FR;Meuse;g-B4GBLdHPYEKSESF
+FR;Meurthe-et-Moselle;-9BoHDNPQVDFKGsBWtB
+BE;Liege;2-BwHGOQJCrBPMAc
+LU;Luxembourg;-9BoHDGCMGCCFCECHBBBFBC
+RU;Krasnodar;o2BgyBEcaGEiBSLKKYfISWLAZSNB5CZgBBXbHFtB u4B2xBVoBARhBAIXMQeHBxB
+GE;Abkhazia;s2B8yBDbZ4BNGIQOBKK
+RU;Karachay-Cherkess;s2B8yBJiCWOMPIKIbTPGV
+RU;Kabardin-Balkar;i2B-0BLwBOMEWYAHjC
+GE;Samegrelo-Zemo Svaneti;i2B-0BLRNCHPNGCWQOOHEgB
+RU;North Ossetia;m1B82BOqBURICAMIBATPEDVPR
+GE;Shida Kartli;m1B82BFLDGPLHoBIEGLSEGF
+GE;Racha-Lechkhumi-Kvemo Svaneti;01Bo2BDpBNMDQGiBEHGE
+RU;Ingush;u1B63BFEGEBIEGaFGLAHHBRSDDCH
+GE;Mtskheta-Mtianeti;s1Bs4BBjBFGRDFMFBGcIFSK
+RU;Chechnya;m1B04BBUSeUHOOGhCNH
+GE;Kakheti;m1B04BRJHGAHNIR4BIEOTKK
+RU;Dagestan;i1Bm5BJDnBsCaqBuBtBiBKNLcFKVOIGRCdfXPgCNNTI
+MK;Struga;4zB2ZBBDAAEBDDEACCEGAGB
+AL;Dibër;4zB2ZGDCEKACNFBBNFCFIDS
+MK;Centar župa;4zB2ZCGCFBB
+MK;Debar;6zB0ZCCBGCCEHBD
+MK;Mavrovo and Rostusa;g0B2ZFIECCACEEDCJBB
+MK;Gostivar;o0B2ZBKFICCEACCCBBHCHAD
+AL;Kukës;q0B2ZOBEJIDDNFCBQFDBEFB
+AL;Korçë;szB4ZHHFCAFZMWSKDAH
+AL;Elbasan;wzB0ZIBBFLZNYCIGBGI
+MK;Vevčani;wzB0ZAGCAAF
+MK;Ohrid;qzB6ZFCAEEEEAEGCH
+MK;Debarca;qzB6ZIIBIIFAHFC
+MK;Resen;izBmaCMGHCCEBDFFB
+AZ;Qazax;0zBo4BDCBGBFBABOKAEL
+XK;Dečani;m1BiZDKEGEN
+XK;Đakovica;k1BmZHEBICGEDECCDDF
+XK;Dragaš;q0B2ZAGMCBFBBDC
+XK;Prizren;y0B2ZEEAEBCCICFCACHBH
+TR;Ardahan;szBq2BUhBFFNCHHLKCIKE
+GE;Samtskhe-Javakheti;g0Bo1BTiBCWOFAHKKGPDnB
+TR;Artvin;6zBi1BClBHLHILJBIHCCQMGIW
+GE;Ajaria;6zBi1BGGIDEXAFPJ
+FR;Moselle;69B-HCPRAVuBKIGLGEAWElB
+ES;Ceuta;6sB1GCCAD
+MA;Tanger - Tétouan;8sB3GDVfLLkBMiB
+LA;Phôngsali;gc0_DEPJHlBIRgBMSWABL
+CN;Yunnan;wao_D0BDKeLYOYLMqB2CWDO5BgBKUTaQMLFVUJOOAyBYEDfcBCX1BlBlBELtBwD1CbLqBPpBjBXICQlCAXjBzBLI2BlBAJcfPDgBXIMmBVG
+LA;Oudômxai;wao_DRPPCTbBgBOaeG
+LA;Louang Namtha;-au-DJPPJXaCMMEEFQQCV
+KG;Ysyk-Köl;40BokDclCRvDToBNARgC
+KG;Naryn;uzB6hDS_BOAUnBVtCLqBRZNENiBIUNGEeYQ
+KG;Osh;0yBy9CY3Bf7BVYJpBLeK-BYG
+AM;Tavush;0zBo4BBHHGBHDGJFESDGGKIHCNEG
+GE;Kvemo Kartli;0zBo4BGOQLDHDEEpBJJAING
+AM;Lori;wzBi4BBhBHGFFFeKGEFCI
+AM;Shirak;uzBg3BBVNKJFDCEY
+KZ;Zhambyl;g1B87CYCIQJqCYfWOqB9BgBQApGnCedNbeNYUmB
+KG;Chuy;21B4-CKpCLRVGFXNsBWaUgD
+KG;Talas;g1B87CShCDXRPJwCOiB
+KZ;South Kazakhstan;-0B04CqB1BeOoCdApChCMPYdLfrCtBcAyBPCHYeS
+GY;Pomeroon-Supenaam;wG9rCBaWkBJUqBEcxBTzBdJ
+BR;Roraima;uGjrCCZZJTlCTFcrCZYtBGT2BrDIZakBaHkBkBKCwBqBDSdkBL0BSYX
+GY;Potaro-Siparuni;uGjrCZBAcLAHUYaGTaBMN
+GY;Upper Demerara-Berbice;uFzqChCLhBKXyBiCWyBP
+BR;Pará;uCzmCZhDtCI_BiDxF1CxCiBduBN4H8BmB4BEoBmBQCIV6BiCuCkBqBCKrCnBPKHRPKErBbkBKLPKHDhBqBAf1BETSgBKX2ClBUzBiBHBpBZE Xx8BOAGrC1BRPQOGLEImB Mx-BJLMgB
+DE;Schleswig-Holstein;wkC6LEflBKXiCIQUHOQDnBUH
+DK;Syddanmark;0kC6KBsBILIKKHGOMXFpBJDFWLH 6kCqNWADlBPO
+PE;Madre de Dios;1N_2CBpBqBAdVJlBpBHfWV4CiBkB
+BR;Acre;1N_2CFoBwBuCmCzEqBpERH5BqBPJFkBREAkBWgB9BF
+LY;Ghadamis;qoBgOVlBlBBZjB7BWA0CuCNWOwBD
+TN;Tataouine;qoBgOKKefHdPCD_BTcnCSYeiBA
+TN;Médenine;woBuOgBBALQFCXNbJGIedgBJJ
+LY;An Nuqat al Khams;woBuOBWSSQpB
+AZ;Ağstafa;mzB64BEGEBEICBCCETDFDM
+AZ;Tovuz;-yB84BFIMCKSERDFHFDG
+AZ;Gədəbəy;6yB24BHIFKOEGHHAGH
+AM;Gegharkunik;6yB24BAVfMMiB
+AZ;Daşkəsən;syBo5BAOGECDECCHFF
+AZ;Kəlbəcər;qyBs5BBEHDALHMKiBEHGA
+AM;Vayots Dzor;gyBg5BFTJCDMCKME
+AM;Syunik;6xBo5BTBDKPGCOMDAIIJGGCL
+AZ;Lankaran;4xBs5BHMBMDAGKAHODBR
+AZ;Qubadli;gxBo6BBEEEEDGCBPBA
+AZ;Zəngilan;gxBo6BAHDEHAKOEBDD
+AZ;Şərur;2xBs4BADDHBEFCBEGE
+AM;Ararat;2xBs4BQBBbPQ
+AZ;Sədərək;2xBm4BBHBC
+AZ;Kangarli;wxBy4BBDFDDCAGGB
+AZ;Babək;wxBy4BLAAFDCAGJKIACJEK
+AZ;Şahbuz;sxB44BBBFIAGGEEAAB
+AZ;Culfa;mxBm5BBHDDBEHAAKEBKG
+AZ;Ordubad;kxBs5BLHBCDQMHEC
+RO;Satu Mare;-7B0cNdLSASGDIQEDEQKT
+HU;Szabolcs-Szatmár-Bereg;-7B0cSbRrBASNY g8BqbFAAJ
+RO;Arad;q6B4aNJFRJ-BSU
+HU;Békés;q6B4aOKBLMNPXXQCO q6BuaEFCG
+RO;Bihor;q6B4aLyBKGeJKP
+HU;Hajdú-Bihar;w7B2bOZAPJLRILQ y7B-aHMBJEH
+HU;Csongrád;65BgaGHJTAW 25B0YAOGBAIIEBMMAAXFABHFCBH
+RO;Timis;25B8ZBRNWJBNeQEImB
+KG;Jalal-Abad;40Bi5CbrBPqBSSdwBGwBacWhC
+UZ;Tashkent;40Bi5ChB3CPPdQYMIsBWL
+UZ;Namangan;4zBi4CPALMDWQkBWVRJ
+UZ;Andijon;izBu7CATILLdNeIADM
+KG;Batken;qyBg6CAnBNTMVRbJCEwBHKOoC
+SK;Žilinský;g-BqYHLAdNIDFHQIwB
+PL;Silesian;g-BqYMNOIIaODIvBTBRXFWTQ
+PL;Lesser Poland;g-BqYPOIkCQJYCJZOXFVRP
+SK;Prešov;49B8aHhCLGEeJmBKgB
+PL;Subcarpathian;49B8aP2BWHgBoBApBUdXZ
+IE;Donegal;6kChJIMGRDGAJJCDJGGGDFBGDDTFFFEHRDmBCGEJCQ
+GB;Derry;2kCnJFQKFAH
+GB;Strabane;2kCnJHFBPDKIgB
+GB;Fermanagh;okCzJFRLWBMEGGBCNGA
+IE;Leitrim;ikClKBJJEBKHBDKGKCAIREE
+IE;Cavan;8jC9JDDHSFCBGASEIIJCX
+IE;Monaghan;-jCxICHDFDCBHBOHKEICDEA
+GB;Dungannon;-jCxICCCKEACPFFAJFEEK
+GB;Armagh;-jCxIFCBGGMEBCFBJ
+GB;Newry and Mourne;2jCpIDAACCKBKCIECET
+IE;Louth;0jC5HBNBCDFHKCIEACDEAAK
+PL;Lower Silesian;y_BwSH-BJFLUyBoBQlCNnB
+CZ;Královéhradecký;w_BsTLEATPMCwBKPGKED
+PL;Opole;g_BmVDeFDFSUWUCGpB
+CZ;Olomoucký;g_BmVHCHLXEEGJIKeOdQK
+CZ;Pardubický;2-B4UDxBNUDmBQDIG
+CZ;Moravskoslezský;y-BwWEPGEBLPJRyBESQL
+TJ;Tadzhikistan Territories;wxBs5CblElBEgBmCJ6BKUUK
+TJ;Gorno-Badakhshan;qxBi8CD1BhBhBMffPSUFY_BOegCFmCuBHGpB
+GR;Dytiki Makedonia;izBmaLCJJROAgBSKOPIC
+GR;Ipeiros;kyB4ZDLNBCJdeIYUJGICHUJ
+AL;Gjirokastër;kyB4ZOFDFIPFDNGJOAEID
+AL;Vlorë;4xBsZKNUJEPLGCFNWNGBI
+MW;Chitipa;3LkpBRSHBTOEMURGIIB
+ZM;Muchinga;3LkpBKZLEFtBlBO1BlCrB-BREyBiBWoBeBQQ
+MW;Mzimba;3N0pBtBBVWIMQPUEGMOB
+ZM;Eastern;xO0pBVnBjC3BBfpBEoB4DQVoBOKW
+MW;Kasungu;tP8pBPVXBAKLIMEQWMR
+MW;Mchinji;1QkpBLHPMGGNIQDIEMH
+UA;Transcarpathia;w8B2bReEmCUTW_B
+SK;Košický;i9B-bDZKvBJLLGEqBHOCQ
+SL;Northern;qLnNmBZDvBhBhBfQAiBMcUK
+GN;Faranah;wMpOBKjBY6BSEhBHP
+GN;Kindia;sMjPcPHZPFRIEUKG
+GN;Mamou;wMvOmBAKOGBhBrBXM
+GN;Dabola;wMpOQCKgBILKIFjBjBA
+GN;Forécariah;iM3PCJFLEFFHBEFACEFACCBEFFAI
+GN;Guéckédou;qLnNPEPHKOAUKBGGBROL
+SL;Eastern;qLnNATTJBJPKPFLGEScYMBHPOK
+LR;Grand Cape Mount;0IrOLQQGQQEP
+SL;Southern;mJ9NINWGQJJRAlBPEJcHLToB uJzPCRHQ
+LR;Gbapolu;uJxNFOPRHKQiBSGOjB
+LR;Lofa;gKnNJkBVDQSeFIJBVLA
+CF;Vakaga;0NycJtBxBjBOcpBcCiBmBY
+SD;Central Darfur;sN4cce2CgBApBjBhBnBD
+SD;Southern Darfur;sN4chBatBFIqB4BWEewBZ6BCCZTTvBN
+CF;Haute-Kotto;uLqdvB7CxCgBNL6B0DkCLAd
+SS;Western Bahr el Ghazal;qKqeDY7B-BE6CiBDahBRlBMT8CPFf
+CF;Haut-Mbomou;qKqedOdNNgBTGfbFYQULqCwD3C
+SS;Western Equatoria;qIghBXALc3BsBAoBaiCaEiBdfXGZkBL
+CD;Orientale;qGqiBOrCf1CITZRNqBRhBtBoBDpBXLjCsBHPBUNFXmBVGE2B4BYOJRgCcQSPMgDwBsBOVqBIqBrBJ3B
+SS;Central Equatoria;2FolBlBeEuBsBasBFIlCTUXD
+DJ;Ali Sabieh;oOg2BCLJJDBDM
+DJ;Arta;sOi2BEPFJIJNGBIIIBM
+DJ;Dikhil;4Nm0BAaKMCHOFKPNH
+ET;Afar;8Ou0BWSeZmBnBIpBhEUjCPVKsBmBoBKCU
+DJ;Tadjourah;8Ou0BNYMWaZ
+CD;Sud-Kivu;xF4kBuCVeOP9CjCMNuBfUAW
+TZ;Kigoma;nG2kBnCYQSqBPDwBiBMmCT3BnBHX
+CD;Katanga;nG2kBA7DxBDDhBNGNnBGLlBHIzCvEQQmCVMIoBRCJaDcSUpCoCBgB0BAJdkBbkCOWNeWMqCsCvB
+TZ;Katavi;9I8lBKYfYDU2BecbAjBUHCVFPpBQPR
+TZ;Rukwa;nKumBhByBeMFSexBgBXJX
+DJ;Obock;8P81BDJLHRSKMQB
+ER;Debubawi Keyih Bahri;8P81B6ClDXHrCyC
+AT;Niederösterreich;k9BuTEVNLPKHTLKL-BSGIaYH
+CZ;Jihomoravský;k9BuTL4BKIAUgBpBBHTF
+AT;Oberösterreich;48BsSGjBZpBDYTKIIBWKQOJAS
+IQ;Dihok;0uBm2BCXJPPUKSDOIAGS
+TR;Sirnak;suB-0BKQBYSCB_BJEFHFIGM
+TR;Hakkari;0uBm2BAiBNEOUGJMAGRFb
+IQ;Arbil;0uBi3BLHJSdlBVCQUCsBSRGSUDAZ
+HU;Gyor-Moson-Sopron;g8BuVFFFEBVHEAyBMA 27BmWDCAL
+AT;Burgenland;g8BuVEFHXPDDLVCGSQBGKELCc
+HU;Sopron;07B8UCFDFAM
+HU;Vas;q7B6UBHPCFPAKFAIKGYMECD k7B6UFBGB
+IT;Aoste;u5B4IFHNMIgBMB
+CH;Valais;u5B6JYaEDR1BGLRO
+IT;Verbano-Cusio-Ossola;u5B6JAOHGEKKGGLIAAD
+CH;Ticino;05B-KJGAGIBEGSFDXJC
+IT;Varese;05B-KLHJGCOCAAFKAEFCE
+IT;Como;q5BkLHCAKIGKBEGCJDDHDBC
+CH;Graubünden;65BwLKGHIBYMDAQQADNIXFBHfDQNC
+IT;Sondrio;65BwLBKHECYOUKRDFLCEHBNIH
+IT;Bozen;m6BiNBeLAUyBILICFpBHFEV
+AT;Vorarlberg;66BgMHWUCKPBJDEHF
+AT;Tirol;y6B2MDiBekCKRNnBIf s6ByPCUQNFT
+IR;West Azarbaijan;yxBg4BLfnBSRJrCsBSeDuBaRO3BkBJeQ
+TR;Iğdir;yxBg4BQTCZFNFCCIHOAWEG
+TR;Agri;yxBy3BGpBIFFnBDKdGQYAqB
+TR;Van;mxBi3BBnBRERRJMPAIyBQI
+LT;Marijampoles;gkCwcFWIQQDEJEGAnBHMNH
+PL;Podlachian;6jCmdAjBTELpBJEfoBKyB
+PL;Warmian-Masurian;-jCucE3DHTPMLPRuBa4CSF
+ZM;Northern;nKumBFtBbTnBiBjBhBGcXCDamBqBmBNGuB
+NL;Groningen;yiCgJINBbDGHDEONU
+DE;Niedersachsen;iiC6INNBoBPKGWKHCiBNFhBcKmBSDKWYNIiBiB1DVFOVDhBLK
+NL;Drenthe;iiC6IOXDFFGDLBCBBFKCY
+NL;Overijssel;6hCsICTGBBNFIBFFKHCFcKIGN
+DE;Nordrhein-Westfalen;khCuILfPKPNbUa6BJOmB0BiBNBfJIFVSN
+NL;Gelderland;khCuIGXIBCJJRLIDXDmBGgB
+NL;Limburg;2gCuHADHIAHFEHPBMLJDEAMGCGHEMCDIG
+LI;Triesen;66B8LAEEAAD
+LI;Schaan;-6B8LACCAAB
+LI;Triesenberg;86B-LACCAAB
+LI;Balzers;66B8LACCAAB
+LI;Planken;g7B-LACCA
+LI;Eschen;g7B8LACCAAB
+LI;Mauren;g7B8LACCAAB
+LI;Schellenberg;i7B-LACCA
+LI;Ruggell;g7B8LACCAAB
+CI;Denguélé;uMlKRAnBmBSBIUcAEHQMHPMX
+GN;Kankan;uMlKgBvBrBXHeMMPaCI
+GN;Mandiana;2M_JiBNBNOOOPjBXDQZY
+GN;Beyla;4LhKBRXRRCCMNaSLDYSLMIEHIE
+CI;Bafing;sL1JLHRMGVJBPWMKFOUD
+CI;Dix-Huit Montagnes;iK9JTLAJlBGOOAmBqBBGNLH
+GN;Lola;gKhKIPJDNABM
+IT;Imperia;42BsJGaCFEACJLJ
+FR;Alpes-Maritimes;k3B0JKfHHJKDLLMKW
+IT;Cuneo;k3B0JCOWIGZLdLG
+FR;Alpes-de-Haute-Provence;63B2IHNBZHBDPLCFUKkBKJ
+FR;Hautes-Alpes;83B6IQPAPJERjBHSKGAW
+IT;Turin;83B6IGkBKBCKMDGFDdLDDR
+FR;Savoie;64B8ISXHJKPLJHGAQLADMGY
+FR;Haute-Savoie;u5B4IIJKCCHNdJCFOIKFI
+RU;Murmansk;q2CmkBFVBQLNNIT2BbjBNKA4CLOM4BU5BAWrB2HOsCcmBaR6BnGG5CPbUUAzBCMKPAqBIrB
+RU;Karelia;izC-kBdWBPZDjBoBNXhB-B_B5CZoEQuBGLMoFSIKTSCInBeZOaYlCIKabOaOPU7BCzE
+FI;Northern Ostrobothnia;izC-kBAhBXLD3DFLdKBfZhBb2BAsBYcSVWoBYwD
+FI;Kainuu;8xCmlBP_CXpBfuCEuCQOcjB
+FI;North Karelia;2vCwlBAhCdcNPJabKwBwC
+FI;South Karelia;qtC2lBT_DFSJJLiB
+RU;Leningrad;6rCgjBEcNDX2CBtDPINTVuCkBsCJiEWiBOVgBCOWGNDnCFMPtBanE
+FI;Kymenlaakso;6rCgjBMhBICGNHfJCJaFH
+OM;Al Batnah North;gfmmCZGZWGWIGKXkBV
+AE;Dubay;0fklCNLNIGUSD
+AE;Neutral Zone;kfqmCACCAAB
+OM;Al Buraymi;mfgmCDHXBFKFVPAEOOGCO
+AE;Neutral Zone;kfimCBDDGCA
+AE;Abu Dhabi;8e4lCDZOFjBrBDtCSNJBvBoBNmD2BOGW
+OM;Al Dhahira;scglChBQGeqCQMRFNVV
+AZ;Balakən;s0Bi6BFFADFABGCGIIAFCA
+AZ;Zaqatala;-zB66BMLJJBHHMGG
+AZ;Xaçmaz;k0By8BNKAQST
+AZ;Qusar;k0By8BTZMgB
+AZ;Oğuz;yzBm7BJDHMQG
+AZ;Şəki;8zBg7BHNFBJGFYKLKE
+AZ;Qax;8zBg7BCDBNFDDCFDHOMF
+AZ;Qəbələ;wzB47BADRFDCKQEBCE
+BR;Amapá;-CnkCXFT0BhD4B-C2CCJUIOhBqCLJDgBLTCMFxCzB
+AZ;Samux;szBo6BBFGNHIFBFGKO
+RS;Severno-Backi;25B0YFPJGFKGGGDKG
+HU;Bács-Kiskun;25B0YiBSHRMFBVtBH
+RS;Zapadno-Backi;w5BkYDRJEDBBIABBMIK
+RS;Severno-Banatski;25BiZBHHDFECUHAEKIB
+HU;Szeged;25BkZCCBECBCCEDBFBAAEDB
+ML;Kayes;4Q7ORUlBECgCesBsBGQNIawBvBX9BWXdLFR
+SN;Kédougou;4Q7OCPRVAROBDJVEJSBiCYAOH
+SN;Tambacounda;uSpPOPVDEhCjBRdwCQmB
+GN;Koundara;6P1QAPNCAMJGBKOQ
+SN;Kolda;6P1QkBRLPOlBJHZI
+GN;Mali;wPnOAtBFJVACuB
+NG;Kebbi;0OwEXEHoBfFaWULFyBWHBzB-BKCb
+BJ;Alibori;0OwEcdFTfNTORDGgCeP
+NG;Niger;qN6EPJrBuBhBwCkBADQUIoBTJbeDFVQLDPTMZRgBCKnB
+BJ;Borgou;qN6EF_BhCHDaOQ
+NG;Kwara;2MyE_BjBasBHSlBKDgBYGFYOEQ5B
+NG;Ogun;yJsDvBAK2BNUKHQIChBQBDRYN
+BJ;Plateau;yJsDAHHDfIFEoBE
+BJ;Collines;8JqDiBCCTLBEVnBAFiBICAI
+NG;Oyo;8JqDVWESPCCQeAESqBJGTVnB
+NG;Lagos;-HsDCcIEBCCIAEFRBmBEHECBFECCfHFBR
+BJ;Ouémé;iIsDWHADXCBK
+AO;Cabinda;vFgQXfAGdCAMcBQY
+CG;Kouilou;vFgQkBxBRRpBkB
+HU;Zala;k6B0UHWIFDGEGUBHdFB w6BgVECDC
+HR;Medimurska;k6B0UCFBDHEASCCCA
+HU;Somogy;w5B0VFQIDMUYEHjBRP
+HR;Viroviticko-Podravska;w5B0VDFHOFBDSIIMT
+HR;Koprivničko-Križevačka;85BkVHVDADOIGJMGG
+HU;Baranya;q5BiWDeKSQZHT y5B-WCHCG
+HR;Osjecko-Baranjska;s5BwXFPCTLWJNBSIEESCH
+SI;Piran;84BgRBCCCCF
+HR;Istarska;64BiRCFNEAGDFLMCEKCBEGEKBEJDB
+SI;Moravske Toplice;w6BsUDDBAAECC
+SI;Šalovci;w6BoUAECAAD
+SI;Hodoš;w6BsUACCAAB
+SI;Gornji Petrovci;y6BoUABDCCC
+SI;Kuzma;w6BiUAECAAD
+SI;Lendava;q6BuUBAACBBBG
+SI;Dobrovnik;q6BwUCBBBBC
+SI;Kobilje;q6BuUACCAAB
+QA;Ar Rayyān;-ew_BFOQCIOIJODCJHADH
+SA;Ash Sharqiyah;-ew_ByBfaGmBzBmBPWvCNdnBdTMnB4C5BCfgBzIhBqBcSkBQ2DoB4DwCacRKpD2BxBMI
+BW;North-West;nWyfbhCULL7CrDAA0DcAByB2BFAmB
+ZW;Matabeleland North;3XugBhBaCgBVmBiBiBeLIIArBkCAvBzBK5B
+BW;Central;3XugBAlB1BGCxBbA7CqCZmBmCqDSNM7B2BLWpB
+ZW;Matabeleland South;7YshBXoBpBMZ2BFmC2BhCmBQWZhBhBWlB
+BW;North-East;9agjBUNWCARRARI vauiBADEE
+PK;Northern Areas;ysBggDQjBaDOtBN9BXV_B6DU4B
+BG;Burgas;00B6hBFmBSLCJQSC1BHBNY
+TR;Kirklareli;u0BgjBBRGVBFXBFYKe
+BG;Yambol;00B6hBKCOPLVNAHQ
+TR;Edirne;w0ByhBJVFMHCFNLCHLFCCc
+BG;Haskovo;s0BmhBMlBBLJDNc
+KH;Otdar Mean Chey;-RiiEEPHZNSOY
+TH;Surin;-RihEAgBUFWGElBHQ
+KH;Preah Vihéar;gSkjEBRTDJCAMLFCOJEQWOACO
+TH;Si Sa Ket;-RyiECSKAYHMVbJTG
+TH;Ubon Ratchathani;gSkjEHGKOWIGFWIQVXHGJHJLO
+KH;Siemréab;-RyiEAPTZPAbgBgBUEL
+KH;Bântéay Méanchey;2R0gEVLDJBqBUAMN
+TH;Sa Kaeo;2R0gEChBFFjBGCIOCCM
+TH;Buri Ram;6R4gEEKmBKCNSHHFFIJANVbG
+KH;Kaôh Kong;yO0gEIADIhBCAKKGPGQSeLKNDd
+TH;Trat;iPugEQAMLVFFMGAVM iPggEEFHC
+KH;Pouthisat;iPugEEeHUYQYXVHFhB
+KH;Batdâmbâng;yPugEGiBWIGDI1BTECMLADJ
+KH;Krong Pailin;6PkgEEKKAEDFH
+TH;Chanthaburi;oQkgEKFDLIBJLPEPSGBBG
+ES;Melilla;isB1DACEAAB
+MA;Oriental;msB1DHhBVKEYtBLNMXpBhBiBOKAkCQGeX8BD
+IN;Sikkim;kiBkvDKFSCEHFTfAAa
+BT;Ha;kiBkvDJOCEIAOJFFFC
+BT;Samchi;-hB-uDBEFACCHICKEDGEAHIJ
+IN;West Bengal;-hB-uDCdhBMRTPKDLvBDdpCpCkCUaMJhBOQKPCaEXCCQ-BFSPaIOdaoBYlBcOZuBYO
+BT;Chhukha;shBmwDMAGHECCBDBAFLD
+BT;Geylegphug;shBqwDIUDYQXNHDP
+IN;Assam;shBqwDxBBUOHqBOqBPDRaPXbMKWuBMoBkBgBmCaBNjCbd
+BT;Shemgang;whB4xDGIEHMBCHLJLM
+BT;Samdrup Jongkhar;0hBkzDOHFFDLFDEFFHAkB
+BT;Tashigang;qiB2yDBNDCFBFEGQEABEEEGD
+MY;Perlis;sIo9DJBHCMIGF
+TH;Satun;sIo9DOFELJBRS
+TH;Songkhla;sIo9DPYMMKBSZHN -Ju9DFHXQ
+MY;Kedah;mIw9DLHtBOQQcG -H88DEJHE
+TH;Yala;8Hg-DBMRFFGKQMDOIET
+MY;Kelantan;6Hy_DTNvBJKwBQJaG
+TH;Narathiwat;6Hy_DQRRHLEFM
+MY;Perak;mHm-DPDJTrBUFFFgBoBFqBO
+SM;Serravalle;-2ByPACCAAB
+IT;Rimini;-2B0PDGEEILHDAHHBAIGECA
+SM;Domagnano;-2B0PACCA
+SM;Faetano;82ByPACCAAB
+IT;Pesaro e Urbino;82B0PJLHQMYIPDF
+SM;Montegiardino;82B0PACCA
+SM;Fiorentino;82ByPACCA
+SM;Chiesanuova;82ByPACCA
+SM;San Marino;82BwPACCAAB
+SM;Acquaviva;82BwPACCAAB
+SM;Borgo Maggiore;82BwPACCAAB
+HT;Nord-Est;0Y15CADBCADCCAHDBFAFIAGEC
+DO;Monte Cristi;yY15CDWICGNAFDD
+DO;Dajabón;kY15CDEEGKEENHC
+HT;Centre;kY15CARPBBDFKAOIACDKI
+DO;La Estrelleta;gYx5CJHDEFBBKMBKKEF
+DO;Independencia;sX35CDHLMFMGACIGPGC
+HT;Ouest;sX35CKjBJOFAFbFIGODgBML
+HT;Sud-Est;8Wz5CEfFJCJBADEEiBHK
+DO;Pedernales;yW35CDGHBAGFGKEGDEAIL
+TD;Lac;sQyRDmBKABQIHFOUFDXebEVfC
+NG;Borno;kRgRXvB9BAtBdNMQ2BUEWwBcCGR
+KW;Al Jahrah;wlB-7BAfjBXBwBOBGU klBu8BMJNC
+IQ;Al-Basrah;wlB-7BBYUVWAKfbDBV3BAkBY
+IQ;Al-Muthannia;skBm6B4BAOhBgBECfrCvBXkB
+SV;Ahuachapán;mRzwDBMOEAFDFDD
+GT;Jutiapa;yRlwDIKEDGECFHTJEDJHCBGIE
+SV;Santa Ana;yRlwDHEBIOCGGGFBFFCDH
+GT;Chiquimula;gS1vDIIOBBRLB
+ID;Nusa Tenggara Timur;vLy7EPddJKqBqBa tMg3EahBJnBd8B rK65EKHXVQrCTXFwC
+TL;Ambeno;vLy7EFPBCAEDCAC
+TL;Bobonaro;lLk8EDCCGACHCAEGEKFCF
+TL;Cova Lima;tLu8EBHLEOSEDFD
+MY;Sarawak;kG-vEXIYNjBNYZ5BnBR9BrBRJQO5BQLTAdkBGyBWaLuBImBwCqB8BC
+BN;Temburong;kG-vEDDPCDK
+ID;Kalimantan Barat;0CipEVXvBFNQhBBTgB_BIFQQUsBHiBuBIuBgBCwBkBHXMtBVZFzBehB
+AT;Salzburg;66BoPDgCIGINaJCPVEGRJADT
+IT;Belluno;s6ByPHXLEDJHEIcGFMQ
+AT;Kärnten;q6B6PJsCKWQJFnBKvBPM
+IT;Udine;q6B-PJJBSPBLIEABMSKGLIO
+MC;Monaco;02BmJAECAAD
+ML;Timbuktu;of_FAnC7LsBM8BLOQSXaHyCqCHEjBSDQeqBCmBtByBqCcI
+DZ;Adrar;of_F7EuHfaT4BbBBaqCD2B_CkEAcRWsBiGGX1B1CjCXpCKlB1BgBjCrD
+SI;Kranjska Gora;i6BkRBGEGAL
+SI;Bovec;i6BkRFLAOEE
+SI;Kobarid;85B4QABDCAIEG
+SI;Tolmin;25BiRBGDCGCEECJDF
+SI;Kanal;05B8QDGCACEED
+SI;Brda;w5B6QBCCGEF
+IT;Gorizia;w5B6QDBHACGABCECBEC
+SI;Nova Goriška;u5BgRBEABBICDEEEBDH
+SI;Šempeter-Vrtojba;s5BgRAECAAD
+SI;Miren-Kostanjevica;o5B-QCGCD
+SI;Komen;o5BgRBECICH
+IT;Trieste;o5BgRHIADAIGD
+SI;Sežana;i5BsRACECCDAH
+SI;Hrpelje-Kozina;g5BqRFKGACH
+SI;Koper;g5BqRAFBCABDBBKCCCC
+MZ;Maputo;xhBkoBAgBeCHDMNcakBRIZ_BF
+SZ;Lubombo;tgB-nBALNCRHHCHQWGYB
+BI;Muyinga;_CmmBEHLCHLDAAGJCIIEDIEAD
+RW;Eastern;7C-lBBSKEUBWPNPVIPL
+BI;Kirundo;7C-lBFJGFNBFIEIGE
+RW;Southern;9CulBSCGNRBJNPEEU
+BI;Ngozi;pDslBDBBHBBBIHEKMBDEA
+BI;Cibitoke;rD0kBEJHBLKIKEBBD
+RW;Western;rD0kBQCEKKCOAEHLLPAHLLE
+BI;Kayanza;vDilBAHLEDICEGCEDCH
+MM;Rakhine;0a6zDARXIXSSIdEMAFYVKBTTSWExCc8BCyBVgBTJL
+BD;Chittagong;0a6zDgDPANdL0BTfTZGJQOOTQhCQaB
+MM;Chin;0a6zDZgBCc-DAIhBnCFJV
+FR;Pyrénées-Atlantiques;k2BlCVwBEKUMIDCNBpB
+ES;Navarra;k2BlCbdbsBaEOW
+ES;Gipuzkoa;o2BnCDNCJNHBUOO
+ES;Huesca;01BdjBDZgBCQwBQ
+FR;Haute-Garonne;s1BaYaIeQTDXJKPdHIJH
+ES;Lérida;w1BiBAHVEVPRAOqBcS
+FR;Hautes-Pyrénées;y1BLFKAUKIIHGGCPKLJE
+FR;Ariège;w1BiBHYCcGLCGKBIRHT
+AD;Ordino;o1BgCCFBABE
+AD;Canillo;o1BgCBBAI
+FR;Pyrénées-Orientales;m1BkCHMEwBQFCH
+AD;Encamp;k1B-BAGCAAF
+AD;La Massana;o1B6BBBBCCE
+ES;Gerona;k1BkCNODSHHFKBKMSKFEIGDDvB
+AD;Sant Julià de Lòria;k1B6BBAAE
+AD;Escaldes-Engordany;k1BiCCDBBBC
+AF;Badakhshan;ouBm9CKOI_BdhCwBBWZjBlBrBCFQZHHOyB-B
+GR;Kentriki Makedonia;2zB0cPrBfMHYUDIMbSAQOLNWeLMQQT
+MK;Novo Selo;2zB0cGCADFB
+MK;Dojran;0zBucBHDG
+MK;Valandovo;0zBucCHCACDBDDEDC
+MK;Strumitsa;2zBwcCAADCBCDBDBEBA
+MK;Bogdanci;wzBqcCDBBBABE
+MK;Gevgelija;szBocCDGBEDJFBE
+MK;Kavadartsi;uzB4bGECJGABLNI
+MK;Novaci;kzBmbGGELBFJE
+MK;Prilep;szBubOFABDNDBBE
+MK;Bitola;kzB8aMHBHDBDIDA
+XK;Gnjilane;60B8aACEBCECAADEBAFFACCDE
+MK;Lipkovo;60B8aBABADEEEEA
+XK;Vitina;60B8aEBEDDDDABG
+MK;Čučer Sandevo;60B6aBDBBDCAECACC
+XK;Kačanik;40B2aEDBFFI
+MK;Gjorče Petrov;00B0aBBBE
+MK;Saraj;00ByaADBCBBDCCG
+MK;Jegunovce;40BsaBBDEBDACAEEBAE
+XK;Štrpce;40BsaCACBDHBG
+MK;Tearce;20BoaBDDECGED
+MK;Tetovo;00BgaFBCEBIGD
+MK;Bogovinje;s0B-ZBIECCF
+MK;Vrapcište;q0B8ZBGCECH
+RS;Pcinjski;80B-bGIODBZRLBI
+MK;Kriva Palanka;80B-bCDBDBCFAAICE
+MK;Rankovce;80B2bADFBBGCCEA
+MK;Staro Nagoričane;80BybCDDJAEDBBICCAC
+MK;Kumanovo;60BkbDADDBEBECCAGCDCCAFGA
+BG;Vidin;q3BscJLHBNGBIGKMEAHKI
+RS;Borski;q3BscKHEKGLNZLGDHDOKGFK
+RS;Zajecarski;g3BicGHJFENNBLkBCCQL
+RS;Pirotski;o2BqcBTFBDIDDDKAMMK
+BG;Pernik;01BucDLFABGJKAOIE
+BG;Sofia;01BucHMGWPCENHDJOIQKBCWSREVCR
+BG;Montana;g2B4cDIEKEDIECGMADXHBFJ
+RS;Jablanicki;y1BmcMZFRJBBOEKBM
+BG;Kyustendil;80B-bLUGcAHIBARMLADHE
+MK;Delčevo;00BqcFBBEDAACCGGB
+MK;Makedonska Kamenica;20BkcBDFGCCEC
+BG;Blagoevgrad;2zB0cI0BMPOBDf
+MK;Berovo;k0B4cENBBHEBGAEGA
+MK;Pehčevo;q0B0cBFBCBICA
+HR;Dubrovacko-Neretvanska;m1BiXOZGfZ8B
+ME;Herceg Novi;g1BkXACCBAGGFBB
+BA;Herzegovina-Neretva;01BiWNcYNMCAOGAKnBVOAF
+BA;Trebinje;m1BiXEEMDCIICELGBALVA
+UG;Ntungamo;pBimBKGALEFBDPCBE
+UG;Isingiro;pBimBCiBMHAJEDADHA
+RW;Northern;3BylBDFIDHNPWEGAE
+UG;Kabale;3BylBKKBDEFELDANG
+UG;Kisoro;zBqlBEBEBEHPC
+CU;Guantanamo Bay USNB;8Y99CACCAAB
+CU;Guantánamo;8Y79CGiBIEMVFFAVPDDIGI
+IN;Uttarakhand;4lBolDyBrCNFCnBdPFQXDMOhBcNqBoBQ
+XK;Leposavić;i2BgaBHDCBADGEICACFCA
+RS;Raški;i2BgaKBAIKAENLLHENNFSOE
+RS;Pomoravski;i2BgaDEIMCOMBGJFDCJJCAH
+RS;Toplicki;81BoaJQGCEOKHCJFPDB
+XK;Podujevo;81BoaNECIBEEACFIF
+XK;Zubin Potok;41B4ZDFDMCBCEED
+XK;Zvečan;41B4ZDKCACBCF
+XK;Istok;y1BuZFAAKECCBCD
+XK;Priština;u1B4aCDBDCBBBHAAECCAEACEACE
+XK;Kosovska Kamenica;u1B8aBDDAFEAEIG
+ME;Rožaje;y1BuZCACHFDBGCA
+XK;Peć;w1BsZDLDIDMGBCD
+ME;Berane;u1BiZIECDFPDKBAAG
+ME;Plav;s1BiZAFDFDABCEKEC
+ME;Pljevlja;u2BgYBLHGDAFQGEKN
+RS;Zlatiborski;g2BuYHUGKQPEKSDDfNKFL
+ME;Bijelo Polje;g2BuYFDBIDCEO
+HN;Ocotepeque;gS1vDAKHGEAKKBHKH
+SV;Chalatenango;gS1vDDEJFCMFGCKQP
+HN;Lempira;4RlvDJSGGOFEIKBGLJAAFJC
+SV;Cabañas;wR7uDDJFCCGBIKC
+HN;Intibucá;uRzuDDAEKGAOQGDCPFABFNI
+SV;Morazán;wRnuDDBFCBBDCBIGCIABBGD
+HN;La Paz;wRnuDFICIBGKCBDIFAIEACLLL
+SV;San Miguel;sRpuDBJDBDILAHKQECH
+SV;La Unión;qR1tDCHdFAIEEEBEGED
+HN;Valle;qR1tDLBDEBDBEEEDCCIKD
+NI;Atlántico Norte;uSnqDbGfXHsC0BOSHIK
+HN;Olancho;uSnqDMAWbLrBLHXMNuB
+HN;Gracias a Dios;uSnqDFUQ2BQVHIIVFEMJFSQVIb
+NI;Jinotega;oSnqDZdPDFNNEcqBWI
+HN;El Paraíso;yR9qDOtBdTFEKOAQMOJK
+NI;Nueva Segovia;oRlrDKNLJAPDAFiB
+NI;Chinandega;yQtsDAFJFDNIHHDPaMQ
+HN;Choluteca;yQtsDSAHNKNLEFFLIAKKG
+NI;Madriz;yQtsDBCKIBMEGEDBDALEH
+EC;Esmeraldas;6BxiDNFLrBTGCKNEWuBaB
+CO;Nariño;6BxiDrBmCyBKETSCUpBRNPGFR
+EC;Carchi;wBjiDJAROFOMGAG
+EC;Sucumbios;OrgDMVVLdsDUPCOSd
+CO;Putumayo;OrgDEgBnBsCGWuB3BKxBSFJR
+SR;Nickerie;8GxnCLAGgBaHBP
+SR;Marowijne;2G1jCUGEbXCFO
+BO;Tarija;5bpuCyBQCzDhBHPeZKiBQ
+PY;Boquerón;hc9tC1B4BMkBqBMKSGZ2BEaxC3Cd
+AR;Formosa;hc9tChCAtDiF0BcOF4BhE
+PY;Presidente Hayes;5d_rC5B-DYW8CdIPErB3Bb
+PY;Central;3f_nCFALHCEHIMEKKON
+PY;Asunción;3f_nCECCBBB
+PY;Alto Paraná;9fnkCgBKKjBRDPQELbJLiB
+AR;Misiones;9fnkCrBHdvBdQwBsC0BH
+PY;Itapúa;5gBpkCGZXxBdDAkBgBmB
+PY;Ñeembucú;pgBnoC5BfF0BOEMPQDQI
+AR;Chaco;zhB9oCwD_E9BpBAiC9CCAyD
+AR;Corrientes;piBznCB_BxDdIqBXgB-C0CqBJ
+PY;Misiones;piBznCAaeEMRHNINPELQ
+BO;Santa Cruz;lZ1oCuCcmBlBmBCCnCuBRAO0BHMtBxB9CtBaC3BjBDXYVTxBcEK3BEA6BgBSOmCAmB
+BR;Mato Grosso do Sul;lWjoCTK7BZ7CEJ2ChCSDwBuBYyB-B6BoBeEgBtCaFClBcMR7BUjBd1B
+PY;Alto Paraguay;lZ1oCiBlBNpDPFZyC1BDN0C
+PY;Concepción;zbtoCVGBFdUKyBUDHPWE
+PY;Amambay;tdtlCyBLKVHPDIVDISNELFHOLD
+PY;Canindeyú;tdtlCXXXOMcLecEKPHb
+BR;Paraná;9e9jCfJDcXKR6CcgBAwCSKIPEcITOBCbmCbQxCP9B
+BR;Santa Catarina;5gBhjCjBHDiCtBiCBgBjBLgB0BmDGAvCbf
+NL;Zeeland;igCoEBWGKCZAH mgCsFKRBPFQ
+BE;East Flanders;igCoEFBBELABIEQMGCGIFFJ
+NL;Noord-Brabant;mgCsFGeJGBOIQGDAIKPCdHb
+BE;Antwerp;igCyGKHDFAFECBLADDAAFHEDFAgBEK
+BE;Limburg;ggC-GCLDABJDGBDBGHDEWOI
+DE;Baden-Württemberg;u7B-LGYcFWSiBfPfIRrCjB
+CH;Schaffhausen;y7BiLCBADCACDDHBCCIBC
+CH;Thurgau;y7BiLBDBGFCEEAUGN
+CH;Zürich;y7B4KDBCBDFJCDMEKKBEFCC
+CH;Aargau;w7BwKBZFMFHCQFGICGD
+CH;Basel-Stadt;u7BsJAGCAAF
+CH;Basel-Landschaft;u7B2JAJBABCCFDCABAEEGBCDBAGCGGD
+FR;Bas-Rhin;q9ByJDLEJFDFMPHJSiBa
+FR;Haute-Rhin;k8BwJIPNJFDDIJEGS
+CH;Sankt Gallen;s7B-LATHDDFDQHCAIMCIG m7B8LDDEHEQ
+LI;Vaduz;-6B8LACCA
+LI;Gamprin;g7B8LACCAAB
+CH;Solothurn;k7BuJDHBGBDCKGBBIGKCDDFAFECCBDH
+CH;Jura;s7B-IAHFDAIHHGMAQ
+FR;Territoire de Belfort;q7B2ICACICFECEHDDFCAE
+FR;Doubs;q7B2IEFBTJXJCJSHBgBkB
+CH;Genève;-5B0HDABFBAAGEI
+FR;Ain;-5B0HDXKVVHFGESJM
+CH;Vaud;-5B0HEUJSOIBPOGEDFAADGBNZ
+FR;Jura;m6B2HICKRKBCHLJFIRFFICQ
+CH;Neuchâtel;y6BiIEMDAKOAHCBHP
+ES;Badajoz;uwBhJVEJmBIayBiBN5BQjB
+PT;Évora;uwBhJKLCXFDDECHJLLUDaGIFGKH
+PT;Portalegre;uwBhJMKaVFPRPHUEM
+SI;Rogašovci;y6BiUBDBE
+AT;Steiermark;y6BiUYEOfD9BJJLQJDGoBPKBO
+SI;Cankova;q6BgUAEEBCD
+SI;Gornja Radgona;s6B-TBBBECC
+SI;Apace;q6B4TAGCAAF
+SI;Šentilj;s6B4TAFBBAG
+SI;Kungota;s6BwTBDBG
+SI;Maribor;q6BsTFCAICA
+SI;Selnica ob Dravi;q6BsTABDAAE
+SI;Radlje ob Dravi;q6B-SDCEG
+SI;Muta;o6B8SAECAAD
+SI;Dravograd;q6B8SBHBGCE
+SI;Podvelka;q6BqTADDDBCECBE
+SI;Ravne na Koroškem;o6B0SBCBBAECA
+SI;Prevalje;o6B0SBDBECC
+SI;Mežica;k6BwSAECAAD
+SI;Črna na Koroškem;k6BwSBFBECICA
+SI;Tržič;i6B6RDABCCECC
+SI;Žirovnica;i6B2RDAEE
+SI;Jesenice;i6B2RCDBBBE
+SI;Solcava;i6BqSABDBCI
+SI;Jezersko;-5BgSAGCAAF
+BA;Foča;k2B4XKBAWQJFABLDEBDAXLC
+ME;Žabljak;k2B4XHADOCCGHAF
+ME;Plužine;i2B4XEDADDFFBAGFEAGEBCC
+ME;Nikšic;81BoXDCBHLECIDIEKGA
+ME;Kotor;o1BkXFGACDABEIBGD
+HR;Sisacko-Moslavacka;o4BuUIIBWIESdLNDRHA
+BA;Banja Luka;u4BsVCVJLFWNCANPeQDCeaF
+HR;Brodsko-Posavska;u4BsVAYDGEQDMGBEXDFINBH
+BA;Una-Sana;o4BuUIVPDRUEaMAGV
+HR;Karlovacka;w4B4TCFKGIPDFDEJPFCHWCI
+HR;Zadarska;m4B2THLNGBLDKBPLQCoB
+BA;Doboj;s4BmWNAFQAKILEMAOILDFGL
+BA;Posavina;q4BkXHOKF s4BiXCHBDDG
+HR;Vukovarsko-Srijemska;s4BmXJSEGIDCOMVHN
+BA;Brčko Distrikt;k4ByXBBCBFCEI
+BA;Bijeljina;i4B2XHHDEEGDIMIEH
+BA;West Bosnia;u3BoUfiBCUYTKT
+HR;Splitsko-Dalmatinska;-2B2URVCSPoBMH -1B8UAUChB k2B0UAQER
+BA;West Herzegovina;-1B6VDGGCEBAGKHEADTDI
+RS;Sremski;i4B4XCeFBBMBBQQGFApB
+RS;Macvanski;23BgYJBHOCEEFICBOMGCLGCCN
+BA;Vlasenica;23BgYCFJLJAHSECAOMR
+RS;Južno-Backi;64B4XLSCiBWJALLP
+SK;Bratislavský;g8BuVIQKJICHTDA
+SK;Trnavský;28BmVEQRIHLJSGIKFSKCRIN
+SK;Trenciansky;29B-WRTDTFICWHKGOEGIFAHGE
+CZ;Zlínský;29B-WGBCPFXLHJW
+HU;Borsod-Abaúj-Zemplén;w8B2bG1BNdAgBHABRJUMK
+SK;Banskobystrický;y8ByZMJECEbPpBJCEINKEmB
+HU;Nógrád;k8B8YBHGCCFFFBTDAFSDCKUIG
+HU;Salgótarján;m8B2YDBAECE
+SK;Nitriansky;i8B4XGCBJKBDHKBGTVJJGFHCoB
+HU;Komárom-Esztergom;67BwXDjBNAASEEEBBMIK
+HU;Pest;67BwXDGHJHEKKDMFPLAByBcXOZ
+PL;Lubusz;ogC2SO4BOToBIR3BhBB
+DE;Brandenburg;4hCoSKTUMIXRlDJmBZANqBRBG8B
+PL;West Pomeranian;4hCoSY0CwBKRtDLQELjBH
+DE;Mecklenburg-Vorpommern;kjC6RevBHbIWCNVhCXLHgDQgBLS gkCkRMLNL
+RO;Mehedinti;k3B4cSUUZCHNHCHHHCaJH
+RO;Dolj;k3B4cJDDyBKGeVJR
+BG;Silistra;k3BiiBBjBPiBOU
+RO;Calarasi;i3BghBEqBIWI7BJHDG
+BG;Ruse;02BmgBBJDBJWEBMQGDGGAL
+RO;Teleorman;02BmgBWBKHDZLADHJC
+RO;Giurgiu;i3B-gBIEEVIABPJIVC
+RO;Constanta;k3BiiBN2BWCMKBFGKErBNIFD
+BG;Dobrich;g3B0iBNTLaAYGGKA
+BG;Vratsa;62BwdLAJJLICQKCCKKFGK
+RO;Olt;22BmeCYIDEIMAULBHJADRLO
+BG;Pleven;22B6eALFJJGDLE0BEDKG
+BG;Veliko Tarnovo;02B0fVHDSLCCSGEOBETKD
+RS;Srednje-Banatski;o5B6ZHFAHEEEBDJXKIaIJKC
+RS;Južno-Banatski;04BoaFLCHFDPOKgBEHGE
+RO;Caras-Severin;u4B8aFFDIBHJgBIEBIcKIJDhB
+RS;Branicevski;i4B2aFLHEHBHiBKFMI
+GR;Anatoliki Makedonia kai Thraki;k0B-gBPRK3BHjBNUJDKuBJmBYW
+BG;Kardzhali;i0BygBBPGBGPLHNMEgB
+BG;Smolyan;-zBoeAMHKBQIAEFICGJANHJCF
+AL;Shkodër;o1B2YCDRPNEEWBEGIGCCR
+ME;Andrijevica;o1B2YEGCACJDABAAC
+ME;Podgorica;q1ByYEDBJHDAJLO
+ME;Bar;40BkYEJAFLKAEEBAG
+ME;Ulcinj;00BmYAFDCADFI
+RO;Botosani;k8B6hBGPBNHHVUASEQ
+MD;Briceni;q8BohBAIFKGEAGCAEBAPDDCB
+MD;Edineţ;k8B6hBDCBECECKGAEJBAAF
+MD;Rîşcani;27BkiBEIBOCEEDAFEACFBAFP
+MD;Glodeni;w7BqiBGQEDANFF
+MD;Făleşti;u7BqiBHGEQEBCCGBAF
+RO;Iasi;u7BqiBBdJHJOCMHCESDS
+MD;Ungheni;m7BwiBNSIBIKCL
+MD;Nisporeni;06BkjBAEGGDCEEITDB
+MD;Hîncesti;y6BkjBJKECBIGGKJDDEBFFAD
+RO;Vaslui;y6BkjBERDRhBQGCBSOG
+MD;Leova;q6BqjBJAAGEIIAAHDA
+MD;Cantemir;05BkjBAOKCEBBJFD
+MD;Cahul;05BkjBRCBDFGGEAKIBFDCDIGIA
+RO;Galati;05BkjBCRFBEDFJRODYIFCE
+UA;Chernivtsi;q8BohBIkBKpCLBLXPB
+RO;Suceava;g8B0gBLtBXEG8BGE
+RO;Maramures;-7B2eCpBHEBNFCFNFqBKOCc
+UA;Ivano-Frankivs'k;07BmfqBcevBLADdPFFY
+UA;Odessa;64BojBJ8BYBEYwBqBqBnBAxBbEpBoBCvBRA
+RO;Tulcea;w4BilBKNHTIVFJFINFDeMGFIFFGY
+MD;Ocniţa;w8B8iBELDNFGAEEE
+UA;Vinnytsya;y8BsiBR2BSyBwBXKZHrBVGFT
+MD;Donduseni;w8B8iBBLDDFCBGEEAECBAEEC
+MD;Soroca;u8BgjBFBDGDBAQEEBDEBADECAJCA
+MD;Camenca;g8BikBEBCJJBBGGGDG
+MD;Rezina;-7BmkBDCJAFGQEGF
+MD;Stîngă Nistrului;s7BukBFFDCAGFFBCEEAECAEC
+MD;Grigoriopol;k7B2kBDBFEDDAKECADCACCGA
+MD;Bender;26B-kBADFAFMBABIKA
+MD;Ștefan Vodă;m6BslBGNFFHIEEDGCM
+MD;Causeni;m6BwkBHAEEBCEEEACEEACDBJEDBF
+MD;Cimişlia;m6BwkBKJAHFFFADGGI
+MD;Basarabeasca;k6BqkBCAADJJAEFECECBIA
+MD;Taraclia;45BokBHFBJGFHABBDGCEGECI
+MD;Comrat;k6B4jBDFLAFGCKIC q5BwjBFDBEGE
+PL;Lublin;shCgdN1BnBBXgBC4BSGSTcC
+UA;L'viv;--BydfnBbOFWyBsCarB
+LV;Dagdas;mmCijBCAAHCLBJBCBDDEAQ
+LV;Kraslavas;gmC2iBERDFAHFABa
+RU;Kaliningrad;6kC6bKjBNDAbOONjBTPD-DWC
+LT;Taurages;6kCmcCiBEEEZQPFZFKFF
+RU;Smolensk;wlC0mBfFnBoBPoBuBmBIwBiBUOJExBPd
+BY;Mogilev;ikCgnBFjCVBR1BFQPHI4BQEJ8CKY
+RU;Bryansk;6iC8oBR5BjBUKyCTWiBeGLIUoBhC
+UA;Sumy;6gC-qBUlBnCNAwBRKIwBkBXCjB
+RU;Kursk;6gC-qBXFN2BQuDOFEOc1D
+RU;Belgorod;2_BksBXOEmCVYDmBKMoBPOf
+UA;Kharkiv;s-BwvBWXB9BPnBRaPTHmBPOa-B
+UA;Luhans'k;q-BgxBIpBfLlBYT0BSKONKQGNYS
+RU;Voronezh;q-BgxBLYGsBcYQNYkCWzCC9CPJnBmB
+RU;Rostov;g-BkyBXPFOJPNOPJAjBdZGqBPXJIGuBfuBCWYSJoCwBMJRenCeeObYEUfVR
+UA;Donets'k;67B6wB0BnBN1BXKLPRaJNLIGsBWG
+IR;East Azarbaijan;0wBk6BArBZLlBMV-BS8BqBdARMOWBPVCRSS
+TR;Kars;szBq2BHXJDPXNYIkBaC
+AM;Aragatsotn;qyB02BBcOGIPDBFEBTDD
+AM;Armavir;kyBy2BDKAUEBCEEHBJEHBFDC
+IR;Ardebil;0xB-7BlB3BOoBVCLNASnBYBYcRQMWdWO
+AZ;İmişli;0xB-7BFMCGKHIEEJBLBCHBDGDD
+AZ;Biləsuvar;oxBu8BDCEEDEEGIACLDHGL
+AZ;Cəlilabad;4wBs8BAKGIKAABDDEDDPDA
+AZ;Yardımlı;swBq8BKMEFFPDA
+AZ;Lerik;swBq8BJMIIGFGB
+AZ;Cəbrayıl;gxB46BEECGEHBBEFDBADJG
+AZ;Füzuli;uxBw7BIFDPBCBDAEDBDI
+AZ;Beyləqan;yxB47BEEEFICEBJDDHJG
+AZ;Astara;gwB48BCKGABLDA
+IR;Gilan;gwB48BTFrBgBDsBMKONKrBiBL
+RU;Buryat;khC27Dd8DfKNoBMyCVgDWmBKZeWA0CgB2BG-BUccTyB8DUlBqBFINYcb5CW7CLRGtBX5BNcVZjBBBUzBnB_BnENBDf4CtERzBTL
+MN;Hövsgöl;khC27DfpBfQRHJnBPHJ2CjBIMwBaKHmBcuBKbSUkBP
+RU;Tuva;khC27DMLWYgB_CR5CPDpBhCOjDXXBnBpBsBJTNMmBsDLsCVOJsDWmBoBN
+MN;Bulgan;g_BogERTJcdrBjCwCQqBURaKIVEUqBA
+MN;Uvs;s-Bs3DEjBWNMrChB9CzB2BKUVgCSyC
+MN;Selenge;u-B2mEW_CHlBXOfNPYOiBHmCOBOoB 89B-kEASNAAnBaK
+RU;Chita;69BmsEiB2CfqEU6BkBMwB0BSDIZcwCaPOUMTeOAZUFDpBOQUjBGKcPBNaBE_BTPTcRJEpCJJJOpBGPmBRHjBzDbUTbF9Bf1BAzCdVJaPlBdgBH2C
+MN;Dzavhan;o-Bs5DE_BpBAHnCfRL4ClB-BAaoBeSHMkBUCMDEtC
+MN;Hentiy;29B2nEpBUfZzBoBScVmBuBWWsBiCVL5B
+CN;Heilongjiang;i9BqjFmB7D-CnBkBlBUvCJ3CLQPZNgClBOMyCVkBlBfhBAFRlBLQJvBpCVcEUTXDmBhBSLmDVEAUVKSYlBUU6BPCHiB4BLUkBJyB6CsBOWWBVxE
+RU;Amur;6iCy4EE-BTwCjBmB9CoBlB4DWmBgBBSfciBODUuCUBJ2BgBMOPRpDCRWBGnB6BmDOPDjI2B5FFjCViBDTLGGoBTGAadNLUNT
+RU;Yevrey;i9BqjFtBQA6BgBkDoBzD
+RU;Khabarovsk;w8BgoFbONVbHWsBP8BUSIqBYfOoBXWNLDUqBuByDUiBiBmBhBIcoBhCArBfHUGRxBQUGVISTnBiBCI_BqF6IMiGUAW_BUwBcDQhBHlEcjCpBtBPxB3BBFjDRVIlCf1BRAEZTYPlBVcLZbJNyC5BlDFoBVCBSSqDNQfLK1BRGVxCNEbhBTgBlBAMcbuBHkC 6kCysFGTPLHS
+RU;Primor'ye;q6BwnF_BnBMtBTjB5BOTHHbPKOADWgBYZ2BgBwC8E8EETOMYVNnBXgBHpBTRQ7B
+CN;Jilin;q2BikFIhBQBT5BmBVRVWJATWDMlDiBRHtBPDMjBJFPWtBEOgBrBKXuBKQ5CgBmByBPwBYDSiCWIRa
+KP;Hamgyŏng-bukto;m1BijFSVVHVnBzBOKagBA
+KP;Rasŏn;m1BmjFCBFBBHJBEICAAM
+KP;Ryanggang;y0BkhFBhBPKHFOtBLHNMCWdEekBBK
+KP;Chagang-do;m0B4-ErB_BNKLgBgBkBOCMX
+CN;Liaoning;izBk9E6CfJPYdZbLhCfzBcXnBDVVhBoBoBwCTSlBrBFebdsByCCiB
+KP;P'yŏngan-bukto;6yB48EdrBLOIELWQqB
+UZ;Sirdaryo;oyBq2CQCORNBCNNF 6xB61CGEDGGFCKAL
+UZ;Jizzakh;oyB61CCVQGWLD1BXAViBRACqB
+UZ;Samarkand;sxBq0CSAETQBIPBJVFEXLPNGHgBA2B
+UZ;Kashkadarya;kxBm0CK_BX3BnB8CekBQG
+UZ;Surkhandarya;4wBy0CjBlBbHH0BmBWiBJ
+TJ;Khatlon;wuB40CJIQkBJOUKBaoBKIPP3B
+AF;Takhar;-uBw3CDXlBJJGEQVMQUKR
+AF;Kunduz;suB02CKRVfHGLoB
+AF;Balkh;wuB40CG9BfSjBHCQmBYBc
+TM;Chardzhou;yuB8xCOKJcaGsC_E2BlBJ3B7BKAc5ByCTSbH
+AF;Jawzjan;2uB6yCGXVLVGRPAWQFKqB
+AF;Faryab;iuB-wCtBhBRUBoBaQEbSQiBADb
+TM;Mary;iuB-wCAxBeIsCjDdd1BUFSEPbUvBCHuBYQQ4B
+AF;Badghis;itB8vCHfnBRNuBMwBOFOhB
+AF;Hirat;msBwuCHTSpBtCdF2BbAOuBaYSDAYQQA5BIP
+TM;Ahal;wsBysCGMkBBcTDQGR2BTeWcjDH7B7BPlBsDjBqBAgB
+SY;Hasaka (Al Haksa);suB-0BIFXtDtBqCmBC
+TR;Mardin;uuBs0BIHEIKDHRKJAVNVTK
+SY;Ar Raqqah;8tBqxBCfNBJVVANwBUQcG
+TR;Sanliurfa;8tBqxBIgBkBPIPb_BRI
+SY;Aleppo;-tBqwBGRLtBKPNDjBYFsBcHKW
+TR;Kilis;6tB8uBOXFJDMFE
+TR;Gaziantep;iuByvBQHIIEHLfEFPRDIGKNY
+TR;Hatay;iuB6tBGPBNLMNPPEDKSIAMKD
+SY;Idlib;stB6tBDLPHDKJCFaKEYREE
+SY;Lattakia;4sBmtBEJBDDCFFPMAKSBGE
+IQ;As-Sulaymaniyah;0tBo4BFRRSANRGLJZaYUHGIMUHIQInB
+IR;Kordestan;gtB84BHgBLNdeQeFc4BLCnC
+IR;Kermanshah;ksB25BhBdfMOEH4BagBIPMKGJNjB
+IQ;Diyala;0rBo5BIDXTOJLRrBJBMPACmBOQWT
+IR;Ilam;iqBk5BbQdiCcBahBUWJVIpB
+IQ;Wasit;8pBu5BRREZLLjBwBCiBgBAGT
+IQ;Maysan;gpBo6BfABLVMJKEiBWGaT
+IR;Khuzestan;inB07BzBgBEQSETWIkBmBVUSuBjBG1BhBT
+JO;Irbid;-oB2sBDHRAAEGACSKD
+JO;Madaba;qnBqsBAQCCGDGCDN
+JO;Karak;0mBmsBCMHOOIGBIb
+JO;Tafilah;smBisBDIAICMECGFENDBAD
+JO;Aqaba;-kB2rBHADgBaHEJYGEH
+JO;Balqa;0nBssBCIEBIMCBENRA
+NP;Karnali;ukByoDwB_BCZJFJUhBFNkC
+NP;Mahakali;4lBolDRZhBLNSWCOOIFEM
+NP;Seti;ylBslDpBXNCJUMKKLHWWDKOOB
+NP;Dhawalagiri;kkBqpDOFAPRJNVRecG
+NP;Gandaki;kkBqpDHRRALNF0BgBQBN
+NP;Bagmati;ujBsqDXRBWNOCKUKKHIF
+NP;Janakpur;-iBksDGRZJDNXDEKLKCM
+NP;Sagarmatha;-iB4sDGRNCNNHGXJFaQOMJ
+NP;Bhojpur;4iB0tDGbhBDHCAKPJDGAWYFIKIL
+NP;Mechi;6iBkuDCJNNHBFMHJJGNABOOGQH
+MM;Kachin;ojB05DXRTKPpBpBGbNzBwBIYkBDsBuBgBCmBDBNmBZ
+MM;Sagaing;8hBq5DGjBdrB9DpB9BSF0BKM8BFeegBfcOoBF
+IN;Nagaland;qhBi3DQBTlBZLNXJEQsBHK
+IN;Manipur;6fq2DKDPrBvBRJsBwBY
+IN;Mizoram;ie00DSVNJEH5CMKW
+TH;Chiang Rai;sZk9DEbPINNZGUIBUSQKCKH
+MM;Shan;mZs8DGY6BoBLjBYJEfgBQKbmBATlCQbjBJHWHTnBcbbHQxBBLMcMRc
+TH;Chiang Mai;mZs8DRnBZGCVpCMUUaHIa
+TH;Mae Hong Son;0Yk7DETxBJAPnBWGQuBHMEDS
+MM;Kayah;uYq6DSbTJZENSEMOD
+MM;Kayin;mX25DkBlBrCgBGIlBGVYTLRWuBUDJ
+TH;Tak;-Vs6DxBeEKbNTS4CKKLFJKATJSF
+TH;Kanchanaburi;0Tm7DNAFNTEnBiBEaiBCCP
+MM;Mon;gT46DcNMMORhCE 2Uk6DuBLDTrBS
+MM;Tanintharyi;4S46DDPjCgBzBBHOjCNoCsByCV
+TH;Prachuap Khiri Khan;2Po8DdKdTDECKwBUSB
+TH;Phetchaburi;2Po8DEWQGKFDhBRE
+TH;Ratchaburi;wQg8DASGIMKMFJf
+TH;Chumphon;6N-7DJJbCLLHEIQWAUOGA
+TH;Ranong;-Mu7DlBNDECGIGKFKMeB
+LA;Bokeo;ia49DDNPFDCGIJINBOe
+LA;Xaignabouri;0Yw9DHGCctCNFKOQQFWSsBD
+TH;Phayao;0Yw9DJLAPPEJMAKOMOB
+TH;Nan;-Wq-DaMWDAZPCNLNIRFCO
+TH;Uttaradit;-Wq-DLLJhBZEWmBOI
+TH;Phitsanulok;kWm-DVpBHKNJFkBSK
+TH;Loei;-Vm-DZEIGBSLEEM2BCdlB
+TH;Bueng Kan;wWoiEOHEXDFLEAKLO
+LA;Bolikhamxai;8WkhECcTMOGJYMISFQhBJFEVNDDZPI
+TH;Nong Khai;8WkhETXQVDDTcMGBU
+TH;Nakhon Phanom;wWoiEFHRCAOPADFFUYC
+LA;Khammouan;mV-iECiCwBlBJPMTPJRU
+LA;Savannakhét;gV-iEbMHeSoBaLENAzB
+TH;Mukdahan;gV-iECbTMFUEGKJ
+TH;Amnat Charoen;sUojEHRTDCIFKYI
+LA;Saravan;gU4jEVIFWKWUEGOONNFATLJ
+LA;Vientiane [prefecture];4W0_DPYIOGCGFBPINBF
+LA;Vientiane;4Wy_DKGFcIDUsBQlC5Bd
+LA;Champasak;qTgkEjBDJLPiBSDGQOHGIHOKEOR
+VN;Điện Biên;gc0_DdWEMTFPSgBMUFARQR
+LA;Louangphrabang;ua2gEHZfDHTjBEOOFWaSkBK
+LA;Houaphan;6Z4iEMTLPGLjBJGaRgBUOOX
+VN;Son La;gaohEFMMQPaKOWJcxBtBN
+VN;Thanh Hóa;6Z4iEHJvB6BgBK
+VN;Nghệ An;gZmjEPNEXPFbqCaE
+LA;Xiangkhoang;0YoiEIADJIHFbPPJKPwBMGIP
+VN;Ha Tinh;oXujELANSAkBgBdHD
+VN;Quảng Bình;uWgkElBgBGYYbBIKA
+VN;Quảng Trị;mVmlETEEIJESSEJMFFH
+VN;Thừa Thiên - Huế;oU-lEHYIIAKEPSPHL
+LA;Xékong;oU-lEFNTDFPJOGUJSKCSTMM
+VN;Quàng Nam;iUqmELLfoBOIEQYR
+LA;Attapu;6SsmEKNBNRDINJFLGGGLSKU
+ZA;KwaZulu-Natal;9jBikBXYxBNTsBmCuBgBqBkCUCjBTBDzCdH
+LS;Mokhotlong;9jBikBTLCGLEBUIGKF
+ZA;Free State;9jBikBYgBcEc1CJlBbXDfpCjBjBmBF-BOWcPee
+LS;Butha-Buthe;9jBikBIHFRDCDKFAAI
+LS;Leribe;7jBojBHRHDGOPYGBMKFLGA
+ZA;Eastern Cape;vlBokBZjBOZPXE3BXBtBxCpBXf0Ca6CiD8DUpB
+LS;Qacha's Nek;vlBokBEGGBFPGFFADLDBBS
+LS;Thaba-Tseka;9kB0kBCTMDFFKJNHRIGKDQ
+LS;Berea;xkBsiBDQEEDCEKGBGJDDBJ
+LS;Maseru;xkBsiBJHFGJaYCBDEB
+LS;Mafeteng;7kBkiBFLJGCKHCGEAWER jlBojBAFJK
+LS;Mohale's Hoek;rlB-hBPIDIOQCSIGFJCdFDIB
+LS;Quthing;1lBujBCFECBLLJBFHIBOOE
+ZA;Limpopo;3b2kB1B3CxBbTsCQWTKAYmBoBDSSDGegCX
+BW;Kgatleng;1d2hBHJQblBDFUQS
+ZA;North West;5eghBDVnBRS9CrBNQaTDPevBUUKTIQsBcYGiBcHiBoB
+BW;South-East;5e2gBEDFDEDFFZFBEcI
+BW;Southern;5figBcCepDhBAAqBjBQ
+BW;Kgalagadi;9egZba5BCM2B0BoBR6BkBPApB-BAA5D
+ZW;Masvingo;9b8mBqB0B0BBiB3BbJHVjBMBb
+ZM;Lusaka;9TmkBM6BoBNZ7CNA
+ZW;Mashonaland West;xT8lBFrBpBvBVKEoBhBAbsBuBaGNwBJBN
+ZW;Mashonaland Central;xT8lBdJCOvBKHOmBqBEcc9C
+ZM;Southern;9TmkBaxE5CNPyCoBgBSoB
+CF;Kémo;qG6YQGEVgBQGrBLGRJfS
+CF;Ouaka;0FyZMSkBGJWOOsCfXnB9BbDWPF
+CF;Basse-Kotto;0FyZJgCKEIPeGKhBjBF
+CF;Mbomou;mFicaSHUe6BoBIQfZlBDvBzBN
+CF;Ombella-M'Poko;mG8XgBTE_BLTjC0CWD
+CF;Bangui;uFoXEBBBDC
+CF;Lobaye;6EoXwB5BHLTIDLVaHyB
+TZ;Kagera;pBimBpBSdTFOcQBUkBqBSA
+BI;Cankuzo;1DkmBJHHMGIKC
+BI;Ruyigi;nEomBILFJLCBK
+BI;Rutana;zE-lBCJHHJABCEK
+BI;Makamba;hF4lBDJIFFFDLJCAO
+BI;Bubanza;hEykBBCCKIAGBDHBADD
+BI;Bujumbura Rural;nEwkBEIJAAHFAAMKEGDCJ
+BI;Bujumbura Mairie;tEwkBAIKADH
+BI;Bururi;nF2kBEMGGDEKCCDBDGCBDGDFDAL
+CD;Nord-Kivu;3BglB6CQL5CdOnBjBfW
+ET;Amhara;oRytBrBNBPfPBqBzBAZ2BUuBLHbiBVHCS6CSyBPBVcBYdJ3B
+SD;Gedarif;oRytBoBAHpBkBfCnBdalBFpBuBDiB
+ET;Tigray;oRytBRYK4BXebCCWuCFGOB9BUVfNOJFd
+ET;Benshangul-Gumaz;6O-rBnBHLZ1BHiBgBjBwBkBCKkBKbyBA
+SD;Blue Nile;6O-rBkBdVvB5BBXebA0BUEW
+SD;Sennar;-OisBcS2BjCHtB_BOWwB
+ET;Gambela Peoples;4K0qBFhBXJHcXYEqBcTMK
+SS;Upper Nile;4K0qB-BHYd6BCHrBjBO_B7BZoBGQpBaUK
+ET;Oromiya;4K0qBRoBZAYeVINiBGUqBEAuBzBXAWlBWMZXJYCGP1BABlBdLlB6CISkCaMkBmBGLWKQsCCNYQKuBVjB5DWISZYDVpBUvBvBPkBvBhBf
+SS;Jonglei;-JopBsBZHPanBFZpCK9BsBCkE-BpB
+TD;Sila;2N-bKY4BTQhDnBFN4C
+TD;Salamat;2N-bcLQnCEhBRVNARiBpCKOkB
+CF;Bamingui-Bangoran;4LgaVtCrBUbkBIaoBYOkBuBjB
+TD;Moyen-Chari;qL-Y-BLdlBYtBZHZgBtBCMYcI
+CF;Ouham;gK4WR3BnCIGkBNUaUeJkCQ
+TD;Mandoul;gK4WiBJMISjBlBHhBI
+TD;Logone Oriental;4JyVyBFEZPCRbEXjBMOqBLK
+CF;Ouham-Pendé;uJgVMJNpBfXLiBTCLegBWKN
+CM;Sud;2CkOA-CeBCfcLTvBStB1BN
+GA;Wouleu-Ntem;2C0QGtCzBAAlBNAGWVFAgBoBeBiB
+CG;Sangha;2C0QlBDI0BPaTBRyBOc8CXpBPW7B
+GA;Ogooué-Ivindo;wBwQChBjBhBrBCOkBcGN0BiBWWH
+CG;Cuvette-Ouest;2B4RVKnBXNYZAEWyCG
+GA;Haut-Ogooué;DsRGXfKnBdXGDUOMPEGQkCK
+GA;Ogooué-Lolo;rC-PuBgBgBJKVbLTlBjBc
+GA;Ngounié;rCyP0BzBBTnBftBkCSAAkB
+CG;Lékoumou;jD0RQNNLERfELTPMHYuBiB
+GA;Nyanga;vDuOWTTrBvBuBSQFQOC
+TD;Hadjer-Lamis;oQkSdQIuBdgBAgBwBbKIDtBOZ
+CM;Extrême-Nord;oQkSERdGFSZBNbrBTD8CUV6BB
+TD;Chari-Baguirmi;qP0StBGzB8CkCDeX
+TD;Ville de N'Djamena;iP6SCCEBBB
+TD;Mayo-Kebbi Est;8N6SXETWDlBJARceegBBQf
+TD;Mayo-Kebbi Ouest;sMuSEVNJxByBeKUb
+CM;Nord;wM4RElBrCnBtBiDeiBqC_B
+NG;Adamawa;2NmR1B3CbQhBVXU
+CM;Adamaoua;qJ8OnBbREE-DuBgBHXUVG1BUT
+NG;Taraba;qJ8OYTiBWcPDnBXCXxBRJLgBpBJamBbe
+CM;Nord-Ouest;mIkMPEJHFMEcUYgBXLDGN
+CM;Sud-Ouest;kIiMZfvBNAOdUoCeIT
+NG;Benue;kIiMmBKMHQtBNFKdZKNPTOOiB
+NG;Cross River;gI8LUdHRLGPTZDVQIBLOuBM
+NG;Sokoto;iR8HKfR1BNa9BJ6B8BGc
+NE;Tahoua;kR6FBiCmDOmCtCaGCX1DP
+NE;Dosso;wQkFUWmBP7BnCZIfmB
+NE;Diffa;kRgReFiDwCsBEAlDTnB5DALffVLoC
+NE;Maradi;uQuIC8BcM-B5BARjCN
+NG;Zamfara;uQuInBjCRBDiBdMqBsBsBH
+NG;Yobe;sQwPMlCVnBDkB3BQdcmBe
+NE;Zinder;2QqNgBWMgB6DA1C7FjBQNgBPLZIJwB
+NG;Katsina;wQqKHvBrBIVNJKKa6BOAgB
+NG;Jigawa;iQoLHjBXsBbAPoBKIWdemBKB
+NE;Tillabéri;wPyDeN4BmCuBPNNNjErBKVgBLJNsBfM
+BF;Tapoa;8OgDSNCIMFDTKLzBBFe
+BJ;Atakora;qOwCFhBlBPPYGkBiBE
+BF;Kompienga;qO4BSVJLRAFHAeIC
+TG;Savanes;-NFDGPDdgBKCCKIJYG
+GH;Upper East;-NFJTEdPFLMOSFGGUQG
+GH;Northern;sNDJ3BXJHnBXAjBYYcfQOKBoBuBOCLiBG
+TG;Kara;yMQXFBMVBSkBcBINBJJB
+TG;Centre;iLUFFPOPDEYOCAOmBH
+TG;Plateaux;8JYzBCKiB8BEANNB
+GH;Volta;8JYiBJTFDXfavBFPYQUcb
+TG;Maritime;0HwBIYYJHLENJH
+CI;Zanzan;8LrDSlBNZXUpBHjBkBuBY
+GH;Brong Ahafo;gLnDXEtBXZYeaMJE4BPkBmBTITLLaDBZNEDN
+CI;Comoe;6I7DMPLBBJNATQNBSMQD
+GH;Western;6H9DjBQJNNoBKWKGqBZepB
+CI;Sud-Comoé;6H9DRLVCDFBKKGHAAOSAEJ
+BF;Léraba;iN7GFEAMKBCGICAJKLHC
+CI;Savanes;iN7GJXUFBP9BDEUZaiBOTMLoBUE
+BF;Komoé;8MrGPGLYMSiBIGxB
+BF;Poni;sM7EBYKGAOYDBfRBFJ
+BF;Noumbiel;sM_DTScBDFEH
+BF;Oudalan;0SIIjBLNZSCWKK
+ML;Gao;8STKgFqBcgCCA5CNfqBtBKlBpBBPdREDkB
+BF;Soum;wSpBNlBLDPOKwB
+ML;Mopti;wSpBKMKnCYZPRMNFxBRGZVlBgBOeVEJWqBiB
+BF;Loroum;2RzCGNFJFGBMPGAIGG
+BF;Yatenga;2RrDFFPBLMCULACOSFAHQF
+BF;Sourou;iR1DCNPCFHNAIKBUKK
+BF;Kossi;8Q9EPPbMGGBOKEQA
+ML;Ségou;8Q9ESFNdmBfmBSArBjDfRiBC6BGW
+BF;Banwa;-PpFBJPEJJAINAKUSQGNFH
+ML;Sikasso;8PxFDlCPKVTebdzBbJCOhBQMSLUYeVKOU0BEMiB
+BF;Houet;iP5FVEFHTBFmBKKILeBHTOA
+BF;Kénédougou;iP9FHZRINLJMKWIFKK
+LR;Nimba;uJzKGHZRvBCmBgB
+CI;Cavally;qIxKFFJcXUCMyBCAlB
+LR;Grand Gedeh;kI3KXNFWLBCqBOBENMD
+CI;Bas-Sassandra;iHnJzBFiBoCsBZBRMFhBD
+LR;River Gee;8GnJDpBJGBSJABK
+LR;Maryland;gGvJCJIACFJDDINEBI
+GN;Macenta;0KpMFOXGcUUDBLIDNV
+GN;Yomou;mJ7LCKHECKOGCFQFLL
+LR;Bong;mJ7LLXEDLLHYGENGIUYC
+GN;Nzérékoré;0J1KUEGHBJJFPG
+GN;Gaoual;sPjRFJFKLBFLJKCQHGAMQKYFFNMH
+GW;Gabú;sPjROBAZJFJETBCeMCGJ
+GN;Boke;yOvRFbXNFEMCAIFDJEKIPFQgBKE
+GW;Tombali;uOhSGPJDDRFADGGCJBIKJDWQ
+GN;Siguiri;wPpLCNHCRhBlBUMgBUG
+ML;Koulikoro;wPpLlBUoB6BfYSUkBrBkDgBAxDtBoBBZjBO
+GN;Koubia;mPpOPHAZRKOcQA
+GN;Tougué;iPlOPANZLECKQUSC
+GN;Dinguiraye;iPrMGNLRMNtBNDMMQBOKBBOQF
+KH;Stœng Trêng;iSolEGDJVLIHXXCFMMQBM
+VN;Hà Giang;-c8jEIHZlBRKDKUOBOKJ
+CN;Guangxi;8c-jELyBhBFNcBsBQETUMULI6BgCqCaBVSBHPmBUUVxB7DQdjBrBOfLbNIP6B
+VN;Cao Bằng;8c-jEJJJKEIHEDaQMIZDL
+VN;Lào Cai;scuiEEJLFMLDDJCDILJNMKGBQKAAK
+VN;Lai Chau;qcuhEGJNLMVHFPaASJGSK
+VN;Lạng Sơn;gcmlEANjBBDKISHOMEKZ
+VN;Quảng Ninh;gbmmEPPFTDeQIGYGH wawmEEFJD
+BN;Brunei and Muara;kG4vEGEFNFACI
+BN;Tutong;-FuvEGAHJPMEC
+BN;Belait;4FwuEDKJCAEJIGGGCQL
+IN;Tripura;0dqzDiBDPLBTPHXGGELIeM
+BD;Sylhet;2emzDOCAMGHE1BtBOGY
+IN;Meghalaya;ofwzDKQODEVQENpBIpBVN
+BD;Dhaka;4fowDzBANTjBaKYOLCSkBWeL
+BD;Rangpur;6fowDeFHLQLFPOLJGHNPAXuBAQ
+BD;Rajshahi;oe-uDNmB0BAGbPjBPA
+BD;Khulna;2bqvDTIaKXCIOmBCqBXMXVHRQ
+MZ;Cabo Delgado;hNyyBnBvC_BTrBSa2C
+TZ;Mtwara;hNyyBMRRNKJHfRXPU
+MZ;Niassa;nOkwBEVPTExDlCBzB0BfA0BmDsBR
+GI;Gibraltar;mtB1GACCA
+ES;Cádiz;mtB1GICGLOUGBDtBFFVQHS
+US;Washington;o9Bt5ElBWlBTCPEWaAVXWWKFKvC5BWAQBNHQRNDuBXcS2G4DF
+CA;British Columbia;o9BpyEC4DWbmBJiC7CGlBiBXMpBkIDA5XrB-BkByC3ByCnC-BToCrBBYMFMXZJKCRNQOTLBDoBLXVgBacRHNmBMrBbUCQXNMUJDBQYUTDBSNEMTRdPIQOFeNvBCcFbLOGmBPYQKNCJbIiBJFBQWQZLIeRTLWQSPDBQBTJUMQNDEQHPJG mhC7jFejBCQEPAQIHDd 8hC_gFMKMV wiC3lFEaiBMVhBQOGjB 08Bj6EqC3CQzDLOGaFVNCPoCLRCaTMMgBTL
+US;Idaho;o9BpyEnDAfYrBdLM3CDAuHkDAKNN5BwBlBBdsBIgB1B-BN
+US;Montana;o9BhxE9BOf2BrBHCevBmBO6BJOUAA4IgFA
+CA;Alberta;o9BvpE4NAAvMjIELqBhBYFmBhC8ClBKXc
+CA;Saskatchewan;o9BhiEAsD4NZA_J3NA
+US;North Dakota;o9BhiE5DAAsJ6Db
+CA;Manitoba;o9Bx5DA0C4EAiF4HQzCNpCSU4BdCpBXFYGKfMOaFA_I3Na
+US;Minnesota;o9Bx5DxDcVLLQnCAAwGUFe3BmBDQYWAa-CcSUrFMjBWLNH
+CA;Ontario;g8B7vDMuBlCqFTGBUJHPsBlCQ9BnBPUuByEaFGQCsC-BkDSLDtCgBzCed6EBQjBLXMWOFUzBEQaf2CCIvDLNOKahDiBzBhF5HpEAVSd-D
+US;Michigan;g8B7vD5BjBX8ChBSOWHiBzBf3CFA4EiBiBoBQmCRQpBKICTUFmCpF
+US;Ohio;u0B9nDJhCnDAZiDyB8BoDOZtC
+US;Pennsylvania;80BzkDnDAA8FSqBWRcUYZAvFWA
+US;New York;m1B1jDVAAwFnB6BMBTGuCW6CDBnCzBjCH7CVK
+CA;Québec;o4B17CKiD6BkBeeEiBQAC8DWsBONFQU3BXpDhC9CRhCrBzBRvB 2_BrjDrEDjBarBoDIkCRMGQIR-ByEoBoBOzBL2BqByBGqBkBmBB8HsB-BE8BYAApISNIcIHFVrBPWnCiBANTIRWQajBQCKaONLeYBZqBKYNwBgBWCPSDEQSbAKKJoBWOhBQaIJEWI3BCYUBEVUMGJCMVnBNWEVHIFNDQFbVBUNjBzBUBNPUGVPLlBOoBSGOVF7BGgBOICTWII7BC4BoBELNOhCMNGMBbGMgBhCPjBUzDLbXGFUdbCcHNDSFNNWLNHKGTLEdhBlBmCzBMtBzBXtCRcDJLQdDfYTZXIQbfI u7BhtCEKRX o-BrwCVwBD6Ba5B
+US;Vermont;o4B17C5CCAiBgBC6BkB
+US;New Hampshire;o4Br5C5BjBfBBuBOY6CP
+US;Maine;04B74C3CO6BuCLKW-BkBf4BAKTElBxC3B
+CA;New Brunswick;w4B_zCC6BSsBQDPKQeEfkBJAVacKpEblBHyB3BA
+US;Arizona;0oBvvEtB2EAwCiHAAnGlBBBZrBGXU
+MX;Sonora;0oBvvEXFdsC3CkBnBqBDYVAlByBSe4BZEY4CBMRWEAzC -jBpsEUANN
+MX;Baja California;8oBrvEH_CtD4BrB-BZEA0B4CrCmCP
+US;California;8oBrvEyBIOQcVgF1G4DAAnFtBEPLXWlBEjBcAgCAjBVMONJDbcVDtByBXAV2CZoBfO
+US;New Mexico;mnBloEAeSABkCKFAwEoGCAxH
+MX;Chihuahua;2nBjlECjCRAAdVDLS3CCDXtBY5BoCyBcT8BQQDUyBLuBaWtBoBT
+US;Texas;2nBjlEtB-BnBUVqBiBsBDkB3CsCvBQVmC4BDCLCOUDYsBMJDaFHWqBMOQJHWHJOiB2BQmBV-BAQtBHtCalDILsCAA5DzFAAvE
+MX;Coahuila;2iB38DyC_BBzBpCxB_BcnBJPKFQQcX0BWCIYqBnBOYUHSS
+MX;Tamaulipas;yiBz8DlBCZUBYXEhBzBZMVbTEZ4CgCC2CaStC
+MX;Nuevo León;2iB38DDVRRTINXpBoBJZpCUckBaLiB0BYDCXaT
+BZ;Cayo;wUvvDQWcCHV
+GT;Petén;0VtvDUAAnCVBARhBqBLBJmBCK
+BZ;Orange Walk;0VtvDGUSECKKHCDNJCL
+BZ;Corozal;kXruDBHHDLMAGQCBJ
+MX;Quintana Roo;6W3uDYWZI4BSCN8BoBSLDThBDhBjCXOxBF
+MX;Campeche;uWtvD2BE8B1B5BNVdFMJXKbba
+MX;Tabasco;oW3xDGjBcXRhCfWYOZUWgBZUAS
+MX;Chiapas;yVpyDaNVlBaTpChB_BqC8BUC0B
+GT;San Marcos;mSpzDAKEFGOQIGDBNGBHDHG
+GT;Huehuetenango;qTjzDFCCOHIGMIFWOAd
+GT;Quiché;iU3xDVNbKESOHCOEHGEIHICEM
+GT;Alta Verapaz;kUhxDFLHBHIFDHsBOBMK
+CR;Guanacaste;6NxqDGNLNLMJHJCPWYBHQOGSb
+NI;Rivas;6NxqDDOIRUKCjBHHPSEG
+GT;Izabal;2TnuDIPDEFDIdNLNAESJC
+HN;Cortés;2TnuDJJFMVIIIKHaI
+HN;Santa Bárbara;kT9uDNCFOFAAMQCSJAH
+HN;Copán;6StvDHDDEBEHICEGBAGIAOB
+GT;Zacapa;6StvDKBFbNEEGAS
+PA;Bocas del Toro;gMlnDDDCJTBJYIDGGLECIEJIEAHKA
+CR;Limón;qL1nDWEAM2BtBfJHaVF
+CR;Puntarenas;qL1nDU_BeFFNzC2C wMtqDRCMK
+PA;Chiriquí;kLrnDVNLGKCCQAKHCCQHEQGBTEHMC
+PA;Kuna Yala;6K1gDerBGVJLCgBfqB
+CO;Chocó;2K5gDXMbdbW3CBNagCcWHGVUFQS
+PA;Emberá;2K5gDIJFHTOCM kK3hDHFLO
+PA;Darién;mKxgDETOFIIKLJRRCIAFGGEPQKPNLfWSGFGQS kK3hDTIMN
+GY;Barima-Waini;2K_qCLIRdXDH8BaO
+VE;Delta Amacuro;2K_qCChCASgBQY3BNAMBRHZSPXboCUmB iLlsCJHIS
+VE;Bolívar;8JprCDpBUNGlBf5CKff3BjBPXSW4BvCoBXkCUGiB2CqBfeKOiBUR
+BR;Amazonas;wBzzCmBTPVKJLCAjCZAAWPGBjBdApBa7DVIbpB5C1BJXZpBqEjCsESSFaYiCmBWBgBfiBGoE2BOaLyF2CwBzC0BRBvBjBJIjBjBZYZgCCuBJKRJhBzB7BODJb
+CO;Guainía;kCp3CAkCMBJKQWlBUwBLQZYWaPT_ClBfLiB
+CO;Vaupés;kCp3CQJNzBrBZpBqCZCHesBZeAKkBIb
+CO;Amazonas;xB32CIdaBUlBf3BGpCrC6BMwBTiCtBZRgB
+PE;Loreto;V_8CSxBhBQXLnBrBPtBhDGjB4CXFDThCGe2BWACkB2CgBqB6CFcSfuBaUhCLvB
+EC;Orellana;Zh-CGtBSjBTLPCKSPCCUTmB
+EC;Pastaza;9Bv-CW5BRrBtB4B
+EC;Morona Santiago;lD5_CqBhCtBDZVHcUQ
+PE;Amazonas;1DnhD3BjB5BDvBgBaiBaV
+EC;Zamora Chinchipe;tE_hDGZnBBNNHGBKSO
+PE;Cajamarca;3FriDVb3CAPsBMWgCnB
+EC;Loja;7ElkDFNPCGMJaHCOOeAMHRD
+PE;Tumbes;7ElkDUHbbDQ
+EC;El Oro;7ElkDEeSBCHGAEJHFDL
+PE;Piura;hFzkDBXPJtBUPLNUiBcNYmBEUPAf
+VE;Amazonas;oF5wCuClBV3BWT_BPrBYZVPavBMRWKeNE8B0CKCCb
+BO;Chuquisaca;xZ3tCA5B4BDctCdIZeRX1BEYEB0D
+PE;Ucayali;tJv8CIXVAd1BdOeqBbFxBWRLMcVMDkBiB-BsBUVfAjBSDGjBQI
+BO;Pando;_M3xCcBHvBvBtCGnB9BkBYeToBaC
+BR;Rondônia;_M3xC_BQZsCjByBDsByBmByBHI7B0CACXgBdAblBVBbRLCzBRRG6B
+BO;El Beni;_M3xC5B9BjDXpBSpBwBWeAqCuBZyB-C8BnE
+BR;Mato Grosso;hR9rCNOrBGANtBSBoClBBbmBe2BTkBS8BbLBmBuBC8CwC8FeSjIahB4BV3BPA5D5CEPgCnBE
+PE;Puno;pQl2CLZOdhCf1BMBSxBamBkBcX6BY
+AR;Catamarca;zf11ChCKfhBAcZaAwBhC6BUKiCJFPeZWOkBlBWK
+CL;Atacama;zf11CdzC9DhBEkBXa0BM0BiBCS
+AR;La Rioja;1iBt2CZTXeXDZ2BhCkBAoBmCOkBPiBfAvBaZ
+AR;San Juan;jlBt3CTErBbnBKOuBPKE8BQCBYiCjBa1BYEWV
+CL;Coquimbo;jlBt3CYZDjB3DBAwBkBHsBc
+AR;Mendoza;ppBz3CvBKnBdrBIdcR6B-BBAkCUE6DfQbLjBQLNpB
+CL;Región Metropolitana de Santiago;ppBz3CAlBlBZHaMYNYiBC
+CL;Valparaíso;roB53CKvBrCPGSeOCoB
+CL;Maule;5rB93CMlCzBbN0COM
+CL;Libertador General Bernardo O'Higgins;7qBx3CQPLXKffJLmC
+AR;Neuquén;ltBh4CbdjCOpBhB3BFBcQIIiBUGmBuC6BJS5B
+CL;Ñuble;ztB54CUhCRHdcEsB
+CL;La Araucanía;1vB34CUxChBTjBMHmCcEIW
+CL;Bío-Bío;ruB74CDtBeZdNAPzBGiBSX4BEa
+CL;Los Ríos;vxBx5CFbOjBhBTPmCMM
+AR;Chubut;v0B15CXPXQvBDFeJnBRgBLRREAiFeaM6B0BGaqBOZGWPMMUWHPZSb
+CL;Los Lagos;v0B15C6BDMrChBHPSJJCuBMMTXDSRCGRJMALvBHH4BgBDGP j2B98CGiBaLIQUFAT
+AR;Río Negro;v0B15CAsI0BCRwBEoBOX2BAUpBGzCuBjC5BKlBtCTFHhBPHCb
+CL;Aisén del General Carlos Ibáñez del Campo;h3B15CMzBPJNcTfLBDYBZNDGQjBVQFBXEWMPhB1BLMIJMcLBDiBPIHXFUDbFiBMIXQE1BNeLRVwBkBiBSJwBiBuBBMSSfKoBGd 38Bj9CSJNL h8Bh-CBUMB 33B37CNGQW
+AR;Santa Cruz;v5Bx5CvBHbbRKnCxBXQEiBjBFPURuEgBVBZEaSRmBqBGZCQIFNQGUmBMqBoCEZEWWEIpBoBf
+CL;Magallanes y Antártica Chilena;x9Bt7CWvBbBOWNJLQCXZSEhBFcFLLKQUVJARHWTEKNLUNDDKUDRIKMKPHeQVPaZBARKQKJLBIjBZCIgBLZLOYOF2BBvBFLRMCTLiBKLESENOuBFMXbKBFXTuBwBSUgCFgBQrEQTkBGDhBYPYB vkC51C2CAIdLnBFMPNBsBThBXwBJPKGOjCRgBCpC xlC_0CYpBEYH_B hlC70CGiBGzB 3jC_5CKOAX _iCh4CTNCS zjC16CMQILAtB 7hCp8CMEHR 7-B59CGKEXDMHN l-B_9CQWXJASyBDDTVGCV
+AR;Tierra del Fuego;vkC51CJ4CQ0Be_CanBGMSP
+VE;Zulia;6Ol5CdtBrCjBDYbQayBCVePiBUkBN gM54CIQUAaf
+CO;La Guajira;6Ol5CSEGRtBpCRBPcwBkB
+CO;Cesar;iNj7CQbNCNT_CMISaJ
+CO;Norte de Santander;wKv6CkBXFPVFZKHNFaVEFUEQUT
+VE;Táchira;wKv6ClBBCuBUHIPQE
+VE;Apure;oJv6CPUBmChBkBGsCiBMYeO9DdvB
+CO;Arauca;4I95CbPJIImBFmCiBb
+CO;Boyacá;4I_5CDTtBjBODPFGXSJVFLoBfWcKGW
+CO;Vichada;4Hp0CF9CZjBTNxCAAaiBgBKoC
+PL;Pomeranian;ikCwYBjBOLDQITJ7BnBGFSKUFyBMQIN
+ID;Papua;nDmwFuB7DNdLEFfrBjBATUNVPNoBTPHOlByDzBaJUCZJcBXNSdHQyBLFjBoB tJ2tFAhBjBROyB rBwqFSpBVW
+PG;Sandaun;nGowFN0BaAElBMAKuBYGESe1C
+PG;Western;nGowFjFAJgCOeUHKnBKoCwBxB4BT
+TM;Balkan;0zBgmCAVqB1BXhCbSmBCEiBpBmBPpBSfXFdKKDBaLFDOERRFGQRS9BDe-BGkCKXoCYoBX
+KZ;Mangghystau;m0ByhCYiCpB2BAW0EAGcmBJQlBL9BVvBLUCpCVRNYGxB7BmBR8B
+KZ;Qyzylorda;04B6pCnC4DIyDfkBEMZDgBsCeMQXmCNoB3FefvB3CVV -4BovCSXQcRS
+UZ;Karakalpakstan;04B6pCKTVlDzEABqBaBYoBHUMPIU7BqDHwBeb4Bc
+KZ;Aqtöbe;04B6pCeCkC6CV8Bc2B0BrCcYuBXIZRLC1BPTcvBLhBIlBThBSrBpBBdhBTQCepCORsBzBSQqC
+UZ;Navoi;-0BwyCaEDLgBjBF_CBRJQ3BbrBwCBgCfdRWQAImBWGIWwBLAT
+TM;Tashauz;q0BmrCmB9BHTLQITNbLNTIDXvBcBuDTU8BJKeGlB
+UZ;Khorezm;q0BmrCRDHQCwBdWMKwBvC
+UZ;Bukhoro;0yB4tCXQlBmCUgBSVgBeC_BevBDNLK
+IR;North Khorasan;svBmoCQVBhBXBLRHOLDJQOaLoBgBCKZ
+IR;Golestan;0vBmmCAdZdDdTGBNLcKsBkBgB
+IR;Razavi Khorasan;svBmoCHHJadAE5BtBMdhBE6BpBZvBuBecaHBqC6BgBsBFAfkBpB
+IR;South Khorasan;0qB0rCCpCZIVXzBPpBiCIgBPcoBGEN-BJSO
+AF;Nimroz;qlBisCRmCwDmBH9BTPZI
+IR;Sistan and Baluchestan;onBgtCCRpBDQdHfrCFJRvBFzBETQP2CwBSY4BOACToBAMhB0BpBoBmB
+AF;Farah;onBgtCYQMqCkBkBMfbrCEPYIAnBNLhCK
+PK;K.P.;kuBk8CF7BbpBzBadPNSJ1BHOpBfjBOGSqCWHMmBeJUKWWBWagB_BgBWAiB
+PK;F.A.T.A.;2rBq5CPTTEBvBbSJfXJTCEUnBSsBHqBgBINK2BOReQ
+AF;Kunar;2rBq5CKIKBNTCRFDRIAM
+AF;Nuristan;itB-4CVLGXLNJGHOWwB
+AF;Nangarhar;mrB44CAJKFLJDbJFEKHGDmBIK
+AF;Khost;mqBw3CHPTJCWIQQH
+AF;Paktya;yqBs3CAPRTAJHAAIJCEQMIGQ
+PK;Baluchistan;-nB02CZhDPTnBBNxBFlDShCzBqBLiBnBAFWRFPzBxBDQ-FCPIMdMGKgBU4BLYKawCaM6CWaR
+AF;Paktika;-nB02C0BEDPKJZTBRJMbAFe
+AF;Zabul;2nBk1COBGPGGYNCNRdDIfJIQNqB
+AF;Kandahar;unB20CG5BgBKClBbf7CLMkCsBI
+AF;Hilmand;-kB0wC4EctBhCvDlB
+KZ;North Kazakhstan;klCi4CG7BTfLxC7BOFNXBFwCWgBeDGsBtBkFoBbUUF1BUNJGBpBYE
+RU;Tyumen';mlC-1CFgCyBSQiBWvBuBQRQDgCa8CIzCqBpCErCblBb_CVKP1B1BM
+RU;Kurgan;mlC-1CmBvEWLPbAnCLLZWTZNGCsBVGgBgG
+RU;Omsk;klCi4CXgBXDCqBKFTOIyBZLAqBa0BUGuBdSwBKRSQwBtBUAX5CE_BSNtBRVwBPhB
+KZ;Qostanay;qkC0yCftEE9BLDFaHPLmBBtBLLLQPpBjB8CtBYbXpBiCcgBQqCuBiCQlDmBJGQsBKGO
+KZ;Pavlodar;2iCohDgB5BMWnBjDGdZDDUFLJMhBHBQLVFQRFHoBREKiCQMTiCWCQXYwB
+RU;Novosibirsk;0jC0-COwBLVf6BqB8DlBgCYcE2BcWwBVNxBiBHL9BkB7DE9CTILRJSRvBtBe
+RU;Chelyabinsk;2jCmvCWFAvBqBUYtBA1CdCBQPpBFIDfMGGZJNbgBSwCbHHhBzBHNUGmBRDOoBMPMMCuBMlBIQGZME
+RU;Altay;2iCohDnD6CWaVeKqCLyBSVmBuDQBEUaVKOoBpCRtCXbmB_B
+RU;Orenburg;ghCirCSEAzBbLFlCUHCPSKHjBgBXwB_CDNJMlBN1B3BJqDnBsBWGToBUiBHmBMiBbwBQUB4BaC
+KZ;West Kazakhstan;m_BmkCmBtBKpDrB3CbKO7BrCfR2DcsCJwB4BsC
+RU;Saratov;2gCu_BqBjDT_DGpCdbbiBGkCVIE6BjBmCISaN
+RU;Astrakhan';68Bo6BIXXnBdsBEcHLZcRbHaTJIoCMBGaQhBEWaRQ3BSBGX
+RU;Volgograd;g_Bq7BI3CSBGdAjDPfrBqBVFNcddXyBQuBQDFoBGLMKE2B
+KZ;Atyrau;q8B86BTCN4BZSDVLgBeuCHqCtBHeqDPmBgBzBqCNBdSBFrBXNKvBbrC
+JO;Mafraq;8oB8uBR9BVoCW-BsBV
+SY;As Suwayda';8oB8uBUbALHCBHXGBM
+SY;Dar a;-oB2sBPeWFEIGDEEBXJC
+EG;Shamal Sina';gnB6qBFhCtBKPyC
+SA;Al Hudud ash Shamaliyah;mmBw1B4BhDGvBNtBPFROPmEPObrBXJP-DlBwByBcQiBElC
+IQ;Al-Anbar;koB-wBHyB1BgD8BoBUXKmBQNGUatBmBZIzBdJpB3C
+IQ;An-Najaf;olB42BgCmBmBRTjBzBX
+SA;Al Jawf;inBwuBdgBTTf5BGrBRDEoBRaMwBVIFsBa-BYKcsBanBGrDiBHJpB
+JO;Ma an;inBwuBApBXHBTVFfSyB6C
+JO;Amman;snBouBUXCRHLBIVAA2B
+JO;Zarqa;0nBmvBQzBAVFGCQTW
+KW;Al Ahmadi;okBq7BRIAgBaNCJHD
+IQ;Ninawa;quBg1BbrBvBDBoCQDyB4BMZNf
+SY;Dayr Az Zawr;usB0zBkB7BvBVvBkBQiB
+YE;Hadramawt;4XghChB3EvBvBXCfbE8BhBNduBqB2CKVuBCiBmB
+OM;Dhofar;4XghC9CsBOuCiBQEkBgBSIaIhBuCxBrBN
+YE;Al Mahrah;4XghChCdflBxBAC4BKWcCOgB
+OM;Al Wusta;samlCtCyBFyBeF0BcmBxCFd
+SA;Najran;sVq7BiDMLjDKdzBhBhBE
+YE;Sa dah;6Vy2BCJFJbCBkBUiBOAFpB
+SA;Asir;6Vy2BeAuBiBeVSESPZ3BKHzBHRRfWPcOM
+YE;Hajjah;8Ug2BNPRCBSNACQIEiBH
+SA;Jizan;8Ug2BgBGUPNLadDJpCuB
+YE;Al Jawf;6Vm4BddZKJsBW8BmBN
+LY;Al Kufrah;sYgeUAAoB6IABpHtGC
+TD;Ennedi;oakajCjBvEUMkCLmC4EC
+TD;Borkou;qbgYATbCR1BvErCjC4DIWYGVsBIOqEZkCkB
+LY;Murzuq;qbgYmFBQlBJxBmBZ9BjGdBzBYjB6CiBoC
+TD;Tibesti;wb0X6BzDRnB7BItBehERwEsCS2B
+NE;Agadez;sd-OpDxF3BjCL9BTABYZFlCuCdAIsC-CyFAmD-CQuBd8BHPf
+DZ;Tamanghasset;sd-OUJA3Dc3BqBNUdYJWDUcYXW5E5CFVrBbSjEA1BgDpCEQwC4BkC
+MR;Tiris Zemmour;kiB7KzBAAjElDAVrBzBCD6CwDsFcDAoC
+DZ;Tindouf;8fhHkCsD2BfN7B4BdH_BbpB3BB
+TD;Kanem;kSgR1B6CmBJUUmCWWvB
+SD;Northern;wbsnBAjIvCAAkDjEAFkF0BsBiBDIR8DO
+EG;Aswan;wbsnBmB2BJUmDZrBIbRDMXLBhBTN
+EG;Al Bahr al Ahmar;wb0oBCwFkBvBmBHAMwG9DFdOZnBRhBGzB2BDYXLlBWnCIKTlB1B
+SD;River Nile;wb0oB7DNHShBExBhBbsCYiCcKuB7BsBToBCUReM
+KE;Eastern;yF6tBAX5BE9BmCZGBtBJSTJdQbZ1BqBHuBYPyBOsBXqBqB8BVoBQEvB
+KE;North-Eastern;gFs0BMtBJXVhBnBP7BWTfVEJiBnCWQ4BiBVyEB
+DZ;Béchar;qoBxBX_ClBAvBrCER3BeQkCLecuCkCyBcfmBO
+MA;Meknès - Tafilalet;2nB9DQDgB7B2BZHTdECXjBmBTPlCsBSsBaF
+MA;Souss - Massa - Draâ;6lB9FKRkBAKVMEnB_CAlCfGnBdMmCUAWuClBOBgB
+MR;Dakhlet Nouadhibou;-ZpVQGjBchBJ2BiBQJAkCIvD
+MR;Adrar;2a7R9CEAmBRYuBgCC6DmEiCwBFvDrF
+TN;Jendouba;muB4KDCBJFCFLFMEYWD
+DZ;El Tarf;muB4KBhBJDJQKQGBCK
+TN;Kebili;4pB0JhBaEgC-Bb
+DZ;El Oued;4pB0JcFQ5CpBLF4BxBaBwC
+TN;Tozeur;4pB0JcmBETOBTX
+DZ;Tébessa;mrBkKcOeJXfxBJBQ
+TN;Gafsa;mrBkKJBHMGwBQJEpB
+TN;Kassérine;urBqKDMIUIIIDKGMXHNNE
+TN;Le Kef;wsBuKCKGEDMOGQJDVTD
+DZ;Souk Ahras;utBuKGHBNFCHVJMEGDEEQ
+DZ;Ouargla;goBqLCvCyBZG3BXApBjBnCLjBfZmCQgD4B-C
+ML;Kidal;qbAbHxBpC5CiEOgBA6CuBAFlBgBDSzB
+SD;North Darfur;gZofAnB1GGpBZBqBRFBmBnBiBHoBWHwBU6DXCYkEA
+SD;Western Darfur;0TgeAlBtBbPI1BdHaVAkDkC
+TD;Ouaddaï;sR4bWhCLVpBMRcGgBWS
+TD;Wadi Fira;0T8cMjBH3ChCAMWViC
+LY;Al Butnan;ynBufMFKlChFHBuC0CL
+EG;Matruh;kjBofRAA8CkBW2BkDObeBFVgB7E5BR
+LY;Ajdabiya;kjBofCtCoDAQfEzChBVAfrCLFa1BACqH
+EG;Al Wadi at Jadid;6hBofpGAA6HcQCgBYMELcS6BRSMBZiC3BAjH
+GW;Bafatá;8PxShBHJMCKUCKDMI
+GW;Oio;8P9SPXPICYIDCGSC
+SN;Sédhiou;8P9SaHARbHDOMKLHCNFC
+GW;Cacheu;2PnTH1BHMIQJLHKGSKDEO
+SN;Ziguinchor;uP9UEiBIDAXFH uQ7TAfVBIGFBDMEM
+SO;Jubbada Hoose;jC-zBwCiCARoBLB7BzCC
+KE;Coast;jC-zBP3BoCVKvBrBYxBNXQMjBfVtBoCwCiB
+TZ;Mara;3BsrBQbAzBTAAePFDKFNNwCgBC
+KE;Nyanza;3BsrBQFEScCAMIhBMJPLjBB
+TZ;Arusha;jCisBzCTKoBVgBYUUFEU
+TZ;Kilimanjaro;zD4uBCJLJXWbEHUWOYfSC
+TZ;Tanga;jFgwBjBNHZjBJMKF4ByBQ
+UG;Rakai;nBgoBKAAJKDDHGHHHNK
+UG;Kalangala;nB8oBAGiBAAlBHGZB
+UG;Buvuma;nB6pBwBAGHfPVA
+UG;Mayuge;nBiqBkBACEEDMCEFFFzBC
+UG;Namayingo;nBsqB6BAHJLEBDjBA
+GQ;Litoral;-CoMPALHBGPPLYKOSPUM
+GQ;Kié-Ntem;2CgNJCCUHCAOQB
+GQ;Centro Sur;2C4MVLRQFLAmBMFKICRWF
+GQ;Wele-Nzás;mCmOANIBBRLCBSJHLGAQ
+GA;Estuaire;oBgNCdXBGLLIDWHJMTVANKiB0BWEFV
+MR;Brakna;6U1SVsBUkBcayBN
+SN;Saint-Louis;6U1SFzBbLQcV-BUYUZ
+MR;Trarza;6U1SsC8CSXA1DrBQzCdcM
+MR;Gorgol;mUjRAInBegBeURALQB
+SN;Matam;mUjRTXCRXITLHqBIqBOG
+MR;Guidimaka;-S9PPUEOsBQBd
+MR;Hodh ech Chargui;8c9HnHvDLiBlBdVCAsE
+MR;Hodh el Gharbi;sTnLWBmBecvD5CU
+MR;Assaba;uTzORgBOMyDNLZjBCIdNTdOJmB
+ZM;Western;lUwb7B4BE-B2DYAVaNH5BSvB
+AO;Cuando Cubango;lUwbuBpBCfaXDZYNKXdZMhBrBKfc7BDZsEQoD
+AO;Moxico;jRwbcAAwC2CBPjCaFhBpBI7B1C_BnBmBEaZYBgBtBqB
+ZM;North-Western;jRwbRwBK0BNYPBB0BOYkCDQecPRTEbKZSBJhBYT1CCAvC
+AO;Namibe;xV2OMgCMHiBSWPgBUkBPBf5Cd
+NA;Kunene;lV2QH1BPLxEuCgBqDkBQM3BHhBwCJ
+AO;Cunene;lV2QRaAkE8BEejBNlBVPIXPpBPN
+NA;Omusati;3VuTA1BvCKOuBoBLOO
+NA;Ohangwena;3VuTNECOHQGgCOA
+NA;Kavango;3VwW1BAByBPACmCwBAGzC
+NA;Caprivi;hWodL_CNAM8CTMciCMV
+MZ;Tete;xTgmBNAbmDbCoBgBVqBdSiBHmBhBaMiBHHbYRd_CJX
+ZW;Mashonaland East;7U-oBf_BTACNjBRPUEuBaJyBwB
+MZ;Manica;3VopB9BLrBMrBZRcUqBoBbKYmBCINWKBMoBBOQSpB
+ZW;Manicaland;3VopBdrBnBEDfduBlBHNMcCWUsBL
+MZ;Gaza;zayoBrBtBrCaDenBSgB0BKRoBDgBXqBA
+AO;Zaire;rHuSHhDjCgBMiBUFSoB
+AO;Uíge;nJsV-BfB9BZCRnBXALkBTBSaHeWA
+CD;Kasaï-Occidental;3I-YfgEuCHQgBSfSGYrBmBIULAjBhCNFX3BGTT
+AO;Lunda Norte;xJqbOBAzBQEDrBnBFDnC7BFf0BWuBwBuBMkB
+AO;Malanje;nJsVHpBzClBBsBlBSJcfKQKCoB0BXQhB-BG
+AO;Lunda Sul;tKsbLlBxBtBT1BpBeKoBJiBMaUECUwBT
+NA;Hardap;9egZkBAQ_BFlBMCCjBdLSnC5BOAkBhBSOMDsE
+NA;Otjozondjupa;9XoaBlCQACpBdLOdxBhBLbRkBvBBEcYqBwBaE2C
+NA;Omaheke;tZoaE_BnBvBlBJ7BYF6BqCAAmB
+BW;Ghanzi;jdgZAyGOIuC9BAzDnBBAlB
+GM;Central River;mRxSCTFFFIEGLYMCAJ
+SN;Kaffrine;mRxSKKWBGdLPNBLI
+GM;North Bank;iRrTBpBDAFCAEIiBDKIB
+SN;Kaolack;iRrTEEAJMHOCDTFDBGTG
+GM;Upper River;8QhSHDBIGWIFFP
+GM;Lower River;-Q_SDFCHBXDDDCAQEACU
+SN;Fatick;gRjUWHHRHCKIPB 2RvUSmBGLHHCVdLIC
+GM;West Coast;yQ3TAPCBAHDCIHBJLEEEAgB
+DZ;Illizi;wlB2L7BnEXYXdpBQTepBOb4BA4DY5B-BhBOS2BE
+LY;Ash Shati';4iBuMNuBxBKqBiCD4BiB8BGjB4BrBrBvBQnCJpB
+LY;Ghat;4iBuMtBBVT7BiBJwB4DL
+BF;Séno;iSIJHBVHDRQOe
+BF;Yagha;qRUNRVUAIGIKCAK
+BF;Komondjari;sQmBJTCFRCCGHIMIGO
+CF;Sangha-Mbaéré;0E4VWbPJEVLZbgBbGyBQ
+CM;Est;6CoUcFiC1B0BDEjCbDTSlBdjBMBgBdCTgD
+CF;Nana-Mambéré;sI0SZTpBKKsCaLCRSBDNSH
+CF;Mambéré-Kadéï;oGqS1BYMaDWUYoBF
+UG;Kaabong;2E-pBRKHeWDGLQF
+UG;Kitgum;2E-pBALLCEFFPHCHOMKBM
+UG;Lamwo;2EypBGJFZHFPMAIKCGQDG
+UG;Amuru;uEooBAFTDHPEFNAIOBSMAKG
+UG;Adjumani;wEgoBDLVLDGIQ
+UG;Moyo;4E4nBNNLCOIEM
+UG;Yumbe;0EwnBERFDNACGJMOB
+UG;Koboko;2E6mBBDHDACDADEAC
+ZA;Mpumalanga;re-nBODFdREERjBjBBbUJJVCQXBIQXXLOTXX4BI8BiBNcWHY
+SZ;Hhohho;tgB2nBIPVRFOGCGO
+SZ;Manzini;7gB0mBTDCKFAGSUIEFLL
+SZ;Shiselweni;hiBinBBcGAIRICFTGAAFLE
+ZM;Luapula;tKglBFbdVVOlCNjBuBmBmBEXaHNJGLkBiBmBhB
+ZM;Copperbelt;pPwiBPdNKbLFqCSQmBb
+ZM;Central;lPolBzBAKJbpBIhCbEF1BdLB-BPSUWY4CcCAgBYWqBlB
+BF;Koulpélogo;6NOGISAGRJJHABGHD
+BF;Boulgou;8NDIECFIAMGBPIDFLJBFMJJJE
+BJ;Donga;uM2B1BKDYcJSIQB
+BJ;Zou;uJgCZSEUSDIX
+BJ;Kouffo;uJgChBAAQIE
+BJ;Mono;sIgCPIDHEQQA
+BF;Nahouri;4N3BBUEIUXPN
+BF;Sissili;4N3BGJIABNKNOEDLHFHIFLFGDD
+GH;Upper West;4N3BA5B1BEKqBQEEKKJ
+BF;Ioba;4NtDEECFGBCLDFDACIPDDKME
+MW;Nkhotakota;nP-qBAXLOLLDIFDDINCES
+MW;Salima;3QorBDTJIDDAEJIAKYE
+MW;Mangochi;7QyrBpBBHIASIM
+MW;Machinga;lS2sBHLCFVDCYME
+MW;Dedza;lSgqBGoBEGIAAJKH
+MW;Lilongwe;lSgqBccGfIDNF
+MW;Nsanje;7U0rBFIJBBKSAGFGECF
+MW;Chikwawa;7U0rBOIUJEVFBNI
+MW;Mwanza;1T-qBBIAIIAAN
+MW;Neno;vTgrBAOMMAJCACJ
+MW;Ntcheu;_SmrBFMWGUJDNHE
+MW;Zomba;_S4sBBZDFLMAGIQ
+MZ;Zambezia;pT6sBXBTZtBGZgBVCoBcmB6CuBLWhBKxB
+MW;Phalombe;pT6sBAFFFDBJECCBG
+MW;Mulanje;9T4sBAHOBDHTBEQ
+MW;Thyolo;nUksBIAGDHLNKAE
+UG;Moroto;8DmrBAFJFHQVIQC
+KE;Western;sBmrBnBZHCQMLKIQOBKMCN
+UG;Kapchorwa;sBmrBKAEDFFDIDA
+UG;Bukwa;sBmrBCCEIGBBBDF
+UG;Amudat;4C0rBHDLAFFHGOI
+UG;Busia;W2qBAHBBHADCGG
+UG;Tororo;e8qBGJBDFDFEAI
+UG;Manafwa;oBirBAHFDDGCE
+UG;Bududa;sBkrBADDFAI
+UG;Maracha;8DumBAGIGEF
+UG;Arua;sDumBCIFECISKKLBFHFAFHE
+UG;Zombo;sDumBJBAEDCGIKD
+UG;Nebbi;gD2mBHQMIKDFP
+UG;Buliisa;qC8mBDSGEGDKAFJ
+UG;Hoima;2BmmBLCMkBSFCJ
+UG;Ntoroko;2BmmBHLHBDCFDMQ
+UG;Bundibugyo;iBwlBDBNASMEB
+UG;Kabarole;OqlBAIDMeI
+UG;Kasese;OqlBTFAMCIOCEH
+UG;Rubirizi;NilBBKCEBGEAEGEDBHAL
+UG;Rukungiri;RilBACXIBGOAGFGCEL
+UG;Kanungu;nB-kBDICGYHAB
+ER;Debub;wWowBRXjBC1CiCFaaIUZPH
+SD;Red Sea;wWowBiBtB-CNFImBPA1ELQdLlDiBjBqBTkBC2B
+ER;Semenawi Keyih Bahri;-VwvBTXAPVDZaJ4BqBjB
+ER;Gash Barka;6R2tBIeNKgBOJOUWQAMxBYXzBT
+SD;Kassala;yUmuBYAGzBZDDpBTL1B0BImB
+ER;Maekel;qS6vBJIKWHICUcNDjBFH
+EE;Ida-Viru;sqCgjBAvBJBDIHJFeUSCM
+EE;Põlva;4oCsiBCXDJHDDyB
+EE;Tartu;spCqiBHzBNDC6B
+EE;Jõgeva;wpCqiBEtBLVDiBIiB
+PK;Punjab;uoBk-CehCkBFTNSjBjBVDVVIrBVFVnDjBhB4BKsB-DwDeD
+IN;Punjab;uoBk-CTddEdfNCBwBPGmBiCgCzBQK
+IN;Rajasthan;4lBu8C5CzCJnBMTvBjBJcXBLWlBQHyCpBWPaYa0BFJoBjBHWWFcgBAQUBXQJuBmCDhBQKYNDPWBPhB4BXEfYD
+PK;Sind;8iB43CabbzCXJ3BMnBfDYhBKHaaYC-CyBRMVYCIb
+IN;Gujarat;8e64CRLEvCdXMaRPbwBOkBVLJxB_BoCU2BsBCAeLPNCEYNXZQbJGcSBGWQNOeCVyBcYfqBV
+US;Alaska;i3CnwFS5CO9KEKAjBCWCPIGBrCOhBPjBGHKaKjBdzEDiBBVLEMREKR1CGIvBjCHnDTDBVdsDTSC2BFgBJNHQFyBC3BUhBbYBkBDrDETOWCXlB7EP0CBjBXeC6DLOSoBBoBNdFYRIJLAxBTfGzBNTDQHNDKCVjBpBViBYaRZDYFPBgCBPDWFLOxBPTb2BG-BKFSgBPVfeNJBQRZQqCZ6BgBOLWETPMW4BfdHQBRXIrBvDPPHOE9BrB9BOGHaODHaUQJMayDKOAVIIWsCMA-BkEMnBkBiCKTwByENXLoBI1BLnBnBRCiBTnBDqBeyBJGQGFmBUUAdIUGTUmBRDMMJIIqBFRDaDXBqBJLK2BPNJcEyDJBHuBOgBJYHPQFRP1BgEIYanBF0BDLPGFgBwBJpBYHYMQRLHmBCRPWIZNYFTnByCBRVHUuBfQFRIYVTEYQOgBBUnCoC9B0BpCDrBbtBuBjCMEBrC wlC1jFONTTFKOIRG ykC_kFQAIbAWQNUrBRSJJAUNL 0mCrnFKIEbhBK snCrnFZMEUMJHQOD unCvpFGJLA -mCnoFaPBZvBoB ioCl-FOtBLEEbVKSVNXTUKIAPCePJY4BGN 4nC5pFCMMJJoBUrBCoBG5BNMAN snC9nFOUaRTUWPKdnBaPL 4gCx8GGLNJ 4iC5xGGPdhB mjC7vGIbJMPtB skC5rGObRvB -qC_uGUVJzBRyB kvC9yGQ9BE5BLDV4C
+CA;Yukon;i3CnwF1LACsCNCAiTmBfH5CcLc1CkBLIVKOMLoBjDKKIROaKPEIAxBYAQTCKA7CsCL
+SD;White Nile;oPwpByCfkBKCNbdnBUVPbE
+SD;South Kordufan;gPkoBcXRfUfRPIXxBhCpCeDiBmBuBRyB0BwB
+SS;Unity;mM2mBUlBftB9C8BASsCX
+HK;North;mc6uEAFDACKCDBB
+CN;Guangdong;mc0uEQgDMMGLIaqBPKhBNDB3BGJSYMHE1BVNKZ7ChBxB_B3BGKaOPYIE0BQKJQOEHUOUQJROmBDASDL
+VA;Vatican;s0ByPACCA
+SS;Northern Bahr el Ghazal;gM8iBDxBUVrCGLWSkBcKMqB
+SD;Eastern Darfur;wM0gBTWEyB6CbInBoBlB5BB
+DZ;Naâma;qoBxBEwBkCGFRQJHpBtBERU
+DZ;Tlemcen;0qBhCGWSOYXHhBNS
+IN;Himachal Pradesh;2oBgiDcpCNdfHjCwCeOAqB
+CY;Northern Cyprus;6rBwqBKBQaNlBCdHAAH
+CY;Famagusta;6rBsqBADDEAIED
+CY;Nicosia;6rB8pBGDDVEFBFJGCKBMCK
+IN;Kashmir;8rBqgDQeBPIX
+KZ;Baykonur lease in Qyzylorda;-4BovCEOMIKDINDRLJLG
+SY;Quneitra;ipB6sBCECAACCBKAABCAABABFEBBDCBA
+CY;Akrotiri;qrBopBCFBDAGDCAE
+CY;Limassol;qrB-oBCEBGCKCAIJAHJF
+BZ;Toledo;8TxvDAOOGAIKGINJP
+BT;Thimphu;2iBwvDAIXIOIKLGCEF
+BT;Paro;wiBsvDLKDAAGOAEFECAH
+BT;Gasa;gjB4vDDGFBBGKUBIMKGV
+IN;Jammu and Kashmir;gpB88CTwBaMKmB6B7BElBPVPUJL
+RU;Crimea;05BiqBJCRvBLqBbImB0DBtBaf
+UA;Kherson;m5B4rBcCqBhBErBdFDnBDcNjBD0C
+IN;Bihar;ghBytDGnCkBvCfWDRNCRYTvBNBXuBSyBPcuBgCQJWU
+NP;Narayani;uhB2qDaGMLIXNZ
+NP;Lumbini;qiB8oDMUGjBGCIPVTHEFW
+IN;Uttar Pradesh;0iBqnD4B1EiBbLNeHdV3BSZJXQHLGeTkBpBfrBEEYiBRMQNBGSLCOiBPEIyBTuBZCDSyBGYyBQXOBEScT
+NP;Rapti;0iBqnDKOMEIHMKKXVXRKDF
+NP;Bheri;8iBymDcBQWGnBPBITJMLJJK
+UY;Salto;vmBnoCbLLmBBceSIPHZ
+UY;Rivera;xnBhkCgBtBPXFOPKBcJK
+UY;Rocha;rpB7iCVjBtBFeoBMG
+UY;Treinta y Tres;_oBviCB_BTNDoB
+UY;Cerro Largo;xnBhkCRFPdRCI4C
+CR;Heredia;uN1oDBFEJhBBCGGAEIQACG
+SI;Črenšovci;m6BqUAECAAD
+SI;Ljutomer;m6BsUCDBBADBBBI
+SI;Razkrižje;k6BqUACCAAB
+SI;Ormož;k6BqUAJFECI
+HR;Varaždinska;-5BkUDHBOHCECIQ
+SI;Zavrc;85BiUACEAAB
+SI;Gorišnica;85BiUCACCCDFA
+SI;Videm;85BgUEBADBBBCCAACDA
+SI;Podlehnik;65B6TACEAAB
+SI;Žetale;65B2TAGCAAF
+HR;Krapinsko-Zagorska;65B4TDHDEDABKGMGB
+SI;Rogatec;45B0TAECAAD
+SI;Rogaška Slatina;45B0TCCAHBE
+SI;Bistrica ob Sotli;45ByTBDDC
+SI;Podcetrtek;y5BwTAECAAD
+SI;Brežice;y5B0TBDDDDCCG
+HR;Zagrebacka;o5BuTDLJeOQCMITHCJNKFEGAH
+SI;Krško;o5BuTEBEECDADBCDDDE
+SI;Šentjernej;o5BqTEBBFDE
+SI;Novo Mesto;m5BmTEDCCABDHDE
+SI;Metlika;k5BiTBCBDBEEAAC
+SI;Crnomelj;-4BkTCDAFDAACBBAGAGCA
+HR;Primorsko-Goranska;64BiTARIHHTLEIGLW 23BiSGDHI m4BsSMFFD
+SI;Kocevje;64B6SCCABCCGDCAAHDAADFECG
+SI;Kostel;84B4SCFBBEDBBDGAECA
+SI;Loški Potok;-4BqSCCCCEH
+SI;Loška dolina;i5BmSEABFDC
+SI;Ilirska Bistrica;g5BkSCFBJDABACK
+IL;Jerusalem;wnB2rBGIBEGACBDACJBDFA
+PK;Azad Kashmir;qrBg-CSdVnB5BIJcONeKENYA
+ES;Orense;20BnKDEJDAeGSQKGFFLIlBBH
+PT;Viana do Castelo;20BnKHVHFBIDDCKECCMEBGG
+ES;Cáceres;ixBhJGSNaOwBiBPKhBJfVAAV
+PT;Castelo Branco;qyB1IGTVfHAEMHGGgB
+PT;Guarda;syBxIWCOLBHHBFJJABHJAGO
+ES;Salamanca;syBxIIaHSUWOCE7BJL
+PT;Bragança;0zBjIKMENMAAZdJFa
+ES;Zamora;0zBjIHwBkBAI_BJDAQLCDO
+PT;Vila Real;o0BhKDBDMJHHEEUUKGBDJER
+PT;Braga;o0BnKHXFADICQBIKIAHEDEC
+ES;Pontevedra;20BnKOFEQKAFdJJAMHHEKJLHA
+ES;Huelva;wuBnJEWTUaCIJKQMfXV
+PT;Faro;-uBrJHVEdRHEQDgBGQ
+PT;Beja;4vB1IGvBJJJCARPADeIW
+GB;Flintshire;yiC7DELFCFKEI
+GB;Cheshire West and Chester;uiC1DHICGEBGKEDBXDI
+GB;Wrexham;uiC1DDHDCDLBGGKBM
+GB;Shropshire;giC9DBIFFBEDHDGBUIMKBFDGJCKICBZ
+GB;Powys;giC9DCLLTHMXDGcKBIGEJEICDGG
+GB;Herefordshire;ghC5DHQEIEAAEEAGDGRJH
+GB;Monmouthshire;ghC5DDADDAEFEAGDBCIIA
+GB;Gloucestershire;wgCpDIKFFBMCYQCCFDDAXDADJ
+GB;Scottish Borders;4lCvCGNJdELNFHaFCOaIF
+GB;Northumberland;glCrDDILBAKKiBWHINFNHG
+GB;Cumbria;8kCxDHVPJRUIEAeIGOFAJMC
+GB;Dumfries and Galloway;8kCxDOPFPGNTvBLOIAFSIAFS
+BE;Brussels;w_B0FEDADDBBG
+BE;Flemish Brabant;s_BkFEaDOIECFCECjBNN w_B0FAJEG
+BE;Walloon Brabant;s_BkFBADQEUEACJ
+BA;Central Bosnia;i3ByVHMAYWPCX
+BA;Zenica-Doboj;w3BmWTOKaCHUVADJA
+BA;Tuzla;43B8WPKBIIAGMGBDFCDKACLDNFM
+BA;Sarajevo-romanija;i3BoXHDAFDCBKCECUEBIL w2BgXCICH
+BA;Sarajevo;i3BoXCFDJFBBFDCDKAEEABIIJAG
+BA;Bosnian Podrinje;02BoXBABGCMEFAFBD
+RS;Grad Beograd;63B-YFCCILCGIDMGEIBSR
+RS;Podunavski;63BgaDAABDEBDDADQGBGCID
+GE;Guria;o0Bk1BCGEAGRCPDDFC
+IQ;Sala ad-Din;-rB23BRJUjBUBlBhBzBmCsBKMS
+IQ;At-Ta'mim;8sB63BBdLFFTbqBeU
+AQ;Antarctica;xmD1gCFlDAQzB5IGjBSgBFtBEKShBOgDJ5FEnBMQCXOiFY3JQfL9FGYazBEpEC6DUYIvFNBwBnEBmBUfjBqEK2DerFIkBTsIW2BCxDqB1CH0JKKARqB6IEzBG4BGpBEoBKFNcIeQVD2BKOA1BEiBEbEiBOICjBQNJ0BEcQEFfQIAhBIeKPIOElCEiCGzBSuBMrBOcGpBIWObOGU7BGcKVIkBJ7BHMIvBKKETIeBnBGQGNIOMJCiBELSSFiBKPKYIJTuBSADiCQSF5BMNKaKTkB4CFwBMLgBiCFaQVhBxEXXCjBLEBhBHGEdNJHMVrCVAChBbECVOCDVTDAsBPdLYBTRIDVHeRZC3B9B4BRHZiBddJzBfrKQQD1CKCQjCRMGpBRCHlBctEBrDGLOWEvBREJpCMxNOrBFPRYLgFAlFLGDyBTIBgCNbN0CAjQCLa8BQ7BFLHWBXJQJlDOKATMsBBVOOKdJjBPKK7DV3EFjPQ9BR_BHaC_DPnCJcOnCZhFNuBOxDL7BNqFDTHaCrBJuBAbJUQjEHLF0BN3CU_CKpHTELVDML2FPtDxB8LCtCH6BAvDFIBZFiBBpBRmEN5LRkEJpBX8CXvHDiCFZFpIOjBDzFU9FlBqIBPA8DJ0BD5BH2CAnETwNBxCJ2CB5BAmBiB_dhHAAgiOiHAoB9OGpBCqCgBnFF5EM8DoB1EBoBGXIOC3BCqCK_BC0BELAnDUkEEtCI2BCvBE4BMZIYDqBWTRqBM6FK7BQJJhCOcAfEUGfIOQZEhBGaGVIUKfQgBQbA_BIwCIIGRUsBLwCcpBDkBcdAgBBLRGBSGaGTEOGoCAtBSRPyDWeQhCJuCQTOwBWZNDa5DIWMpELNWzBHXZOInBgBXEhBISMXOjFiBlCRBF7CEVSBB7EENKOFRKKOfN1CmBYS5JSzBPnBQVB7DLnBbZAtCUVIMGjBRxBZlHEHMkCCrEVhEc0CM7BKGUxBL5CJRPKJrCsB1HD1BlBjDQIJzGKnCXpJNrBHIXhGRDRfPxCPNGxCNdLILrBbXFQhBvCBvBHRREFfGhBIaiBKiCwCIxCWoBJgBOOIXEoBKRIWAVOkBeVQvLJlBYrCP5BGPOmBMbA0BerEVrENBAYLPFSDvBIIMbHhBHqBJfVHKCArBEMGdEWElBRDrBlIdBFZRHUtBBlDUDI9BOcCrBJbXUTJnB5GC9CWhBNlCETEeMhBVVFhCIXQOINPhBE_BMEHtDMjBATHYVvBclDPhBMlBLGPtGhB3DUZDnGUYGRFrCfMBrBUNMnBbbK_BR8BXVL3DPUAhCNnBNcDZC2CThBA9CjBzBHYjBnNrB5GJRFKAfftBT6CF6FLrBLkKb_PTrCK9BjCrIGvBKeKN nkDjqCSvBEQJ3BDKBVHYDVApGX2H xjD1yCEjCV-BGiBMxBCkB jjDp1CAgBFrBI8B hiDtzCR5EXvBD2C nkDzhCEIArBZnBB4FY6HILCcSIcfA_BI6BOEUnELrCZxBXPJU h9CtZiBLT3B h7Cx9CLzBRkCMLMW _6CzxDIfLOLF r6Cr3DAjBKeF1BMmBCLNpBMHJdMOEVFXHSElCIMJ1CT0E 34Cz9CM2BJ3D 13Cr-CIsBKVLjB 52CltCKhBVU 56Cp5CE6CeoBoBFwCxCLnCNYXHN4CLhCF6BLBE1DDLHkBL_DT4BGUGPK-BLiCJ1BDuCH5D x0Cr2CIuBELIWINMQFd zwCzuCKZRd zwCpuCOaEV twC7nCISEfKCLZ 1tChpCEiBF3B znD9qGC5BF4C ljD5nGanEXrBR4G 5gDyzGMlDPVFeARASFH z8C31EImBEpB t8Cp2EE7DBoBNbFgB 97Cp_EbqDIqBKzCGaOjB x3C4BFRHK 3xC29DJJEmB
+NZ;Auckland Islands;x_B2vGAJBEAK n_B6vGCCAHFABFDBAECACCDAAIEACFAGAD
+AR;Buenos Aires;pzBvuCQYOLUQUHBMWPHyBUwDQgBuBiBaBMXeEWzBaGgBrCtB3BAhC7HB
+BR;Maranhão;vBz5BrDnB5BhCHyBhCJhBeEUrBXxBuB4BBwBUmB-BCoBiDB0BwBY_BTlBSMjBd6BKSLNRSB
+BR;Piauí;tDp0B7BtBhDCBnBjB7BxBT3BAXkBSuBoBEIuCwB0ByBGqCfuCB
+BR;Ceará;3DxzBRH9EkBCkBTcWQqBB8B2BsCtD
+BR;Rio Grande do Norte;hGxuB9B1BO4BXLNgBcMH6B2BV
+BR;Paraíba;jI1rBI5BbLOfYMRlBGNxBHHYWiBJKTNLQiB6BDc
+BR;Pernambuco;tJzrBEXhB5BMPUOKJXnBS_CbCXdFSZKmByBLkBTKUURuBQ6B
+BR;Alagoas;jL9rBRnCUfTTtBqC
+BR;Sergipe;jNvtBmB_BrBIHRZS
+BR;Bahia;rO7uBYdKSWC0BfKhBlBxBgBThB5BIpBxBTLjBWblBfLSdJzDKoBsCDQNBPyCZUBsBNOxBdjBmBYUqCM8DBHY
+BR;Espírito Santo;7WxxBOxBhBABNXMjBjBdGFeaWwBc
+BR;Rio de Janeiro;xalzBSlBlBPZlDLcVbKiCOELCBqBSCWoB
+BR;São Paulo;ld93BOBQYIZR7BWNiBICT6BRT5BUNGzBzDnDH-DlCcBcXU6BkC
+UY;Maldonado;vrBlkCiBCRNHXLIBM
+UY;Canelones;vrBllCYJFdJDFEAMFA
+UY;Montevideo;zrBhmCEAEDBBCFFBBEAEBC
+UY;San José;vrBtmCkBDBZHGLHHM
+UY;Colonia;hrBtnCMIIFGpBDJVW
+UY;Soriano;rqB_oCEKFqBWJMIBjBJN
+UY;Río Negro;3pB_oCOWBcKUOEAhCRGFL
+AR;Ciudad de Buenos Aires;jrBhpCFDDEEG
+NC;Nord;1asuGFoB4BzC
+AU;Western Australia;znBohFiVACXbPgBKoBzBVNOXdDQLTRPMAXNOKVLJREIKVNBUI1BRBHSNBILXBwBZhBdhBI9B3BnBjEEhBzB1CZLaLlDZrCiBOPJDcJnBOOb1DkCpDiB7BAJbdAXoBJuCuByCAuEoBe
+AU;Northern Territory;xSohF9NAAoL6LAqCpDUWkBACWkBWSRVLQHJLWGVbInBmB3CFJHeZKJNOrBXPKLLEJVPIDRjBVRaPLORPB 3RmrFSBBTRD zOmjFQHTN nOukFIvBdY
+MG;Boeny;nUk4BZSPkBaSBa6BPRXLEKL
+MG;Sofia;pT-6BhBIHWKQTQUUkBHQYeTOhBTVPMIHVNSA
+MG;Diana;xRi8BIIPYOUyBMcNTVNIXFCLRHIP
+MG;Sava;5Pi-B9BVlBmBhBEeO
+MG;Analanjirofo;7T2-BiBHETPRjBIfNbCKYaO4BF
+MG;Atsinanana;7V89BPhBxBAZNDVVCCgB
+MG;Vatovavy-Fitovinany;vZ48BIRNVjCTNgB
+MG;Atsimo-Atsinanana;nc87BMjBfIENXAHRTUMY
+MG;Anosy;jeq7BHVURqBNFbbD_BmBKkB
+MG;Androy;vf65BKLiBDIVnBHPNLQ
+MG;Atsimo-Andrefana;zf-3BgCgBgBVuCgBLpBXPWhBZJ_CQ
+MG;Menabe;zau2BVOASYQMqBqDHBfjBMEhBhBI
+MG;Melaky;9Xq3BDiBkBLEmBSIgCtBANzBT
+AU;South Australia;znBohFI4CVqBB4BrCgCXKAPPiBSAkByBuBWrBIVTdANXEkBoBOZSfRIyBHLZYaddiBhBAhBwBiPCA_O 3sB2sFIfLf
+AU;Queensland;1UwsF5LAA4D3DAA-JS2BXsBkBsBEoBmBRsCFoCzCqBBMbTAGP6ChB4BjDwCNQV8BBgBhBJb-BJ2CnBpClBFQLPzCC9CfJhB nf2_FMBrBJ
+AU;New South Wales;ljB8_FDnBjBrBYrBR1BA9JnGAf-C1B4BMePgCKgBfIbqCmCKaa-BQsB0BmBQ lsB26FVPWF
+AU;Jervis Bay Territory;7rBs8FDDAGEA
+AU;Victoria;7uBu7FcpCgBHJfQ_BLd2B3BgB_ChFANSCsBTqBoB4BLGHPEeLDXqBSHc-B
+AO;Cuanza Sul;1OoRRwBKQOBqByBaLK1BDPbAKpB
+AO;Benguela;9Q2PLmCOgBeLWISvB
+NA;Erongo;tdkSJ2BsBEOUwBCapBbnC1BiB
+ZA;Western Cape;vqBydUDGfYYODMiBQDLlBSdZNd9BeJPbwCbVnBdWbAHR9BYKObwB
+MZ;Maputo;rgB6oBCDDBAE
+MZ;Inhambane;la8rBdtC9D2BoBqBiCALF
+MZ;Sofala;vXmtBqCzBDVrBBVVHOlBBJXvBYOsBQRmBDJO
+MZ;Nampula;7Q2yBfzDblBbwCvBSgC8B
+TZ;Lindi;rKkxBHdWd3ClBZuBS4BJKSM
+TZ;Pwani;_IqxBGPsBJCnBtBcjBbVeIe
+TZ;Dar-Es-Salaam;lI-wBHFFEFBEMHCBEICGDAF
+ID;Jawa Timur;tIyrE7BbB8CR2BmBFCzBkBV zIyuEF1BHgB
+ID;Maluku;1Jy-EEjBNH nIkoFQPZB 1HuoFcJZH pEi_EQPHhBXc tEyjFWRIhBNjCPEUIPOE4BTkB
+ID;Nusa Tenggara Barat;rK6xECNVRDc 3Kg1EMJJLKAIdFHPYBTOXFNRDDaSoBJAAUEH
+ID;Sulawesi Selatan;zDs3EKcgB3BNdnEHAoBqDJOY
+ID;Jawa Tengah;vIkoETNNKJyBOQbU8BcOdXT
+ID;Jawa Barat;zH4lEJBAVpBAJgDOJUOWV
+ID;Jakarta Raya;xHulEBBHCBIKCAH
+ID;Banten;3IglEaAAOMAGZXLLLCL
+ID;Yogyakarta;nKyqEOBCJKDFHADHD
+ID;Sulawesi Tenggara;hE-4EQtBVLbedCSwBgBb jGw5EGPXDBM xG-5EiBDxBP
+ID;Papua Barat;pFyoFUQOnBWQWT6BAUjCRvBZLDqBbMGiCXJMRPzBTiBfEKWmBQdFLyBAJ nB6jFCPPM
+EC;Guayas;5D7jDiBeWbgBMnBlBJMRNHKQMHEWG
+ID;Sulawesi Tengah;S23EQBIkBMzBVNIJnBZfITNZOEYf0BLFLiB6BtBDQwBmCDpCXjB2BbWU xBs6EHbGONE
+ID;Maluku Utara;_BmgFKTLJ d8_EQXRG Hy_EbgB2BVJoBWbMUUAXpBOOkBCnBZ kD8gFBPRB
+EC;Galápagos;dvxDiBbbQPN
+PG;East Sepik;lE8yFDRXFHtBNARiCQ6BiBC
+PG;Madang;_E40FnBZHKdyBG2BMpBcC
+PG;Morobe;nHw3FHlBJMnBLdmBAwBsBpBIkBOA _Gi5FELNK
+PG;Northern;_Jg5FAnBTYpBSPeOaYFBb
+PG;Milne Bay;_L66FHTdkBAiBINGU tMg9FKRTU
+PG;Central;9Mk7FWTItBwBVSrBnBGtBuB
+PG;National Capital District;7Lk4FEBADBDBCCADE
+PG;Gulf;3Kg3FiBKkB3BA5CtBmBWLR2C
+ID;Kepulauan Riau;sB6iEAPJM 6EwnEQHJHNI
+ID;Riau;mDs9DrCFRcTAdkBMkCMGINWUKPLjBKa gB6gEMXLC yBigEGJRG
+ID;Gorontalo;qB44ENpBJICkCHQKCQPFJ
+ID;Sulawesi Utara;mB85EZOEiBsBmBKJjBpB
+ID;Sulawesi Barat;rEs1E-BOaNSCrBHhBXdI
+CO;Cauca;qDxhDRIBWhBQLgBmBTSICYeLE1BbL
+PE;Moquegua;nW_4CmBeDIKKaPCRRDPThBC
+PE;Arequipa;zVr5CsBasBNS9BdVHdUbNN
+PE;Ica;pT79CWQoBhBSCCLQGALjBR
+PE;Lima;zQp_CWeYFYbwBTPZQLlBGXmBXD
+PE;Lima Province;zP__CKGMBEBDHIEIJFDLCPO
+PE;Callao;jPtgDACEAAB
+PE;Áncash;nNrhDKIPISWuBIuBjBnBnB
+PE;La Libertad;lLpiDkBeVkBOEKToBNAJRKLVCbeTTD
+PE;Lambayeque;9IzjDQWOLOKUdJAXb
+EC;Santa Elena;lD1kDIKKEGLMBBJPCDJ
+EC;Manabi;jC_kDFOoBiBaIWLANdRJIPX
+CO;Valle del Cauca;kE5gDD2B8BQOPnBREjBJQ
+PA;Panama;uK_hDSBKQMREnBTZVESOMcFDJU
+PA;Coclé;wKhkDaFFFAFNLRGAGIE
+PH;Sulu;wH43EENFHDS
+ID;Jambi;dqhELjCTDFVXKPyBmBuCcF
+ID;Sumatera Selatan;lC2iEpBjDXmBRNrByBwB4BPQMKgBEaREdRLYO
+ID;Lampung;lFqkEQVbnBRAAbpBmBSALYOGRS
+ID;Bengkulu;jGwhEUAYlBQOuB9BJP
+ID;Sumatera Barat;jDq-DIMYJWeiBnBWBarBPIJdpBuB hCi8DcXdK
+ID;Sumatera Utara;K-7DKeQHFSoCGmCzCVPhBEbITc oBu6DQjBhBa
+ID;Aceh;4C06D-BLYUWParDjBO
+GY;Demerara-Mahaica;4IjpCLNFCBI iInpCNOOBOGCL
+ID;Kalimantan Tengah;pE8uE4C8ByBRFNkBBHtBLTfBHtBhBvBrBKNPMoBfGauBVY
+ID;Kalimantan Selatan;9C2xEAboBFDLvCrBEKfCW2B zEsxEUBhBF
+PH;Davao del Norte;mJq9EUCHDODANLEDFAINA
+PA;Veraguas;oJhmDKDFF gLvlDLCENhBBFOMGZEAOWNOKYB
+PH;Zamboanga Sibugay;oJ25ECDFB 0J85EIHCHJNJDCIICEIBEJABI
+PH;Palawan;8Lq0EGLzBtB 8M40EJISWkBJZBIH
+VN;Sóc Trăng;sMskELNNMIO
+PH;Surigao del Norte;6L68EFMIIMT qM29EIDHD sMk9EWBNF
+PH;Surigao del Sur;8Lu9EHHNCpBYYAELKKSFBF
+PH;Agusan del Norte;oL88EAIICKFAF sLw8EHELAEQ
+PH;Butuan;oL68EHCAGIC
+PH;Misamis Oriental;2K-7ECWUDJDGL sKq7EKMCF
+PH;Cagayan de Oro;2K27EHDDEGCCKCACDBABDCA
+PH;Iligan;oKq7ECEJMEDGAEFBF
+PH;Lanao del Norte;-J06EDDFQUMAL
+PH;Zamboanga del Sur;gK06EKFANJAFLBILCFMIDEGGBEK
+PH;Misamis Occidental;4Ku6EVABGGIKBIDCFBA
+PH;Zamboanga del Norte;-Is4EAIeSOoBSBHRNDFb
+PH;Zamboanga;qJ-4EADLFAHHCAI
+PH;Lanao del Sur;qJm7EKODMOFMLVNCF
+PH;Maguindanao;kJo7EFEBJLDBUEIHKWHJAGJGCBFSEHL
+PH;Cotabato;iJo7EDECAED
+PH;Sultan Kudarat;2Hu7EGDAQOADWKBFLIHDFARNA
+PH;Sarangani;uHs8EIdLY gH08EYIKN
+PH;General Santos;0Hy8EGACDDBABJAACGC
+PH;Davao del Sur;4I88EAHHFNAFMHETJUQQDGH
+PH;Davao;iJk9EAHOAAJPBHECM
+PH;Compostela Valley;6Iu9EKOcDATNEEGLD
+PH;Davao Oriental;8Jg-EEHbEJNdKYBDIIBMMQA
+LK;Trikuṇāmalaya;oLklDDFBGTAHOEGKBAHGE
+LK;Mulativ;6L6kDDBBNNDCKEAAKFECI
+LK;Yāpanaya;gMykDFIOPAD gMqkDECEHBHFI gM8jDAEGD
+LK;Kilinŏchchi;kMskDDBBI wLkkDISBCEAALGJFGBF
+LK;Mannārama;2K8jDBGGACICBEIEBAHMCLL
+LK;Puttalama;kJ6jDBEOBSKMHIEAFVDOAFD
+LK;Gampaha;2I6jDBIEGKACBAL
+LK;Kŏḷamba;sI8jDEABCCKGAABBDCH
+LK;Kaḷutara;iIgkDFMGEOHAL
+LK;Gālla;uHwkDMCEBBEEAAFDBGLLE
+LK;Mātara;wH-kDIFGCCDBDBCCDDCBBDCFBBI
+LK;Hambantŏṭa;kIkmDEDJNCHFDCLJAGa
+LK;Ampāra;qJmmDMPBNRMIIlBIUI
+LK;Maḍakalapuva;qK4lDADTBJKCGFAGEIFBESL
+PH;Southern Leyte;oNu8EDJHADFHMQBHEEG
+VN;Tiền Giang;iNolEBFIFAFBHHDBmBGB
+VN;Bà Rịa - Vũng Tàu;kN4lEDKGOKFDDCDDJ
+KH;Krong Preah Sihanouk;oN8hEQCPRDGCGGC
+VN;Hồ Chí Minh city;mN4lEGJCGGBIPDDDGHAFKEAAGHC iNylEIDHA
+PH;Leyte;4N27EGCRITBQQGFaADNKLXC
+PH;Eastern Samar;sP08ECDHDdKLDCQFEYLYE
+PH;Biliran;uO47EGDAFJECG
+PH;Samar;8Ny8EMEkBHAfVcJH
+VN;Khánh Hòa;iQ4oEAHFLHBBHJCPSOCLEYFBIKFGGJE
+CW;Curaçao;kP_1CMNDAHGBK
+PA;Colón;-L5iDCXdvBJGMIEUSUFK
+CO;Antioquia;qKngDRFXaPRXKBSZMK0B-BcLPwBThBnBCV6BBLTZI
+CO;Córdoba;iLx_CPKpBHBWkBqBKTWEOT
+CO;Sucre;4Lz-CNUVDFaSEaNIRUF
+CO;Bolívar;0Mv-CzBqBXLvBYYQ2BAUlB0BR
+CO;Atlántico;sNh-CHAJOOGQACF
+CO;Magdalena;8Nx9ChCCVmBYLEOUJQUgBACXXJEHGM
+VE;Mérida;wL_4CHCPfjBSyBmBQP
+VE;Trujillo;2L54CNOAYcEOXJBHP
+VE;Falcón;4Nj5CbaYgDWXCfcNVJHU
+VE;Yaracuy;qNp1CETHJLADJJGEEFEGWUB
+VE;Carabobo;oNp1CDFTAGGLICUEFMC
+VE;Aragua;iN50CFILBNiBHFBQWAGTSL
+VE;Vargas;mNn0CFCEMECBaCC
+VE;Miranda;qN7yCJjBLEFuBGU
+VE;Anzoátegui;2M5xCRJfkBlBbLae2CgBvBkBD
+VE;Sucre;6M1wCFYIUJaEGKDDJKEIqBD_CFAAY
+VE;Monagas;0M3uCIRJXdEjByBUcKLqBH
+GY;Cuyuni-Mazaruni;yJvpCJLLDJCFMQQKA
+GY;Upper Takutu-Upper Essequibo;gInpCfAJLXEDcsBU
+GY;East Berbice-Corentyne;wI1oCRFJCAEKCIIIB
+GY;Essequibo Islands-West Demerara;sIroCFAHHNBFMCGOI
+SR;Coronie;uH3mCZEESGGKB
+SR;Saramacca;kH7lCBBJCCSSICXBD
+SR;Wanica;sHhlCJDAMGF
+SR;Paramaribo;sHhlCDCBCGC
+SR;Commewijne;oH9kCDEBBDCAQIDICCPDBBMCJ
+AW;Aruba;4Pv3CCBDAFG
+IN;Andhra Pradesh;8QskD4CAkBwCUCyCgDNXKbffKHtBpBJnBLIIRlB1BHlCbEBPTAPcLBKTPCEuBXSVJeuCMD
+HT;Sud;4Wn7CGDAPEDDhBLYII
+NG;Ondo;qHoGiBECYoBIRRERbX
+NG;Delta;uG6GIqBwBIHZPGHHQjBPBGKJFBODLCSHL
+NG;Bayelsa;4FsIILYINjBELfWBKICHACMGCFE
+NG;Rivers;8FuJGNOCETQFjBHHOJBAGUFRIAEOBLECGKFJK
+NG;Akwa Ibom;gGsKSJKPTHREAe
+CM;Littoral;iEuMmBuBSHFTQECPQJrBPDMNH
+GA;Ogooué-Maritime;tDuMSaWZUEoBdXLKLnBiBOVrBYHWER
+CG;Pointe Noire;hG8OEAABBB
+AO;Bengo;3K2QJMTThBMJsBcAIRYAUICOUCKXFnB
+AO;Luanda;1LuQIGAGMIIBCJFCAHNHKGDDFB
+LY;Surt;inBmUpCKAwBjBkBsCM
+LY;Misratah;yoBuSTDExBVKrB0BbEL2BqCJ
+LY;Al Marqab;-oBuRPbLGEcHWUE
+LY;Tajura' wa an Nawahi al Arba;kpBsQVGQc
+LY;Az Zawiyah;gpB2PNJFRBmBaM
+TN;Gabès;2qBwMCdNCVSOc
+TN;Sfax;8rB4NGHDZTLFIJNDKQa
+TN;Mahdia;usB4NFRGLHDHEBGGQFIGG
+TN;Monastir;4sBsNLHBOGIEHEB
+TN;Sousse;utBmNAHJHDEFDLGFKECADMIMH
+TN;Nabeul;-tBgNNBBIEKQOKF
+TN;Ben Arous (Tunis Sud);guB6MFLHMAEMC
+TN;Tunis;kuB-MFNBCAGECABAE
+TN;Manubah;uuB4MHHDRJOEGCBGOGF
+TN;Bizerte;uuBsLRMUiBCNDDICAD
+TN;Béja;ouBkLZIEaEEMLDHQJ
+DZ;Annaba;suBiJRKBEGGKC
+DZ;Skikda;muB6HNIBSDDAGMSOHHBIb
+DZ;Jijel;6tB6GFEEkBCCMJ
+DZ;Béjaïa;kuB4FJAHJHCGUGIFEEKGA
+DZ;Tizi Ouzou;kuBiFHDBHFGAWMIEB
+DZ;Boumerdès;-tB-DBUDAAEEIIEAHDPAH
+DZ;Alger;guB4DBBDECI
+DZ;Tipaza;2tBkCHACgBKWGBHP
+DZ;Chlef;utBeFBAIFCHSGGDGSFIG
+DZ;Mostaganem;4sBDDKEKWOFP
+DZ;Oran;wsBrBDEDBEOHCUWENFFAH
+DZ;Aïn Témouchent;ksB1BDADOMOEBDNECED
+MA;Taza - Al Hoceima - Taounate;gsBzFhBnBR0BNGOWDQkBEDVYJ
+MA;Gharb - Chrarda - Béni Hssen;4qBrIBuBWOMpB
+MA;Rabat - Salé - Zemmour - Zaer;qqB7ILMLCAOKCFWSEMHEf
+MA;Chaouia - Ouardigha;mqBlJPJEPLDZSFUOMCgBsBpB
+MA;Grand Casablanca;8pB7JBMDAEGME
+MA;Doukkala - Abda;-nB5LHoBOIKHUSYAhBxB
+MA;Marrakech - Tensift - Al Haouz;2mBnMAmCUiBkBCUhBrBRGpB
+MR;Inchiri;4XnUAwC2CCAjCPK1BlB
+MR;Nouakchott;sWhUAKUAAJ
+SN;Louga;sT9UNGGKLGPsBUWOJSIAnBMJ
+SN;Thiès;0SvVfQUKODAUOHFJOF
+SN;Dakar;oStVGAGBFNDECACE
+GM;Banjul;4Q9UBEECCD
+GW;Biombo;4OzTGEEBDBCFJDCCACECBCABDB 6OlUDEGC
+GW;Bissau;8OtTCBFD
+GW;Quinara;0OpTBGEEDBCEDGBDCAAHDFFBEGBACGAKKEEHGBBNHD
+GW;Bolama;gO9TFBAE 8NhUEBDF sOrUECBH sO_TDBCGGB
+GN;Boffa;uMjRGHYMHlBLEAMFAGGFBHI
+GN;Dubréka;-LhRBGQCIMMAFNCLHDFIHBCI
+GN;Conakry;8LlRAECAAD
+GN;Coyah;-L7QEIDIIFICCDADDBPB
+SL;Western;qKnQAEEAGPDAFGDA
+LR;Bomi;gIvNEACKKAEEDLGACHPF
+LR;Montserrado;4HpNKKMCEFFDFCBJHA
+LR;Margibi;2H9MQEAQIEDFERLBJJ
+LR;Grand Bassa;gHlMSEKICMKCFVIADXRD
+LR;River Cess;yG3LOCMMSDBLJHRD
+LR;Sinoe;gG7KOQQHGGGdVN
+LR;Grand Kru;yF5JMBEHKECLNP
+CI;Sud-Bandama;sG5GGAAOWGMBGLBRTLPMJD
+CI;Lagunes;uGtEcEJjBKLOIGdVKXJI4BFH
+GH;Central;8GNKFEnBOZlBeJF
+GH;Greater Accra;mHaIBCHFFGLJFALJGKa
+BJ;Atlantique;-H-CEGQDCLXD
+BJ;Littoral;-H-CAGCAAF
+MX;Colima;sX1hEgBENlB
+HT;Grand'Anse;-Wh9CAWIGEXBD
+PH;Aurora;0U64EAHbfdEYMKDOYFD
+PH;Quezon;gT63ElBGLNFgBXYeJCQKVNAKR
+PH;Camarines Norte;0R84ECINWECIBKNBL
+PH;Camarines Sur;oR65EIJBJbeGMMBCQIJBLIBND
+PH;Albay;-Qw6EFAFLJACYEADFIE
+PH;Sorsogon;sQ-6EFRDKEGAGDJLKUG
+PH;Lucena;sRi4EEBBDBC
+PH;Batangas;oR63EOJBNCLNEGCBIHAEEFCBKEG
+PH;Cavite;4R42EDMCEGCID
+PH;Las Pinas;gSm3EAEEAAD
+PH;Paranaque;iSm3EAEEAAD
+PH;Pasay;kSo3EACCAAB
+PH;Manila;mSo3ECCCD
+PH;Navotas;qSk3EAECAAD
+PH;Bulacan;sSk3EISMBANHBHJ
+PH;Pampanga;wS62EIKICBDEDAFDJLGACCC 8S42ECDCG
+PH;Bataan;yS22EEDHHNIEG
+PH;Olongapo;wSs2EEGCFBD
+PH;Zambales;0So2ECKQLMEIJDFJEBBZIBE
+PH;Pangasinan;4T81EAKHEKOBIIGGDELJJQRRD
+PH;Dagupan;iUq2EBCCECB
+PH;La Union;oUw2ECGIDIGKDADBBJB
+PH;Ilocos Sur;kVw2EAEJEWKBDIHWBNFFE
+PH;Ilocos Norte;sWy2EBEFAKQaCCHFJ
+PH;Cagayan;oXo3ENURHJKAamBCHN
+PH;Isabela;-V44EFXVDRKEUQIIE
+HT;Nord-Ouest;kZh7CBDBM yYr7CECAIGMCXJLBC
+CN;Hainan;0Y4qESLJDA1BZXdCLoBYiBOB
+MX;Nayarit;8ZzjEMULUcOqBPYpBVNpBWbN
+BS;Inagua;6an7CCECDBD qah8CFACQOKFFEJ
+TC;Providenciales and West Caicos;obt6CACBBCCBACIAFCD
+TC;South Caicos and East Caicos;kbr5CBCEF
+TC;Middle Caicos;ob35CBGCBBCEBAF
+TC;North Caicos;sb_5CCCDAAEABEAAD
+BS;Mayaguana;-bt7CAKBECCEP
+BS;Acklins;qcv8CFENPOSKA
+CN;Fujian;giBw2ESfFbiBFT5BzD5BLkBpBQOKHIUWINEgBqBcJOaCGXIiBQPFW
+MX;Baja California Sur;gjBxuEPBKnBrB6BIUnBmBvBEvBoCZMISSEgBfDN6ChB8BzB
+SO;Jubbada Dhexe;as2ByBnBChBbJCqBnBM
+SO;Shabeellaha Hoose;wCy4BcEWLAPpBAdhCfU
+SO;Banaadir;4Cg5BBHFF
+SO;Shabeellaha Dhexe;qE66BSZZRAjBpBMKc
+DJ;Djibouti;wO01BDCCICA
+EG;As Suways;olB6oBEIOBAjBzBBGgBULQI
+EG;Janub Sina';8kB0rBM5CxBYfoB
+SA;Tabuk;2e4uBMYYAadsBRImBXWF8BWOgBbM9BWFLxBSZDnBfLBa
+SA;Al Madinah;odqwBJyBZIEW2B2BaEkBTF_B4BJC5BYVFlBtBSZeXATV
+SA;Makkah;0Wg0BQIaPESUAPZePaUPmBa4B8BFSrBoBP5BnCaLKxBnBUzBAzBgC
+YE;Al Hudaydah;iRk2BQUMJYGONWBCRbBCHFM
+YE;Ta izz;8Pu2BOIIYOIGFGbJPNB
+YE;Lahij;6Pw3BKcsBMlBhCNH
+YE;Adan;kQs4BDVFFGIBMCBCGBABC
+YE;Abyan;iRk7BUBGjBRZCNlBJQW
+YE;Shabwah;yR88BevBkBKF3BZfbUBwBTC
+OM;Ash Sharqiyah South;ocsqCPDTzBZMZHAM-BuBWI
+OM;Ash Sharqiyah North;0ciqCEbLXnBGU0BQE
+OM;Muscat;0d2oCJBCKJKJBFMCQaT
+OM;Al Batnah South;6d-nCNPJMAQIKKC
+AE;Umm Al Qaywayn;8fslCHMAEOFDDADCA
+AE;Ajman;4folCBICCCF
+QA;Al Wakrah;yfwgCHHCBDAAFNAAGDAQK
+QA;Ad Dawhah;4fsgCBBFECCCD
+QA;Al Daayen;ggBugCCDBBJCCCEBEC
+QA;Al Khawr;ugBogCDAELFAAFBKHEAEECAECBCEGB
+QA;Madinat ach Shamal;qgB2_BBGGAAGDGKBCDDH
+KW;Mubarak Al-Kabeer;0kBk8BADDCAC
+KW;Hawalli;2kBg8BBAAECA
+KW;Al Asimah;6kBu8BADBG
+TW;Taoyuan;mfm3EHODABGIAGDECCH
+TW;Hsinchu;ifk3EBGDDDGDBBKGECDEAIJ
+TW;Hsinchu City;-ei3EBEEECF
+TW;Miaoli;ye42EFKGQCBAFECGJ
+TW;Taichung City;oe02EHKEEGUEEEHFPGJ
+TW;Changhua;6dq2EDQKAIF
+TW;Yunlin;sdk2EGODICECDEAEP
+TW;Chiayi;kdk2EEOFEAEKMADEDCNFL
+TW;Tainan City;2cm2EBKOKADGDDNJBAE
+TW;Kaohsiung City;kcw2EOCAQYGFNPJCJ
+TW;Pingtung;6bk3EEFKAIGEFBLNBHINEBG
+TW;Taitung;qd83ENHGPnBD
+TW;Hualien;uem4EALFFXDHHLK
+TW;Yilan;ofu4ENTJDBQKGKD
+TW;New Taipei City;ufm4EDACBEAEFDFBCBFBEDBJGMU mfg4EGFEE
+TW;Keelung City;ufk4EABBABEEA
+MX;Sinaloa;kcjkEaMkBRMdgBTUG6B3BhBlBXDGWJJTsBCN
+US;Louisiana;4lB9vDgBHArC0BecJAzDnBAlBW1BNF-BMSJYNBFqBUCRkBHDIQUdQQErB
+US;Mississippi;gmBvuD0FME3CzBlB3BOzBdAsCfI
+US;Alabama;kmBntDUHAoDyBEuDbAnD3FHOORMDL
+US;Florida;8lBptDMQJFAgCZKQuBHUnBqBpBHCSPNZSGMRBGKfCfaEcgCO8E3BETRHaxDAnD
+US;Georgia;ioBjlDqDhDMKAjDrFcNyDSEDSaA
+US;South Carolina;sqBliDkBrBO3BC1BTlBpDiDUCJQIHEa
+US;North Carolina;2tBh_CC_G_BpDGiExB4DiBYIwBCbKUMXC0BQDNHOABbOALGMQHQ
+US;Virginia;2tB_-CQAQzBNoBUTJMMIYhBTaKKSrBUMQPIhBnBnBGNrBZLzBONlBjC
+US;District of Columbia;wwBngDEEEFBBDC
+US;Maryland;uvBx-CUWAXyBDAzETAQiCbmBTNNmBwBLOedT
+US;Delaware;iwB79CGCBFKEaTOIALDDxBE
+US;New Jersey;gyB39CPVbYuBkBJBaECLUQKlBZNRS
+US;Connecticut;ozBh8CMeAqBcCCjC
+US;Rhode Island;k0Bh5CMFAPbDCQSE g0Bj5CFBCEGC
+US;Massachusetts;k0B_4CG0BKLLIBRWXOSKLF9CZJD0C
+PA;Ngöbe Buglé;mLvmDDHMDFFZSBOMGDOMBANQNJE
+NI;Atlántico Sur;qQtoDGvBPT1BcTiB
+HN;Colón;4ThsDPMISVcmBAFTITFC
+HN;Atlántida;8T1tDHBJQIqBGDApB
+BZ;Stann Creek;uVruDBLPFBGFCAGGEFBSG
+BZ;Belize;uWluDBPfBCM
+MX;Yucatán;ga_wDtBoBoBmCiBEH5C
+MX;Veracruz;6bn6DGfHKXLVUXPOeVCFYZJFQXLX6BXEKWVKE0BkBTUjC
+MX;Jalisco;-X3iEQWBQVGMiBiBRMoB8BWFvBbLIbqBcILPLUDPDWFZPbSbNMTXjB
+MX;Michoacán;sW1_DcOJuBqCQLLU5BLrBbWftB
+MX;Guerrero;sUl7DeWgBNcfITNZSRTEKtBRNjBsB
+MX;Oaxaca;iUz1DINBQmBICrBWJJXYBWfVNDTODPHBVjBObVZwCWoCIF
+GT;Retalhuleu;0RxyDYGBFEBJFAL
+GT;Suchitepéquez;yRtyDMGDKICIHBFGAHFPB
+GT;Escuintla;sRpxDMGKFARHBGJNF
+GT;Santa Rosa;oR5wDIBAGEEGFIGCDAJRJFA
+SV;Sonsonate;8Q_vDKGGLHBBFDG
+SV;La Libertad;4QtvDODICEDVL
+SV;La Paz;yQhvDGCGAEDADBFHA
+SV;San Vicente;yQ_uDMGGGCBCLFBDE
+SV;Usulután;uQjuDIJODFHLF
+NI;León;gPpsDaOICKJAHLCNT
+NI;Managua;2OjsDQQCKMDEPXL
+NI;Carazo;sO3rDEEKCEJHH
+PA;Los Santos;gKvkDRLLEKY
+PA;Herrera;kKzkDCJJHFAHKSM
+CN;Zhejiang;smBy3ES_BfJBTnBhBnCiBGcRiBcQILIqBWRDSQHCWQADTQcSjBFrB
+CN;Shanghai;snB23ENTLGFKGcSH wnBq4EIZLgB
+JP;Kagoshima;qnB-jFcVBPhBABSWCdB
+CN;Jiangsu;8rBk1EblBCtBUPLPjBmCTHROAiBNBGVZHNUNBTkCeiBiBlCPWHoCmBrBgCXQpB
+IR;Bushehr;kiB8hCEKuC1BiB9B5C2B
+IR;Hormozgan;6fiqCaREdaEIdyBPBhBcFAhBpBQPTNvBGtBf0CawC1BU
+IL;Tel Aviv;goBurBCGCBCACB
+EG;Bur Sa id;knBqoBHCFMEA
+EG;Ad Daqahliyah;knB4nBFHMBCLjBAWgB
+EG;Ash Sharqiyah;-mBioBPbLDFGDIGKIDCMQG
+EG;Al Isma iliyah;8mBmoBPBFNLGAkBcH
+EG;Dumyat;mnBkoBIHHPAIHDIKIA
+EG;Kafr ash Shaykh;qnBgmBJGHMGSMBEECJADDGBFBRIQ
+EG;Al Buhayrah;knB0lBHJPGNPReSWUDaRJB
+EG;Al Iskandariyah;4mBglBZAOQOFMI
+LY;Al Qubbah;kpBwb_BDTqBqCG
+LY;Al Jabal al Akhdar;gpB2alCOCQIHgCE
+LY;Al Marj;2oB4ZRLRIBaVGAQiBBWLKE
+LY;Benghazi;gnBmZFuBUDCZOHYKXZ
+JP;Ōita;gqBgkFFLNBEIRUCSKAEHEEAPKKGD
+JP;Fukuoka;6pByiFBUHHHEEQOCGMIJGCAL
+JP;Saga;2pBoiFDBHIDKGBCIKIGb
+JP;Nagasaki;mpB4iFQXTQKLVCEY
+JP;Kumamoto;moB-iFAeODMMOHFZLIDHCI 2oB2iFAFNAGI
+JP;Miyazaki;-oB6kFCXLJNEDPZW
+JP;Tokushima;4qBioFDXJHBOJMMSGFKC
+JP;Kagawa;wqBgnFIiBILAHFPDE mrB-nFBHBI
+JP;Ehime;kpB6lFWGWiBBTIHflBEQRA
+JP;Kōchi;-pB8nFKLBfXXPCBQMBSSCUJK
+JP;Shimane;qrB0kFNKUMKkBUIDb
+KR;South Chungcheong;itBw-EAgBOBFJIJKCAKIDFPKDCJHAGFHAGBJFDGGILELD
+JP;Yamaguchi;4qBqlFKHFLOFJHARRBEiBJM
+JP;Tottori;usBymFJCJFKSCQHGEOOFFlB
+JP;Hyōgo;wsB-nFNGJJLCAuBQBIRIEGH orB4oFPJCI
+JP;Kyōto;ysByoFFIHDXsBWHENKBFFMB
+JP;Fukui;usBspFHKQWEUIDKRLLNE
+JP;Ishikawa;stBqqFJSaEKKIFOSFXTA
+JP;Toyama;muBqrFJJPBGQBSWEAHHLEH
+JP;Niigata;ouBgsFJGKgBJGIUSAEOgBMKLtBnB yvBitFKCTL
+JP;Yamagata;mwBuuFJMPHFWoBQOb
+JP;Akita;8wB8uFFiBSDqBMAnBLCFLJO
+JP;Aomori;yyB-uFCkBLGGWsBDEVPFESPBAROBCLHCRV
+JP;Iwate;yyBkxFJhBxBDHUOaSG
+JP;Miyagi;2wBixFHPGbRCTNHWYMDS
+JP;Fukushima;svBmwFDxBPTRAIcNWCOWK
+JP;Ibaraki;iuBgwFCVTBJTPuBWL
+JP;Chiba;2sBiwFOrBREDKJLNBIWQI
+JP;Tokyo;ysB6uFGAClBNWEADOGB
+JP;Kanagawa;ssB4uFEJDDGNJHAEJCGOFKEEID
+JP;Shizuoka;8rB8tFMDARJFUHnBdBgBWSDIBFPEKM
+JP;Aichi;qrB6rFWOGpBHDBKNBBEICDABOFN
+JP;Mie;6rB-qFGNJAHPJITDFJFEUQCWSP
+JP;Wakayama;kqBgqFIPSCBXFGJFNQDM
+JP;Ōsaka;8qB8oFEWUAELRC
+JP;Okayama;srB8nFWECfJNZICUGEAD
+JP;Hiroshima;irB6mFWFELLdLHLIGGFK
+US;Oregon;45B_5ECflDBhBTfKBkJ4CEMLsBeQRR1G
+CA;Nunavut;grCv2D2BcQiBINKiBGTHgBIPKKAcIVKoCOFGhCGOI9BMFXwEIKINBUINAyCoBuBgB1FAoCX8CgB-BOlBL8DejBBXA0BLDJaaqCSKoB3BI4BKfIgBSxCEqBIjEVELkBJrB1BhBLnBkBhBMBCYSHS1BnBjBINSGSnBEuBInDOmBEZGKDiBc9BUCQbI9BDaJzBDUHFAlBTDJgBPdZ8DHhBFMPZMgBRECQX1CLHfUBjBJSQfBsBGTKKEhBgBWLhBMOE7CVYCiBLCU3BLKD5ESvBDrBkBjCbnDQ-DTfB5BFKJNhBkBKVNFPWgB1BDcKDcxCHpGERUiCWhCB_BatE9BCjDmKAqCbkCV2IpFA i2C_2DqBtDLPFOGVLGJvBX8D 86CvpErDAD9IXwBDgDPDNQMoFeiDLID8BHHD2COwBOVPjBQIITEoDQDiBvEWK6B7BK7CtBOJWLXmBfS1B uzCl7CX7BboBFjDHeHNFKUTI_BJETnBTgCGmBKBHsBGKKVEOFYPBMgBNDReJ4BFjBPevB2GQC8B3DP0BQHd2BODf8BEIOLDYkBZVeQCITIOKnBGYCZOAFTOTLASBGZCOKHFfMKKVCMEfLiCYfHiBKXEcVqBMURPQ-BXtBAcFVCaFRAeFTJOOMNBHeqBCNiBMHDWMdDsBOlBMiCQhBPfMCFlBWaN9BMeChBBkBUXFbOSDZLCORLHUCNRENKSG_BGyBQtDBiCEdEgBIZJZKkBEtBCKA4CI_DI0DUbZ3CW2BLnCe0CIrBLpBQYJrBZVWQFfa2BRtCKQBZSkCQ5BZhBKOHhBUOFdOcV5BIOCRKUHdYuBJ1CQ6BKJK_CLlBL-BErCTuBQrBLOGdMMDfMBFNHSGVPdYUJjBUuBmBzBRxEJ-BEnCN8BGlCRIBqBDTLgBArCN6BbHKFHpCMuCc9BQGOToBsCCJPvE5B3BXKNyDElDVaLqBM8BLHJeBkFO1BX0CQfH2DQFEZKeFJL4BREIYDLFUBPAoBDRLqBJpBLCQoCLHVwClBgB 2sChxCMGBf 6tCjjDGZVLJU 4uC3mDDvBTVHkBUsB kvC9gDGnBNY 2vCnkDObDrBGQOFoBvDLPcVTZzBBRnBE8BZSsB2CTYJ4B wyCnqDJDDW s1CnsDHPNMIO m1C59CEhCVXRMC4BKW k2C7iDQkBNvB 42C7_CFbFU i3C_hDFTGmB i3C9jDCYA5B w3C7sDAaElB i8C7iEF9CZmCUe g8CjlDhB2BGsEexC y6Cr4DGjBOBDvBiB8BIfB9DFHLcExBLsCCfLUCPJAO7BLf9BgFMcGRIILYIsBKJIMEN s8C7wDIvFHZJeCrBbAhBUAQFPAuBSYMhBA4C g-CxhEKdLV 29C50DQJMvBZjCNsC q-C34DEcBtB 2-CxgEIiBH3B g_Cj2DBPFY g_ClgECKDjC k_CziDHhBBiBEL i_C3hEEyBAtC y_CviEB4BIjC s-C35DKVEQaDIfHlDNgCAfHeBTUzCFaFTDYFJBaHvCEgFNrCNuBAiCGSOT 4_Ct-DGkBF5B -_ChwDAlBJY 8-CvpEHuBFtBbAIgFYYQlBPVGtBIQChBKQWbNvBRe 49CtjDCjBQkBO9BN3JGhBGYKfFvBImBI3BAgDK9CAsBGRJpDOOOlDNvBP2CDXE-CTkBZNVoBKcHHF-BOkBPCAqFEeMARkC 6gDtqDCOCd 2gDhwDK9BPgB wgDviEWjCXkB siDvpENAEe ohDj5DGqCMNEWQrEVSBqBDjB 8iD_jEN8CJlCJYBoEPsBKoBKhBMKUzCHlBSrB gkDl9DH8BOR ikD34DPeG-BL7BHYBiGJ9ERqDD1BJoBBmDSVRwBKKIJBkBEROIEQLJFOQcIyCOfBlCOUKrBCUIFAlBLUAPyB7FDtBFyBL_CJmCHzDFoDDbDQ -mDrsCE5CEQOlCJ7EM8CAlJJqBO1FBJPwCO9FBLHuCG1DLiBF1CXsEc5GL3CL8CIpER7EF8FN7DFUMsGP7FJmCW2GXvFDiCOqCDLDqDSqCERKuDV3CBiDJpEBsCJtGNoCJDAmCFhBc_DCrDJBD0BHvBb8DA3BAiEHlCLkBOrDHrCLXHSBRKkCLRAgBUkBPNAkBJhCB4BBrBDmBJLYiDZ9BDQBnBW1ETUFsBDrCVvBFsBQEPEG0CELN4BAgBIZGeHsBMHLyBOXPwCJLamEGjCGQGRD_CGNCqBOfPiEMoBQTB6CGOEzBGqCI_BCwCKnCGaJhDKWCvBAyFMvEIkGMjCCYD8DEKAVGmBGrCA6COZHuBuBwGLlHMwEIrDAmG kiC9kDMPHjB imCtjDJJWkBOLfhB
+CA;Newfoundland and Labrador;srC1wCBLFKTLDWTCBXH4BDVHKPZNiBnBVJKAJRcDPREBQfVOvBJXapBXCObPMJZPBZkBVPFWOMjBEVoCsBQGWHIHbROAqIXCc2BOTAWGhBAeIPCOINEQQTAKGdEKNjBOMQNAjBFWd9CQdFecoCHxBW6CQxCKKTdQSBTKGNjBSUDLSGJNKEIjBIGEdAUGVGSIjBHkBIHMWQvBGaMdKIHjBUgBHpBQeGTIIBjBMaEZEMANaLFP u7B5hCKDJTYOXZMPIOINMmBFtBMWCXWcBnBMCTlBUKDnBUcIZXd-BsBKNIcETlB7BBKlBfJKDVPOITXLDVCoBXtBNKA-CQoBLDCKHTG6BbzBDKqBiCTMVPOaXACU inChtCJKOC
+CA;Nova Scotia;w5BhwCZjBAgCNfONd7BhBDLasBuBDaKAWsDalBLhB o5BjrCOMITZRAPYceCpBtBRK
+JP;Hokkaidō;o2Bm2FBToBERXInB4BpCJLXI1BPCpBNGbdjBSQoBSjBOILUMgBZ6BkBa
+PM;Saint-Pierre;u6BpmCAECAAD
+PM;Miquelon-Langlade;06BpmCEDACCCCDCADBFCBBBCCE
+IN;Odisha;gbstDmB5BVHEhBQCCrBvBVTpBnBOEjBnBStBhBKmBSEDYaQJiBsBuBCkBIHFMcYWH
+BD;Barisal;6cixDALNJbCIMJHFEUKHCIGSJGI kcwxDKHdCII
+MM;Ayeyarwady;wUg4DqCXGT_CbUWVHMSRFOURC
+MM;Yangon;kVi5DEReNJLrBGBQSBJCBM
+MM;Bago;6Vk5DEOqBJiBXAXfblBOJMMMdODS
+TH;Phangnga;uKq7DMCAFcFfHPI
+TH;Krabi;yJi8DaCAPKCEHNFLGDMHA
+TH;Trang;-I28DDMmBLBPLDJEDEEGHB
+MY;Pulau Pinang;sGw9DCGQAAHJE 6Gs9DADHAAE
+MY;Selangor;oDk_DSKYHIjBXSPA
+MY;Negeri Sembilan;gDw_DAYSESdJAHHJB
+MY;Melaka;0CkgEKACEEPDH
+MY;Johor;qDyhEHBQjBdHhBoBIUIBLO
+MY;Pahang;mFqhEJFIPcLJxBxBUhBmC
+MY;Terengganu;qHmgEFFfERUNDHQkBG
+TH;Pattani;yIq-DHABEEGFCAKEADEOHCHBC
+TH;Phatthalung;2Jo9DGJBHdMIOIH
+TH;Nakhon Si Thammarat;0L28DJCTTRAHEEOHQGIODML
+TH;Surat Thani;oM-7DDNdNLEBOLACOcWKBBT
+TH;Samut Songkhram;6Qk9DCBAFJB
+TH;Samut Sakhon;8Qw9DKBDDCFHBBCCI
+TH;Bangkok Metropolis;8Qy9DIEAMKCANFBAFLC
+TH;Samut Prakan;8Qi-DGECDAFBAADCBDDDAAGEADC
+TH;Chachoengsao;6Qo-DEMPQIMODGdEAAJRB
+TH;Chon Buri;6Po-DOEGYSVLJXB
+TH;Rayong;8Po_DICKHDHBNNFBS
+KH;Kep;iNwiEEACDDA
+VN;Cà Mau;oL6jEQFGRdDDIDJCQ
+VN;Bạc Liêu;yLqkEGBAHIBAJPAHG
+VN;Hau Giang;wMqkEEFBLFGHHDCESIC
+VN;Vĩnh Long;sMwkEIKGFCJFCCFDB
+VN;Trà Vinh;0M6kEHJJKDKIC
+VN;Bến Tre;8MglEARRcCCOPLMII
+VN;Đông Nam Bộ;oN4lEKYIFMGIHBLRFAFJEDF
+VN;Bình Thuận;kOkoEKJNXGRLFTG
+VN;Ninh Thuận;4OwoEOTVDHIBIMADG
+VN;Phú Yên;kRyoEFPNAHHHICY
+VN;Bình Định;qSsoEBRTAVKGOIAFC
+VN;Quảng Ngãi;oT-nEDPDBXOCSUJEE
+VN;Đà Nẵng;oUonEAJDDAGDCAKEBCEADFAABECCD
+VN;Ninh Bình;iZ0kEGCILAFDACFLUBA
+VN;Nam Định;sZklECJGBDJDADIJBKMCG
+VN;Thái Bình;6ZolEBFEBBLLGAEDKIAADEEADCE
+VN;Hải Phòng;oaqlEFFBCDFDCCGACCAAGIDCC
+CN;Shandong;6vBqzElBpCfbbAKgBpBxBPcOyBTQBuB-BuCMHDYSCQwBFQWOStCb5BGNQMQL
+CN;Hebei;owB-yEIhBgBEC1BYUMHUkBPiBFLzBgBBkBiBmBiBnBSQAjB0BVnBlDUdnBbdcLXTanBnBjBWtBVPoCwBaiBmC kyByyEDTLGBK
+CN;Tianjin;gxBwzEWRKBCKIPXHBNRELHJiBUG
+KP;P'yŏngan-namdo;qwBi9EaCPeKGASQPMSSAdjCdJ
+KP;Hwanghae-namdo;svBg-EMAARUTDRNADNBYFJBUHFKQEFLU
+KR;Incheon;4uBs-ECECBCFBAACBBBCAB 8uBm-ECBDFBEEG
+KR;North Jeolla;msBi-EESFcaMIhBHVBOJPDK
+KR;South Jeolla;2rB4_EOJCtBVBAMFPNOSaLEOAHM
+KR;South Gyeongsang;-rBmhFGMMJAfMLNJXIGIJOOI yrB-gFIBHHFE
+KR;Busan;-rBwhFEDABHD
+KR;Ulsan;wsB6hFELHFHMCCIADCCC
+KR;North Gyeongsang;4tB4hFUVLflBFJ-B
+KP;Hamgyŏng-namdo;2yBuhFYTdjBeHXVPIhBTAiBUC
+RU;Maga Buryatdan;mqC03FDyCIHMaV0DDvBJKO6EMJBfQCuCmEGwDnBVEaRLEamBkCSCEPEYQCOTSaaFKaOLoBpFSMGZR5BMrDNFAdTBDdVCNTHhCQfA7BXNK9BNhBZLZKRfRsCbETvBVgC
+IN;Dadra and Nagar Haveli and Daman and Diu;kZu7CKDDFHE
+IN;Maharashtra;0Tk8CCYgBBS4BSBDesBkBFMgCgBL6BdEFOeaOT-BMO5BLlCOFbpBmBrCFXNACUNdROjBxB
+IN;Goa;0S08CGGWAALIDFFAGFDCEDBDGCF
+IN;Karnataka;-Py9CrBuCMiBkBGAaSEaXHnBQBJUQCBVOFUACQcDSUGLsBSkBPrBlBGdTCR3BPI1BN
+IN;Kerala;gPg-C7D2BXYwCEAP6BRoB9B
+IN;Puducherry;-O6jDCHFG
+IN;Tamil Nadu;wN6jDwBH2BcILjB_BIZjBFN3BNSlBGDSrCHHSoBiBCqBQTcOCW
+RU;Sakhalin;8jCmyFXKNpBpBDvBY9CPfO3BPZMgBUFeTEMI4BrB2BSIaEPd8ByD9BoDH y3Bi3FCNfZ 44Bg6FChBnBrB
+IE;Dublin;4iC1HAFBDBICA
+IE;Dún Laoghaire–Rathdown;0iC3HABDBAIEA
+IE;Wicklow;wiCzHANFJFBBKDHBGEIBIIG
+IE;Wexford;-hC1HCHHPLJFCEIBQGFAG
+IE;Kilkenny;shC3IKEMJBTRM
+IE;Waterford;qhC3IEdDADPHSCEEACY
+IE;Cork;ghC5JMNClBNAPnBGYLJEiBIaGHDO
+IE;Cork;8gCvKADBBAGCB
+IE;Kerry;2gCpMKeYJHXFIBbBcJZFKGW
+IE;Limerick;4hC1LLGEQDaGJIIELFD
+IE;Clare;6hC9KMSAVIFAJPJHRCaIO
+IE;Galway;uiCnLHGAUKQUTHdCnBFQDDEOFBCc
+IE;Galway;yiClLCCCFDB
+IE;Mayo;gjCjMDWISMECPECGNAbHFEGJIBFAQFN
+IE;Sligo;2jCtLBKBDAOFIIMEHIAEDFHAGDDBEET
+GB;Limavady;6kC9IJGCIOBADFB
+GB;Coleraine;glCxIBAJCCMGDCEEB
+GB;Moyle;ilClIDCBKDECGABEACB
+GB;Larne;6kCvHBDBEDBAEBBBMEAADBEIL
+GB;Carrickfergus;ukCjHAHBA
+GB;Newtownabbey;skCrHEAAHBCDAAG
+GB;Belfast;qkCrHADBBBECGAD
+GB;North Down;okCpHAICECH
+GB;Ards;qkC9GBHDBBGCACBACBEDBBEGC
+GB;Down;ikChHCHJDAFDCEQEECBBD
+IE;Meath;mjC5HBHILDHAPFQHJBGAYEECBEI
+IE;Fingal;ijC3HDHBCFDAECGBGEFEG
+UA;Zaporizhzhya;65BksBQ6BgBSaxBArBVCBb
+RU;Sevastopol;w3BmqBCEIFABGACDHBBCAH
+UA;Mykolayiv;s6B-nBKqBsBALhBSnBFlBlBsBRDAcYF
+BG;Varna;m2BkjBIdLHHCBDFeOC
+TR;Istanbul;-zBojBRBFaGKGC kzBykBEIDIKKEdHF
+TR;Tekirdag;szBmjBQAJdERAFTDLMSU
+TR;Çanakkale;2yB2hBIFbZ uxBqhBMgBSEGRJbdN
+GB;Clackmannanshire;imC1EGIAJDB
+GB;Stirling;kmC5EEAGNGCANFNBIHCDICa
+GB;Falkirk;imC1EBJDIEM
+GB;West Lothian;gmCrEDLAEBBBABMGCABEA
+GB;Edinburgh;gmCpEHCEMCA
+GB;Midlothian;-lC7DBADJAGDEEGAG
+GB;East Lothian;-lC5DFKCQCBCEER
+GB;North Tyneside;6kC5BAHBGAE
+GB;South Tyneside;4kC3BBDBBAI
+GB;Sunderland;0kC1BAHABDEACCE
+GB;Durham;ykC1BBDENHVJIAIIYEE
+GB;Hartlepool;ukCxBDFBIEC
+GB;Redcar and Cleveland;okCvBBABAAOCCEN
+GB;North Yorkshire;mkCfD5BLLLUEcLIGKKJEmB
+GB;East Riding of Yorkshire;2jCHFbLBAFDKIUJUSNEE
+GB;Kingston upon Hull;mjCLCDDB
+GB;North Lincolnshire;kjCbFHDACGBKCECDEMCD
+GB;North East Lincolnshire;ijCHBDBGBBBECCAC
+GB;Lincolnshire;8iCABDGHFTHAAGNDJKEgBGLMO
+GB;Norfolk;giCMLDBKDeIWIDIPCV
+GB;Suffolk;2hCmCHVEdHCAFBGFDDmBGK
+GB;Essex;-gCsBEnBJEFHDiBIEBJGY
+GB;Southend-on-Sea;ugCiBCFBB
+GB;Thurrock;sgCWCJBDBG
+GB;Kent;qgCQAHLFJkBKSKCAdDDCFGC
+GB;Medway;sgCUFBBGECADCG
+GB;East Sussex;2_BiBIbAFJFFQ
+GB;Brighton and Hove;w_BAEFBD
+GB;West Sussex;y_BHMIBdHHFG
+GB;Hampshire;y_BlBKIKBAXDLLECNLQEKGFFM
+GB;Portsmouth;w_BrBAECAAD
+GB;Southampton;y_B5BAGEAAF
+GB;Dorset;u_BhCIFGTDBHXJUECBSEFCE
+GB;Bournemouth;s_BtCAGCAAF
+GB;Poole;s_BxCAGCAAF
+GB;Devon;u_B1DUfNfbeGKOE
+GB;Torbay;k_BrEADBBBGCBAC
+GB;Plymouth;--BjFCCCF
+GB;Cornwall;i_BnFSNPLPhBFUKGEiB
+GB;Somerset;igCzEDFNkBIYKE
+GB;North Somerset;kgC3DAEAICCEACFDF
+GB;Bristol;sgCtDBEBAAGEBCF
+GB;South Gloucestershire;ugCrDBGDEAGEAACEBADCAAF
+GB;Newport;ugCvDCBCCBLDACG
+GB;Cardiff;sgC7DCBBFBG
+GB;Vale of Glamorgan;qgC9DCLDFAMAE
+GB;Bridgend;ogCvEEEECCHBBBCADBA
+GB;Neath Port Talbot;ugC1EAECBCCAEEBCJBDBEDB
+GB;Swansea;wgC7EECCFDDAFDBAK
+GB;Carmarthenshire;0gChFGOKABhBDCDJ
+GB;Pembrokeshire;2gC5FEDEKGHJXAGBCBFBCEQDBAJDG
+GB;Ceredigion;khC7FBMCaKEGBCNJF
+GB;Gwynedd;2hC9EGOKICXICCFRZGaFBBGFF
+GB;Conwy;yiC_EBCDBDABICIAGCBCDCGGBCPBC
+GB;Denbighshire;0iCrEFCBFFIDBEOIDCFGA
+GB;Halton;0iC7DAGGDBF
+GB;Halton;0iCvDAKEHDBCE
+GB;Knowsley;0iCvDECEBADABFC
+GB;Liverpool;2iCzDEACF
+GB;Sefton;8iC5DAGCFEECAFF
+GB;Lancashire;kjC1DFDBKGMECFIKIKTGEBNJBAF
+GB;Blackpool;mjC3DECEBBB
+GB;South Ayrshire;4kCpGGYGAEFAGGAAJDCLN
+GB;North Ayshire;ulC5FCGCFEGEPDCBB
+GB;Inverclyde;6lCjGAMEBAFAB
+GB;Renfrewshire;-lC5FDCAFDECMCAEF
+GB;West Dunbartonshire;-lCzFDGGAADCACFFA
+GB;Argyll and Bute;-lC3FQJMKAbFFCQHTPFDKVNmBePJOWHD 2lCxHIDJN ymCjHIRDHFODN
+GB;Highland;6mCzGWqCSLBbKaCXe4BBvCPCDTJQAddQPhBAyB 2nClILWIOSZ
+GB;Moray;ioC1EJCAMHBDHAMIOIAAMID
+GB;Aberdeenshire;koCvDHEVrBCmBJQOQEJKWKJ
+GB;Aberdeen;ynCxCAJDABBAM
+GB;Angus;-mChDKPDVHCDKDABO
+GB;Dundee;ymCvDCDBH
+GB;Perthshire and Kinross;ymC5DUVLrBDGBDAUFBHWAQIB
+GB;Fife;umChEDDDEDTAQKeGL
+RU;Chukchi Autonomous Okrug;o2C_gH9EAUeKTQCIwBNTXWAgDbaGeVoBKKNMGkBOlBOqBGXKYIdJoCQPJiBSmBkBxCF_BKKCXBlBXkBFdOTaICXMEAlBIM q3C6zGAjCLsB u5C_gHVADUOyC k3CirGhBQTLJlFRZPEJmBVRJiBRLrB6EM6BZsFZsBVtBRiCNIKoEdgBgBuDKJVyCQWkBfBVCUQDSRBdOCB5DEyDKnBCaTgCS6B-EAkB5EKhHPEFRVoBLTU9CWTLjB 44CghHWAT3B
+IS;Austurland;wyCnSR5BnC1BWkDOaGJGgBEVAeGVCUCRKMIvB
+IS;Suðurland;2vC3VcUS9BD9BlBtCRgE
+IS;Suðurnes;6vCtbGMAhBEHDBBEBDDC
+IS;Reykjavík;iwCzbBGEMGCALABBKBDAJBGADABAE
+IS;Höfuðborgarsvæði;qwCrbAMBADBDLAOKIGKAT
+IS;Vesturland;wwC5aUiCEzBUTNlBDcF3CDiCNKIaNX
+IS;Vestfirðir;6xCjbTcgBfASIJCKSrBDdBiBBZFYJBOnBHEARFYCZHWEfJMBd
+IS;Norðurland vestra;uxCraP4BM2BsBdDNLAOnBRIBZ
+IS;Norðurland eystra;2yC7XxBaR-BsBiBS6BEXMaJhBOtBNEJrBMdVK
+RU;Yamal-Nenets;y2CqxCNTNsBVNBgBPLBMnCjFPgBdJLqBM8DTsBQ6BJ8BLDLkBPCK8BPwEX2Ba6DjBmEeqBQGKXaoBWHE9BYIMnBoBNSpBMMOZCYOOMJCYUXWpEmBmCQHO3BUwBUpCLrBHcAzClB6DQ3EIMQLOUYbDLZKbvCf0BjBfXMJ6EZUDXPBH-BItCeKUxBL_BnBK3BhDM_DCkDMLeoCUAKWUpB2BFWQapBgBqBQAIzBC3CxBnBZlCLeZATVB0BVOBeZV y7Cy5CKvBRX
+RU;Nenets;gzCo3BXqE0B0FD6L-BiFMrBQUITQvEJfbgBHtBNFCVOMKTRrEPVEhCGeKJIOCREmBBZL9BHQDNKHZvELUBxBdJDvBY7BSoCOFUjEXuBdZPe u2C8-BO3BXb o3C2rCc9BJXVuB
+CA;Northwest Territories;-3C9rEANBa k2CxqFrCMA8CBJPUXAAyBDHJQNZHSJJnBkDLMJNHWjBMb2CbMI6ClBWAybqFAW1IcjCApCkDlKgCFK1CRRBnBOOCRQBFZAWHZDUAVHKDTCUFN0BlDHHHcT5BGHGKL7BVVSHVjCJOCjBFUGXyBkFA7BlBnEQWIdLAF1BHSEVVgB i3ChyEOJA8IiDAJlCUWMnCR9BYYKZjB9EJSLlBLAFgFTlENcC0EPmDLvH 87CjwEezCJnCW_CH9DXoBnC1CAmBALhBiDQ2CeQQsB 8-CnzEIOTtC y9CvpEcABxBavBO5CHxBF0BHzCBsCL_CE6CRrDLqDUoBBeNXI4DVtELyB o_Cj1EY6BPHDkBQyBKRAYIZGoBA1EvB7EHmCMSPSGkBQH uhDvpEFjER0BGmCMGCf -hDvpEQRPzD
+RU;Sakha (Yakutia);q2C8pGUFDJ q8CkrERtBNeJLLcDJJmBdAHcVnDHGJlBPBP7DVe7BDNxBHatBIFWRlBHINPHqDRMJZJyBTMNPHeXPXkBnCxBLqBUuCHQRFgCuDD2BNcPHHiChCMFSXGBmC1B6FEiGcKMaWbQmBUXDaSAgB2BHmCSWGkD4BCQyBqBuBbkCKgBNoBgB0BaJYMQiBJ-BYOA8BPgBIgCOWWBEeUCAeOGDkFOFOWevBIaMDKmFWSiBTLjBTENdSYERWAEvBQBGQWhBKjELnEWpBF5BMYInCIwBQhCXrEGMGJBiBMHDeLPSoBDlDELCuDW5HLUNvCBsBJhBTcGtCHJDUHVU3CNlBctCbdBKRtBO3BWhBCeanCDoCQhCA0BGpBI2BS7BH5BMJI_CHZNQHLBpBDSE5DMzBKYEVDnGFYVjBHmBInBMQgBP 07CqzFY3BT7C i9C4tEFtCH0B -9Cy8FSvFNPT-D u-CgqFMLRJ u-C21FahFHMNrBY5BL_BHMAbPOAVb8COUBiFKxBQRGOBaLTJQFsB
+LV;Nicas;qmCmaAEDCEACECAACEBCFDACBBB
+LV;Liepāja;0mCqaCCCDBA
+LV;Grobinas;0mCqaBGDCAGCCGDADEACDDFBE
+LV;Pavilostas;6mCqaAIGCEICFDL
+LV;Ventspils;mnC2aGMAWMEAHEGEABVFBDJ
+LV;Ventspils;4nC8aBCCECB
+LV;Dundagas;ioC4bFCDFAQEGEDGC
+LV;Rojas;ioCocFCBCDICE
+LV;Talsi;4nC4cERBJFADDHIAKEAGSEH
+LV;Mersraga;4nC6cBFDICC
+LV;Engures;0nC-cFBDGFDESEN
+LV;Jurmala;onCwdBFAICM
+LV;Riga;onC-dACBBDEAIEAACGH
+LV;Carnikavas;snCkeBGGE
+LV;Saulkrastu;wnCueCGEDDA
+LV;Limbaži;2nCweDMGAEQKRDJHI
+EE;Lääne;mpCwdGWQBEZFCADBKBJFGBDAQAL
+EE;Harju;iqC0dJQKeJSKICSOFALFDCX
+EE;Lääne-Viru;wqCqgBPGFBFIEYGIEHMB
+RU;City of St. Petersburg;-qCklBNWGUONElBJgBDD
+FI;Uusimaa;4rCmhBK1BHzBhBnBS6DKB
+FI;Finland Proper;krC4cEaSKSpBHbGhBVKDqBHBGW qrCycBPHA
+FI;Satakunta;qsC4aFeGiBMRSKIJKML9BPQAJ
+FI;Ostrobothnia;utC0aKSIHSIDUUOGsBIJCMGhBNbFGDhBFIRZ
+FI;Central Ostrobothnia;4vC4cDcDJTkBCQMMc1B
+SE;Västernorrland;qvCkYWhBAjCNhBZqBVzCLqDOFEcQNHU
+SE;Gävleborg;2tC8VItCdpBXiCfaQYoBNCS
+SE;Uppsala;4rC4VbHDPJGFUKGKgBKGGJBM
+SE;Stockholm;krCmXRlBZJBKICLKMUGDAOEZOqBALGM
+SE;Södermanland;2pCgWKLIGGLDhBPZPyB
+SE;Östergötland;qpCgVOlBNpBRNBWPGBMGWKADeOAGNAWGd
+SE;Kalmar;woC8UEbJADVfQBLPHFcMMqBOILFMGJ 0nCsVbbPC
+SE;Blekinge;umCiUGTDZENFFNMGACkBDK
+SE;Skåne;imCmSSAAJHpCXYLHA2BGGKF
+SE;Halland;ymCkQBYSHGQMxBMFAP
+NO;Oslo;6qCuNAGGCGNFHFBBGCACI
+NO;Buskerud;4qCkNOEUVFPY1BPfXBC4BbiBMWHM
+NO;Vestfold;0qC8MBNFEAJLEJDEUICCGKJAG
+NO;Telemark;4pCqMSBclBB3BLNfmBH2BIMEF
+NO;Aust-Agder;wpC4LI5BcTNZHQLFCWPANY
+NO;Vest-Agder;2oCoKOXQABVOGALVRJIFJASHJ
+NO;Rogaland;6oCgIEKYDecGbN1BHMKqBTZAeFXBIIbLB
+NO;Hordaland;uqC-GK-BeWSlBD9BAQDLFIGTJMGUNXHKKOPASSCkBPXMGDRRVAa
+NO;Sogn og Fjordane;isCsGImBN6BMcSEYlBG3CHKDJBiCC5BJPHiBBhBBcHXB4BMKLKQYHJBQFbJEOTF9B
+NO;Møre og Romsdal;wtC6GQyEOFKaAjCNaO5BJFBwBDpCNsBFPOLNFKJFPFS
+TR;Rize;ozBuyBRGKaMKIH
+TR;Trabzon;qzB-wBJAFIDuBSF
+TR;Giresun;mzB0vBNBPIFcOEGHIMMA
+TR;Ordu;uzBuuBNRJkBHGGQSB
+TR;Samsun;i0BssBNAEPFHFCJmCMSIPDNUR
+TR;Sinop;u0B4qBHBDSNDDOIKDQOAMPEE
+TR;Kastamonu;q0BgpBRMJFHSGSJGCKeOERIC
+TR;Bartın;g0BmoBBEHCAEOSGD
+TR;Zinguldak;uzBmnBFgBQGGBCHLZ
+TR;Düzce;szB2mBNBDOKKAKGCER
+TR;Sakarya;uzBimBHAAFLDDJFGBWeM
+TR;Kocaeli;uzBslBJJEHDHFGAWBRFDCeOGCIIH
+TR;Yalova;yyBokBEABKCGGCBRFJ
+TR;Bursa;wyBojBTENkBOIAQaG
+TR;Balikesir;syBuiBRDFdFKJNGcPiBOecdMC
+TR;Izmir;svBiiBI0BUxBUKOJLTJKHNJSFTQJJEFJ
+TR;Aydin;4uBoiBGEBsBKMOHDtBNVBIJA
+TR;Mugla;stBykBYSCXWTCrBPEBNBsBNnBEeJBOQJa
+TR;Antalya;ktB2oBiBJUnBL3BhBZDuBcM
+TR;Mersin;-tB2rBMGMXV7BJKDXNDCuBYiB
+TR;Adana;iuB-sBUAQQcAbbBflBEHQ
+LB;Mount Lebanon;sqBusBLFAIDAaQCN
+LB;Beirut;qqBqsBAECAAD
+RU;Arkhangel'sk;-vC0tBNZdaHoB1BOXgBCiGOWHwBMGN4DOkBQGEPqBWAxBRBDjBaLMSoBzCC2DYyCS5BiBALpCYxDVDIhBIOIPErBnBhDnBeEhDIOM_BRJZ-B 45CogCNSA0CHTFgBAdLCBkFwB_CKMKRgB2BB9DLEFnBDgBARBOJJ s9ConCB5BFeJvBFeN3CBkCNrBDkDIUKTBiBKpBFwBGGIZG8BOVFmBMBFaIJBgBGQEdO2BmB4IQeM5BbrEA3DvB1G g5CyiCEpBNgB ikD0-BGKBf 6kD4lCCuBA7B 2kDs6BEyCB7E glD4tCF3DJqC -kD0gCI5BZxEHmC klD2nCCmBG3C 6lDynCB0BCnC imDkuCA0BCjC kmD8oCEuBD9B okD4hCCyBChC mkD-nCImCG9C klDuuCDJG2DKd wlD2nCBNCsB
+RU;Krasnoyarsk;w6CkiDTqCTvBN4BPIlBlCVqETYBXLKNNBXNaLLRqBnBOLoBXHF-BbERjBJYPFdpBd8BXjCTWNJDmDZgBCcLKTlBPKHyBfhBTBdmBPhBRYGoBNc7BmBrB1BPwCQuBwBsBGsCgBnBGkByBIauBaVeYM0CbccOY4BUACgBZuBUkBYVGcQAGhBSHOWGHcgCWQSbMaaBCgCWnDkByBGVuBHIZOyB8BEWdQ8DQCKmBIFYoDGbeAKlBEKMbKMOdMgBjBrHoD6KS1BLwBMOkBvDJ7FQsBIlEK2CM7Df9CDQHNF2BEpEPqBLLKIIlBP9CMtDDMDtBA0Bf9IDgBRhBCvBDqBBJFcA1BRmCRnCRmBUnBO0BLnINJJWPDjB0DVTXaFfJIETWUKJRdNIOJKMUFSoB m8C0qEMcJxC 8iDyzDCJBU -6CujDOPJV oiD4jEWnCNvBUeGhBJrBHSAdJKAdbtB -jDi1DEvDL8BBR 6iD88DKhBAYUOK5BN1BOkBETBpDVzCd4F mlD4jDDhBE8B -kDm6DUpDBSHjDHVAeLTBhBBeDxBL-CKqEQB
+GR;Ayion Oros;wyBgeDAAGFGAEMP
+GR;Thessalia;-xBscIXLHHfTKHiCQBJEEM
+GR;Stereá Elláda;2wB4cIhCPIASNFJmCOBOnB 2vB4ekBzBHRRwBRM
+GR;Attiki;-vB2dLZAUPSWA
+GR;Peloponnisos;uvB-cIfLDAPNGLRPGISXOQINUsBTFeEL
+GR;Dytiki Ellada;4uBkbEMOFAQMEITPb gwBqbOGARQHBLJEEPZQ
+AL;Fier;6yBkYJUGEKFCEGBCNDACCDAAD
+AL;Tiranë;ozBqYOgBGNBLFCBF
+AL;Durrës;yzBsYCGGBBGEGEDANDCDD
+AL;Lezhë;g0BuYBMGBCOEBGGDJCDBRDG
+ME;Budva;40B2XACEDCDBAAE
+ME;Tivat;-0BsXECCBDAAB
+HR;Šibensko-Kninska;s2BgUMSGDAHEAFXHQ
+HR;Licko-Senjska;u3BkTCMOFCGOPBHBDNA 23B0SJKCEOT
+SI;Izola;84BgRAECAAD
+IT;Venezia;i5BsQILLPANFBDGKKAIDH y4BoPDJAO
+IT;Padova;04BmPEFKCCNDBDEJFAHDABOEQ
+IT;Rovigo;u4BsPDFEDBhBHQEKBSFEGGCH
+IT;Ferrara;g4BwPGDCLDdBEFDCIHOAQMC
+IT;Ravenna;63BqPDRFAJJAOIGFM
+IT;Forlì-Cesena;q3BwPENHFCFHDHGBMICGM
+IT;Ancona;22BwQLRJEKKCW
+IT;Macerata;s2BiRDVHJJCDMEAOW
+IT;Fermo;k2BmRFLDAADDFBCGY
+IT;Ascoli Piceno;61BqRDRBAADFDBIEGEO
+IT;Teramo;01BsRHVFCFOGQ
+IT;Pescara;m1B2RBNNABMKAEG
+IT;Chieti;i1B6RDFPAHOOM
+IT;Campobasso;00BuSLJNDDIEOGAEIKA
+IT;Foggia;u0B-SJAFHPKDOISODMM
+IT;Barletta-Andria Trani;6zB-THCDFFIBBBIKGCI
+IT;Bari;yzB2UDHJFHICoBKD
+IT;Brindisi;kzB4VDDNKBKEMGD
+IT;Lecce;0yB0WHNBGNGDMOG
+IT;Taranto;syBmWECELKFBZHCDEEIAKDD
+IT;Matera;wyBiVOFBLGFHHNGAGJCEM
+IT;Cosenza;kyB6UCJJBAXhBOAOSWIT
+IT;Crotene;sxBoVFDAHFCAFJMBIGECDMC
+IT;Catanzaro;2wBkVKLFFANXSOA
+IT;Reggio Calabria;iwB2UEFDBCRLJHABQ
+IT;Vibo Valentia;kwB8TCIDMEBAEEDGACBHR
+IT;Potenza;8xB2TAYGCYNIIMPBJLJVSFF
+IT;Salerno;iyByTIGYTFFCZFBBSLAJS
+IT;Napoli;4yBiSEGCDGEACEDBVFCCKDGHD
+IT;Caserta;mzBwRCWGHAEKCELADDACJFABD
+IT;Latina;yzBmREECVMNBPPU
+IT;Roma;4zB-PKHCOFIKDGMObFhB
+IT;Viterbo;20B2OAYGGWXTR
+IT;Grosseto;-0BqOSOMRCXNAJQFB
+IT;Livorno;21BsNcHBHNKLB y1BiNDNBM
+IT;Pisa;w2B8MCIJADIDBDCGMGAGFIACX
+IT;Lucca;42B6MASEBICGRJD
+IT;Massa-Carrara;g3B2MEEIBINFF
+IT;La Spezia;i3ByMCAMPAFFCBBFOCA
+IT;Genova;o3B8LOACDETHFEDDDBEBBBa
+IT;Savona;w3B6KEACPPJFABGIE
+FR;Var;s2B2IMNBfVFFWGUED
+FR;Bouches-du-Rhône;g2BiHWEInBTVDYKDJGIIBIFH
+FR;Gard;q2BoFWaMHGZLDBXJGAU
+FR;Hérault;u2BkFICIRLpBLDFc
+FR;Aude;g2BiEKnBBPFFFKNBDMIGAc
+ES;Barcelona;i0BwDIRIGKXBHJAPNPK
+ES;Tarragona;wzBgCOFAJHJATXLHWUM
+ES;Castellón;2yBUKbFHLERVHa
+ES;Valencia;0xBHKlBTNdkBIWUJ
+ES;Alicante;0wBBHVENRFRIBGUKQe
+ES;Murcia;qvBdkBPPPLfZcIkB
+ES;Almería;4uBhCUVtBlBAoB
+ES;Granada;-tB9DUMKUUCfvCRU
+ES;Málaga;-tB3EWXBLdjBHOQiB
+ES;Sevilla;kuB5HCqBOWQNDPSDGLVd
+PT;Setúbal;qvB_KASKBGKMHALIGEDHZJAGUFGENFG
+PT;Lisboa;wwBlLKGFH 8wB_KGBCTXFAQOG
+PT;Santarém;6wB_KLDAeOHSWIFFHIFBNHAHN
+PT;Leiria;kxB1LAOKOIAGUGADJET
+PT;Coimbra;iyBjLDUGKHAGOQAFZINLDDE
+PT;Aveiro;0yB_KDMDACGGEKBEIGAAVNDIEDAAE
+PT;Porto;ozB5KGcECEDAXEH
+ES;La Coruña;s1B9KIgBkBKJXJEFnBJBBOLF
+ES;Lugo;22BzJVJXAJegBOKLGE
+ES;Asturias;s2B5IDDTQU6CK1B
+ES;Cantabria;o2BzFLNBSLMCMGHGGIcIP
+ES;Bizkaia;m2B9DDLDCCQFEBKOKENFJ
+FR;Landes;u2B7BCyBMCAKIESxBDF
+FR;Gironde;y3BxBJoBaWSnBPGaTjBHAI
+FR;Charente-Maritime;04BbFcYRIOQnBHDRIAJ
+FR;Vendée;85BrBCWaNCXHBIRFFPO
+FR;Loire-Atlantique;66BvCHSGACSKJESGJCGIRPrBHgBEPFD
+FR;Morbihan;q7BhDGOWHA3BHMJBCOJBGI
+FR;Finistère;27BtEIGGNIKQFHrBFABWCNFADKBRJQ
+FR;Côtes-d'Armor;88BxETEFkBKaIEIPHPQP
+FR;Ille-et-Vilaine;28BtCJAFNLKHBGiBIIUBBNKPBH
+FR;Manche;68B_BHICWIEEPKMaPAbRQTADI
+FR;Calvados;29BrBLKHLBEG8BUFFT
+FR;Eure;69BMVEJQGWSSIJHV
+FR;Seine-Maritime;89BUJUGcQCKPLrBJF
+FR;Somme;y-B2BNUDgBESMEQhCHE
+FR;Pas-de-Calais;--BgCNyBIMSLATOLFR
+NL;Zuid-Holland;ygCkFMsBALIBINNTFEBJ
+NL;Noord-Holland;uhC0FFCAaEGCJKAIKIFBR
+NL;Friesland;oiCwGHGGsBILKCDX 6iC4GDJES
+DE;Bremen;8iC2KAEEAAF wiC2KABFIBIEE
+DE;Hamburg;-iCmMFGCSEFIAFPCBDAAE
+DK;Midtjylland;4lCoKDoCUKKcKtDbDDM
+DK;Nordjylland;6mC2LCoBOPBQeMnB_CFMOGEwBDb -mCiLKEJR
+GL;Kommuneqarfik Sermersooq;84C7iBDjUhHAA3HHZfyBOjBDPFcJ9BAkCH_BBePTEkBHbBkBBfDqBFVDSHJKcVXJoBJNIaPRIaJNDWDbCmBHbN2BkC0EE6CKRCeMRGuBIhBBsBINGMGnBEwBedAuBMGEPKiBDuBOLKgBGRBmBRZFaMEC8BOJDwB2B6BKuBaRTkBE4CU6D6BqFK_DR1CGtBM8CC1DQ2BGTBgB s5C3gBN9BHkBO6B 85CjcRzDDejB0BAcQGPECiBMPGQAREOAbCaQBJdUYDxB oxCx_BRzBNAW8B u4CzfOPZhD
+GL;Nationalparken;-4C1iBO-BC7CGuBQ1Bb6ESUCqCUxCJnBKKAXG0BMvDK-CFhDIJE2BIpBH8BKyBSnBPyBKQFqCCpCRmCImCSKG7BPBSZISAPEcINNiDKcG1CEUMDEjCAsCQvCDsBIhBTqDYKKpDG-CEvCIhBGcElBCqFOKILI_CIoCKnCJnBsBoBSyCBbUQGvBKKMwFGrGE6GiBgFO7ETlFKSEbrBlFkBoDQIE1CLHJ3DELS0CHnKM0DEjCQ8MI3FIuBGRJ_MQuMOxIH9HLuCF5CJWWhFHxDH2CCtER-IKvHVqEE5CLPFgBDTehIViCA_BL6BBLS5DVTENUKKjBH5EFtBZ4DYvEH3BJaFTHQAlBrB8FxCuQ3IA gnD13BK_DXsD wnD57BAQClB 6nDjyBE3BFiC y6CtbQlDbwCESIb q7CzeEgCCvD -9CzVIhCNC i_ClXYDEP ihDvWGQFZ -jDtXDZG2C gmDlWAQElB
+GL;Qaasuitsup Kommunia;4_C_0CDODvCT-DKfK-EbmGJIDThBmDPtBIwBJLNgBBRLmBLXBkBHDAOLRAcB1BDmBNjBBOKiBT7BJQAgCKHGcURVUIaLVCgCN1BEiCLvBGkBHXF2BApBFsBDIAfPkBMjFX-CAyCVZAcLjBGeFIBVHUIjBPHEaJHJlDGmDLXJ0BK9DHyBAvBAOHfLAUqDDLBsBFpBA2BDjBDMCmIiNAiE3XDNPWQhBhB5EF0EFxBRIPlBZvIHJAQFXPuEFfFsBC-DJ5DFuDDpG s3C__BPCOU 22CjiCMqBajDHTHaBdFWAX 24C3gCBNAY 4gD93CClBByB
+GL;Pituffik;0_Cr2CHWAOIAAWEA
+GL;Qeqqata Kommunia;4wC_gCesCA0H4CAI1KNxBHqEArENgCHvBDqBBvBHUHVkByElBpECkCN7BCWPIMuCNvCBWTHImB
+GL;Kommune Kujalleq;uuC91BAhBtCpFA4BWuBPNKiBRnBGmBPZKyBXTQcRbDWQULmBMBInBE6BGfIiBEjBBmBKXCiBIbBaIPKeBROMIbDgB gsCl6BEQFb
+AQ;undefined;r7Cr8CHJGa j7CrwDDRCoB 9nDpzGMxDN8D rmD9lGEZJwB 1jD7rGBLAc tgDl7FCWE_B 7_C75FAKCb v-C51FCbFmB v4CrDCjBPgBMc j3CqUFbHYMU tzCirDAPFc
+PN;Pitcairn Islands;vetgFACEAAB
+PF;Tuamotu-Gambier;nW7vFEEFJ
+PF;Windward Islands;lWv6FKHBJHCDQ
+TF;Iles Eparses de l'ocean Indien;9buyBACCAAB
+PF;Leeward Islands;9Ur9FFACG
+SC;Outer Islands;1Lk6BBLBE
+SC;La Digue and Inner Islands;zFglCACCAAB
+KI;Kiribati;mCvkGKHADBGDDCFHO
+MH;Railik Chain;oHg0GAGIAAF
+MH;Ratak Chain;6I61GAOEAAN
+IN;Lakshadweep;qKo7CAECAAD
+VE;Nueva Esparta;-N5vCBFDBEFBFDBAIDGCGCE
+TT;Tunapuna/Piarco;wN1sCBAADHCCIEBCECA
+TT;San Juan-Laventille;uN7sCBAFCACIAACCA
+TT;Diego Martin;qN9sCECBF
+TT;Port of Spain;qN9sCACCAAB
+TT;Chaguanas;kN5sCAECAAD
+TT;Couva-Tabaquite-Talparo;8M5sCAIGCGBBDBBAB
+TT;San Fernando;6M7sCACCAAB
+TT;Penal-Debe;6M7sCBCFBAEIA
+TT;Siparia;4MhtCBAAFDFASGACD
+TT;Point Fortin;2MjtCACCAAB
+TT;Princes Town;0MvsCIBAHBABEFB
+TT;Rio Claro-Mayaro;iNpsCAFFBHCCIIC
+TT;Sangre Grande;wNtsCDDJCAGKAGG
+VE;Dependencias Federales;2NxxCBFAG
+TT;Eastern Tobago;kO5rCBBBCCEEC
+TT;Western Tobago;gO5rCCBCCFH
+GD;Saint George;iPjtCCAABDB
+GD;Saint David;gPjtCAEEAAD
+GD;Saint Andrew;oP_sCABDBAE
+GD;Saint Patrick;oPjtCAECAAD
+GD;Saint Mark;mPjtCACCAAB
+GD;Saint John;kPltCACCCCB
+IN;Andaman and Nicobar;4Is1DIHRG 0Qq0DMBzCL
+NL;Bonaire;qPn1CCHBABEHC
+GD;Carriacou and Petite Martinique;yP5sCEADB
+CO;San Andrés y Providencia;0PjmDACCA
+VC;Grenadines;mQzsCAEEAAD
+BB;Saint Joseph;wQvqCAECAAD
+BB;Saint Andrew;wQvqCACEAAB
+BB;Saint Peter;yQxqCAECAAD
+BB;Saint Lucy;yQxqCACEAAB
+BB;Saint James;uQxqCACEAAB
+BB;Saint Michael;sQxqCAECAAD
+BB;Christ Church;sQrqCCABDBC
+BB;Saint Philip;sQrqCACEAAB
+BB;Saint John;uQtqCAECAAD
+VC;Saint Andrew;uQxsCACEAAB
+VC;Saint George;uQxsCAECAAD
+VC;Charlotte;4QtsCHBACEC
+VC;Saint David;yQxsCAEGA
+VC;Saint Patrick;wQzsCAEEAAD
+LC;Gros Islet;wRnsCAEEAAD
+LC;Castries;wRpsCDEEACB
+LC;Anse-la-Raye;sRpsCBCGAAB
+LC;Soufrière;oRpsCEEAD
+LC;Choiseul;mRpsCACEAAB
+LC;Laborie;mRnsCACEAAB
+LC;Vieux Fort;mRjsCEDFC
+LC;Micoud;qRjsCADDE
+LC;Praslin;qRlsCACCAAB
+LC;Dennery;wRjsCABDAAC
+LC;Dauphin;wRlsCACCAAB
+FR;Martinique;iS_rCIFGCBBGHBBHCDGBDBCCIDA
+DM;Saint Patrick;gT1sCAEGAAD
+DM;Saint David;sTxsCDDDCCC
+DM;Saint Andrew;yT5sCFCBECCEB
+DM;Saint John;uT7sCBEGB
+DM;Saint Peter;qT7sCAEEAAD
+DM;Saint Joseph;oT3sCACCCCF
+DM;Saint Paul;kT3sCACEAAB
+DM;Saint George;iT3sCAEEAAD
+DM;Saint Luke;iT1sCACCA
+DM;Saint Mark;gT3sCACCAAB
+FR;Guadeloupe;sU9sCAJNEEG sU9sCDECMKL
+HN;Islas de la Bahía;qUnsDAQIAAP
+UM;Johnston Atoll;8U9zGACCAAB
+MS;Saint Peter;-U5tCAECAAD
+MS;Saint Anthony;8U5tCAECAAD
+MS;Saint Georges;8U3tCACEAAB
+AG;Saint Paul;oVntCACCAAB
+AG;Saint Philip;qVltCAECAAD
+AG;Saint Peter;qVltCACEAAB
+AG;Saint George;qVntCACEAAB
+AG;Saint John;sVptCBAAEEBBD
+AG;Saint Mary;oVntCEBABBA
+KN;Saint Paul Charlestown;uVnuCACCA
+KN;Saint John Figtree;sVnuCACCAAB
+KN;Saint George Gingerland;sVnuCACCAAB
+KN;Saint James Windward;uVnuCACCAAB
+KN;Saint Thomas Lowland;uVpuCACCAAB
+KN;Saint Paul Capesterre;2VxuCACCAAB
+KN;Saint Anne Sandy Point;2VxuCACCAAB
+KN;Saint Thomas Middle Island;0VxuCAECAAD
+KN;Trinity Palmetto Point;0VtuCACCAAB
+KN;Saint George Basseterre;wVtuCAGEAAF
+KN;Saint Peter Basseterre;0VtuCACCAAB
+KN;Saint Mary Cayon;2VtuCACCA
+KN;Christ Church Nichola Town;2VvuCACCAAB
+KN;Saint John Capesterre;2VvuCACCAAB
+NL;St. Eustatius;6V3uCACEAAB
+AG;Barbuda;gWptCBECAGDFAEA
+VI;Saint Croix;mW1wCCNDA
+BL;Saint Barthélemy;sWxuCACCAAB
+PR;Puerto Rico;8WhyCIdAbFFPCAyB
+DO;La Altagracia;4X_1CLFLCHKQM
+AI;East End;6W3uCACCAAB
+AI;Stoney Ground;6W3uCACCA
+AI;North Side;6W5uCACCA
+AI;The Valley;6W5uCACCA
+AI;North Hill;4W7uCACCAAB
+AI;Sandy Ground;4W7uCACCA
+AI;South Hill;4W7uCACCA
+AI;West End;2W9uCACCAAB
+AI;Blowing Point;4W5uCACCA
+AI;The Farrington;4W5uCACCA
+AI;Sandy Hill;4W5uCACCAAB
+AI;Island Harbour;6W3uCACCA
+VI;Saint John;8W_wCAGCAAF
+VI;Saint Thomas;8WhxCEDBAAD
+VG;British Virgin Islands;gX5wCCGBH
+JM;Saint Ann;kX5gDLBCUGB
+JM;Trelawny;kXlhDJBBMMC
+JM;Saint James;iXvhDJECEKCAF
+JM;Hanover;8W9hDCKBIGDAHDF
+JM;Westmoreland;yWthDGCEACLDFBEAG
+JM;Saint Elizabeth;qW9gDODAJFBBEFE
+JM;Manchester;qW3gDCCMFAFNE
+JM;Clarendon;sWtgDMBALLGBBFKCAAB
+JM;Saint Catherine;wWhgDGAEDBJLCBI
+JM;Saint Andrew;uW__CCCBCAFAICCCBEHDB
+JM;Kingston;uW__CAECAAD
+JM;Saint Thomas;wWp_CCPDADCAKCG
+JM;Portland;6W7_CFBDUGD
+JM;Saint Mary;gXpgDFCDEAGECCDED
+KY;Cayman Islands;mYtlDAJDA
+DO;El Seybo;4Xv2CDAAFFGDBDGIKKC
+DO;Hato Mayor;8X_2CDBFKDBJEKGGFAGEA
+DO;Samaná;kYl3CDBAEDBDEKCBOEEADCABD
+DO;María Trinidad Sánchez;yYz3CFDFEFMSD
+DO;Espaillat;0Y93CBFLDBGKCBIEECA
+DO;Puerto Plata;6Y_4CNaIIKZ
+HT;Nord;8Y16CDFJIAGLIEGIDGCEFDF
+HT;L'Artibonite;2X76CBSUAQRBNDBJQLD
+HT;Nippes;mXl8CFBCIDEAOFGKBEZCE
+DO;Barahona;6W14CMDJHAFNADGMIGB
+DO;Azua;6Wn4CGEYPPJBGFBFEIK
+DO;Peravia;6W33CEBEACDJJBC
+DO;San Cristóbal;gXv3CGFIACFJDDGDADC
+DO;Santo Domingo;iXv3CECFMAECCCDGADHGDBDEFHC
+DO;Distrito Nacional;iXr3CCDBA
+DO;San Pedro de Macorís;gXr2CIACFFDMDFFFADCCM
+DO;La Romana;gXj2CGCEDFFDA
+CU;Camagüey;0bzhDVVTGNWeoB
+CU;Ciego de Ávila;gc1iDdFDSISOE
+CU;Holguín;yar_CVPLYGCFgBGWGnBOE
+TC;Grand Turk;8a94CACCA
+CU;Isla de la Juventud;iblnDKFCLFDJGEJHM
+BS;Crooked Island and Long Cay;uc78CDICEGN
+CU;Sancti Spíritus;icnjDHCBPHAHNHuBGFaG
+CU;Villa Clara;6c3kDFFNKCKZKMaaR
+CU;Matanzas;-cjmDZCDTN-BMNISOJKG
+BS;Exuma;ud3-CEDAFBAFQ
+BS;Long Island;4cx9CGHWLXMCHDKHG
+BS;Rum Cay;0dz9CBBAGCA
+BS;Black Point;-dv_CAEGAAD
+BS;San Salvador;geh9CABECCABDFAAC
+BS;Central Andros;6elhDBLFDFEGM
+BS;Mangrove Cay;genhDEECBEECBHJBE
+BS;South Andros;ielhDDDDCCGDDACCEDHAKGCADCEKD
+BS;Cat Island;oej-CURRODDAI
+BS;New Providence;of7gDCKCHDD
+BS;North Andros;0e1hDIQSJCHLCFFFEAFECDF
+BS;Central Eleuthera;0fr_CDCBEFAGC
+BS;North Eleuthera;0ft_CKPDBBI
+BS;South Eleuthera;ofl_CBBBABCBBAFFI
+BS;Berry Islands;kgBrhDAEEAAD
+BS;Moore's Island;6gB_gDACEAAB
+BS;City of Freeport;khBpiDACCAAB
+BS;West Grand Bahama;ohB_hDIHDBAEFFGLHK
+BS;East Grand Bahama;shBhiDDCCUGADH
+BS;Central Abaco;8gBxgDCIGAGHABCCAFDCBIDD
+BS;South Abaco;-gBpgDBHFCDHFGOECG
+BS;North Abaco;shB3gDACIJANBQ
+BM;Hamilton;uoB7wCACCA
+BM;Smith's;soB9wCACCAAB
+BM;Devonshire;soB_wCACCA
+BM;Pembroke;soB_wCACCA
+BM;City of Hamilton;soB_wCACCA
+BM;Paget;qoB_wCACCAAB
+BM;Warwick;qoBhxCACCAAB
+BM;Southampton;qoBhxCACCA
+BM;Sandys;qoBjxCACCAAB
+BM;Saint George's;uoB7wCACCAAB
+RU;Kalmyk;-4Bs7BCXUKIZScabIMFTe1BCZPEJdLGIWtBPKnCRTHSMgB7BgF
+AZ;Dəvəçi;2zBs9BANHDDCFAAGKEAI
+AZ;Siyəzən;uzBu9BAHDBBDDCEIFGCG
+AZ;Xizı;kzB29BELHLLYGIGA
+AZ;Sumqayıt;6yB-9BABDECE
+AZ;Bakı;4yBk-BDIDTdBWKGMFUMF
+AZ;Salyan;yxB29BKDANHEDDAFHABIIEBK
+AZ;Neftçala;sxB09BCJHDCHJAAEEGDKIABG
+AZ;Lankaran;-wBy9BEJHFDCGCEEDEFB 0wBk9BDNHGAG
+AZ;Masallı;2wBk9BIBAFFHFG
+AZ;Lankaran;wwBi9BACCA
+IR;Mazandaran;ouBo_BNLjBmCG4BYaQTCQNzC
+HM;Heard Island and McDonald Islands;riCm8CEHALBEFEEO
+TF;Archipel des Kerguelen;v9Bm4CBtBCDEOGBFXOIFLKEHHfBGUHoBGCGXBeCF
+TF;Archipel des Crozet;_5B6gCAHBG
+SH;Tristan da Cunha;puBrPDACE
+FR;La Réunion;ra4lCKHBLFBHEDKAIIC
+MU;Rivière du Rempart;_YgoCFCCEEB
+MU;Pamplemousses;jZ8nCACDACEGB
+MU;Port Louis city;lZ6nCACCAAB
+MU;Rivière Noire;zZ4nCCACEABKADBHBAB
+MU;Savanne;zZioCEDBFBAAC
+MU;Grand Port;rZooCBHBBACDC
+MU;Flacq;jZmoCDFACBADAEG
+SH;Saint Helena;7TjHDDAGEA
+FR;Mayotte;7Pw4BCDBBHEADDCCE
+KM;Moûhîlî;rP42BCFDAAI
+KM;Andjouân;pP23BIDFDCFJM
+KM;Andjazîdja;3Oq2BIBIAADNDHKCC
+MU;Agaléga;_M0mCACEAAB
+SH;Ascension;7J9RBBAE
+TZ;Zanzibar South and Central;vHoxBBFFCFECAFECCIBEADAAD
+TZ;Kaskazini-Unguja;xHgxBCIMDFABD
+TZ;Zanzibar West;5HkxBIBABFADE
+TZ;Kusini-Pemba;vG6xBAHBGBFBCABDAAECC
+TZ;Kaskazini-Pemba;tG2xBBEMADBEDDABABCBB
+SC;Grand'Anse;7FqlCACCAAB
+SC;Anse Boileau;9FslCACCA
+SC;Baie Lazare;_FqlCACCAAB
+SC;Takamaka;_FslCACCAAB
+SC;Anse Royale;9FslCACCAAB
+SC;Au Cap;9FslCACCAAB
+SC;Anse aux Pins;7FulCACCA
+SC;Pointe La Rue;7FslCACCAAB
+SC;Cascade;5FslCACCA
+SC;Roche Caïman;5FslCACCA
+SC;Plaisance;5FqlCACCA
+SC;Mont Fleuri;3FslCACCA
+SC;Bel Air;3FqlCACCA
+SC;English River;3FqlCACCA
+SC;Anse Etoile;1FqlCACCA
+SC;Glacis;3FqlCACCA
+SC;Beau Vallon;3FolCACCA
+SC;Bel Ombre;5FolCACCAAB
+SC;Port Glaud;7FqlCEABD
+SC;Baie Sainte Anne;tF0lCAECAAD
+SC;Grand'Anse Praslin;tF0lCACCAAB
+GQ;Annobón;7BgHACEAAB
+ST;São Tomé;QsIFJJEEEGE
+ST;Príncipe;iCqJCBFBAC
+GQ;Bioko Norte;yE6KDIBAIECBAF
+GQ;Bioko Sur;sEiLGHHBBFFABK
+CV;Brava;wS9eACEAAB
+CV;Santa Catarina do Fogo;ySveAEEAAD
+CV;Mosteiros;6SxeDEACEB
+CV;São Filipe;0SreABGDFDDGCC
+CV;Tarrafal;gT1dACCCEDBB
+CV;Santa Catarina;2SzdCCECEDABDB
+CV;Ribeira Grande de Santiago;0StdGBDD
+CV;Praia;0StdAEEAAD
+CV;São Domingos;6SrdBDBACG
+CV;Santa Cruz;-SvdBABEEA
+CV;São Miguel;iTxdDBBCCC
+CV;Maio;kT9cCBDBDABCCE
+CV;Boa Vista;kUrcEACHDADBBGCE
+CV;Ribeira Brava;8UveDEDAECBICB
+CV;Tarrafal de São Nicolau;0UreEAEDBA
+CV;Sal;4U1cECGABD
+CV;São Vicente;kVjfADBDBI
+CV;Ribeira Grande;uVxfBECECB
+CV;Porto Novo;sVnfABADCDDDFCCE
+CV;Paul;sVpfAECAAD
+ES;Santa Cruz de Tenerife;6iBtWFHBG mjBxUQOHfNI gkBlWAJNG
+ES;Las Palmas;ijBnTELJDFI -jBtRbVIW
+PT;Madeira;8oB_UCGEVBBFK
+GR;Kriti;ksB8gBHTKBA3BOXPJN8BCuB
+GR;Notio Aigaio;ytBqjBDNHHJCGO
+CY;Paphos;qrB6oBIGCFIAEDFFCDNE
+MT;Kalkara;8sBkSACCA
+MT;Valletta;8sBkSACCA
+MT;Sliema;8sBkSACCA
+MT;San Giljan;-sBkSACCA
+MT;Pembroke;8sBiSACCAAB
+MT;Naxxar;8sBgSACCAAB
+MT;San Pawl il-Bahar;8sB-RAECAAD
+MT;Mellieħa;-sB8RAECAAD
+MT;Mġarr;8sB-RACCAAB
+MT;Rabat;6sB-RACCAAB
+MT;Dingli;6sBgSACCA
+MT;Siġġiewi;4sBgSACCAAB
+MT;Qrendi;4sBiSACCA
+MT;Żurrieq;4sBiSACCAAB
+MT;Birżebbuġa;4sBkSACCAAB
+MT;Marsaxlokk;6sBmSACCA
+MT;Marsaskala;6sBmSACCA
+MT;Żabbar;8sBmSACCA
+MT;Xgħajra;8sBmSACCA
+MT;San Lawrenz;itB4RACCA
+MT;Kerċem;gtB4RACCAAB
+MT;Munxar;gtB4RACCAAB
+MT;Sannat;gtB6RACCA
+MT;Għajnsielem;gtB6RACCAAB
+MT;Qala;itB8RACCA
+MT;Nadur;itB8RACCA
+MT;Xagħra;itB6RACCA
+MT;Żebbuġ;itB6RACCA
+MT;Għasri;itB4RACCA
+MT;Għarb;itB4RACCA
+IT;Trapani;-uBkQKIQNPL
+PT;Azores;qvBvfAZFOCO
+GR;Voreio Aigaio;mwB2gBCLPC 6wBohBOJFT
+GR;Ionioi Nisoi;yvB-ZQHJH qxBkZOFBL
+IT;Messina;yvB4RJKAOGCFQUQ
+IT;Palermo;yvBoQHBLQImBMDBTIP
+IT;Agrigento;suByROPKGAjB
+IT;Caltanissetta;ouB-RGEGDCJKCAHGHFCFFAINI
+IT;Ragusa;8tB4SGFAEMFFRHG
+IT;Siracusa;2uB8SCHHDACDBJGADHKKCEIIFCC
+IT;Catania;ovBiTGTJBDGBLFEDLJEEQIBCEBI
+ES;Baleares;4xBmEGFNhBNc
+IT;Carbonia-Iglesias;6wByKCDFC 2wB4KGKKFELJB
+IT;Sassari;wyBwKDaIKILKBFRILPB
+IT;Nuoro;6yBmMANNNEHDJDQJADIWW
+IT;Olbia-Tempio;mzBgLAGDBLMEWIBEHCGAFECGL
+IT;Oristrano;0xB2KBIIQEFKAALILLEHDAG
+IT;Medio Campidano;qxBwKCGFGCKOECDFDAFEJ
+IT;Cagliari;uxBiMORFHNABLJGHJESKBFU
+IT;Ogliastra;oyBiMFNHBDGBBFMWE
+FR;Haute-Corse;g1B2KViBMGiBDADNBBX
+FR;Corse-du-Sud;q0B4LAFIBKNELDGFFDIFFAIFFBKFDHQ
+JE;Jersey;y9BzCAFBABKEA
+GG;Sark;89BnDBBAECC
+GB;Isle of Wight;s_BrBCHDJACBIAGEE
+GB;Anglesey;0iCjFADEDAJDADCAEBAGO
+IM;Isle of Man;yjC3FKMEBBHLJ
+DK;Sjaælland;ukC6OIXFJ wlCuPEbKEHhBVOBWBHDMBHPKMIEJCKGFGSIJ
+DK;Hovedstaden;-kC-SGPHB 4lCkPHQSEDd
+GB;Eilean Siar;moC1IeeLjB
+SE;Gotland;qoC6XCNNVRGHFUgBKH
+GB;Orkney;ypC1DBDBE wpChEEAAHDM 2pCtDCNCEEHFFDW
+GB;Shetland Islands;wrCrBAJKCFLFOBRBSPA
+AX;Lumparland;mrCsZBBCBBABE
+AX;Eckerö;orCyYCDDAACCABC
+AX;Vårdö;orCuZAECAAD
+AX;Kumlinge;qrCgaACCAAB
+AX;Jomala;krC8YAGEAAHDD
+AX;Mariehamn;irC8YACCAAB
+FO;Eysturoyar;2tC_IHUON 4tClICGEF
+AU;Tasmania;h2Bg5FcDYMJG2BFN_BWrCdClBgBGNPCboBJJBmBgBO lyBg5FBOUP 7xBk0FMFVB
+AU;Cocos (Keeling) Islands;nPg5DACCAAB
+ID;Bali;rKwwEKPFNEPLGJWHASW
+IO;British Indian Ocean Territory;pJu6CAGIAAF
+SG;South West;yB6hEIDBBDB
+SG;Central Singapore;0B8hECBCCABDB
+SG;South East;0B6hEAGEAAF
+SG;North East;2B8hEACCAAB
+SG;North West;6B2hEFCGE
+MY;Labuan;2GiwEABDBCE
+TH;Phuket;8Jg7DICADEBJBFCCCBC
+US;Hawaii;uYzhGcnBvBA ga_iGEbLM
+JP;Okinawa;whBugFDRXJ
+TW;Kinmen;0eg0EBACDDACGCA
+KR;Jeju;8pB2-ECFBLHNDECOCK
+RU;Kamchatka;ukCqwGYPBT 4pC8tGKFJfRN otCi6GedJpEOFShCWuBarBU3GPOJZZGRZNUPBDXDQRBAiBGNgBQF6CH7BfPDMNVDKTnChDvEH_BLKhBpBzBPvFsBqBiCsBGCgCQJcKW0CgBPiBaGYLRBgBWDARYAOWKZJNQNqBkBBOmBQJwBc8BZDYeI4CdqBWK
+EE;Saare;kpCidGbJREJFGBFFOJFMK
+EE;Hiiu;0pC8bHKEKCKKPFHAP
+AX;Kökar;8qCkaAECAAD
+AX;Föglö;-qCsZAGCAAF
+AX;Sottunga;krC6ZACCAAB
+NO;Svalbard;qhDweOrDDfHeNfLgD 4hDoaCyBOHDrC 0iD6kBB_BCqC qiDoZI2BMnDUXLbQSMnCLZhBgBkBrCJZLGM_BO2BN7DRWIiBJPFgBCtBPqCBhBLaImCMLGmBPCKsBBMHTAmBPzENOK6DL5CH6BE7CVqDDpBNiBGiBELaca8BOF qkDspBF_BE2C ikD-hBOzDLtBOKCVTTUpDLIBxCDuBFhBHcEsEHpDPwF
+AU;Macquarie Island;jkC0mGJBACMC
+NZ;Campbell Islands;zhCyzGACCDDDADBI
+NZ;Antipodes Islands;h-By_GADBBAE
+NZ;Chatham Islands Territory;p3Bl8GADDC 72Bv8GGKCRDJBMBCDFDCCMMJAI
+AU;Lord Howe Island;vnB6mGACEAAB
+NZ;Kermadec Islands;zkBt-GAEEAAD
+NF;Norfolk Island;rkB8xGAEEAAD
+PF;Austral Islands;xiBt0FACEAAB
+CK;Mangaia;tbtlGACCAAB
+CK;Mitiaro;5YllGACEAAB
+FJ;Eastern;1Xi_GHTAKGEAI
+TO;Vava'u;lXt5GDDACBACE
+WF;Sigave;7R3-GACCAAB
+WF;Alo;_Rx-GACCAAB
+WS;Gaga'emauga;5Qt3GHBAEEE
+WS;Gaga'ifomauga;7Q53GDABCAIIC
+WS;Vaisigano;_Q73GACEAAF
+WS;Satupa'itea;lRr3GEBABFC
+WS;Palauli;nRt3GGBAHBADE
+WS;Fa'asaleleaga;9Qn3GADDAFEEA
+SB;Rennell and Bellona;1O0oGKVNWCE
+PF;Marquesas Islands;lMxtFCFBFDE
+SB;Makira;vN-qGOJKfDABIHAHM
+SB;Temotu;rN2vGCJFFBE
+SB;Malaita;_L2pGMDECQNICMJBFfK
+SB;Capital Territory (Honiara);5L-nGAECAAD
+SB;Guadalcanal;3LioGGNDDRKBmBSR
+SB;Central;tLqoGAGED pLkoGDGECCF nL-mGBDBE
+CK;Penrhyn;nLvlGACCAAB
+SB;Western;1KolGWNLH zJgkGCLLG
+TV;Tuvalu;1KggHACCA
+SB;Isabel;zK6nGURSlB
+TL;Ainaro;vLi9EEAEBECGADFHDDEDA
+TL;Manufahi;pLy9EIJEABDHDHC
+TL;Manatuto;nL29EIDGEGAALDDJCHK
+TL;Viqueque;9Ku-EEBBHEBDACNFBHECM
+TL;Lautém;xKs-EFEFBCKMMEN
+TL;Baucau;zK29EHCAKEADCAKECGDBFEF
+TL;Dili;1K88EBCEM nK-8EBBBCGE
+TL;Liquica;9Ks8EAGGKCAADBJ
+KI;Kiribati minor island;hH9iGAECAAD
+PG;North Solomons;pI-iGwBxBxBa
+PG;West New Britain;1Hu8FOFiBqBXnBATWBVJA7Bd0B
+PG;East New Britain;lGy9FhBpBNGYcEaSFEOWEGhB
+PG;New Ireland;pFu_FkC9CnB8BzBY
+ID;Bangka-Belitung;xDsnEMZbB lDulEERmBPRdHaZILW
+PG;Manus;vCq4FCfHFDCGGDU
+MV;Addu;Xs7CACCA
+NR;Anetan;T2wGACCA
+NR;Ewa;T2wGACCA
+NR;Baiti;T0wGACCA
+NR;Uaboe;T0wGACCA
+NR;Nibok;V0wGACCAAB
+NR;Denigomodu;T0wGACCA
+NR;Aiwo;V0wGACCA
+NR;Boe;V0wGACCA
+NR;Yaren;V2wGACCA
+NR;Meneng;V2wGACCA
+NR;Anibare;T2wGACCA
+NR;Ijuw;T2wGACCA
+NR;Anabar;T2wGACCA
+MV;Gnaviyani;L67CACCA
+MV;Gaafu Dhaalu;Ks7CACCA
+MV;Gaafu Alifu;Q87CACCA
+MV;Alifu Dhaalu;uEm7CACCA
+MV;Kaafu;kF87CACCA
+MV;Alifu Alifu;yFm7CACCA
+MV;Baa;kGo7CACCA
+MV;Lhaviyani;4Gi8CACCA
+PH;Tawi-Tawi;yGq2EEBLPGMDE
+FM;Kosrae;2G6rGABBDBE
+MV;Raa;uHm7CACCA
+MV;Shaviyani;6Hy7CACCA
+PH;Basilan;uIy4EFCAFEBBDJGCKGG
+FM;Pohnpei;2I8lGAFFCAE
+FM;Chuuk;mJu9FAECAAD
+PH;Camiguin;wLg8ECDBBDE
+PH;Siquijor;uL06EEACBDHDI
+PH;Bohol;qM27EICEPPPFGAOGM
+PH;Guimaras;uNs5EABFDBABBDCEGGC
+PH;Bacolod;oN05EAEECCB
+PH;Negros Occidental;6Lo5EmBWGMOCBVdDJR
+PH;Negros Oriental;gNm6EAHRFTPPSIKQF
+PH;Cebu;8M-6EGBDBDA
+PH;Mandaue;8M86EAEEAAD
+PH;Cebu;6M66EKIgBA1BZVB
+PH;Puerto Princesa;iMg0EFKSEESKJ
+PH;Tacloban;mOo8EBDBCBE
+PH;Ormoc;4N47ECCEBBDDC
+PH;Aklan;2Oq4EEGDGRCKQQZ
+PH;Antique;iNy4EYMgBNDFDK
+PH;Iloilo;sNi5ESaSCPJBZFCVL
+PH;Iloilo;uNo5ECBDDAG
+PH;Capiz;uOo5EJPFACcOIDHCCED
+PH;Romblon;wPs5ECLFI 6P04ELHJE
+PH;Northern Samar;sPu7EBUGODEECIHAhB
+PH;Masbate;4Oi7EQFQZbDMO iQk6EKNPS
+PH;Mindoro Oriental;8Qk3EJDHShBAQMUAON
+PH;Mindoro Occidental;oPy3EiBAIRKEAV
+PH;Marinduque;4Q04ECAEDBDCBHBFIGE
+PH;Catanduanes;qRw7ECDIDABTDDGECBE
+PH;Batanes;-Zs4EEBFB
+GS;South Georgia and the South Sandwich Islands;rkC7sBYdE3BjBuC
+NO;Bouvet Island;hkCmEAGCAAF
+FK;Falkland Islands;1gCxqCOSC5BNWNlBHS zgCnoCGNGKJNQbVBLbJOIDBQIHDYML
+TF;Iles Saint-Paul et Nouvelle-Amsterdam;nvB8gDDACE
+NC;Sud;7a0vGGnBlB2BBW
+NC;Îles Loyauté;5amyGCNJI paqxGOFAJNC
+TO;Eua;zaz6GDDBE
+CK;Rarotonga;va3nGBBAE
+TO;Tongatapu;ra56GALFI
+VU;Tafea;rY6zGGHLI 1X2zGMNJA
+TO;Ha'apai;3Y76GACEAAB
+MU;Rodrigues;1YmvCAGEAAF
+NU;Niue;1Xp0GBDFAEG
+FJ;Western;3Wo-GaKDQOHVnB
+FJ;Central;9Vi_GDBENRBAHHABOIWQD
+VU;Shefa;jW2yGGJFFDO _UoyGAMKN
+FJ;Northern;lUghHZ7BC4BMCJR
+VU;Malampa;tUoyGCGIHFJ vU4xGUXHBDINEAM
+VU;Sanma;1TgxGECAF tT-wGCEWFHLOBGHnBI
+TO;Niuas;vTz7GAECAAD
+VU;Penama;nT-xGECFN
+AS;Western;9Rx1GAGCAAF
+AS;Eastern;7Rr1GAGCAAF
+AS;Manu's;5R9zGAECAAD
+VU;Torba;1RsxGFDAG rRqxGCGGD
+WS;Atua;rRt2GCDHAAIEAAF
+WS;Va'a-o-Fonoti;vRv2GAGCAAF
+WS;Tuamasaga;nR32GBACBHABIIA
+WS;A'ana;pR_2GACBDDGIC
+WS;Aiga-i-le-Tai;rRh3GAECAAD
+WF;Uvea;1Qn8GACGAAB
+FJ;Rotuma;zPs9GACCA
+SB;Choiseul;lJ-kGcrBZW
+PW;Peleliu;4I6nFACCAAB
+PW;Koror;gJ-nFAEEAAD
+PW;Ngeremlengui;sJmoFBCEACB
+PW;Ngatpang;qJkoFAECAAD
+PW;Aimeliik;oJkoFACCAAB
+PW;Airai;oJooFADBAAE
+PW;Ngchesar;oJmoFAEEAAD
+PW;Melekeok;sJooFACCAAB
+PW;Ngiwal;uJooFACCAAB
+PW;Ngaraard;wJooFACEAAB
+PW;Ngarchelong;0JooFACCAAB
+PW;Ngardmau;uJmoFACEAAB
+FM;Yap;4LysFAGIAAF
+GU;Guam;iRk1FHLHEACGCIG
+MP;Rota;4Rw1FBDBEEE
+MP;Tinian;0Sg2FACIAAB
+MP;Saipan;iTo2FBDDAAC
+CN;Paracel Islands;4TgrEACCA
+MP;Northern Islands;4Wm2FFBEG
+CU;Las Tunas;6algDRNEFNPAuBICMOBJ
+CU;Mayabeque;gdzmDFADNJCDeWB
+CU;Ciudad de la Habana;6clnDDGAGGCBEEACAAD
+CU;Artemisa;4c1nDHBHIECAOOD
+CU;Pinar del Río;ocvnDQHLpBTPHGFZCkBKECW
+CU;Cienfuegos;objkDSAOFHbJEDQGB
+CU;Granma;8YpgDGYQKOrBRITZ
+CU;Santiago de Cuba;8Yn-CaAFPGJFBBJLDDX
+TW;Penghu;sdu1EAEEAAD
+BH;Al Manāmah;4gBk_BAECAAD
+BH;Ash Shamālīyah;ygBk_BACGBACCBDB
+BH;Al Janūbīyah;0gBo_BCDFBHE
+BH;Al Wusţá;4gBm_BABBABEEA
+CA;Prince Edward Island;i6BvtCCtCWBNPTgBEaDFJO
+AU;Coral Sea Islands;lUw7FACCA
+CK;Mauke;nZ1kGACCAAB
+CK;Atiu;_Y1lGACCAAB
+CK;Aitutaki;hY1mGACCA
+AS;Rose Atoll;lSlyGACCA
+AS;Swain's Island;5N51GACCA
+CK;Pukapuka;zNnvGACCA
+AU;Christmas Island;hNkkEADBAACBC
+CK;Manihiki;_MnpGACCAAB
+CK;Rakahanga;xMrpGACCA
+TK;Tokelau;1L_1GACCA
+UM;Jarvis Island;PhoGACCAAB
+UM;Baker Island;Iz8GACCA
+UM;Howland Island;gB58GACCA
+MV;Laamu;0C-7CACCA
+MV;Thaa;iD27CACCA
+MV;Dhaalu;sDi7CACCA
+MV;Meemu;2Dg8CACCA
+PW;Hatobohei;4D-jFACCAAB
+MV;Faafu;iEq7CACCA
+MV;Vaavu;qEm8CACCA
+CO;undefined;-E_lDACCA
+MV;Malé;mF67CAEEAAD
+PW;Sonsorol;0GolFACCA
+MV;Noonu;uH47CACCA
+MV;Haa Dhaalu;wIu7CACCA
+MV;Haa Alifu;0Iw7CACCA
+PW;Angaur;0I2nFACCAAB
+VN;Spratly Islands;sN4wEACCAAB
+VE;undefined;0TxvCACCA
+AI;undefined;6WhvCACCA
+UM;Wake Atoll;kYowGACCA
+BS;Bimini;kgBjjDACCAAB
+UM;Midway Islands;ojB19GACCA
+GB;Isles of Scilly;u-B7HACCA
+CK;Palmerston;zX3nGACCAAB
+FR;Clipperton Island;8MvoEACCA
+NL;Saba;gWhvCACCAAB
+UM;Navassa Island;gX39CACCA
+TC;Salt Cay;2a_4CACCA
+MO;Macau;0b-tEACCAAB
+BS;Ragged Island;4bz-CACCA
+HK;Islands;8bwuEADDBAGEC
+HK;Southern;6b6uEAFBE
+HK;Central and Western;6b0uEACCAAB
+HK;Wan Chai;6b2uEACCAAB
+HK;Eastern;6b4uEACCAAB
+HK;Tsuen Wan;-b0uECCBF
+MX;undefined;-bhwDECGFBAACDCBB
+HK;Tai Po;kc-uEAHDA ic6uEBAAECABAEB
+HK;Sha Tin;-b2uEAEEAAD
+HK;Sai Kung;ic-uEBAADDABCGABCAC
+HK;Kwun Tong;8b4uEACCAAB
+HK;Kowloon City;8b2uEACCAAB
+HK;Yau Tsim Mong;8b4uEACCA
+HK;Sham Shui Po;8b2uEACCAAB
+HK;Kwai Tsing;-b0uEACCAAB
+HK;Tuen Mun;-bsuEAGEAAF
+HK;Yuen Long;icuuEBEAECACB
+AX;Lemland;irCiZDGCCED
+AX;Brändö;yrCqaACCAAB
+RU;undefined;g2Co0CALBM
+NZ;The Snares;h8BmwGAECAAD
+NZ;Southland;56BoyGOPVL n6BwzGwBAEjBqBBjBxBNIINPGDVFUJH
+NZ;Marlborough District;pzBg5GpBjBNOcyBMJKMDPMOCLJDAKDNQI
+NZ;Nelson City;zzBw4GDECCIIEC
+NZ;Tasman District;_yBq3GPSVXVMkBkBYLCLKCAK
+NZ;West Coast;r3BmyGDW8B4DWeQPeaQTxC1B
+NZ;Otago;l4B-1GCpBSVUEjB7BRGBkBzBAegC
+NZ;Canterbury;t0B05GTpBOP7BjDhBXXiBEeaIWqBDcYN
+NZ;Auckland;zuBq6GMcEZMGIFCIIJHPAILAIJXMASHHIH
+NZ;Waikato;rwBo6GImBfKgBcUV0BDILdEKLLbTO
+NZ;Three Kings Islands;1qBm3GACCA
+NZ;Wellington;7yBu8GCvBZVEMHBHUOY
+NZ;Manawatu-Wanganui;5yB-6GI8BSViBADTeDZf
+NZ;Taranaki;5xBu6GIKULOGEJJHHXLC
+NZ;Northland;ptBk6GqBFFHWbHHSNGIAPrBaIMJJhBcWH
+NZ;Bay of Plenty;1uB-7GZAPWXDyBiCIBRhBOtB
+NZ;Gisborne District;9uB0-GTHCHVVPeKCGOiBK
+NZ;Hawke's Bay;1wBs-GQdNjBrBFRWeSUBEgBHA
+AU;Ashmore and Cartier Islands;xPw6EACCA
+UM;Palmyra Atoll;qHzqGACCAAB
+PW;Kayangel;iKsoFACCAAB
+PH;Lapu-Lapu;6M-6EAEEAAD
+AG;Redonda;mV9tCACCA
+BS;Harbour Island;-f9_CACCA
+BS;Spanish Wells;8fhgDACCAAB
+BH;Al Muḩarraq;4gBo_BAEEAAD
+ZW;Midlands;xX-lBcrBiBADnBtBJAsBZDhBiBnBNEmBkBLIWYG
+ZW;Harare;hW8mBDBCBDDDCBBDGIGGA
+ZW;Bulawayo;pZ4jBCEEBABCAAHDAAEDA
+YE;Ma'rib;mUy6BN3BIfXAFUdA
+YE;Sana'a;gU63BBPNDPVLGGmBJMQGITII uTu3BJFGD
+YE;Raymah;2S02BFFRAEMGG
+YE;Al Bayda';wSo4BFHRFAOPaIOMAQLHT
+YE;Amran;6Uo3BBXZCHGHDAQQGEI
+YE;Al Dali';uRw4BKHAHNNHBFKEIEA
+YE;Ibb;0R42BJDFYSQMR
+YE;Al Mahwit;6Su2BGEMOAbHC
+YE;Dhamar;-Ru2BJIOOHUWKKDBXFNLG
+VN;Hòa Bình;wZqkEYNBNGJLIFJNgB
+VN;Tuyên Quang;kbsjEHICMqBBCNTN
+VN;Yên Bái;2bijEEHFDCFJACPJBAOLCBUOK
+VN;Vĩnh Phúc;0a6jEFCBKMAGFBL
+VN;Phú Thọ;8a0jEIHFHPBHMBIMBEG
+VN;Ha Noi;2ZokEGIIDEEODAFJAIPJBBIFA
+VN;Đông Bắc;ub-jECIHCGMMGMFBJIDADRF
+VN;Đồng Bằng Sông Hồng;8Z6kEEDIABJFAHG
+VN;Bắc Ninh;oa2kEAGGAENDBFE
+VN;Bắc Giang;2a6lEKHAJHHKNHADFHQEEBW
+VN;Thái Nguyên;-agkEHMEGIADEGEKFFLKDHF
+VN;Hải Dương;8ZglEEGCBIEAFGECDBDHBAFFBFG
+VN;Hà Nam;uZukEECCIIHBFDBFC
+VN;Bình Dương;8NilEHKAGGBAGKAALKHHD
+VN;Lâm Đồng;oP8nEEHFTPAGLJPRgBMU
+VN;Can Tho;yM4jEGOBECCKLFFDH
+UY;Tacuarembó;zoB1mCNDAKemCMlBWT
+UY;Durazno;zoBllCVpCRaCcSiBEL
+UY;Flores;rpBtnCLHVKCaUD
+UY;Florida;rpB7kCP5BhBEGiB
+UY;Lavalleja;3qBvlCPGIWmBeElB
+VE;Guárico;uMjyCAjBVAUXCX3BJZUJ0BIkBqBW
+VE;Cojedes;qM30CMRLdXQXBDa
+VE;Distrito Capital;mNxzCCFDBBDBEAG
+VE;Barinas;2Kh1CETVLkB_BxBnBJGAVHwBewBDuC
+VE;Lara;qMn2CMJWOBxBXbLeLC
+VE;Portuguesa;oMn2CCLRPGJVJNkBVSuBK
+UA;Poltava;m_BqpBLnBzB2BHiBewBqBvB
+UA;Khmel'nyts'kyy;m_BgiBPnBhCIEmBUGCQYB
+UA;Ternopil';2-B6gBAfJBNZTGV8B
+UA;Dnipropetrovs'k;u9B4rBN5BFKpBfDsCYBL6BKYWA
+UA;Cherkasy;6-BioBjBtBFxBdMW0D
+UA;Kirovohrad;y9BgpBLAHzCTlBR0DqByB
+TN;Siliana;ssB6LIHCKGAIKGHGIChBPKNF
+TN;Sidi Bou Zid;ssB6LHLJELRDUPSKMGJOK
+TN;Kairouan;mtB4MDRLJBJNKNWYK
+TN;Zaghouan;ytB-MIPPPDIDABMKM
+CH;Bern;u6ByKEXQBFNEDEIFbJUVDIoB
+CH;Lucerne;-6BwKGFBPJEFDBIGECOCD
+CH;Zug;86ByKAGCEEL
+CH;Uri;06BmLEPDDNBCMEBCG
+CH;Schwyz;46B2KDMCEEBEECJDDBJ
+CH;Glarus;06BmLBDBCEOGBABCCCHDDDC
+CH;Nidwalden;46ByKAJBEFCACCBAECAEE
+CH;Fribourg;m6BiJEGEDGCAFEAAFFAEFDEHHDEBBBG 06B0IDDAE
+CH;Obwalden;w6BuKGBCBBDDDBABE w6BwKAECAAF
+SI;Pesnica;o6ByTBEEACB
+SI;Duplek;i6B0TAEEAAD
+SI;Miklavž na Dravskem polju;i6B0TACCAAB
+SI;Hoce-Slivnica;i6BuTAGCAAF
+SI;Lenart;q6B4TDBBCCECC
+SI;Sveta Ana;q6B4TBCCCCD
+SI;Lovrenc na Pohorju;o6BqTADDBAE
+SI;Ribnica na Pohorju;m6BiTBBAE
+SI;Slovenj Gradec;k6B2SBABGEECD
+SI;Vuzenica;o6BgTBDBE
+PG;Chimbu;nHq1FAJdNNiBIAILIK
+PG;Enga;nG-zFAvBTCRcAMcS
+PG;Western Highlands;nHq1FWbHLJCFNViBYI
+PG;Southern Highlands;lG8xFVDRShBCCwCebOrBaF
+PG;Eastern Highlands;vHq2FGbREFJfiBoBM
+MD;Criuleni;86BikBDEAMGCBJEGGHDHDA
+MD;Străşeni;g7BgkBGFBFHFDQGDBI
+MD;Anenii Noi;-6B0kBFBCHDFAGHGCKGAAFEE
+MD;Orhei;m7BokBEEGHHPHM
+MD;Transnistria;i7BukBACCAAB
+MD;Chişinău;86BikBCHDGBABECCCA
+MD;Teleneşti;27B2jBBFFBAHDAASGE
+MD;Şoldăneşti;07B6jBGMGFFFCDBD
+MD;Floreşti;87B0jBEBAPFEFKCGCD
+MD;Rezina;u7B8jBAECEBGIBEACBBAFLBBBE
+MD;Ialoveni;66B0jBJMCMEBCJCB
+TR;Bolu;8yB0oBMHCTXvBLKKIAyB
+TR;Ankara;8yB0oBVhCFkBlBOGoBVOEQoBXYO
+TR;Bilecik;uyBqmBGdbJFUUY
+TR;Eskisehir;myBumBTXVQIcHUIMcL
+TR;Çankiri;gzB2oBRcCkBcLFRGN
+TR;Karabük;gzB2oBIUKFGIGBCJNXJB
+IN;Jharkhand;memoDvBoBPPBsBPBDiBWIJgBwBnBO4BsBaOPlBpBQbPZGhC
+IN;Delhi;kkBwgDBJFADDDACGDICGIB
+IN;Chandigarh;wmBggDBDBG
+IN;Madhya Pradesh;gewnDaBWvBHxBQDNhBMBFROCLPhBSDXsBDmBgBUdpBnCPGAcPTfAGbVVkBIKnBzBG5BjBrB2CauBNGMmCN4BsBUcoBcV
+US;Utah;w0B5qEA3DnGAAoGgFAAvC
+US;Wyoming;w0B5qEnBAA4IgFAA3I
+US;Nevada;w0BxuEAtH3DA_E2GsBBEa
+US;Colorado;ozBpoE_EAA4IgFA
+US;South Dakota;u5BhiE1DAA-GTwCwDCMPOM
+US;Nebraska;ozBhiEAwCnBAAuIkDrBQjBEtI
+US;Kansas;ouBx_DAqJ2CAiBbAtI
+US;Oklahoma;0tB3gEA4DrCAHMZmDIuCLcmEDAvK
+US;Iowa;s2Bx4DdH1CkBHuFoBOYkBejBeH
+US;Missouri;4yB13D5BuBpDAAyFTHAaYUsBLWhBYICTkCrB
+TT;Arima;oNzsCACCAAB
+TH;Khon Kaen;kVy_DJLHabBDUYAYOITLD
+TH;Sakon Nakhon;wWqhEdHRcGOSEANQB
+TH;Suphan Buri;2So9DEjBNGEIFIXBIS
+TH;Sing Buri;2So9DFCDKOBEDBDDC
+TH;Chai Nat;2S28DAUOAEFABFACLHC
+TH;Ang Thong;kSq9DAGBCACKAEFADJB
+TH;Saraburi;uSw-DEDDHEDJJBIHCFEIGBG
+TH;Nakhon Ratchasima;kSy-DP0BeDYWObPPDXPG
+TH;Nakhon Nayok;kSy-DFBCFDDNBEQIECE
+TH;Pathum Thani;4Rk-DCBFJAJBAFMCK
+TH;Uthai Thani;4Sk8DBSOBBOIAIHDNIPZD
+TH;Kalasin;kV8gEVEFKAMKCASQHBDMNJF
+TH;Roi Et;yUqiEARJBAHXJFEBYIIIHUO
+TH;Maha Sarakham;6U-gEHHNDXKDKgBIGN
+TH;Nong Bua Lam Phu;mVsgEaLAJPHHIDDFU
+TH;Lop Buri;kT0-DIVRLNCBEKKFCEIDKGEIF
+TH;Udon Thani;mVsgEDeIIKPWGCTLJUXRABO
+TH;Phra Nakhon Si Ayutthaya;4Ro9DDOGKMBAFGDJACJ
+TH;Nonthaburi;0Ru9DABHADCAGGCCH
+TH;Nakhon Pathom;4Ro9DFPFGHABKEGQB
+TH;Kamphaeng Phet;8U88DIVNDDJXEBacM
+TH;Lampang;qY08DvBbPIRHHQWDiBgB
+TH;Sukhothai;8U88DIKKJWCEPhBL
+TH;Nakhon Sawan;6Sy9DYQMDAVQHVLCXLOEQ
+TH;Phetchabun;-Uo_DMFCRLLZJZEFYoBC
+TH;Phichit;uU69DIDCLJJRKCUED
+TH;Chaiyaphum;4T-_DaCKjB3BHEY
+TH;Phrae;wXu9DAJJAhBdIoBWI
+TH;Lamphun;mXk8DGFLRXIBHJAEOIESF
+TH;Prachin Buri;uRu-DDAFeUGIDDHGJFA
+TH;Yasothon;uTmiEJKYCMOERLN
+TL;Ermera;5K88EDLBCHECECCEB
+TL;Aileu;3Km9EAJHBBCEM
+TW;Nantou;qe23EJbNAHOEG
+TR;Tokat;izB8tBZvBJoBUuB
+TR;Sivas;0yB2vBXxCVLHsBVFAYWoBgBCCO
+TR;Çorum;0zBirBRPlBAGoBUQGNWH
+TR;Amasya;szB8rBPAFONDMUBOMMKJFH
+TZ;Morogoro;9JovBmBcqBZEf7BVLSvBzBGLTWXHKgBPCQY
+TZ;Dodoma;vHiuBWXyBCFTdbXKvBJR4B
+TZ;Manyara;pHquBiBWAS8BdDZTLWXNhBlBSamBxBB
+IR;Semnan;0tB0jCtBzBIlBnBBH-E0B0BoBLEVYNXN
+IR;Zanjan;wuBk9BBzBPPPcRANgBMDKgB
+IR;Qazvin;guBy9BFJVQJfNUGwBUOGJAQOTDT
+TW;Taipei City;mfg4ECCIDDDDC
+TW;Chiayi City;qdy2EACCAAF
+SY;Hamah;usBwuBJDEVOLdDFgBKgBHKOMIB
+SI;Preddvor;85BiSAECAADBD
+SI;Šenčur;85BgSDAACEA
+SI;Cerklje na Gorenjskem;85BiSDACECA
+SI;Kamnik;85BmSDCAOCJEBAD
+SI;Medvode;25BgSBBCE
+SI;Kranj;45BgSEAABCCABDACHFK
+SI;Škofja Loka;65B6RBDBCBAAGCC
+SI;Železniki;85B2RBFBABCCICA
+SI;Bohinj;85B4RENDDBG
+SI;Naklo;85B-RCDDAAE
+SI;Radovljica;85B4RBCIADDBB
+SI;Šoštanj;i6B2SBBBGEC
+SI;Ljubno;g6B0SCDDABC
+SI;Luce;i6BwSDFBCCE
+SI;Lukovica;45B0SBJAI
+SI;Benedikt;o6B6TAECAAD
+SI;Laško;25BmTCAAJFEAG
+SI;Dobje;05BmTAECAAD
+SI;Ruše;k6BuTCAADBB
+SI;Vodice;25BiSAECAAD
+SI;Komenda;25BmSCCCBBB
+SI;Mengeš;25BkSAECAAD
+SI;Vrhnika;w5B6RABBADIEBCC
+SI;Horjul;w5B6RAECAAD
+SI;Cerkvenjak;m6B8TAECAAD
+SI;Trzin;05BkSAECAAD
+SI;Puconci;y6BmUDDBAAGCA
+SI;Grad;y6BmUBDBAAC
+SI;Murska Sobota;s6BoUADDACG
+SI;Sveti Andraž v Slovenskih Goricah;k6B8TAECAAD
+SI;Brezovica;y5BiSABDBDECC
+SI;Dobrova-Polhov Gradec;y5BiSCBAFBB
+SI;Gorenja vas-Poljane;05B4REABFBBBI
+SI;Logatec;y5B4RDDBABICA
+SI;Trnovska vas;k6B6TAECAAD
+SI;Destrnik;i6B4TAGCAAF
+SI;Race-Fram;i6B0TCFDGCC
+SI;Starše;i6B0TAECAAD
+SI;Vransko;45B0SAEEAAD
+SI;Velenje;g6B8SCADBAGCA
+SI;Polzela;65B6SACEAAB
+SI;Šmartno ob Paki;85B4SACEAAB
+SI;Mozirje;85BySAEECAD
+SI;Vitanje;-5BmTEBBB
+SI;Vojnik;-5BiTBABEEA
+SI;Zrece;-5BmTACCAEDDC
+SI;Mislinja;k6BkTADDDAGCC
+SI;Zasavska;25BySBCCGCBADBD
+SI;Litija;25BySBFBGDGCECBABCAAD
+SI;Gornji Grad;85BySCBDDAG
+SI;Cerknica;s5BkSAHDBDGCECBCC
+SI;Velike Lašče;q5BkSBCAGEDBBCB
+SI;Borovnica;q5B-RACEAAB
+SI;Postojna;q5B8RAFADDABECEACCB
+SI;Pivka;m5B8RBHBAAKAE
+SI;Dobrna;85BgTACEAAB
+SI;Celje;85BiTDBAECC
+SI;Nazarje;65BySAEEAAD
+SI;Domžale;25BoSBAAECBCCAD
+SI;Ivancna Gorica;w5BuSBBDCBEGECD
+SI;Ljubljana;w5BuSCBEHBDFCCE
+SI;Šmartno in Litiji;w5BuSAICDAD
+SI;Ig;w5BmSBDBCBC
+SI;Dol pri Ljubljani;05BuSACCA
+SI;Prebold;65B8SBBAE
+SI;Moravce;25BySADADBE
+CH;Appenzell Ausserrhoden;o7B8LCEBNDBBGCBECBG
+CH;Appenzell Innerrhoden;m7B8LCFDBBE
+SE;Västmanland;uqCmVKFEQOIB_BLNbO
+SE;Jönköping;unCsQJwBKECuBQEGTQFCV
+SE;Orebro;irCiSpBFJIDMOkBWCOL
+SE;Kronoberg;wmC8QCqCSICMMTDlBJDGVHR
+SR;Para;iH5kCALHDBRGARDDOMMAMLIUKCR
+SR;Brokopondo;oGxkCMHALHFrBIKQaG
+SD;Gezira;qT-pBHjBnBJbKUUBiBgBK
+SD;Khartoum;qT-pBKIDYQFWnD1Bc
+SD;North Kordufan;oOgiBW4BWMHYSSTeOoBkBOoBTce2BbE5F5DWvBT
+SS;Lakes;4JklBrBbCNjBMFcgBWV6BmBXKhB
+SS;Warrap;qLikBDjBbJZiBlBMuBiBYB
+ES;Zaragoza;u1BjBhBTERfLJaQoBLcOGYvB
+ES;La Rioja;k1B_CGZRBHKEcHIKK
+ES;Álava;q1BxDFSEDCIKCENECBJGHBFHGBL u1BpDDGEN
+ES;Albacete;qwBnBKCUVJ1BrBQMkBOG
+ES;Teruel;-xBtBBOSUMDEWKEOfPpBNCHJ
+ES;Cuenca;gyBtBanBXnBbKDYGgB
+ES;Toledo;kyB1GbQIkBJDDMIkBaJHZIKId
+ES;León;g2BhGLvCPHLOF0BOU
+ES;Soria;u0BpCGjBTfLOHuBKDOO
+ES;Burgos;q1BxDKRCMKFHfHGDRJDRSNFHMSeaD
+ES;Ávila;kyB1GEgBUQBJULAPNDTV
+ZA;Gauteng;thBwiBFaUYKNGOUKFRWEJfTBBRZL
+SI;Dobrepolje;s5BuSBDDG
+SI;Radece;y5B8SAGCDAB
+SI;Štore;25BkTACEAAB
+SI;Slovenske Konjice;85BoTAGCAAD
+SI;Žiri;w5ByRAGEAAF
+SI;Oplotnica;-5BoTAECAAD
+SI;Cerkno;25ByRCBBDDAAG
+SI;Bled;g6BqRDKCCCACF
+SI;Ajdovščina;s5B0REJDDBE
+SI;Divaca;m5ByRADDABEEC
+SI;Idrija;w5B2REHBDBADK
+SI;Vipava;q5ByRCDBBDG
+SI;Bloke;q5BkSBBBCAE
+SI;Šentjur pri Celju;45BmTBAAEDDAGCACCEDCEAF
+SI;Kozje;25BuTBBDECC
+SI;Šmarje pri Jelšah;85BuTDDBECC
+SI;Sevnica;y5BmTCFBCAFFGCECECB
+SI;Mirna Pec;q5B-SCBBBBC
+SI;Trebnje;q5B-SACCCEFBFBDBICC
+SI;Žužemberk;q5B6SAFBDBECGAC
+SI;Turnišče;o6BsUAECAAD
+SI;Radenci;o6BgUAECAAD
+SI;Sveti Jurij;o6BgUDACECB
+SI;Velika Polana;m6BuUACCAAB
+SI;Beltinci;o6BmUBEEC
+SI;Veržej;m6BmUACCAAB
+SI;Odranci;m6BqUACCAAB
+SN;Diourbel;sSnTMRDNEHDLLGBYIIHM
+SA;Ar Riyad;giB63BHIXRfMBbhBlBChBnBHfQRsBtBDpCsBJeMkDuFWkBf6BB0BhD
+SA;Al Quassim;giB63BBxB_BvChBYAqBiBmBCcgBLYS
+SA;Ha'il;-f4zB-BuCBuBUMiBpBSlCA9BX1BpBqBfNpBI
+SA;Al Bahah;4Zy0BBVIHTFFNbQQU
+RO;Cluj;k7BgePZEZHBNQAmBSKKL
+RO;Bistrita-Nasaud;w6BoeBMOWQCBlBHH
+RO;Salaj;k7B4dEnBHLHIFU
+RO;Dâmbovita;-3BygBINUJBFJFbGEY
+RO;Ilfov;23BsgBFAFKIMEDEEEDAL w3B4gBBBCDEBEE
+RO;Arges;44B0fGHAVbDDMNACWcF
+RO;Gorj;24BwdHpBXmBEKWEGB
+RO;Hunedoara;24BwdmBbDRJDbM
+RO;Vâlcea;24BwdBKXBFGCQGBGIaCBd
+RO;Prahova;-3BygBCUICUVBXTK
+RO;Covasna;w5BkhBIFDRIHHJNIHSCK
+RO;Vrancea;o5BghBNaCWSNIKFnB
+RO;Buzau;o5BghBLNZWBYKCGHIO
+RO;Brasov;64B6fEaIRQLJZLA
+RO;Sibiu;g5B8eMAGMCLGBARVXJC
+RO;Mures;i6BgeHIASFCCUINMSOBEHNVCN
+RO;Harghita;05B6fIKFWGCELaJEPBFRELR
+RO;Neamt;66BigBFIJCE2BMDATKJAX
+RO;Bacau;w5BkhBGoBIAQJDxBJA
+RO;Alba;-5BucjBiBSEKUMFEZAZ
+SI;Grosuplje;w5BuSAFDAAG
+SI;Škofljica;s5BoSEAABDA
+SI;Hrastnik;05B8SAEEDBB
+SI;Žalec;85BiTCDFBAE
+SI;Trbovlje;05B8SCBCCADBCDB
+SI;Braslovce;65B4SACACEDBB
+SI;Tabor;45B2SAECAAD
+SI;Krsko;w5BwTACCA
+SI;Hajdina;g6B4TACCAAB
+SI;Ptuj;k6B4TBABCAEEABB
+SI;Majšperk;65B2TECADDA
+SI;Slovenska Bistrica;85BuTAGEAEFAHDG
+SI;Markovci;-5B8TAECAAD
+SI;Kidricevo;g6B0TBAAECCCB
+SI;Dornava;g6B-TAEEAAD
+SI;Križevci;o6BkUBAAC
+SI;Juršinci;i6B-TACCAAB
+SI;Semic;k5BiTAHBABICC
+SI;Dolenjske Toplice;o5B6SABDBBECC
+SI;Sodražica;o5BmSBCBCCC
+SI;Ribnica;o5BoSBEBBBEECCD
+SI;Škocjan;q5BkTCCCAAD
+RS;Nišavski;m2B6aLeCEEHGCBGECIXIDBHJE
+RS;Pomoravski;22BmaBIGEFGEKKGKZ
+RS;Šumadijski;62B4ZBGCKOGIdHCHIBD
+RS;Moravicki;62B4ZEBCEKJFNREDJLSECID
+RS;Kolubarski;m3BwYDUIMCHKAALFBCNHB
+NO;Oppland;4rC-NSbKQSJAVWJJhDXmBPDRwBCaTa
+MY;Kuala Lumpur;gEk_DCBBBFCAEGA
+MY;Putrajaya;yDk_DECCBBB
+MW;Dowa;7Q0qBANKFJHHECKFMCK
+MW;Balaka;hT-rBSGCLVFAK
+MW;Chiradzulu;zTmsBIFDDHAHI
+MW;Blantyre;tT-rBIFJJHABEHCIK
+MW;Ntchisi;nQsqBJJJEAOACOBCBBD
+LT;Kauno;olCweClCJiBJDTSSmB
+DO;Valverde;2Y94CHBBCBKGBACCC
+DO;Santiago Rodríguez;uY_4CAHJDFKIACI
+DO;La Vega;mYn4CBFDCFHNICGMCEI
+DO;Hermanas;sY53CCBBFHABCBCIC
+DO;Duarte;sY33CJFDCBOBCGICL
+DO;Santiago;sYl4CGLHBAHDFHADOGIEB
+DO;Bahoruco;qXt5CBBDAFOGKGH
+DO;San Juan;gYl5CHJHBFEASOI
+AZ;Naxçıvan;gxB04BAKCAAJ
+AZ;Şuşa;2xBu6BAHFAAECCBCCC
+AZ;Xocalı;2xBu6BDCAEEBGCEDBNHE
+AZ;Şuşa;2xBu6BACCA
+AZ;Ağdam;gyBs6BDIDBEEBICGCJIICL
+AZ;Tərtər;myB86BGAIHJPDCAEDEGI
+AZ;Goranboy;syBm6BIQGHMAHJHAJH
+AZ;Xocavənd;4xBy6BFCFJDMEGGBEMEF
+AZ;Hajigabul;uyBi9BAPHANkBOH
+AZ;Abşeron;uyBi9BPSSEEUGP
+AZ;Xanlar;8yBi6BBFIAFDBDBEDBBEFDAGKI
+AZ;Kürdəmir;syBy8BGFBDCDEABBNDBDCIDKEG
+AZ;Zərdab;syB-7BALEFDBACBADCCGDECG
+AZ;Sabirabad;myBy8BFHDQFCDFBOEEMF
+AZ;Shirvan;8xBk9BECAD
+UG;Kamuli;mB0pBIHCFJALEAG
+UG;Luuka;awpBDMWF
+UG;Buyende;sB2pBGEEBGXLGJO
+UG;Jinja;awpBAFJGDICEGC
+UG;Apac;iCsoBAMGGDKEAGFECGNFDADHAFJ
+UG;Nakasongola;iCsoBAFFHVaICBGKB
+UG;Masindi;iCkoBCHYFAHPEFDAHNEDM
+UG;Kayunga;sBgpBLAJMaFMFBD
+UG;Luweero;sBgpBCFHBGHPEFFCQ
+UG;Amolatar;kCopBEDAFFFALHMAO
+UG;Mityana;cooBDLJCBFBCAQ
+UG;Kiboga;cooBEAEFIDJLHM
+UG;Mpigi;KqoBJPFEAMIAMIEH
+UG;Butambala;KqoBADHNBCIO
+UG;Gomba;M4nBCJFHFKAIIOBJ
+UG;Wakiso;SqoBDILHHAAKGEMCBDIAEEAR
+UG;Nakaseke;cooBFEGISDORFFRKDG
+UG;Kyankwanzi;2B4nBALFHFIHBAIKM
+UG;Kaberamaido;6BmpBDKOCGIGDCBNHAD
+UG;Dokolo;yCkpBDBFGDAAEOICFBD
+UG;Kyenjojo;mBmmBLFNGEOKCIF
+UG;Kamwenge;WimBZJBIKCISEAADDJ
+UG;Kyegegwa;I4mBGGGACEGLABBCHBFADB
+UG;Sembabule;I4mBJABMFABMOAGH
+UG;Kibale;iBqnBICGJFbBAPa
+UG;Mubende;iBqnBZREmBUD
+RO;Braila;44BoiBHNFIJBAiBOGKFER
+RO;Ialomita;03BihBBiCOJCxBDN
+QA;Umm Salal;-fkgCFABGIB
+PT;Viseu;wzBpJDhBDIJHPBIeMAEKIC
+PH;Agusan del Sur;gK89EwBVTBDPXC
+PH;Bukidnon;4K08EAPHDAHTATMMW
+PH;Cotabato;wJg8ECNRDCGFBFKKARGCMKGWBHJ
+PH;South Cotabato;mIw8EEVNAAPLWAK
+PE;Cusco;rPt8CpBaRuBnBJGQZoBaFiCgBI7BgBTcGAxB
+PE;Ayacucho;rPt8CCVfILXZGPPvBsBIeYSAb-BLFa
+PE;Apurímac;pSz6CSQQBYhC_BK
+PE;Huancavelica;lP_8CGZrBZfGJUGMaFMYaJ
+PE;San Martín;3GhhDjBUXZrBQd0BYMuBLEUYE
+PE;Huánuco;hMl9CoBAdpBoBbFnBXWZLZKAiBWI
+PE;Pasco;hMl9CJvBVHGZbCG0CKM
+PE;Junín;jO57CUHJdOZR5B9BqBcQH4B
+PY;San Pedro;_e1lCWPmBCF1BZMjBB
+PY;Caaguazú;_e1lCFLGHhBTAuBQODMQPSE
+PY;Cordillera;nfzmCEHHdPOFOGBGK
+PY;Caazapá;9frlCVnBRLJQWoBIGEJ
+PY;Paraguarí;hgB9mCIRlBTHOIMFKOI
+PY;Guairá;hgBvlCCjBFFLAFEIIBI
+PK;F.C.T.;mqBm7CDFBCAIDEIGEF
+NI;Matagalpa;0PtrDKWDIGAGSKAIFJNIJLXPH
+NI;Boaco;6PvqDEHFRDFNGDIKEGUMCCD
+NI;Chontales;6PlqDHFFTXEBQIU
+NI;Estelí;qQzrDGFKAAJJJDCAKHCBG
+NI;Granada;oPprDBFVDEYOF
+NI;Masaya;mPvrDADDDDAADDKKE
+NL;Flevoland;giCoHARDADJFEDDDQIMGCCG
+NL;Utrecht;qhC4GDNGADLBEFBBECIBU
+MA;Fès - Boulemane;oqB7DEPNROJQvB1BaNWYyB
+MA;Tadla - Azilal;gpBxHFlBvBHBQiB0BKC
+ME;Mojkovac;41BmYDEAKEBCFAB
+ME;Cetinje;o1B2XEHBDLGBMCCGHCC
+ME;Šavnik;81B4XBBDCDICCCEEF
+ME;Kolašin;u1BgYDEEKDEKCAR
+ME;Danilovgrad;u1BgYBAAFDDBCBAAIIE
+MD;Călărași;m7B4jBEDAJDFBCBBDK
+MD;Drochia;87BijBEAECEFADBCDHDAAGDC
+MD;Sîngerei;67B-iBDEBDDCBBDCAGEACKEAIN
+MD;Bălţi;47B-iBADBABIEA
+MG;Analamanga;rW87BGzBpC0B
+MG;Betsiboka;lWo6BF0BeMaLIVPBEXZRKdfS
+MG;Bongolava;lWo6BBZTPZBTMAOeUBU
+MG;Vakinankaratra;7Yo5BPoBIkBUIINKCDbHrB
+MG;Amoron'i Mania;7Yo5BtBAMYLSCYWOSFJrB
+MG;Alaotra-Mangoro;vY87BHQaOeDaOqBABHUPDNfKdL
+LV;Smiltenes;8nC8gBCHADBBBLFEBMCI
+LV;Balvu;ynCsiBFTBOBDBEDPBQECEKGJ
+LV;Strencu;goCggBAEBEABBCAGEBCECFCAAFDH
+LV;Beverinas;8nCogBEFDJBAAG
+LV;Burtnieku;ooC-fALCDBFFEAEDKCGCDEI
+LV;Kocenu;goCkfBAAEFIAIGAEH
+LV;Rezeknes;inC2hBFHFKDCBFHGCaKHEEGF
+LV;Vecpiebalgas;0nCmgBDHDABCBDAQEACF
+LV;Raunas;6nCigBDFDECG ynCygBCLDAAI
+LV;Priekulu;6nCigBAJDAAFFMECCDCE
+LV;Pargaujas;8nCsfDLFIAIECCG
+LV;Krimuldas;4nCifAFBABBBCBDBCAGEG
+LV;Gulbene;2nC8gBDLDGBBBQDCCMKMGZ
+LV;Rugaju;onCyhBDGBIEGCDCECJAD
+LV;Jaunpiebalgas;wnCwgBAHBBBGAICC
+LV;Aglonas;omC6hBBFFCAEAECECACECB
+LV;Riebinu;ymC2hBEHDHBIBDJMEE
+LV;Vilanu;2mCuhBACBAAGBAAEGBCFCDDC
+LV;Babites;onC-dBRBADMEAEI
+LV;Garkalnes;mnCseACCCAGCBACCBBHABAD
+LV;Kekavas;knCoeADDABDBAAICCCABMEDAJ
+LV;Marupes;mnC-dBFBCCI
+LV;Olaines;knCieDJBBAOCA
+LV;Salaspils;mnCqeDAABAKCAAD
+LV;Stopinu;knCqeAGCAAF
+LV;Sejas;wnC8eEFADBCBFAEDCCGCB
+LV;Malpils;onCufEJDAADBAAO
+LV;Siguldas;onCufCACFEDDFBDBIACEA
+LV;Madona;inC2hBCJDFKBDLGAAJHABHHIBOES
+LV;Lubanas;knC4hBCDCFBHDDBEEGBK
+LV;Varaklanu;8mCuhBABALBADMCE
+LV;Amatas;onC8fCEEBGLBFDEBDBCDAAK
+LV;Erglu;onC8fFCABBABIGCCICF
+LV;Cesvaines;qnC-gBCBADFBAICC
+LV;Ogre;onC8fBbFHBEEEFUGK
+LV;Ropazu;mnCgfCAABCDAFBCAFBBDG
+LV;Ikskiles;gnC0eCKCL
+LV;Baldones;-mC2eCLBABBBGCG
+LV;Keguma;8mC0eAGBBBEBBCQEJEECDDDCH
+LV;Iecavas;6mCueCDBJBCBCBGCGCDAC
+LV;Plavinu;inCmgBDFBADDCS
+LV;Kokneses;gnC8fBJBCDAAIECACCAAE
+LV;Aizkraukles;8mC0fADDBAG
+LV;Skriveru;-mCsfABFBCICA
+LV;Lielvardes;-mCsfCFDFDIECCA
+LV;Jaunjelgavas;4mCmfHEASCECBCCEH
+LV;Preilu;mmCqhBAKCDACEBCFCECFDFDIBABB
+LV;Livanu;omC-gBEBACAKCFCEEABHCDDFACFC
+LV;Varkavas;omC-gBDKCACCEABHCDBACB
+LV;Jekabpils;wmC0gBELJDBIFGEGBG
+LV;Krustpils;wmC0gBEGBEEMEJBZBCAEBA
+LV;Salas;4mCmgBBHACBBBCDGCEGAAD
+LV;Aizputes;inC6aBFDCBKDAAIGACB
+LV;Kuldigas;inC6aFOEICOCDEKILDVADFG
+LV;Alsungas;knC8aCICAEFABFBAB
+LV;Skrundas;2mCobBCAICBCGCBEECBAHBABF
+LV;Kandavas;knCicDICMEFCEEBCEBLDAAF
+LV;Tukums;mnCsdBNGEEFEALLJOEO
+LV;Dobele;gnCsdDNANBCBBAIFGEIBE
+LV;Jaunpils;8mCycAKEBCFBD
+LV;Brocenu;gnCwcCLDBFEBIEECB
+LV;Ozolnieku;-mCgeBNHQCCCB
+KG;Bishkek;w1Bq9CCAEBDDBE
+KW;Al Farwaniyah;0kB67BDCAGGB
+XK;Orahovac;80B4ZAEEAEBADDB
+XK;Srbica;s1B4ZDGECAGCDCACDBACD
+XK;Klina;s1B4ZBFBADEEI
+XK;Kosovska Mitrovica;61BoaDHACBABFBGCCECBE
+XK;Glogovac;o1B-ZDCAECEGBAF
+XK;Mališevo;o1B-ZDHAEDCAGEAAB
+KE;Nairobi;xBuuBCFCBAFFDDIECAE
+KE;Central;AsuBLHQRDHxBKAaIIKDIK
+JO;Ajlun;moB0sBIICBBHFA
+JO;Jarash;moB0sBBIEECBECBF
+JP;Gunma;muBguFEDTbXMMQDWILKE
+JP;Nagano;-tBstFKHJdlBRXKGWYKBOUDCH
+JP;Tochigi;kuBmuFZEBKMWUAEF
+JP;Gifu;wtB-rFDfTCFVRGBKKMFYWJKM
+JP;Shiga;ysBqqFADDAHPREFGIQUA
+JP;Saitama;mtByuFEVLPHcCS
+JP;Yamanashi;8sBstFCNFFTCFIKEBMIKKF
+JP;Nara;srBiqFCNHDNEFFHCAKGKQBEG
+CI;Haut-Sassandra;0J5IzBEFEGeYDGKETQO
+CI;Agnéby;qI1EFNLFEHRHHKBSMIBMMC
+CI;N'zi-Comoé;qI1EgBKWZHPtBPNKDS
+CI;Marahoué;qI3GsBPAHTRDUFJREBO
+CI;Fromager;qI3GNnBTIDGUMAU
+CI;Vallée du Bandama;iK_EWCMnBUPZNTOJPdE
+CI;Lacs;8H7FMBGHeMJnBhBO
+CI;Worodougou;wJzHceOXWLJnBxBI
+IE;Kildare;kiCtIEBIOEDEEAXHCAFBEFBFI
+IE;Carlow;kiCtIAHFFDEHEIKIAAG
+IE;Laoighis;kiC1IEFGCAJCBBLBCFFFEESDG
+IE;South Dublin;wiChIAEEECDADBD
+IE;Offaly;4iC5IBjBHFBIHFCMIECY
+IE;Westmeath;ojClJJLBLFAAUEQIE
+IE;Longford;ojCnJGJFJHFDECM
+IE;Roscommon;2iC9JKDIGEHICHLCNLDCOPM
+IE;North Tipperary;miC1JDJEBGGCHPPJWGM
+IE;South Tipperary;uhClJQLJLGJFBBFJMAOGA
+IE;Waterford;ohC9IAGCAAF
+IE;Limerick;4hC5KAEEAAD
+HN;Comayagua;qShuDLQDHHGIKKAOKGV
+HN;Yoro;0T3tDTDLSUwBIPFd
+HN;Francisco Morazán;0ShtDPHJAFFNBDIAMeSYL
+GN;Kissidougou;iMtMBRTBJKEgBUI
+GN;Kérouané;sL1LHIGQSMKVDH
+GN;Télimélé;-NlQALIFBPPBJLCeLICM
+GN;Lélouma;4NhQMIAESCBLFELL
+GN;Dalaba;kO_OADJBLRHBCGDEMYGA
+GN;Labé;kOjPACCAQJAHXA
+GN;Pita;kOjPFLGFBFNJRCCIKEMS
+GN;Kouroussa;iMtMwBYANSFGRXXNejBJ
+GN;Fria;sN_QFAJHBMGMIA
+GT;Chimaltenango;wStxDEEANRDBG
+GT;Sacatepéquez;kSzxDDECCAEICEDCBFA
+GT;Guatemala;wStxDFGPCQOKHAJ
+GT;Jalapa;kS7wDBQEIICEHFN
+GT;El Progreso;0S_wDJIMSIFABJN
+GT;Sololá;yS7xDBBEBBHHDAIDCAG
+GT;Quezaltenango;wSpyDQFRJDLFMIE
+GT;Baja Verapaz;0S_wDAEOQAlBNI
+GT;Totonicapán;-SryDBDLGEKOD
+GH;Ashanti;gJHOTD3BJKHRZFRwBiBM
+GH;Eastern;gJHRddLHGG4BIHoBE
+DE;Hessen;ogCuMKTLdzBlBV4BYFQqBcI
+DE;Thüringen;ogCuMHMVNRcIyBUgBIvBWZ
+DE;Sachsen-Anhalt;ygCsNb8BYAMqBIjBgBFIVHjBXOJV
+DE;Berlin;0hCiRCAEHAFBFHBAOBIEE
+GA;Moyen-Ogooué;KwOBlBXVAVPERQYYDkBcJ
+EE;Rapla;spCmeCqBKEKPBJHV
+EE;Järva;spCogBKOEHGCEBBRFAFHHDFG
+ER;Anseba;-SwwBCWGJKFBF
+SV;Cuscatlán;uRlvDEHHAHGACEEGD
+SV;San Salvador;yRtvDADBABCHBJCGIKF
+EG;Al Qahirah;6lB8nBEBJXNCCa
+EG;Al Jizah;-jBmlBoBwBfkBiBEBZYR9B1CJhBjBVA2B
+EG;Al Minya;yiB6jBB8CsBACvBTL
+EG;Al Fayyum;4kB8mBMDAJXlBDWEU
+EG;Bani Suwayf;4kB8mBLJDTEVNBBwBUM
+EG;Al Minufiyah;-lBymBFMGDIIGHAJ
+EG;Al Qalyubiyah;4lBwnBEHGFEECDJHJI
+EG;Al Gharbiyah;smBwmBAKFIMBGECDCCDT
+EG;Suhaj;2gB-nBAOYTINDF
+EG;Qina;2gBsoBANHKEWRLRIOBOMKAGH
+EG;Asyut;yiBqmBLGTUEGDGSLGNGA
+EC;Azuay;jDpjDVLJEBOLIqBcHT
+EC;Cañar;jDpjDLaQMEDDNIHFJ
+EC;Napo;lB_hDFBDPJBAQDGGIICCJ
+EC;Tungurahua;lB_hDLOKoBMBJTQAIOMBEVJN
+EC;Chimborazo;3C9iDHIEQgBICV
+EC;Bolivar;vBxiDCLFJJGDDTEBEWM
+EC;Imbabura;OnhDUZLALVDgBAK
+EC;Cotopaxi;b_hDCLMJVNLAGiB
+EC;Los Rios;vBjjDaIFHGHpBNVYiBF
+EC;Pichincha;CphDIVAlBJCHWFFLIAOSG
+EC;Santo Domingo de los Tsáchilas;NziDGGEFGRBJHINDAGFAEM
+DO;Monseñor Nouel;6X_3CCABDHDDGBGGE
+DO;Sánchez Ramírez;yX33CCKICCNBDDA
+DO;San José de Ocoa;wXl4CDBADLIEGIA
+DO;Monte Plata;wX53CDGAIFEMQKPHH
+HR;Bjelovarsko-bilogorska;q5BuVKLPNJQCUIE
+HR;Grad Zagreb;u5BmUBNBBBEDDDGECEKCC
+HR;Brodsko-Posavska;i5B0WHHGPDVLgBMc
+CR;San José;4M7oDJFDTFBDSVaQAMXIK
+CR;Cartago;2M9oDHEHJLYUI
+CO;Caquetá;2Dz9CnC1BPoBhBaT4BAkBeoBqB1BJTaVKhB
+CO;Huila;2Dz9CgBORNERRbTKBXTHNa
+CO;Guaviare;gCj8CZWKSVasBaS4BQjBKMA7BT7B
+CO;Caldas;mHp9CLZMLJAAJHIBFLDEGJOOEGW
+CO;Casanare;-Hr6ChBAZdVOU8ByB2BA7C
+CO;Meta;2Dz9CrBOJiBgBESmDyCATnBDbSLTDKV
+CO;Bogota;gF18CaGIDHDVBPJ
+CO;Santander;2Jh8CQFtBDbXXYQQNEIQeUkBT
+CO;Tolima;2El9CUCCPmBGCJ_BlBdDScDS
+CO;Quindío;8Fn-CALDFHBBEJBCG
+CO;Cundinamarca;0Ej9CuBQhBBUSJWUEsBzBDL5BJBQ
+CO;Risaralda;8G5-CEHHDNCLKBQECEDGJDFMECGCH
+CN;Beijing;qyB2yEKFGMQjBThBLIJTNAHoBKSMF
+CD;Kasaï-Oriental;nCweD3CVEBPTMlBHXsBRFRgBPfzCMEcmBIFMOoBOFGkBwBCAtBMJ6CKAP
+CD;Maniema;tCyeTazBNxBMA2EgBTSvBgCJGkBgBVaWS_BNK3BX
+CN;Sichuan;ooB0nEa_CF7BmBRGjBUNNdTONZUBvBxBYZJHQhBcPArBRQZNPgBnBcHLPO7CILKcMvD2CMuBmBD4BmBDYdGAmCUbQOHQmBrBOQOFKMPwBiC6BKJ
+CN;Chongqing;ooB0nEJJJKhC5BI3BPCLPXURkBegBFgBdMFUiBIchBaBSiCOG
+CN;Guizhou;0jByoELTkBRGfddOJPFGZfWP9CLLTIEYLMZPTUTJKaNgBkBsBPeY6B0BICbUa
+CN;Hunan;0jByoEjBITZBcbHRQO-BNKnBTIQREGaQCJcQBEsBeKBJQGqBVgBciBZaARVMBHbUnCPDDlB
+CN;Ningxia;qvBymESvBcWONXdlBDP5BXmBpBGTkBaYQTkBIFa
+CN;Shaanxi;ooB0nERsBgBAEWWbG-B6BdgBO4BJWSYL6BaNTIVlC1BD5BbAV4BlBDDhBNBEvB5BCAVXDDP
+CN;Qinghai;-wBm0DbvD3BwBJZdQBhCHOXNNQfHdaCqBhB2CGsBrBgCOAHWgBmBQNsBMFgBbQPiBKIXaMYSCASQGEZaNA2BQP8B0B-BrBJH-B1DJdQpBhBDiB_B
+CN;Shanxi;-yB2uERlCjBzBxBXXMVR3BKlBNoBmEqBFmBakBVoBoBUZKY
+CN;Jiangxi;6fuuEFeZVFKC4B8CeKUeKSuByBNQjBPRUBjBrDfKdbpBWPFCK
+CN;Henan;mtBqwEIlChBJpB7DpCwBH4CZIN4BQWeAFNcZCQkBONUKUaVQxBqByBJd
+CN;Hubei;2nBgpEPWTBRjCZCZeoB-BV-BIcLCSWhBEgBoCBakBPOMWjBGvBaHI3CaXB7BVcDV
+CN;Anhui;-mBy1EEhBOCOTaIFWOCAhBSNUIkBjCHLVUHTOTjBNBPbaGOdARVLcNLjBQGePFQSTwBiBUCU
+TD;Barh El Gazel;wQ8TByBqDcWvBlCVTT
+TD;Tandjilé;uLyUDaUEEOYnBBNtBd
+TD;Logone Occidental;uLyUEDJjBVHFWSc
+TD;Guéra;sOyVjBCb6BoBmBShBOAQmBeODjCTjBVE
+TD;Batha;uQuVJHdYYkBMoCuDJQfbLEjB
+CM;Ouest;8HgOdxBJDNKGKHGCSiBO
+CM;Centre;wHkQKlBJZpBNJXTehBfHyBQoBqBa
+KH;Kâmpóng Chhnang;kPoiELGAQIGQAIJBJ
+KH;Kâmpóng Thum;2PwiEASLCBMIBEYmBHNVKDDPTL
+KH;Kâmpóng Spœ;8O6hEJBFKNEBUcEAPMF
+KH;Phnom Penh;qOkjEECEBCBDBFA
+BR;Goiás;_P55BXjDeJXPOhBQB_Cf9CzC3BMhByCgBWKgDQYwCAInBOEAgBVEGSiBBMmB
+BR;Distrito Federal;hUj7BSAEDAfVB
+BR;Minas Gerais;xSv5BHjBfCHRvCAPXJ_CpBdNCMUFyBTOU6B5BSBUhBHXYwB4E2BSkBkBuBHMmBkBNmBcQ5BaTQtBAjBSFnBxC
+BR;Tocantins;9Ml5BIXsBdoBaAViBdiCKOnBFHLWbJXf3BD7CzB1CAQSTDNiBYQdKWiDyBIMR
+BW;Kweneng;1c6fNHA3CbAdqDwBM
+BW;Gaborone;3eqgBDAAEGECD
+BW;Jwaneng;xe6eHAAGGA
+BO;Cochabamba;9V3zCpBmCAmBcPUUaXkBGXxBejB
+BT;Chirang;-hB8wDABAHNACE
+BT;Wangdi Phodrang;8hBywDGMIDKIOCFFCHJHBELN
+BT;Daga;8hBywDGLDFFGHACK
+BT;Punakha;4iBwwDCFDDAFFCBCAIEGCD
+BT;Mongar;wiBkyDFBDLJCFGOM
+BT;Tongsa;4iBixDHFDCBDJEBGAGICEF
+BT;Pemagatsel;-hBoyDHHBGBAIGCD
+BY;Minsk;6jC4kBOCQ5DPMRXFOtBBTiBGuBaEGPS2B
+BB;Saint George;wQtqCBBBCCC
+BB;Saint Thomas;uQxqCAECAAD
+AZ;Saatlı;yxB48BEEGBAHEBAFFBDGDA
+AZ;Bərdə;myBi7BGKKLFJDGFA
+AZ;Şəmkir;izB85BGAGDLTLIGM
+AZ;Ağsu;uyBy8BGICHGEEDNNAIFG
+CF;Nana-Grébizi;4K6XzCLBsBaMchB
+AZ;Şamaxı;uyB-8BADEEGBGEEAEPJGFDBIFHDI
+AZ;Quba;kzB88BKBIEGFNZ
+AZ;Ucar;yyBg8BERDDFIAM
+AZ;Qobustan;uyB-8BBIIMKRFDFCDD
+AZ;İsmayıllı;2yBk8BMQIRFBJJ
+AZ;Yevlakh Rayon;wyB26BIKICGTHABEBDBG
+AZ;Gəncə;8yB-5BBBCE
+AZ;Mingəçevir;-yB06BAGCAAF
+AZ;Göyçay;0yBi8BEACBAJAFFABQ
+AZ;Ağdaş;wyBs7BEACECAGBCLLBBGBBDG
+AZ;Ağcabədi;myBi7BHHAIJCIOKEEJ
+AU;Australian Capital Territory;lsB26FIHHNLBJICGQC
+AT;Wien;s8B0UCDDHDAAOGA
+AM;Kotayk;6yB-3BCNFGNFAIDECO
+AM;Erevan;kyB63BCBCACABHFG
+AR;Santa Fe;_iBxpCAxD1EVxBU3BrBAuBiBgBBSkCJuBqB2BC
+AR;Tucumán;3gBzwCGtBJRRKVNdaKW
+AR;Santiago del Estero;hgBnvCCfRHpCd3BETuDNIwFQ
+AR;San Luis;3rBrxCsDIQdCjChEiBjBDA8B
+AR;La Pampa;3rBrxCnBAA9D9BAtBkCF0CTqBuFA
+AR;Córdoba;1lBztCOHQtCdtBlCNPiBrDHAkCYCAU2BqBkBP4BO
+AO;Bié;lN4UjBhBRiBzCFLiB6DuCMTPEAnBPJgBJ
+AO;Cuanza Norte;nK4TKTNHFfvBFBmBOAIW
+AO;Huíla;1Q2UT3DXGfTnBMQqBHYYSMuB
+AO;Huambo;pO2TFPrBVXGRYUoBcJaMQL
+DZ;Sétif;wtBgGHSPHFIKeaJCJHJIF
+DZ;Bordj Bou Arréridj;wtBgGFLEFLJAQHBBYQI
+DZ;Bouira;utBuFEACRIJHNDKPCFKAI
+DZ;Blida;8tBsEARLVBUKS
+DZ;Tissemsilt;8sBkCEFNLDoBGDGG
+DZ;Aïn Defla;8sBkCBYOOCFGGCnBDD
+DZ;Relizane;6sB4BObTRJY
+DZ;El Bayadh;irBePZnDTdgB6BuC2BN
+DZ;Saïda;irBeWAGhBLJLMNRLG
+DZ;Sidi Bel Abbès;8rBFOLHRNBHIRNAYMSML
+DZ;Mascara;0sBKENPRPeOc
+DZ;Ghardaïa;ynB0CnDACkBkBgBoCMqBkBFrD
+DZ;Laghouat;8oB8COsCwBrBNZgBDZnB
+DZ;Médéa;usB6CDQOMFYeADnBDETT
+DZ;Tiaret;usB6CAzBRRFMTBPYaoBOK
+DZ;M'Sila;4sBqGCXICJrBNMVDZYUIGaYFGU
+DZ;Batna;8sBwHNrBPDFUMWLGCSLGmBG
+DZ;Khenchela;0sBuIZJLKPBHSYKIHUO
+DZ;Guelma;mtB4IDGSiBIZJP
+DZ;Constantine;ytB2IAFEECJAFFADHJMEGDGGG
+DZ;Mila;2tBmHZKAGKOIHEIGA
+DZ;Oum el Bouaghi;8sB2HR4BGMIACLMJDHGN
+DZ;Biskra;8rBqGXhBTGRemBID4BaJBRMF
+DZ;Djelfa;ipBoGcEyB5BcCMdNZPMXLVGOavBsB
+AL;Berat;-yBsZGLDJJEHSEG
+AF;Uruzgan;0pByzCH9BfBAIKGDWQiBQA
+AF;Ghazni;0pByzCNECUdIHOaHESkBUUtB
+AF;Parwan;6sB63CBLJHFTJABWQO
+AF;Kabul;yrBs3CJRKFCLPFFEAOHGKO
+AF;Laghman;grBo3CEYMIIABNMLFFLG
+AF;Logar;2qB82CIHANVJHCAKSWAOIF
+AF;Kapisa;yrBs3CMFARFADKJCAE
+AF;Wardak;orBi2CIVHNCZHBFMFDCYTUMO
+AF;Bamyan;2qBq0CUFGoBKLQELlCVQJLLE
+AF;Parwan;orBi2CMGBMJGCGKBGJOBPpBNG
+AF;Sari Pul;4tBmzCLpBRMVPJaJCekBGT
+AF;Ghor;0rB-yCM_BPKV7BlBNIgBPQMoBmBGGyB
+AF;Baghlan;4sBu3CWJI7BPOrBVAY
+AF;Samangan;4tBo1CBftBVE0BaQ
+AF;Uruzgan;yqBm0CDbSHBjBdCJPLIK6B
+GB;Caerphilly;wgC5DEAELJEAGCA
+GB;Rhondda, Cynon, Taff;ygCjEEFCABFFGDBAICC
+GB;Blaenau Gwent;4gCjEDIEB
+UG;Oyam;iDgpBGAAJDDBHPEAEIGEA
+UG;Lira;iDgpBDBJCBKGCGHIEEH
+UG;Kole;iDgpBADDDDABBDKGCED
+UG;Pader;oDgpBBICGGBCGOJBVNMFD
+UG;Ibanda;JomBECABEAGGCDBHFBDCCHHI
+UG;Mbarara;JkmBPBFHAQIAAEECKH
+UG;Gulu;-D0oBGFJFPBHIMQ
+UG;Kiryandongo;yCuoBIDENBFJAPKIO
+UG;Iganga;S-pBACKCIDBDDBDE
+UG;Lwengo;JknBHBFIGGCAGEBJ
+UG;Bukomansimbi;JwnBAECCKDBD
+UG;Kalungu;A6nBCDADJEBBAK
+UG;Kampala;U6oBADJACE
+UG;Kaliro;kB-pBIEIHHDDCDA
+UG;Agago;iE-pBCFDBAFJDFGDHDEAQIC
+UG;Kotido;gE-pBAGXKGCBKQGKZ
+UG;Abim;gE-pBPCHBFECOGFMAEHGC
+UG;Otuke;mDopBDBAIDKAICCIDCDBL
+UG;Alebtong;wC2pBOIALEDBJFGHCCC
+UG;Amuria;sC6pBEEJMWCEHBFHDBD
+UG;Katakwi;kCoqBDGCKSAILPA
+UG;Serere;2B4pBAGCEICBDGJADNB
+UG;Soroti;kC2pBFKEIGBIJJB
+UG;Pallisa;0B6pBHICKBKEBGNAN
+UG;Mbarara;GqmBBEPFHIDBDMIEYDEB
+UG;Lyantonde;JknBGACHJBJECE
+UG;Masaka;RwnBLGAKOACCEBAL
+GB;Torfaen;wgC5DCECBEFDC
+GB;Merthyr Tydfil;4gClECBDBDGCA
+GB;North Lanarkshire;gmC_EAFDEADFKCGECBD
+GB;East Dunbartonshire;gmClFCFDCCDDAAMCAAB
+GB;Glasgow;6lCtFBAAECICHAD
+GB;East Renfrewshire;2lCzFBMEBAD
+GB;East Ayrshire;wlC3FDGDAAFJGGGAIIGCJGBCJDFAG
+GB;South Lanarkshire;qlC_EFQQIGfLAAI
+GB;Magherafelt;ukC1IBSGCEBAJDBAD
+GB;Omagh;okCzJBGBBDECQEGIBAC
+GB;Mid Ulster;okC1IBQAEECEFBFCJ
+GB;Craigavon;ikClIBECKEDCABJBB
+GB;Banbridge;8jC9HBOECEHBDAF
+GB;Antrim;skCjIBEDBESEBCDAN
+GB;Lisburn;kkCpHEHBJDEBIAC
+GB;Ballymoney;0kCjIEMEBCLBB
+GB;Ballymena;wkCjICWIJFL
+GB;Castlereagh;kkCnHECBHBE
+GB;Wandsworth;ogCFEABD
+GB;Merton;ogCJAGCAAF
+GB;Westminster;sgCHAECAAD
+GB;Kensington and Chelsea;qgCHACCAAB
+GB;Hounslow;sgCJAFBBBC
+GB;Ealing;sgCPAGCAAF
+GB;Hammersmith and Fulham;qgCJAEEAAD
+GB;Stockton-on-Tees;kkC5BAICBCECH
+GB;Darlington;okC3BAJBBDK
+GB;Middlesbrough;okCvBBDBAAE
+GB;Richmond upon Thames;qgCHADBDAE
+GB;City;sgCDACCAAB
+GB;Tower Hamlets;sgCBACCAAB
+GB;Gateshead;0kCnCAICECJDD
+GB;Newcastle upon Tyne;6kChCBDBICC
+GB;York;ujClBEFDFDEAEAE
+GB;Merseyside;4iCrDCCAECJDA
+GB;Enfield;0gCAAFBABE
+GB;Hertfordshire;0gCAGIIFBRFCAPDIFC
+GB;Barnet;ygCFAFDEEE
+GB;Waltham Forest;ugCBAEEAAD
+GB;Redbridge;wgCGAFBAAG
+GB;Havering;wgCGDCCGED
+GB;Cambridgeshire;ihCFAWEEEFAGIBCHIDHRCDDCDF
+GB;Bexley;sgCGABBABCEC
+GB;Sutton;ogCFBDBE
+GB;Milton Keynes;ihChBDIEACEEDDJ
+GB;Buckinghamshire;ihChBBLAEHBDIFABQKBEHAI
+GB;Hillingdon;ugCNCBADDABE
+GB;Brent;sgCNAGEAAF
+GB;Luton;8gCPBBAE
+GB;Harrow;ugCNCECBBD
+GB;Central Bedfordshire;-gCZBBDIECEKGCCDFFCF
+GB;Bedford;khCVBGGEACEJBBADBA
+GB;Rutland;-hCZBFDADCIO
+GB;Nottinghamshire;8iCjBNPNCAKKMEBEEAFIA
+GB;Northamptonshire;ohCZKMIFJbJDFE
+GB;Camden;ugCFABBE
+GB;Islington;sgCFAECAAD
+GB;Peterborough;6hCBARDCBGEK
+GB;Lambeth;ogCFAEEB
+GB;Southwark;sgCBABDCEC
+GB;Doncaster;ijCpBBLDADKAEECCEEA
+GB;Croydon;ogCFBCBBAGED
+GB;Lewisham;sgCADBAE
+GB;Haringey;ugCDCCBD
+GB;Kingston upon Thames;qgCJABFAEE
+GB;Newham;sgCAAECAAD
+GB;Greenwich;sgCAABDEEC
+GB;Hackney;sgCDAECAAD
+GB;Barking and Dagenham;wgCGBDBCACCC
+GB;Leicestershire;miCdFJCNDHFAHQEQIBCG
+GB;Cheshire East;2iCvCCRBBDEHJDCCIIQ
+GB;Derbyshire;wiCvCBIJBBKDDBEIOGDKIARKLFD
+GB;Rotherham;2iC3BBICEGJBB
+GB;Sheffield;2iC3BEBCNDCBGBA
+GB;Stoke-on-Trent;siC5CFCAEGD
+GB;Telford and Wrekin;giC_CBJFKGE
+GB;Staffordshire;-hC7CDCHBBGKABUECCDEECHICEHDJFEEJFD
+GB;Bromley;ogCGCDBFDG
+GB;Worcestershire;khClCCHKECHDXDCAGLGCS
+GB;Warwickshire;khClCFIQQORDHDCDMAPJD
+GB;Oxfordshire;ghChCJBJEAeIBGJGEAHGB
+GB;Wigan;8iCtDBIACGDAD
+GB;Stockport;4iCvCCJDABECG
+GB;Warrington;6iClDADBBDGEECB
+GB;West Berkshire;mgCpBIDBRFE
+GB;Wokingham;mgCpBAIECEBFH
+GB;Bracknell Forest;mgCdECAFDA
+GB;Royal Borough of Windsor and Maidenhead;sgCZABCAAFDAAGDAEE
+GB;Slough;sgCTCBBDBCAE
+GB;Reading;sgCrBDCCE
+GB;Surrey;qgCRDLHBDEEeIBBL
+GB;Blackburn with Darwen;ijC9CEBAFDC
+GB;Swindon;0gCjCFFBCBECECD
+GB;Bath and North East Somerset;kgC7CCBCCAHBHBEBG
+GB;Wiltshire;ygClCBTJDDEFDFKAUMDEIGDAJ
+GB;Calderdale;kjC1CAEBCCKGJBD
+GB;Kirklees;8iCnCCIGACBDFAH
+GB;Nottingham;iiCtBCCEBBD
+GB;Leicester;2hCrBCCCDBA
+GB;Derby;iiC5BCCAF
+UG;Mukono;iBgpBhBHFDAEUQKC
+UG;Buikwe;YqpBJBTPAKLAgBQ
+UG;Nakapiripirit;-BgrBAKGGMCUDADPBFPPC
+UG;Kween;-BqrBCFBDDCDEFAII
+UG;Buhweju;H8lBDFDADICEICBB
+UG;Sheema;RimBADFBBFDCACEI
+UG;Mitooma;b4lBGDCFDBDEBC
+UG;Bushenyi;TulBBGBCAGECGLBF
+UG;Bulambuli;-BgrBAFFAFBDMGHIG
+UG;Sironko;sB-qBAGCAELDB
+UG;Bugiri;eiqBDAJBDEEGGEGD
+UG;Nwoya;iDuoBGFGACRHNDGLHGWDMIC
+UG;Mbale;sB2qBBDBCDABCKIEJ
+UG;Budaka;sB2qBCJBABBDAAE
+UG;Butaleja;qByqBDFAFJEGECGEA
+UG;Kibuku;mBqqBEACCCABJFE
+UG;Napak;yD6qBFLHCFNHUHCGQQCAE
+UG;Kumi;-B6qBEBANNBBGCCIC
+UG;Ngora;iCoqBABJDBDBKMCCC
+UG;Bukedea;wB0qBAEECKABHHBBB
+UG;Namutumba;eiqBBIIDIDHD
+TR;Kütahya;8xBklBZpBTQGaHIUW
+TR;Konya;qwB6pBWND3BbRLObJdsBiBaH4BcNCf
+TR;Karaman;uuB2qBUTHZfVHIAQEIKJ
+TR;Nigde;2uBkrBCMMCKQSNAPPNLM
+TR;Kayseri;ovBgsBBScYFKiBQIrBLdZF
+TR;Isparta;gwBinBEFdpBEMRYAQcK
+TR;Manisa;-wB6jBDTOZNCLLZ8BcM
+TR;Denizli;0vB8jBNIFLHCTYcMGMKFIOKL
+TR;Burdur;mvBqlBFLZFBMOQAaGISX
+TR;Aksaray;4wBuqBHAJXNDJICcQOKLMC
+TR;Nevsehir;gwBkrBAQGGYBKJAFNCFRJA
+TR;Yozgat;oyBssBN5BhBwBcmBQH
+TR;Kirsehir;4wBuqBFSKKMBAGSbXV
+TR;Usak;swBslBIHFFARFJLAAe
+TR;Erzincan;iyBuwBDNPBPAFOSOKiCOPFhB
+TR;Tunceli;uxB2yBD7BLNJCBqBUK
+TR;Afyonkarahisar;swBslBJFJMJPHIegCSKORDf
+TR;Kinkkale;ixB8pBYWQDENNBDHJB
+TR;K. Maras;8vB0tBlBHDeGWMHaOMhB
+TR;Mus;sxBi1BNXIZTALIQuBME
+TR;Erzurum;sxBi1BOHEMMPOQMJLTIZJZNMHVROPuB
+TR;Malatya;-wB-vBFfRLJWTJQkBAaMbUM
+TR;Elazig;8wBgyBNTKjBJCFLJaG0BcE
+TR;Bitlis;4wBq1BRrBNGJoBUAQSKH
+TR;Bingöl;uxB2yBHTJBEQbDKmBaD
+NG;Abia;kH8JMRAFREbHBMcGFM
+NG;Ebonyi;sIsKEDLJEJTCJHFOMCAMQI
+NG;Anambra;kHoIMeSNIEGHJHRC
+NG;Edo;mIsIaAOZfNETVHPKGQLKIMQF
+NG;Bauchi;8LmNEWsBVYSwBPdlBZcKxBlBPfYKW
+NG;Plateau;8LmNObJVePHJZDTUVADcWiB
+NG;Nassarawa;uKgMGZWEBlBMR5BbB6BMCHc
+NG;Gombe;gM6NKkBsBNQRZX
+NG;Enugu;6IsJNXBIHDPKDQaCGG
+NG;Kogi;iKyJHbWCHLWPNHDdrB2BZAYsB
+NG;Osun;8IkFDMESmBIHlB
+NG;Imo;kHqIHAJEBUOGOBAN
+TR;Osmaniye;ivBstBAHNFDGHBBQMKGFBJ
+TR;Adiyaman;8uBivBDWKaWQAfLLFb
+TR;Diyarbakir;uwByzBV1CPePGOsBeO
+TR;Batman;mwB4zBDFXHNMISKPMMMD
+TR;Siirt;4vBw1BJFMXBNJLLWAoBUC
+TR;Bayburt;iyBsyBAIIMCJKBCZXA
+TR;Gümüshane;2yB6xBIhBJFDIFFHCFSCQ
+TZ;Singida;hGmsBqBXbfjBM9BdTMW0B
+TZ;Tabora;hF8qBG5BVjBQJ9BZFoBZabFGmBeUgBKgBL
+TZ;Iringa;lJ0tBS_BjBpBHwBXLRWsB6BMI
+TZ;Mwanza;5B8oBbfZaVADWecYXEOEJQG
+TZ;Simiyu;jDgsBOpCVSVPLePKEM
+TZ;Geita;tFonB4BwBgBbFdPL
+TZ;Shinyanga;hF0nBPKIeOGB-BQJMdHdKFBL
+LK;Ratnapura;sImlDADEBCXRIFWKD
+LK;Mŏṇarāgala;8HklDEWIGiBDLNFEPHAF
+LK;Kægalla;0IokDBMGBEACEKFHJ
+LK;Badulla;kJylDKBBFEBNANHHCFGKCIIGD
+LK;Mātale;gK-kDHJPGCCCMIAAJKE
+LK;Pŏḷŏnnaruva;gK-kDBEJBCKDGKCCEMBDDILDD
+LK;Kuruṇægala;mJwkDGGSDKNJCNJNC
+LK;Anurādhapura;uKklDWDNRELLDVW
+LK;Nuvara Ĕliya;yI0kDDGCIEBEGIACHFBBFDAEBBB
+LK;Vavuniyāva;kL-kDECEFAJJADJHIKMCB
+LK;Mahanuvara;6IykDDEEACGGCBKMADVBBHG
+SO;Bay;iE63BabJhBXAATrBHTYeiC
+RU;Bashkortostan;umC4nCJTS9CZjBJWTpBJUTLZMV0BfYIkBRJBQTIImCUQiCBIiBaIPvCQdWKPuBYqBCPWC
+RU;Sverdlovsk;umC4nCL4BMQHyDSUFiCQqBgBPQ2B0BtBGvBkCxBgB7D3BDtBrBLiBZMPfNIHhBTCHhB
+RU;Khanty-Mansiy;wtCsqCf8DlCyBDuBbaBe4B0DDsCpBqCH0CgBeGeyBSLqGmB4EMxBejBGvCQbZ7DYzBQvEJ7BQBexBEzBPvBUrBJ_DKlBeKQff1BDnBZIrBZVS
+RU;Lipetsk;2iCmyBIxBJPJEAbrBDAsDOIOd
+RU;Tambov;2iCmyBbHjBmBFgCqBeuBrB
+RU;Tomsk;isCqpDIrBTnBMpGxBRNnBtBVhBoBD-CjB8DM-BhBIkB0DI-CiBiBMBM1BMBSkBMJBbafA_CSE
+RU;Tatarstan;8lCijCARMOBTQCLVFMHpBe_BLtBpB1BFQNJDXIyCVwBOkBdwCmBKKTWsB
+RU;Ul'yanovsk;kkC0-BQfPrCKlBPMNlBZsBdBAiBMkBSZQUEgC
+RU;Penza;ojC20BtBsBJFA0DOoBYDajBN5BOnB
+RU;Kemerovo;inC4uDfnF_BclBsCJNZUFyBLBakBWTUUUBCfSOQNYqBYhB
+RU;Orel;oiCqvBatCNfJIHTFMLJRyDQOKN
+RU;Irkutsk;owCinEFKB_BZCLZRcVPb_BFINVRIFiBPAFbXWTjBatBBfTAX3BbNcbLzCdXZWZtBxBHJjBtBsDFkBQoB3CwEyCoF0BoBCTqBGOWOZMEU0DV8CcuCDQHVFQA2BUOUbUQDgCwBNG7BSCU_BhC_DSGIPRnDQPkCyBIbUHSQIdOQUJIxBMY
+RU;Khakass;qlC4uDHHROPNDgBJHHKTTVUnB3BTUSmCQCwBkC6BlBObFnB
+RU;Mordovia;qjC80BGyBNoBc4CiBpBddQjDJKNTBQ
+RU;Kaluga;gjCgtBYAEmBMFEQULC9BhBlBGZTNdgC
+RU;Kostroma;opCmzBJIpBbSwBLgDagBB8BUKOoBcTTzCO1D
+RU;Yaroslavl';opCmzBOvCLxBdNVmBTHLSAcUKKmBqBc
+RU;Vladimir;-mCoxBHrBXMDyBZeBwBoBuB
+RU;Ryazan';-iC0wBD6CU0BKGCPOUQJO3Cd5B
+RU;Ivanovo;6nC22BM1ClB3CNeBgDYsB
+RU;Nizhegorod;ykCi1BNsDYMDYSOKTOMWVOsBWACcOMIzDPDJnBRDHfPJJOpBtB
+RU;Tula;-iC0wBqBPKVAbJRLGDjBNFjBiD
+KR;Seoul;-uB8-EEACBFJDGAIEC
+KR;Daejeon;ytBg_EHECGGAADCA
+KR;Sejong;6tBi_ECFJBCMCAAF
+KR;North Chungcheong;uuBw_EJNNBVaGIQJSiB
+KR;Gwangju;isB4-EAHDG
+KR;Daegu;6sB-gFEACBBFDBDCCG
+RU;Chuvash;6lCw8BUrBZ3BJUPNPgBGoBOKGP
+RU;Vologda;8sCmvBL1CPRdBPWXjBVgCOUNgBS6BPwBWmCOAN2DY2CQDGdOeSVPjJKnB
+RU;Novgorod;8pCurBK_DNJJvBZPHiBlBEAkBUmCcQSmD
+RU;Tver';kpCivBOVd_CCnBbPbjDRcVBI0EUOMuDYCWlB
+RU;Moskovskaya;ilCmsBB8BcWBOnBVHyBPKqB8BWNExBeJKZRZB_BTL
+RU;Moskva;4kCsuBcgBGDEPLAHJCJHEBD
+RU;Mariy-El;4mCy-BehBThENLRSMyBTqB
+RU;Kirov;4mCy-BR4BOLQQWPIcUHMMAqCaEKbaUMhCVxCVPUrBaKUNIvBfRARFebATWfzBH6BPnBVBQkD
+RU;Udmurt;umC-jCMTQW4BXApCLLTIJbTQPPNUJHEwBWMPEEUPJ
+RU;Komi;wtCsqCUGWRsBaONMGEoBgCuDQkCYoBCLQMCfSIBd3BjEEzLnB9DhBAAaRgBLFNhGnB0CLRZMEkBSCAyBpBVDQPFNjBTOZJTsBWQU8COTMEB8DakCC8C
+RU;Perm';umC-jCHwDcCIiBaECcKJaiBENQCMhBuBsBsBBHpDZjCC7DZQJ4BZTJcTH9BcPV
+RU;Samara;gkC2hCEhDZBD_BPTRaJJjBgD2B4BmBOKL
+RU;Stavropol';w5Bk0BRhBXgBPDJoBNFCwCNUKWMCAPmBUsBrD
+RU;Adygey;u4B2xBHrBFgBKCBQJGPJDMBNJBHYiBAASUT
+PL;Masovian;6iC8aPpCbNV0BVDH0BkBCOyB
+PL;Łódź;uhCkYXhBZLLgCiBkBYd
+PL;Kuyavian-Pomeranian;siC2YSXGjBNlBbINyBCW
+PL;Greater Poland;shC6XO9BgBDGTlBpBfKL6BTM
+PL;Świętokrzyskie;kgCyZFRRJTcW4BMB
+PH;Muntinlupa;-Ro3ECGCAAD
+PH;Caloocan;sSo3EAECAAD
+PH;Malabon;qSm3EACCAAB
+PH;Valenzuela;uSo3EBBBACE
+PH;Quezon City;uSu3EBDDBAE
+PH;Nueva Ecija;iTg3EBUKCaHAJLBAH
+PH;Laguna;uRy3EKOOFJFIBHAKDFABFHCAG
+PH;Rizal;0S23EBFJDLGIABEFBCEGBCE
+PH;Taguig;kSu3ECDDAAE
+PH;Marikina;oSs3EACCAAB
+PH;Pasig;kSq3EAEEAAD
+PH;Quirino;0Uy4EDLKNLADDNG
+PH;Santiago;4U-3EECGDBFDCAEBA
+PH;Nueva Vizcaya;8T63EOFEGOBDTPFDQLE
+PH;Benguet;qU22EBIIGQAEFADPF
+PH;Ifugao;sV-3EDVFFJCCQII
+PH;Mountain Province;yV-3ECFFHELNFBGGGEU
+PH;Tarlac;-Sw2EEQOBKFJNHD
+PH;Apayao;uWm3EJIAMGFQIMRLF
+PH;Kalinga;kW63EBNPHDMGIBGKE
+PH;Abra;uWm3EFNHDDEFBHICGQIIA
+OM;Ad Dakhliyah;kb0oCgBJeeKlC7BTjBuC
+NG;Ekiti;iK-GATHDRCAODECEQK
+NG;Kaduna;mN-KmBZPjBKLhBfEezBQLyB
+NG;Kano;mOwLcAUTLhBhBFESPQRADIWA
+NG;Federal Capital Territory;wK4IIScIANHFEPdA
+KP;P'yŏngyang;2wBg-EIFEHDHGFBDFCJFFYEEGB
+NA;Khomas;9byUNTxBHBWeMBkBLBEoBoCN
+NA;Oshana;jWyTLNFIjBEHLDaUDIImBB
+NA;Oshikoto;rY8UOULecKoBHCvChCB
+MN;Darhan-Uul;89B-kEELGECDFHTBAoBOAEL
+MN;Töv;u7BynEMHSgBgBVBfTRM3BHzBTJTSHbpBYOuBN0BUiC m8B0lETYEnBUF
+MN;Arhangay;o9Bi_DIlBZJR5CPBB8BVIJiBEoCUGHqB
+MN;Orhon;s9B0iEAPDDDQEG
+MN;Dundgovi;u6B-mENXI_CpB1BbYF0BTUMkCWkBkBA
+MN;Övörhangay;k7BmiEG7BTFFxBNMzBPrBYEyBkBcWBgBmB
+MN;Govĭ-Sümber;87B0nEAFBDFBDCBI
+MX;México;qYp7DQBINLNWR5BdROKekBQXQ
+MX;Puebla;4Xp7DVBDNNODiBSKNGQcMXYOGPaKGXWBlBRVaHXOR
+MX;Morelos;4Xp7DBFITVHFGEIHEGIBGKB
+MX;Querétaro;ya57DQFJLEJJCNRCLLDbQ
+MX;Hidalgo;ya57DlBfVSMQROCUYFQMFVWQON
+MX;Guanajuato;4a38DSjC5BXTgCMIcHAQ
+MX;San Luis Potosí;2eh-DzB5BfUGSdFRuCKORYqBKWhC
+MX;Zacatecas;2eh-DWlCZEN1BpCTEQQBVGQETEQMHMpBbHc4BeXgBeGFRgBT
+MX;Aguascalientes;wbp_DSRFNRHHY
+MX;Durango;igB1lEdDhBwB7BiBJcoCSO2BaFNHWZqBIQZPXU7B
+MN;Ulaanbaatar;m8B0lEEVTGDoBMCKR
+MX;Tlaxcala;yY16DBVTUIYQR
+MX;Distrito Federal;8X17DIAKFHHDBFE
+MR;Tagant;2Y_JB5DtB_BpBEPoBkBBMaXFPuC
+MK;Želino;u0BoaDCBIGBCF
+MK;Brvenica;u0BoaABACDBBGCEAF
+MK;Brod;q0BwaDFHEDBAECGGC
+MK;Oslomej;i0BqaABDBBCEE
+MK;Sopište;o0ByaBECACCCBAECABJ
+MK;Karpoš;u0B2aAECACD
+MK;Šuto Orizari;w0B4aACCAAB
+MK;Butel;y0B4aBAACECCA
+MK;Čair;w0B6aACCA
+MK;Centar;u0B4aACCAAB
+MK;Zajas;g0BoaCDBDDECC
+MK;Dolneni;g0B2aDAADDCBEEI
+MK;Krivogaštani;2zB4aCDFAAE
+MK;Mogila;yzB2aABBADCAICC
+MK;Čaška;g0B2aFMAGGBGHAD
+MK;Rosoman;6zBobAGECAF
+MK;Negotino;8zBwbACFCACECCEGLBAACBAAB
+MK;Drugovo;g0BgaDADDAIDCEICBBD
+MK;Gazi Baba;w0B6aDGID
+MK;Kruševo;6zByaBDHGEC
+MK;Demir Hisar;4zBuaDHFGEIED
+MK;Aerodrom;s0B6aAEEAAD
+MK;Studeničani;m0B2aDCEECBEGCFBAADBCBB
+MK;Kisela Voda;s0B6aAECAAD
+MK;Probištip;u0B6bEEBJBDDEAECA
+MK;Češinovo-Obleševo;u0B6bBBDIEB
+MK;Aračinovo;w0B-aCEAD
+MK;Zelenikovo;m0B8aAEGCDH
+MK;Kičevo;-zBmaBBBECA
+MK;Plasnica;6zBwaCBBDBE
+MK;Vraneštica;6zBsaECCBFFBECA
+MK;Skopje;s0B-aAEDAACECCCCDBB
+MK;Lozovo;q0BqbDBDGCACC
+MK;Sveti Nikole;m0BwbBCCACCEAEDAFBBDA
+MK;Gradsko;-zBwbACCAABCAADCADDDA
+MK;Kratovo;y0B-bCBAFCFDDBGCEBECA
+MK;Ilinden;s0BgbCCCCCBBD
+MK;Karbinci;q0B4bABBADGAECC
+MK;Štip;i0BwbDKCCCACEEJCBFBAD
+MK;Kočani;u0B6bDECECAACGBAB
+MK;Zrnovci;o0B-bAECAAD
+MK;Veles;m0B-aFIEEEBCCCBABDBADBC
+MK;Demir Kapija;8zB8bBDDBABBECG
+MK;Vinica;m0BicAIGCCDCABBAD
+MK;Bosilovo;8zBycCDFBAE
+MK;Radoviš;k0BgcBDBABGBACGIAAF
+MK;Vasilevo;6zBkcAGCCCCEFDAAD
+MK;Konče;8zB8bDCCGEBCFBB
+LY;Al Jifarah;soByQODCBBFJFFA
+LY;Mizdah;qoBgQClBvBEVNtCOFasBwBHkBaM6CjC
+LY;Al Jufrah;wkBgSpBYBkBPD9BuBKyBPmB-CAMpBeTApCSjB
+LY;Sabha;0iB4TVnCTGPHiB-C
+LY;Wadi al Hayaa;-hBwREnBpBhCVABgBaoC
+KZ;Aqmola;whCyyCbXjBKRiCQ6BVAGeNee2BNauBuCCPmBEuBjFFrBdEVf
+KZ;Qaraghandy;k_Bk1C7BtCF3BbfJKhB9BrB6FA0IewBA4CSAEbgBUORQQWbgBoBMBIXPLJhCQBIjBYBCThBxBOZd1BOdFdWA
+IQ;Baghdad;wpB03BICCHFDDC
+IQ;Babil;wpB03BAbRSXEBQOSQZ
+IQ;Al-Qādisiyyah;woBw4BRbPBLWSABgBQD
+IQ;Dhi-Qar;ynBo5BfDDaJICWYCCPgBRBV
+IQ;Karbala';gpBm3BAPJVPUGYSB
+IR;Markazi;0qB6_BUnBMagBBJvBPHLMGPLJjBGIQPW
+IR;Esfahan;8pBw-BfTB2BpCiBeBCwBkBCSsCaWeCEpFZJ
+IR;Chahar Mahall and Bakhtiari;-mBkgCkBAYRFrBnBUPc
+IR;Kohgiluyeh and Buyer Ahmad;-mBkgCBNQbLNNCFSVIGYOBBU
+IR;Fars;wnBiiCBvBlBACTNCLVZmBzC6BKwCOUYD
+IR;Kerman;mkB-kCAiBhBOIaxBQJgBXFHgBiDCKSsCGUPmBhDRjBTBFtBvBD
+IR;Hamadan;qsB69BI_BVMPVDQJLNyBYBMKFQML
+IR;Lorestan;8pBw-BiB9CfflBqBQKH0B
+IR;Yazd;-qBolCdBZVTrChBBnCgCuBEGuBUCSkBPwBaO0BXOXqBaGZ
+IR;Qom;mrB4gCOEMhBAJLDLZPQDYMA
+IR;Tehran;gsBw_BLsBaBHgBOQMZJNObRT
+IR;Alborz;ysB8-BDMGCFCWaKjBHINP
+IN;Chhattisgarh;memoDLlCdWZnBzBb1BBNUbZlBgBsBuBuBNHiBoBNUqBgBGegB
+IN;Haryana;gmBghDWfXETbLlBQFAXTCHiB3BYQiBVEKYUDGX
+IN;Telangana;8W-gDpCLTIDauByCHSMHe4BBfePMbeDM5B
+HU;Jász-Nagykun-Szolnok;y7B-ZHNIPBNNOBMBJFGHHEcOMMA
+HU;Fejér;26B4WFABWEICDEEMBKHDV k7BkXFEDFGD
+HU;Veszprém;m7B0WGLDXBELHNCKqB 66BwWBDIB
+HU;Tolna;y6B2XFLETRBCKFCFQGEOBEG
+HU;Szolnok;-6BiZBGCECBACCBEDDFBE
+HU;Budapest;m7B2XAIGIEJBFDA
+HU;Érd;o7B2XCDBABBBE
+HU;Heves;y7B-ZKLDDIBCIEDBPNPFCCOHQ
+HU;Eger;-7BwZEABDHCEE
+HU;Miskolc;i8B0ZCGDGCEGBAFBH
+HU;Hódmezôvásárhely;i6B4ZEFBFDBCBFABKGG
+HU;Dunaújváros;46B2XABABDABE
+HU;Kecskemét;46ByYABBBFGGE
+HU;Tatabánya;u7BkXCAAFDE
+GE;Tbilisi;m0Bk4BCDDDBMCAADCB
+GE;Imereti;s0Bq2BUMBbGTRNJU
+FI;Northern Savonia;iwCyhBJXRFhBQJ6BYuBiBT
+FI;Southern Savonia;quC6jBPbIxBLRRMJLLsBIPSuD
+FI;Central Finland;qvC2gBGnBVjBROJXLkBXCI-BUJIUWbCK
+FI;Southern Ostrobothnia;ovC0dBlBVRCVfDSyDYF
+FI;Pirkanmaa;-tCgeDtBJLHKTJN0BOqBeA
+FI;Tavastia Proper;0sCkfJrBDCCZFBLuBEgBSI
+FI;Päijät-Häme;gtC8gBIRLPBXJQPFDqBQDGSEH
+ET;Dire Dawa;kM-0BCFDFCFBFHAAOGC
+ET;Addis Ababa;sLywBAFDBDCBEGEEA
+ET;Harari People;wL60BGACDFD
+BI;Gitega;5DslBJDHCFDFACEDEKGKDEA
+BI;Muramvya;7D-kBHBDCCMCBCCCBAB
+BI;Mwaro;lEqlBBJFAFEEECBGG
+BI;Karuzi;7DslBBADEFAKOCDGCCD
+BF;Balé;iPzDCLHEELHHNMESLCGKQN
+BF;Sanguié;iPzDJAHMICEMGJQEIGBHIBBFRJJE
+BF;Tuy;2OvEENHBTEHMQQBOKADR
+BF;Bougouriba;-NjEBJPJDUGKEFOE
+BF;Mou Houn;uPxDQZjBRFIMKDQIFBS
+BF;Kouritenga;gPRFABIMMGJMABPNI
+BF;Ganzourgou;0PXIDHFAJJAPMIQ
+BF;Zoundwéogo;8OjBAHLJRWMKGLKC
+BF;Ziro;wO1BQbDHLDLOAQ
+BF;Boulkiemdé;6P7CBEFHPDFKMSGABLGEAIKH
+BF;Kadiogo;qPrBEFGABHIFTJDGGIDECM
+BF;Oubritenga;qPrBKAAKOTCPNIBMFA
+BF;Gourma;8ODJWKQHQqBARVIHFT
+BF;Gnagna;qPDISSBCMaVBHRH
+BF;Bazéga;oPpBARFHEHFFPcMKAI
+BF;Kourwéogo;8PtCJGAHHBGOGAGEIFDH
+BF;Nayala;-PpDIBCTJJPUEI
+BF;Passoré;-PpDCGHCCUIEGOGNDFCJFR
+BF;Zondoma;qQ1CMCCLDHDGHJBGGM
+BF;Namentenga;0PXEQQFYGMPJFZCAD
+BF;Sanmatenga;8PZMFAEmBCHbXCJJNc
+BF;Bam;sQlCDKEACIWAIJLL
+MM;Magway;-Wy2DgBoBoBAYJHTQLaWIlBkBLzCH
+MM;Mandalay;sds4DDP7BGdxBXMIUxBGDOEWULiBKIPccoBbIUET
+BG;Plovdiv;u1BofBZDEZAFaGIIACHIE
+BG;Stara Zagora;u1BofNIJBDoBeN
+BG;Sliven;w1BogBZICGKCISEFEEGD
+BG;Shumen;01BmhBCWaMENFJNB
+BG;Razgrad;02B4hBKXDFFEFHHS
+BG;Targovishte;21B2gBEEBQQEBJIJBHDD
+BG;Gabrovo;u1BofAYGCGDGVHF
+BG;Pazardzhik;m1BweATDGJLPCDKEABIGGKE
+BG;Lovech;u1BweAYKFMKCBFTATDDLI
+BG;Grad Sofiya;m1BkdDOIFIECNFBBF
+RW;Kigali City;xCwlBAGACECEACDBF
+YE;Amanat Al Asimah;uTu3BACCDFHFEACGACC
+US;Wisconsin;k1B3sD6BB0BgBIhBNTiBTQvCKLcSZ9CVAPXlBEhB8BtBK
+US;Illinois;wyBpyDbEfcBUXHViBZEAkBkCoB4DAAMeIAxEZSRhB
+US;Kentucky;ouBrvDTLEiHmBoCwBlBDfUpBtBvBBtCjBX
+US;Arkansas;4rB7wDkBaEdUKAxFxDEDSVAA0DcD
+US;Tennessee;gtBjwDnBXAwHgCqDE_HH7B
+US;West Virginia;gwBnnDrBeAkBIasBaHOqBmBLUKEKnBRdUAAnBmBDnBL
+US;Indiana;k0B_pDCrD3DAlBXGyCgBYCa
+CZ;Vysočina;g-BwUMjBVXPiBGU
+CZ;Středočeský;s-BsTcVT9BHSPDE4B
+CZ;Prague;w-BoSACECCFBNFE
+BY;City of Minsk;ojC2iBCECBECANBDDABG
+UA;Kiev City;8-BumBCEGDGEDLEDAHJBAEPMKA
+UZ;Tashkent;wzBy2CEECACFDB
+KZ;Almaty City;g2BmgDEEEBFHBC
+KZ;Astana;2_Bq5CEGEAGFAFFB
+AZ;Stepanakert;4xBu6BACCAAB
+SY;Damascus;6pBstBECAFBA
+RO;Bucharest;w3B4gBEACDCADDBCABBCBECA
+LV;Jelgava;8mC2dBFBECE
+LV;Daugavpils;6lCkhBCGCBBF
+LV;Rezekne;ymCmiBEABD
+NE;Niamey;gR0CADBBDEBGBAIECD
+ML;Bamako;2P_JCCCACDDA
+AD;Andorra la Vella;k1B8BACCAAB
+HU;Gyôr;27BmWBFBDBECI
+HU;Szombathely;k7B6UADFCAE
+HU;Zalaegerszeg;w6BgVAEEBAD
+HU;Nagykanizsa;g6BqVGBABFBAE
+HU;Veszprém;66BwWIBBDDBDE
+HU;Kaposvár;i6BoWABDBDCACEEEB
+HU;Pécs;y5B-WEBADBBBABECC
+HU;Szekszárd;-5BuXCBBDBECCAG
+HU;Székesfehérvár;k7BkXABDDFECCCEEB
+HU;Békéscsaba;q6BuaCCEBCDDBDA
+HU;Debrecen;y7B-aEABBHDAEDECKEAEBBDED
+HU;Nyíregyháza;g8BqbCHHBAKCCEA
+NR;Buada;V0wGACCAAB
+CV;São Salvador do Mundo;6SxdACCAAB
+CV;São Lourenço dos Órgãos;4SvdACEAAB
+AI;George Hill;4W5uCACCA
+AI;The Quarter;6W5uCACCA
+AZ;Yevlakh;2yB-6BECBD
+BM;City of Saint George;uoB7wCACCAAB
+HK;Wong Tai Sin;-b4uEACCA
+MU;Moka;nZgoCADFGCC
+MU;Plaines Wilhems;tZgoCGFFEADBABC
+MU;Beau Bassin-Rose Hill;pZ6nCACCAAB
+MU;Port Louis;nZ6nCAEEA
+MU;Quatre Bornes;rZ6nCACCAAB
+MU;Vacoas-Phoenix;tZ6nCAECAAD
+MU;Curepipe;tZ8nCACCAAB
+SC;Mont Buxton;3FqlCACCA
+SC;Saint Louis;3FqlCACCA
+SC;Les Mamelles;5FslCACCA
+IT;Enna;ovBuSCRTHBQEGGDBK
+IT;Benevento;4zBkSJBADFICMCGGAAGKF
+IT;Asti;i4B-JFMDBDCKKMFBFGDBH
+IT;Bergamo;y5B2MBZTABQGBEIKCCG
+IT;Brescia;64BsMJSIMSIANSCFPFEPP
+IT;Cremona;64BsMCPDBNYBUCFEE
+IT;Mantova;w4B8MBIDDAGFBCkBObEAAJ
+IT;Milano;i5B8LDHCHBPLMEABQKG
+IT;Lecco;w5B-LEFCAADHBDEDDDCAIEBCCCB
+IT;Monza e Brianza;i5B8LAHEBDBCFDABKCG
+IT;Lodi;64B6LHFFQAIMR
+IT;Siena;-1B-OQVBRNBBSLMEM
+IT;Arezzo;u2BoOPUGMEFMMGb
+IT;Firenze;42BsNDIJAESGKSGENDHPF
+IT;Vercelli;44BiKBDFEBUgBNBNFCDQHD
+IT;Pavia;44BiLBLHAReIAKK
+IT;Rieti;g1ByPJIAaCCGHIAEKEH
+IT;Novara;m5BuKBCADNGBKEGSJAF
+IT;Alessandria;u4B2KBRBIJILJAUIIDKSLBJ
+IT;Trento;k6B6OLZMABXRFHEDYKGKa
+IT;Vicenza;k5B-NNIDKKGGDEIGBEL
+IT;Verona;k5B-NAHGDJHLCHQBOKC
+IT;Treviso;y5BwPHZJGBUKK
+IT;Piacenza;q4ByMEFBRTJBMGK
+IT;Parma;q4ByMZXBKGGFMIKOE
+IT;Reggio Emilia;u3B2MDOMKOGEHDJNB
+IT;Modena;o3BiNDOIKUECICRNF
+IT;Bologna;g4BkOAFTDHJCeKKKACV
+IT;Pistoia;m3BoNDGFDDECKECIBDDEH
+IT;Terni;o1BkQAHGDBJIBBPFCBMJI
+IT;Perugia;y1B-OCOHCDOIWGNUFGPHLDGFL
+IT;Frosinone;g0BwQHECGFICIIGGDGVEBFL
+IT;Avellino;ozBmSFCFWMSGPECCBBHFA
+IT;L'Aquila;o1B4QFJJIFLLUAaODCLKA
+IT;Pordenone;g6B0PFFDGHBFIAMWA
+IT;Isernia;o0BkSEHBFDCBJJABGEABMGECDCE
+IT;Biella;44BiKAEGGEAEFAJHA
+IT;Prato;k3BgOAFDBBCFBBCCACE
+FR;Gers;u2BDJcCQKIOREEAJFfLB
+FR;Haute-Vienne;k5BsCKPSFFVLEJJJY
+FR;Corrèze;k5BsCHXNAHSCQQIAGMA
+FR;Tarn-et-Garonne;m3BwCIDFVIRJADFJGBOKSEB
+FR;Tarn;m3BwCBNHDTUCWICCMCLOJ
+FR;Isère;04BgGHcLBDIGcWHCPSPLV
+FR;Drôme;83BoHENMCIbNEXJHoBKH
+FR;Aveyron;43B4CDNLCDUNMBOMQmBb
+FR;Lot;43B4CQFCVTTJGBQ
+FR;Indre-et-Loire;g7B2BQLEPDPRHPkB
+FR;Indre;g7B2BRRNMEoBYFCLGB
+FR;Loir-et-Cher;g7BqCEMOCAPEJKACdNHDSPM
+FR;Creuse;k5BsCCYEDGIKFGHBhBPE
+FR;Mayenne;27BPcOEHBhBTCHH
+FR;Sarthe;27BPFgBIOOGMXDP
+FR;Vaucluse;22BmHCHQFGdNIBDLgB
+FR;Haute-Marne;88BoGJNJIHFLMAcIIMH
+FR;Marne;88BoGWAGlBDPFEPNHSGKFS
+FR;Dordogne;s4BBJCAMHEDcSOIHKCKZ
+FR;Rhône;25BgGGPFCDHPGHOGCEOKP
+FR;Vosges;08B8IDjCRQFqBUO
+FR;Ardèche;04BgGBNTXPIBYaK
+FR;Loire;64B-FINQFGGCZRBLKFBDc
+FR;Puy-de-Dôme;u5B0EMhBRRLEHUCkB
+FR;Allier;25BmDEOLgBUMMPCXPd
+FR;Loiret;g8B8BNKFmBCKIDKKOjB
+FR;Maine-et-Loire;47BxBPODRLKCoBWO
+FR;Aube;28B6FGRFNCLHFRUBQKW
+FR;Paris;k9B6CBABICA
+FR;Hauts-de-Seine;k9B6CCEBFBBDGCCCD
+FR;Seine-Saint-Denis;k9B6CAGDIIBBDAD
+FR;Val-d'Oise;m9B8CAGGGGjBFDBKDGCGDB
+FR;Yvelines;s9BgCBFNGJMKGEIEFEE
+FR;Charente;u5BDHNRGDMekBIH
+FR;Cher;g7BqCLMTASkBaHEbHE
+FR;Eure-et-Loir;k8BiBDaEOKGYTLbHIFH
+FR;Haute-Loire;24B8DVQBOSaIH
+FR;Cantal;24B8DCdPLLEBMMMLKKECK
+FR;Lot-et-Garonne;q3BFFMFBEYEIQIIlB
+FR;Lozère;y3BgFMFIRBLJDPEFQCQ
+FR;Nièvre;m7BkFIXAZfIBGEiBIBII
+FR;Côte-d'Or;m7BkFRYEYMIMBERMLDP
+FR;Oise;k-B8DDRGjBTBF2BIDGI
+FR;Orne;08BhBBuBJSKKOJGRDnB
+FR;Haute-Saône;k7B8GK0BKCIjBLJDN
+FR;Saône-et-Loire;-6BoFNFBRLQJDBkBOGASOCGHDV
+FR;Deux-Sèvres;85BdNaGMmBLBhBZQ
+FR;Vienne;25BgBOOSTGdjBI
+FR;Yonne;u7B2DJqBSOalBBNHDFGJJ
+FR;Essonne;g9B6CJLJAASEGMA
+FR;Seien-et-Marne;s8BgDHCCUIECOSEKNAV
+FR;Val-de-Marne;i9BiDBAADBBBKEC
+TJ;Dushanbe;owBg2CCBDBDCEE
+EG;Luxor;kgB4oBACCAAB
+BW;Francistown;vauiBEADD
+BW;Lobatse;xfigBACEAAB
+BW;Selebi-Phikwe;vb4iBAEEAAD
+BW;Sowa;1Z4gBADBG
+PH;Naga;-Qi6ECECBBF
+PH;Angeles;8S42EACEABF
+PH;Baguio;uU62EEAADDC
+PH;Makati;mSq3EACCA
+PH;Pateros;mSs3EACCA
+PH;Mandaluyong City;mSq3EACCA
+PH;San Juan;oSq3EACCA
+AZ;Naftalan;0yBw6BACCA
+AZ;Şəki;uzB-6BACEAAB
+GB;Leeds;mjChCBCAKCCEBECBR
+GB;Bradford;sjClCCHDBDKAECAAB
+GB;Wakefield;-iC_BCOECAPBA
+GB;Barnsley;8iCnCBOBAEGEBAH
+GB;Salford;6iCjDBCCGEBADAB
+GB;Bolton;-iCjDAGEBABBD
+GB;Trafford;6iC7CADBBBG
+GB;Manchester;2iC7CACICABBB
+GB;Oldham;-iC3CBAAEBEEECD
+GB;Rochdale;gjCvCEBADBDDAAC
+GB;Tameside;6iCvCCDBFBK
+GB;Bury;8iC7CCCCACBABAB
+GB;Solihull;yhC_BBBEFDCADBEAE
+GB;Coventry;uhChCAIEAAF
+GB;Birmingham;0hClCEDFHBCAGAEEB
+GB;Sandwell;2hCzCBABEEE
+GB;Dudley;2hCzCBDDCCECB
+GB;Walsall;2hCxCCICDBD
+GB;Wolverhampton;4hCxCCDBBBC
+LV;Durbes;-mC0aABHAAEBAACCABGCBCECAAF
+LV;Incukalna;qnC6eCECCBL
+LV;Ādaži;wnCueFDCKEB
+LV;Valmiera;8nC2fAECAAD
+LV;Cesu;0nCyfDGBGCCADEBCH
+LV;Ligatnes;ynCsfBHDECI
+LV;Jekabpils;0mCogBAGCAAF
+ES;Palencia;u1BjFMNBNrBHFmBKGQR
+ES;Ciudad Real;kxBtDIPJdEJKEBTfTPeE4BKKKJ
+ES;Córdoba;4uB_EQLWCQfLThBGEQTS
+ES;Guadalajara;myB5DUeJUQKOPE5BRD
+ES;Jaén;0vBlDQBDhCXBPSIiB
+ES;Madrid;myB5DoBTlBnBDmBHH
+ES;Segovia;8yBlFYmBMNHlBLHRM
+ES;Valladolid;g0B_EIDEjBQADPnBCDU
+MG;Ihorombe;7b46Ba9B1BPDMQanBecEDO
+MG;Haute Matsiatra;hb84BZ8BKOqBEBXMRLX
+MG;Itasy;tX-6BCTdTIeAWKA
+XK;Suva Reka;-0B8ZDGAEGACBBBAF
+XK;Uroševac;80BsaCIEBAFDBADBAAE
+XK;Novo Brdo;m1B0aAECEAF
+XK;Obilić;w1BsaFFAG
+XK;Kosovo Polje;q1BsaADBBBG
+XK;Lipljan;k1BiaBCAOGEADBBAH
+XK;Štimlje;i1BsaAHDCAE
+XK;Vučitrn;01BqaCDDBBBBABEAEEC
+MT;Victoria;itB6RACCA
+MT;Fontana, Gozo;itB6RACCA
+MT;Xewkija;gtB6RACCAAB
+MT;Mosta;8sBgSACCAAB
+MT;Lija;8sBiSACCA
+MT;Attard;8sBiSACCA
+MT;Mtarfa;8sBgSACCA
+MT;Mdina;8sBgSACCA
+MT;Żebbuġ;6sBgSACCAAB
+MT;Qormi;6sBiSACCAAB
+MT;Swieqi;8sBiSACCAAB
+MT;Għargħur;8sBiSACCA
+MT;San Ġwann;8sBkSACCA
+MT;Iklin;8sBiSACCA
+MT;Birkirkara;8sBiSACCA
+MT;Balzan;8sBiSACCA
+MT;Santa Venera;8sBkSACCA
+MT;Ħamrun;8sBkSACCA
+MT;Marsa;6sBkSACCA
+MT;Luqa;6sBiSACCA
+MT;Mqabba;6sBiSACCA
+MT;Kirkop;6sBkSACCA
+MT;Safi;6sBkSACCA
+MT;Għaxaq;6sBmSACCA
+MT;Żejtun;6sBkSACCA
+MT;Fgura;6sBmSACCA
+MT;Tarxien;6sBkSACCA
+MT;Santa Luċija;6sBkSACCA
+MT;Gudja;6sBkSACCA
+MT;Paola;6sBkSACCA
+MT;Gżira;8sBkSACCA
+MT;Floriana;8sBkSACCA
+MT;Ta' Xbiex;8sBkSACCA
+MT;Isla;8sBkSACCA
+MT;Cospicua;6sBkSACCAAB
+MT;Pietà;8sBkSACCA
+MT;Msida;8sBkSACCA
+MT;Birgu;8sBkSACCA
+`,
+        places: `
+Shanghai;CN09cq0n9e
+Istanbul;TR0a3x0g4f
+Buenos Aires;AR049v09du
+Mumbai;IN08ez0jig
+Mexico City;MX08fz068n
+Beijing;CN0a0v0mvc
+Karachi;PK08v20j25
+Tianjin;CN09yq0mxi
+Guangzhou;CN08q80mml
+Delhi;IN095l0juj
+Moscow;RU0b8v0gsi
+Shenzhen;CN08on0mov
+Dhaka;BD08rv0kv5
+Seoul;KR09ud0noq
+São Paulo;BR054l0aag
+Wuhan;CN09ay0mpf
+Lagos;NG07fx0e5f
+Jakarta;ID06gr0m4t
+Tokyo;JP09p50oo1
+New York City;US0a33086f
+Dongguan;CN08py0mnz
+Taipei;TW08vl0n9l
+Kinshasa;CD06lz0f2j
+Lima;PE060k07y1
+Cairo;EG099i0gat
+Bogotá;CO07at0868
+London;GB0ax30dvn
+Chongqing;CN09840m3z
+Chengdu;CN09b70lx3
+Baghdad;IQ09im0hbc
+Nanjing;CN09f20n1y
+Tehran;IR09p50huu
+Nanchong;CN09bk0m2o
+Hong Kong;HK08nw0mp5
+Xi’an;CN09l60mal
+Lahore;PK09do0jmj
+Shenyang;CN0a630nev
+Hangzhou;CN09a50n5s
+Rio de Janeiro;BR056d0ak2
+Harbin;CN0ah30nnt
+Tai’an;CN09qj0mxc
+Suzhou;CN09cy0n70
+Shantou;CN08qx0mw7
+Bangkok;TH08070ln6
+Bengaluru;IN07y10jvj
+Saint Petersburg;RU0bki0g87
+Santiago;CL04d208fr
+Kolkata;IN08oo0kpg
+Sydney;AU04bx0pk1
+Yangon;MM088p0lb4
+Jinan;CN09rv0mx0
+Chennai;IN07yd0k30
+Zhengzhou;CN09mk0mnp
+Melbourne;AU040z0p2o
+Riyadh;SA08ul0hhs
+Changchun;CN0abw0nk4
+Dalian;CN09y30n9s
+Los Angeles;US09kl04rk
+Chittagong;BD08o20kz3
+Kunming;CN08vk0ltc
+Alexandria;EG09co0g74
+Ahmedabad;IN08pz0jhn
+Qingdao;CN09q60n6e
+Busan;KR09ni0nuf
+Abidjan;CI07cv0dkw
+Kano;NG07vc0ejo
+Foshan;CN08pz0mm9
+Hyderabad;IN08aa0jxy
+Puyang;CN097u0n51
+Yokohama;JP09of0onx
+Ibadan;NG07ii0e6v
+Singapore;SG071l0lwh
+Wuxi;CN09dp0n65
+Xiamen;CN08u00n00
+Ankara;TR0a0w0gf9
+Tianshui;CN09m20m1q
+Ningbo;CN09900n9n
+Ho Chi Minh City;VN07s20m47
+Shiyan;CN09gp0mfq
+Cape Town;ZA04br0fb6
+Taiyuan;CN09v70mko
+Berlin;DE0azw0ex9
+Tangshan;CN0a030n0a
+Hefei;CN09ei0mxs
+Madrid;ES0a2a0dlq
+Pyongyang;KP09yf0nlb
+Casablanca;MA09jb0dav
+Zibo;CN09s70mzy
+Zhongshan;CN08l80mf5
+Durban;ZA04n20ga7
+Changsha;CN094c0mlt
+Kabul;AF09lx0j85
+Ürümqi;CN0abo0knc
+Caracas;VE07r508q8
+Dubai;AE08vo0i5n
+Pune;IN08dg0jl6
+Sūrat;IN08kw0jib
+Jeddah;SA08lp0gwv
+Shijiazhuang;CN09vo0mq0
+Kanpur;IN08zj0k37
+Kyiv;UA0au50g8s
+Luanda;AO069g0ewr
+Quezon City;PH082p0n89
+Addis Ababa;ET07n20gvn
+Nairobi;KE06ug0gqa
+Chicago;US0a69074j
+Salvador;BR05xz0ax1
+Jaipur;IN090s0jqj
+Dar es Salaam;TZ06f20gx3
+Lanzhou;CN09q60lwg
+Incheon;KR09u20nnz
+Yunfu;CN08pp0mj8
+Toronto;CA0abe07re
+Basrah;IQ09ar0hkq
+Navi Mumbai;IN08ew0jiu
+Osaka;JP09md0oce
+Mogadishu;SO073o0hdy
+Daegu;KR09pn0nt7
+Faisalabad;PK09da0jj1
+İzmir;TR09wp0fze
+Dakar;SN082t0cjk
+Lucknow;IN090k0k4s
+Giza;EG099d0gap
+Fortaleza;BR06no0awy
+Cali;CO077k07zg
+Surabaya;ID06dv0ml7
+Belo Horizonte;BR05eo0ahy
+Nanchang;CN095o0mtt
+Rome;IT0a6d0eur
+Mashhad;IR09qw0ihh
+Brooklyn;US0a2x086l
+Houston;US098o06j4
+Queens;US0a30086w
+Nagpur;IN08kr0jzo
+Maracaibo;VE07rn08d3
+Brasília;BR05q60a6v
+Santo Domingo;DO08db08hv
+Nagoya;JP09nq0ogb
+Brisbane;AU04tp0pp3
+Havana;CU08q907j6
+Paris;FR0app0e2j
+Al Mawşil al Jadīdah;IQ09qx0h7r
+Johannesburg;ZA04x80g1w
+Kowloon;HK08o00mp6
+Al Başrah al Qadīmah;IQ09aq0hku
+Almaty;KZ0aa60jtp
+Dadonghai;CN08cm0mc7
+Medellín;CO07fd0824
+Tashkent;UZ0a4m0j8a
+Algiers;DZ09s10e4l
+Khartoum;SD08570ged
+Accra;GH07dg0dvg
+Guayaquil;EC06rw07q3
+Ordos;CN0a010mcy
+Sanaa;YE084n0hat
+Beirut;LB09k50gmm
+Perth;AU04h90mtu
+Sapporo;JP0a9n0osn
+Jilin;CN0abt0nnk
+Bucharest;RO0adf0fwj
+Camayenne;GN07oi0ctz
+Indore;IN08p40jqn
+Iztapalapa;MX08fs068u
+Conakry;GN07oi0cu0
+Bayan Nur;CN0a360m6b
+Maracay;VE07qg08o9
+Medan;ID077y0li3
+Rawalpindi;PK09jc0jix
+Minsk;BY0b3q0g0l
+Budapest;HU0aly0fcw
+Mosul;IQ09qy0h7s
+Hamburg;DE0b2r0enr
+Curitiba;BR04zd0a35
+Warsaw;PL0az30fid
+Bandung;ID06es0m6x
+Soweto;ZA04x10g1e
+Vienna;AT0anx0f5h
+Rabat;MA09kh0dd1
+Ecatepec de Morelos;MX08gg068u
+Barcelona;ES0a4z0e20
+Pretoria;ZA04yi0g2b
+Aleppo;SY09qk0gr8
+Montréal;CA0agf087l
+Kunshan;CN09d60n7z
+Manila;PH082k0n82
+Patna;IN08x30kgi
+Bhopal;IN08ql0jv0
+Manaus;BR06pe099a
+Xinyang;CN09f80mov
+Kaduna;NG07r90ego
+Phnom Penh;KH07u40lzg
+Damascus;SY09j30got
+Philadelphia;US0a0z0838
+Phoenix;US09ix058p
+Isfahan;IR09gp0hvj
+Ludhiāna;IN09bv0jqp
+Harare;ZW05kh0ga9
+Kobe;JP09md0obi
+Bekasi;ID06gp0m57
+Kaohsiung;TW08ou0n67
+Stockholm;SE0bit0fa7
+Caloocan City;PH082p0n81
+Guadalajara;MX08jf05wt
+Manhattan;US0a3a086j
+Asunción;PY04zr09fv
+Recife;BR06bn0b74
+Daejeon;KR09qz0npu
+San Antonio;US097q06af
+Kumasi;GH07gl0dri
+Kota Bharu;MY07f00ls0
+Kyoto;JP09na0od3
+Kuala Lumpur;MY076q0lqh
+Karaj;IR09pj0htn
+Kathmandu;NP092y0kh0
+Palembang;ID06pw0lyz
+Multan;PK099w0jek
+Tirunelveli;IN07m90jvs
+Puebla;MX08ew06b8
+Hanoi;VN08ke0m20
+Kharkiv;UA0asu0gop
+Agra;IN091i0jwq
+Córdoba;AR04ir08xq
+Tabriz;IR09vs0hgl
+Novosibirsk;RU0b6w0kad
+Gwangju;KR09nn0nok
+Bursa;TR0a1o0g4q
+Vadodara;IN08ny0jjd
+Belém;BR06ty0a5a
+Fushun;CN0a6d0nga
+Quito;EC06xd07tw
+San Diego;US09gw04uk
+Fukuoka;JP09jc0nya
+Antananarivo;MG05hh0hk2
+Luoyang;CN09mc0mkd
+Hyderabad;PK08wj0j5x
+The Bronx;US0a3h086t
+Valencia;VE07q808n3
+Gujranwala;PK09fc0jm3
+Barranquilla;CO07sh084a
+Guankou;CN09480mnn
+Lubumbashi;CD061m0g0c
+Porto Alegre;BR04ml09xp
+Tangerang;ID06gu0m47
+Najafgarh;IN095h0jtu
+Santa Cruz de la Sierra;BO05kl090i
+Handan;CN09ro0mpz
+Kampala;UG06yw0gei
+Yekaterinburg;RU0bbx0ikd
+Khulna;BD08pd0kss
+Douala;CM07990emy
+Gorakhpur;IN097t0jq7
+Sharjah;AE08we0i5x
+Mecca;SA08lj0gyn
+Makassar;ID06jp0n3r
+Juárez;MX09e405oa
+Kawasaki;JP09oo0oo4
+South Tangerang;ID06gj0m4g
+Baotou;CN0a2q0mdm
+Tijuana;MX09ga04v0
+Dallas;US09h206f3
+Medina;SA08tz0gy1
+Yaoundé;CM078r0es0
+Bamako;ML07x50d9s
+Nashik;IN08hk0jkz
+Semarang;ID06el0meq
+Brazzaville;CG06m50f2g
+Pimpri;IN08dq0jl1
+Nizhniy Novgorod;RU0bah0ha8
+Amman;JO09es0gnv
+Budta;PH07i00nho
+Belgrade;RS0aeg0fgv
+Montevideo;UY049209jx
+Lusaka;ZM05r70g2l
+Xuchang;CN09kj0moa
+Kalyān;IN08fg0jj6
+Thāne;IN08fc0jio
+Munich;DE0anq0es6
+Ra’s Bayrūt;LB09k60gmk
+Shiraz;IR09890hxx
+Adana;TR09sr0gm5
+Suwon;KR09tl0not
+León de los Aldama;MX08kp061l
+Milan;IT0aga0elj
+Port-au-Prince;HT08di08b2
+Adelaide;AU048z0ol0
+Meerut;IN096i0jvv
+Nowrangapur;IN08ff0k9b
+Faridabad;IN094x0jur
+Peshawar;PK09kh0jeu
+Davao;PH07hn0nkx
+Mandalay;MM08n10law
+Santiago de los Caballeros;DO08g108fm
+Yueyang;CN097l0mm5
+Omdurman;SD085g0ge8
+Anshan;CN0a480ndn
+Tongshan;CN09ky0mxg
+Ghāziābād;IN095n0jv4
+Depok;ID06g80m4q
+Saitama;JP09pr0ony
+Dombivli;IN08fe0jj0
+Maputo;MZ04xv0gei
+Gustavo Adolfo Madero;MX08g5068p
+Fuzhou;CN08ye0n3f
+Rājkot;IN08nx0jcn
+Rosario;AR04eh097k
+Guiyang;CN08zu0m4g
+Goiânia;BR05no0a37
+Guarulhos;BR054u0aar
+Prague;CZ0at50f02
+Varanasi;IN08wc0kal
+Batam;ID07170lwy
+Copenhagen;DK0b8o0eux
+Sofia;BG0a8m0fos
+Tripoli;LY09hd0ewn
+Port Harcourt;NG07ba0efh
+Hiroshima;JP09lk0o3x
+Zapopan;MX08jk05wu
+Lijiang;CN090n0lme
+Monterrey;MX08xc065c
+Samara;RU0b1s0hrb
+Omsk;RU0b6r0jjt
+Benin City;NG07fm0ebn
+Malingao;PH07hw0nhs
+Baku;AZ0a260hql
+Maiduguri;NG07ux0ewk
+Kazan;RU0b8z0hog
+Ciudad Nezahualcoyotl;MX08fw068z
+Yerevan;AM0a1m0hbn
+Amritsar;IN09du0jo0
+Ouagadougou;BF07wd0drr
+Yono;JP09po0onv
+Rostov-na-Donu;RU0al70gyc
+Allahābād;IN08wo0k7c
+Goyang-si;KR09um0noc
+Gaziantep;TR09sy0gru
+Visakhapatnam;IN08b40kb4
+Sendai;JP09wb0orb
+Chelyabinsk;RU0b770imn
+Datong;CN0a1d0mmp
+Tbilisi;GE0a5t0hcj
+Changshu City;CN09dx0n7e
+Taichung;TW08t30n78
+Teni;IN07pt0jv8
+Xianyang;CN09le0m9y
+Ufa;RU0b620i7h
+Dnipro;UA0aom0glc
+Seongnam-si;KR09u00np6
+Campinas;BR056d0a9a
+Jabalpur;IN08qd0k23
+Hāora;IN08oq0kpc
+Huainan;CN09gn0mx0
+San Jose;US09tq04hf
+Donetsk;UA0ane0gt0
+Dublin;IE0b250den
+Calgary;CA0avt0533
+Brussels;BE0av90e83
+Aurangabad;IN08h80jpa
+Volgograd;RU0apc0hbm
+Nova Iguaçu;BR056s0ajb
+Jieyang;CN08re0mv9
+Odessa;UA0aj40g9d
+Zhu Cheng City;CN09q00n3o
+Shivaji Nagar;IN08dh0jl5
+Kitakyushu;JP09k10nzh
+Solāpur;IN08b30jqv
+Baoding;CN09xx0mst
+Guatemala City;GT082o06wl
+Benxi;CN0a4p0nft
+Birmingham;GB0azs0dqq
+Perm;RU0bf50i89
+Srinagar;IN09kp0jnt
+Zaria;NG07sv0ehg
+Managua;NI07vp078f
+Port Elizabeth;ZA04bo0fv5
+Fès;MA09kj0di4
+Köln;DE0avh0efb
+Ulsan;KR09oq0nv8
+Chandigarh;IN09be0jtb
+Coimbatore;IN07sl0jtt
+Naples;IT0a3h0ezn
+Maceió;BR06750b4q
+Cartagena;CO07qw0829
+Changzhou;CN09e90n57
+Sulţānah;SA08u10gxz
+Monrovia;LR07fi0d20
+Kingston;JM08c007yp
+Erbil;IQ09qi0ha9
+Austin;US09a306ci
+Krasnoyarsk;RU0b9m0l1z
+Nay Pyi Taw;MM08gv0lb1
+Jodhpur;IN08yz0jit
+Chiba;JP09ow0op8
+São Luís;BR06qz0agy
+Madurai;IN07pk0jx0
+Sale;MA09kl0dd4
+Huaibei;CN09kd0mwf
+Cochabamba;BO05lp08s8
+Kaifeng;CN09mo0mpj
+Bishkek;KG0a930jn7
+Abobo;CI07d20dku
+Abū Ghurayb;IQ09ij0haq
+Qom;IR09m80htc
+Guwahati;IN08yq0kyv
+Aba;NG07c70egh
+Pingdingshan;CN09jq0mmq
+Gwalior;IN08yv0jx5
+Qiqihar;CN0ali0ngc
+Klang;MY076g0lps
+Mendoza;AR04en08kt
+Konya;TR09v70ge8
+Mbuji-Mayi;CD06gy0fpj
+Vijayawada;IN087v0k41
+Pikine;SN08300cjp
+Turin;IT0af70ehd
+Mysore;IN07w60jsw
+Jacksonville;US09a907l6
+Wenzhou;CN093s0n77
+San Francisco;US09ux04fy
+Liverpool;GB0b2d0dnq
+Saratov;RU0ax60hft
+Rohini;IN095u0ju3
+Tegucigalpa;HN0814075r
+Bucheon-si;KR09u60no6
+Columbus;US0a1007hg
+Voronezh;RU0axj0gwu
+Ranchi;IN08qu0kgz
+Ulan Bator;MN0an30m4w
+Takeo;KH07sj0lz2
+Ahvaz;IR09d00hn8
+Arequipa;PE05og08db
+Padang;ID06vd0lmr
+Hubli;IN084n0jop
+Zhabei;CN09cu0n9e
+Marrakesh;MA09dv0d9s
+Denpasar;ID069z0ms2
+Kampung Baru Subang;MY076r0lq1
+Fort Worth;US09gx06do
+Indianapolis;US0a0h078o
+Charlotte;US09nv07ng
+Duque de Caxias;BR056p0ajp
+Jos;NG07pl0ekp
+Valencia;ES09zn0duy
+Ilorin;NG07lm0e8m
+Callao;PE060i07xs
+La Paz;BO05o608mp
+Ottawa;CA0ag5081q
+Barquisimeto;VE07py08jc
+Chihuahua;MX095k05pb
+Nanning;CN08pe0m8w
+Freetown;SL07ll0cv8
+Johor Bahru;MY07230lw8
+Jerusalem;IL09e90glu
+Bandar Lampung;ID06ix0m0e
+Bogor;ID06fp0m4n
+Narela;IN09650ju5
+Mombasa;KE06mr0gy6
+Cebu City;PH07qo0ng5
+Muscat;OM08ri0ie9
+Zaporizhia;UA0amu0glr
+Marseille;FR0aaa0eay
+Zarqa;JO09f30go9
+Naucalpan de Juárez;MX08g4068c
+Çankaya;TR0a0w0gfa
+Rahim Yar Khan;PK094y0jba
+Pasragad Branch;IR09mm0hmn
+Boumerdas;DZ09s50e5o
+Jalandhar;IN09d10jpy
+Thiruvananthapuram;IN07ll0jtr
+Sakai;JP09m20ocb
+Anyang;CN09qa0mpq
+San Miguel de Tucumán;AR04vi08uu
+Cotonou;BJ07fp0e2q
+Salem;IN07ud0jx4
+Mérida;MX08ka06z2
+Tiruchirappalli;IN07s20jym
+Homs;SY09mh0gq0
+Hohhot;CN0a3d0mi5
+Niamey;NE07zj0e1v
+Tainan;TW08pv0n5x
+Shangyu;CN099e0n7r
+Łódź;PL0axt0fe3
+Dammam;SA08zf0hr6
+Xining;CN09rr0lqo
+Kahrīz;IR09li0hiq
+Kota;IN08vy0jqo
+Natal;BR06hx0b67
+Bhubaneshwar;IN08ib0kif
+Qinhuangdao;CN0a0x0n47
+Hengyang;CN090p0mku
+Antalya;TR09sj0g9a
+Kraków;PL0at20ffe
+Alīgarh;IN093g0jwv
+Da Nang;VN086n0m8m
+Pietermaritzburg;ZA04nq0g8f
+Lomé;TG07f10dze
+Trujillo;PE06bg07sh
+Malang;ID06bu0mkv
+Ciudad Guayana;VE07l70920
+Bareilly;IN094t0k0n
+Kigali;RW06sl0g7i
+Teresina;BR06jv0al4
+Xinxiang;CN09nr0mo4
+São Bernardo do Campo;BR05470aao
+Hegang;CN0alj0nxy
+Riga;LV0bc70fqz
+Amsterdam;NL0azh0e9l
+Oyo;NG07jt0e6x
+Quetta;PK099u0j24
+Nottingham;GB0b130dst
+Campo Grande;BR05d809o7
+Ashgabat;TM09vf0ie6
+Álvaro Obregón;MX08fs068g
+Muzaffarābād;PK09lh0jk3
+Bağcılar;TR0a400g46
+As Sulaymānīyah;IQ09os0he7
+San Luis Potosí;MX08nj063i
+Aguascalientes;MX08ms05zw
+Cúcuta;CO07jx08al
+Morādābād;IN09640jyu
+N'Djamena;TD07vn0f1s
+Langfang;CN09zr0mw5
+Zhumadian;CN09hm0mor
+Yantai;CN09u40n9c
+Lviv;UA0asg0fqq
+Hermosillo;MX096u05bq
+Edmonton;CA0b2r054t
+Jeonju;KR09pi0np7
+Saltillo;MX08wm063f
+Zhuzhou;CN093b0mmb
+Subang Jaya;MY076g0lq6
+Bhiwandi;IN08fm0jiy
+Pekanbaru;ID06zg0lps
+Sevilla;ES09tu0dff
+Tol’yatti;RU0b2p0hp3
+Jaboatão;BR06ba0b6s
+Shizuoka;JP09n60oke
+Santo Domingo Oeste;DO08de08hk
+Rājshāhi;BD08tp0kq4
+City of Balikpapan;ID06uk0mwp
+Santo Domingo Este;DO08dd08hy
+Battagram;PK09mc0jiu
+Changzhi;CN09nt0mie
+Bulawayo;ZW05e10g3e
+Zagreb;HR0ah90f4e
+Agadir;MA09ai0d5c
+Sarajevo;BA0abt0fb0
+La Plata;AR049009f1
+Tunis;TN09sa0eo9
+Zhangjiakou;CN0a3d0mr4
+Zigong;CN097i0lz2
+Mexicali;MX09gn04zb
+Fuxin;CN0a6q0n9y
+Enugu;NG07fw0egu
+Tangier;MA09pd0dfw
+Huangshi;CN09a10mrl
+Liaoyang;CN0a4n0ne5
+Sheffield;GB0b2a0drx
+Seattle;US0am904g7
+Denver;US0a0e05se
+El Paso;US09e805o7
+Kumamoto;JP09h50nz1
+Raipur;IN08kz0k6r
+General Santos;PH07ez0njp
+Dushanbe;TJ09x20j72
+Osasco;BR054n0aa1
+Detroit;US0a7l07hb
+Culiacán;MX08uv05lp
+Matola;MZ04xw0ge6
+Zaragoza;ES0a5q0dtk
+Gorakhpur;IN090d0kbl
+Xiangtan;CN093d0mlm
+Guadalupe;MX08xc065i
+Acapulco de Juárez;MX088t066h
+Ipoh;MY07aq0los
+Mississauga;CA0ab207qq
+Boston;US0a7o08em
+Puyang Chengguanzhen;CN09p70mrh
+Nantong;CN09ez0n7r
+Mudanjiang;CN0adu0nw0
+Athens;GR09vi0fpx
+Santo André;BR054a0aaq
+Nouakchott;MR08c90cnm
+Pointe-Noire;CG06kq0esy
+Memphis;US09nn06xv
+Tlalnepantla;MX08ga068g
+Kryvyi Rih;UA0an30ggq
+João Pessoa;BR06e90b76
+Ansan-si;KR09to0noa
+Benghazi;LY09f70ffr
+Frankfurt am Main;DE0at80ek4
+Krasnodar;RU0af40gwa
+Guilin;CN08w80med
+Palermo;IT09vx0ex2
+Colombo;LK07ha0k1t
+Lilongwe;MW05v70ghv
+Oran;DZ09p60du8
+Diyarbakır;TR09vb0gzq
+Taguig;PH082c0n8c
+New South Memphis;US09nh06xu
+Ulyanovsk;RU0b4x0hmf
+Kotli;PK09j40jla
+Okayama;JP09m90o81
+Zhanjiang;CN08l40mei
+Al Aḩmadī;KW096s0hlk
+Yogyakarta;ID06cc0mek
+North York;CA0abl07re
+Chisinau;MD0akl0g46
+Wrocław;PL0avy0f7b
+Cheongju-si;KR09rs0nq5
+Anyang-si;KR09tv0nol
+Tébessa;DZ09oc0eik
+Zhenjiang;CN09fh0n3u
+Portland;US0agg04f8
+Winnipeg;CA0ask06e5
+Dandong;CN0a1h0nhj
+Oklahoma City;US09oj06d4
+Izhevsk;RU0bbx0hzs
+Jaboatão dos Guararapes;BR06bh0b6r
+Shaoguan;CN08uw0mni
+Yancheng;CN09io0n5s
+Cancún;MX08kt076r
+Contagem;BR05en0ahn
+Santiago de Querétaro;MX08j70655
+Bhilai;IN08kx0k67
+Panshan;CN0a4f0nb1
+Djibouti;DJ07u70h7v
+Las Vegas;US09qh0506
+Baltimore;US09z507z7
+Kermanshah;IR09lb0hir
+Coyoacán;MX08fr068k
+Ribeirão Preto;BR05b60a77
+Al Ḩudaydah;YE08340h7b
+Pasig City;PH082j0n8a
+Bristol;GB0awy0dos
+Jamshedpur;IN08pc0kjf
+Haikou;CN08hp0mei
+Ta‘izz;YE07zq0haa
+São José dos Campos;BR055m0acj
+Santa María Chimalhuacán;MX08fy0695
+Taizhou;CN09g90n53
+Xingtai;CN09sy0mq1
+Borivli;IN08ff0jie
+Torreón;MX08wy05wq
+Yaroslavl;RU0be30gyr
+Benoni;ZA04x90g2o
+Hamamatsu;JP09me0oil
+Cochin;IN07pm0jru
+Jinzhou;CN0a470n8i
+Amrāvati;IN08k50jvz
+Abu Dhabi;AE08tx0i34
+Haiphong;VN08jy0m4c
+Washington, D.C.;US09y207y0
+Islamabad;PK09jo0jiw
+Kirkuk;IQ09oj0hbb
+Sāngli;IN088t0jn4
+Milwaukee;US0a9k073t
+Vancouver;CA0aqt04e0
+Situbondo;ID06cl0mop
+Scarborough;CA0abl07ru
+Shuangyashan;CN0ajk0o0b
+Barnaul;RU0b280kco
+Rotterdam;NL0ay80e8g
+Morelia;MX08gq062y
+Luancheng;CN09v80mqh
+Rasht;IR09tk0hpr
+Abeokuta;NG07hw0e5b
+Essen;DE0awy0efh
+Kayseri;TR09xl0gml
+Glasgow;GB0b970dk6
+Gold Coast;AU04s80pq7
+Yingkou;CN0a2y0nbj
+Abuja;NG07n60egu
+Las Piñas;PH08250n82
+Zhangzhou;CN08u30myu
+Stuttgart;DE0api0eli
+Reynosa;MX08yg06az
+Dortmund;DE0ax30egr
+Vladivostok;RU0a9r0o2b
+Irkutsk;RU0aza0lxq
+Blantyre;MW05q60gl9
+New Kingston;JM08c107yq
+Üsküdar;TR0a3y0g4l
+Genoa;IT0adc0eku
+Oslo;NO0bkf0epv
+Cuttack;IN08iu0kik
+Hachiōji;JP09p20on0
+Khabarovsk;RU0aoo0ob8
+Khabarovsk Vtoroy;RU0aok0obd
+Libreville;GA06z30em9
+Kerman;IR09a40iak
+Chiclayo;PE06f707q8
+Orūmīyeh;IR09ub0hd8
+Bahçelievler;TR0a3w0g46
+Bengbu;CN09hi0my0
+Bīkaner;IN093u0jjn
+Tlaquepaque;MX08jc05x3
+Tlalpan;MX08fm068k
+Umraniye;TR0a3y0g4w
+Düsseldorf;DE0awa0eeu
+Banjarmasin;ID06os0mqb
+Göteborg;SE0beb0et9
+Shihezi;CN0ad20kj0
+Bucaramanga;CO07ht088w
+South Boston;US0a7l08en
+Kuching;MY072b0meh
+Poznań;PL0azl0f71
+Málaga;ES09s00djq
+Bouaké;CI07jd0di1
+Nyala;SD07vh0ft4
+Asmara;ER084m0gw5
+Sokoto;NG07ya0eak
+Uberlândia;BR05hg0a5w
+Onitsha;NG07f30eev
+Honchō;JP09p60oov
+Albuquerque;US09ng05nr
+Hamhŭng;KP0a0w0nqa
+Sorocaba;BR054q0a86
+Helsinki;FI0bl50fta
+Warangal;IN08c00k12
+Santiago de Cuba;CU08hm081d
+Siping;CN0a9w0nhi
+Kagoshima;JP09dp0nyn
+Surakarta;ID06d00mfv
+Huai'an;CN09jb0n2m
+Bhavnagar;IN08mg0jgf
+Mar del Plata;AR040g09g4
+Bahawalpur;PK097o0jf4
+Zahedan;IR097y0il2
+Aden;YE07xi0hd4
+Nanded;IN08f80jur
+Orenburg;RU0axt0i52
+Pristina;XK0a8j0fit
+Changwon;KR09nv0ntg
+Jiamusi;CN0ak00ny0
+Antipolo;PH082n0n8g
+Neijiang;CN09860lzu
+Bremen;DE0b1g0ekh
+Meknès;MA09k50dgl
+Banqiao;TW08vh0n9f
+Sargodha;PK09f50jhv
+Bangui;CF07a40fbj
+Vilnius;LT0b5x0fu8
+Yangzhou;CN09g00n3s
+Novokuznetsk;RU0b3c0klz
+Kisangani;CD06zg0ftz
+Port Said;EG09cv0gdq
+Mersin;TR09s90gk8
+Tuxtla;MX088k06pd
+Raurkela;IN08nq0kfq
+Warri;NG07dc0ebz
+Guli;CN09680n5f
+Ebute Ikorodu;NG07gc0e5p
+Tanggu;CN09ye0myt
+Jiangmen;CN08oq0mm4
+Cuauhtémoc;MX08g1068l
+Tucson;US09fi05bv
+Nashville;US09qh076y
+Ta’if;SA08l30h0a
+Beira;MZ05ew0gks
+Guntur;IN087a0k3i
+Touba;SN08390cnw
+Québec;CA0ak108e7
+Hamadān;IR09mo0hmr
+Cangzhou;CN09wg0mwn
+San Salvador;SV08010709
+Dehra Dūn;IN09a80jwr
+Cuiabá;BR05qo09k6
+Petaling Jaya;MY076n0lq9
+Macau;MO08no0mnf
+Bhayandar;IN08fm0jid
+Esenler;TR0a400g48
+Ryazan’;RU0b5r0gy9
+Fresno;US09s304nb
+Hamilton;CA0aa507q7
+Tyumen;RU0bcr0iy1
+Durgapur;IN08rc0kmj
+Victoria de Durango;MX08sq05ta
+Ajmer;IN08zh0jnc
+Lisbon;PT09xk0d6n
+Changde;CN096n0mia
+Jiaozuo;CN09nw0mmj
+Ulhasnagar;IN08fe0jj7
+Kolhāpur;IN088e0jm7
+Lipetsk;RU0b040gxx
+Siliguri;IN09070kpn
+Hannover;DE0azh0en1
+Eskişehir;TR0a0i0g8s
+Āzādshahr;IR09mn0hmx
+Salta;AR051508ub
+Penza;RU0b1s0hd0
+Tembisa;ZA04xs0g2f
+Bilimora;IN08jp0jio
+Mykolayiv;UA0akh0gcw
+Aparecida de Goiânia;BR05na0a38
+Puente Alto;CL04cn08fy
+Makati City;PH082f0n87
+Tonghua;CN0a5w0nlt
+Naberezhnyye Chelny;RU0b8t0hxl
+Leicester;GB0b080dsv
+Wuhu;CN09d20n0t
+Niigata;JP09v90om5
+Karol Bāgh;IN095l0juf
+Leipzig;DE0awm0eud
+Kalininskiy;RU0bko0g8f
+Duisburg;DE0awv0eet
+Āsansol;IN08rs0klm
+Arāk;IR09kp0hq2
+Astrakhan;RU0air0hlg
+Zhuhai;CN08nw0mnh
+Pohang;KR09q30nvc
+Shashi;CN09a70mjs
+Makhachkala;RU0a9e0hjy
+Sacramento;US09x604ij
+Aracaju;BR063p0b11
+Jianshui;CN08tg0lp6
+Port Sudan;SD08gi0gre
+Santa Fe;AR04i3097d
+San Pedro Sula;HN0852073i
+Suez;EG09990ged
+Tomsk;RU0bay0kg1
+Gulbarga;IN08a60jtg
+Mariupol;UA0aku0gsa
+Homyel';BY0azn0ga2
+Qionghai;CN08fg0meu
+East London;ZA04ea0g1j
+Yazd;IR09em0i31
+Hargeysa;SO07ok0haf
+Kemerovo;RU0b7p0kj4
+Yichang;CN09bb0mh4
+Kansas City;US09ym06la
+Yinchuan;CN09wv0m37
+Skopje;MK0a6o0fjj
+Long Beach;US09jt04rp
+Lyon;FR0ah30e9h
+Londrina;BR055909xw
+Juiz de Fora;BR059k0ajl
+Edinburgh;GB0b9f0dn4
+Atlanta;US09jr07dl
+Kananga;CD06hm0fma
+Bloemfontein;ZA04p40fwt
+Gdańsk;PL0b4z0fbt
+Joinville;BR04wy0a4b
+Kurnool;IN085z0jws
+Kanazawa;JP09ro0ofi
+Zamboanga;PH07h70nb3
+Kirov;RU0bgs0hpy
+Kota Kinabalu;MY07el0muf
+Tabuk;SA094w0gpl
+Pontianak;ID06xx0mbp
+Virginia Beach;US09sd080y
+Luhansk;UA0aox0gx8
+Manado;ID07240nit
+Karagandy;KZ0asc0jj2
+Raleigh;US09pd07tk
+Constantine;DZ09r10eed
+Wenshan City;CN08qw0lxl
+Juba;SS07bh0gbq
+Heroica Matamoros;MX08xw06d6
+Şanlıurfa;TR09t90gvr
+Chengde;CN0a3r0mzo
+San Juan;AR04ie08lm
+Cheboksary;RU0b9x0hj9
+Cagayan de Oro;PH07lk0ni9
+Omaha;US0a4m06hi
+Matsuyama;JP09k00o4t
+Malatya;TR09wj0gug
+Miami;US08xl07p9
+Kozhikode;IN07t90jqi
+Iquitos;PE06nl088j
+Garoua;CM07nu0ex8
+Murcia;ES09vj0dsv
+Mwanza;TZ06r00gfe
+Bei’an;CN0ao30nno
+Mālegaon;IN08j30jn1
+Kaliningrad;RU0b5z0fgz
+Toulouse;FR0ab40e00
+Namangan;UZ0a3w0jf3
+Katsina;NG07y30eh4
+Veracruz;MX08fa06gy
+Bryansk;RU0b1x0gjh
+Barcelona;VE07q608wb
+Udaipur;IN08ub0jkr
+Luxor;EG08xe0geo
+Ivanovo;RU0bcc0h1t
+Erzurum;TR0a0v0h2o
+Asyūţ;EG091i0gam
+Jambi City;ID06tk0lvu
+Korba;IN08o30k9q
+San Juan;PR08db08sd
+Kolwezi;CD06490fur
+Auckland;NZ043n0rdg
+Sukkur;PK092y0j7a
+Mangalore;IN07xw0jny
+Sevastopol;UA0adx0gh4
+Shymkent;KZ0a7i0j9c
+Magnitogorsk;RU0b2e0ig1
+Jhānsi;IN08wq0jya
+Wandsbek;DE0b2u0eo0
+Minneapolis;US0aey06oy
+Ardabīl;IR09w90hm5
+Nagasaki;JP09gz0nws
+Kursk;RU0axq0goj
+Jeju City;KR09j30nng
+Panamá;PA07mz07r4
+Szczecin;PL0b2f0f0f
+Jixi;CN0afu0nzs
+Tulsa;US09qf06hd
+Kassala;SD084x0gp4
+Palma;ES09zx0e3d
+Kitwe;ZM05yg0g2d
+Tver;RU0bby0gnq
+Khmelnytskyi;UA0ara0fz0
+Al Hoceïma;MA09nx0dl2
+Vila Velha;BR05dj0as3
+Samsun;TR0a4o0goy
+Tallinn;EE0bj40fsr
+Bamenda;CM07ek0eo7
+El Obeid;SD07ym0g7y
+Sandakan;MY07e80n04
+Buraydah;SA08z50ha5
+Kandahār;AF09dt0iyj
+Wichita;US09up06dm
+New Orleans;US099706xs
+Nampula;MZ05s00gx3
+Cleveland;US0a5a07l2
+Bissau;GW07uy0coo
+Khamis Mushait;SA08cu0h6p
+Resistencia;AR04tq09c6
+Mişrātah;LY09fy0f1x
+N’dalatando;AO06860f1f
+Pasto;CO071d07xc
+Wellington;NZ03rb0rdi
+Las Palmas de Gran Canaria;ES09420cp7
+Mazatlán;MX08qj05of
+Caxias do Sul;BR04oz09xu
+Nizhny Tagil;RU0bew0iil
+Huancayo;PE060h0834
+Tirana;AL0a4t0ff2
+São José do Rio Preto;BR05c60a2u
+Kaunas;LT0b6i0fqf
+Van;TR09wx0h8i
+Honolulu;US08l701pi
+Fenghuang;CN093m0mcg
+Tampa;US093n07iy
+Canberra;AU04800pe9
+Bydgoszcz;PL0b1k0fa1
+Kuantan;MY078l0lv1
+Bologna;IT0adl0eri
+Al Qadarif;SD080z0gma
+Christchurch;NZ03l30r7j
+Stavropol’;RU0af40h4l
+Bhāgalpur;IN08w40kll
+Tamale;GH07o40dto
+Ulan-Ude;RU0axz0m6x
+Bobo-Dioulasso;BF07t20dk2
+Lublin;PL0awd0fmp
+Huocheng;CN0acd0k4n
+Halifax;CA0ae108zf
+Taraz;KZ0a960je9
+Iwaki;JP09sx0orc
+Asahikawa;JP0abl0ovg
+Arkhangel’sk;RU0bxa0h0m
+Ambon;ID06nq0ns2
+Bilbao;ES0aa60dnv
+Thessaloníki;GR0a2w0fnp
+Barinas;VE07ly08gz
+Neiva;CO0765082w
+Bandar Abbas;IR091j0i8c
+Vinnytsia;UA0aqr0g34
+Anshun;CN08yx0m29
+Florence;IT0abm0er9
+Camagüey;CU08le07vk
+London;CA0a9e07md
+Chifeng;CN0a7f0n2g
+Nur-Sultan;KZ0aw60jeh
+Kosti;SD07yk0geq
+Doha;QA08w90hv5
+Kurgan;RU0b810ixh
+Vitebsk;BY0b7b0g7w
+Zürich;CH0all0ejr
+Arusha;TZ06on0gpw
+Plovdiv;BG0a730fsr
+Chitungwiza;ZW05jz0gac
+Latakia;SY09op0gnf
+Aksu;CN0a4e0k30
+Serekunda;GM07zc0clo
+Macapá;BR06y409y5
+Nice;FR0abe0eg7
+Bellary;IN08420jto
+Simferopol;UA0aew0gir
+Sunderland;GB0b6i0ds6
+Bauru;BR05810a3q
+San José;CR07pl07eg
+Tieling;CN0a7h0ng0
+Qazvin;IR09qr0hqw
+Tepic;MX08lr05sm
+Montes Claros;BR05nj0ai6
+Bujumbura;BI06om0g5k
+Mathura;IN092e0jvr
+Khorramabad;IR09j10hmc
+Pavlodar;KZ0az80jtt
+Sochi;RU0ab40gyd
+Chongjin;KP0a640nwi
+Yanji;CN0a970nvr
+Piura;PE06jl07o1
+Brahmapur;IN08fn0kfj
+Orël;RU0b150go8
+Corpus Christi;US093806dg
+Posadas;AR04tz09kq
+Villavicencio;CO079i087h
+Smolensk;RU0b660gd0
+Ciudad del Este;PY04z509ob
+Pelotas;BR04hr09um
+Maroua;CM07rf0ezs
+Samarkand;UZ0a050j20
+Murmansk;RU0c9m0gfx
+Ust-Kamenogorsk;KZ0ast0k9h
+Ad Dīwānīyah;IQ09ev0hct
+Shangrao;CN09510mzm
+Mataram;ID06a60muk
+Andijon;UZ0a3a0jgy
+Iaşi;RO0al10g0o
+Valladolid;ES0a5q0diw
+Vladikavkaz;RU0a9k0hc3
+Hrodna;BY0b350fq7
+Baicheng;CN0agp0nd6
+Cluj-Napoca;RO0ajx0fpk
+Bauchi;NG07qn0enc
+Cherepovets;RU0bi90gta
+St. Louis;US09xb06xg
+Vologda;RU0bii0gys
+Lexington-Fayette;US09vp07de
+Ganja;AZ0a300hgs
+Denizli;TR09ux0g4t
+Ostrava;CZ0asf0fas
+Varna;BG0aa20g1k
+Cusco;PE05wg08c3
+Pucallpa;PE06aq084x
+Antofagasta;CL054b08gg
+Bengkulu;ID06ng0ls3
+Tampico;MX08nx06c4
+Chita;RU0ayj0mna
+Valledupar;CO07r2088j
+Biskra;DZ09mt0ebx
+Al Fayyūm;EG097f0g9o
+Porto Velho;BR069o08yi
+Ciudad Victoria;MX08ry068l
+Pittsburgh;US0a2c07ps
+Craiova;RO0ad40fq4
+Constanţa;RO0acq0g3j
+Saransk;RU0b4i0hdh
+Mazār-e Sharīf;AF09rz0j2f
+Naha;JP08yu0nqo
+Surgut;RU0bo50jjy
+Xinyuan;CN0aan0kb9
+Kyzylorda;KZ0ael0ixz
+Winejok;SS07n10g0l
+Anchorage;US0bo202bm
+Ciudad Obregón;MX092d05em
+Jember;ID06bb0mnu
+Aomori;JP0a3e0oqx
+Okanagan;CA0atw04oh
+Cherkasy;UA0arb0gd2
+Vigo;ES0a7b0d7s
+Southend-on-Sea;GB0ax60dxz
+Sumy;UA0avg0gko
+Al Hufūf;SA08wg0hpr
+Semey;KZ0au30k2z
+Makurdi;NG07jh0ejo
+Wollongong;AU04ae0pj5
+Ponta Grossa;BR050b0a0o
+Mbeya;TZ069a0ggx
+Tambov;RU0b0h0h34
+Catania;IT09u50f1v
+Beihai;CN08lo0mb2
+Sétif;DZ09qj0eb1
+Safi;MA09fq0d6c
+Huế;VN087q0m6w
+Adapazarı;TR0a3a0g8g
+Greensboro;US09q707qd
+Kuala Terengganu;MY07ct0lui
+Port Moresby;PG067o0p8r
+Nha Trang;VN07w10mbb
+Palu;ID06vh0n4z
+Kupang;ID065r0nfd
+Zhytomyr;UA0atm0g3o
+Batna;DZ09os0ed5
+Tacna;PE05jz08gv
+Toledo;US0a5q07fw
+Ensenada;MX09ej04w4
+Gijón;ES0aay0dga
+Bari;IT0a480f6v
+Lincoln;US0a3c06fh
+Sfax;TN09mi0epw
+Nantes;FR0al60drp
+Bahía Blanca;AR03yg0931
+Braşov;RO0agt0fv5
+Komsomolsk-on-Amur;RU0auf0ogl
+Strasbourg;FR0aoy0ehj
+Kashgar;CN09zn0jr3
+Ramadi;IQ09iu0h8b
+Herāt;AF09lf0ios
+Nal’chik;RU0aau0h96
+Baguio;PH087m0n6z
+Montería;CO07mb0818
+Ljubljana;SI0ahx0f0b
+Hafar Al-Batin;SA094z0hfp
+Tasikmalaya;ID06dn0m8m
+Orlando;US095a07ly
+Windhoek;NA057c0f7g
+Tshikapa;CD06g60fhs
+Sterlitamak;RU0b2y0i7f
+Ha'il;SA092g0h3t
+Wuzhou;CN08r80mh8
+Aizawl;IN08rx0l1k
+Petrozavodsk;RU0bpm0gjf
+El Daein;SD07tu0fwl
+Uruapan;MX08fx060i
+Sivas;TR0a0f0gqu
+Aktobe;KZ0ato0iax
+Uberaba;BR05f50a6v
+Fort Wayne;US0a4907bj
+Plymouth;GB0atx0dki
+Karamay;CN0agm0kft
+Najrān;SA08al0hal
+Mukalla;YE082e0hog
+Rio Branco;BR066b08nn
+Cascavel;BR050o09ri
+Chimoio;MZ05gw0gh0
+Los Mochis;MX08xn05h8
+Bratsk;RU0b9x0lq9
+Pachuca de Soto;MX08hw069r
+Sari;IR09rk0hze
+Rivne;UA0aum0fwv
+Oaxaca;MX089f06fc
+Turpan;CN0a9b0krq
+Cox’s Bāzār;BD08lk0kzl
+Vitória da Conquista;BR05sp0aqk
+Talcahuano;CL0440088w
+Richards Bay;ZA04q20gd0
+Dire Dawa;ET07on0h4b
+Suihua;CN0ajk0nos
+Morogoro;TZ06f20gsm
+Governador Valadares;BR05hn0anh
+Tirupati;IN07zw0k0m
+Banda Aceh;ID07de0l8t
+Wafangdian;CN0a020nax
+Santa Clara;CU08o907pw
+Gombe;NG07ql0er1
+Praia Grande;BR053b0ab4
+Porto;PT0a4b0d83
+Santa Maria;BR04nk09qj
+Lubbock;US09ja0612
+Madison;US0a9n06zo
+Montpellier;FR0ab50e6s
+Bukhara;UZ0a0h0iuz
+Udon Thani;TH08ae0ltj
+Ica;PE05ux081n
+Orsk;RU0aw80iep
+Norfolk;US09sd0803
+Kyain Seikgyi Township;MM085y0lgx
+Juliaca;PE05qy08h7
+Ji’an;CN091c0mre
+Gorgān;IR09sc0i38
+Nizhnevartovsk;RU0bn90jsn
+Trabzon;TR0a3x0gyd
+Angarsk;RU0azy0lwl
+Deir ez-Zor;SY09o60gzi
+Berbera;SO07r00hd1
+Neuquén;AR03xt08my
+Tacloban;PH07t80nj8
+Novorossiysk;RU0ae80gsx
+Reno;US09zt04n7
+Winston-Salem;US09qa07p4
+Temuco;CL03ye08ac
+Batangas;PH08080n8a
+Al Jubayl;SA09120hpu
+Pathein;MM088m0l75
+Djougou;BJ07oz0e0n
+Sylhet;BD08v60kz7
+Košice;SK0apb0fj2
+Coatzacoalcos;MX08cf06lo
+Yakutsk;RU0bqb0nwd
+Qinā;EG08yo0gex
+Boa Vista;BR075u097h
+Georgetown;GY07gw09eg
+Kismayo;SO06x00h67
+Türkmenabat;TM09yj0ism
+Granada;ES09tb0dlz
+Nizhnekamsk;RU0b8k0hvy
+Halle (Saale);DE0ax00eta
+Dzerzhinsk;RU0ba80h8q
+Kiel;DE0b4w0eo5
+Linfen;CN09q90mhs
+Beni;CD06zd0g5v
+Bordeaux;FR0aek0due
+Gent;BE0avt0e6c
+Ngaoundéré;CM07id0exq
+Syktyvkar;RU0bpa0ht6
+Marka;SO072s0hcd
+Nukus;UZ0a7x0ihl
+Rio Verde;BR05kk09yj
+Baton Rouge;US09ak06up
+Miri;MY07a80mon
+Nassau;BS08vm07x6
+Iquique;CL05dv08h5
+Radom;PL0aws0fir
+Fendou;CN0ajk0niu
+Sabzevar;IR09ql0ic8
+Huambo;AO05yi0f3q
+Geelong;AU04010p10
+Lexington;US09vj07dc
+Juazeiro do Norte;BR06dz0aus
+Sucre;BO05h508uq
+Nacala;MZ05tk0h11
+Paramaribo;SR07eb09mr
+Imphal;IN08ux0l4y
+Puerto Princesa;PH07p20n1u
+Santa Cruz de Tenerife;ES09530cmv
+Shakhty;RU0amj0gzp
+Blagoveshchensk;RU0ato0nqa
+Banja Luka;BA0aee0f7r
+Babruysk;BY0b1m0g56
+Campeche;MX08h406wj
+Messina;IT09w30f37
+Eldoret;KE06zg0glz
+Bertoua;CM07aq0ey0
+Imperatriz;BR06in0a83
+Alor Setar;MY07f00lms
+Hobart;AU03mw0p99
+Kisumu;KE06xq0gkk
+San Bernardino;US09kr04u7
+Freiburg;DE0anc0eht
+Daloa;CI07h40de3
+Mek'ele;ET07zi0gxo
+Biysk;RU0azy0kgp
+Novi Sad;RS0afp0ff4
+Monclova;MX090r062a
+La Paz;MX08t205dm
+Lutsk;UA0av00fue
+Bergen;NO0blr0eas
+Guangyuan;CN09g40m1y
+Būkān;IR09rg0hgd
+Spokane;US0ame04tt
+Norwich;GB0b070dzm
+Rancagua;CL04b308fi
+Nogales;MX09cz05bu
+Birmingham;US09j4076w
+Hailar;CN0aqo0n4i
+Des Moines;US0a5k06nz
+Kostanay;KZ0b1t0isq
+Rochester;US0a9v07we
+Kanggye;KP0a3t0nnn
+Sanming;CN08yx0myq
+Rennes;FR0ann0drd
+Nakhon Ratchasima;TH083l0lrm
+Gaborone;BW051j0fvz
+Lobito;AO05zo0exm
+Sirjan;IR097t0i6o
+Jerez de la Frontera;ES09rx0dey
+Oradea;RO0akp0fkw
+Toamasina;MG05jl0hp8
+Itabuna;BR05sx0auw
+Linz;AT0ao70ezp
+Tampere;FI0bou0fq3
+Tapachula;MX083e06rq
+Çorlu;TR0a4c0g18
+Linxia Chengguanzhen;CN09ow0lup
+Mossoró;BR06jl0b0a
+Pskov;RU0bel0g2r
+Chiang Mai;TH08e70liy
+Petropavl;KZ0b6f0j83
+Aurora;US0a60072o
+Nicosia;CY09nq0ggo
+São José;BR04rn0a3g
+Oral;KZ0awb0hup
+Pokhara;NP094j0kd9
+Balakovo;RU0ayj0hks
+Bila Tserkva;UA0asd0g7n
+Saskatoon;CA0ayt05np
+Amarillo;US09nu0615
+Pamplona;ES0a8y0drg
+Kaiyuan;CN08ru0luy
+Sibu;MY074e0mim
+Little Rock;US09mj06rn
+Shreveport;US09gd06nl
+Ðà Lạt;VN07v70m98
+Bīrjand;IR09hb0igi
+San-Pédro;CI07b70ddk
+Aberdeen;GB0bcq0dq6
+Reims;FR0aqv0e77
+Laayoune;EH091e0cvd
+Palmas;BR065r0a5r
+Parauapebas;BR06h50a1e
+Townsville;AU05gh0p7t
+Murwāra;IN08s80k3b
+Grand Rapids;US0a9c07a1
+Kendari;ID06my0ncc
+Petrolina;BR067w0ari
+Severodvinsk;RU0bxc0gyn
+Mobile;US09b9073g
+Divinópolis;BR05e20afb
+Salt Lake City;US0a380597
+Zlatoust;RU0b790ihp
+Huntsville;US09mh077h
+Cork;IE0ay60d8h
+Tallahassee;US09ak07dw
+Santarém;BR06r809o1
+Wanxian;CN09bm0m91
+Quelimane;MZ05kc0gqh
+San Fernando del Valle de Catamarca;AR04qx08t9
+Labuan Bajo;ID06ae0n51
+Baiyin;CN09rj0lxd
+Kultali;IN08mu0kpk
+Rio Grande;BR04h109va
+Petropavlovsk-Kamchatsky;RU0b1c0q4p
+Trieste;IT0agt0eya
+Kikwit;CD06k00fca
+Cienfuegos;CU08nj07oj
+Ad-Damazin;SD07ur0gjg
+Le Havre;FR0arh0dwb
+Knoxville;US09pw07ew
+Jamaame;SO06y70h6q
+Poza Rica de Hidalgo;MX08j106da
+Kütahya;TR09zi0g7a
+Jūnāgadh;IN08ls0jbq
+Mbandaka;CD06y50faq
+San Luis;AR04di08rq
+Kushiro;JP0a9e0p11
+Çorum;TR0a2n0gl3
+Manta;EC06vc07nt
+Biratnagar;NP08zi0kmf
+Barrie;CA0adc07qp
+Monywa;MM08nf0l8a
+Groningen;NL0b1u0ee9
+Dodoma;TZ06gv0gna
+Matadi;CD06hs0exe
+Atyrau;KZ0akw0hw4
+Legaspi;PH07yi0nfq
+Korla;CN0a600kjb
+Providence;US0a6608dn
+Tiaret;DZ09o90dzo
+Saki;NG07m30e5f
+Chlef;DZ09qh0dzp
+Fort Lauderdale;US08yk07pe
+Ar Raqqah;SY09pv0gwd
+Meiktila;MM08k00laa
+Chattanooga;US09nd07b1
+Yuzhno-Sakhalinsk;RU0akf0owi
+Split;HR0aav0f5o
+Regina;CA0au505te
+Saint-Louis;SN086i0cm7
+Khowy;IR09x30hcv
+Mzuzu;MW06250gii
+Jiutai;CN0acn0nlj
+Santa Rosa;US09ws04f5
+Myeik;MM07wk0lhw
+Ongole;IN08520k2c
+Sioux Falls;US0aaz06fe
+Jackson;US09fq06xi
+Temirtau;KZ0at10jio
+Jacobabad;PK094k0j64
+Carolina;PR08d208ss
+Araçatuba;BR05b309zx
+Jaffna;LK07ov0k29
+Bahir Dar;ET07u70grv
+Pátra;GR09w80fkd
+Volgodonsk;RU0alz0h53
+Korhogo;CI07oa0dgd
+Abakan;RU0b380kxz
+Fianarantsoa;MG05af0hit
+Springfield;US09te06ou
+Arapiraca;BR066x0b26
+Daşoguz;TM0a680iil
+Tuluá;CO079c080c
+Bushehr;IR096h0ht8
+Esmeraldas;EC070o07qr
+Lages;BR04sq0a07
+Kigoma;TZ06kg0g6b
+Shivpuri;IN08wm0jvq
+Pilsen;CZ0as70ex6
+Vinh;VN08dv0m1l
+Şalālah;OM089a0i29
+Aydın;TR09v50g1c
+Geneina;SD07zd0fmd
+Sambalpur;IN08ln0kda
+La Rioja;AR04ob08qb
+Dourados;BR058a09nr
+Kunduz;AF09s10j7a
+Coquimbo;CL04mt08du
+Fort Collins;US0a2r05s4
+Malakal;SS07oh0gby
+Chapecó;BR04uq09tu
+Puerto Montt;CL03qt089e
+Qapqal;CN0abo0k59
+Tarija;BO05a608w7
+Sāmarrā’;IQ09l00h9x
+Barreiras;BR06090af1
+Sobral;BR06nr0arx
+Greater Sudbury;CA0aj507n1
+Sihanoukville;KH07rh0lvl
+Malabo;GQ078g0eke
+Yichun;CN0amk0nu0
+Port Louis;MU05e00ibq
+Mahajanga;MG05qc0hgo
+Leshan;CN09840lw8
+Springfield;US0a6y08ad
+Djelfa;DZ09mb0e52
+Xinzhou;CN09wp0ml5
+Gondar;ET07x00gs3
+Río Cuarto;AR04dz08x9
+Salzburg;AT0ams0ew8
+Cairns;AU05n00p4x
+Rondonópolis;BR05o909o8
+Jizzax;UZ0a1g0j4f
+Weihai;CN09u70nb7
+Bintulu;MY076t0mlz
+Kohat;PK09ja0jeh
+Chetumal;MX08df072q
+El Tigre;VE07mp08xj
+Loudi;CN09310mj3
+Battambang;KH07ye0luo
+Piedras Negras;MX095q064s
+Urganch;UZ0a5f0ikf
+Vryheid;ZA04sv0g9j
+Dili;TL06a80nkt
+Dijon;FR0alg0e9y
+Cagliari;IT09yz0elc
+Uppsala;SE0bka0f90
+Chingola;ZM05z70g1g
+Arar;SA09c20h20
+Gyumri;AM0a3b0h9t
+Badajoz;ES09y00dcn
+Palangkaraya;ID06rv0mog
+Huánuco;PE066f0808
+Aktau;KZ0ab90hu5
+Trondheim;NO0bu70eow
+Nakhodka;RU0a8x0o53
+Târgu-Mureş;RO0aja0fs8
+Gulu;UG075p0gdq
+Gweru;ZW05fz0g6u
+Boise;US0ab504x8
+Hanzhong;CN09hw0m5a
+Marabá;BR06j20a3j
+Savannah;US09f407mq
+Yamaguchi;JP09ky0o17
+Tabora;TZ06k20gf7
+Concordia;AR04it09eu
+Brest;FR0aof0djj
+Lárisa;GR0a040fma
+Jinchang;CN09wy0lrv
+Gorontalo;ID06zi0ndu
+Goma;CD06td0g57
+Barysaw;BY0b4n0g37
+Acarigua;VE07oj08js
+Saguenay;CA0aoi08el
+Luziânia;BR05ov0a6t
+Béchar;DZ09du0dpu
+Calama;CL057m08kk
+Macaé;BR057u0any
+Pyatigorsk;RU0acd0h7m
+Kimberley;ZA04q70fss
+Ciego de Ávila;CU08mo07t8
+Tours;FR0aln0dxy
+Khuzdar;PK09390j11
+Limoges;FR0ahb0dzh
+Ghazni;AF09j70j62
+Īlām;IR09jg0hgy
+Comodoro Rivadavia;AR03em08oi
+Norilsk;RU0can0kp0
+Tarragona;ES0a480dzh
+Shanhaiguan;CN0a140n4n
+Altay;CN0amx0kot
+Porbandar;IN08m40j9d
+Clermont-Ferrand;FR0ah60e4l
+Castanhal;BR06uf0a6v
+Saint-Denis;RE05c00i61
+Irákleion;GR09o50ftu
+Hami;CN0a8z0l3r
+Kabankalan;PH07pq0nd5
+West Valley City;US0a31058w
+Desē;ET07sx0gy3
+Jiagedaqi;CN0au20ngs
+Kindu;CD06pu0fw0
+Pyay;MM08ea0l8i
+Moundou;TD07lt0f4o
+Jayapura;ID06qz0oqw
+El Oued;DZ09io0ef2
+Ajdabiya;LY09bg0fg7
+Bhuj;IN08ql0j9j
+Hawassa;ET07hm0guw
+Midland;US09ew060g
+Nzérékoré;GN07jk0d7i
+Ankang;CN09gs0mau
+Charleston;US09h207pz
+Innsbruck;AT0ala0ern
+Zhalantun;CN0and0ncy
+Toowoomba;AU04tg0pm3
+Iranshahr;IR091k0ikk
+Lashio;MM08pq0lfj
+Cedar Rapids;US0a6p06tg
+Florencia;CO072h081z
+Gainesville;US098d07jc
+Masaya;NI07v9078v
+Manzanillo;MX08f405u6
+Shangri-La;CN093b0lkz
+Sabhā;LY09140f03
+Baidoa;SO076n0h99
+Navoiy;UZ0a1c0ixm
+Sherbrooke;CA0ag408ca
+Ouargla;DZ09er0eat
+Tete;MZ05p40ghb
+Copiapó;CL04tz08gn
+Palopo;ID06pp0n5w
+Darwin;AU05ze0nzg
+Zacatecas;MX08p905z2
+Kamyshin;RU0at60he6
+Oulu;FI0byl0fur
+Sakakah;SA09990gzp
+Jimma;ET07jb0gqb
+Győr;HU0amg0f90
+Sirte;LY09cp0f63
+Lafayette;US099y06se
+Jequié;BR05vi0asn
+Wau;SS07je0g1r
+Surat Thani;TH07ne0ljx
+Isiro;CD075p0g0q
+Murom;RU0b8e0h4s
+Neftekamsk;RU0b9t0i2r
+Xichang;CN093i0ls2
+Pangkalpinang;ID06s30m2r
+Gashua;NG07xr0eqo
+Torbat-e Ḩeydarīyeh;IR09nz0igi
+Sorong;ID06vk0o0m
+Kelowna;CA0ask04o3
+Willemstad;CW07vn08kj
+Semnan;IR09ou0i0b
+Kokshetau;KZ0b200j8s
+Agadez;NE08950ei7
+Rustenburg;ZA04yp0fzo
+Polokwane;ZA053m0g5v
+Uruguaiana;BR04nd09hf
+Porto Seguro;BR05ob0avi
+Ubon Ratchathani;TH084c0lz9
+Jiayuguan;CN0a0l0lh1
+Aalborg;DK0bch0enk
+Dibrugarh;IN092c0l7n
+Zābol;IR09c70imt
+Batumi;GE0a5o0h3n
+Abilene;US09g5066z
+Stavanger;NO0bht0ebx
+Ekibastuz;KZ0axo0jp8
+Musoma;TZ06tu0ghw
+Tobruk;LY09f50fqj
+Xilin Hot;CN0ac50mub
+Perugia;IT0a9r0euf
+Gereida;SD07tc0ftu
+Maxixe;MZ053q0gm7
+Trois-Rivières;CA0air08ah
+Columbia;US09y706rj
+Reykjavík;IS0bw60c76
+Lhasa;CN098d0kx2
+Khlong Luang;TH08120lnl
+Fargo;US0ak806f5
+Malindi;KE06p20gzg
+Bandundu;CD06os0f8a
+Beaumont;US099l06mm
+Ciudad Delicias;MX094b05r1
+Uzhgorod;UA0ap20fly
+Jalingo;NG07mp0erk
+Gemena;CD07720fex
+Achinsk;RU0bab0kve
+Punta Arenas;CL02ud08f1
+Calabozo;VE07ms08op
+Kindia;GN07py0cw9
+Athens;US09kc07ge
+Pescara;IT0a7y0ezg
+Springfield;US0a0k06z0
+Taldykorgan;KZ0af20jxp
+Yakeshi;CN0aqw0n7d
+Sinop;BR061209lu
+Wilmington;US09l307vi
+Örebro;SE0bin0f29
+Toliara;MG05550h9b
+Bizerte;TN09tj0enf
+Mary;TM09uf0inr
+Sóc Trăng;VN07oo0m2d
+Dunedin;NZ03el0r1m
+Balasore;IN08lp0klh
+Kingston;CA0acv07zk
+Kankan;GN07qv0d65
+Hotan;CN09t30k22
+Laghouat;DZ09jw0e3z
+Tobol’sk;RU0bfo0j5l
+Cuito;AO05zm0f71
+Praia;CV083h0c2p
+Heroica Guaymas;MX093k05by
+Satara;IN08b50jlj
+Carúpano;VE07rn090b
+Port Blair;IN07uf0l1n
+Kandy;LK07i90k3z
+Daugavpils;LV0b980fxp
+Santa Rosa;AR044a08xg
+Tauranga;NZ041b0rhd
+Billings;US0ah605im
+Nelspruit;ZA04z90ga1
+Gabès;TN09k40eo2
+Noyabrsk;RU0btj0jpk
+Lichinga;MZ05x10glw
+Kandi;BJ07sx0e46
+Phalaborwa;ZA053i0gai
+Tumbes;PE06o307oj
+Livingstone;ZM05kg0fvt
+San Rafael;AR049u08m7
+Port-Gentil;GA06w00eke
+Matagalpa;NI07xx079c
+Pemba;MZ05xz0h0k
+Moncton;CA0ai108w0
+Mopti;ML08280dke
+Sohar;OM08tn0i9j
+Nehe;CN0aoo0nir
+Kyzyl;RU0axn0l6d
+Pingliang;CN09oq0m4d
+Rockingham;AU04gc0mth
+An Nuhūd;SD07xa0g2z
+Atbara;SD08b60gif
+Jalai Nur;CN0ard0myy
+Ourense;ES0a7m0da6
+Ji Paraná;BR063r093x
+Koszalin;PL0b4j0f4x
+Umuarama;BR053z09rw
+As Suwayq;OM08s90ibk
+Ilebo;CD06lz0fh7
+Elista;RU0ain0hay
+Launceston;AU03qw0p8p
+Sydney;CA0ai6098u
+Derbent;RU0a6v0hm5
+Mati;PH07hc0nmm
+Queenstown;ZA04he0fyo
+Green Bay;US0ado073i
+Jizan;SA088x0h67
+Santa Maria;US09n304lg
+Parral;MX090t05qh
+Zhezqazghan;KZ0amq0j49
+Tandil;AR042c09br
+Helsingborg;SE0b9p0ev9
+Abengourou;CI07gp0dma
+Tyler;US09fv06ja
+Male;MV079m0jk7
+Zhanaozen;KZ0aae0hyu
+Phitsanulok;TH088q0lmi
+Akademicheskoe;RU0bkp0g8f
+Velikiye Luki;RU0bai0g8v
+Qurayyat;SA09d10grq
+Pushkino;RU0b9m0gt7
+Davenport;US0a5c06we
+Lubango;AO05sk0exh
+Sarh;TD07ne0fb3
+Mormugao;IN084r0jl1
+Qianzhou;CN094o0mct
+Ukhta;RU0bul0i14
+Laoag;PH08ck0n70
+Singkawang;ID070j0maq
+Ternate;ID07070npu
+Bontang;ID06yd0myd
+Las Cruces;US09fr05ne
+Kansk;RU0ba40l9w
+Teófilo Otoni;BR05ke0aop
+Tartu;EE0bg60fy9
+Mezhdurechensk;RU0b350kom
+Jolo;PH07et0n84
+Funchal;PT09gr0ckz
+Glazov;RU0bfi0hya
+Padangsidempuan;ID071u0ljr
+San Angelo;US09de0650
+Sakata;JP09y40ooh
+Ust’-Ilimsk;RU0bf40lt6
+Telde;ES093r0cp6
+Kangding;CN099c0lr8
+Zhangye;CN09y50ln1
+Salto;UY04iu09ez
+Koutiala;ML07wf0dgu
+Thunder Bay;CA0aoe0703
+Bam;IR096v0ie4
+St. John's;CA0am409tl
+Bagé;BR04iz09pp
+Kontagora;NG07qw0eb7
+Bridgetown;BB07yf09ae
+Serov;RU0bjk0ika
+Guelmim;MA096j0d42
+Balashov;RU0ax70h7x
+Lida;BY0b3o0fua
+Ballarat;AU041n0ozl
+Jérémie;HT08dt0864
+Karabük;TR0a4g0gen
+Tarakan;ID07770myn
+Yasuj;IR09b70hvb
+Bunia;CD072c0g81
+Lawton;US09m506ap
+Mtwara;TZ065h0gzm
+Corumbá;BR05h709fv
+Sungai Penuh;ID06sa0lpn
+Ciudad Río Bravo;MX08y706bj
+Bumba;CD07430fmf
+Shenjiamen;CN09980nbq
+San Carlos de Bariloche;AR03rp08dx
+Magadan;RU0bjg0piw
+Ushirombo;TZ06ob0gcs
+Aqaba;JO09810gl9
+Novyy Urengoy;RU0c1k0jsv
+Jönköping;SE0bei0ezc
+Yakima;US0ajg04l9
+Trelew;AR03lv08ul
+Nouméa;NC05850qqd
+Patos;BR06ei0b0g
+Villa María;AR04fz090c
+Errachidia;MA09ep0djp
+Dhangaḍhi̇̄;NP095q0k3v
+Kohima;IN08xb0l5f
+Sassari;IT0a350ejs
+Konotop;UA0awc0gg8
+Redding;US0a2r04g1
+Cárdenas;MX08c006om
+Kasama;ZM065n0gam
+Myitkyina;MM08wi0lek
+Baise City;CN08se0m45
+Kirovo-Chepetsk;RU0bgn0hr0
+Harar;ET07nv0h50
+Reconquista;AR04p109ab
+Marudi;MY079m0mpk
+Luimneach;IE0b0a0d82
+Fort-de-France;MQ082k096d
+Francistown;BW05b70g0f
+Bārmer;IN08xj0jeb
+Fujin;CN0ala0o2r
+Granada;NI07v50798
+Sumbawanga;TZ06bv0gbu
+Kuopio;FI0bsp0g0w
+Phuket;TH07jx0lhc
+Sokcho;KR09w50nt7
+Lhokseumawe;ID07ce0ldv
+Talavera de la Reina;ES0a100dil
+Chosica;PE060u07yx
+Alaghsas;NE089a0eia
+Fort Smith;US09ob06ls
+Koidu;SL07m00d1j
+Saint John;CA0afr08si
+Balkanabat;TM09zr0i31
+Buzuluk;RU0b0m0hx6
+Kadugli;SD07sl0g6k
+Koudougou;BF07w10dpg
+Alegrete;BR04na09l1
+Londonderry County Borough;GB0b6s0dbp
+Malanje;AO067i0f5e
+Bend;US0ace04j0
+Gao;ML08770dvw
+Barra do Corda;BR06ip0aec
+Al Farwānīyah;KW097c0hl8
+Apartadó;CO07jw07z5
+Olavarría;AR043j098g
+Qamdo;CN09ch0ldy
+Duluth;US0ajy06s5
+Flensburg;DE0b660em8
+Río Gallegos;AR02ym08jq
+Paulo Afonso;BR067v0axv
+Liepāja;LV0bay0fid
+Jyväskylä;FI0bqw0fvg
+Junín;AR049y096q
+Rukban;JO09ij0gvi
+Thakhèk;LA08ad0lz7
+Laojunmiao;CN0a0n0lfh
+Trinidad;BO05st08vq
+Phuthaditjhaba;ZA04qs0g42
+Yurga;RU0b8s0kft
+Santa Fe;US09p505pq
+Santana;BR06xu09xu
+Ocaña;CO07kw0888
+Umeå;SE0bvb0fga
+Antsiranana;MG05zs0hox
+Yacuiba;BO058u08z4
+Anzhero-Sudzhensk;RU0b9s0kiz
+Shache;CN09wq0juk
+Redenção;BR06bp0a11
+David;PA07lf07j1
+Presidencia Roque Sáenz Peña;AR04vl0984
+Qal‘at Bīshah;SA08hk0h6d
+Ar Rass;SA08xv0h8u
+Watampone;ID06le0n69
+Sokhumi;GE0a9h0h1v
+Balqash;KZ0ak50joc
+Natitingou;BJ07qm0dzu
+Necochea;AR03yx09cu
+Tahoua;NE083d0ean
+Kedungwaru;ID06bl0miw
+Meïganga;CM07g40ezq
+Vorkuta;RU0c5i0itx
+Rikaze;CN09790kqw
+Cruzeiro do Sul;BR06ct08a4
+Medford;US0a7l04eo
+Haskovo;BG0a6h0fv0
+Erdenet;MN0aq70lx4
+Shadrinsk;RU0b9t0isr
+Ciudad Lázaro Cárdenas;MX08bx0602
+Xiongzhou;CN08vs0mpi
+Catanzaro;IT09y00f64
+Kennewick;US0aid04p2
+Tambacounda;SN08090cu1
+San Fernando de Apure;VE07jx08ol
+Gualeguaychú;AR04eb09dg
+Mthatha;ZA04i90g3y
+Vyborg;RU0bmn0g3v
+Kayes;ML08250d08
+Daet;PH08170ndk
+Wa;GH07py0dp2
+Marsala;IT09v00euk
+Suva;FJ05jm0rno
+Agua Prieta;MX09d105fp
+Ende;ID069g0n9y
+Ovalle;CL04l008e8
+São Mateus;BR05i00ata
+Chilliwack;CA0aql04h9
+Pori;FI0bos0fki
+Salina Cruz;MX086y06jl
+Tucuruí;BR06nj0a20
+Masvingo;ZW05ea0g9n
+Lae;PG06fc0p8c
+Matara;LK07ej0k3q
+Birobidzhan;RU0apj0o58
+Fort McMurray;CA0bbl05am
+Maymana;AF09ps0ivy
+Kamensk-Shakhtinskiy;RU0ao80gzu
+Bayramaly;TM09ui0iop
+Turbat;PK08y80ir5
+Kampong Chhnang;KH07w10lyr
+Cipolletti;AR03xv08n5
+Dakhla;EH08rs0cno
+Gävle;SE0bmj0f7m
+Sungailiat;ID06sv0m2s
+António Enes;MZ05ox0gyv
+Bosaso;SO07tc0hom
+Mackay;AU05b90ped
+Abéché;TD080f0fhv
+San Ramón de la Nueva Orán;AR055q08xc
+Riberalta;BO063f08si
+Ciudad Real;ES09yb0dl3
+Grand-Bassam;CI07ch0dlm
+Genhe;CN0av20n9k
+Rapid City;US0acg05x9
+Kamina;CD069q0ftg
+Cuamba;MZ05sw0gpi
+Peterhof;RU0bkc0g72
+Tamanrasset;DZ08pb0ebc
+Saint George;US09t2054i
+Nouadhibou;MR08k60cko
+Montepuez;MZ05xj0gwc
+Upington;ZA04qz0fj2
+Bismarck;US0ak10642
+Missoula;US0ak7053d
+Altamira;BR06p409uz
+Bundaberg;AU050x0pn7
+Lethbridge;CA0as2056m
+Mindelo;CV088x0bym
+Ishimbay;RU0b2h0i7o
+Pagar Alam;ID06mt0lut
+Flagstaff;US09ns059v
+Schweizer-Reneke;ZA04uh0fud
+Karakol;KG0a810jxr
+Lisala;CD073z0fjs
+Baikonur;KZ0agq0irw
+San José del Cabo;MX08q205fa
+Paragominas;BR06pr0a84
+Tanabe;JP09jp0oc1
+Arauca;CO07ho08fg
+Wum;CM07fq0enz
+Kamloops;CA0aur04ls
+Knysna;ZA04bg0fo1
+Waterloo;US0a8106ri
+Türkmenbaşy;TM0a160hz4
+Saldanha;ZA04eb0f9u
+Lodja;CD06o80fpk
+Kuqa;CN0a5w0kad
+Balsas;BR06d30ac4
+Bourges;FR0aks0e2o
+Budënnovsk;RU0aee0hap
+Calbayog City;PH07vj0ni4
+Belogorsk;RU0avg0nsw
+Garissa;KE06wr0gy5
+Khanty-Mansiysk;RU0bng0j7o
+Eau Claire;US0aeh06tu
+Ishim;RU0b9v0j91
+Al Khārijah;EG08wp0g8v
+Jaisalmer;IN090s0jcy
+Luorong;CN08tt0mch
+Victoria;US096106ek
+Bislig;PH07ku0nmw
+Soio;AO06gz0eud
+Chaguanas;TT07r8095e
+Ixtapa-Zihuatanejo;MX08b0061x
+Mbaïki;CF078r0f9z
+Saint-Nazaire;FR0alc0dpv
+Jackson;US09ox071b
+Ambovombe;MG05020hg1
+Kungur;RU0bdk0ia8
+Klintsy;RU0b0k0gdk
+Neryungri;RU0bbf0ni8
+Sault Ste. Marie;CA0aj807dr
+Johnson City;US09qv07j9
+Lesosibirsk;RU0bfs0l0w
+Rotorua;NZ04020rhl
+Saint Cloud;US0agk06mg
+Prince George;CA0b3s04f1
+Bāzār-e Yakāwlang;AF09mi0j21
+Itacoatiara;BR06pa09do
+Itaituba;BR06m409ki
+El Bayadh;DZ09jk0dyu
+Parintins;BR06qp09ie
+Ongjin;KP09vd0nk8
+Sibi;PK09820j4k
+Mazabuka;ZM05py0g13
+Kristiansand;NO0bfj0ei8
+Irecê;BR062m0anq
+Zayed City;AE08rp0i17
+Aïn Sefra;DZ09gz0due
+Vilhena;BR05ym098x
+Medicine Hat;CA0at005ck
+Les Abymes;GP08770955
+Kara-Balta;KG0a8x0jl5
+Gus’-Khrustal’nyy;RU0b8h0h0x
+Singida;TZ06km0gki
+Jinghong;CN08n30lnt
+Tikhvin;RU0bjp0gh5
+Mersa Matruh;EG09d30fzo
+El Hamma;TN09k50en8
+Berbérati;CF079u0f3v
+Jelgava;LV0bbd0fpv
+Rockhampton;AU05520pi3
+Oroqen Zizhiqi;CN0auh0nfo
+Cayenne;GF07bp09un
+Oudtshoorn;ZA04co0flo
+Karlstad;SE0biy0exi
+Belize City;BZ08am0730
+Gaalkacyo;SO07gt0hjr
+Apatity;RU0c5o0ggs
+Utica;US0a9q0831
+Tahe;CN0azd0nih
+Al Mithnab;SA08xu0hau
+Tianpeng;CN09c30lwq
+Grand Junction;US09yi05ih
+Casper;US0a9305op
+Laascaanood;SO07lk0hjk
+Uíge;AO06cv0f1u
+Néma;MR08860dbu
+Heroica Caborca;MX09bc058g
+Great Falls;US0aly05au
+Lancaster;US0a180801
+Nelson;NZ03rd0r9c
+Idaho Falls;US0aar058t
+Kotlas;RU0bo60hhl
+Arrecife;ES096g0cud
+San Francisco;AR04ip093k
+Kabinda;CD06gy0fs0
+Tam Kỳ;VN08590m9b
+Torbat-e Jām;IR09nw0ike
+Guanambi;BR05ui0al6
+Tezpur;IN08zz0l1s
+Ardakān;IR09fr0i22
+Kolda;SN07xt0cqi
+Kamphaeng Phet;TH087s0lkg
+Arsen’yev;RU0acn0o68
+Bondoukou;CI07kc0do8
+San Andrés;CO07wy07l1
+Polewali;ID06oh0n3i
+Rundu;NA05k70fex
+Ushuaia;AR02pr08m8
+Sundsvall;SE0brb0f83
+Picos;BR06ec0aot
+Trà Vinh;VN07pn0m3e
+Garoowe;SO07lc0hmo
+General Pico;AR046y08yw
+Ābādeh;IR09ck0hy9
+Bawku;GH07sq0dvc
+Kaga Bandoro;CF07hf0fdb
+Magong;TW08rh0n47
+Manhattan;US09yu06fr
+Honiara;SB067t0q8b
+Chumphon;TH07r60lji
+Valdosta;US09bn07go
+Shibirghān;AF09rv0iyn
+Arua;UG076e0g9v
+Vyaz’ma;RU0b7d0gja
+Maldonado;UY049209nd
+Xinqing;CN0ao50nvs
+Beledweyne;SO07b60hdk
+Kaédi;MR086v0cui
+Port Arthur;US099106n2
+Kasongo;CD06lp0fy3
+Abancay;PE05w5089k
+Tiznit;MA098i0d4z
+Gorno-Altaysk;RU0ayc0kio
+Mamoudzou;YT05yi0hdn
+Kotka;FI0blz0fyv
+Krasnokamensk;RU0at60mzw
+East Pensacola Heights;US09aj075u
+Lake Havasu City;US09ls052g
+Joensuu;FI0brw0g6o
+São Tomé;ST06yy0eep
+Manokwari;ID06vm0o8e
+Az Zulfī;SA08z20hci
+Makumbako;TZ069f0gkr
+Hassi Messaoud;DZ09e00ecv
+Crateús;BR06jm0ar0
+Djamaa;DZ09j50ecn
+Port Shepstone;ZA04km0g8l
+Saint-Brieuc;FR0aos0dob
+Krasnokamsk;RU0bfc0i6w
+Río Grande;AR02sl08nx
+Ridder;KZ0atu0kbz
+Harrisonburg;US09wt07sx
+Mongu;ZM05rn0fo9
+Puerto Ayacucho;VE07dq08oa
+Lautoka;FJ05l20rkx
+Jaén;PE06i507t3
+Tromsø;NO0cbh0fco
+Barra do Garças;BR05pv09uu
+Cascavel;BR06mj0axs
+Naryn;KG0a530jr3
+Nyagan;RU0bqm0ixn
+Walvis Bay;NA05680f0b
+Gwadar;PK08vs0ip5
+Pirapora;BR05lu0af6
+Tachilek;MM08it0llg
+Amparafaravola;MG05l50hly
+Grand Island;US0a3p06au
+Tarma;PE062a081r
+Tulun;RU0b5k0lne
+Qulsary;KZ0akf0i22
+Melo;UY04g309pj
+Whangarei;NZ046r0rc8
+Saint Croix;VI08b908w5
+Skien;NO0bih0emp
+Zhob;PK09d20j8x
+Turbo;CO07kh07yv
+Gbadolite;CD079w0fic
+Coari;BR06mo090m
+North Bay;CA0aio07r9
+Buta;CD075r0fsp
+Tabas;IR09jc0ia4
+Maun;BW05ei0fp2
+Kanash;RU0b870hjx
+Odienné;CI07of0db0
+Östersund;SE0bti0f0o
+Charleston;US09wj07l9
+Ifakara;TZ06bf0gpw
+Minot;US0anz062m
+Timimoun;DZ097a0dwn
+I-n-Salah;DZ091j0e2u
+New Plymouth;NZ03xh0rbk
+Serrinha;BR061m0avn
+Viedma;AR03sn0910
+Rosso;MR087v0co3
+Kolokani;ML07zp0d9p
+Ibiza;ES09y30dzz
+Floriano;BR06f70aki
+Roswell;US09ir05to
+Kuybyshev;RU0b810jxk
+Saipan;MP08490p4v
+Ust’-Kut;RU0bbr0m1t
+Puerto Francisco de Orellana;EC06wp07y5
+Concepción;PY055009gh
+Vernon;CA0asz0450
+Goianésia;BR05rg0a3k
+Luwuk;ID06vd0nd3
+Raduzhny;RU0bqi0jv7
+Maumere;ID06a20nbh
+Tamworth;AU04jn0pj9
+Twin Falls;US0a880522
+Serowe;BW057t0fy7
+Luang Prabang;LA08h90lrq
+Shchuchinsk;KZ0b120jaz
+Chabahar;IR08w90ikg
+Invercargill;NZ03d40qvn
+Meru;KE06y50gsm
+Tres Arroyos;AR03zf098k
+Poso;ID06u40n7f
+Inverness;GB0bdo0dka
+Singkil;ID074d0lfn
+Choma;ZM05nb0fyz
+Lucaya;BS08zp07th
+Bani Walid;LY09e70eyu
+Nadym;RU0c010jhg
+Kilifi;KE06nx0gyp
+Pechora;RU0byz0iay
+At Tāj;LY08t80fop
+Tindouf;DZ092v0d9d
+Coyhaique;CL03fe08bt
+Wajir;KE072v0gza
+Port Macquarie;AU04ip0por
+Afif;SA08sf0h78
+Santiago de Veraguas;PA07ki07n2
+Dededo Village;GU07zk0p2c
+Tefé;BR06on08w8
+Zyryanovsk;KZ0as50ke3
+Ishigaki;JP08tm0ngw
+Kamen’-na-Obi;RU0b3f0k5y
+Akhtubinsk;RU0ao40hg9
+Fayzabad;AF09t40jc2
+Kołobrzeg;PL0b4i0f3a
+Bluefields;NI07vd07fc
+Moyobamba;PE06h907y7
+Ålesund;NO0brj0ed3
+Rtishchevo;RU0az60h9n
+Kachkanar;RU0bh20ih8
+Sayansk;RU0b4b0lrs
+Hāgere Hiywet;ET07my0gt5
+Adrar;DZ093f0dv7
+Nabire;ID06oo0oce
+Murzuq;LY08y00eyo
+Basoko;CD071g0fpm
+Luleå;SE0c060flj
+Farah;AF09fx0iok
+Bozeman;US0agw05bk
+Hilo;US08gt01x7
+Dzhetygara;KZ0ayz0im0
+Macenta;GN07lq0d5p
+Lubao;CD06j10fvj
+Timmins;CA0aon07m3
+Ubari;LY08zv0evi
+Franceville;GA06th0exq
+Palenque;MX08an06si
+Moroni;KM061i0h86
+Farmington;US09s105je
+Sharypovo;RU0b8a0krs
+Katabu;ID06kb0ncc
+Kelo;TD07nv0f3x
+Abashiri;JP0aca0p0r
+Charlottetown;CA0aif090n
+Gambēla;ET07kx0gk2
+Mansa;ZM062w0g49
+Rimouski;CA0aol08lo
+Prescott Valley;US09m50580
+Sokol;RU0bj60gzg
+Smara;MA090a0czl
+Arkalyk;KZ0atl0j1w
+Borlänge;SE0bm10f2w
+Lindi;TZ06680gyc
+Yurimaguas;PE06hm080k
+Rābigh;SA08pc0gwf
+Wakkanai;JP0ag50otj
+Grande Prairie;CA0b7904q0
+Naze;JP094t0nvo
+Plasencia;ES0a170df3
+Bastia;FR0a8m0em9
+Frolovo;RU0as90h9a
+Turaif;SA09dz0gve
+Chapadinha;BR06nm0ajk
+Bom Jesus da Lapa;BR05x70aje
+Acacías;CO07930874
+Saurimo;AO06760fgn
+Apia;WS05vl00mv
+Yambio;SS07ap0g2v
+Tarawa;KI071p0r8i
+Mirny;RU0brq0mok
+Dien Bien Phu;VN08lf0lu6
+Kiffa;MR08860d0c
+Arawa;PG06gp0pw5
+Bozoum;CF07fk0f5i
+Inongo;CD06sn0fat
+Maştağa;AZ0a2l0hqx
+Langepas;RU0bo50jox
+Uray;RU0bl10ivz
+Dubbo;AU04gg0pcs
+Meridian;US09fw071m
+Mangalia;RO0abo0g3e
+Vyatskiye Polyany;RU0ba70htv
+Tual;ID06id0o4r
+Abadan;TM09vp0ido
+Tavda;RU0bf80ixb
+Clovis;US09lk05xb
+Cape Girardeau;US09tn06zc
+Tengréla;CI07r40de7
+Nguruka;TZ06jt0ga8
+Tambopata;PE05yt08jc
+Mineiros;BR05l709u1
+Presidente Epitácio;BR059k09v8
+Nizhneudinsk;RU0b6j0lj3
+Gogrial;SS07lp0g22
+Phrae;TH08cf0lm6
+Tucumã;BR06f909xw
+Portimão;PT09t60d8a
+Dalnegorsk;RU0ads0ocq
+Hobbs;US09gu05xi
+Kalmar;SE0bbe0f5g
+Rēzekne;LV0baz0fzy
+Waipahu;US08lf01p3
+Newala Kisimani;TZ063l0gx4
+Pangkalanbuun;ID06qk0mi3
+Salekhard;RU0c2t0j10
+Zouerate;MR08p60cxd
+Pôsto Fiscal Rolim de Moura;BR05xo0930
+Constitución;CL047v08av
+Dori;BF08100dvx
+Leh;IN09kx0jvi
+Tynda;RU0b780nig
+Ataq;YE082e0hi3
+Bardsīr;IR09940i95
+Nosy Varika;MG05cu0hmt
+Kampene;CD06o00fy3
+Morondava;MG05dn0hb4
+Simpang;ID06ui0lx6
+Castelli;AR04xx097m
+Caleta Olivia;AR03d008of
+Mandera;KE078y0h4a
+Guayaramerín;BO063x08ug
+Port-Vila;VU05kq0qvj
+Yalutorovsk;RU0bbd0j06
+Kokkola;FI0bvc0fo9
+Oriximiná;BR06t309kt
+Skellefteå;SE0bxv0fi7
+Manakara;MG058h0hld
+Xique Xique;BR063y0alb
+Kajaani;FI0bwf0g11
+Ad Dilam;SA08sn0hj0
+Prince Albert;CA0b1s05q7
+New Amsterdam;GY07fd09g8
+Mohr;IR092k0hyw
+Sinop;TR0a6r0glo
+Januária;BR05qz0ags
+Aqsay;KZ0aw50hz8
+Atbasar;KZ0axx0j5w
+Rovaniemi;FI0c2q0fvg
+Manggar;ID06q00m8r
+Kondopoga;RU0bqt0gj6
+Butterworth;ZA04g70g27
+Moyale;KE077t0gwi
+Gisborne;NZ03yn0rmg
+Slavgorod;RU0b180jyg
+Antalaha;MG05sm0hro
+Shakiso;ET07e00gw3
+Bodø;NO0c4w0f01
+Durazno;UY04da09j0
+Fada N'gourma;BF07vi0dx0
+Umluj;SA08vi0grj
+Ceerigaabo;SO07ri0hjl
+Albany;AU048p0mzg
+Puerto Cabezas;NI081007gd
+Mount Hagen;PG06hq0p0n
+Oshakati;NA05kl0f3m
+Labuan;ID06ga0m1z
+Severoural’sk;RU0bl30iij
+Ayagoz;KZ0an80k3f
+Campbell River;CA0asy0484
+Sumbe;AO062v0eyg
+Hwange;ZW05j00fxm
+Aral;KZ0ak00ina
+Manitowoc;US0ach074i
+Asha;RU0b6s0ib3
+Reggane;DZ09080dwh
+Mildura;AU04b10ouw
+Courtenay;CA0as1048t
+Porangatu;BR05wo0a3h
+Juneau;US0bfy03im
+Gillette;US0ad105qy
+Örnsköldsvik;SE0btt0fc0
+Timbuktu;ML088l0dnn
+Al- Ula;SA08zx0gtc
+Kudat;MY07h50mwi
+Bangor;US0aeg08ky
+Fairbanks;US0by402ho
+De Aar;ZA04kv0fqp
+Retreat;ZA04be0fbc
+Paranaíba;BR05fc09xt
+Menongue;AO05ta0f95
+Jinka;ET07dp0gpt
+Boende;CD06x80fi0
+Rumbek;SS07gx0g6g
+Zapala;AR03xy08hf
+San Carlos;CL044u08c4
+Lloydminster;CA0b1z05ee
+Marovoay;MG05p90hhk
+Humaitá;BR06d4090x
+Betioky;MG05440hba
+Yugorsk;RU0bob0irx
+Oyem;GA072g0es6
+Manghit;UZ0a700iiu
+Kharan;PK095e0ixq
+Escuinapa;MX08pf05q6
+Tocoa;HN085k0794
+Khovd;MN0and0kyk
+Mizque;BO05k608ui
+Borzya;RU0aty0mvo
+Coxim;BR05il09nw
+Kostomuksha;RU0bxd0g8y
+Ashburton;NZ03k20r51
+Postmasburg;ZA04rb0fo3
+Divnogorsk;RU0b9g0l0l
+Nagqu;CN09dg0kzq
+Oranjestad;AW07ws08hh
+Castro;CL03o10873
+Faaa;PF05l902cg
+Kabalo;CD06h70fyr
+Shīeli;KZ0acp0j1e
+Tsiombe;MG04zq0hec
+Kisesa;TZ06pg0giv
+Shar’ya;RU0bg50heg
+Santa Elena de Uairén;VE07as0969
+Anloga;GH07e30dyi
+Sovetskaya Gavan’;RU0aq10opp
+La Rinconada;PE05td08j3
+Leticia;CO06ma08hq
+Hamar;NO0bmv0eqr
+Pontes e Lacerda;BR05rp09b6
+George Town;KY08fl07lz
+Mirnyy;RU0bod0hbq
+Warrnambool;AU03ze0ovt
+Maó;ES0a0t0e7v
+Bria;CF07g60fl3
+Dikwa;NG07vg0eyo
+Mollendo;PE05mq08bz
+Am Timan;TD07sn0fgc
+El Charco;CO074w07v1
+Buturlinovka;RU0av70h0t
+Esquel;AR03mt08dw
+Ölgii;MN0aq10ktw
+Bardaskan;IR09ny0id1
+Popondetta;PG069n0pbr
+Kandyagash;KZ0arf0ibi
+Aberdeen;US0aga06af
+Ulaangom;MN0asu0kzr
+Llallagua;BO05iu08r2
+Masinloc;PH08560n57
+Jaru;BR0650092h
+Mirnyy;RU0bsc0h02
+Camiri;BO05ec08zk
+Labasa;FJ05od0rq8
+Hovd;MN0ae30lrt
+Dodge City;US09uv0666
+Paragould;US09q606wm
+Kolpashevo;RU0bfz0kab
+Mongo;TD07vu0fbx
+Murun-kuren;MN0arv0lm8
+Rexburg;US0abr059h
+Kondagaon;IN08gf0k6u
+Waddān;LY09700f4u
+Shalqar;KZ0amv0ihk
+Kayyerkan;RU0caq0knq
+Nikolayevsk-on-Amure;RU0b1n0oqw
+Conceição do Araguaia;BR06b20a35
+Shalkar;KZ0anf0hnu
+Eureka;US0a3c04b4
+Corfu;GR0a020ffc
+Vohipaho;MG054l0hjy
+Zeya;RU0b3a0npi
+Tara;RU0bc10jml
+Aripuanã;BR068j097l
+Williston;US0anr05w6
+Mombetsu;JP0ad70oy7
+Geraldton;AU04q20mqd
+Bafoulabé;ML080d0d1x
+Bor;SS07f90gbo
+Cobija;BO063d08kz
+Ceeldheer;SO078p0hj2
+Okha;RU0b2v0ox3
+Dubti;ET07ul0h24
+Ayorou;NE082x0dyk
+Kokopo;PG06ly0pmz
+Nālūt;LY09ej0eqi
+Bayanhongor;MN0aib0lns
+Mendi;PG06gx0oz2
+Brandon;CA0ash066d
+Puerto Escondido;MX086306ec
+Severobaykal’sk;RU0b8k0mbo
+Buchanan;LR07ec0d43
+Arvayheer;MN0aii0lti
+Pāsighāt;IN093z0l8t
+Pangkalan Brandan;ID07960lh0
+Val-d'Or;CA0anm07vw
+Tougué;GN07tt0czm
+Kariba;ZW05o40g40
+Majuro;MH07hp0r42
+Nelidovo;RU0ba60gf2
+Gerāsh;IR092v0i2e
+Dolores;AR045509fs
+Alice Springs;AU05460o7w
+Colinas;BR06h90ah3
+Tatarsk;RU0b7e0jr2
+Mount Gambier;AU040x0or2
+Pak Phanang;TH07l70lmc
+Padam;IN09iz0jtk
+Al Quşayr;EG08yj0gj8
+Fort Dodge;US0a8206mf
+San Borja;BO05sr08ql
+Traralgon;AU03zw0p72
+Kingstown;VC07yk095x
+Watsa;CD076g0g62
+Al Ḩawātah;SD07za0gk7
+Aldan;RU0bgt0nkc
+Bangassou;CF07b60fne
+Ghat;LY08vc0eoa
+Glan;PH07e60njs
+North Platte;US0a480643
+Tippi;ET07i00gmh
+Grootfontein;NA05fn0fac
+As Sulayyil;SA08iu0hem
+Matai;TZ06ay0gbk
+Atar;MR08j00cvr
+Caazapá;PY04x809jf
+Cumaribo;CO07ad08i4
+Rock Springs;US0a5j05go
+Owando;CG06wo0f46
+Ouésso;CG072h0f4l
+Belo sur Tsiribihina;MG05fa0hbr
+Maroantsetra;MG05r40hq6
+Fada;TD089r0fjy
+Jardim;BR05ac09k2
+Dickinson;US0ak805yh
+Lensk;RU0bmp0mr9
+Nchelenge;ZM06810g3t
+Yershov;RU0awn0hm4
+Brookings;US0ad306f4
+Bogotol;RU0ba50ksp
+San Ignacio de Velasco;BO05oj096p
+Rouyn-Noranda;CA0ao007si
+Visby;SE0be40fau
+Whitehorse;CA0bmo03gv
+Gallup;US09op05hy
+Kerrville;US099h068m
+Vel’sk;RU0bnn0h4y
+Baharly;TM09ws0ibj
+Victoria;SC06l60i62
+Mount Isa;AU05cf0oni
+Jaciara;BR05pn09nb
+Onega;RU0bvj0gtv
+Owen Sound;CA0adt07n6
+Sept-Îles;CA0atg08rm
+Mouila;GA06st0eqq
+Nuku‘alofa;TO05ba00dc
+Pýrgos;GR09uo0fjk
+Berber;SD08c20gie
+Ar Ruţbah;IQ09hs0gzx
+Nyandoma;RU0bpb0gzo
+Lodeynoye Pole;RU0bmp0gh7
+Pikalëvo;RU0bjc0gix
+Kalispell;US0anw052h
+Georgīevka;KZ0ar10k6l
+Cururupu;BR06sx0afd
+Hoxtolgay;CN0aj80kiw
+Luchegorsk;RU0aj40o8s
+Abu Jibeha;SD07tu0gar
+Nsanje;MW05n00gly
+Birkirkara;MT09pq0f06
+Guayama;PR08by08sd
+Poconé;BR05ou09iq
+Klamath Falls;US0a7a04hq
+Yanykurgan;KZ0abz0j2t
+Assab;ER07y50h6q
+Marquette;US0aja0758
+Otjiwarongo;NA05d60f69
+Luena;AO061a0ffc
+Hays;US09y00683
+Rumphi;MW063e0gi2
+Sena Madureira;BR068u08l9
+Ush-Tyube;KZ0afp0jwm
+Almeirim;BR06ts09ty
+Gubkinskiy;RU0bwz0jsi
+Elko;US0a3f04yg
+Nueva Gerona;CU08mt07hz
+Añatuya;AR04qy091h
+Hedaru;TZ06li0gta
+Sligo;IE0b4r0d8h
+Lodwar;KE076o0gmw
+Orkney;GB0bhu0dns
+Beloyarskiy;RU0buz0j17
+Kasongo-Lunda;CD06g00f6q
+Ponta Delgada;PT09uu0bwp
+Torit;SS07a90geh
+Villanueva;CO07co08c3
+Puerto Natales;CL02yb08al
+Al Bawīţī;EG094r0g47
+Steinkjer;NO0bvt0ery
+Kratié;KH07wp0m2i
+Burnie;AU03ry0p5a
+Glace Bay;CA0aic099g
+Gosnells;AU04gw0mu9
+Saynshand;MN0aeo0mdw
+Dakoro;NE082b0eet
+Vera;AR04o6098r
+Petrovsk-Zabaykal’skiy;RU0awg0mac
+Borodino;RU0b9b0l7n
+Kuraymah;SD08dj0gch
+São Raimundo Nonato;BR068y0ale
+Kovdor;RU0c5p0g8o
+Terrace;CA0b5g03ys
+North Battleford;CA0b0m05j6
+Harstad;NO0c940f5y
+Ivdel’;RU0bml0iju
+Tchibanga;GA06pv0eqi
+Petauke;ZM05ug0gb0
+Pirané;AR04yj09bt
+Goiás;BR05pr0a0q
+Guápiles;CR07qe07fa
+Sibiti;CG06ns0ex3
+Montrose;US09ww05kc
+Kruisfontein;ZA04bk0fsp
+Vorgashor;RU0c5q0it7
+Eyl;SO07k60hqe
+Hūn;LY096x0f4b
+Chipinge;ZW05dx0gem
+Kimbe;PG06il0ph2
+Dzüünharaa;MN0app0m3q
+Ascención de Guarayos;BO05pv090h
+São Miguel do Araguaia;BR05x50a0o
+Slyudyanka;RU0axi0lw3
+Embi;KZ0apn0idj
+Aberystwyth;GB0azm0dko
+Corner Brook;CA0apz09f1
+Puerto San José;GT080p06vq
+Galich;RU0bg60h5n
+Rivière-du-Loup;CA0amv08iu
+Wodonga;AU045o0p81
+Turinsk;RU0bf90isy
+Goroka;PG06h40p3v
+Isle of Lewis;GB0bfq0de9
+Shumikha;RU0b7f0iru
+Bitkine;TD07va0fal
+Luau;AO06490flq
+Peterhead;GB0bdr0dr2
+Sélibaby;MR08440cy6
+Wewak;PG06o50oyz
+Kharabali;RU0alq0hja
+Krasnovishersk;RU0blt0iak
+Griffith;AU04ar0p5p
+Letlhakane;BW05aj0fv3
+Carauari;BR06kg08q6
+Nar'yan-Mar;RU0c5w0hz8
+Mao;TD08180f2j
+Broken Hill;AU04h70osx
+Durango;US09tk05kc
+Nguigmi;NE081l0ewf
+Sheridan;US0aeg05mw
+Sovetsk;RU0bdy0ho0
+Zapolyarnyy;RU0cau0g9l
+Akureyri;IS0c0g0chr
+Zaysan;KZ0alv0kfr
+Aginskoye;RU0avy0mq5
+Fort St. John;CA0ba904kb
+Kuusamo;FI0c190g52
+Bulgan;MN0apl0lvl
+Santa Maria;CV08840c4d
+Hermiston;US0ahc04on
+Lospalos;TL06ac0nos
+Akonolinga;CM078h0eu1
+Eirunepé;BR06fi08hx
+Kiruna;SE0c6i0fg7
+Nevel’sk;RU0ajo0ou2
+San Antonio Oeste;AR03sv08vl
+Kushk;AF09ii0io3
+Konārka;IN08ha0kj7
+Ginir;ET07hu0h13
+Chalmette;US099606y3
+San Felipe;MX09c60510
+Poronaysk;RU0aqq0oxi
+Ilanskiy;RU0ba70lav
+Boda;CF07a00f8j
+Savanna-la-Mar;JM08cm07uz
+Guane;CU08no07eg
+Tarauacá;BR06bc08ff
+Chinde;MZ05ie0gpa
+Greenville;LR07bx0d6w
+Erenhot;CN0ab90mj2
+Yemva;RU0brv0hta
+Kupino;RU0b510juq
+Gobabis;NA057n0fcp
+Uliastay;MN0amm0ld0
+Chunskiy;RU0b9s0lkr
+Coos Bay;US0aah04ay
+Riversdale;ZA04bb0fj2
+Huarmey;PE066107ux
+Fonte Boa;BR06r108sf
+Ardestān;IR09iq0hxh
+Ar Ruways;AE08sz0hyh
+Bodaybo;RU0bep0mp7
+Yellowknife;CA0brh052b
+Baruun-Urt;MN0ajo0mmo
+Kapit;MY073k0mlp
+Kodinsk;RU0bgt0ljh
+Yorkton;CA0awa05zd
+Mitchell;US0abf06bp
+Keetmanshoop;NA04w60fad
+Baykal’sk;RU0ax40lxa
+Campos Belos;BR05xs0aa3
+Madera;MX097305jl
+Mandalgovi;MN0ah40m37
+Jamestown;US0akb069t
+Marsabit;KE074h0gtj
+Cova Figueira;CV083d0c0j
+Aykhal;RU0c150mho
+Udachny;RU0c2j0mk8
+Susanville;US0a2a04kv
+Roxas;PH07qo0n3j
+São Gabriel da Cachoeira;BR06xo08pn
+Traverse City;US0aec07a6
+Daru;PG068s0oxt
+Tanout;NE083l0ekp
+Nizhnesortymskiy;RU0brg0jfc
+Moussoro;TD07zw0f5t
+Montagu;ZA04c50ffw
+Brunswick;US0abz08hn
+Catriel;AR040s08no
+Lüderitz;NA04vz0f23
+Khāsh;AF09dl0iqf
+Kenora;CA0as906lj
+Dalandzadgad;MN0ab10ly3
+Lukolela;CD06v20f7q
+Ebaye;MH07md0qty
+Fomboni;KM05zv0h9i
+Calkiní;MX08il06xv
+Tezu;IN093j0lb1
+Kuressaare;EE0bft0fmi
+Chegdomyn;RU0aw10o5h
+Al Majāridah;SA08f40h4f
+Okotoks;CA0aux053e
+Gaspé;CA0apn08ww
+Matane;CA0apn08og
+Vredendal;ZA04i10fbe
+Scottsbluff;US0a6b05w1
+Nuuk;GL0bwa09wc
+Undurkhaan;MN0alg0mfe
+Prince Rupert;CA0b4w03u0
+Swift Current;CA0ato05kk
+Bemidji;US0alv06kg
+Emerald;AU054o0pbk
+Guachochi;MX090i05ml
+Kavieng;PG06qv0piw
+Formosa do Rio Preto;BR063b0aeh
+Beyneu;KZ0afw0i5c
+Kaoma;ZM05sy0fsw
+Maqat;KZ0amd0i04
+Kuragino;RU0b3p0l1g
+Andalgalá;AR04te08rs
+Manicoré;BR06hv095q
+Kaspiyskiy;RU0ag30hjl
+Pierre;US0ad90659
+Zemio;CF07bz0ftu
+Koror;PW07ie0o9j
+Benjamin Constant;BR06lu08hh
+Contamana;PE06dn083m
+Weno;FM07ip0pls
+Kem’;RU0byg0gk2
+Port Lincoln;AU049j0odf
+Qarazhal;KZ0and0jco
+Al Burayqah;LY09ah0fed
+Bandarbeyla;SO07od0ht5
+Lieksa;FI0btw0g7e
+Vuktyl;RU0bve0ib7
+Forster;AU04gm0pno
+Sangīn;AF09f30iw4
+Makokou;GA06zl0evq
+Bousso;TD07r40f6f
+Priozersk;KZ0ahv0jkq
+Mont-Laurier;CA0ajb082a
+Faya-Largeau;TD08bt0fd2
+Luganville;VU05qw0qsc
+Muisne;EC06zp07pq
+Uruzgān;AF09hh0j13
+Chamical;AR04lo08rt
+Mariental;NA051l0f9x
+Avarua;CK05b301k6
+Kirensk;RU0bej0m8b
+Znamenskoye;RU0bcp0jl3
+Yokadouma;CM077s0f1t
+Inderbor;KZ0aov0hvu
+Port Pirie;AU04dt0oje
+Tórshavn;FO0bq90dd7
+Nieuw Nickerie;SR07eh09hr
+Guerrero Negro;MX093p0538
+Sorsk;RU0b400kup
+Ormara;PK08w10ivk
+Fannūj;IR08zu0iho
+Woodward;US09r7067x
+Basseterre;KN08a2091s
+Dolbeau-Mistassini;CA0aps08bd
+Obo;CF07d00fxl
+Santa Ana de Yacuma;BO05vu08u9
+Bom Jesus;BR068t0ags
+Mogocha;RU0b390n4p
+Kentville;CA0af808wu
+Aioun;MR088a0d5b
+Ak-Dovurak;RU0aw60kvo
+Siasi;PH07df0n7l
+Hobyo;SO07cv0hmt
+Elliot Lake;CA0aiu07ih
+Xuddur;SO079g0h9x
+Forrestfield;AU04h60mu9
+Thompson;CA0b8u06c6
+Chernyshevsk;RU0azw0mx2
+San Mariano;PH08960nax
+Steamboat Springs;US0a2g05n9
+Petukhovo;RU0b6z0j4m
+Newman;AU05540n4m
+Nazyvayevsk;RU0b8d0je7
+Tsumeb;NA05gl0f98
+Rafína;GR09vm0fqp
+Alta;NO0ccd0fon
+Grand Falls-Windsor;CA0apx09le
+Angra do Heroísmo;PT09xd0bse
+Aleksandrovsk-Sakhalinskiy;RU0ave0ouw
+Khorixas;NA05df0f1l
+Colchani;BO05dm08q3
+Chulym;RU0b720k4w
+Mŭ’minobod;TJ09vv0jaj
+Wagar;SD086v0gok
+Borba;BR06lt09ah
+Shetpe;KZ0acm0hwv
+San Juan Bautista;PA07k407on
+Inyonga;TZ06fc0gd3
+Santa Rosalía;MX091y0585
+Ndélé;CF07ld0fhd
+São Paulo de Olivença;BR06om08kp
+Karratha;AU05ce0mwl
+Filingué;NE081v0e58
+Kidal;ML08d80dzx
+Inverell;AU04nb0pjr
+Cold Lake;CA0b5b05dy
+Kiunga;PG06h00osh
+Pago Pago;AS05uc00pu
+Mikhaylovskoye;RU0axy0k1g
+Gazli;UZ0a1h0isa
+Shagonar;RU0ax50l25
+Makoua;CG06y10f3f
+Ermoúpolis;GR09u00fta
+Bereeda;SO07uz0htu
+Edd;ER080p0h3t
+Boguchany;RU0bg60lep
+Codajás;BR06nc093m
+Nizhniy Odes;RU0bus0i4e
+Fuvahmulah;MV06x60jjy
+Vytegra;RU0bnh0gp9
+Gebeit;SD08kj0gow
+Biltine;TD082d0fi5
+Ontario;US0acb04v4
+Umm Kaddadah;SD07zs0fy5
+Uacu Cungo;AO062g0f20
+Kargopol’;RU0bou0gw7
+Quimilí;AR04t7092m
+Al Ghayz̧ah;YE08710hwy
+Moyynkum;KZ0ad00jim
+Pangody;RU0c0x0jmx
+Riverton;US0a9i05iy
+Suoyarvi;RU0bqg0gdv
+Murghob;TJ09w10jlh
+Dawson Creek;CA0b8w04m0
+Kapa‘a;US08nc01lg
+Kavaratti;IN07rd0jhs
+Mariehamn;AX0bky0ffd
+Novaya Igirma;RU0bcp0lwn
+Nelson;CA0ari04u7
+Khilok;RU0awp0mev
+Santaquin;US0a12059h
+Sylvan Lake;CA0azb0534
+Alaminos;PH086w0n5a
+Queenstown;NZ03gx0qwi
+Springbok;ZA04nm0f9p
+Arkhara;RU0ara0nxd
+South Hedland;AU05db0n1g
+Wé;NC05bw0qsm
+Bethanie;NA04wg0f7n
+Ingeniero Guillermo N. Juárez;AR053m0947
+Anadyr;RU0bxt0rl3
+Labrador City;CA0b1308q5
+Cuatro Ciénegas de Carranza;MX090z060i
+Newport;US0ae004bf
+Puerto Deseado;AR039d08sz
+Birao;CF07qk0fnb
+Alpena;US0af607g9
+Alotau;PG065c0phy
+Taltal;CL04zf08g7
+Skovorodino;RU0b3y0nga
+Senanga;ZM05p80fon
+Silver City;US09h105j8
+Hanceville;CA0ay804e8
+Marsa Alam;EG08vm0gkx
+Tobelo;ID072t0nrl
+Mhamid;MA098u0dg4
+Mahabe;MG05mk0hdx
+Klyuchi;RU0bag0qat
+Nyurba;RU0bts0n0p
+Envira;BR06dq08gy
+Vilyuysk;RU0bv30n9v
+Ghanzi;BW059q0fk5
+Choyr;MN0ais0m90
+Hinton;CA0b2c04td
+Roboré;BO05j309a0
+Eduardo Castex;AR046808xf
+Kutum;SD081g0fsj
+Havre;US0aov05fc
+Alamosa;US09u305px
+Choele Choel;AR03wv08tm
+Revda;RU0c6q0gk0
+Moree;AU04o60pg8
+Pokrovsk;RU0bos0nuq
+Topes de Collantes;CU08mw07pq
+Tofol;FM07cs0qgt
+Borovskoy;KZ0b3f0iua
+Selkirk;CA0ata06ew
+Djambala;CG06qy0f0z
+Bonthe;SL07ix0cxa
+Mosjøen;NO0c0w0ewn
+Kuanda;RU0bag0mug
+Biryusinsk;RU0b9g0lfq
+Charters Towers;AU05e80p6a
+Zheshart;RU0bqf0hpp
+Tosontsengel;MN0apg0lh0
+Kulhudhuffushi;MV07ge0jiz
+Portland;AU03zh0otc
+Novokruchininskiy;RU0axu0mo2
+Urengoy;RU0c190jxp
+Las Heras;AR03cq08ki
+Kapuskasing;CA0ara07j1
+Kathu;ZA04t20fo1
+Irtyshsk;KZ0b250jpm
+Waimea;US08hm01vl
+Lagunas;PE06jh081s
+Al Bardīyah;LY09e80ftp
+Ust-Nera;RU0bxd0oxw
+Puerto Leguízamo;CO06xh084a
+Tommot;RU0bhs0nmt
+Ceelbuur;SO07b10hhi
+Puerto Ayora;EC06vy06x5
+Svetlyy;RU0av60il1
+Rio Tuba;PH07ln0my7
+Sodankylä;FI0c5a0fxw
+Sitka;US0bch03g3
+Sergeyevka;KZ0b3o0j39
+Olyokminsk;RU0blp0n6i
+Miles City;US0aix05q0
+Serenje;ZM05x90g80
+Whitecourt;CA0b4f04yn
+Coron;PH07vc0n5w
+Fouesnant;FR0an10dkv
+Sitia;GR09nt0fwi
+Suntar;RU0bqm0myr
+Tuba City;US09qd05b0
+Apolinario Saravia;AR052508y8
+Kargasok;RU0bi20k4m
+Lycksele;SE0bxg0fbv
+Hadibu;YE07x50i22
+Cable Beach;AU05k40nbh
+Alliance;US0a6y05y9
+Cul de Sac;SX08c5090t
+San Pedro;BZ08bs073n
+Dauphin;CA0aw30663
+Cooper’s Town;BS090n07wp
+Dalhart;US09q605z9
+Sarmiento;AR03fd08k5
+Monteagudo;BO05f008yd
+Mil’kovo;RU0b5y0q4m
+Belyy Yar;RU0bgc0kg8
+Dryden;CA0asa06qd
+Qarqaraly;KZ0ar90jpn
+Abatskoye;RU0bad0jbq
+Tari;PG06hs0ox3
+Douentza;ML083o0dnt
+Ashland;US0ajf06vk
+Khorinsk;RU0ayx0mcy
+Kozhevnikovo;RU0baa0kd9
+Houghton;US0akw071z
+Kosciuszko National Park;AU045a0pcg
+Winnemucca;US0a3t04sy
+San Luis;MX094z0541
+Narrabri;AU04ls0pg2
+Kalifornsky;US0blu027r
+San Andros;BS08vn07v7
+Deniliquin;AU047b0p2n
+Castillos;UY04b009qe
+Bayganin;KZ0ap90i78
+Magistral’nyy;RU0ba10m6g
+Pauini;BR06cl08py
+Richfield;US09xp058o
+Kalengwa;ZM05wl0ftg
+Happy Valley-Goose Bay;CA0b22098f
+Santa Terezinha;BR064x09zp
+Chibougamau;CA0aso085f
+Lamar;US09vt05yy
+Yarmouth;CA0abr08sc
+Igarka;RU0c5f0kkk
+Coracora;PE05s90872
+Carnarvon;AU050w0mnq
+Colonia;FM07og0ojo
+Susuman;RU0bse0pbj
+Al Muwayh;SA08ob0h40
+Barcelos;BR06vb0917
+George Town;BS08rc081h
+Inírida;CO078r08nc
+Basco;PH08it0nat
+Churapcha;RU0bq80o3v
+Darovskoy;RU0bh90hl8
+Bestobe;KZ0azu0jj2
+Roma;AU04w70pdb
+Zambezi;ZM05we0fo6
+Inari;FI0c9f0fz3
+Lerwick;GB0bl30dsu
+Ytyk-Kyuyël’;RU0br80o70
+Siwa Oasis;EG09740fuw
+Ghadāmis;LY099p0eme
+Oppdal;NO0brv0emx
+Hola;KE06tw0gz7
+Youghal;IE0ayb0da7
+Kununurra;AU05q60ntm
+Auki;SB069n0qae
+Khandyga;RU0bs10ocl
+Mayya;RU0bpi0nxw
+Hammerfest;NO0cea0fps
+Whyalla Norrie;AU04e90oi2
+Gueltat Zemmour;MA08vu0cxn
+Warmbad;NA04qz0fc1
+Sogndal;NO0bo30efq
+Torrington;US0a6u05um
+Mórrope;PE06fu07pr
+Asau;WS05wg00kg
+Illizi;DZ08zk0ejj
+Motygino;RU0bfm0l71
+Akranes;IS0bwo0c6p
+Awjilah;LY096v0fj5
+Horta;PT09x20boh
+Severo-Yeniseyskiy;RU0blq0l2f
+Selfoss;IS0bvl0c9o
+Paraíso;DO08bz08eb
+Vershino-Darasunskiy;RU0azh0msx
+Bethel;US0bmv01eo
+Thinadhoo;MV06zh0jis
+San Matías;BO05oj09ds
+Canutama;BR06fv08x6
+Santa Ana;PH08db0nbb
+Talakan;RU0atm0nxv
+Stephenville;CA0aov09da
+Turuntayevo;RU0az00m70
+Kodiak;US0bej024n
+Berëznik;RU0bsl0h6n
+Miyaly;KZ0apt0i1f
+Saint-Pierre;PM0ajy09jy
+Gizo;SB06bi0pzo
+San Julián;AR035108nv
+Iqaluit;CA0bv308lo
+Biloela;AU05280pi4
+Plastun;RU0aec0oek
+Kolonia;FM07hc0q3h
+The Pas;CA0b3j062r
+Flin Flon;CA0b650611
+Tidjikja;MR08dk0d09
+Port Mathurin;MU05fc0is6
+Tazovsky;RU0c5f0jyo
+Berdigestyakh;RU0bqi0nny
+Mitú;CO071i08gx
+Lewistown;US0akq05g1
+Kurumkan;RU0b4w0mef
+Sosnovo-Ozerskoye;RU0azw0mhu
+Lorengau;PG06sd0p93
+Ingeniero Jacobacci;AR03r708it
+Carnarvon;ZA04jz0flh
+Sandnessjøen;NO0c1e0ev3
+Bilibino;RU0c710qqc
+Kyshtovka;RU0bb30jsv
+Senador José Porfírio;BR06qt09vp
+Tiksi;RU0ch50nty
+Ocean Shores;US0akh04b4
+La Ronge;CA0b7205rk
+Kerikeri;NZ04850rb7
+Shakawe;BW05iz0fko
+Berëzovyy;RU0axj0ocv
+Colonia Menno;PY057v099u
+Salym;RU0bku0jek
+Princeville;CA0ah5095q
+Okhotsk;RU0biw0oxt
+Eastham;US0a6708hn
+Puerto San Carlos;MX08uv058l
+Khandūd;AF09sn0jgw
+Salavan;LA085o0m3m
+Homer;US0bjo0271
+Tura;RU0bwk0lme
+Smithers;CA0b66042r
+Ouadda;CF07kg0fm8
+Colby;US09zg063b
+Kalkaman;KZ0ayb0jr7
+Yerofey Pavlovich;RU0b3w0nas
+Onguday;RU0auz0kjb
+Severnoye;RU0baj0jxo
+Lepsy;KZ0aig0jzb
+Peace River;CA0ba804u7
+Borogontsy;RU0bs30o0c
+Torghay;KZ0arv0ise
+Zhigalovo;RU0b690m04
+Guatraché;AR041d08zj
+Meadow Lake;CA0b4d05it
+Qaraūyl;KZ0apz0k06
+Sisimiut;GL0c3y09qx
+Fort-Shevchenko;KZ0adn0hrm
+Ust’-Kulom;RU0bpd0i15
+Orchard Homes;US0ak60537
+Léua;AO061n0fgt
+Todos Santos;MX08r505du
+Vadsø;NO0ccn0g6n
+Ylitornio;FI0c270fps
+Ulsteinvik;NO0br60ec9
+Opuwo;NA05ju0eyg
+Ust-Tsilma;RU0bzs0hwv
+Pandan;PH08110ngx
+Burang;CN09a60k5i
+Houlton;US0ai508nk
+Qaşr al Farāfirah;EG09160g1p
+Abu Simbel;EG08o30gbu
+Valverde;ES09390ci8
+Nezhdaninskoe;RU0brn0om9
+Ust’-Kamchatsk Staryy;RU0ba70qfc
+Malung;SE0bmk0ey4
+Vaitape;PF05o5026h
+Poindimié;NC05bv0qn9
+Yar-Sale;RU0c3r0jcs
+Boulder;AU04ki0n9h
+Pevek;RU0cbm0r12
+Morros;BR067r0abe
+Melville;AU04rq0mw9
+Leshukonskoye;RU0bya0hf5
+Cap Malheureux;MU05ei0ic1
+Turukhansk;RU0c0r0kob
+Ostrovnoy;RU0c710gxr
+Darátsos;GR09om0fql
+Westlock;CA0b4f053p
+Bagdarin;RU0b570mnk
+Yrghyz;KZ0ap20im7
+Renmark;AU04b20oqz
+Grand Bank;CA0aku09l3
+Sortland;NO0c8u0f2s
+Mukhen;RU0anw0oe5
+Roxby Downs;AU04l40oga
+Peleduy;RU0bjn0ml6
+Sayaq;KZ0akk0jun
+Biak;ID06uq0oe0
+Palatka;RU0bky0pj9
+Ust’-Omchug;RU0bnt0pfn
+Fort Nelson;CA0bhd04f6
+Al Qaţrūn;LY08vb0f0p
+Funafuti;TV06ac0rpr
+Unalaska;US0b3n011f
+Urdoma;RU0bpj0hmu
+Kyra;RU0arq0mj2
+San Antonio de Palé;GQ06u30ebn
+Ilulissat;GL0caa09y2
+Hukuntsi;BW053c0fki
+Salla;FI0c3n0g3n
+Maraã;BR06sy08ug
+Barrow;US0cg101sh
+Sokolo;ML082x0df0
+Red Lake;CA0avq06nd
+Novaya Chara;RU0bbu0n0m
+Saquena;PE06l1087s
+Gayny;RU0blj0i2w
+Ol’ga;RU0abj0obt
+Neiafu;TO05i700gq
+Deep River;CA0ai207wq
+Paraíso das Águas;BR05h609sr
+Batagay;RU0c5y0oa0
+Urusha;RU0b450ndd
+Kindersley;CA0awz05gr
+Kang;BW05480fnb
+Puerto Baquerizo Moreno;EC06vi06z3
+Dillon;US0afm0574
+Omsukchan;RU0bro0pwr
+Greenstone;CA0as5075v
+Mahdia;GY07cn09bp
+Novyy Uoyan;RU0ba00mib
+Comandante Luis Piedra Buena;AR033508kl
+Cobar;AU04ii0p53
+Kondinskoye;RU0bjp0j39
+Ely;US09z1050v
+Bongandanga;CD07270fij
+Lampedusa;IT09om0ev1
+Kyzyl-Khaya;RU0at10kto
+Golden;CA0awi04v3
+Araouane;ML08ei0dm7
+Grande Cache;CA0b3o04p2
+Frontera;ES09330ci0
+San Antonio de los Cobres;AR052q08rs
+Severomuysk;RU0b9z0mn3
+Saint-Augustin;CA0awb09d3
+Vysokogornyy;RU0at60omg
+Hércules;MX093w05vp
+Lajes das Flores;PT09ze0bhe
+Castletown;AU04c10nao
+Brancaleone;IT09vg0f4q
+Valdez;US0bnt02lh
+Cagayan;PH07hd0n17
+Cloncurry;AU05ch0oqb
+Nome;US0bx6014j
+Verkhnyaya Toyma;RU0bqv0hd0
+Saga;CN097g0kgr
+Baykit;RU0bpc0lbq
+Calamar;CO073g08a7
+Cockburn Town;TC08lm08ee
+Cherskiy;RU0c8z0qc5
+Raja;SS07lj0fvc
+Exmouth;AU05930mp0
+Longreach;AU054w0p0p
+Chadiza;ZM05ux0ge4
+Palana;RU0bi40q8c
+Bonavista;CA0ap509sh
+Westport;NZ03q10r4o
+Zyryanka;RU0c0l0pj5
+High Level;CA0bgk04um
+Pinega;RU0bxq0h8j
+De-Kastri;RU0ax00or1
+Valcheta;AR03t008s8
+Perito Moreno;AR03cl08ez
+Vilhelmina;SE0bxi0f6a
+Leknes;NO0c7b0ext
+Charleville;AU04wn0p68
+Qalansīyah;YE07x90i0l
+Kysyl-Syr;RU0bvh0nd1
+Deputatsky;RU0caj0oou
+Srednekolymsk;RU0c5e0pqy
+Seymchan;RU0bst0pnb
+Port Saint Joe;US098t07b2
+Condobolin;AU04e30p8r
+Aranos;NA052z0fd4
+Glasgow;US0anw05ns
+Clermont;AU056m0pa4
+Atikokan;CA0apg06ti
+Nhulunbuy;AU06060ofy
+Tom Price;AU056z0mz7
+Fairview;CA0b9r04r5
+Hanga Roa;CL04ul05g2
+Kotzebue;US0c3u01cc
+Shelby;US0aor059a
+Mackenzie;CA0b7q04e3
+Katherine East;AU05tt0o3h
+Zhigansk;RU0c3h0nep
+Qaqortoq;GL0bmo0ac4
+Muzhi;RU0bzo0ivq
+Khatanga;RU0chy0lsn
+Cooktown;AU05r10p3h
+Tennant Creek;AU05ff0o8r
+Neepawa;CA0atj067p
+Vanavara;RU0bln0ls4
+Sinegor'ye;RU0bqh0pi4
+Ust-Maya;RU0blu0o9q
+Fraserburg;ZA04hc0fjr
+Inuvik;CA0c7w03kj
+Taoudenni;ML08oz0dky
+Fernando de Noronha (Distrito Estadual);BR06nc0bdz
+Aasiaat;GL0c8v09t5
+Tolhuin;AR02ql08pc
+Maafushi;MV078y0jk5
+Norsup;VU05pd0qt0
+Thursday Island;AU064m0ov2
+Saranpaul’;RU0bwi0il6
+Havre-Saint-Pierre;CA0atk08zc
+Lovozero;RU0c6x0gla
+Petersburg;US0bbt03mo
+Sioux Lookout;CA0at306si
+Río Mayo;AR03f308gu
+Druzhba;KZ0afp0k94
+Nags Head;US09pw081y
+High Prairie;CA0b7z04wf
+Mistissini;CA0au2086s
+Cochrane;CL03aq08af
+Maniitsoq;GL0bzq09t2
+Grindavík;IS0bvc0c5o
+Merredin;AU04ik0n0j
+Wolf Point;US0anl05qk
+Valentine;US0a93064p
+Vinchina;AR04q408mj
+Weipa;AU05yy0ou4
+Jokkmokk;SE0c310ff2
+Åre;SE0bu40ewc
+Burns;US0ab304pb
+Saint-Georges;GF078t09w4
+Hay River;CA0bmy04yc
+Mnogovershinnyy;RU0b3t0oop
+Lightning Ridge;AU04o90pb2
+Burns Lake;CA0b4n046o
+Narooma;AU045e0ph1
+Ísafjörður;IS0c1j0c3r
+Ozernovskiy;RU0ax20pyq
+Kalbarri;AU04t10mp5
+Borovoy;RU0bxh0gdl
+Panlaitan;PH07vo0n4x
+Nullagine;AU05970n5n
+Honningsvåg;NO0cf60fw5
+Provideniya;RU0bwy00it
+Gol;NO0bmm0ekv
+Blagoyevo;RU0bu60hl8
+Chokurdakh;RU0ce60pau
+Imeni Poliny Osipenko;RU0azm0of5
+Tonopah;US09vr04ud
+Ester;US0by502gv
+Ossora;RU0bil0qgz
+Portree;GB0bdh0det
+Khulimsunt;RU0bsm0in8
+Chiganak;KZ0aej0jag
+Dillingham;US0bi001nu
+Bjørnevatn;NO0cbj0g7b
+Belaya Gora;RU0c8e0p63
+Arijejen;NR06wj0qrn
+Skjervøy;NO0ccj0fi9
+Fort Smith;CA0bko0597
+Rankin Inlet;CA0bsh06s7
+Maningrida;AU060j0o8v
+Egilsstaðir;IS0bzb0cs1
+Bor;RU0bp40ku2
+Bilma;NE08dx0evw
+Santa Monica;PH07pu0nm4
+Moonta Bay;AU04bf0oi5
+Olenyok;RU0c8a0mkd
+Deltana;US0bvf02om
+Kirovskiy;RU0ahd0hlo
+Egvekinot;RU0c28002g
+Morehead;PG069t0otg
+Yulara;AU04zw0nzv
+Marādah;LY09760fdc
+Húsavík;IS0c1g0cju
+Moura;AU051r0pgl
+Buta Ranquil;AR043308hw
+Toora-Khem;RU0azr0lb0
+Stanley;FK02yf09fa
+Santiago Astata;MX086f06i8
+Nyngan;AU04ic0p8v
+Cordova;US0bm602n4
+Prudhoe Bay;US0cd602fy
+Werda;BW04zt0foo
+Turt;MN0ax30lnm
+Laverton;AU04qh0nc0
+Puerto Nariño;CO06nh08gk
+Coober Pedy;AU04pf0oab
+Isles of Scilly;GB0asp0dei
+Shikotan;RU0abo0p7k
+Ceduna;AU04gr0o7b
+Kure Beach;US09kg07vl
+Nyda;RU0c320jik
+Vardø;NO0cdh0gaf
+Te Anau;NZ03fu0qtw
+Longyearbyen;SJ0cza0f3h
+Clifden;IE0b2l0d46
+St. Anthony;CA0awp09lk
+St Helens;AU03r80pbs
+Khudumelapye;BW053o0fsr
+Evensk;RU0bq00q6b
+Yerbogachen;RU0bo80m82
+Orlik;RU0azw0llb
+Barishal;PK09qw0jni
+Kampung Tekek;MY075t0lxc
+Tigil’;RU0beg0q4s
+Myaundzha;RU0bt50p8u
+Tilichiki;RU0blv0qpa
+Pelican Narrows;CA0b7905y3
+Guanaja;HN087p079f
+Van Horn;US09c805st
+Behchokǫ̀;CA0bsg04xn
+Saskylakh;RU0chw0mox
+Tuzly;UA0ahf0g7m
+Kárášjohka;NO0caz0fuv
+Lidung Jelo;MY075d0mqv
+Inta;RU0c1f0ij5
+Saint George;BM09fy08wc
+Forsyth;US0aij05no
+Tabwakea Village;KI073m01qj
+Aozou;TD08mo0f8f
+Lovelock;US0a1m04qx
+Argir;FO0bq80dd7
+Paamiut;GL0bq70a21
+Beringovskiy;RU0bt60rq7
+East Innisfail;AU05lb0p5n
+Waskaganish;CA0ax007t9
+Hayuliang;IN093z0lc6
+Makin Village;KI077c0r8i
+Tasiilaq;GL0c090azg
+London Village;KI073i01qk
+Arjeplog;SE0c1h0f9p
+Kungurtug;RU0auk0lew
+Porto Walter;BR06b1089y
+Moose Factory;CA0awf07o2
+Queenstown;AU03p40p4c
+Fitzroy Crossing;AU05jg0nkt
+Kropotkin;RU0bgj0msc
+Atuona;PF066s035s
+Mys-Kamennyy;RU0c860jkf
+Pangai;TO05ez00fp
+Halls Creek;AU05je0nqn
+Kuril’sk;RU0afn0pas
+Manitouwadge;CA0aqg079k
+Almaznyy;RU0brh0mpl
+Russkinskiye;RU0bqn0jkg
+Castlepoint;NZ03se0rhi
+Pandamatenga;BW05ij0fv7
+Yonakuni;JP08tz0ndo
+Batagay-Alyta;RU0c6c0ny8
+Hudson Bay;CA0b0t05zm
+Doğanyurt;TR0a6o0ggy
+Sehithwa;BW05d50fn4
+Wurrumiyanga;AU061c0nyv
+Normanton;AU05kx0orw
+Watson Lake;CA0bku03yh
+Jabiru;AU05yt0o50
+Ust-Kuyga;RU0ccg0ocj
+Nanortalik;GL0bl20aec
+Attawapiskat;CA0b1107j2
+Ulaanhudag;MN0alh0lya
+Opunake;NZ03we0ray
+Lokwabe;BW052v0fkn
+Blackall;AU05260p42
+Doomadgee;AU05k60oln
+Neskaupstaður;IS0byz0cu0
+Jaqué;PA07iw07uw
+Storslett;NO0cbt0fie
+Lorino;RU0bzy00n2
+Streaky Bay;AU04ew0o8t
+Hillston;AU04d00p4a
+Isangel;VU05fq0qy8
+Wiluna;AU04w50n5y
+Godefroy;CA0axr08mw
+Jacareacanga;BR06gq09fl
+Svetlogorsk;RU0c3y0kpf
+Telfer;AU05b30nee
+Verkhoyansk;RU0c5n0o6j
+Roebuck;AU05jj0nca
+Augusta;AU04ao0mrw
+Dzhambul;KZ0al50jeb
+Helgoland;DE0b4i0ehx
+Shelburne;CA0abk08uk
+Pangnirtung;CA0c1r08ti
+Dawson City;CA0bvy034p
+Parma;RU0c1c0ica
+Kingston South East;AU043p0ooh
+Chumikan;RU0b600obw
+Kugluktuk;CA0c6f050a
+Uummannaq;GL0ceb09v7
+Camopi;GF076t09um
+Haymā’;OM08hg0i8c
+Ayan;RU0bau0oju
+Leonora;AU04pr0n91
+Susitna North;US0bqo02br
+McMurdo Station;AQ00xr0qr0
+Tok;US0bty02ut
+Hughenden;AU05c40p0k
+Craig;US0b8403m5
+Shubarköl;KZ0aps0j75
+Winton;AU057u0oxc
+Cunnamulla;AU04s10p4o
+Solnechnyy;RU0bli0oi4
+Taiohae;PF0699032u
+Jabor;MH07eg0qz8
+Capitán Pablo Lagerenza;PY05eo0976
+Belyashi;RU0as30kmu
+Mata-Utu;WF05x400an
+Siglufjörður;IS0c1r0cfh
+Hooper Bay;US0box012m
+Ekimchan;RU0b1f0o5a
+Arthur’s Town;BS08ue081t
+Sola;VU05vg0qtf
+Cahersiveen;IE0ayb0d3m
+Ngukurr;AU05t30oa9
+Haines Junction;CA0bmr03a1
+Upernavik;GL0ck709k2
+Kirakira;SB064z0qds
+Dikson;RU0cm70k3p
+Gjoa Haven;CA0c8n06ho
+Svetlaya;RU0aja0ok9
+Rikitea;PF055s03h3
+Iriba;TD08400flt
+Camarones;AR03hk08th
+Salluit;CA0bqs081w
+Fort McPherson;CA0c5c03hb
+Sand Point;US0b7q01i6
+Talaya;RU0boh0pod
+Moerai;PF057n027m
+Challis;US0adm052p
+Akutan;US0b4d013i
+Norman Wells;CA0bzc043p
+Chevak;US0box0141
+Clyde River;CA0cdr08lh
+Kandrian;PG06gr0pff
+Synya;RU0bzl0id8
+Beatty;US09sj04vo
+King Cove;US0b6y01d4
+Laugar;IS0c0k0cjr
+Nema;FM07hf0pnt
+Kjøllefjord;NO0cf30fzz
+Wala;NC05f90qil
+Wotje;MH07o90r0w
+Kingston;NF04pb0qul
+Ta ū;AS05uh00t5
+Hihifo;TO05pp00h8
+Mabaruma;GY07ks099y
+Lethem;GY077e099w
+Ngatik;FM07e30q0k
+Jamestown;SH05pq0dg4
+Alofi;NU05h300s0
+Murilo;FM07m50pn6
+Lata;SB06480qok
+Georgetown;SH06bz0crz
+Atafu Village;TK06aa00ks
+Flying Fish Cove;CX06520m1k
+Likiep;MH07pb0qyb
+Leava;WF05ub0054
+Matthew Town;BS08k7087d
+Ailuk;MH07qe0r06
+Ujae;MH07mt0qog
+Nukunonu;TK068g00mn
+Tanrake Village;TV06dv0rk3
+Kökar;AX0bkg0fi3
+Mejit;MH07qk0r2m
+Waitangi;NZ03jx009k
+Edinburgh of the Seven Seas;SH04310cxt
+Vingt Cinq;MU06550i9a
+Asau Village;TV06d70roc
+Abraham’s Bay;BS08o5089b
+Fais;FM07p50oqc
+Napari Village;KI078v01l9
+Kayangel;PW07kg0oa8
+Wotho;MH07q90qp5
+West Island;CC06080lcy
+Jabat;MH07jj0qxe
+Cargados Carajos;MU05nw0ihq
+Adamstown;PN050d03um
+Port-aux-Français;TF034x0jb2
+Tobi Village;PW076c0o08
+Taulaga;AS063a00or
+Sonsorol Village;PW07ct0o3a
+Ereencav;MN0ask0mth
+Olonkinbyen;SJ0cf00d7s
+Grytviken;GS02r80b2l
+Telsen;AR03o408q2
+Susques;AR055008rn
+Paso de Indios;AR03k608k7
+Gobernador Gregores;AR036l08gv
+General Alvear;AR048u08nz
+Nueva Manoa;BO067008uc
+Huachacalla;BO05ht08me
+Alta Floresta;BR066k09k7
+Lucas do Rio Verde;BR05xp09ko
+Nahanni Butte;CA0bnj04d9
+Gamèti;CA0bw304u1
+Pozo Almonte;CL05dq08i5
+Cámeron;CL02t008ij
+Zito;CN09be0la8
+Zhedao;CN08uy0lh0
+Xireg;CN09sk0lhg
+Xêgar;CN095j0klw
+Xangda;CN09fh0lc0
+Songmai;CN095r0ljt
+Shiquanhe;CN09ga0k2i
+Segong;CN09fi0kzw
+Rutog;CN09iu0k18
+Ruoqiang;CN09ye0kow
+Qümong;CN09hm0lgi
+Qira;CN09sv0k4g
+Qiemo;CN09vx0khl
+Jiajuedibu;CN09bx0kq7
+Pubu;CN09d80ku1
+Pagnag;CN09fn0kyo
+Nangxian;CN096p0l2l
+Niya;CN09sz0k9p
+Mengsuo;CN08os0lkj
+Maindong;CN09d10kha
+Machali;CN09n10lgv
+Luring;CN09fn0kdw
+Jomda;CN09di0lgt
+Golmud;CN09r50l7m
+Delingha;CN09tu0leh
+Dangchengwan;CN09zq0l80
+Yumen;CN0a1w0le0
+Yuanquan;CN0a2i0la4
+Wushi;CN0a4b0k02
+Tacheng;CN0ajv0kag
+Shanshan;CN0a930kuk
+Qinghe;CN0ajn0kv2
+Luntai;CN0a610ke0
+Zhong’an;CN08xb0lxj
+Zhangjiapan;CN09ug0ma8
+Huamachi;CN09uz0m6c
+Weifen;CN09ww0mgt
+Weiyuan;CN08r70lno
+Tongle;CN08v10m42
+Sailaitang;CN09hi0lnu
+Qiongxi;CN09h30lsu
+Gaocheng;CN099b0lmj
+Gabasumdo;CN09ny0lnb
+Daishan;CN09a10nbg
+Bayan Hot;CN09xw0m1j
+Dongcheng;CN08ms0mj5
+Xin Bulag;CN0a7c0mo8
+Uliastai;CN0agj0mwj
+Tuquan;CN0ag40n9s
+Ming’antu;CN0a7i0mrf
+Haliut;CN0a5g0m9g
+Dalain Hob;CN0a6l0loq
+Mositai;CN0agi0n4f
+Dabagou;CN0ahz0nao
+Bieligutai;CN0acb0mre
+Wenquan;CN0al20n57
+Changjianglu Jiedao;CN09px0n5t
+Tumxuk;CN0a0r0jzm
+Taisha;EC06ri07wu
+Ahau;FJ05za0rjt
+Tubou;FJ05jc003b
+Kapingamarangi;FM07100pu1
+Nukuoro;FM078o0puh
+Pingelap;FM07f90qae
+Namoluk;FM07eg0ppe
+Houk;FM07gl0peq
+Onoun;FM07lt0pft
+Pisaras;FM07lt0phu
+Satawal;FM07ii0p8f
+Faraulep;FM07lv0p1f
+Ifalik;FM07i50p18
+Eauripik;FM07gl0oxc
+Ngulu;FM07lh0ohw
+Maripasoula;GF078409px
+Tiku;ID06ww0llk
+Teluk Dalam;ID06zl0lfo
+Sibigo;ID075w0laf
+Werinama;ID06oa0nxf
+Waren;ID06rq0oep
+Wamena;ID06mm0oly
+Waigama;ID06sw0nwn
+Uta;ID06ld0odv
+Ulu;ID075i0nkb
+Ujoh Bilang;ID06zj0ms5
+Tomu;ID06ru0o5d
+Tolitoli;ID070w0n7m
+Tiom;ID06n40okl
+Tembuni;ID06sp0o68
+Tayan;ID06xx0mdu
+Tarempa;ID076y0m32
+Tanjungbatu;ID06po0muu
+Tanjung;ID07960m8y
+Serasan;ID074z0mav
+Sarmi;ID06sv0olf
+Sanana;ID06sa0nly
+Rainis;ID079r0noe
+Puruk Cahu;ID06we0mqa
+Namrole;ID06nb0no1
+Mangarang;ID078l0no3
+Laiwui;ID06u90nqn
+Kimaam;ID06bt0olp
+Kelarik;ID07950m80
+Dofa;ID06t00nk8
+Dobo;ID06i00o8v
+Daruba;ID073p0nsd
+Bojonegara;ID06hf0m2q
+Benteng;ID06h00n6m
+Seba;ID064v0nag
+Panite;ID06610nh3
+Mindiptana;ID06hq0oqt
+Tuapejat;ID06sd0lkn
+Kumano;JP09k60oe4
+Hachijō;JP09hy0ooa
+Ogasawara;JP091a0ov0
+Tata;MA098m0d9v
+Missour;MA09ht0dkx
+Enewetak;MH07tj0qey
+Tessalit;ML08i40dyt
+Nioro;ML084b0d5d
+Ti-n-Essako;ML08d90e2x
+Uyenchi Somon;MN0ahx0kzm
+Tsetserleg;MN0aqv0l7i
+Tseel;MN0agl0lab
+Vlaa Vula;MN0aus0ljn
+Talshand;MN0afx0lg6
+Sharga;MN0aih0l8n
+Oygon;MN0aq30lc6
+Jargalant;MN0akz0lkr
+Dzalaa;MN0adp0ljr
+Altay sumu;MN0ah80l0c
+Urt;MN0aa30lop
+Ulaanjirem;MN0af50m19
+Tsomog;MN0ahk0maz
+Tsagaan-Ovoo;MN0aho0lpu
+Shireet;MN0ah10mk4
+Saynshand;MN0ab60lst
+Öndörhoshuu;MN0anc0moh
+Ihbulag;MN0aa00m5s
+Khuvsget;MN0ab50mck
+Dzüünbulag;MN0akf0ms9
+Bulag;MN0anw0m9c
+Eenhana;NA05lh0f5d
+Arlit;NE08e20egj
+Trompeteros;PE06nf083i
+Sepahua;PE06310894
+Tapuarava;PF05ip03cy
+Buka;PG06ix0ptn
+Cagayancillo;PH07om0n8p
+Panjgur;PK090x0iu1
+Taro;SB06fd0pyg
+Waat;SS07kq0gdb
+Pibor;SS07gw0gg1
+Renk;SS07um0gf4
+Am Djarass;TD086n0fng
+Uchquduq Shahri;UZ0a730isj
+Tumeremo;VE07ia0956
+Santa Catalina;VE07k008kk
+San Carlos de Río Negro;VE073c08pq
+Maripa;VE07im08ux
+La Esmeralda;VE076t08tx
+El Palmer;VE07kb0944
+Ciudad Piar;VE07ip0904
+Kỳ Anh;VN08c60m3a
+Hoàng Sa;VN088b0ml5
+Daḩasuways;YE085o0hsx
+Thamūd;YE08a10hqo
+Mūdīyah;YE080p0hg0
+Al ‘Abr;YE086u0hj8
+Ḩaşwayn;YE085b0hwq
+Al Qurḩ;YE088h0hv0
+Mkuze;ZA04ta0gd0
+Garies;ZA04l40f9z
+`
+    };
+
     // Log script load
     console.log('%c🎯 OpenGuessr Pro Enhanced v18.0.0 loaded!', 'color: #8b5cf6; font-weight: bold; font-size: 14px;');
-    console.log('%cPress INSERT key to open/close', 'color: #10b981; font-size: 12px;');
+    const toggleCombo = Shortcuts.getBindings().toggle;
+    console.log(toggleCombo
+        ? `%cPress ${toggleCombo} to open/close`
+        : '%cNo open/close shortcut is bound, type OpenGuessrEnhanced.open() to open the window', 'color: #10b981; font-size: 12px;');
     console.log('%cType OpenGuessrEnhanced.status() for debug info', 'color: #6b7280; font-size: 11px;');
 
 })();